@@ -20,7 +20,7 @@ export const AdminAuthProvider = ({ children }) => {
     }, []);
 
     // Use backend root URL; routes are prefixed with /api
-    const login = async (username, password) => {
+    const login = async (username, password, totpCode) => {
         try {
             const apiBase = import.meta.env.VITE_API_URL || 'http://localhost:3000';
             const response = await fetch(`${apiBase}/api/admin/login`, {
@@ -28,7 +28,7 @@ export const AdminAuthProvider = ({ children }) => {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ username, password }),
+                body: JSON.stringify({ username, password, totpCode }),
             });
 
             const data = await response.json();
@@ -40,7 +40,7 @@ export const AdminAuthProvider = ({ children }) => {
                 navigate('/admin/dashboard');
                 return { success: true };
             } else {
-                return { success: false, error: data.error.message };
+                return { success: false, error: data.error.message, code: data.error.code };
             }
         } catch (error) {
             console.error('Admin login error:', error);
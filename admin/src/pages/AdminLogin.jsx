@@ -5,6 +5,8 @@ import { useNavigate } from "react-router-dom";
 const AdminLogin = () => {
     const [username, setUsername] = useState("");
     const [password, setPassword] = useState("");
+    const [totpCode, setTotpCode] = useState("");
+    const [totpRequired, setTotpRequired] = useState(false);
     const [error, setError] = useState("");
     const [loading, setLoading] = useState(false);
 
@@ -17,10 +19,12 @@ const AdminLogin = () => {
         setLoading(true);
 
         try {
-            const result = await login(username, password);
+            const result = await login(username, password, totpRequired ? totpCode : undefined);
 
             if (result.success) {
                 navigate("/admin/dashboard"); // redirect after login
+            } else if (result.code === "TOTP_REQUIRED") {
+                setTotpRequired(true);
             } else {
                 setError(result.error || "Login failed");
             }
@@ -74,6 +78,25 @@ const AdminLogin = () => {
                         />
                     </div>
 
+                    {totpRequired && (
+                        <div>
+                            <label className="block text-sm font-medium mb-2 text-gray-400">
+                                Authenticator Code
+                            </label>
+                            <input
+                                type="text"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                maxLength={6}
+                                value={totpCode}
+                                onChange={(e) => setTotpCode(e.target.value)}
+                                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none transition-colors"
+                                placeholder="6-digit code"
+                                required
+                            />
+                        </div>
+                    )}
+
                     <button
                         type="submit"
                         disabled={loading}
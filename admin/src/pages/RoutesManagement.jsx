@@ -244,13 +244,18 @@ const RoutesManagement = () => {
         try {
             const token = localStorage.getItem("adminToken");
 
-            await fetch(`${API}/api/admin/routes/${id}`, {
+            const response = await fetch(`${API}/api/admin/routes/${id}`, {
                 method: "DELETE",
                 headers: {
                     Authorization: `Bearer ${token}`,
                 },
             });
 
+            const data = await response.json();
+            if (!data.success) {
+                setError(data.error?.message || "Delete failed");
+            }
+
             fetchRoutes();
         } catch {
             setError("Delete failed");
@@ -258,11 +263,11 @@ const RoutesManagement = () => {
     };
 
     // ================= TOGGLE =================
-    const toggleRouteStatus = async (route) => {
+    const toggleRouteStatus = async (route, force = false) => {
         try {
             const token = localStorage.getItem("adminToken");
 
-            await fetch(`${API}/api/admin/routes/${route.id}`, {
+            const response = await fetch(`${API}/api/admin/routes/${route.id}`, {
                 method: "PATCH",
                 headers: {
                     "Content-Type": "application/json",
@@ -270,9 +275,23 @@ const RoutesManagement = () => {
                 },
                 body: JSON.stringify({
                     active: !route.active,
+                    force,
                 }),
             });
 
+            const data = await response.json();
+
+            // Upcoming rides use this route: list them and ask before deactivating
+            if (data.error?.code === "ROUTE_IN_USE") {
+                const rides = data.error.affectedRides
+                    .map((ride) => `${ride.departureDate} ${ride.departureTime} (${ride.bookedSeats} booked)`)
+                    .join("\n");
+                if (confirm(`${data.error.message}\n\n${rides}`)) {
+                    return toggleRouteStatus(route, true);
+                }
+                return;
+            }
+
             fetchRoutes();
         } catch {
             console.error("Toggle failed");
@@ -297,6 +316,9 @@ const RoutesManagement = () => {
                 <div key={route.id} className="bg-gray-800 p-4 mb-3 rounded">
                     <div>
                         {route.source.name} → {route.destination.name}
+                        {route.version && (
+                            <span className="ml-2 text-xs text-gray-400">v{route.version}</span>
+                        )}
                     </div>
 
                     <button onClick={() => handleDelete(route.id)}>
@@ -1,12 +1,26 @@
 import React, { useEffect, useState, useRef } from 'react';
-import { Trash2, Plus, Search } from 'lucide-react';
+import { Trash2, Plus, Search, GitMerge } from 'lucide-react';
 
 // Ola Maps via window.OlaMaps
 
+const STOP_TYPES = [
+    { value: 'bus_stand', label: 'Bus stand' },
+    { value: 'metro', label: 'Metro' },
+    { value: 'railway_station', label: 'Railway station' },
+    { value: 'junction', label: 'Junction' },
+    { value: 'landmark', label: 'Landmark' },
+    { value: 'other', label: 'Other' }
+];
+
+const EMPTY_STOP = { name: '', lat: '', lng: '', city: '', landmark: '', aliases: '', type: 'bus_stand' };
+
 const StopsManagement = () => {
     const [stops, setStops] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [newStop, setNewStop] = useState({ name: '', lat: '', lng: '' });
+    const [newStop, setNewStop] = useState(EMPTY_STOP);
+    const [duplicateOf, setDuplicateOf] = useState(null);
+    const [duplicates, setDuplicates] = useState(null);
+    const [checkingDuplicates, setCheckingDuplicates] = useState(false);
     const [submitting, setSubmitting] = useState(false);
     const [searching, setSearching] = useState(false);
     const [mapCenter] = useState([73.5, 16.0]); // [lng, lat]
@@ -110,8 +124,8 @@ const StopsManagement = () => {
     }, []);
 
     // ================= ADD STOP =================
-    const handleAddStop = async (e) => {
-        e.preventDefault();
+    const handleAddStop = async (e, force = false) => {
+        e?.preventDefault();
         setSubmitting(true);
         setError('');
 
@@ -142,7 +156,12 @@ const StopsManagement = () => {
                 body: JSON.stringify({
                     name: newStop.name,
                     lat,
-                    lng
+                    lng,
+                    city: newStop.city || null,
+                    landmark: newStop.landmark || null,
+                    aliases: newStop.aliases.split(',').map(alias => alias.trim()).filter(Boolean),
+                    type: newStop.type,
+                    force
                 })
             });
 
@@ -150,7 +169,11 @@ const StopsManagement = () => {
 
             if (data.success) {
                 fetchStops();
-                setNewStop({ name: '', lat: '', lng: '' });
+                setNewStop(EMPTY_STOP);
+                setDuplicateOf(null);
+            } else if (data.error?.code === 'DUPLICATE_STOP') {
+                setDuplicateOf(data.error.existing);
+                setError(data.error.message);
             } else {
                 setError(data.error?.message || 'Failed to add stop');
             }
@@ -183,6 +206,62 @@ const StopsManagement = () => {
         }
     };
 
+    // ================= DUPLICATE DETECTOR =================
+    const handleFindDuplicates = async () => {
+        setCheckingDuplicates(true);
+
+        try {
+            const token = localStorage.getItem('adminToken');
+
+            const response = await fetch(`${API}/api/admin/stops/duplicates`, {
+                headers: {
+                    Authorization: `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                setDuplicates(data.data);
+            }
+        } catch {
+            alert('Failed to find duplicate stops');
+        } finally {
+            setCheckingDuplicates(false);
+        }
+    };
+
+    const handleMerge = async (proposal) => {
+        if (!window.confirm(`Merge "${proposal.duplicate.name}" into "${proposal.keep.name}"? Routes using it will be updated.`)) return;
+
+        try {
+            const token = localStorage.getItem('adminToken');
+
+            const response = await fetch(`${API}/api/admin/stops/merge`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({
+                    keepId: proposal.keep.id,
+                    duplicateIds: [proposal.duplicate.id]
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                fetchStops();
+                handleFindDuplicates();
+            } else {
+                alert(data.error?.message || 'Failed to merge stops');
+            }
+        } catch {
+            alert('Failed to merge stops');
+        }
+    };
+
     // ================= SEARCH LOCATION =================
     const handleSearchLocation = async () => {
 
@@ -297,7 +376,7 @@ const StopsManagement = () => {
         markersRef.current.forEach(marker => marker.remove());
         markersRef.current = [];
 
-        stops.forEach(stop => {
+        stops.filter(stop => stop.active !== false).forEach(stop => {
 
             const lat = Number(stop.lat);
             const lng = Number(stop.lng);
@@ -378,6 +457,46 @@ const StopsManagement = () => {
                             />
                         </div>
 
+                        <div className="grid grid-cols-2 gap-3">
+                            <input
+                                value={newStop.city}
+                                onChange={e =>
+                                    setNewStop({ ...newStop, city: e.target.value })
+                                }
+                                placeholder="City"
+                                className="w-full p-2 bg-gray-700 text-white"
+                            />
+                            <select
+                                value={newStop.type}
+                                onChange={e =>
+                                    setNewStop({ ...newStop, type: e.target.value })
+                                }
+                                className="w-full p-2 bg-gray-700 text-white"
+                            >
+                                {STOP_TYPES.map(type => (
+                                    <option key={type.value} value={type.value}>{type.label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <input
+                            value={newStop.landmark}
+                            onChange={e =>
+                                setNewStop({ ...newStop, landmark: e.target.value })
+                            }
+                            placeholder="Landmark (optional)"
+                            className="w-full p-2 bg-gray-700 text-white"
+                        />
+
+                        <input
+                            value={newStop.aliases}
+                            onChange={e =>
+                                setNewStop({ ...newStop, aliases: e.target.value })
+                            }
+                            placeholder="Other names, comma separated"
+                            className="w-full p-2 bg-gray-700 text-white"
+                        />
+
                         <button
                             type="button"
                             onClick={handleLocateByCoordinates}
@@ -394,16 +513,61 @@ const StopsManagement = () => {
                             Add Stop
                         </button>
 
+                        {duplicateOf && (
+                            <button
+                                type="button"
+                                onClick={() => handleAddStop(null, true)}
+                                disabled={submitting}
+                                className="bg-gray-600 p-2 w-full"
+                            >
+                                Add anyway
+                            </button>
+                        )}
+
                     </form>
                 </div>
 
+                {/* DUPLICATE DETECTOR */}
+                <div className="bg-gray-800 p-4">
+
+                    <button
+                        type="button"
+                        onClick={handleFindDuplicates}
+                        disabled={checkingDuplicates}
+                        className="bg-gray-600 p-2 w-full flex items-center justify-center gap-2"
+                    >
+                        <GitMerge size={16}/> Find duplicate stops
+                    </button>
+
+                    {duplicates && duplicates.length === 0 && (
+                        <div className="text-gray-400 text-sm mt-3">No duplicates found</div>
+                    )}
+
+                    {duplicates?.map(proposal => (
+                        <div key={`${proposal.keep.id}:${proposal.duplicate.id}`} className="flex justify-between items-center mt-3 text-sm text-gray-300">
+
+                            <span>
+                                {proposal.duplicate.name} → {proposal.keep.name} ({proposal.distanceMeters} m)
+                            </span>
+
+                            <button onClick={() => handleMerge(proposal)} className="text-blue-400">
+                                Merge
+                            </button>
+
+                        </div>
+                    ))}
+
+                </div>
+
                 {/* LIST */}
                 <div className="bg-gray-800 p-4">
 
                     {stops.map(stop => (
                         <div key={stop.id} className="flex justify-between">
 
-                            {stop.name}
+                            <span className={stop.active === false ? 'text-gray-500 line-through' : ''}>
+                                {stop.name}{stop.city ? `, ${stop.city}` : ''}
+                            </span>
 
                             <button onClick={() =>
                                 handleDeleteStop(stop.id)
@@ -1,12 +1,130 @@
 const { getFirestore } = require('../config/firebase'); // Access existing DB
 const { generateAdminToken } = require('./middleware');
+const { getPermissions } = require('./permissions');
 const User = require('../models/User'); // Use existing User model to manage users
+const payoutService = require('../services/payoutService');
+const promoService = require('../services/promoService');
+const adminAuthService = require('../services/adminAuthService');
+const tripTrackingService = require('../services/tripTrackingService');
+const noShowService = require('../services/noShowService');
+const incidentService = require('../services/incidentService');
+const notificationOutboxService = require('../services/notificationOutboxService');
+const templateService = require('../services/templateService');
+const routeStopService = require('../services/routeStopService');
+const stopService = require('../services/stopService');
+const routeVersionService = require('../services/routeVersionService');
+const Stop = require('../models/Stop');
 const logger = require('../utils/logger');
 
-// Admin credentials from environment variables
-const ADMIN_CREDENTIALS = {
-    username: process.env.ADMIN_USERNAME || 'tripO',
-    password: process.env.ADMIN_PASSWORD || '123456'
+/**
+ * Helper: Map a failed login to its status and error code
+ */
+const LOGIN_ERRORS = [
+    { match: 'locked', status: 423, code: 'ACCOUNT_LOCKED' },
+    { match: 'disabled', status: 403, code: 'ACCOUNT_DISABLED' },
+    { match: 'code is required', status: 401, code: 'TOTP_REQUIRED' },
+    { match: 'Invalid two-factor code', status: 401, code: 'INVALID_TOTP' },
+    { match: 'Invalid username or password', status: 401, code: 'INVALID_CREDENTIALS' }
+];
+
+/**
+ * Helper: Respond to a failed admin account action
+ */
+const sendAdminAccountError = (res, error, code) => {
+    let status = 400;
+    if (error.message === 'Admin account not found') status = 404;
+    else if (error.message.includes('already exists')) status = 409;
+
+    res.status(status).json({
+        success: false,
+        error: {
+            code: status === 404 ? 'ADMIN_NOT_FOUND' : code,
+            message: error.message
+        }
+    });
+};
+
+/**
+ * Helper: Respond to a failed promo code action
+ */
+const sendPromoActionError = (res, error, code) => {
+    const status = error.message === 'Promo code not found' ? 404 : 400;
+    res.status(status).json({
+        success: false,
+        error: {
+            code,
+            message: error.message
+        }
+    });
+};
+
+/**
+ * Helper: Check optional stop catalogue fields, returning an error message or null
+ */
+const validateStopFields = ({ name, lat, lng, aliases, type }) => {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) return 'Stop name cannot be empty';
+    if (lat !== undefined && !(Math.abs(parseFloat(lat)) <= 90)) return 'Latitude must be between -90 and 90';
+    if (lng !== undefined && !(Math.abs(parseFloat(lng)) <= 180)) return 'Longitude must be between -180 and 180';
+    if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string'))) {
+        return 'Aliases must be a list of names';
+    }
+    if (type !== undefined && !Stop.TYPES.includes(type)) return `Stop type must be one of: ${Stop.TYPES.join(', ')}`;
+    return null;
+};
+
+/**
+ * Helper: Refuse a route change that would strand future published rides
+ */
+const sendRouteInUseError = (res, message, affectedRides) => {
+    res.status(409).json({
+        success: false,
+        error: {
+            code: 'ROUTE_IN_USE',
+            message,
+            affectedRides
+        }
+    });
+};
+
+/**
+ * Helper: Respond to a stop list that could not be imported or measured
+ */
+const sendRouteStopError = (res, error) => {
+    res.status(400).json({
+        success: false,
+        error: {
+            code: 'INVALID_ROUTE_STOPS',
+            message: error.message
+        }
+    });
+};
+
+/**
+ * Helper: Respond to a failed payout action
+ */
+const sendPayoutActionError = (res, error, code) => {
+    const status = error.message === 'Payout not found' ? 404 : 400;
+    res.status(status).json({
+        success: false,
+        error: {
+            code: status === 404 ? 'PAYOUT_NOT_FOUND' : code,
+            message: error.message
+        }
+    });
+};
+
+/**
+ * Helper: Respond to a failed SOS incident action
+ */
+const sendIncidentActionError = (res, error, code) => {
+    const status = error.message === 'Incident not found' ? 404 : 400;
+    res.status(status).json({
+        success: false,
+        error: {
+            code: status === 404 ? 'INCIDENT_NOT_FOUND' : code,
+            message: error.message
+        }
+    });
 };
 
 const adminController = {
@@ -14,35 +132,55 @@ const adminController = {
      * Admin Login
      */
     login: async (req, res) => {
+        const { username, password, totpCode } = req.body;
+
         try {
-            const { username, password } = req.body;
+            const admin = await adminAuthService.authenticate(username, password, totpCode);
+            const token = generateAdminToken(admin);
+
+            logger.info(`Admin ${admin.username} logged in successfully`);
+            adminAuthService.recordAuditEntry({
+                adminId: admin.id,
+                username: admin.username,
+                action: 'login',
+                statusCode: 200,
+                ip: req.ip
+            });
 
-            if (username === ADMIN_CREDENTIALS.username && password === ADMIN_CREDENTIALS.password) {
-                const token = generateAdminToken({ username });
+            return res.status(200).json({
+                success: true,
+                data: {
+                    token,
+                    admin: {
+                        id: admin.id,
+                        username: admin.username,
+                        displayName: admin.displayName,
+                        role: admin.role,
+                        permissions: getPermissions(admin.role)
+                    }
+                }
+            });
 
-                logger.info('Admin logged in successfully');
+        } catch (error) {
+            const loginError = LOGIN_ERRORS.find(entry => error.message.includes(entry.match));
+            if (loginError) {
+                adminAuthService.recordAuditEntry({
+                    username: username ? String(username).toLowerCase() : null,
+                    action: 'login_failed',
+                    body: { reason: loginError.code },
+                    statusCode: loginError.status,
+                    ip: req.ip
+                });
 
-                return res.status(200).json({
-                    success: true,
-                    data: {
-                        token,
-                        admin: {
-                            username: ADMIN_CREDENTIALS.username,
-                            role: 'admin'
-                        }
+                return res.status(loginError.status).json({
+                    success: false,
+                    error: {
+                        code: loginError.code,
+                        message: error.message
                     }
                 });
             }
 
-            return res.status(401).json({
-                success: false,
-                error: {
-                    code: 'INVALID_CREDENTIALS',
-                    message: 'Invalid username or password'
-                }
-            });
-
-        } catch (error) {
             logger.error('Admin login error:', error);
             res.status(500).json({
                 success: false,
@@ -180,7 +318,7 @@ const adminController = {
             const { getAuth } = require('firebase-admin/auth');
             await getAuth().deleteUser(id);
 
-            logger.info(`User ${id} deleted by admin`);
+            logger.info(`User ${id} deleted by admin ${req.admin.username}`);
 
             res.status(200).json({
                 success: true,
@@ -214,7 +352,9 @@ const adminController = {
                 return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'User not found' } });
             }
 
-            const updates = {};
+            const updates = {
+                'metadata.updatedByAdmin': req.admin.username
+            };
 
             if (action === 'block') {
                 // To block, we can disable the user in Firebase Auth
@@ -252,11 +392,11 @@ const adminController = {
     },
 
     /**
-     * Add New Stop
+     * Add New Stop (rejects a stop with a similar name close to an existing one unless force is set)
      */
     addStop: async (req, res) => {
         try {
-            const { name, lat, lng } = req.body;
+            const { name, lat, lng, city, landmark, aliases, type, active = true, force = false } = req.body;
 
             if (!name || !lat || !lng) {
                 return res.status(400).json({
@@ -265,20 +405,45 @@ const adminController = {
                 });
             }
 
-            const db = getFirestore();
-            const newStop = {
-                name,
+            const validationError = validateStopFields(req.body);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: { code: 'INVALID_STOP', message: validationError }
+                });
+            }
+
+            const stop = new Stop({
+                name: name.trim(),
                 lat: parseFloat(lat),
                 lng: parseFloat(lng),
-                created_by: 'admin',
-                created_at: new Date().toISOString()
-            };
+                city,
+                landmark,
+                aliases,
+                type,
+                active: Boolean(active),
+                created_by: req.admin.username
+            });
+
+            if (!force) {
+                const existing = await stopService.findDuplicateOf(stop);
+                if (existing) {
+                    return res.status(409).json({
+                        success: false,
+                        error: {
+                            code: 'DUPLICATE_STOP',
+                            message: `A similar stop already exists nearby: ${existing.name}`,
+                            existing: existing.getPublicDetails()
+                        }
+                    });
+                }
+            }
 
-            const docRef = await db.collection('stops').add(newStop);
+            await stop.save();
 
             res.status(201).json({
                 success: true,
-                data: { id: docRef.id, ...newStop }
+                data: stop.toJSON()
             });
 
         } catch (error) {
@@ -291,21 +456,15 @@ const adminController = {
     },
 
     /**
-     * Get All Stops
+     * Get All Stops (including inactive and merged stops)
      */
     getStops: async (req, res) => {
         try {
-            const db = getFirestore();
-            const snapshot = await db.collection('stops').orderBy('created_at', 'asc').get();
-            const stops = [];
-
-            snapshot.forEach(doc => {
-                stops.push({ id: doc.id, ...doc.data() });
-            });
+            const stops = await Stop.findAll();
 
             res.status(200).json({
                 success: true,
-                data: stops
+                data: stops.map(stop => stop.toJSON())
             });
 
         } catch (error) {
@@ -317,6 +476,133 @@ const adminController = {
         }
     },
 
+    /**
+     * Update Stop
+     */
+    updateStop: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const validationError = validateStopFields(req.body);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: { code: 'INVALID_STOP', message: validationError }
+                });
+            }
+
+            const stop = await Stop.findById(id);
+            if (!stop) {
+                return res.status(404).json({
+                    success: false,
+                    error: { code: 'STOP_NOT_FOUND', message: 'Stop not found' }
+                });
+            }
+
+            ['name', 'city', 'landmark', 'aliases', 'type'].forEach(field => {
+                if (req.body[field] !== undefined) stop[field] = req.body[field];
+            });
+            if (req.body.lat !== undefined) stop.lat = parseFloat(req.body.lat);
+            if (req.body.lng !== undefined) stop.lng = parseFloat(req.body.lng);
+            if (req.body.active !== undefined) stop.active = Boolean(req.body.active);
+
+            await stop.save();
+
+            res.status(200).json({
+                success: true,
+                data: stop.toJSON()
+            });
+
+        } catch (error) {
+            logger.error('Admin update stop error:', error);
+            res.status(500).json({
+                success: false,
+                error: { message: 'Failed to update stop' }
+            });
+        }
+    },
+
+    /**
+     * Get Proposed Duplicate Stops (similar names within radiusMeters)
+     */
+    getStopDuplicates: async (req, res) => {
+        try {
+            const radiusMeters = parseInt(req.query.radiusMeters) || undefined;
+            const proposals = await stopService.findDuplicates({ radiusMeters });
+
+            res.status(200).json({
+                success: true,
+                data: proposals
+            });
+
+        } catch (error) {
+            logger.error('Admin find duplicate stops error:', error);
+            res.status(500).json({
+                success: false,
+                error: { message: 'Failed to find duplicate stops' }
+            });
+        }
+    },
+
+    /**
+     * Merge Duplicate Stops into one and repoint the routes that use them
+     */
+    mergeStops: async (req, res) => {
+        try {
+            const { keepId, duplicateIds } = req.body;
+
+            if (!keepId || !Array.isArray(duplicateIds)) {
+                return res.status(400).json({
+                    success: false,
+                    error: { code: 'INVALID_MERGE', message: 'keepId and a duplicateIds array are required' }
+                });
+            }
+
+            const result = await stopService.mergeStops(keepId, duplicateIds, req.admin.username);
+
+            res.status(200).json({
+                success: true,
+                data: result,
+                message: `Merged ${result.merged.length} stops; ${result.routesUpdated} routes updated`
+            });
+
+        } catch (error) {
+            if (error.message.includes('not found') || error.message.includes('is required')) {
+                return res.status(error.message.includes('not found') ? 404 : 400).json({
+                    success: false,
+                    error: { code: 'MERGE_STOPS_ERROR', message: error.message }
+                });
+            }
+
+            logger.error('Admin merge stops error:', error);
+            res.status(500).json({
+                success: false,
+                error: { message: 'Failed to merge stops' }
+            });
+        }
+    },
+
+    /**
+     * Index Stops saved before geohash lookups
+     */
+    reindexStops: async (req, res) => {
+        try {
+            const result = await stopService.reindexStops();
+
+            res.status(200).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Admin reindex stops error:', error);
+            res.status(500).json({
+                success: false,
+                error: { message: 'Failed to reindex stops' }
+            });
+        }
+    },
+
     /**
      * Delete Stop
      */
@@ -389,19 +675,29 @@ const adminController = {
                 });
             }
 
+            let routeStopFields;
+            try {
+                routeStopFields = await routeStopService.buildRouteFields(source, stops, destination);
+            } catch (error) {
+                return sendRouteStopError(res, error);
+            }
+
             const db = getFirestore();
 
             const routeData = {
                 source,
                 destination,
                 stops: stops || [],
+                ...routeStopFields,
                 active: Boolean(active),
+                version: 1,
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
-                createdBy: 'admin'
+                createdBy: req.admin.username
             };
 
             const docRef = await db.collection('routes').add(routeData);
+            await routeVersionService.saveVersion(docRef.id, 1, routeData, req.admin.username);
 
             logger.info(`Route created: ${docRef.id} from ${source.name} to ${destination.name}`);
 
@@ -466,7 +762,7 @@ const adminController = {
     updateRoute: async (req, res) => {
         try {
             const { id } = req.params;
-            const { source, destination, stops, active } = req.body;
+            const { source, destination, stops, active, force = false } = req.body;
 
             const db = getFirestore();
             const routeRef = db.collection('routes').doc(id);
@@ -483,7 +779,8 @@ const adminController = {
             }
 
             const updateData = {
-                updatedAt: new Date().toISOString()
+                updatedAt: new Date().toISOString(),
+                updatedBy: req.admin.username
             };
 
             if (source) updateData.source = source;
@@ -491,12 +788,45 @@ const adminController = {
             if (stops !== undefined) updateData.stops = stops;
             if (active !== undefined) updateData.active = Boolean(active);
 
-            await routeRef.update(updateData);
+            const current = routeDoc.data();
+
+            // Deactivating a route that future rides depend on needs force, and lists the rides either way
+            let affectedRides = [];
+            if (updateData.active === false && current.active !== false) {
+                affectedRides = await routeVersionService.getFutureRides(id);
+                if (affectedRides.length > 0 && !force) {
+                    return sendRouteInUseError(
+                        res,
+                        `${affectedRides.length} upcoming rides use this route; send force to deactivate it anyway`,
+                        affectedRides
+                    );
+                }
+            }
+
+            // Re-measure the stop sequence whenever the stops change
+            if (source || destination || stops !== undefined) {
+                try {
+                    Object.assign(updateData, await routeStopService.buildRouteFields(
+                        updateData.source || current.source,
+                        updateData.stops || current.stops,
+                        updateData.destination || current.destination
+                    ));
+                } catch (error) {
+                    return sendRouteStopError(res, error);
+                }
+            }
+
+            // Edits to the stops become a new version; rides keep the version they were created from
+            const { update, version, versionCreated } = await routeVersionService.prepareUpdate(
+                id, current, updateData, req.admin.username
+            );
+            await routeRef.update(update);
 
-            logger.info(`Route updated: ${id}`);
+            logger.info(`Route updated: ${id} (v${version})`);
 
             res.status(200).json({
                 success: true,
+                data: { id, version, versionCreated, affectedRides },
                 message: 'Route updated successfully'
             });
 
@@ -513,29 +843,1082 @@ const adminController = {
     },
 
     /**
-     * Delete Route
+     * Import a Route's Stop List (CSV or GeoJSON, in travel order)
      */
-    deleteRoute: async (req, res) => {
+    importRouteStops: async (req, res) => {
         try {
             const { id } = req.params;
+            const { format, content } = req.body;
+
             const db = getFirestore();
+            const routeRef = db.collection('routes').doc(id);
+            const routeDoc = await routeRef.get();
 
-            await db.collection('routes').doc(id).delete();
+            if (!routeDoc.exists) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: 'ROUTE_NOT_FOUND',
+                        message: 'Route not found'
+                    }
+                });
+            }
 
-            logger.info(`Route deleted: ${id}`);
+            let updateData;
+            try {
+                const { source, stops, destination } = routeStopService.parseStopImport(format, content);
+                updateData = {
+                    source,
+                    stops,
+                    destination,
+                    ...(await routeStopService.buildRouteFields(source, stops, destination)),
+                    updatedAt: new Date().toISOString(),
+                    updatedBy: req.admin.username
+                };
+            } catch (error) {
+                return sendRouteStopError(res, error);
+            }
+
+            const { update, version } = await routeVersionService.prepareUpdate(
+                id, routeDoc.data(), updateData, req.admin.username
+            );
+            await routeRef.update(update);
+
+            logger.info(`Route stops imported: ${id} v${version} (${updateData.stopSequence.length} stops from ${format})`);
 
             res.status(200).json({
                 success: true,
-                message: 'Route deleted successfully'
+                data: {
+                    id,
+                    ...routeDoc.data(),
+                    ...update
+                }
             });
 
         } catch (error) {
-            logger.error('Error deleting route:', error);
+            logger.error('Error importing route stops:', error);
             res.status(500).json({
                 success: false,
                 error: {
-                    code: 'DELETE_ROUTE_ERROR',
-                    message: 'Failed to delete route'
+                    code: 'IMPORT_ROUTE_STOPS_ERROR',
+                    message: 'Failed to import route stops'
+                }
+            });
+        }
+    },
+
+    /**
+     * Get Route Versions with how many upcoming rides use each
+     */
+    getRouteVersions: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const routeDoc = await getFirestore().collection('routes').doc(id).get();
+
+            if (!routeDoc.exists) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: 'ROUTE_NOT_FOUND',
+                        message: 'Route not found'
+                    }
+                });
+            }
+
+            const usage = await routeVersionService.getVersionUsage(id, routeDoc.data());
+
+            res.status(200).json({
+                success: true,
+                data: { id, ...usage }
+            });
+
+        } catch (error) {
+            logger.error('Error fetching route versions:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_ROUTE_VERSIONS_ERROR',
+                    message: 'Failed to fetch route versions'
+                }
+            });
+        }
+    },
+
+    /**
+     * Get One Route Version
+     */
+    getRouteVersion: async (req, res) => {
+        try {
+            const { id, version } = req.params;
+            const routeVersion = await routeVersionService.getVersion(id, parseInt(version));
+
+            if (!routeVersion) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: 'ROUTE_VERSION_NOT_FOUND',
+                        message: 'Route version not found'
+                    }
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: routeVersion
+            });
+
+        } catch (error) {
+            logger.error('Error fetching route version:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_ROUTE_VERSION_ERROR',
+                    message: 'Failed to fetch route version'
+                }
+            });
+        }
+    },
+
+    /**
+     * Diff Two Route Versions (?from=1&to=2)
+     */
+    diffRouteVersions: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const from = parseInt(req.query.from);
+            const to = parseInt(req.query.to);
+
+            if (!from || !to) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'INVALID_VERSIONS',
+                        message: 'from and to version numbers are required'
+                    }
+                });
+            }
+
+            const diff = await routeVersionService.diffVersions(id, from, to);
+
+            res.status(200).json({
+                success: true,
+                data: diff
+            });
+
+        } catch (error) {
+            if (error.message === 'Route version not found') {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: 'ROUTE_VERSION_NOT_FOUND',
+                        message: error.message
+                    }
+                });
+            }
+
+            logger.error('Error diffing route versions:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'DIFF_ROUTE_VERSIONS_ERROR',
+                    message: 'Failed to compare route versions'
+                }
+            });
+        }
+    },
+
+    /**
+     * Delete Route
+     */
+    deleteRoute: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const db = getFirestore();
+
+            // Rides keep their route version, but a deleted route can't be managed any more
+            const affectedRides = await routeVersionService.getFutureRides(id);
+            if (affectedRides.length > 0) {
+                return sendRouteInUseError(
+                    res,
+                    `${affectedRides.length} upcoming rides use this route; deactivate it instead`,
+                    affectedRides
+                );
+            }
+
+            await db.collection('routes').doc(id).delete();
+
+            logger.info(`Route deleted: ${id}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Route deleted successfully'
+            });
+
+        } catch (error) {
+            logger.error('Error deleting route:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'DELETE_ROUTE_ERROR',
+                    message: 'Failed to delete route'
+                }
+            });
+        }
+    },
+
+    /**
+     * Get Payouts by Status (approval queue)
+     */
+    getPayouts: async (req, res) => {
+        try {
+            const status = req.query.status || 'requested';
+            const limit = parseInt(req.query.limit) || 100;
+            const payouts = await payoutService.listPayoutsByStatus(status, limit);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    payouts: payouts.map(payout => payout.getDetails()),
+                    total: payouts.length,
+                    status
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching payouts:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_PAYOUTS_ERROR',
+                    message: 'Failed to fetch payouts'
+                }
+            });
+        }
+    },
+
+    /**
+     * Approve Payout
+     */
+    approvePayout: async (req, res) => {
+        try {
+            const payout = await payoutService.approvePayout(req.params.id, req.admin.username, req.body.note || null);
+
+            logger.info(`Payout approved by admin ${req.admin.username}: ${req.params.id}`);
+
+            res.status(200).json({
+                success: true,
+                data: payout.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error approving payout:', error);
+            sendPayoutActionError(res, error, 'APPROVE_PAYOUT_ERROR');
+        }
+    },
+
+    /**
+     * Reject Payout
+     */
+    rejectPayout: async (req, res) => {
+        try {
+            const { reason } = req.body;
+            if (!reason) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'VALIDATION_ERROR',
+                        message: 'Rejection reason is required'
+                    }
+                });
+            }
+
+            const payout = await payoutService.rejectPayout(req.params.id, req.admin.username, reason);
+
+            logger.info(`Payout rejected by admin ${req.admin.username}: ${req.params.id}`);
+
+            res.status(200).json({
+                success: true,
+                data: payout.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error rejecting payout:', error);
+            sendPayoutActionError(res, error, 'REJECT_PAYOUT_ERROR');
+        }
+    },
+
+    /**
+     * Send Approved Payout through the payout gateway
+     */
+    processPayout: async (req, res) => {
+        try {
+            const payout = await payoutService.executePayout(req.params.id, req.admin.username);
+
+            res.status(200).json({
+                success: true,
+                data: payout.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error processing payout:', error);
+            sendPayoutActionError(res, error, 'PROCESS_PAYOUT_ERROR');
+        }
+    },
+
+    /**
+     * Retry Failed Payout
+     */
+    retryPayout: async (req, res) => {
+        try {
+            const payout = await payoutService.retryPayout(req.params.id, req.admin.username);
+
+            res.status(200).json({
+                success: true,
+                data: payout.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error retrying payout:', error);
+            sendPayoutActionError(res, error, 'RETRY_PAYOUT_ERROR');
+        }
+    },
+
+    /**
+     * Mark Payout as Paid (manual transfers)
+     */
+    markPayoutPaid: async (req, res) => {
+        try {
+            const { reference } = req.body;
+            if (!reference) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'VALIDATION_ERROR',
+                        message: 'Transfer reference is required'
+                    }
+                });
+            }
+
+            const payout = await payoutService.markPayoutPaid(req.params.id, req.admin.username, reference);
+
+            res.status(200).json({
+                success: true,
+                data: payout.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error marking payout as paid:', error);
+            sendPayoutActionError(res, error, 'MARK_PAYOUT_PAID_ERROR');
+        }
+    },
+
+    /**
+     * Mark Payout as Failed (manual transfers)
+     */
+    markPayoutFailed: async (req, res) => {
+        try {
+            const payout = await payoutService.markPayoutFailed(
+                req.params.id,
+                req.admin.username,
+                req.body.reason || 'Transfer failed'
+            );
+
+            res.status(200).json({
+                success: true,
+                data: payout.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error marking payout as failed:', error);
+            sendPayoutActionError(res, error, 'MARK_PAYOUT_FAILED_ERROR');
+        }
+    },
+
+    /**
+     * Run Scheduled Payouts now
+     */
+    runScheduledPayouts: async (req, res) => {
+        try {
+            const summary = await payoutService.runScheduledPayouts();
+
+            res.status(200).json({
+                success: true,
+                data: summary
+            });
+        } catch (error) {
+            logger.error('Error running scheduled payouts:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'SCHEDULED_PAYOUTS_ERROR',
+                    message: 'Failed to run scheduled payouts'
+                }
+            });
+        }
+    },
+
+    /**
+     * Get All Promo Codes
+     */
+    getPromoCodes: async (req, res) => {
+        try {
+            const promoCodes = await promoService.listPromoCodes();
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    promoCodes: promoCodes.map(promo => promo.getDetails()),
+                    total: promoCodes.length
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching promo codes:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_PROMO_CODES_ERROR',
+                    message: 'Failed to fetch promo codes'
+                }
+            });
+        }
+    },
+
+    /**
+     * Create Promo Code
+     */
+    createPromoCode: async (req, res) => {
+        try {
+            const promo = await promoService.createPromoCode(req.body, req.admin.username);
+
+            logger.info(`Promo code created by admin ${req.admin.username}: ${promo.code}`);
+
+            res.status(201).json({
+                success: true,
+                data: promo.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error creating promo code:', error);
+            sendPromoActionError(res, error, 'CREATE_PROMO_CODE_ERROR');
+        }
+    },
+
+    /**
+     * Update Promo Code (including deactivating it)
+     */
+    updatePromoCode: async (req, res) => {
+        try {
+            const promo = await promoService.updatePromoCode(req.params.id, req.body, req.admin.username);
+
+            logger.info(`Promo code updated by admin ${req.admin.username}: ${promo.code}`);
+
+            res.status(200).json({
+                success: true,
+                data: promo.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error updating promo code:', error);
+            sendPromoActionError(res, error, 'UPDATE_PROMO_CODE_ERROR');
+        }
+    },
+
+    /**
+     * Get Promo Code Redemptions
+     */
+    getPromoRedemptions: async (req, res) => {
+        try {
+            const redemptions = await promoService.getRedemptions(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    redemptions,
+                    total: redemptions.length
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching promo code redemptions:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_PROMO_REDEMPTIONS_ERROR',
+                    message: 'Failed to fetch promo code redemptions'
+                }
+            });
+        }
+    },
+
+    /**
+     * Get Signed-in Admin
+     */
+    getCurrentAdmin: async (req, res) => {
+        try {
+            const admin = await adminAuthService.getAdmin(req.admin.uid);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    ...admin.getSafeDetails(),
+                    permissions: req.admin.permissions
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching admin account:', error);
+            sendAdminAccountError(res, error, 'FETCH_ADMIN_ERROR');
+        }
+    },
+
+    /**
+     * Change Own Password
+     */
+    changeOwnPassword: async (req, res) => {
+        try {
+            const { currentPassword, newPassword } = req.body;
+            const admin = await adminAuthService.changeOwnPassword(req.admin.uid, currentPassword, newPassword);
+
+            // The change signs out every existing session, this one included
+            const token = generateAdminToken(await adminAuthService.getAdmin(req.admin.uid));
+
+            res.status(200).json({
+                success: true,
+                data: { ...admin, token }
+            });
+        } catch (error) {
+            logger.error('Error changing admin password:', error);
+            sendAdminAccountError(res, error, 'CHANGE_PASSWORD_ERROR');
+        }
+    },
+
+    /**
+     * Start Two-Factor Setup (returns the secret to add to an authenticator app)
+     */
+    startTotpSetup: async (req, res) => {
+        try {
+            const setup = await adminAuthService.startTotpSetup(req.admin.uid);
+
+            res.status(200).json({
+                success: true,
+                data: setup
+            });
+        } catch (error) {
+            logger.error('Error starting two-factor setup:', error);
+            sendAdminAccountError(res, error, 'TOTP_SETUP_ERROR');
+        }
+    },
+
+    /**
+     * Confirm Two-Factor Setup with a code from the new secret
+     */
+    confirmTotpSetup: async (req, res) => {
+        try {
+            const admin = await adminAuthService.confirmTotpSetup(req.admin.uid, req.body.code);
+
+            res.status(200).json({
+                success: true,
+                data: admin
+            });
+        } catch (error) {
+            logger.error('Error confirming two-factor setup:', error);
+            sendAdminAccountError(res, error, 'TOTP_SETUP_ERROR');
+        }
+    },
+
+    /**
+     * Disable Two-Factor Authentication
+     */
+    disableTotp: async (req, res) => {
+        try {
+            const admin = await adminAuthService.disableTotp(req.admin.uid, req.body.code);
+
+            res.status(200).json({
+                success: true,
+                data: admin
+            });
+        } catch (error) {
+            logger.error('Error disabling two-factor authentication:', error);
+            sendAdminAccountError(res, error, 'TOTP_DISABLE_ERROR');
+        }
+    },
+
+    /**
+     * Get All Admin Accounts
+     */
+    getAdmins: async (req, res) => {
+        try {
+            const admins = await adminAuthService.listAdmins();
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    admins,
+                    total: admins.length
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching admin accounts:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_ADMINS_ERROR',
+                    message: 'Failed to fetch admin accounts'
+                }
+            });
+        }
+    },
+
+    /**
+     * Create Admin Account
+     */
+    createAdmin: async (req, res) => {
+        try {
+            const admin = await adminAuthService.createAdmin(req.body, req.admin.username);
+
+            res.status(201).json({
+                success: true,
+                data: admin
+            });
+        } catch (error) {
+            logger.error('Error creating admin account:', error);
+            sendAdminAccountError(res, error, 'CREATE_ADMIN_ERROR');
+        }
+    },
+
+    /**
+     * Update Admin Account (role, status, unlock, reset two-factor)
+     */
+    updateAdmin: async (req, res) => {
+        try {
+            const admin = await adminAuthService.updateAdmin(req.params.id, req.body, req.admin);
+
+            res.status(200).json({
+                success: true,
+                data: admin
+            });
+        } catch (error) {
+            logger.error('Error updating admin account:', error);
+            sendAdminAccountError(res, error, 'UPDATE_ADMIN_ERROR');
+        }
+    },
+
+    /**
+     * Reset Another Admin's Password
+     */
+    resetAdminPassword: async (req, res) => {
+        try {
+            const admin = await adminAuthService.resetPassword(req.params.id, req.body.newPassword, req.admin.username);
+
+            res.status(200).json({
+                success: true,
+                data: admin
+            });
+        } catch (error) {
+            logger.error('Error resetting admin password:', error);
+            sendAdminAccountError(res, error, 'RESET_PASSWORD_ERROR');
+        }
+    },
+
+    /**
+     * Get Admin Audit Log
+     */
+    getAuditLog: async (req, res) => {
+        try {
+            const entries = await adminAuthService.getAuditLog({
+                adminId: req.query.adminId || null,
+                limit: req.query.limit
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    entries,
+                    total: entries.length
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching admin audit log:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_AUDIT_LOG_ERROR',
+                    message: 'Failed to fetch admin audit log'
+                }
+            });
+        }
+    },
+
+    /**
+     * Get Trip Breadcrumb Trail (replay for dispute resolution)
+     */
+    getTripTrail: async (req, res) => {
+        try {
+            const trail = await tripTrackingService.getTrail(req.params.rideId, {
+                from: req.query.from || null,
+                to: req.query.to || null
+            });
+
+            res.status(200).json({
+                success: true,
+                data: trail
+            });
+        } catch (error) {
+            logger.error('Error fetching trip trail:', error);
+            const notFound = error.message.includes('has not been started');
+            res.status(notFound ? 404 : 500).json({
+                success: false,
+                error: {
+                    code: notFound ? 'TRIP_NOT_FOUND' : 'FETCH_TRIP_TRAIL_ERROR',
+                    message: notFound ? 'No tracked trip for this ride' : 'Failed to fetch trip trail'
+                }
+            });
+        }
+    },
+
+    /**
+     * Get No-Show Reports (disputed ones by default)
+     */
+    getNoShowReports: async (req, res) => {
+        try {
+            const status = req.query.status || 'under_review';
+            if (!['open', 'under_review', 'upheld', 'dismissed'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'INVALID_STATUS',
+                        message: 'Status must be open, under_review, upheld or dismissed'
+                    }
+                });
+            }
+
+            const reports = await noShowService.listReports(status);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    reports: reports.map(report => report.getDetails()),
+                    total: reports.length
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching no-show reports:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_NO_SHOWS_ERROR',
+                    message: 'Failed to fetch no-show reports'
+                }
+            });
+        }
+    },
+
+    /**
+     * Resolve a Disputed No-Show Report (upheld applies the refund or fee)
+     */
+    resolveNoShowReport: async (req, res) => {
+        try {
+            const { outcome, reason } = req.body;
+            if (!outcome || !reason) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'MISSING_FIELDS',
+                        message: 'Outcome and reason are required'
+                    }
+                });
+            }
+
+            const report = await noShowService.resolveDisputedReport(req.params.bookingId, outcome, reason, req.admin.username);
+
+            logger.info(`No-show report ${outcome} by admin ${req.admin.username}: ${req.params.bookingId}`);
+
+            res.status(200).json({
+                success: true,
+                data: report.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error resolving no-show report:', error);
+            const notFound = error.message === 'No-show report not found';
+            res.status(notFound ? 404 : 400).json({
+                success: false,
+                error: {
+                    code: notFound ? 'NO_SHOW_NOT_FOUND' : 'RESOLVE_NO_SHOW_ERROR',
+                    message: error.message
+                }
+            });
+        }
+    },
+
+    /**
+     * Get SOS Incidents (everything not yet resolved by default)
+     */
+    getIncidents: async (req, res) => {
+        try {
+            const status = req.query.status || 'active';
+            if (!['active', 'open', 'acknowledged', 'resolved'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'INVALID_STATUS',
+                        message: 'Status must be active, open, acknowledged or resolved'
+                    }
+                });
+            }
+
+            const incidents = await incidentService.listIncidents(status);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    incidents: incidents.map(incident => incident.getDetails()),
+                    total: incidents.length
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching SOS incidents:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_INCIDENTS_ERROR',
+                    message: 'Failed to fetch SOS incidents'
+                }
+            });
+        }
+    },
+
+    /**
+     * Get an SOS Incident with its trip snapshot and timeline
+     */
+    getIncident: async (req, res) => {
+        try {
+            const incident = await incidentService.getIncident(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                data: incident.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error fetching SOS incident:', error);
+            const notFound = error.message === 'Incident not found';
+            res.status(notFound ? 404 : 500).json({
+                success: false,
+                error: {
+                    code: notFound ? 'INCIDENT_NOT_FOUND' : 'FETCH_INCIDENT_ERROR',
+                    message: notFound ? error.message : 'Failed to fetch SOS incident'
+                }
+            });
+        }
+    },
+
+    /**
+     * Acknowledge an SOS Incident (stops the acknowledgement escalation)
+     */
+    acknowledgeIncident: async (req, res) => {
+        try {
+            const incident = await incidentService.acknowledge(req.params.id, req.admin.username, req.body.note || null);
+
+            res.status(200).json({
+                success: true,
+                data: incident.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error acknowledging SOS incident:', error);
+            sendIncidentActionError(res, error, 'ACKNOWLEDGE_INCIDENT_ERROR');
+        }
+    },
+
+    /**
+     * Add a Status Note to an SOS Incident
+     */
+    addIncidentNote: async (req, res) => {
+        try {
+            const { text } = req.body;
+            if (!text || typeof text !== 'string' || !text.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'MISSING_FIELDS',
+                        message: 'Note text is required'
+                    }
+                });
+            }
+
+            const incident = await incidentService.addNote(req.params.id, req.admin.username, text.trim());
+
+            res.status(201).json({
+                success: true,
+                data: incident.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error adding SOS incident note:', error);
+            sendIncidentActionError(res, error, 'ADD_INCIDENT_NOTE_ERROR');
+        }
+    },
+
+    /**
+     * Escalate an SOS Incident to the on-call team
+     */
+    escalateIncident: async (req, res) => {
+        try {
+            const { reason } = req.body;
+            if (!reason) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'MISSING_FIELDS',
+                        message: 'Reason is required'
+                    }
+                });
+            }
+
+            const incident = await incidentService.escalateIncident(req.params.id, req.admin.username, reason);
+
+            res.status(200).json({
+                success: true,
+                data: incident.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error escalating SOS incident:', error);
+            sendIncidentActionError(res, error, 'ESCALATE_INCIDENT_ERROR');
+        }
+    },
+
+    /**
+     * Resolve an SOS Incident
+     */
+    resolveIncident: async (req, res) => {
+        try {
+            const { outcome, summary } = req.body;
+            if (!outcome || !summary) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'MISSING_FIELDS',
+                        message: 'Outcome and summary are required'
+                    }
+                });
+            }
+
+            const incident = await incidentService.resolve(req.params.id, req.admin.username, { outcome, summary });
+
+            res.status(200).json({
+                success: true,
+                data: incident.getDetails()
+            });
+        } catch (error) {
+            logger.error('Error resolving SOS incident:', error);
+            sendIncidentActionError(res, error, 'RESOLVE_INCIDENT_ERROR');
+        }
+    },
+
+    /**
+     * Get Recent Notifications, optionally for one user or status
+     */
+    getNotifications: async (req, res) => {
+        try {
+            const { userId, status } = req.query;
+            if (status && !['pending', 'sent', 'delivered', 'digest', 'failed'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'INVALID_STATUS',
+                        message: 'Status must be pending, sent, delivered, digest or failed'
+                    }
+                });
+            }
+
+            const notifications = await notificationOutboxService.listNotifications({
+                userId: userId || null,
+                status: status || null,
+                limit: Math.min(parseInt(req.query.limit) || 50, 200)
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    notifications: notifications.map(notification => notification.getDetails()),
+                    total: notifications.length
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching notifications:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'FETCH_NOTIFICATIONS_ERROR',
+                    message: 'Failed to fetch notifications'
+                }
+            });
+        }
+    },
+
+    /**
+     * Get a Notification's Delivery Timeline
+     */
+    getNotification: async (req, res) => {
+        try {
+            const notification = await notificationOutboxService.getNotification(req.params.id, { isAdmin: true });
+
+            res.status(200).json({
+                success: true,
+                data: notification.toJSON()
+            });
+        } catch (error) {
+            logger.error('Error fetching notification:', error);
+            const notFound = error.message === 'Notification not found';
+            res.status(notFound ? 404 : 500).json({
+                success: false,
+                error: {
+                    code: notFound ? 'NOTIFICATION_NOT_FOUND' : 'FETCH_NOTIFICATION_ERROR',
+                    message: notFound ? 'Notification not found' : 'Failed to fetch notification'
+                }
+            });
+        }
+    },
+
+    /**
+     * List Notification Templates and the Languages They Come In
+     */
+    getNotificationTemplates: async (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: {
+                templates: templateService.getTemplateKeys(),
+                locales: templateService.getSupportedLocales()
+            }
+        });
+    },
+
+    /**
+     * Preview a Notification Template with Sample Data
+     * Query parameters other than `locale` replace sample values.
+     */
+    previewNotificationTemplate: async (req, res) => {
+        try {
+            const { locale = 'en', ...overrides } = req.query;
+            const supported = templateService.getSupportedLocales().map(({ code }) => code);
+
+            if (!supported.includes(locale)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'INVALID_LOCALE',
+                        message: `Locale must be one of ${supported.join(', ')}`
+                    }
+                });
+            }
+
+            if (!templateService.hasTemplate(req.params.key)) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: 'TEMPLATE_NOT_FOUND',
+                        message: 'Template not found'
+                    }
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: templateService.preview(req.params.key, locale, overrides)
+            });
+        } catch (error) {
+            logger.error('Error previewing notification template:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    code: 'PREVIEW_TEMPLATE_ERROR',
+                    message: 'Failed to preview template'
                 }
             });
         }
@@ -1,13 +1,21 @@
 const { verifyIdToken } = require('../config/firebase');
 const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+const adminAuthService = require('../services/adminAuthService');
+const { hasPermission, getPermissions } = require('./permissions');
+const logger = require('../utils/logger');
 
-// Use a separate secret for admin or reuse the firebase logic if possible?
-// The requirements say "Use JWT-based authentication" and "Create a separate admin login system".
-// Since we are creating a custom login for "tripO" user without firebase auth user record,
-// we should probably sign our own JWT for the admin session or use a simple secret.
-// Given the prompt "structure it so it can be moved to env variables later", I'll use a local secret.
-
-const ADMIN_JWT_SECRET = process.env.ADMIN_JWT_SECRET || 'tripO_admin_secret_key_change_in_production';
+/**
+ * Secret admin session tokens are signed with. There is deliberately no
+ * fallback: a known default would let anyone mint admin tokens.
+ */
+const getAdminJwtSecret = () => {
+    const secret = process.env.ADMIN_JWT_SECRET;
+    if (!secret) {
+        throw new Error('ADMIN_JWT_SECRET is not configured');
+    }
+    return secret;
+};
 
 /**
  * Generate Admin Token
@@ -15,17 +23,41 @@ const ADMIN_JWT_SECRET = process.env.ADMIN_JWT_SECRET || 'tripO_admin_secret_key
 const generateAdminToken = (adminUser) => {
     return jwt.sign(
         {
-            uid: 'admin-superuser',
+            uid: adminUser.id,
             username: adminUser.username,
-            role: 'admin'
+            role: 'admin',
+            adminRole: adminUser.role,
+            tokenVersion: adminUser.tokenVersion
         },
-        ADMIN_JWT_SECRET,
+        getAdminJwtSecret(),
         { expiresIn: '24h' }
     );
 };
 
+/**
+ * Record who made a change once the response is sent
+ */
+const auditAdminChange = (req, res) => {
+    res.on('finish', () => {
+        adminAuthService.recordAuditEntry({
+            adminId: req.admin.uid,
+            username: req.admin.username,
+            action: `${req.method} ${req.route ? req.baseUrl + req.route.path : req.originalUrl}`,
+            method: req.method,
+            path: req.originalUrl,
+            params: req.params,
+            body: req.body,
+            statusCode: res.statusCode,
+            ip: req.ip
+        });
+    });
+};
+
 /**
  * Admin Authentication Middleware
+ * The account is re-read on every request so disabling an admin,
+ * changing their role or changing their password applies immediately,
+ * not when the token expires.
  */
 const authenticateAdmin = (req, res, next) => {
     try {
@@ -42,7 +74,7 @@ const authenticateAdmin = (req, res, next) => {
             });
         }
 
-        jwt.verify(token, ADMIN_JWT_SECRET, (err, decoded) => {
+        jwt.verify(token, getAdminJwtSecret(), async (err, decoded) => {
             if (err) {
                 return res.status(403).json({
                     success: false,
@@ -63,10 +95,54 @@ const authenticateAdmin = (req, res, next) => {
                 });
             }
 
-            req.admin = decoded;
-            next();
+            try {
+                const admin = await AdminUser.findById(decoded.uid);
+                if (!admin || !admin.active) {
+                    return res.status(403).json({
+                        success: false,
+                        error: {
+                            code: 'ACCOUNT_DISABLED',
+                            message: 'Admin account is disabled or no longer exists'
+                        }
+                    });
+                }
+
+                // Tokens issued before the last password change are no longer valid
+                if ((decoded.tokenVersion || 0) !== admin.tokenVersion) {
+                    return res.status(403).json({
+                        success: false,
+                        error: {
+                            code: 'INVALID_TOKEN',
+                            message: 'Invalid or expired admin token'
+                        }
+                    });
+                }
+
+                req.admin = {
+                    uid: admin.id,
+                    username: admin.username,
+                    role: admin.role,
+                    permissions: getPermissions(admin.role)
+                };
+
+                if (req.method !== 'GET') {
+                    auditAdminChange(req, res);
+                }
+
+                next();
+            } catch (error) {
+                logger.error('Admin account lookup error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: {
+                        code: 'AUTH_ERROR',
+                        message: 'Authentication failed'
+                    }
+                });
+            }
         });
     } catch (error) {
+        logger.error('Admin authentication error:', error);
         return res.status(500).json({
             success: false,
             error: {
@@ -77,7 +153,25 @@ const authenticateAdmin = (req, res, next) => {
     }
 };
 
+/**
+ * Permission Middleware (use after authenticateAdmin)
+ */
+const requirePermission = (permission) => (req, res, next) => {
+    if (!req.admin || !hasPermission(req.admin.role, permission)) {
+        return res.status(403).json({
+            success: false,
+            error: {
+                code: 'INSUFFICIENT_PERMISSIONS',
+                message: `Your admin role does not allow ${permission}`
+            }
+        });
+    }
+
+    next();
+};
+
 module.exports = {
     authenticateAdmin,
+    requirePermission,
     generateAdminToken
 };
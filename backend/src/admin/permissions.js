@@ -0,0 +1,67 @@
+/**
+ * Admin roles and the permissions each one grants.
+ * Routes ask for a permission, never a role, so a role can be widened
+ * here without touching the route table.
+ */
+const ADMIN_ROLES = ['super_admin', 'operations', 'support', 'finance', 'read_only'];
+
+const ROLE_PERMISSIONS = {
+    super_admin: ['*'],
+    operations: [
+        'dashboard:view',
+        'users:view', 'users:manage',
+        'stops:view', 'stops:manage',
+        'routes:view', 'routes:manage',
+        'promos:view',
+        'trips:view',
+        'no_shows:view', 'no_shows:resolve',
+        'incidents:view', 'incidents:manage',
+        'notifications:view'
+    ],
+    support: [
+        'dashboard:view',
+        'users:view', 'users:manage',
+        'stops:view',
+        'routes:view',
+        'trips:view',
+        'no_shows:view', 'no_shows:resolve',
+        'incidents:view', 'incidents:manage',
+        'notifications:view'
+    ],
+    finance: [
+        'dashboard:view',
+        'users:view',
+        'payouts:view', 'payouts:manage',
+        'promos:view', 'promos:manage',
+        'no_shows:view'
+    ],
+    read_only: [
+        'dashboard:view',
+        'users:view',
+        'stops:view',
+        'routes:view',
+        'payouts:view',
+        'promos:view',
+        'trips:view',
+        'no_shows:view',
+        'incidents:view',
+        'notifications:view'
+    ]
+};
+
+const isValidRole = (role) => ADMIN_ROLES.includes(role);
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => {
+    const permissions = getPermissions(role);
+    return permissions.includes('*') || permissions.includes(permission);
+};
+
+module.exports = {
+    ADMIN_ROLES,
+    ROLE_PERMISSIONS,
+    isValidRole,
+    getPermissions,
+    hasPermission
+};
@@ -1,26 +1,85 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('./controller');
-const { authenticateAdmin } = require('./middleware');
+const { authenticateAdmin, requirePermission } = require('./middleware');
 
 // Public Admin Route
 router.post('/login', adminController.login);
 
 // Protected Admin Routes
-router.get('/dashboard', authenticateAdmin, adminController.getDashboardStats);
-router.get('/users', authenticateAdmin, adminController.getUsers);
-router.delete('/user/:id', authenticateAdmin, adminController.deleteUser);
-router.patch('/user/:id', authenticateAdmin, adminController.updateUserStatus);
+router.get('/dashboard', authenticateAdmin, requirePermission('dashboard:view'), adminController.getDashboardStats);
+router.get('/users', authenticateAdmin, requirePermission('users:view'), adminController.getUsers);
+router.delete('/user/:id', authenticateAdmin, requirePermission('users:delete'), adminController.deleteUser);
+router.patch('/user/:id', authenticateAdmin, requirePermission('users:manage'), adminController.updateUserStatus);
 
 // Stop Management Routes (Protected)
-router.post('/stops', authenticateAdmin, adminController.addStop);
-router.get('/stops', authenticateAdmin, adminController.getStops);
-router.delete('/stops/:id', authenticateAdmin, adminController.deleteStop);
+router.post('/stops', authenticateAdmin, requirePermission('stops:manage'), adminController.addStop);
+router.get('/stops', authenticateAdmin, requirePermission('stops:view'), adminController.getStops);
+router.get('/stops/duplicates', authenticateAdmin, requirePermission('stops:view'), adminController.getStopDuplicates);
+router.post('/stops/merge', authenticateAdmin, requirePermission('stops:manage'), adminController.mergeStops);
+router.post('/stops/reindex', authenticateAdmin, requirePermission('stops:manage'), adminController.reindexStops);
+router.patch('/stops/:id', authenticateAdmin, requirePermission('stops:manage'), adminController.updateStop);
+router.delete('/stops/:id', authenticateAdmin, requirePermission('stops:manage'), adminController.deleteStop);
 
 // Route Management Routes (Protected)
-router.post('/routes', authenticateAdmin, adminController.addRoute);
-router.get('/routes', authenticateAdmin, adminController.getRoutes);
-router.patch('/routes/:id', authenticateAdmin, adminController.updateRoute);
-router.delete('/routes/:id', authenticateAdmin, adminController.deleteRoute);
+router.post('/routes', authenticateAdmin, requirePermission('routes:manage'), adminController.addRoute);
+router.get('/routes', authenticateAdmin, requirePermission('routes:view'), adminController.getRoutes);
+router.patch('/routes/:id', authenticateAdmin, requirePermission('routes:manage'), adminController.updateRoute);
+router.post('/routes/:id/stops/import', authenticateAdmin, requirePermission('routes:manage'), adminController.importRouteStops);
+router.get('/routes/:id/versions', authenticateAdmin, requirePermission('routes:view'), adminController.getRouteVersions);
+router.get('/routes/:id/versions/diff', authenticateAdmin, requirePermission('routes:view'), adminController.diffRouteVersions);
+router.get('/routes/:id/versions/:version', authenticateAdmin, requirePermission('routes:view'), adminController.getRouteVersion);
+router.delete('/routes/:id', authenticateAdmin, requirePermission('routes:manage'), adminController.deleteRoute);
+
+// Payout Management Routes (Protected)
+router.get('/payouts', authenticateAdmin, requirePermission('payouts:view'), adminController.getPayouts);
+router.post('/payouts/run-scheduled', authenticateAdmin, requirePermission('payouts:manage'), adminController.runScheduledPayouts);
+router.post('/payouts/:id/approve', authenticateAdmin, requirePermission('payouts:manage'), adminController.approvePayout);
+router.post('/payouts/:id/reject', authenticateAdmin, requirePermission('payouts:manage'), adminController.rejectPayout);
+router.post('/payouts/:id/process', authenticateAdmin, requirePermission('payouts:manage'), adminController.processPayout);
+router.post('/payouts/:id/retry', authenticateAdmin, requirePermission('payouts:manage'), adminController.retryPayout);
+router.post('/payouts/:id/mark-paid', authenticateAdmin, requirePermission('payouts:manage'), adminController.markPayoutPaid);
+router.post('/payouts/:id/mark-failed', authenticateAdmin, requirePermission('payouts:manage'), adminController.markPayoutFailed);
+
+// Promo Code Management Routes (Protected)
+router.get('/promo-codes', authenticateAdmin, requirePermission('promos:view'), adminController.getPromoCodes);
+router.post('/promo-codes', authenticateAdmin, requirePermission('promos:manage'), adminController.createPromoCode);
+router.patch('/promo-codes/:id', authenticateAdmin, requirePermission('promos:manage'), adminController.updatePromoCode);
+router.get('/promo-codes/:id/redemptions', authenticateAdmin, requirePermission('promos:view'), adminController.getPromoRedemptions);
+
+// Own Account Routes (any signed-in admin)
+router.get('/me', authenticateAdmin, adminController.getCurrentAdmin);
+router.post('/me/password', authenticateAdmin, adminController.changeOwnPassword);
+router.post('/me/totp/setup', authenticateAdmin, adminController.startTotpSetup);
+router.post('/me/totp/confirm', authenticateAdmin, adminController.confirmTotpSetup);
+router.post('/me/totp/disable', authenticateAdmin, adminController.disableTotp);
+
+// Admin Account Management Routes (Protected)
+router.get('/admins', authenticateAdmin, requirePermission('admins:manage'), adminController.getAdmins);
+router.post('/admins', authenticateAdmin, requirePermission('admins:manage'), adminController.createAdmin);
+router.patch('/admins/:id', authenticateAdmin, requirePermission('admins:manage'), adminController.updateAdmin);
+router.post('/admins/:id/reset-password', authenticateAdmin, requirePermission('admins:manage'), adminController.resetAdminPassword);
+router.get('/audit-log', authenticateAdmin, requirePermission('audit:view'), adminController.getAuditLog);
+
+// Trip Tracking Routes (Protected)
+router.get('/trips/:rideId/trail', authenticateAdmin, requirePermission('trips:view'), adminController.getTripTrail);
+
+// No-Show Review Routes (Protected)
+router.get('/no-shows', authenticateAdmin, requirePermission('no_shows:view'), adminController.getNoShowReports);
+router.post('/no-shows/:bookingId/resolve', authenticateAdmin, requirePermission('no_shows:resolve'), adminController.resolveNoShowReport);
+
+// SOS Incident Routes (Protected)
+router.get('/incidents', authenticateAdmin, requirePermission('incidents:view'), adminController.getIncidents);
+router.get('/incidents/:id', authenticateAdmin, requirePermission('incidents:view'), adminController.getIncident);
+router.post('/incidents/:id/acknowledge', authenticateAdmin, requirePermission('incidents:manage'), adminController.acknowledgeIncident);
+router.post('/incidents/:id/notes', authenticateAdmin, requirePermission('incidents:manage'), adminController.addIncidentNote);
+router.post('/incidents/:id/escalate', authenticateAdmin, requirePermission('incidents:manage'), adminController.escalateIncident);
+router.post('/incidents/:id/resolve', authenticateAdmin, requirePermission('incidents:manage'), adminController.resolveIncident);
+
+// Notification Delivery Routes (Protected)
+router.get('/notifications', authenticateAdmin, requirePermission('notifications:view'), adminController.getNotifications);
+router.get('/notifications/:id', authenticateAdmin, requirePermission('notifications:view'), adminController.getNotification);
+router.get('/notification-templates', authenticateAdmin, requirePermission('notifications:view'), adminController.getNotificationTemplates);
+router.get('/notification-templates/:key/preview', authenticateAdmin, requirePermission('notifications:view'), adminController.previewNotificationTemplate);
 
 module.exports = router;
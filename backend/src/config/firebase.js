@@ -2,6 +2,7 @@ const admin = require('firebase-admin');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
+const { isLocalMode, getLocalStores } = require('./local');
 
 let firebaseApp = null;
 let isDevelopmentMode = false;
@@ -16,6 +17,16 @@ async function initializeFirebase() {
       return firebaseApp;
     }
 
+    // Local mode: in-memory Auth, Firestore, Realtime Database and Messaging
+    if (isLocalMode()) {
+      logger.info('Running Firebase in local mode with in-memory stores');
+      firebaseApp = {
+        _isLocal: true,
+        name: 'tripo-local'
+      };
+      return firebaseApp;
+    }
+
     // Check if we're in development mode with mock credentials
     // Relaxed check: if project ID is tripo-development OR NODE_ENV is development
     logger.info(`Checking Firebase mode. Project: ${process.env.FIREBASE_PROJECT_ID}, Env: ${process.env.NODE_ENV}`);
@@ -87,6 +98,11 @@ async function initializeFirebase() {
  * Get Firebase Auth instance
  */
 function getAuth() {
+  // Local stores need no initialization
+  if (isLocalMode()) {
+    return getLocalStores().auth;
+  }
+
   if (!firebaseApp) {
     throw new Error('Firebase not initialized. Call initializeFirebase() first.');
   }
@@ -109,6 +125,11 @@ function getAuth() {
  * Get Firestore instance
  */
 function getFirestore() {
+  // Local stores need no initialization
+  if (isLocalMode()) {
+    return getLocalStores().firestore;
+  }
+
   if (!firebaseApp) {
     throw new Error('Firebase not initialized. Call initializeFirebase() first.');
   }
@@ -238,6 +259,11 @@ function getFirestore() {
  * Get Realtime Database instance
  */
 function getDatabase() {
+  // Local stores need no initialization
+  if (isLocalMode()) {
+    return getLocalStores().database;
+  }
+
   if (!firebaseApp) {
     throw new Error('Firebase not initialized. Call initializeFirebase() first.');
   }
@@ -325,6 +351,17 @@ function getDatabase() {
   }
 }
 
+/**
+ * Get Firebase Cloud Messaging instance
+ */
+function getMessaging() {
+  if (isLocalMode()) {
+    return getLocalStores().messaging;
+  }
+
+  return admin.messaging();
+}
+
 /**
  * Verify Firebase ID token
  */
@@ -358,6 +395,7 @@ module.exports = {
   getAuth,
   getFirestore,
   getDatabase,
+  getMessaging,
   verifyIdToken,
   getUserByUid,
 };
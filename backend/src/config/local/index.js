@@ -0,0 +1,99 @@
+/**
+ * Local mode: run the backend with no network and no credentials.
+ *
+ * With BACKEND_MODE=local, Firebase (Auth, Firestore, Realtime Database and
+ * Cloud Messaging), Redis, the payment gateways and the maps API are replaced
+ * by in-process adapters from this directory. Data lives in memory for the
+ * life of the process and gateway responses are deterministic.
+ */
+
+// Secrets the local gateways sign with when none are configured
+const LOCAL_DEFAULTS = {
+  JWT_SECRET: 'local-jwt-secret',
+  ADMIN_JWT_SECRET: 'local-admin-jwt-secret',
+  RAZORPAY_KEY_ID: 'rzp_local_key',
+  RAZORPAY_KEY_SECRET: 'local_razorpay_secret',
+  RAZORPAY_WEBHOOK_SECRET: 'local_razorpay_webhook_secret',
+  STRIPE_SECRET_KEY: 'sk_local_stripe',
+  STRIPE_WEBHOOK_SECRET: 'whsec_local_stripe',
+};
+
+/**
+ * Whether the backend is running in local mode
+ */
+function isLocalMode() {
+  return (process.env.BACKEND_MODE || '').trim().toLowerCase() === 'local';
+}
+
+/**
+ * Local mode accepts unsigned ID tokens and well-known secrets, so it must
+ * never serve production traffic
+ */
+function assertLocalModeAllowed() {
+  if ((process.env.NODE_ENV || '').trim().toLowerCase() === 'production') {
+    throw new Error('BACKEND_MODE=local cannot be used with NODE_ENV=production');
+  }
+}
+
+/**
+ * Fill in the local secrets for any that are not set. Call before the
+ * payment config is loaded. Throws when local mode is combined with
+ * production.
+ */
+function applyLocalDefaults() {
+  if (!isLocalMode()) return;
+  assertLocalModeAllowed();
+
+  Object.entries(LOCAL_DEFAULTS).forEach(([key, value]) => {
+    if (!process.env[key]) {
+      process.env[key] = value;
+    }
+  });
+}
+
+let stores = null;
+
+/**
+ * The shared in-memory stores, created on first use
+ */
+function getLocalStores() {
+  if (!stores) {
+    assertLocalModeAllowed();
+    const { createMemoryFirestore } = require('./memoryFirestore');
+    const { createMemoryDatabase } = require('./memoryDatabase');
+    const { createMemoryAuth } = require('./memoryAuth');
+    const { createMemoryMessaging } = require('./memoryMessaging');
+    const { createMemoryRedis } = require('./memoryRedis');
+
+    stores = {
+      firestore: createMemoryFirestore(),
+      database: createMemoryDatabase(),
+      auth: createMemoryAuth(),
+      messaging: createMemoryMessaging(),
+      redis: createMemoryRedis(),
+    };
+  }
+  return stores;
+}
+
+/**
+ * Drop all local data (tests use this between cases)
+ */
+function resetLocalStores() {
+  if (!stores) return;
+
+  stores.firestore.reset();
+  stores.database.reset();
+  stores.auth.reset();
+  stores.messaging.reset();
+  stores.redis.reset();
+}
+
+module.exports = {
+  LOCAL_DEFAULTS,
+  isLocalMode,
+  assertLocalModeAllowed,
+  applyLocalDefaults,
+  getLocalStores,
+  resetLocalStores,
+};
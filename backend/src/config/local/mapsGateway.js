@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+
+/**
+ * Maps API stand-in for local mode, with the response shapes MapsService
+ * returns for Ola Maps.
+ *
+ * Places come from a small built-in gazetteer; other addresses geocode to a
+ * fixed point derived from the address text. Routes are straight lines
+ * between the points, lengthened by a road factor and driven at a fixed
+ * average speed, so the same request always gives the same answer.
+ */
+
+const ROAD_FACTOR = 1.25; // Road distance per straight-line km
+const DRIVING_SPEED_KMPH = 40;
+const WALKING_SPEED_KMPH = 4.8;
+
+// Words too common in place names to identify one
+const GENERIC_WORDS = new Set(['bus', 'stand', 'station', 'railway', 'terminus', 'junction', 'road', 'phase', '1']);
+
+const PLACES = [
+  { id: 'mumbai-cst', name: 'Chhatrapati Shivaji Terminus', city: 'Mumbai', state: 'Maharashtra', lat: 18.9398, lng: 72.8355, types: ['transit_station', 'train_station'] },
+  { id: 'mumbai-central', name: 'Mumbai Central', city: 'Mumbai', state: 'Maharashtra', lat: 18.9690, lng: 72.8205, types: ['transit_station', 'bus_station'] },
+  { id: 'dadar', name: 'Dadar', city: 'Mumbai', state: 'Maharashtra', lat: 19.0178, lng: 72.8478, types: ['transit_station', 'train_station'] },
+  { id: 'andheri', name: 'Andheri', city: 'Mumbai', state: 'Maharashtra', lat: 19.1197, lng: 72.8464, types: ['transit_station', 'subway_station'] },
+  { id: 'thane', name: 'Thane', city: 'Thane', state: 'Maharashtra', lat: 19.1860, lng: 72.9756, types: ['transit_station', 'train_station'] },
+  { id: 'navi-mumbai-vashi', name: 'Vashi', city: 'Navi Mumbai', state: 'Maharashtra', lat: 19.0771, lng: 72.9986, types: ['transit_station', 'bus_station'] },
+  { id: 'panvel', name: 'Panvel', city: 'Panvel', state: 'Maharashtra', lat: 18.9894, lng: 73.1175, types: ['transit_station', 'bus_station'] },
+  { id: 'lonavala', name: 'Lonavala', city: 'Lonavala', state: 'Maharashtra', lat: 18.7546, lng: 73.4062, types: ['transit_station', 'train_station'] },
+  { id: 'pune-station', name: 'Pune Railway Station', city: 'Pune', state: 'Maharashtra', lat: 18.5289, lng: 73.8744, types: ['transit_station', 'train_station'] },
+  { id: 'swargate', name: 'Swargate Bus Stand', city: 'Pune', state: 'Maharashtra', lat: 18.5018, lng: 73.8636, types: ['transit_station', 'bus_station'] },
+  { id: 'shivajinagar', name: 'Shivajinagar', city: 'Pune', state: 'Maharashtra', lat: 18.5314, lng: 73.8446, types: ['transit_station', 'bus_station'] },
+  { id: 'hinjewadi', name: 'Hinjewadi Phase 1', city: 'Pune', state: 'Maharashtra', lat: 18.5913, lng: 73.7389, types: ['point_of_interest', 'parking'] },
+  { id: 'nashik', name: 'Nashik Road', city: 'Nashik', state: 'Maharashtra', lat: 19.9475, lng: 73.8416, types: ['transit_station', 'train_station'] },
+  { id: 'bengaluru-majestic', name: 'Kempegowda Bus Station', city: 'Bengaluru', state: 'Karnataka', lat: 12.9776, lng: 77.5713, types: ['transit_station', 'bus_station'] },
+  { id: 'bengaluru-silk-board', name: 'Silk Board Junction', city: 'Bengaluru', state: 'Karnataka', lat: 12.9177, lng: 77.6238, types: ['point_of_interest'] },
+  { id: 'mysuru', name: 'Mysuru Bus Stand', city: 'Mysuru', state: 'Karnataka', lat: 12.3106, lng: 76.6547, types: ['transit_station', 'bus_station'] },
+  { id: 'delhi-kashmere-gate', name: 'Kashmere Gate ISBT', city: 'Delhi', state: 'Delhi', lat: 28.6675, lng: 77.2282, types: ['transit_station', 'bus_station'] },
+  { id: 'gurugram', name: 'Gurugram Bus Stand', city: 'Gurugram', state: 'Haryana', lat: 28.4656, lng: 77.0327, types: ['transit_station', 'bus_station'] },
+  { id: 'jaipur', name: 'Sindhi Camp Bus Stand', city: 'Jaipur', state: 'Rajasthan', lat: 26.9233, lng: 75.7997, types: ['transit_station', 'bus_station'] },
+  { id: 'chennai-koyambedu', name: 'Koyambedu Bus Terminus', city: 'Chennai', state: 'Tamil Nadu', lat: 13.0694, lng: 80.1948, types: ['transit_station', 'bus_station'] },
+  { id: 'hyderabad-mgbs', name: 'Mahatma Gandhi Bus Station', city: 'Hyderabad', state: 'Telangana', lat: 17.3784, lng: 78.4840, types: ['transit_station', 'bus_station'] },
+  { id: 'goa-panaji', name: 'Panaji Bus Stand', city: 'Panaji', state: 'Goa', lat: 15.4989, lng: 73.8278, types: ['transit_station', 'bus_station'] },
+];
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function round(value, places = 6) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Encode points as a Google/Ola encoded polyline
+ */
+function encodePolyline(points) {
+  let previousLat = 0;
+  let previousLng = 0;
+
+  const encodeValue = (value) => {
+    let shifted = value < 0 ? ~(value << 1) : value << 1;
+    let output = '';
+    while (shifted >= 0x20) {
+      output += String.fromCharCode((0x20 | (shifted & 0x1f)) + 63);
+      shifted >>= 5;
+    }
+    return output + String.fromCharCode(shifted + 63);
+  };
+
+  return points.map(({ lat, lng }) => {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    const encoded = encodeValue(latE5 - previousLat) + encodeValue(lngE5 - previousLng);
+    previousLat = latE5;
+    previousLng = lngE5;
+    return encoded;
+  }).join('');
+}
+
+class LocalMapsGateway {
+  /**
+   * @param {Object} mapsService - The MapsService, for its distance helpers
+   */
+  constructor(mapsService) {
+    this.maps = mapsService;
+  }
+
+  _place(place) {
+    return {
+      placeId: `local:${place.id}`,
+      name: place.name,
+      formattedAddress: `${place.name}, ${place.city}, ${place.state}, India`,
+      coordinates: { lat: place.lat, lng: place.lng },
+      types: place.types,
+    };
+  }
+
+  // The place sharing the most distinctive name words with the text, with a
+  // matching city as the tie-break
+  _findPlace(text) {
+    const query = normalize(text);
+    if (!query) return null;
+
+    const exact = PLACES.find(place => normalize(place.name) === query);
+    if (exact) return exact;
+
+    const words = new Set(query.split(' '));
+    const score = (place) => {
+      const cityWords = normalize(place.city).split(' ');
+      const nameWords = normalize(place.name).split(' ').filter(word => !GENERIC_WORDS.has(word) && !cityWords.includes(word));
+      const cityMatch = cityWords.every(word => words.has(word));
+      return nameWords.filter(word => words.has(word)).length * 2 + (cityMatch ? 1 : 0);
+    };
+
+    let best = null;
+    let bestScore = 0;
+    PLACES.forEach(place => {
+      const placeScore = score(place);
+      if (placeScore > bestScore) {
+        best = place;
+        bestScore = placeScore;
+      }
+    });
+    return best;
+  }
+
+  // A fixed point in India derived from the address, for places not in the gazetteer
+  _pointFor(text) {
+    const hash = crypto.createHash('sha256').update(normalize(text)).digest();
+    return {
+      lat: round(10 + (hash.readUInt32BE(0) / 0xffffffff) * 18, 5),
+      lng: round(73 + (hash.readUInt32BE(4) / 0xffffffff) * 12, 5),
+    };
+  }
+
+  _nearestPlace(coordinates) {
+    return PLACES
+      .map(place => ({ place, distanceKm: this.maps.calculateDistance(coordinates, place) }))
+      .sort((a, b) => a.distanceKm - b.distanceKm)[0];
+  }
+
+  async geocodeAddress(address) {
+    if (!normalize(address)) return null;
+
+    const place = this._findPlace(address);
+    if (place) {
+      const { placeId, formattedAddress, coordinates } = this._place(place);
+      return {
+        coordinates,
+        formattedAddress,
+        placeId,
+        addressComponents: [
+          { long_name: place.city, types: ['locality'] },
+          { long_name: place.state, types: ['administrative_area_level_1'] },
+          { long_name: 'India', types: ['country'] },
+        ],
+      };
+    }
+
+    return {
+      coordinates: this._pointFor(address),
+      formattedAddress: String(address).trim(),
+      placeId: `local:${normalize(address).replace(/ /g, '-')}`,
+      addressComponents: [],
+    };
+  }
+
+  async reverseGeocode(coordinates) {
+    const { place, distanceKm } = this._nearestPlace(coordinates);
+    const near = distanceKm <= 5;
+
+    return {
+      formattedAddress: near
+        ? `Near ${place.name}, ${place.city}, ${place.state}, India`
+        : `${round(coordinates.lat, 5)}, ${round(coordinates.lng, 5)}`,
+      address: {
+        village: near ? place.city : '',
+        city: near ? place.city : '',
+        district: near ? place.city : '',
+        state: near ? place.state : '',
+        country: 'India',
+        postcode: '',
+      },
+      source: 'local',
+    };
+  }
+
+  _leg(from, to, speedKmph) {
+    const distanceMeters = Math.round(this.maps.calculateDistance(from, to) * ROAD_FACTOR * 1000);
+    const durationSeconds = Math.round((distanceMeters / 1000) / speedKmph * 3600);
+    return { distanceMeters, durationSeconds };
+  }
+
+  async getRoute(origin, destination, waypoints = [], options = {}) {
+    const points = [origin, ...waypoints.map(waypoint => waypoint.location || waypoint), destination];
+    const legs = points.slice(1).map((point, index) => ({ from: points[index], to: point, ...this._leg(points[index], point, DRIVING_SPEED_KMPH) }));
+    const distance = legs.reduce((total, leg) => total + leg.distanceMeters, 0);
+    const duration = legs.reduce((total, leg) => total + leg.durationSeconds, 0);
+
+    const route = {
+      distance: { text: (distance / 1000).toFixed(1) + ' km', value: distance },
+      duration: { text: Math.round(duration / 60) + ' mins', value: duration, inTraffic: duration },
+      startAddress: (await this.reverseGeocode(origin)).formattedAddress,
+      endAddress: (await this.reverseGeocode(destination)).formattedAddress,
+      bounds: {
+        northeast: { lat: Math.max(...points.map(point => point.lat)), lng: Math.max(...points.map(point => point.lng)) },
+        southwest: { lat: Math.min(...points.map(point => point.lat)), lng: Math.min(...points.map(point => point.lng)) },
+      },
+      steps: legs.map(leg => ({
+        distance: leg.distanceMeters,
+        duration: leg.durationSeconds,
+        instructions: 'Head towards the next point',
+        maneuver: 'straight',
+        startLocation: { lat: leg.from.lat, lng: leg.from.lng },
+        endLocation: { lat: leg.to.lat, lng: leg.to.lng },
+        polyline: encodePolyline([leg.from, leg.to]),
+      })),
+      polyline: encodePolyline(points),
+      geometry: { type: 'LineString', coordinates: points.map(point => [point.lng, point.lat]) },
+      summary: 'Local straight-line route',
+    };
+
+    // Alternatives take a slightly longer path at the same speed
+    const alternatives = options.alternatives
+      ? Array.from({ length: Math.max((Number(options.alternativesCount) || 3) - 1, 0) }, (_, index) => {
+        const factor = 1 + 0.08 * (index + 1);
+        return {
+          ...route,
+          distance: { text: ((distance * factor) / 1000).toFixed(1) + ' km', value: Math.round(distance * factor) },
+          duration: { text: Math.round((duration * factor) / 60) + ' mins', value: Math.round(duration * factor), inTraffic: Math.round(duration * factor) },
+          summary: `Local alternative route ${index + 1}`,
+        };
+      })
+      : [];
+
+    return { routes: [route, ...alternatives], status: 'OK' };
+  }
+
+  async getWalkingTime(origin, destination) {
+    const { distanceMeters, durationSeconds } = this._leg(origin, destination, WALKING_SPEED_KMPH);
+    return {
+      distance: { text: (distanceMeters / 1000).toFixed(1) + ' km', value: distanceMeters },
+      duration: { text: Math.round(durationSeconds / 60) + ' mins', value: durationSeconds },
+    };
+  }
+
+  async getNearbyPlaces(location, radius = 5000, type = 'point_of_interest') {
+    const types = String(type).split('|');
+
+    return PLACES
+      .map(place => ({ place, distanceMeters: this.maps.calculateDistance(location, place) * 1000 }))
+      .filter(({ place, distanceMeters }) => distanceMeters <= radius &&
+        place.types.some(placeType => types.includes(placeType) || types.includes('point_of_interest')))
+      .sort((a, b) => a.distanceMeters - b.distanceMeters)
+      .map(({ place }) => ({
+        placeId: `local:${place.id}`,
+        name: place.name,
+        vicinity: `${place.city}, ${place.state}`,
+        coordinates: { lat: place.lat, lng: place.lng },
+        rating: 4.5,
+        types: place.types,
+        openNow: true,
+      }));
+  }
+
+  async getPlaceAutocomplete(input, location = null) {
+    const query = normalize(input);
+    if (!query) return [];
+
+    return PLACES
+      .filter(place => normalize(`${place.name} ${place.city}`).includes(query))
+      .sort((a, b) => (location
+        ? this.maps.calculateDistance(location, a) - this.maps.calculateDistance(location, b)
+        : a.name.localeCompare(b.name)))
+      .slice(0, 5)
+      .map(place => ({
+        placeId: `local:${place.id}`,
+        description: `${place.name}, ${place.city}, ${place.state}, India`,
+        mainText: place.name,
+        secondaryText: `${place.city}, ${place.state}, India`,
+        types: place.types,
+      }));
+  }
+
+  async getPlaceDetails(placeId) {
+    const place = PLACES.find(candidate => `local:${candidate.id}` === placeId);
+    return place ? this._place(place) : null;
+  }
+}
+
+module.exports = {
+  LocalMapsGateway,
+  PLACES,
+  encodePolyline,
+};
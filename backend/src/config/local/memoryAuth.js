@@ -0,0 +1,170 @@
+/**
+ * In-memory Firebase Auth for local mode.
+ *
+ * ID tokens are "local.<base64url JSON>" strings made by createIdToken(). They
+ * are not signed: local mode is for development and tests only. Verifying a
+ * token for an unknown uid registers that user, so any token works as a
+ * first sign-in, like a Firebase client sign-up would.
+ */
+
+const LOCAL_TOKEN_PREFIX = 'local.';
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class MemoryAuth {
+  constructor() {
+    this._users = new Map();
+    this._nextUid = 1;
+  }
+
+  /**
+   * Make an ID token for a user. Claims such as email, name and role are
+   * returned by verifyIdToken and used when the user is first registered.
+   */
+  createIdToken(uid, claims = {}) {
+    const payload = { uid, email: `${uid}@local.tripo`, ...claims };
+    return `${LOCAL_TOKEN_PREFIX}${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+  }
+
+  async verifyIdToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(LOCAL_TOKEN_PREFIX)) {
+      throw authError('auth/invalid-id-token', 'Invalid local ID token');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(token.slice(LOCAL_TOKEN_PREFIX.length), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw authError('auth/invalid-id-token', 'Invalid local ID token');
+    }
+    if (!payload.uid) {
+      throw authError('auth/invalid-id-token', 'Local ID token has no uid');
+    }
+    if (payload.exp && payload.exp * 1000 < Date.now()) {
+      throw authError('auth/id-token-expired', 'Local ID token has expired');
+    }
+
+    let user = this._users.get(payload.uid);
+    if (!user) {
+      user = this._register({
+        uid: payload.uid,
+        email: payload.email,
+        displayName: payload.name || payload.displayName,
+        phoneNumber: payload.phone_number || payload.phoneNumber,
+        emailVerified: Boolean(payload.email_verified),
+      });
+    }
+    if (user.disabled) {
+      throw authError('auth/user-disabled', 'The user account has been disabled');
+    }
+
+    return {
+      ...payload,
+      ...user.customClaims,
+      uid: user.uid,
+      sub: user.uid,
+      email: user.email,
+      email_verified: user.emailVerified,
+      firebase: { sign_in_provider: 'custom' },
+    };
+  }
+
+  async getUser(uid) {
+    const user = this._users.get(uid);
+    if (!user) {
+      throw authError('auth/user-not-found', `There is no user record corresponding to the provided identifier: ${uid}`);
+    }
+    return { ...user };
+  }
+
+  async getUserByEmail(email) {
+    const user = Array.from(this._users.values()).find(candidate => candidate.email === email);
+    if (!user) {
+      throw authError('auth/user-not-found', `There is no user record corresponding to the provided email: ${email}`);
+    }
+    return { ...user };
+  }
+
+  async createUser(properties = {}) {
+    const uid = properties.uid || `local-user-${this._nextUid++}`;
+    if (this._users.has(uid)) {
+      throw authError('auth/uid-already-exists', 'The user with the provided uid already exists');
+    }
+    if (properties.email && Array.from(this._users.values()).some(user => user.email === properties.email)) {
+      throw authError('auth/email-already-exists', 'The email address is already in use by another account');
+    }
+    return { ...this._register({ ...properties, uid }) };
+  }
+
+  async updateUser(uid, properties = {}) {
+    const user = await this.getUser(uid);
+    const { password, ...changes } = properties;
+    this._users.set(uid, { ...user, ...changes });
+    return { ...this._users.get(uid) };
+  }
+
+  async deleteUser(uid) {
+    await this.getUser(uid);
+    this._users.delete(uid);
+  }
+
+  async setCustomUserClaims(uid, claims) {
+    const user = await this.getUser(uid);
+    this._users.set(uid, { ...user, customClaims: claims || {} });
+  }
+
+  async createCustomToken(uid, claims = {}) {
+    return this.createIdToken(uid, claims);
+  }
+
+  async revokeRefreshTokens(uid) {
+    await this.getUser(uid);
+  }
+
+  async listUsers(maxResults = 1000) {
+    return { users: Array.from(this._users.values()).slice(0, maxResults).map(user => ({ ...user })) };
+  }
+
+  /**
+   * Remove every user
+   */
+  reset() {
+    this._users.clear();
+    this._nextUid = 1;
+  }
+
+  _register({ uid, email = null, displayName = null, phoneNumber = null, photoURL = null, emailVerified = false, disabled = false }) {
+    const now = new Date().toUTCString();
+    const user = {
+      uid,
+      email,
+      emailVerified,
+      displayName,
+      phoneNumber,
+      photoURL,
+      disabled,
+      customClaims: {},
+      providerData: [],
+      metadata: { creationTime: now, lastSignInTime: now },
+    };
+    this._users.set(uid, user);
+    return user;
+  }
+}
+
+function createMemoryAuth() {
+  // Anyone can mint a token this accepts
+  if ((process.env.NODE_ENV || '').trim().toLowerCase() === 'production') {
+    throw new Error('In-memory Auth cannot be used with NODE_ENV=production');
+  }
+  return new MemoryAuth();
+}
+
+module.exports = {
+  createMemoryAuth,
+  MemoryAuth,
+};
@@ -0,0 +1,481 @@
+/**
+ * In-memory Realtime Database for local mode.
+ *
+ * Covers the part of the Admin SDK the backend uses: ref/child/parent, set,
+ * update (including multi-path updates), remove, push, once('value'),
+ * transaction, 'value' listeners and queries with orderByChild/orderByKey/
+ * orderByValue, equalTo, startAt, endAt, limitToFirst and limitToLast.
+ * Values are stored as JSON, so Dates come back as ISO strings and
+ * undefined fields are dropped.
+ */
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+function splitPath(path = '') {
+  return String(path).split('/').filter(Boolean);
+}
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Drop empty objects and nulls, as the Realtime Database never stores them
+ */
+function prune(value) {
+  if (!isObject(value)) return value;
+
+  const entries = Object.entries(value)
+    .map(([key, item]) => [key, prune(item)])
+    .filter(([, item]) => item !== null && item !== undefined);
+  if (entries.length === 0) return null;
+
+  if (Array.isArray(value)) {
+    const array = [];
+    entries.forEach(([key, item]) => {
+      array[key] = item;
+    });
+    return array;
+  }
+  return Object.fromEntries(entries);
+}
+
+function readPath(root, parts) {
+  return parts.reduce((value, key) => (isObject(value) && value[key] !== undefined ? value[key] : null), root);
+}
+
+/**
+ * Generate a chronologically ordered push ID like the Firebase SDKs do
+ */
+function createPushIdGenerator() {
+  let lastPushTime = 0;
+  const lastRandChars = [];
+
+  return () => {
+    let now = Date.now();
+    const duplicateTime = now === lastPushTime;
+    lastPushTime = now;
+
+    const timeStampChars = new Array(8);
+    for (let i = 7; i >= 0; i--) {
+      timeStampChars[i] = PUSH_CHARS.charAt(now % 64);
+      now = Math.floor(now / 64);
+    }
+
+    let id = timeStampChars.join('');
+    if (!duplicateTime) {
+      for (let i = 0; i < 12; i++) {
+        lastRandChars[i] = Math.floor(Math.random() * 64);
+      }
+    } else {
+      let i = 11;
+      for (; i >= 0 && lastRandChars[i] === 63; i--) {
+        lastRandChars[i] = 0;
+      }
+      lastRandChars[i]++;
+    }
+    for (let i = 0; i < 12; i++) {
+      id += PUSH_CHARS.charAt(lastRandChars[i]);
+    }
+    return id;
+  };
+}
+
+/**
+ * Ordering used by queries: nulls, false, true, numbers, strings, objects
+ */
+function rank(value) {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === 'number') return 3;
+  if (typeof value === 'string') return 4;
+  return 5;
+}
+
+function compare(a, b) {
+  const rankA = rank(a);
+  const rankB = rank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 3) return a - b;
+  if (rankA === 4) return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+}
+
+// Keys that look like integers sort numerically before other keys
+function compareKeys(a, b) {
+  const intA = /^-?\d{1,10}$/.test(a);
+  const intB = /^-?\d{1,10}$/.test(b);
+  if (intA && intB) return Number(a) - Number(b);
+  if (intA) return -1;
+  if (intB) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+class DataSnapshot {
+  constructor(ref, value, orderedKeys = null) {
+    this.ref = ref;
+    this.key = ref.key;
+    this._value = value;
+    this._orderedKeys = orderedKeys;
+  }
+
+  val() {
+    return clone(this._value);
+  }
+
+  exportVal() {
+    return this.val();
+  }
+
+  toJSON() {
+    return this.val();
+  }
+
+  exists() {
+    return this._value !== null && this._value !== undefined;
+  }
+
+  hasChildren() {
+    return isObject(this._value) && Object.keys(this._value).length > 0;
+  }
+
+  hasChild(path) {
+    return readPath(this._value, splitPath(path)) !== null;
+  }
+
+  numChildren() {
+    return isObject(this._value) ? Object.keys(this._value).length : 0;
+  }
+
+  child(path) {
+    return new DataSnapshot(this.ref.child(path), readPath(this._value, splitPath(path)));
+  }
+
+  /**
+   * Visit children in query order (key order for plain reads). Returning true
+   * from the callback stops the iteration.
+   */
+  forEach(callback) {
+    if (!isObject(this._value)) return false;
+
+    const keys = this._orderedKeys || Object.keys(this._value).sort(compareKeys);
+    for (const key of keys) {
+      if (callback(new DataSnapshot(this.ref.child(key), this._value[key])) === true) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+class Query {
+  constructor(db, parts, params = {}) {
+    this._db = db;
+    this._parts = parts;
+    this._params = params;
+  }
+
+  get ref() {
+    return new Reference(this._db, this._parts);
+  }
+
+  _with(changes) {
+    return new Query(this._db, this._parts, { ...this._params, ...changes });
+  }
+
+  orderByChild(path) {
+    return this._with({ orderBy: { type: 'child', path: splitPath(path) } });
+  }
+
+  orderByKey() {
+    return this._with({ orderBy: { type: 'key' } });
+  }
+
+  orderByValue() {
+    return this._with({ orderBy: { type: 'value' } });
+  }
+
+  orderByPriority() {
+    return this._with({ orderBy: { type: 'key' } });
+  }
+
+  equalTo(value, key) {
+    return this._with({ start: { value, key }, end: { value, key } });
+  }
+
+  startAt(value, key) {
+    return this._with({ start: { value, key } });
+  }
+
+  startAfter(value, key) {
+    return this._with({ start: { value, key, exclusive: true } });
+  }
+
+  endAt(value, key) {
+    return this._with({ end: { value, key } });
+  }
+
+  endBefore(value, key) {
+    return this._with({ end: { value, key, exclusive: true } });
+  }
+
+  limitToFirst(count) {
+    return this._with({ limit: { count, last: false } });
+  }
+
+  limitToLast(count) {
+    return this._with({ limit: { count, last: true } });
+  }
+
+  _sortValue(key, child) {
+    const { orderBy } = this._params;
+    if (!orderBy || orderBy.type === 'key') return key;
+    if (orderBy.type === 'value') return child;
+    return readPath(child, orderBy.path);
+  }
+
+  _compareEntries([keyA, childA], [keyB, childB]) {
+    const { orderBy } = this._params;
+    if (!orderBy || orderBy.type === 'key') return compareKeys(keyA, keyB);
+    return compare(this._sortValue(keyA, childA), this._sortValue(keyB, childB)) || compareKeys(keyA, keyB);
+  }
+
+  _withinBound(key, child, bound, isStart) {
+    const { orderBy } = this._params;
+    const result = orderBy && orderBy.type !== 'key'
+      ? compare(this._sortValue(key, child), bound.value) || (bound.key === undefined ? 0 : compareKeys(key, bound.key))
+      : compareKeys(key, String(bound.value));
+
+    if (bound.exclusive) return isStart ? result > 0 : result < 0;
+    return isStart ? result >= 0 : result <= 0;
+  }
+
+  _snapshot() {
+    const value = readPath(this._db._root, this._parts);
+    const { start, end, limit } = this._params;
+    if (!isObject(value) || Object.keys(this._params).length === 0) {
+      return new DataSnapshot(this.ref, value);
+    }
+
+    let entries = Object.entries(value).sort((a, b) => this._compareEntries(a, b));
+    if (start) entries = entries.filter(([key, child]) => this._withinBound(key, child, start, true));
+    if (end) entries = entries.filter(([key, child]) => this._withinBound(key, child, end, false));
+    if (limit) {
+      entries = limit.last ? entries.slice(Math.max(entries.length - limit.count, 0)) : entries.slice(0, limit.count);
+    }
+
+    const result = entries.length ? Object.fromEntries(entries) : null;
+    return new DataSnapshot(this.ref, result, entries.map(([key]) => key));
+  }
+
+  async once(eventType = 'value', callback) {
+    if (eventType !== 'value') {
+      throw new Error(`once('${eventType}') is not supported by the local database`);
+    }
+
+    const snapshot = this._snapshot();
+    if (callback) callback(snapshot);
+    return snapshot;
+  }
+
+  async get() {
+    return this._snapshot();
+  }
+
+  /**
+   * Listen for 'value' events. The callback fires now and after every write
+   * under or above this location.
+   */
+  on(eventType, callback) {
+    if (eventType !== 'value') {
+      throw new Error(`on('${eventType}') is not supported by the local database`);
+    }
+
+    this._db._listeners.push({ query: this, callback });
+    callback(this._snapshot());
+    return callback;
+  }
+
+  off(eventType, callback) {
+    const path = this._parts.join('/');
+    this._db._listeners = this._db._listeners.filter(listener =>
+      listener.query._parts.join('/') !== path || (callback && listener.callback !== callback));
+  }
+
+  isEqual(other) {
+    return other instanceof Query && other._parts.join('/') === this._parts.join('/') &&
+      JSON.stringify(other._params) === JSON.stringify(this._params);
+  }
+
+  toString() {
+    return `local://${this._parts.join('/')}`;
+  }
+}
+
+class Reference extends Query {
+  constructor(db, parts) {
+    super(db, parts);
+    this.key = parts.length ? parts[parts.length - 1] : null;
+    this.path = parts.join('/');
+  }
+
+  get ref() {
+    return this;
+  }
+
+  get parent() {
+    return this._parts.length ? new Reference(this._db, this._parts.slice(0, -1)) : null;
+  }
+
+  get root() {
+    return new Reference(this._db, []);
+  }
+
+  child(path) {
+    return new Reference(this._db, [...this._parts, ...splitPath(path)]);
+  }
+
+  async set(value) {
+    this._db._write(this._parts, value);
+  }
+
+  async update(values) {
+    if (!isObject(values)) {
+      throw new Error('Reference.update failed: first argument must be an object');
+    }
+
+    // Each key may be a relative path, so several locations can change at once
+    const writes = Object.entries(values).map(([path, value]) => [[...this._parts, ...splitPath(path)], value]);
+    this._db._writeAll(writes);
+  }
+
+  async remove() {
+    this._db._write(this._parts, null);
+  }
+
+  /**
+   * New child with a generated key. Writes the value if one is given; the
+   * result can be awaited or used as a reference straight away.
+   */
+  push(value) {
+    const key = this._db._nextPushId();
+    const ref = this.child(key);
+    // Resolves to a plain reference, which (unlike this one) is not thenable
+    const promise = (value === undefined ? Promise.resolve() : ref.set(value)).then(() => this.child(key));
+
+    ref.then = promise.then.bind(promise);
+    ref.catch = promise.catch.bind(promise);
+    return ref;
+  }
+
+  /**
+   * Atomically update the value: the result of updateFunction is written,
+   * unless it returns undefined, which aborts the transaction
+   */
+  async transaction(updateFunction) {
+    const current = clone(readPath(this._db._root, this._parts));
+    const next = updateFunction(current);
+
+    if (next === undefined) {
+      return { committed: false, snapshot: this._snapshot() };
+    }
+
+    this._db._write(this._parts, next);
+    return { committed: true, snapshot: this._snapshot() };
+  }
+
+  async setWithPriority(value) {
+    return this.set(value);
+  }
+
+  onDisconnect() {
+    return {
+      set: async () => {},
+      update: async () => {},
+      remove: async () => {},
+      cancel: async () => {},
+    };
+  }
+}
+
+class MemoryDatabase {
+  constructor() {
+    this._root = null;
+    this._listeners = [];
+    this._nextPushId = createPushIdGenerator();
+  }
+
+  ref(path = '') {
+    return new Reference(this, splitPath(path));
+  }
+
+  /**
+   * Clear all data and listeners
+   */
+  reset() {
+    this._root = null;
+    this._listeners = [];
+  }
+
+  /**
+   * Plain copy of all data (for inspection in tests)
+   */
+  dump() {
+    return clone(this._root);
+  }
+
+  goOffline() {}
+
+  goOnline() {}
+
+  _write(parts, value) {
+    this._writeAll([[parts, value]]);
+  }
+
+  _writeAll(writes) {
+    let root = isObject(this._root) ? clone(this._root) : {};
+
+    writes.forEach(([parts, value]) => {
+      const stored = prune(clone(value));
+      if (parts.length === 0) {
+        root = isObject(stored) ? stored : {};
+        return;
+      }
+
+      let target = root;
+      parts.slice(0, -1).forEach(key => {
+        if (!isObject(target[key])) target[key] = {};
+        target = target[key];
+      });
+
+      const last = parts[parts.length - 1];
+      if (stored === null) delete target[last];
+      else target[last] = stored;
+    });
+
+    this._root = prune(root);
+    this._notify(writes.map(([parts]) => parts.join('/')));
+  }
+
+  _notify(changedPaths) {
+    const related = (a, b) => a === b || !a || !b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+
+    this._listeners
+      .filter(({ query }) => changedPaths.some(path => related(path, query._parts.join('/'))))
+      .forEach(({ query, callback }) => callback(query._snapshot()));
+  }
+}
+
+function createMemoryDatabase() {
+  return new MemoryDatabase();
+}
+
+module.exports = {
+  createMemoryDatabase,
+  MemoryDatabase,
+};
@@ -0,0 +1,718 @@
+/**
+ * In-memory Firestore for local mode.
+ *
+ * Covers the part of the Admin SDK the backend uses: collections and
+ * subcollections, document get/set/update/delete, add and auto IDs, where
+ * (==, !=, <, <=, >, >=, in, not-in, array-contains, array-contains-any),
+ * orderBy, limit, offset, cursors, batches and transactions. Dates are stored
+ * as Timestamps, as Firestore does, and dotted field paths work in update().
+ */
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this._seconds = seconds;
+    this._nanoseconds = nanoseconds;
+  }
+
+  static fromDate(date) {
+    const millis = date.getTime();
+    return Timestamp.fromMillis(millis);
+  }
+
+  static fromMillis(millis) {
+    const seconds = Math.floor(millis / 1000);
+    return new Timestamp(seconds, (millis - seconds * 1000) * 1e6);
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  get seconds() {
+    return this._seconds;
+  }
+
+  get nanoseconds() {
+    return this._nanoseconds;
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  toMillis() {
+    return this._seconds * 1000 + Math.floor(this._nanoseconds / 1e6);
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.toMillis() === this.toMillis();
+  }
+
+  valueOf() {
+    return this.toMillis();
+  }
+}
+
+/**
+ * Error shaped like the gRPC errors the Admin SDK throws
+ */
+function firestoreError(code, status, message) {
+  const error = new Error(`${code} ${status}: ${message}`);
+  error.code = code;
+  error.details = message;
+  return error;
+}
+
+/**
+ * Copy a value into storage form: Dates become Timestamps and undefined
+ * fields are dropped
+ */
+function toStored(value) {
+  if (value === undefined) return undefined;
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Timestamp) return new Timestamp(value._seconds, value._nanoseconds);
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.filter(item => item !== undefined).map(toStored);
+  if (value instanceof DocumentReference) return value;
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (item !== undefined) copy[key] = toStored(item);
+  });
+  return copy;
+}
+
+/**
+ * Copy a stored value out, so callers can't edit the store through it
+ */
+function fromStored(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Timestamp) return new Timestamp(value._seconds, value._nanoseconds);
+  if (value instanceof DocumentReference) return value;
+  if (Array.isArray(value)) return value.map(fromStored);
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = fromStored(item);
+  });
+  return copy;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Timestamp) && !(value instanceof DocumentReference);
+}
+
+function readField(data, fieldPath) {
+  if (fieldPath === '__name__') return undefined;
+  return String(fieldPath).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function writeField(data, fieldPath, value) {
+  const keys = String(fieldPath).split('.');
+  let target = data;
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+
+  const last = keys[keys.length - 1];
+  if (value === undefined) delete target[last];
+  else target[last] = value;
+}
+
+function deepMerge(target, source) {
+  const merged = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+  });
+  return merged;
+}
+
+/**
+ * Firestore's ordering of values of different types, then of values
+ */
+const TYPE_ORDER = ['null', 'boolean', 'number', 'timestamp', 'string', 'reference', 'array', 'object'];
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Timestamp || value instanceof Date) return 'timestamp';
+  if (value instanceof DocumentReference) return 'reference';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function compareValues(a, b) {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  if (typeA !== typeB) return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'timestamp':
+      return a.valueOf() - b.valueOf();
+    case 'reference':
+      return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+    case 'array':
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    case 'object':
+      return JSON.stringify(a) < JSON.stringify(b) ? -1 : JSON.stringify(a) > JSON.stringify(b) ? 1 : 0;
+    case 'boolean':
+    case 'number':
+      return a - b;
+    default:
+      return a < b ? -1 : a > b ? 1 : 0;
+  }
+}
+
+function valuesEqual(a, b) {
+  return typeOf(a) === typeOf(b) && compareValues(a, b) === 0;
+}
+
+function matchesFilter(doc, { field, op, value }) {
+  const actual = field === '__name__' ? doc.id : readField(doc.data, field);
+  const expected = value instanceof Date ? Timestamp.fromDate(value) : value;
+
+  switch (op) {
+    case '==':
+      return valuesEqual(actual, expected);
+    case '!=':
+      return actual !== undefined && actual !== null && !valuesEqual(actual, expected);
+    case '<':
+      return actual !== undefined && typeOf(actual) === typeOf(expected) && compareValues(actual, expected) < 0;
+    case '<=':
+      return actual !== undefined && typeOf(actual) === typeOf(expected) && compareValues(actual, expected) <= 0;
+    case '>':
+      return actual !== undefined && typeOf(actual) === typeOf(expected) && compareValues(actual, expected) > 0;
+    case '>=':
+      return actual !== undefined && typeOf(actual) === typeOf(expected) && compareValues(actual, expected) >= 0;
+    case 'in':
+      return expected.some(candidate => valuesEqual(actual, candidate));
+    case 'not-in':
+      return actual !== undefined && actual !== null && !expected.some(candidate => valuesEqual(actual, candidate));
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(item => valuesEqual(item, expected));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some(item => expected.some(candidate => valuesEqual(item, candidate)));
+    default:
+      throw new Error(`Invalid query operator: ${op}`);
+  }
+}
+
+function generateAutoId() {
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += AUTO_ID_CHARS.charAt(Math.floor(Math.random() * AUTO_ID_CHARS.length));
+  }
+  return id;
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+    this.createTime = this.exists ? Timestamp.now() : undefined;
+    this.updateTime = this.createTime;
+    this.readTime = Timestamp.now();
+  }
+
+  data() {
+    return this.exists ? fromStored(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? fromStored(readField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(query, docs) {
+    this.query = query;
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+    this.readTime = Timestamp.now();
+  }
+
+  forEach(callback, thisArg) {
+    this.docs.forEach(callback, thisArg);
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this.firestore = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(collectionPath) {
+    return new CollectionReference(this.firestore, `${this.path}/${collectionPath}`);
+  }
+
+  async get() {
+    return this.firestore._snapshot(this);
+  }
+
+  async set(data, options = {}) {
+    this.firestore._set(this, data, options);
+    return { writeTime: Timestamp.now() };
+  }
+
+  async create(data) {
+    this.firestore._create(this, data);
+    return { writeTime: Timestamp.now() };
+  }
+
+  async update(data) {
+    this.firestore._update(this, data);
+    return { writeTime: Timestamp.now() };
+  }
+
+  async delete() {
+    this.firestore._delete(this);
+    return { writeTime: Timestamp.now() };
+  }
+
+  async listCollections() {
+    return this.firestore._subcollectionsOf(this.path).map(path => new CollectionReference(this.firestore, path));
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+}
+
+class Query {
+  constructor(db, collectionPath, options = {}) {
+    this.firestore = db;
+    this._collectionPath = collectionPath;
+    this._options = {
+      filters: [],
+      orders: [],
+      limit: null,
+      limitToLast: false,
+      offset: 0,
+      start: null,
+      end: null,
+      allDescendants: false,
+      ...options,
+    };
+  }
+
+  _with(changes) {
+    return new Query(this.firestore, this._collectionPath, { ...this._options, ...changes });
+  }
+
+  where(field, op, value) {
+    const fieldPath = typeof field === 'string' ? field : String(field);
+    return this._with({ filters: [...this._options.filters, { field: fieldPath, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new Error(`Invalid orderBy direction: ${direction}`);
+    }
+    return this._with({ orders: [...this._options.orders, { field: String(field), direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limit: count, limitToLast: false });
+  }
+
+  limitToLast(count) {
+    return this._with({ limit: count, limitToLast: true });
+  }
+
+  offset(count) {
+    return this._with({ offset: count });
+  }
+
+  startAt(...values) {
+    return this._with({ start: { values, inclusive: true } });
+  }
+
+  startAfter(...values) {
+    return this._with({ start: { values, inclusive: false } });
+  }
+
+  endAt(...values) {
+    return this._with({ end: { values, inclusive: true } });
+  }
+
+  endBefore(...values) {
+    return this._with({ end: { values, inclusive: false } });
+  }
+
+  select() {
+    return this;
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snapshot = await this.get();
+        return { data: () => ({ count: snapshot.size }) };
+      },
+    };
+  }
+
+  // Position of a document relative to cursor values on the orderBy fields
+  _compareToCursor(doc, values) {
+    const cursorValues = values.length === 1 && values[0] instanceof DocumentSnapshot
+      ? this._options.orders.map(order => (order.field === '__name__' ? values[0].id : values[0].get(order.field)))
+      : values;
+
+    for (let i = 0; i < cursorValues.length && i < this._options.orders.length; i++) {
+      const { field, direction } = this._options.orders[i];
+      const actual = field === '__name__' ? doc.id : readField(doc.data, field);
+      const expected = cursorValues[i] instanceof Date ? Timestamp.fromDate(cursorValues[i]) : cursorValues[i];
+      const result = compareValues(actual, expected) * (direction === 'desc' ? -1 : 1);
+      if (result !== 0) return result;
+    }
+    return 0;
+  }
+
+  _run() {
+    const { filters, orders, limit, limitToLast, offset, start, end, allDescendants } = this._options;
+    let docs = this.firestore._documentsIn(this._collectionPath, allDescendants)
+      .filter(doc => filters.every(filter => matchesFilter(doc, filter)));
+
+    // Documents without an ordered field are left out, as in Firestore
+    docs = docs.filter(doc => orders.every(({ field }) => field === '__name__' || readField(doc.data, field) !== undefined));
+
+    const sortOrders = [...orders, { field: '__name__', direction: orders.length ? orders[orders.length - 1].direction : 'asc' }];
+    docs.sort((a, b) => {
+      for (const { field, direction } of sortOrders) {
+        const left = field === '__name__' ? a.id : readField(a.data, field);
+        const right = field === '__name__' ? b.id : readField(b.data, field);
+        const result = compareValues(left, right) * (direction === 'desc' ? -1 : 1);
+        if (result !== 0) return result;
+      }
+      return 0;
+    });
+
+    if (start) {
+      docs = docs.filter(doc => {
+        const position = this._compareToCursor(doc, start.values);
+        return start.inclusive ? position >= 0 : position > 0;
+      });
+    }
+    if (end) {
+      docs = docs.filter(doc => {
+        const position = this._compareToCursor(doc, end.values);
+        return end.inclusive ? position <= 0 : position < 0;
+      });
+    }
+
+    docs = docs.slice(offset);
+    if (limit !== null) {
+      docs = limitToLast ? docs.slice(Math.max(docs.length - limit, 0)) : docs.slice(0, limit);
+    }
+
+    return docs;
+  }
+
+  async get() {
+    const docs = this._run().map(doc => new DocumentSnapshot(new DocumentReference(this.firestore, doc.path), doc.data));
+    return new QuerySnapshot(this, docs);
+  }
+
+  onSnapshot(onNext, onError) {
+    this.get().then(onNext, onError);
+    return () => {};
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    const parts = this.path.split('/');
+    return parts.length > 1 ? new DocumentReference(this.firestore, parts.slice(0, -1).join('/')) : null;
+  }
+
+  doc(...args) {
+    // Like Firestore, only a call without arguments gets an auto ID; doc(undefined) is an error
+    const [documentPath] = args;
+    if (args.length > 0 && (typeof documentPath !== 'string' || !documentPath)) {
+      throw new Error('Value for argument "documentPath" is not a valid resource path. Path must be a non-empty string.');
+    }
+    return new DocumentReference(this.firestore, `${this.path}/${args.length > 0 ? documentPath : generateAutoId()}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.create(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return this.firestore._documentsIn(this.path).map(doc => new DocumentReference(this.firestore, doc.path));
+  }
+}
+
+class WriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._writes = [];
+    this._committed = false;
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push(() => this._db._set(ref, data, options));
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push(() => this._db._create(ref, data));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(() => this._db._update(ref, data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => this._db._delete(ref));
+    return this;
+  }
+
+  async commit() {
+    if (this._committed) {
+      throw new Error('Cannot modify a WriteBatch that has been committed.');
+    }
+    this._committed = true;
+
+    // All or nothing: restore the previous state if any write fails
+    const saved = this._db._copyState();
+    try {
+      this._writes.forEach(write => write());
+    } catch (error) {
+      this._db._restoreState(saved);
+      throw error;
+    }
+
+    return this._writes.map(() => ({ writeTime: Timestamp.now() }));
+  }
+}
+
+class Transaction {
+  constructor(db) {
+    this._db = db;
+    this._batch = new WriteBatch(db);
+    this._hasWritten = false;
+  }
+
+  async get(refOrQuery) {
+    if (this._hasWritten) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+
+  set(ref, data, options) {
+    this._hasWritten = true;
+    this._batch.set(ref, data, options);
+    return this;
+  }
+
+  create(ref, data) {
+    this._hasWritten = true;
+    this._batch.create(ref, data);
+    return this;
+  }
+
+  update(ref, data) {
+    this._hasWritten = true;
+    this._batch.update(ref, data);
+    return this;
+  }
+
+  delete(ref) {
+    this._hasWritten = true;
+    this._batch.delete(ref);
+    return this;
+  }
+}
+
+class MemoryFirestore {
+  constructor() {
+    this._documents = new Map(); // Full document path -> stored data
+    this._transactionQueue = Promise.resolve();
+  }
+
+  collection(collectionPath) {
+    if (collectionPath.split('/').filter(Boolean).length % 2 === 0) {
+      throw new Error(`Value for argument "collectionPath" must point to a collection: ${collectionPath}`);
+    }
+    return new CollectionReference(this, collectionPath);
+  }
+
+  doc(documentPath) {
+    if (documentPath.split('/').filter(Boolean).length % 2 !== 0) {
+      throw new Error(`Value for argument "documentPath" must point to a document: ${documentPath}`);
+    }
+    return new DocumentReference(this, documentPath);
+  }
+
+  collectionGroup(collectionId) {
+    return new Query(this, collectionId, { allDescendants: true });
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  /**
+   * Run transactions one at a time, so each sees a consistent store and its
+   * writes land together
+   */
+  runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      await transaction._batch.commit();
+      return result;
+    });
+
+    this._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+
+  async listCollections() {
+    return this._subcollectionsOf('').map(path => new CollectionReference(this, path));
+  }
+
+  /**
+   * Clear every document
+   */
+  reset() {
+    this._documents.clear();
+  }
+
+  /**
+   * Plain copy of every document, keyed by path (for inspection in tests)
+   */
+  dump() {
+    const data = {};
+    this._documents.forEach((value, path) => {
+      data[path] = fromStored(value);
+    });
+    return data;
+  }
+
+  /**
+   * Documents directly in a collection, or with allDescendants in every
+   * collection with that ID at any depth (a collection group)
+   */
+  _documentsIn(collectionPath, allDescendants = false) {
+    if (allDescendants) {
+      return Array.from(this._documents.entries())
+        .filter(([path]) => path.split('/').slice(-2, -1)[0] === collectionPath)
+        .map(([path, data]) => ({ id: path.split('/').pop(), path, data }));
+    }
+
+    const depth = collectionPath.split('/').length + 1;
+    return Array.from(this._documents.entries())
+      .filter(([path]) => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+      .map(([path, data]) => ({ id: path.split('/').pop(), path, data }));
+  }
+
+  _subcollectionsOf(documentPath) {
+    const prefix = documentPath ? `${documentPath}/` : '';
+    const depth = documentPath ? documentPath.split('/').length + 1 : 1;
+    const paths = new Set();
+    this._documents.forEach((value, path) => {
+      if (path.startsWith(prefix)) {
+        paths.add(path.split('/').slice(0, depth).join('/'));
+      }
+    });
+    return Array.from(paths).filter(path => path.split('/').length === depth);
+  }
+
+  _snapshot(ref) {
+    return new DocumentSnapshot(ref, this._documents.get(ref.path));
+  }
+
+  _set(ref, data, { merge = false, mergeFields = null } = {}) {
+    const stored = toStored(data);
+    const existing = this._documents.get(ref.path);
+
+    if (mergeFields) {
+      const next = { ...(existing || {}) };
+      mergeFields.forEach(field => writeField(next, field, readField(stored, field)));
+      this._documents.set(ref.path, next);
+    } else if (merge && existing) {
+      this._documents.set(ref.path, deepMerge(existing, stored));
+    } else {
+      this._documents.set(ref.path, stored);
+    }
+  }
+
+  _create(ref, data) {
+    if (this._documents.has(ref.path)) {
+      throw firestoreError(6, 'ALREADY_EXISTS', `Document already exists: ${ref.path}`);
+    }
+    this._documents.set(ref.path, toStored(data));
+  }
+
+  _update(ref, data) {
+    const existing = this._documents.get(ref.path);
+    if (!existing) {
+      throw firestoreError(5, 'NOT_FOUND', `No document to update: ${ref.path}`);
+    }
+
+    const next = fromStored(existing);
+    Object.entries(data).forEach(([fieldPath, value]) => writeField(next, fieldPath, toStored(value)));
+    this._documents.set(ref.path, toStored(next));
+  }
+
+  _delete(ref) {
+    this._documents.delete(ref.path);
+  }
+
+  _copyState() {
+    return new Map(this._documents);
+  }
+
+  _restoreState(saved) {
+    this._documents = saved;
+  }
+}
+
+function createMemoryFirestore() {
+  return new MemoryFirestore();
+}
+
+module.exports = {
+  createMemoryFirestore,
+  MemoryFirestore,
+  Timestamp,
+};
@@ -0,0 +1,63 @@
+/**
+ * Cloud Messaging stand-in for local mode. Push messages are recorded in
+ * `sent` instead of being delivered; tokens starting with "invalid" fail
+ * with the error FCM gives for unregistered devices.
+ */
+
+class MemoryMessaging {
+  constructor() {
+    this.sent = [];
+  }
+
+  _deliver(message) {
+    if (String(message.token || '').startsWith('invalid')) {
+      const error = new Error('Requested entity was not found.');
+      error.code = 'messaging/registration-token-not-registered';
+      throw error;
+    }
+
+    const messageId = `projects/tripo-local/messages/${this.sent.length + 1}`;
+    this.sent.push({ ...message, messageId });
+    return messageId;
+  }
+
+  async send(message) {
+    return this._deliver(message);
+  }
+
+  async sendMulticast({ tokens = [], ...message }) {
+    const responses = tokens.map(token => {
+      try {
+        return { success: true, messageId: this._deliver({ ...message, token }) };
+      } catch (error) {
+        return { success: false, error };
+      }
+    });
+
+    return {
+      responses,
+      successCount: responses.filter(response => response.success).length,
+      failureCount: responses.filter(response => !response.success).length,
+    };
+  }
+
+  async sendEachForMulticast(message) {
+    return this.sendMulticast(message);
+  }
+
+  /**
+   * Forget recorded messages
+   */
+  reset() {
+    this.sent = [];
+  }
+}
+
+function createMemoryMessaging() {
+  return new MemoryMessaging();
+}
+
+module.exports = {
+  createMemoryMessaging,
+  MemoryMessaging,
+};
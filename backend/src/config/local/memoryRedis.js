@@ -0,0 +1,273 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-memory Redis client for local mode, with the node-redis v4 command
+ * names the backend uses: strings with expiry, keys/exists/del, counters,
+ * hashes and pub/sub. Clients made with duplicate() share the same data and
+ * channels, like connections to one Redis server. Expired keys are removed
+ * when next touched, so no timers keep the process alive.
+ */
+
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+function wrongType() {
+  return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+}
+
+function createServer() {
+  return {
+    entries: new Map(), // key -> { type: 'string' | 'hash', value, expiresAt }
+    channels: new EventEmitter().setMaxListeners(0),
+  };
+}
+
+class MemoryRedisClient extends EventEmitter {
+  constructor(server = createServer()) {
+    super();
+    this._server = server;
+    this._subscriptions = new Map(); // channel -> listeners
+    this.isOpen = false;
+    this.isReady = false;
+  }
+
+  async connect() {
+    this.isOpen = true;
+    this.isReady = true;
+    this.emit('connect');
+    this.emit('ready');
+    return this;
+  }
+
+  async quit() {
+    await this._unsubscribeAll();
+    this.isOpen = false;
+    this.isReady = false;
+    this.emit('end');
+    return 'OK';
+  }
+
+  async disconnect() {
+    return this.quit();
+  }
+
+  duplicate() {
+    return new MemoryRedisClient(this._server);
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  _entry(key) {
+    const entry = this._server.entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this._server.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  _string(key) {
+    const entry = this._entry(key);
+    if (entry && entry.type !== 'string') throw wrongType();
+    return entry;
+  }
+
+  _hash(key, create = false) {
+    let entry = this._entry(key);
+    if (entry && entry.type !== 'hash') throw wrongType();
+    if (!entry && create) {
+      entry = { type: 'hash', value: new Map(), expiresAt: null };
+      this._server.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this._string(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, options = {}) {
+    const existing = this._entry(key);
+    if (options.NX && existing) return null;
+    if (options.XX && !existing) return null;
+
+    let expiresAt = null;
+    if (options.EX) expiresAt = Date.now() + options.EX * 1000;
+    else if (options.PX) expiresAt = Date.now() + options.PX;
+    else if (options.KEEPTTL && existing) expiresAt = existing.expiresAt;
+
+    this._server.entries.set(key, { type: 'string', value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds });
+  }
+
+  async setNX(key, value) {
+    return (await this.set(key, value, { NX: true })) === 'OK';
+  }
+
+  async mGet(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async del(keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+    return list.filter(key => this._entry(key) && this._server.entries.delete(key)).length;
+  }
+
+  async exists(keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+    return list.filter(key => this._entry(key)).length;
+  }
+
+  async expire(key, seconds) {
+    const entry = this._entry(key);
+    if (!entry) return false;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return true;
+  }
+
+  async ttl(key) {
+    const entry = this._entry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async keys(pattern = '*') {
+    const matcher = globToRegExp(pattern);
+    return Array.from(this._server.entries.keys()).filter(key => this._entry(key) && matcher.test(key));
+  }
+
+  async flushAll() {
+    this._server.entries.clear();
+    return 'OK';
+  }
+
+  async flushDb() {
+    return this.flushAll();
+  }
+
+  async incrBy(key, increment) {
+    const entry = this._string(key);
+    const current = entry ? parseInt(entry.value, 10) : 0;
+    if (Number.isNaN(current)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+
+    const value = current + increment;
+    this._server.entries.set(key, { type: 'string', value: String(value), expiresAt: entry ? entry.expiresAt : null });
+    return value;
+  }
+
+  async incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  async decr(key) {
+    return this.incrBy(key, -1);
+  }
+
+  async hSet(key, field, value) {
+    const hash = this._hash(key, true).value;
+    const fields = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+    let added = 0;
+    fields.forEach(([name, item]) => {
+      if (!hash.has(name)) added++;
+      hash.set(name, String(item));
+    });
+    return added;
+  }
+
+  async hGet(key, field) {
+    const entry = this._hash(key);
+    return entry && entry.value.has(field) ? entry.value.get(field) : null;
+  }
+
+  async hGetAll(key) {
+    const entry = this._hash(key);
+    return entry ? Object.fromEntries(entry.value) : {};
+  }
+
+  async hKeys(key) {
+    const entry = this._hash(key);
+    return entry ? Array.from(entry.value.keys()) : [];
+  }
+
+  async hDel(key, fields) {
+    const entry = this._hash(key);
+    if (!entry) return 0;
+
+    const removed = (Array.isArray(fields) ? fields : [fields]).filter(field => entry.value.delete(field)).length;
+    if (entry.value.size === 0) this._server.entries.delete(key);
+    return removed;
+  }
+
+  async hIncrBy(key, field, increment) {
+    const hash = this._hash(key, true).value;
+    const value = (parseInt(hash.get(field), 10) || 0) + increment;
+    hash.set(field, String(value));
+    return value;
+  }
+
+  /**
+   * Publish to every subscribed client. Delivery is asynchronous, as over a
+   * real connection. Resolves to the number of receiving subscriptions.
+   */
+  async publish(channel, message) {
+    const receivers = this._server.channels.listenerCount(channel);
+    setImmediate(() => this._server.channels.emit(channel, String(message), channel));
+    return receivers;
+  }
+
+  async subscribe(channels, listener) {
+    (Array.isArray(channels) ? channels : [channels]).forEach(channel => {
+      this._server.channels.on(channel, listener);
+      if (!this._subscriptions.has(channel)) this._subscriptions.set(channel, []);
+      this._subscriptions.get(channel).push(listener);
+    });
+  }
+
+  async unsubscribe(channels, listener) {
+    const list = channels === undefined ? Array.from(this._subscriptions.keys()) : (Array.isArray(channels) ? channels : [channels]);
+    list.forEach(channel => {
+      const listeners = this._subscriptions.get(channel) || [];
+      const removed = listener ? listeners.filter(item => item === listener) : listeners;
+      removed.forEach(item => this._server.channels.off(channel, item));
+
+      const remaining = listeners.filter(item => !removed.includes(item));
+      if (remaining.length) this._subscriptions.set(channel, remaining);
+      else this._subscriptions.delete(channel);
+    });
+  }
+
+  async _unsubscribeAll() {
+    await this.unsubscribe();
+  }
+
+  /**
+   * Drop all data (shared with duplicates)
+   */
+  reset() {
+    this._server.entries.clear();
+  }
+}
+
+/**
+ * A client for a fresh in-memory server
+ */
+function createMemoryRedis() {
+  return new MemoryRedisClient();
+}
+
+module.exports = {
+  createMemoryRedis,
+  MemoryRedisClient,
+};
@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+
+/**
+ * Razorpay and Stripe clients for local mode.
+ *
+ * They keep orders, payments, intents and refunds in memory and number their
+ * IDs in sequence, so the same calls always give the same responses. The
+ * browser checkout that would normally pay an order is replaced by
+ * completeCheckout() (Razorpay) and paymentIntents.confirm() (Stripe), using
+ * Stripe's test payment methods: pm_card_visa succeeds and
+ * pm_card_chargeDeclined is declined.
+ */
+
+function gatewayError(statusCode, description) {
+  const error = new Error(description);
+  error.statusCode = statusCode;
+  error.error = { description };
+  return error;
+}
+
+function sequentialId(prefix, counter) {
+  return `${prefix}_local${String(counter).padStart(8, '0')}`;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+class LocalRazorpay {
+  constructor({ keySecret }) {
+    this._keySecret = keySecret;
+    this._orders = new Map();
+    this._payments = new Map();
+    this._counter = 0;
+
+    this.orders = {
+      create: async (data) => this._createOrder(data),
+      fetch: async (orderId) => this._getOrder(orderId),
+      fetchPayments: async (orderId) => {
+        this._getOrder(orderId);
+        const items = Array.from(this._payments.values()).filter(payment => payment.order_id === orderId);
+        return { entity: 'collection', count: items.length, items };
+      },
+    };
+
+    this.payments = {
+      fetch: async (paymentId) => this._getPayment(paymentId),
+      capture: async (paymentId, amount) => {
+        const payment = this._getPayment(paymentId);
+        if (payment.amount !== amount) {
+          throw gatewayError(400, 'Capture amount must be equal to the amount authorized');
+        }
+        payment.captured = true;
+        return { ...payment };
+      },
+      refund: async (paymentId, { amount, notes = {} } = {}) => this._refund(paymentId, amount, notes),
+    };
+  }
+
+  _nextId(prefix) {
+    this._counter += 1;
+    return sequentialId(prefix, this._counter);
+  }
+
+  _createOrder({ amount, currency = 'INR', receipt = null, notes = {} }) {
+    if (!Number.isInteger(amount) || amount < 100) {
+      throw gatewayError(400, 'The amount must be atleast INR 1.00');
+    }
+
+    const order = {
+      id: this._nextId('order'),
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      receipt,
+      status: 'created',
+      attempts: 0,
+      notes,
+      created_at: nowSeconds(),
+    };
+    this._orders.set(order.id, order);
+    return { ...order };
+  }
+
+  _getOrder(orderId) {
+    const order = this._orders.get(orderId);
+    if (!order) throw gatewayError(400, 'The id provided does not exist');
+    return order;
+  }
+
+  _getPayment(paymentId) {
+    const payment = this._payments.get(paymentId);
+    if (!payment) throw gatewayError(400, 'The id provided does not exist');
+    return payment;
+  }
+
+  _refund(paymentId, amount, notes) {
+    const payment = this._getPayment(paymentId);
+    const refundAmount = amount === undefined ? payment.amount - payment.amount_refunded : amount;
+    if (payment.status !== 'captured') {
+      throw gatewayError(400, 'The payment has not been captured');
+    }
+    if (refundAmount <= 0 || payment.amount_refunded + refundAmount > payment.amount) {
+      throw gatewayError(400, 'The refund amount provided is greater than amount captured');
+    }
+
+    payment.amount_refunded += refundAmount;
+    payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+
+    return {
+      id: this._nextId('rfnd'),
+      entity: 'refund',
+      amount: refundAmount,
+      currency: payment.currency,
+      payment_id: paymentId,
+      notes,
+      status: 'processed',
+      created_at: nowSeconds(),
+    };
+  }
+
+  /**
+   * Signature checkout returns for a paid order, as verified by
+   * paymentService.verifyRazorpayPayment
+   */
+  signPayment(orderId, paymentId) {
+    return crypto.createHmac('sha256', this._keySecret).update(`${orderId}|${paymentId}`).digest('hex');
+  }
+
+  /**
+   * Pay an order the way the browser checkout would. Returns the fields the
+   * client posts to /api/payments/verify.
+   */
+  completeCheckout(orderId, { method = 'upi' } = {}) {
+    const order = this._getOrder(orderId);
+    const payment = {
+      id: this._nextId('pay'),
+      entity: 'payment',
+      amount: order.amount,
+      currency: order.currency,
+      status: 'captured',
+      order_id: orderId,
+      method,
+      captured: true,
+      amount_refunded: 0,
+      refund_status: null,
+      created_at: nowSeconds(),
+    };
+    this._payments.set(payment.id, payment);
+
+    order.attempts += 1;
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+    order.status = 'paid';
+
+    return {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: this.signPayment(orderId, payment.id),
+    };
+  }
+}
+
+const TEST_PAYMENT_METHODS = {
+  pm_card_visa: { succeeds: true },
+  pm_card_mastercard: { succeeds: true },
+  pm_card_chargeDeclined: { succeeds: false, code: 'card_declined', message: 'Your card was declined.' },
+  pm_card_insufficientFunds: { succeeds: false, code: 'card_declined', message: 'Your card has insufficient funds.' },
+};
+
+class LocalStripe {
+  constructor({ webhookSecret }) {
+    this._webhookSecret = webhookSecret;
+    this._intents = new Map();
+    this._counter = 0;
+
+    this.paymentIntents = {
+      create: async (data) => this._createIntent(data),
+      retrieve: async (intentId) => ({ ...this._getIntent(intentId) }),
+      confirm: async (intentId, { payment_method: paymentMethod } = {}) => this._confirmIntent(intentId, paymentMethod),
+      cancel: async (intentId) => {
+        const intent = this._getIntent(intentId);
+        if (intent.status === 'succeeded') {
+          throw this._error('payment_intent_unexpected_state', 'You cannot cancel this PaymentIntent because it has a status of succeeded.');
+        }
+        intent.status = 'canceled';
+        return { ...intent };
+      },
+    };
+
+    this.refunds = {
+      create: async (data) => this._refund(data),
+    };
+
+    this.webhooks = {
+      constructEvent: (payload, header, secret) => this._constructEvent(payload, header, secret),
+      generateTestHeaderString: ({ payload, secret = this._webhookSecret, timestamp = nowSeconds() }) =>
+        `t=${timestamp},v1=${this._sign(payload, secret, timestamp)}`,
+    };
+  }
+
+  _nextId(prefix) {
+    this._counter += 1;
+    return sequentialId(prefix, this._counter);
+  }
+
+  _error(code, message) {
+    const error = new Error(message);
+    error.type = 'StripeInvalidRequestError';
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+
+  _createIntent({ amount, currency = 'inr', metadata = {} }) {
+    if (!Number.isInteger(amount) || amount < 50) {
+      throw this._error('amount_too_small', 'Amount must be at least ₹0.50 inr');
+    }
+
+    const id = this._nextId('pi');
+    const intent = {
+      id,
+      object: 'payment_intent',
+      amount,
+      amount_received: 0,
+      amount_refunded: 0,
+      currency,
+      metadata,
+      status: 'requires_payment_method',
+      client_secret: `${id}_secret_local`,
+      last_payment_error: null,
+      latest_charge: null,
+      created: nowSeconds(),
+    };
+    this._intents.set(id, intent);
+    return { ...intent };
+  }
+
+  _getIntent(intentId) {
+    const intent = this._intents.get(intentId);
+    if (!intent) throw this._error('resource_missing', `No such payment_intent: '${intentId}'`);
+    return intent;
+  }
+
+  _confirmIntent(intentId, paymentMethod = 'pm_card_visa') {
+    const intent = this._getIntent(intentId);
+    if (intent.status === 'succeeded' || intent.status === 'canceled') {
+      throw this._error('payment_intent_unexpected_state', `This PaymentIntent's status is ${intent.status}.`);
+    }
+
+    const outcome = TEST_PAYMENT_METHODS[paymentMethod];
+    if (!outcome) throw this._error('resource_missing', `No such PaymentMethod: '${paymentMethod}'`);
+
+    if (outcome.succeeds) {
+      intent.status = 'succeeded';
+      intent.amount_received = intent.amount;
+      intent.latest_charge = this._nextId('ch');
+      intent.last_payment_error = null;
+    } else {
+      intent.status = 'requires_payment_method';
+      intent.last_payment_error = { code: outcome.code, message: outcome.message };
+    }
+    return { ...intent };
+  }
+
+  _refund({ payment_intent: intentId, amount, reason = null, metadata = {} }) {
+    const intent = this._getIntent(intentId);
+    if (intent.status !== 'succeeded') {
+      throw this._error('charge_not_refundable', 'This PaymentIntent does not have a successful charge to refund.');
+    }
+
+    const refundAmount = amount === undefined ? intent.amount_received - intent.amount_refunded : amount;
+    if (refundAmount <= 0 || intent.amount_refunded + refundAmount > intent.amount_received) {
+      throw this._error('amount_too_large', 'Refund amount is greater than unrefunded amount on charge');
+    }
+    intent.amount_refunded += refundAmount;
+
+    return {
+      id: this._nextId('re'),
+      object: 'refund',
+      amount: refundAmount,
+      currency: intent.currency,
+      payment_intent: intentId,
+      reason,
+      metadata,
+      status: 'succeeded',
+      created: nowSeconds(),
+    };
+  }
+
+  _sign(payload, secret, timestamp) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  }
+
+  // Same header format and checks as Stripe: t=<timestamp>,v1=<signature>
+  _constructEvent(payload, header, secret) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload);
+
+    if (!parts.t || !parts.v1 || parts.v1 !== this._sign(body, secret, parts.t)) {
+      const error = new Error('No signatures found matching the expected signature for payload');
+      error.type = 'StripeSignatureVerificationError';
+      throw error;
+    }
+    return JSON.parse(body);
+  }
+}
+
+function createLocalRazorpay(options) {
+  return new LocalRazorpay(options);
+}
+
+function createLocalStripe(options) {
+  return new LocalStripe(options);
+}
+
+module.exports = {
+  createLocalRazorpay,
+  createLocalStripe,
+  LocalRazorpay,
+  LocalStripe,
+};
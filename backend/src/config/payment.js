@@ -1,19 +1,29 @@
 const Razorpay = require('razorpay');
 const Stripe = require('stripe');
+const { isLocalMode, applyLocalDefaults } = require('./local');
+const { createLocalRazorpay, createLocalStripe } = require('./local/paymentGateways');
 
-// Initialize Razorpay (only if credentials are provided)
 let razorpay = null;
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-  razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET,
-  });
-}
-
-// Initialize Stripe (only if credentials are provided)
 let stripe = null;
-if (process.env.STRIPE_SECRET_KEY) {
-  stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+if (isLocalMode()) {
+  // Offline gateways with deterministic responses
+  applyLocalDefaults();
+  razorpay = createLocalRazorpay({ keySecret: process.env.RAZORPAY_KEY_SECRET });
+  stripe = createLocalStripe({ webhookSecret: process.env.STRIPE_WEBHOOK_SECRET });
+} else {
+  // Initialize Razorpay (only if credentials are provided)
+  if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
+    razorpay = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+
+  // Initialize Stripe (only if credentials are provided)
+  if (process.env.STRIPE_SECRET_KEY) {
+    stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
 }
 
 module.exports = {
@@ -46,5 +56,37 @@ module.exports = {
       partialRefundHours: 2, // Partial refund if cancelled 2 hours before
       partialRefundPercentage: 50, // 50% refund for partial refunds
     },
+
+    // Per-ride cancellation policies (Ride.bookingPolicy); the refund tiers above are the 'moderate' policy
+    cancellationPolicies: {
+      maxCustomTiers: 5,
+      lateDriverCancellationHours: 24, // Driver cancellations closer to departure count as late
+      noShowFeePercentage: parseInt(process.env.NO_SHOW_FEE_PERCENTAGE) || 50, // Share of the fare a no-show passenger pays
+    },
+
+    // Passenger wallet limits
+    wallet: {
+      minTopUp: parseInt(process.env.WALLET_MIN_TOPUP) || 50,
+      maxTopUp: parseInt(process.env.WALLET_MAX_TOPUP) || 10000,
+      maxBalance: parseInt(process.env.WALLET_MAX_BALANCE) || 50000,
+    },
+
+    // Promo codes and referral credits (discounts are funded from the platform fee)
+    promotions: {
+      maxPerUserLimit: 10,
+      referral: {
+        refereeCredit: parseInt(process.env.REFERRAL_REFEREE_CREDIT) || 100, // Credited to the new user's wallet
+        referrerCredit: parseInt(process.env.REFERRAL_REFERRER_CREDIT) || 100, // Credited to the user who shared the code
+      },
+    },
+
+    // Provider payouts
+    payout: {
+      gateway: process.env.PAYOUT_GATEWAY || (process.env.NODE_ENV === 'production' ? 'manual' : 'mock'),
+      minimumAmount: 100, // ₹100 minimum, matches financialService
+      autoApproveLimit: parseInt(process.env.PAYOUT_AUTO_APPROVE_LIMIT) || 5000,
+      maxAttempts: 3,
+      scheduleCron: process.env.PAYOUT_SCHEDULE_CRON || '0 6 * * *', // Daily at 06:00
+    },
   },
 };
\ No newline at end of file
@@ -1,7 +1,10 @@
+const { EventEmitter } = require('events');
 const { createClient } = require('redis');
+const { isLocalMode, getLocalStores } = require('./local');
 const logger = require('../utils/logger');
 
 let redisClient = null;
+let pubSub = null;
 
 /**
  * Initialize Redis connection
@@ -13,6 +16,14 @@ async function initializeRedis() {
       return redisClient;
     }
 
+    // Local mode: in-memory Redis
+    if (isLocalMode()) {
+      redisClient = getLocalStores().redis;
+      await redisClient.connect();
+      logger.info('Using in-memory Redis (local mode)');
+      return redisClient;
+    }
+
     // Skip Redis in development mode unless explicitly required
     if (process.env.NODE_ENV === 'development' && !process.env.REDIS_REQUIRED) {
       logger.info('Redis disabled in development mode');
@@ -283,9 +294,85 @@ const session = {
   }
 };
 
+/**
+ * In-process stand-in for Redis pub/sub, used when Redis is not configured.
+ * Messages are delivered asynchronously, like they would be over Redis.
+ */
+function createMemoryPubSub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    type: 'memory',
+    async publish(channel, message) {
+      setImmediate(() => emitter.emit(channel, message));
+    },
+    async subscribe(channel, listener) {
+      emitter.on(channel, listener);
+      return async () => emitter.off(channel, listener);
+    },
+  };
+}
+
+/**
+ * Pub/sub over Redis. Subscribing needs its own connection, so a duplicate
+ * of the main client is opened on first subscribe.
+ */
+function createRedisPubSub(client) {
+  let subscriber = null;
+
+  const getSubscriber = async () => {
+    if (!subscriber) {
+      subscriber = client.duplicate();
+      subscriber.on('error', (err) => logger.error('Redis subscriber error:', err));
+      await subscriber.connect();
+    }
+    return subscriber;
+  };
+
+  return {
+    type: 'redis',
+    async publish(channel, message) {
+      await client.publish(channel, message);
+    },
+    async subscribe(channel, listener) {
+      const connection = await getSubscriber();
+      await connection.subscribe(channel, listener);
+      return async () => connection.unsubscribe(channel, listener);
+    },
+  };
+}
+
+/**
+ * Get the shared pub/sub transport: Redis when connected, in-memory otherwise
+ */
+function getPubSub() {
+  if (pubSub) {
+    return pubSub;
+  }
+
+  let client = null;
+  try {
+    client = getRedisClient();
+  } catch (error) {
+    client = null;
+  }
+
+  if (client) {
+    pubSub = createRedisPubSub(client);
+  } else {
+    logger.warn('Redis not available, realtime pub/sub is limited to this process');
+    pubSub = createMemoryPubSub();
+  }
+
+  return pubSub;
+}
+
 module.exports = {
   initializeRedis,
   getRedisClient,
+  getPubSub,
+  createMemoryPubSub,
   cache,
   session,
 };
\ No newline at end of file
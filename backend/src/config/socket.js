@@ -1,6 +1,11 @@
 const { Server } = require('socket.io');
 const logger = require('../utils/logger');
 const { verifyFirebaseToken } = require('../middleware/auth');
+const { logSecurityEvent } = require('../middleware/auditLogging');
+const roomAuthorizationService = require('../services/roomAuthorizationService');
+const presenceService = require('../services/presenceService');
+const { getPubSub } = require('./redis');
+const { createPubSubAdapter } = require('./socketAdapter');
 
 let io;
 
@@ -29,6 +34,118 @@ function isOriginAllowed(origin, allowedOrigins) {
   return false;
 }
 
+/**
+ * Record a refused room join or location share and tell the client why
+ * @param {Object} socket - Socket that made the request
+ * @param {string} roomType - ride, booking, conversation or share_location
+ * @param {string} roomId - Requested ride, booking or conversation ID
+ * @param {string} reason - Why access was refused
+ * @param {Function} [ack] - Client acknowledgement callback, if given
+ */
+function denyRoomAccess(socket, roomType, roomId, reason, ack) {
+  logSecurityEvent('SOCKET_ROOM_ACCESS_DENIED', {
+    userId: socket.userId,
+    socketId: socket.id,
+    ipAddress: socket.handshake.address,
+    roomType,
+    roomId,
+    reason,
+  });
+
+  socket.emit('room_access_denied', { roomType, roomId, reason });
+  if (typeof ack === 'function') {
+    ack({ success: false, error: reason });
+  }
+}
+
+/**
+ * Join a ride, booking or conversation room after checking membership
+ * @param {Object} socket - Socket asking to join
+ * @param {string} roomType - ride, booking or conversation
+ * @param {string} roomId - ID of the ride, booking or conversation
+ * @param {Function} [ack] - Client acknowledgement callback, if given
+ */
+async function joinAuthorizedRoom(socket, roomType, roomId, ack) {
+  const { allowed, reason } = await roomAuthorizationService.authorize(socket.userId, roomType, roomId);
+
+  if (!allowed) {
+    denyRoomAccess(socket, roomType, roomId, reason, ack);
+    return;
+  }
+
+  socket.join(`${roomType}_${roomId}`);
+  logger.info(`User ${socket.userId} joined ${roomType} room: ${roomId}`);
+
+  if (typeof ack === 'function') {
+    ack({ success: true });
+  }
+}
+
+/**
+ * Save a user's chosen status to shared presence and tell everyone else
+ * @param {Object} socket - Socket of the user changing status
+ * @param {string} status - online or offline
+ */
+async function broadcastUserStatus(socket, status) {
+  try {
+    const presence = await presenceService.setStatus(socket.userId, status);
+    socket.broadcast.emit('user_status_changed', {
+      userId: socket.userId,
+      status,
+      lastSeen: presence.lastSeen,
+    });
+  } catch (error) {
+    logger.error(`Failed to update status for user ${socket.userId}:`, error);
+  }
+}
+
+/**
+ * Public namespace for people following a shared trip link. There is no
+ * login: the link's signed token is checked on connect, and the socket is
+ * dropped when the link expires, is revoked or the booking ends.
+ * @param {Object} server - Socket.io server instance
+ */
+function initializeTripShareNamespace(server) {
+  const namespace = server.of('/trip-share');
+
+  namespace.use(async (socket, next) => {
+    try {
+      // Required here to avoid a cycle through the realtime service
+      const tripShareService = require('../services/tripShareService');
+      const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+      socket.tripShareToken = token;
+      socket.tripShare = await tripShareService.verifyToken(token);
+      next();
+    } catch (error) {
+      next(new Error(error.message === 'This trip link has expired' ? error.message : 'Invalid trip link'));
+    }
+  });
+
+  namespace.on('connection', async (socket) => {
+    const share = socket.tripShare;
+    socket.join(`share_${share.id}`);
+    socket.join(`trip_share_${share.bookingId}`);
+
+    const expiresIn = new Date(share.expiresAt).getTime() - Date.now();
+    const expiryTimer = setTimeout(() => {
+      socket.emit('trip_share_ended', { reason: 'expired', timestamp: new Date().toISOString() });
+      socket.disconnect(true);
+    }, Math.max(0, Math.min(expiresIn, 2147483647)));
+    socket.on('disconnect', () => clearTimeout(expiryTimer));
+
+    try {
+      const tripShareService = require('../services/tripShareService');
+      socket.emit('trip_share_update', {
+        ...(await tripShareService.getPublicView(socket.tripShareToken)),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      socket.emit('trip_share_ended', { reason: 'expired', timestamp: new Date().toISOString() });
+      socket.disconnect(true);
+    }
+  });
+}
+
 /**
  * Initialize Socket.io server
  * @param {Object} server - HTTP server instance
@@ -48,8 +165,14 @@ function initializeSocket(server) {
     transports: ['websocket', 'polling'],
     pingTimeout: 60000,
     pingInterval: 25000,
+    // Relay broadcasts between backend instances (Redis, or in-process without it)
+    adapter: createPubSubAdapter(getPubSub()),
   });
 
+  presenceService.startHeartbeat(() => ({ connectedSockets: io.engine.clientsCount }));
+
+  initializeTripShareNamespace(io);
+
   // Authentication middleware for socket connections
   io.use(async (socket, next) => {
     try {
@@ -79,11 +202,11 @@ function initializeSocket(server) {
     // Join user to their personal room for targeted notifications
     socket.join(`user_${socket.userId}`);
 
+    presenceService.userConnected(socket.userId)
+      .catch((error) => logger.error(`Failed to record presence for user ${socket.userId}:`, error));
+
     // Handle user joining ride-specific rooms
-    socket.on('join_ride', (rideId) => {
-      socket.join(`ride_${rideId}`);
-      logger.info(`User ${socket.userId} joined ride room: ${rideId}`);
-    });
+    socket.on('join_ride', (rideId, ack) => joinAuthorizedRoom(socket, 'ride', rideId, ack));
 
     // Handle user leaving ride-specific rooms
     socket.on('leave_ride', (rideId) => {
@@ -92,10 +215,7 @@ function initializeSocket(server) {
     });
 
     // Handle user joining booking-specific rooms
-    socket.on('join_booking', (bookingId) => {
-      socket.join(`booking_${bookingId}`);
-      logger.info(`User ${socket.userId} joined booking room: ${bookingId}`);
-    });
+    socket.on('join_booking', (bookingId, ack) => joinAuthorizedRoom(socket, 'booking', bookingId, ack));
 
     // Handle user leaving booking-specific rooms
     socket.on('leave_booking', (bookingId) => {
@@ -104,10 +224,7 @@ function initializeSocket(server) {
     });
 
     // Handle user joining conversation rooms
-    socket.on('join_conversation', (conversationId) => {
-      socket.join(`conversation_${conversationId}`);
-      logger.info(`User ${socket.userId} joined conversation room: ${conversationId}`);
-    });
+    socket.on('join_conversation', (conversationId, ack) => joinAuthorizedRoom(socket, 'conversation', conversationId, ack));
 
     // Handle user leaving conversation rooms
     socket.on('leave_conversation', (conversationId) => {
@@ -116,9 +233,15 @@ function initializeSocket(server) {
     });
 
     // Handle location sharing for trip tracking
-    socket.on('share_location', (data) => {
-      const { rideId, location } = data;
-      
+    socket.on('share_location', async (data, ack) => {
+      const { rideId, location } = data || {};
+
+      const { allowed, reason } = await roomAuthorizationService.authorize(socket.userId, 'share_location', rideId);
+      if (!allowed) {
+        denyRoomAccess(socket, 'share_location', rideId, reason, ack);
+        return;
+      }
+
       // Broadcast location to all users in the ride room
       socket.to(`ride_${rideId}`).emit('location_update', {
         userId: socket.userId,
@@ -127,11 +250,15 @@ function initializeSocket(server) {
       });
       
       logger.info(`Location shared by user ${socket.userId} for ride ${rideId}`);
+      if (typeof ack === 'function') {
+        ack({ success: true });
+      }
     });
 
-    // Handle typing indicators for messaging
+    // Handle typing indicators for messaging (only relayed from sockets admitted to the conversation room)
     socket.on('typing_start', (data) => {
       const { conversationId } = data;
+      if (!socket.rooms.has(`conversation_${conversationId}`)) return;
       socket.to(`conversation_${conversationId}`).emit('user_typing', {
         userId: socket.userId,
         typing: true,
@@ -140,6 +267,7 @@ function initializeSocket(server) {
 
     socket.on('typing_stop', (data) => {
       const { conversationId } = data;
+      if (!socket.rooms.has(`conversation_${conversationId}`)) return;
       socket.to(`conversation_${conversationId}`).emit('user_typing', {
         userId: socket.userId,
         typing: false,
@@ -149,6 +277,7 @@ function initializeSocket(server) {
     // Handle message delivery confirmation
     socket.on('message_delivered', (data) => {
       const { messageId, conversationId } = data;
+      if (!socket.rooms.has(`conversation_${conversationId}`)) return;
       socket.to(`conversation_${conversationId}`).emit('message_delivery_confirmed', {
         messageId,
         deliveredBy: socket.userId,
@@ -159,6 +288,7 @@ function initializeSocket(server) {
     // Handle message read confirmation
     socket.on('message_read', (data) => {
       const { messageId, conversationId } = data;
+      if (!socket.rooms.has(`conversation_${conversationId}`)) return;
       socket.to(`conversation_${conversationId}`).emit('message_read_confirmed', {
         messageId,
         readBy: socket.userId,
@@ -167,26 +297,28 @@ function initializeSocket(server) {
     });
 
     // Handle user online status
-    socket.on('user_online', () => {
-      socket.broadcast.emit('user_status_changed', {
-        userId: socket.userId,
-        status: 'online',
-        lastSeen: new Date().toISOString(),
-      });
-    });
+    socket.on('user_online', () => broadcastUserStatus(socket, 'online'));
 
     // Handle user going offline
-    socket.on('user_offline', () => {
-      socket.broadcast.emit('user_status_changed', {
-        userId: socket.userId,
-        status: 'offline',
-        lastSeen: new Date().toISOString(),
-      });
-    });
+    socket.on('user_offline', () => broadcastUserStatus(socket, 'offline'));
 
     // Handle disconnection
-    socket.on('disconnect', (reason) => {
+    socket.on('disconnect', async (reason) => {
       logger.info(`User disconnected: ${socket.userId} (${socket.id}) - Reason: ${reason}`);
+
+      try {
+        // Only announce offline once the user's last connection on any instance closes
+        const wentOffline = await presenceService.userDisconnected(socket.userId);
+        if (wentOffline) {
+          io.emit('user_status_changed', {
+            userId: socket.userId,
+            status: 'offline',
+            lastSeen: new Date().toISOString(),
+          });
+        }
+      } catch (error) {
+        logger.error(`Failed to record disconnect for user ${socket.userId}:`, error);
+      }
     });
 
     // Handle connection errors
@@ -386,6 +518,54 @@ function emitBookingMessage(bookingId, messageData) {
   logger.info(`Message emitted to booking ${bookingId}:`, messageData);
 }
 
+/**
+ * Emit a live update to people following a booking's shared trip links
+ * @param {string} bookingId - Booking ID
+ * @param {Object} updateData - Trip status, location and ETA
+ */
+function emitTripShareUpdate(bookingId, updateData) {
+  if (!io) return;
+
+  io.of('/trip-share').to(`trip_share_${bookingId}`).emit('trip_share_update', {
+    bookingId,
+    ...updateData,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Tell people following a shared trip link that it has ended and disconnect them
+ * @param {string} shareId - Trip share ID
+ * @param {string} reason - revoked, expired, trip_completed or booking_cancelled
+ */
+function closeTripShareSockets(shareId, reason) {
+  if (!io) return;
+
+  const namespace = io.of('/trip-share');
+  namespace.to(`share_${shareId}`).emit('trip_share_ended', { reason, timestamp: new Date().toISOString() });
+  namespace.in(`share_${shareId}`).disconnectSockets(true);
+
+  logger.info(`Trip share ${shareId} closed: ${reason}`);
+}
+
+/**
+ * Take a user's sockets on every instance out of rooms they no longer
+ * belong to, such as a cancelled booking's chat. Joining again goes
+ * through the membership check.
+ * @param {string} userId - User ID
+ * @param {string[]} rooms - Rooms to leave
+ */
+function removeUserFromRooms(userId, rooms) {
+  if (!io) return;
+
+  try {
+    io.in(`user_${userId}`).socketsLeave(rooms);
+    logger.info(`User ${userId} removed from rooms: ${rooms.join(', ')}`);
+  } catch (error) {
+    logger.error(`Failed to remove user ${userId} from rooms:`, error);
+  }
+}
+
 /**
  * Get connected users count
  * @returns {number} Number of connected users
@@ -396,13 +576,14 @@ function getConnectedUsersCount() {
 }
 
 /**
- * Get users in specific room
+ * Get users in specific room across all instances
  * @param {string} room - Room name
  * @returns {Promise<Set>} Set of socket IDs in the room
  */
 async function getUsersInRoom(room) {
   if (!io) return new Set();
-  return await io.in(room).allSockets();
+  const sockets = await io.in(room).fetchSockets();
+  return new Set(sockets.map((socket) => socket.id));
 }
 
 module.exports = {
@@ -418,6 +599,9 @@ module.exports = {
   emitTypingIndicator,
   emitUserStatus,
   emitBookingMessage,
+  emitTripShareUpdate,
+  closeTripShareSockets,
+  removeUserFromRooms,
   getConnectedUsersCount,
   getUsersInRoom,
 };
@@ -0,0 +1,67 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const logger = require('../utils/logger');
+
+/**
+ * Socket.io adapter that relays broadcasts, room changes and socket fetches
+ * to the other backend instances over a pub/sub transport
+ * (see getPubSub in config/redis.js).
+ *
+ * Messages are JSON encoded, so binary payloads are not supported.
+ */
+class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, pubSub, options = {}) {
+    super(nsp, options);
+    this.pubSub = pubSub;
+    this.channel = `${options.channelPrefix || 'socket.io'}#${nsp.name}#`;
+    this.responseChannel = `${this.channel}${this.uid}#`;
+
+    this.subscriptions = Promise.all([
+      pubSub.subscribe(this.channel, (raw) => this.handleRaw(raw, (message) => this.onMessage(message))),
+      pubSub.subscribe(this.responseChannel, (raw) => this.handleRaw(raw, (response) => this.onResponse(response))),
+    ]).catch((error) => {
+      logger.error('Socket adapter failed to subscribe:', error);
+      return [];
+    });
+  }
+
+  handleRaw(raw, handler) {
+    try {
+      handler(JSON.parse(raw));
+    } catch (error) {
+      logger.error('Socket adapter received an invalid message:', error);
+    }
+  }
+
+  async doPublish(message) {
+    await this.subscriptions;
+    await this.pubSub.publish(this.channel, JSON.stringify(message));
+    return '';
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.pubSub.publish(`${this.channel}${requesterUid}#`, JSON.stringify(response));
+  }
+
+  close() {
+    super.close();
+    this.subscriptions.then((unsubscribers) => Promise.all(unsubscribers.map((unsubscribe) => unsubscribe())))
+      .catch((error) => logger.error('Socket adapter failed to unsubscribe:', error));
+  }
+}
+
+/**
+ * Build the adapter option for new Server(...)
+ * @param {Object} pubSub - Transport with publish(channel, message) and subscribe(channel, listener)
+ * @param {Object} options - channelPrefix plus ClusterAdapterWithHeartbeat options
+ * @returns {Function} Adapter factory, called by socket.io once per namespace
+ */
+function createPubSubAdapter(pubSub, options = {}) {
+  return function (nsp) {
+    return new PubSubAdapter(nsp, pubSub, options);
+  };
+}
+
+module.exports = {
+  PubSubAdapter,
+  createPubSubAdapter,
+};
@@ -0,0 +1,107 @@
+const idempotencyService = require('../services/idempotencyService');
+const logger = require('../utils/logger');
+
+const HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+function sendError(res, statusCode, code, message) {
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Honour an Idempotency-Key header on a mutating endpoint, so a client can
+ * retry a request without repeating its effect. Goes after the
+ * authentication middleware, as keys are scoped to the user.
+ *
+ * - The first request with a key runs as normal and its response is stored
+ * - A retry with the same key and payload gets the stored response back,
+ *   with an Idempotent-Replayed header
+ * - The same key with a different payload is rejected with 409
+ * - A retry while the first request is still running is rejected with 409
+ *
+ * Server errors (5xx) are not stored, so the request can be retried with
+ * the same key. Requests without the header are not affected.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get(HEADER);
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!idempotencyService.isValidKey(key)) {
+    return sendError(res, 400, 'INVALID_IDEMPOTENCY_KEY', `${HEADER} must be 1 to 255 characters`);
+  }
+
+  if (!req.user?.uid) {
+    return sendError(res, 401, 'MISSING_TOKEN', 'Access token is required');
+  }
+
+  const scope = idempotencyService.getScope(req.user.uid, key);
+  const fingerprint = idempotencyService.fingerprint({
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    body: req.body,
+  });
+
+  let claim;
+  try {
+    claim = await idempotencyService.begin(scope, fingerprint);
+  } catch (error) {
+    logger.error('Failed to check idempotency key:', error);
+    return sendError(res, 503, 'IDEMPOTENCY_UNAVAILABLE', 'Could not check the idempotency key, please retry');
+  }
+
+  if (claim.status === 'mismatch') {
+    return sendError(res, 409, 'IDEMPOTENCY_KEY_REUSED', `${HEADER} was already used for a different request`);
+  }
+  if (claim.status === 'in_progress') {
+    return sendError(res, 409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS', 'A request with this idempotency key is still being processed');
+  }
+  if (claim.status === 'replay') {
+    res.set(REPLAYED_HEADER, 'true');
+    return res.status(claim.response.statusCode).json(claim.response.body);
+  }
+
+  // Store the response before it is sent, so a retry that arrives as soon as
+  // the client hears back is answered from the store
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.json = json;
+    settled = true;
+
+    const statusCode = res.statusCode;
+    const stored = statusCode >= 500
+      ? idempotencyService.release(scope)
+      : idempotencyService.complete(scope, fingerprint, {
+        statusCode,
+        body: body === undefined ? null : JSON.parse(JSON.stringify(body)),
+      });
+
+    Promise.resolve(stored)
+      .catch(error => logger.error('Failed to store idempotent response:', error))
+      .then(() => json(body));
+    return res;
+  };
+
+  // Responses sent some other way, or dropped connections, free the key
+  res.on('close', () => {
+    if (!settled) {
+      settled = true;
+      idempotencyService.release(scope);
+    }
+  });
+
+  return next();
+}
+
+module.exports = {
+  idempotency,
+};
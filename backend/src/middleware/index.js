@@ -46,8 +46,8 @@ function setupMiddleware(app) {
   // app.use(sqlInjectionProtection());
   app.use(limitRequestSize('10mb'));
 
-  // Content type validation for API routes
-  app.use('/api/', validateContentType(['application/json', 'multipart/form-data']));
+  // Content type validation for API routes. Twilio posts status callbacks as forms.
+  app.use('/api/', validateContentType(['application/json', 'multipart/form-data'], ['/notifications/webhooks/twilio']));
 
   // Request sanitization
   app.use(sanitizeRequest({
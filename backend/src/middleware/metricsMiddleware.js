@@ -88,17 +88,19 @@ function recordBusinessMetrics(req, res, endpoint, duration) {
           req.body?.destination?.city
         );
       }
+    }
 
-      if (endpoint.includes('/search')) {
-        const resultCount = res.responseData?.rides?.length || 0;
-        metricsService.recordSearchRequest(
-          req.query?.origin,
-          req.query?.destination,
-          req.query,
-          resultCount,
-          duration
-        );
-      }
+    // Ride searches (GET /api/rides, /api/search/rides); route search volume feeds dynamic pricing
+    const path = (req.originalUrl || '').split('?')[0];
+    if (req.method === 'GET' && isSuccess && /^\/api\/(search\/)?rides\/?$/.test(path)) {
+      const resultCount = res.responseData?.rides?.length || res.responseData?.data?.rides?.length || 0;
+      metricsService.recordSearchRequest(
+        req.query?.origin || req.query?.originCity,
+        req.query?.destination || req.query?.destinationCity,
+        req.query,
+        resultCount,
+        duration
+      );
     }
 
     // Booking-related metrics
@@ -121,7 +121,7 @@ function createAbuseDetector() {
 
       // Flag suspicious activity
       if (
-        requestRate > 100 || // More than 100 requests per second
+        (activity.requests > 100 && requestRate > 100) || // More than 100 requests per second, not just two quick ones
         activity.endpoints.size > 50 || // Accessing too many different endpoints
         activity.userAgents.size > 5 // Multiple user agents (potential bot)
       ) {
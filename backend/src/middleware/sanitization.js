@@ -253,15 +253,19 @@ function parseSize(size) {
 
 /**
  * Content type validation middleware
+ * @param {Array} allowedTypes - Content types accepted
+ * @param {Array} exemptPaths - Paths, relative to where it is mounted, that take other types
  */
-function validateContentType(allowedTypes = ['application/json']) {
+function validateContentType(allowedTypes = ['application/json'], exemptPaths = []) {
   return (req, res, next) => {
-    if (req.method === 'GET' || req.method === 'DELETE') {
+    if (req.method === 'GET' || req.method === 'DELETE' || exemptPaths.includes(req.path)) {
       return next();
     }
 
+    // A request without a body, such as a logout, has no content to type
+    const hasBody = req.get('Transfer-Encoding') !== undefined || parseInt(req.get('Content-Length'), 10) > 0;
     const contentType = req.get('Content-Type');
-    if (!contentType) {
+    if (!contentType && hasBody) {
       return res.status(400).json({
         success: false,
         error: {
@@ -272,7 +276,7 @@ function validateContentType(allowedTypes = ['application/json']) {
       });
     }
 
-    const isAllowed = allowedTypes.some(type =>
+    const isAllowed = !contentType || allowedTypes.some(type =>
       contentType.toLowerCase().includes(type.toLowerCase())
     );
 
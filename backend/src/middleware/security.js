@@ -151,9 +151,11 @@ function enhancedCorsConfig() {
       'Authorization',
       'X-Request-ID',
       'X-API-Key',
+      'Idempotency-Key',
     ],
     exposedHeaders: [
       'X-Request-ID',
+      'Idempotent-Replayed',
       'X-RateLimit-Limit',
       'X-RateLimit-Remaining',
       'X-RateLimit-Reset',
@@ -0,0 +1,175 @@
+const { getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+class AdminUser {
+  constructor(data) {
+    this.id = data.id || null;
+    this.username = data.username ? data.username.toLowerCase() : data.username;
+    this.displayName = data.displayName || data.username || '';
+    this.email = data.email || null;
+    this.role = data.role || 'read_only';
+    this.passwordHash = data.passwordHash || null;
+    this.passwordSalt = data.passwordSalt || null;
+    // secret and pendingSecret are stored encrypted; lastUsedStep is the
+    // newest TOTP time step accepted, so a code can't be replayed
+    this.totp = data.totp || {
+      enabled: false,
+      secret: null,
+      pendingSecret: null
+    };
+    // Part of every session token; bumping it on a password change signs out old sessions
+    this.tokenVersion = data.tokenVersion || 0;
+    this.failedLoginAttempts = data.failedLoginAttempts || 0;
+    this.lockedUntil = data.lockedUntil ? new Date(data.lockedUntil) : null;
+    this.active = data.active !== false;
+    this.lastLoginAt = data.lastLoginAt ? new Date(data.lastLoginAt) : null;
+    this.createdBy = data.createdBy || null;
+    this.updatedBy = data.updatedBy || null;
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  isLocked(now = new Date()) {
+    return Boolean(this.lockedUntil && this.lockedUntil > now);
+  }
+
+  async save() {
+    try {
+      const db = getFirestore();
+
+      const adminData = {
+        username: this.username,
+        displayName: this.displayName,
+        email: this.email,
+        role: this.role,
+        passwordHash: this.passwordHash,
+        passwordSalt: this.passwordSalt,
+        totp: this.totp,
+        tokenVersion: this.tokenVersion,
+        failedLoginAttempts: this.failedLoginAttempts,
+        lockedUntil: this.lockedUntil ? this.lockedUntil.toISOString() : null,
+        active: this.active,
+        lastLoginAt: this.lastLoginAt ? this.lastLoginAt.toISOString() : null,
+        createdBy: this.createdBy,
+        updatedBy: this.updatedBy,
+        updatedAt: new Date().toISOString()
+      };
+
+      // Sanitize undefined values
+      const sanitize = (obj) => JSON.parse(JSON.stringify(obj));
+
+      if (this.id) {
+        await db.collection('adminUsers').doc(this.id).update(sanitize(adminData));
+      } else {
+        adminData.createdAt = this.createdAt.toISOString();
+        const adminRef = await db.collection('adminUsers').add(sanitize(adminData));
+        this.id = adminRef.id;
+      }
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving admin user:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      if (!id) return null;
+      const db = getFirestore();
+      const doc = await db.collection('adminUsers').doc(id).get();
+
+      if (!doc.exists) return null;
+
+      return new AdminUser({ id: doc.id, ...doc.data() });
+    } catch (error) {
+      logger.error('Error finding admin user by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a TOTP time step as used. Returns false when that step or a
+   * later one was already accepted.
+   */
+  static async claimTotpStep(id, step) {
+    try {
+      const db = getFirestore();
+      const adminRef = db.collection('adminUsers').doc(id);
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(adminRef);
+        const totp = doc.exists ? doc.data().totp : null;
+        if (!totp?.enabled || step <= (totp.lastUsedStep ?? -1)) {
+          return false;
+        }
+
+        transaction.update(adminRef, { totp: { ...totp, lastUsedStep: step } });
+        return true;
+      });
+    } catch (error) {
+      logger.error('Error recording admin TOTP step:', error);
+      throw error;
+    }
+  }
+
+  static async findByUsername(username) {
+    try {
+      if (!username) return null;
+      const db = getFirestore();
+      const snapshot = await db.collection('adminUsers')
+        .where('username', '==', String(username).toLowerCase())
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) return null;
+
+      const doc = snapshot.docs[0];
+      return new AdminUser({ id: doc.id, ...doc.data() });
+    } catch (error) {
+      logger.error('Error finding admin user by username:', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const db = getFirestore();
+      const snapshot = await db.collection('adminUsers').get();
+      const admins = [];
+
+      snapshot.forEach(doc => {
+        admins.push(new AdminUser({ id: doc.id, ...doc.data() }));
+      });
+
+      return admins.sort((a, b) => a.username.localeCompare(b.username));
+    } catch (error) {
+      logger.error('Error listing admin users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Account details without password hashes or TOTP secrets
+   */
+  getSafeDetails() {
+    return {
+      id: this.id,
+      username: this.username,
+      displayName: this.displayName,
+      email: this.email,
+      role: this.role,
+      active: this.active,
+      totpEnabled: Boolean(this.totp?.enabled),
+      locked: this.isLocked(),
+      lockedUntil: this.lockedUntil,
+      lastLoginAt: this.lastLoginAt,
+      createdBy: this.createdBy,
+      updatedBy: this.updatedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = AdminUser;
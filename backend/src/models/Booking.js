@@ -1,4 +1,6 @@
 const { getFirestore, getDatabase } = require('../config/firebase');
+const segments = require('../utils/segments');
+const dynamicPricing = require('../utils/dynamicPricing');
 const logger = require('../utils/logger');
 
 class Booking {
@@ -10,6 +12,7 @@ class Booking {
     this.seatsBooked = data.seatsBooked || 1;
     this.pickupPoint = data.pickupPoint || {};
     this.dropoffPoint = data.dropoffPoint || {};
+    this.segment = data.segment || null; // Route stops travelled: { fromIndex, toIndex, fromStopName, toStopName, ... }
     this.pricing = data.pricing || {};
     this.payment = data.payment || {};
     this.communication = data.communication || {};
@@ -19,6 +22,9 @@ class Booking {
     this.completedAt = data.completedAt || null;
     this.cancelledAt = data.cancelledAt || null;
     this.cancellationReason = data.cancellationReason || null;
+    this.cancelledBy = data.cancelledBy || null; // 'passenger' or 'driver'
+    this.noShowAt = data.noShowAt || null; // Set when a no-show report is upheld
+    this.boarding = data.boarding || null; // Boarding code and check-in: { codeHash, codeSalt, nonce, issuedAt, expiresAt, attempts, boardedAt, method, boardedBy }
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -46,6 +52,7 @@ class Booking {
         seatsBooked: this.seatsBooked,
         pickupPoint: this.pickupPoint,
         dropoffPoint: this.dropoffPoint,
+        segment: this.segment,
         pricing: this.pricing,
         payment: this.payment,
         communication: this.communication,
@@ -55,6 +62,9 @@ class Booking {
         completedAt: this.completedAt,
         cancelledAt: this.cancelledAt,
         cancellationReason: this.cancellationReason,
+        cancelledBy: this.cancelledBy,
+        noShowAt: this.noShowAt,
+        boarding: this.boarding,
         updatedAt: new Date(),
       };
 
@@ -74,9 +84,12 @@ class Booking {
   }
 
   /**
-   * Create booking with Firebase transaction to ensure seat availability
+   * Create booking with Firebase transaction to ensure seat availability.
+   * With options.waitlistEntryId the booking takes up a waitlist seat offer:
+   * the seats are already held on the ride, so the booking is confirmed
+   * without reserving them again.
    */
-  static async createWithTransaction(bookingData) {
+  static async createWithTransaction(bookingData, options = {}) {
     const db = getFirestore();
     
     try {
@@ -91,15 +104,41 @@ class Booking {
         
         const rideData = rideDoc.data();
         
+        let waitlistRef = null;
+        let waitlistEntry = null;
+        if (options.waitlistEntryId) {
+          waitlistRef = db.collection('waitlist').doc(options.waitlistEntryId);
+          const waitlistDoc = await transaction.get(waitlistRef);
+          waitlistEntry = waitlistDoc.exists ? waitlistDoc.data() : null;
+          
+          const expiresAt = waitlistEntry?.offer?.expiresAt;
+          const expiry = typeof expiresAt?.toDate === 'function' ? expiresAt.toDate() : new Date(expiresAt);
+          if (!waitlistEntry || waitlistEntry.status !== 'offered' ||
+              waitlistEntry.passengerId !== bookingData.passengerId || expiry <= new Date()) {
+            throw new Error('Seat offer is no longer available');
+          }
+        }
+        
         // Check if ride is bookable
         if (rideData.status !== 'published') {
           throw new Error('Ride is not available for booking');
         }
         
-        // Check seat availability
-        if (rideData.availableSeats < bookingData.seatsBooked) {
-          throw new Error('Not enough available seats');
-        }
+        // Check seat availability on every segment between pickup and drop-off
+        // (offered seats are already held, so only the price is needed)
+        const routeStopsForOffer = waitlistEntry ? segments.getRouteStops(rideData) : null;
+        const quote = waitlistEntry
+          ? segments.quoteSegment(rideData, segments.resolveSegment(
+            rideData,
+            routeStopsForOffer[waitlistEntry.segment.fromIndex],
+            routeStopsForOffer[waitlistEntry.segment.toIndex]
+          ))
+          : segments.planSegmentBooking(
+            rideData,
+            bookingData.pickupPoint,
+            bookingData.dropoffPoint,
+            bookingData.seatsBooked
+          );
         
         // Check if departure time is in the future
         const departureDateTime = new Date(`${rideData.departureDate} ${rideData.departureTime}`);
@@ -113,33 +152,46 @@ class Booking {
           ...bookingData,
           id: bookingRef.id,
           driverId: rideData.driverId,
-          status: rideData.bookingPolicy?.instantBooking ? 'confirmed' : 'requested'
+          segment: quote.segment,
+          status: waitlistEntry || rideData.bookingPolicy?.instantBooking ? 'confirmed' : 'requested'
         });
         
-        // Calculate pricing
+        // Calculate pricing, pro-rated by the distance travelled
         booking.pricing = {
-          pricePerSeat: rideData.pricePerSeat,
-          totalAmount: rideData.pricePerSeat * bookingData.seatsBooked,
-          serviceFee: Math.round(rideData.pricePerSeat * bookingData.seatsBooked * 0.05), // 5% service fee
-          finalAmount: Math.round(rideData.pricePerSeat * bookingData.seatsBooked * 1.05)
+          pricePerSeat: quote.pricePerSeat,
+          fullRoutePricePerSeat: rideData.pricePerSeat,
+          fareRatio: quote.segment.fareRatio,
+          totalAmount: quote.pricePerSeat * bookingData.seatsBooked,
+          serviceFee: Math.round(quote.pricePerSeat * bookingData.seatsBooked * 0.05), // 5% service fee
+          finalAmount: Math.round(quote.pricePerSeat * bookingData.seatsBooked * 1.05),
+          ...dynamicPricing.getPriceLock(rideData)
         };
         
         // Set pickup and dropoff points if not provided
+        const routeStops = segments.getRouteStops(rideData);
         if (!booking.pickupPoint.name) {
-          booking.pickupPoint = {
+          booking.pickupPoint = quote.segment.fromIndex === 0 ? {
             name: rideData.origin.address,
             address: rideData.origin.address,
             coordinates: rideData.origin.coordinates,
             time: rideData.departureTime
+          } : {
+            stopId: quote.segment.fromStopId,
+            name: quote.segment.fromStopName,
+            coordinates: routeStops[quote.segment.fromIndex].coordinates
           };
         }
         
         if (!booking.dropoffPoint.name) {
-          booking.dropoffPoint = {
+          booking.dropoffPoint = quote.segment.toIndex === routeStops.length - 1 ? {
             name: rideData.destination.address,
             address: rideData.destination.address,
             coordinates: rideData.destination.coordinates,
             time: rideData.arrivalTime
+          } : {
+            stopId: quote.segment.toStopId,
+            name: quote.segment.toStopName,
+            coordinates: routeStops[quote.segment.toIndex].coordinates
           };
         }
         
@@ -158,19 +210,31 @@ class Booking {
           status: booking.status,
           bookingTime: booking.requestedAt,
           pickupPoint: booking.pickupPoint.name,
-          dropoffPoint: booking.dropoffPoint.name
+          dropoffPoint: booking.dropoffPoint.name,
+          segment: { fromIndex: quote.segment.fromIndex, toIndex: quote.segment.toIndex }
         };
         
-        const updatedAvailableSeats = booking.status === 'confirmed' 
-          ? rideData.availableSeats - bookingData.seatsBooked
-          : rideData.availableSeats;
+        // Confirmed bookings hold their seats only on the segments travelled
+        const segmentSeats = segments.getSegmentSeats(rideData);
+        const updatedSegmentSeats = booking.status === 'confirmed' && !waitlistEntry
+          ? segments.reserveSegmentSeats(segmentSeats, quote.segment.fromIndex, quote.segment.toIndex, bookingData.seatsBooked)
+          : segmentSeats;
         
         transaction.update(rideRef, {
           passengers: updatedPassengers,
-          availableSeats: updatedAvailableSeats,
+          segmentSeats: updatedSegmentSeats,
+          availableSeats: segments.summarizeAvailableSeats(updatedSegmentSeats),
           updatedAt: new Date()
         });
         
+        if (waitlistRef) {
+          transaction.update(waitlistRef, {
+            status: 'accepted',
+            bookingId: booking.id,
+            updatedAt: new Date()
+          });
+        }
+        
         return booking;
       });
       
@@ -321,10 +385,12 @@ class Booking {
         // Validate status transition
         const validTransitions = {
           'requested': ['confirmed', 'cancelled_by_driver', 'cancelled_by_passenger'],
-          'confirmed': ['completed', 'cancelled_by_driver', 'cancelled_by_passenger'],
+          'confirmed': ['completed', 'cancelled_by_driver', 'cancelled_by_passenger', 'driver_no_show', 'passenger_no_show'],
           'completed': [], // No transitions from completed
           'cancelled_by_driver': [], // No transitions from cancelled
-          'cancelled_by_passenger': [] // No transitions from cancelled
+          'cancelled_by_passenger': [], // No transitions from cancelled
+          'driver_no_show': [], // No transitions from a no-show
+          'passenger_no_show': [] // No transitions from a no-show
         };
         
         if (!validTransitions[oldStatus]?.includes(newStatus)) {
@@ -364,6 +430,10 @@ class Booking {
         } else if (newStatus.includes('cancelled')) {
           updatedBooking.cancelledAt = new Date();
           updatedBooking.cancellationReason = reason;
+          updatedBooking.cancelledBy = newStatus === 'cancelled_by_driver' ? 'driver' : 'passenger';
+        } else if (newStatus.endsWith('_no_show')) {
+          // The trip has left, so the seats stay as they are
+          updatedBooking.noShowAt = new Date();
         }
         
         transaction.update(bookingRef, updatedBooking);
@@ -375,17 +445,25 @@ class Booking {
             delete updatedPassengers[currentBooking.passengerId];
           } else {
             updatedPassengers[currentBooking.passengerId].status = newStatus;
+            if (updatedBooking.noShowAt) {
+              updatedPassengers[currentBooking.passengerId].noShowAt = updatedBooking.noShowAt;
+            }
           }
         }
         
-        const newAvailableSeats = Math.max(0, Math.min(
-          rideData.totalSeats,
-          rideData.availableSeats + seatChange
-        ));
+        // Apply the change only to the segments this booking travels
+        const { fromIndex, toIndex } = segments.getBookingSegmentRange(rideData, currentBooking);
+        let segmentSeats = segments.getSegmentSeats(rideData);
+        if (seatChange < 0) {
+          segmentSeats = segments.reserveSegmentSeats(segmentSeats, fromIndex, toIndex, -seatChange);
+        } else if (seatChange > 0) {
+          segmentSeats = segments.releaseSegmentSeats(segmentSeats, fromIndex, toIndex, seatChange, rideData.totalSeats);
+        }
         
         transaction.update(rideRef, {
           passengers: updatedPassengers,
-          availableSeats: newAvailableSeats,
+          segmentSeats,
+          availableSeats: segments.summarizeAvailableSeats(segmentSeats),
           updatedAt: new Date()
         });
         
@@ -460,6 +538,13 @@ class Booking {
     }
   }
 
+  /**
+   * Check if the driver has checked the passenger in with their boarding code
+   */
+  isBoarded() {
+    return Boolean(this.boarding?.boardedAt);
+  }
+
   /**
    * Check if booking can be cancelled
    */
@@ -486,12 +571,15 @@ class Booking {
       seatsBooked: this.seatsBooked,
       pickupPoint: this.pickupPoint,
       dropoffPoint: this.dropoffPoint,
+      segment: this.segment,
       pricing: this.pricing,
       status: this.status,
       requestedAt: this.requestedAt,
       confirmedAt: this.confirmedAt,
       completedAt: this.completedAt,
-      cancelledAt: this.cancelledAt
+      cancelledAt: this.cancelledAt,
+      noShowAt: this.noShowAt,
+      boardedAt: this.boarding?.boardedAt || null
     };
   }
 
@@ -526,6 +614,7 @@ class Booking {
       seatsBooked: this.seatsBooked,
       pickupPoint: this.pickupPoint,
       dropoffPoint: this.dropoffPoint,
+      segment: this.segment,
       pricing: this.pricing,
       payment: this.payment,
       communication: this.communication,
@@ -535,6 +624,8 @@ class Booking {
       completedAt: this.completedAt,
       cancelledAt: this.cancelledAt,
       cancellationReason: this.cancellationReason,
+      noShowAt: this.noShowAt,
+      boarding: this.boarding,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
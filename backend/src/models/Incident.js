@@ -0,0 +1,196 @@
+const { getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'sosIncidents';
+
+/**
+ * An SOS raised by a passenger or driver during a trip.
+ *
+ * It is opened with a snapshot of the trip as it stood when the alert was
+ * raised (ride, driver, vehicle, last known location and everyone on
+ * board) and the emergency contacts that were told, with how each message
+ * went out. It then waits in the admin queue: open until someone
+ * acknowledges it, acknowledged while the safety team works on it, and
+ * resolved once they close it. nextEscalationAt is when it is escalated
+ * if nobody acts first. Every step, and who took it, is appended to the
+ * timeline.
+ */
+class Incident {
+  constructor(data) {
+    this.id = data.id;
+    this.bookingId = data.bookingId;
+    this.rideId = data.rideId || null;
+    this.type = data.type || 'trip_emergency'; // trip_emergency, breakdown, accident, location_emergency
+    this.triggeredBy = data.triggeredBy;
+    this.triggeredByRole = data.triggeredByRole || null; // passenger, driver
+    this.message = data.message || null; // What the user added to the alert
+    this.locale = data.locale || 'en';
+    this.alertMessage = data.alertMessage || null; // The alert, in the language of whoever raised it
+    this.snapshot = data.snapshot || {}; // { ride, driver, vehicle, location, participants, takenAt }
+    this.contacts = data.contacts || []; // [{ name, phone, email, relationship, contactOf, locale, deliveries: { sms, email } }]
+    this.status = data.status || 'open'; // open, acknowledged, resolved
+    this.escalationLevel = data.escalationLevel || 0;
+    this.nextEscalationAt = data.nextEscalationAt || null;
+    this.acknowledgement = data.acknowledgement || null; // { by, at }
+    this.notes = data.notes || []; // [{ by, text, at }]
+    this.resolution = data.resolution || null; // { outcome, summary, resolvedBy, resolvedAt }
+    this.timeline = data.timeline || []; // [{ at, actor, event, detail }]
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Create or update the incident in Firestore
+   */
+  async save() {
+    try {
+      const collection = getFirestore().collection(COLLECTION);
+      if (!this.id) {
+        this.id = collection.doc().id;
+      }
+      this.updatedAt = new Date();
+
+      await collection.doc(this.id).set(this.toJSON());
+      return this;
+    } catch (error) {
+      logger.error('Error saving SOS incident:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an incident by ID
+   */
+  static async findById(id) {
+    try {
+      const doc = await getFirestore().collection(COLLECTION).doc(id).get();
+      return doc.exists ? new Incident(doc.data()) : null;
+    } catch (error) {
+      logger.error('Error finding SOS incident by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Incidents in any of the given statuses: the most escalated first, then
+   * the oldest
+   */
+  static async findByStatus(statuses) {
+    try {
+      const snapshot = await getFirestore().collection(COLLECTION)
+        .where('status', 'in', statuses)
+        .get();
+
+      return snapshot.docs
+        .map(doc => new Incident(doc.data()))
+        .sort((a, b) => (b.escalationLevel - a.escalationLevel) ||
+          (Incident.toDate(a.createdAt) - Incident.toDate(b.createdAt)));
+    } catch (error) {
+      logger.error('Error finding SOS incidents by status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Incidents raised on a booking, newest first
+   */
+  static async findByBookingId(bookingId) {
+    try {
+      const snapshot = await getFirestore().collection(COLLECTION)
+        .where('bookingId', '==', bookingId)
+        .get();
+
+      return snapshot.docs
+        .map(doc => new Incident(doc.data()))
+        .sort((a, b) => Incident.toDate(b.createdAt) - Incident.toDate(a.createdAt));
+    } catch (error) {
+      logger.error('Error finding SOS incidents by booking ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Firestore returns Timestamps; plain objects and strings are used in tests
+   */
+  static toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+  }
+
+  /**
+   * Append a step to the timeline
+   */
+  record(actor, event, detail = null, at = new Date()) {
+    this.timeline.push({ at, actor, event, detail });
+  }
+
+  /**
+   * Check if the incident is still being handled
+   */
+  isActive() {
+    return this.status !== 'resolved';
+  }
+
+  /**
+   * Check if the incident should be escalated
+   */
+  isDueForEscalation(now = new Date()) {
+    return this.isActive() && Boolean(this.nextEscalationAt) && Incident.toDate(this.nextEscalationAt) <= now;
+  }
+
+  /**
+   * What the booking's passenger or driver sees: the state of their alert
+   * and who was told, without the safety team's notes
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      bookingId: this.bookingId,
+      type: this.type,
+      status: this.status,
+      contactsNotified: this.contacts.filter(contact =>
+        Object.values(contact.deliveries || {}).some(delivery => delivery.status === 'sent')).length,
+      acknowledgedAt: this.acknowledgement?.at || null,
+      resolvedAt: this.resolution?.resolvedAt || null,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Get the incident with its snapshot, notes and timeline
+   */
+  getDetails() {
+    return {
+      id: this.id,
+      bookingId: this.bookingId,
+      rideId: this.rideId,
+      type: this.type,
+      triggeredBy: this.triggeredBy,
+      triggeredByRole: this.triggeredByRole,
+      message: this.message,
+      locale: this.locale,
+      alertMessage: this.alertMessage,
+      snapshot: this.snapshot,
+      contacts: this.contacts,
+      status: this.status,
+      escalationLevel: this.escalationLevel,
+      nextEscalationAt: this.nextEscalationAt,
+      acknowledgement: this.acknowledgement,
+      notes: this.notes,
+      resolution: this.resolution,
+      timeline: this.timeline,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return this.getDetails();
+  }
+}
+
+module.exports = Incident;
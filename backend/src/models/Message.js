@@ -1,4 +1,5 @@
 const { getFirestore, getDatabase } = require('../config/firebase');
+const TemplateService = require('../services/templateService');
 const logger = require('../utils/logger');
 
 class Message {
@@ -242,52 +243,20 @@ class Message {
    */
   static async createTemplate(templateType, conversationId, fromUserId, toUserId, templateData = {}) {
     try {
-      const templates = {
-        booking_confirmed: {
-          content: `Your booking has been confirmed! 🎉 Looking forward to the trip. Feel free to message me if you have any questions.`,
-          type: 'text'
-        },
-        pickup_reminder: {
-          content: `Hi! Just a reminder that our trip is starting in ${templateData.timeUntilPickup || '30 minutes'}. I'll be at ${templateData.pickupLocation || 'the pickup point'} at ${templateData.pickupTime || 'the scheduled time'}. See you soon!`,
-          type: 'text'
-        },
-        arrival_notification: {
-          content: `I've arrived at the pickup point! 🚗 Look for a ${templateData.vehicleColor || 'car'} ${templateData.vehicleMake || ''} ${templateData.vehicleModel || ''} (${templateData.licensePlate || 'license plate'}).`,
-          type: 'text'
-        },
-        trip_started: {
-          content: `Trip started! 🚗 Estimated arrival time: ${templateData.estimatedArrival || 'as scheduled'}. Have a great journey!`,
-          type: 'text'
-        },
-        trip_completed: {
-          content: `Trip completed successfully! 🎯 Thank you for traveling with me. Don't forget to rate your experience!`,
-          type: 'text'
-        },
-        payment_reminder: {
-          content: `Hi! Just a friendly reminder that payment for the trip is still pending. Please complete the payment when convenient. Thanks!`,
-          type: 'text'
-        },
-        cancellation_notice: {
-          content: `Unfortunately, I need to cancel our trip due to ${templateData.reason || 'unforeseen circumstances'}. Sorry for the inconvenience. You'll receive a full refund shortly.`,
-          type: 'text'
-        },
-        pickup_coordination: {
-          content: `I'm ${templateData.driverLocation || 'nearby'} and will arrive at ${templateData.pickupLocation || 'the pickup point'} in approximately ${templateData.estimatedArrival || '5 minutes'}. Please be ready at ${templateData.pickupTime || 'the scheduled time'}!`,
-          type: 'text'
-        }
-      };
-
-      const template = templates[templateType];
-      if (!template) {
+      const templateKey = `conversation.${templateType}`;
+      if (!TemplateService.hasTemplate(templateKey)) {
         throw new Error(`Unknown template type: ${templateType}`);
       }
 
+      // Written in the recipient's language
+      const locale = await TemplateService.getUserLocale(toUserId);
+
       const message = new Message({
         conversationId,
         fromUserId,
         toUserId,
-        content: template.content,
-        type: template.type,
+        content: TemplateService.render(templateKey, templateData, locale).message,
+        type: 'text',
         isTemplate: true,
         templateType,
         metadata: templateData
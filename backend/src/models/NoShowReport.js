@@ -0,0 +1,135 @@
+const { getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+/**
+ * A no-show reported on a confirmed booking after departure.
+ *
+ * A passenger reports a driver_no_show; a driver reports a passenger_no_show.
+ * The report is stored under the booking's ID, so each booking has at most
+ * one. Trip tracking evidence is attached when it is filed. Reports the
+ * evidence contradicts are dismissed at once. The other party can dispute an
+ * open report until disputeDeadline. After that the outcome (refund or fee,
+ * plus the reliability penalty) is applied.
+ */
+class NoShowReport {
+  constructor(data) {
+    this.id = data.id;
+    this.bookingId = data.bookingId || data.id;
+    this.rideId = data.rideId;
+    this.type = data.type; // driver_no_show, passenger_no_show
+    this.reportedBy = data.reportedBy;
+    this.reportedUserId = data.reportedUserId;
+    this.reason = data.reason || null;
+    this.evidence = data.evidence || {}; // { verdict, trackingStarted, pingCount, driverArrivedAt, closestApproachMeters }
+    this.status = data.status || 'open'; // open, under_review, upheld, dismissed
+    this.disputeDeadline = data.disputeDeadline || null;
+    this.dispute = data.dispute || null; // { statement, disputedAt }
+    this.resolution = data.resolution || null; // { outcome, reason, resolvedBy, resolvedAt, refund, fee }
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Create or update the report in Firestore
+   */
+  async save() {
+    try {
+      this.id = this.bookingId;
+      this.updatedAt = new Date();
+
+      await getFirestore().collection('noShowReports').doc(this.id).set(this.toJSON(), { merge: true });
+      return this;
+    } catch (error) {
+      logger.error('Error saving no-show report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the report filed on a booking
+   */
+  static async findByBookingId(bookingId) {
+    try {
+      const reportDoc = await getFirestore().collection('noShowReports').doc(bookingId).get();
+      return reportDoc.exists ? new NoShowReport(reportDoc.data()) : null;
+    } catch (error) {
+      logger.error('Error finding no-show report by booking ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get reports in a status, oldest first
+   */
+  static async findByStatus(status) {
+    try {
+      const querySnapshot = await getFirestore().collection('noShowReports')
+        .where('status', '==', status)
+        .get();
+
+      const reports = [];
+      querySnapshot.forEach(doc => {
+        reports.push(new NoShowReport(doc.data()));
+      });
+
+      return reports.sort((a, b) => NoShowReport.toDate(a.createdAt) - NoShowReport.toDate(b.createdAt));
+    } catch (error) {
+      logger.error('Error finding no-show reports by status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Firestore returns Timestamps; plain objects and strings are used in tests and RTDB mirrors
+   */
+  static toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+  }
+
+  /**
+   * Check if the reported user can still dispute the report
+   */
+  isDisputable(now = new Date()) {
+    return this.status === 'open' && NoShowReport.toDate(this.disputeDeadline) > now;
+  }
+
+  /**
+   * Check if an open report has run past its dispute window
+   */
+  isDue(now = new Date()) {
+    return this.status === 'open' && NoShowReport.toDate(this.disputeDeadline) <= now;
+  }
+
+  /**
+   * Get report details for the booking's passenger or driver
+   */
+  getDetails() {
+    return {
+      id: this.id,
+      bookingId: this.bookingId,
+      rideId: this.rideId,
+      type: this.type,
+      reportedBy: this.reportedBy,
+      reportedUserId: this.reportedUserId,
+      reason: this.reason,
+      evidence: this.evidence,
+      status: this.status,
+      disputeDeadline: this.disputeDeadline,
+      dispute: this.dispute,
+      resolution: this.resolution,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return this.getDetails();
+  }
+}
+
+module.exports = NoShowReport;
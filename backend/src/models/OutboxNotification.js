@@ -0,0 +1,229 @@
+const { getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'notificationOutbox';
+
+/**
+ * A notification in the outbox, written before any channel is tried.
+ *
+ * Each channel it goes out on has a delivery entry: pending until the
+ * provider accepts it, then sent, then delivered or failed once a receipt
+ * comes back. Channels that error are retried until they run out of
+ * attempts. Non-urgent notifications can be held: their channels wait
+ * until the user's quiet hours end, and their email waits with status
+ * "digest" until digestAt, when it goes out in the user's email digest.
+ * Every step is appended to the timeline, which is what users and
+ * admins see. providerRefs ("sms:<sid>", "email:<id>") let provider
+ * callbacks find the notification they are about.
+ */
+class OutboxNotification {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.userId;
+    this.type = data.type || null;
+    this.category = data.category || null; // Preference key used for fallback channels, e.g. bookingConfirmations
+    this.priority = data.priority || 'normal';
+    this.content = data.content || {}; // { title, message, locale, template, imageUrl, data }
+    this.recipient = data.recipient || {}; // { email, phoneNumber, fcmToken }
+    this.deliveries = data.deliveries || {}; // channel -> { status, attempts, nextAttemptAt, providerMessageId, lastError, fallbackFor, digest }
+    this.providerRefs = data.providerRefs || [];
+    this.timeline = data.timeline || []; // [{ at, channel, event, detail }]
+    this.status = data.status || 'pending'; // pending, sent, delivered, digest, failed
+    this.nextAttemptAt = data.nextAttemptAt || null;
+    this.digestAt = data.digestAt || null; // When the email goes out in the user's digest
+    this.lockedUntil = data.lockedUntil || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Create or update the notification in Firestore
+   */
+  async save() {
+    try {
+      const collection = getFirestore().collection(COLLECTION);
+      if (!this.id) {
+        this.id = collection.doc().id;
+      }
+      this.updatedAt = new Date();
+
+      await collection.doc(this.id).set(this.toJSON());
+      return this;
+    } catch (error) {
+      logger.error('Error saving outbox notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a notification by ID
+   */
+  static async findById(id) {
+    try {
+      const doc = await getFirestore().collection(COLLECTION).doc(id).get();
+      return doc.exists ? new OutboxNotification(doc.data()) : null;
+    } catch (error) {
+      logger.error('Error finding outbox notification by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the notification a provider message belongs to
+   */
+  static async findByProviderRef(channel, providerMessageId) {
+    try {
+      const snapshot = await getFirestore().collection(COLLECTION)
+        .where('providerRefs', 'array-contains', `${channel}:${providerMessageId}`)
+        .limit(1)
+        .get();
+
+      return snapshot.empty ? null : new OutboxNotification(snapshot.docs[0].data());
+    } catch (error) {
+      logger.error('Error finding outbox notification by provider reference:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pending notifications with a channel due for another attempt, oldest first
+   */
+  static async findDue(now = new Date(), limit = 50) {
+    try {
+      const snapshot = await getFirestore().collection(COLLECTION)
+        .where('status', '==', 'pending')
+        .get();
+
+      return snapshot.docs
+        .map(doc => new OutboxNotification(doc.data()))
+        .filter(notification => notification.nextAttemptAt && OutboxNotification.toDate(notification.nextAttemptAt) <= now)
+        .sort((a, b) => OutboxNotification.toDate(a.nextAttemptAt) - OutboxNotification.toDate(b.nextAttemptAt))
+        .slice(0, limit);
+    } catch (error) {
+      logger.error('Error finding due outbox notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notifications whose email is due to go out in a digest, oldest first
+   */
+  static async findDigestDue(now = new Date(), limit = 500) {
+    try {
+      const snapshot = await getFirestore().collection(COLLECTION)
+        .where('digestAt', '<=', now)
+        .get();
+
+      return snapshot.docs
+        .map(doc => new OutboxNotification(doc.data()))
+        .sort((a, b) => OutboxNotification.toDate(a.createdAt) - OutboxNotification.toDate(b.createdAt))
+        .slice(0, limit);
+    } catch (error) {
+      logger.error('Error finding outbox notifications due for a digest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notifications for a user, or for everyone when userId is null, newest first
+   */
+  static async findRecent({ userId = null, status = null, limit = 20 } = {}) {
+    try {
+      let query = getFirestore().collection(COLLECTION);
+      if (userId) {
+        query = query.where('userId', '==', userId);
+      }
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map(doc => new OutboxNotification(doc.data()))
+        .sort((a, b) => OutboxNotification.toDate(b.createdAt) - OutboxNotification.toDate(a.createdAt))
+        .slice(0, limit);
+    } catch (error) {
+      logger.error('Error finding recent outbox notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Firestore returns Timestamps; plain objects and strings are used in tests
+   */
+  static toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+  }
+
+  /**
+   * Append a step to the timeline
+   */
+  record(channel, event, detail = null, at = new Date()) {
+    this.timeline.push({ at, channel, event, detail });
+  }
+
+  /**
+   * Work out the overall status and next attempt time from the deliveries
+   */
+  refreshStatus() {
+    const deliveries = Object.values(this.deliveries);
+    const pending = deliveries.filter(delivery => delivery.status === 'pending');
+
+    if (pending.length > 0) {
+      this.status = 'pending';
+      this.nextAttemptAt = pending
+        .map(delivery => OutboxNotification.toDate(delivery.nextAttemptAt))
+        .sort((a, b) => a - b)[0];
+    } else if (deliveries.some(delivery => delivery.status === 'delivered')) {
+      this.status = 'delivered';
+      this.nextAttemptAt = null;
+    } else if (deliveries.some(delivery => delivery.status === 'sent')) {
+      this.status = 'sent';
+      this.nextAttemptAt = null;
+    } else if (deliveries.some(delivery => delivery.status === 'digest')) {
+      this.status = 'digest';
+      this.nextAttemptAt = null;
+    } else {
+      this.status = 'failed';
+      this.nextAttemptAt = null;
+    }
+    return this.status;
+  }
+
+  /**
+   * Get the notification and its delivery timeline
+   */
+  getDetails() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      type: this.type,
+      category: this.category,
+      priority: this.priority,
+      content: this.content,
+      status: this.status,
+      deliveries: this.deliveries,
+      timeline: this.timeline,
+      digestAt: this.digestAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      ...this.getDetails(),
+      recipient: this.recipient,
+      providerRefs: this.providerRefs,
+      nextAttemptAt: this.nextAttemptAt,
+      lockedUntil: this.lockedUntil
+    };
+  }
+}
+
+module.exports = OutboxNotification;
@@ -42,15 +42,15 @@ class Payment {
         pricing: this.pricing,
         refunds: this.refunds,
         metadata: this.metadata,
+        createdAt: this.createdAt,
         updatedAt: new Date().toISOString(),
       };
 
       if (this.id) {
-        // Update existing payment
+        // Update existing payment, or create one under a caller-chosen ID
         await getDB().ref(`payments/${this.id}`).update(paymentData);
       } else {
         // Create new payment
-        paymentData.createdAt = this.createdAt;
         const newPaymentRef = await getDB().ref('payments').push(paymentData);
         this.id = newPaymentRef.key;
       }
@@ -178,6 +178,7 @@ class Payment {
         reason: refundData.reason || 'requested_by_customer',
         processedAt: new Date().toISOString(),
         gateway: refundData.gateway,
+        breakdown: refundData.breakdown || null, // Policy, tier applied and amounts behind the refund
         ...refundData,
       };
 
@@ -3,14 +3,33 @@ const { getDatabase } = require('../config/firebase');
 // Helper function to get database instance
 const getDB = () => getDatabase();
 
+// Allowed payout status transitions. 'pending' and 'completed' are kept for
+// payouts created before the approval workflow existed.
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  pending: ['approved', 'processing', 'rejected', 'cancelled'],
+  approved: ['processing', 'cancelled'],
+  processing: ['paid', 'failed', 'completed'],
+  failed: ['retried', 'cancelled'],
+  retried: ['processing', 'cancelled'],
+  paid: [],
+  completed: [],
+  rejected: [],
+  cancelled: [],
+};
+
+// Statuses whose amount is still reserved against the provider's balance
+const OUTSTANDING_STATUSES = ['requested', 'pending', 'approved', 'processing', 'failed', 'retried'];
+
 class Payout {
   constructor(data) {
     this.id = data.id || null;
     this.providerId = data.providerId;
     this.amount = data.amount;
     this.currency = data.currency || 'INR';
-    this.status = data.status || 'pending'; // pending, processing, completed, failed, cancelled
+    this.status = data.status || 'requested'; // requested, approved, processing, paid, failed, retried, rejected, cancelled
     this.payoutMethod = data.payoutMethod; // bank_transfer, upi, wallet
+    this.payoutMethodId = data.payoutMethodId || null;
     this.bankDetails = data.bankDetails || {};
     this.transactionIds = data.transactionIds || []; // Array of payment IDs included in this payout
     this.platformFee = data.platformFee || 0;
@@ -19,6 +38,13 @@ class Payout {
     this.processedAt = data.processedAt || null;
     this.completedAt = data.completedAt || null;
     this.failureReason = data.failureReason || null;
+    this.approvedBy = data.approvedBy || null;
+    this.approvedAt = data.approvedAt || null;
+    this.processedBy = data.processedBy || null;
+    this.gatewayReference = data.gatewayReference || null;
+    this.attempts = data.attempts || 0;
+    this.scheduled = data.scheduled || false;
+    this.statusHistory = data.statusHistory || [];
     this.metadata = data.metadata || {};
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
@@ -35,6 +61,7 @@ class Payout {
         currency: this.currency,
         status: this.status,
         payoutMethod: this.payoutMethod,
+        payoutMethodId: this.payoutMethodId,
         bankDetails: this.bankDetails,
         transactionIds: this.transactionIds,
         platformFee: this.platformFee,
@@ -43,6 +70,13 @@ class Payout {
         processedAt: this.processedAt,
         completedAt: this.completedAt,
         failureReason: this.failureReason,
+        approvedBy: this.approvedBy,
+        approvedAt: this.approvedAt,
+        processedBy: this.processedBy,
+        gatewayReference: this.gatewayReference,
+        attempts: this.attempts,
+        scheduled: this.scheduled,
+        statusHistory: this.statusHistory,
         metadata: this.metadata,
         updatedAt: new Date().toISOString(),
       };
@@ -82,15 +116,14 @@ class Payout {
   }
 
   /**
-   * Find payouts by provider ID
+   * Find payouts by provider ID (all of them when limit is null)
    */
   static async findByProviderId(providerId, limit = 50) {
     try {
-      const snapshot = await getDB().ref('payouts')
+      const query = getDB().ref('payouts')
         .orderByChild('providerId')
-        .equalTo(providerId)
-        .limitToLast(limit)
-        .once('value');
+        .equalTo(providerId);
+      const snapshot = await (limit === null ? query : query.limitToLast(limit)).once('value');
       
       const payoutsData = snapshot.val();
       if (!payoutsData) {
@@ -140,8 +173,10 @@ class Payout {
       // Set timestamps based on status
       if (status === 'processing' && !this.processedAt) {
         this.processedAt = new Date().toISOString();
-      } else if (status === 'completed' && !this.completedAt) {
+      } else if (['completed', 'paid'].includes(status) && !this.completedAt) {
         this.completedAt = new Date().toISOString();
+      } else if (status === 'approved' && !this.approvedAt) {
+        this.approvedAt = new Date().toISOString();
       }
       
       // Merge additional data
@@ -154,6 +189,42 @@ class Payout {
     }
   }
 
+  /**
+   * Check whether the payout may move to the given status
+   */
+  canTransitionTo(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  /**
+   * Move the payout through the state machine, recording who did it and why
+   */
+  async transitionTo(status, { actor = null, note = null, ...additionalData } = {}) {
+    if (!this.canTransitionTo(status)) {
+      throw new Error(`Invalid payout status transition from ${this.status} to ${status}`);
+    }
+
+    this.statusHistory = [
+      ...this.statusHistory,
+      {
+        from: this.status,
+        to: status,
+        actor,
+        note,
+        at: new Date().toISOString(),
+      },
+    ];
+
+    return this.updateStatus(status, additionalData);
+  }
+
+  /**
+   * Check whether the payout amount is still reserved against the balance
+   */
+  isOutstanding() {
+    return OUTSTANDING_STATUSES.includes(this.status);
+  }
+
   /**
    * Get payout summary
    */
@@ -167,7 +238,10 @@ class Payout {
       payoutMethod: this.payoutMethod,
       platformFee: this.platformFee,
       netAmount: this.netAmount,
+      attempts: this.attempts,
+      scheduled: this.scheduled,
       requestedAt: this.requestedAt,
+      approvedAt: this.approvedAt,
       processedAt: this.processedAt,
       completedAt: this.completedAt,
       createdAt: this.createdAt,
@@ -186,14 +260,21 @@ class Payout {
       currency: this.currency,
       status: this.status,
       payoutMethod: this.payoutMethod,
+      payoutMethodId: this.payoutMethodId,
       bankDetails: this.bankDetails,
       transactionIds: this.transactionIds,
       platformFee: this.platformFee,
       netAmount: this.netAmount,
       requestedAt: this.requestedAt,
+      approvedAt: this.approvedAt,
+      approvedBy: this.approvedBy,
       processedAt: this.processedAt,
       completedAt: this.completedAt,
       failureReason: this.failureReason,
+      gatewayReference: this.gatewayReference,
+      attempts: this.attempts,
+      scheduled: this.scheduled,
+      statusHistory: this.statusHistory,
       metadata: this.metadata,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -0,0 +1,150 @@
+const { getDatabase } = require('../config/firebase');
+const { encryptionService } = require('../utils/encryption');
+
+// Helper function to get database instance
+const getDB = () => getDatabase();
+
+class PayoutMethod {
+  constructor(data) {
+    this.id = data.id || null;
+    this.providerId = data.providerId;
+    this.type = data.type; // bank_transfer, upi
+    this.label = data.label || '';
+    this.maskedDetails = data.maskedDetails || {};
+    this.encryptedDetails = data.encryptedDetails || null;
+    this.isDefault = data.isDefault || false;
+    this.status = data.status || 'active'; // active, removed
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Build a payout method from plain bank/UPI details, encrypting them at rest
+   */
+  static fromDetails(providerId, type, details, options = {}) {
+    const maskedDetails = type === 'upi'
+      ? { upiId: PayoutMethod.maskUpiId(details.upiId) }
+      : {
+        accountHolderName: details.accountHolderName,
+        accountNumberLast4: String(details.accountNumber).slice(-4),
+        ifscCode: details.ifscCode,
+        bankName: details.bankName || null,
+      };
+
+    return new PayoutMethod({
+      providerId,
+      type,
+      label: options.label || '',
+      isDefault: options.isDefault || false,
+      maskedDetails,
+      encryptedDetails: encryptionService.encryptPaymentInfo(details),
+    });
+  }
+
+  /**
+   * Mask a UPI ID, keeping the first two characters and the handle
+   */
+  static maskUpiId(upiId = '') {
+    const [name, handle] = upiId.split('@');
+    if (!handle) {
+      return '****';
+    }
+    return `${name.slice(0, 2)}****@${handle}`;
+  }
+
+  /**
+   * Save payout method to Firebase
+   */
+  async save() {
+    try {
+      const methodData = {
+        providerId: this.providerId,
+        type: this.type,
+        label: this.label,
+        maskedDetails: this.maskedDetails,
+        encryptedDetails: this.encryptedDetails,
+        isDefault: this.isDefault,
+        status: this.status,
+        updatedAt: new Date().toISOString(),
+      };
+
+      if (this.id) {
+        await getDB().ref(`payoutMethods/${this.id}`).update(methodData);
+      } else {
+        methodData.createdAt = this.createdAt;
+        const newMethodRef = await getDB().ref('payoutMethods').push(methodData);
+        this.id = newMethodRef.key;
+      }
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to save payout method: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find payout method by ID
+   */
+  static async findById(methodId) {
+    try {
+      const snapshot = await getDB().ref(`payoutMethods/${methodId}`).once('value');
+      const methodData = snapshot.val();
+
+      if (!methodData) {
+        return null;
+      }
+
+      return new PayoutMethod({ id: methodId, ...methodData });
+    } catch (error) {
+      throw new Error(`Failed to find payout method: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find active payout methods for a provider
+   */
+  static async findByProviderId(providerId) {
+    try {
+      const snapshot = await getDB().ref('payoutMethods')
+        .orderByChild('providerId')
+        .equalTo(providerId)
+        .once('value');
+
+      const methodsData = snapshot.val();
+      if (!methodsData) {
+        return [];
+      }
+
+      return Object.keys(methodsData)
+        .map(id => new PayoutMethod({ id, ...methodsData[id] }))
+        .filter(method => method.status === 'active')
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      throw new Error(`Failed to find payout methods by provider ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decrypt the stored bank/UPI details for handing to a payout gateway
+   */
+  getDecryptedDetails() {
+    return encryptionService.decryptPaymentInfo(this.encryptedDetails);
+  }
+
+  /**
+   * Get payout method details safe to return to clients
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      type: this.type,
+      label: this.label,
+      maskedDetails: this.maskedDetails,
+      isDefault: this.isDefault,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+module.exports = PayoutMethod;
@@ -0,0 +1,186 @@
+const { getDatabase } = require('../config/firebase');
+
+// Helper function to get database instance
+const getDB = () => getDatabase();
+
+class PromoCode {
+  constructor(data) {
+    this.id = data.id || null;
+    this.code = data.code;
+    this.description = data.description || '';
+    this.discountType = data.discountType; // percentage, flat
+    this.discountValue = data.discountValue;
+    this.maxDiscount = data.maxDiscount || null; // Cap for percentage discounts
+    this.minBookingAmount = data.minBookingAmount || 0;
+    this.usageLimit = data.usageLimit || null; // Total redemptions allowed, null for unlimited
+    this.perUserLimit = data.perUserLimit || 1;
+    this.usageCount = data.usageCount || 0;
+    this.validFrom = data.validFrom || null;
+    this.validUntil = data.validUntil || null;
+    this.routeIds = data.routeIds || []; // Predefined routes the code is limited to, empty for any route
+    this.firstRideOnly = data.firstRideOnly || false;
+    this.active = data.active !== false;
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Save promo code to Firebase
+   */
+  async save() {
+    try {
+      const promoData = {
+        code: this.code,
+        description: this.description,
+        discountType: this.discountType,
+        discountValue: this.discountValue,
+        maxDiscount: this.maxDiscount,
+        minBookingAmount: this.minBookingAmount,
+        usageLimit: this.usageLimit,
+        perUserLimit: this.perUserLimit,
+        validFrom: this.validFrom,
+        validUntil: this.validUntil,
+        routeIds: this.routeIds,
+        firstRideOnly: this.firstRideOnly,
+        active: this.active,
+        createdBy: this.createdBy,
+        updatedAt: new Date().toISOString(),
+      };
+
+      if (this.id) {
+        // Update existing promo code (usageCount is only changed by redemptions)
+        await getDB().ref(`promoCodes/${this.id}`).update(promoData);
+      } else {
+        // Create new promo code
+        promoData.usageCount = this.usageCount;
+        promoData.createdAt = this.createdAt;
+        const newPromoRef = await getDB().ref('promoCodes').push(promoData);
+        this.id = newPromoRef.key;
+      }
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to save promo code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find promo code by ID
+   */
+  static async findById(promoId) {
+    try {
+      const snapshot = await getDB().ref(`promoCodes/${promoId}`).once('value');
+      const promoData = snapshot.val();
+
+      if (!promoData) {
+        return null;
+      }
+
+      return new PromoCode({ id: promoId, ...promoData });
+    } catch (error) {
+      throw new Error(`Failed to find promo code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find promo code by its code (codes are stored upper case)
+   */
+  static async findByCode(code) {
+    try {
+      const snapshot = await getDB().ref('promoCodes')
+        .orderByChild('code')
+        .equalTo(String(code).trim().toUpperCase())
+        .once('value');
+
+      const promosData = snapshot.val();
+      if (!promosData) {
+        return null;
+      }
+
+      const [id] = Object.keys(promosData);
+      return new PromoCode({ id, ...promosData[id] });
+    } catch (error) {
+      throw new Error(`Failed to find promo code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find all promo codes, newest first
+   */
+  static async findAll() {
+    try {
+      const snapshot = await getDB().ref('promoCodes').once('value');
+      const promosData = snapshot.val();
+      if (!promosData) {
+        return [];
+      }
+
+      return Object.keys(promosData)
+        .map(id => new PromoCode({ id, ...promosData[id] }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      throw new Error(`Failed to find promo codes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reason the code can't be used at the given time, or null when it can
+   */
+  getUnavailableReason(date = new Date()) {
+    if (!this.active) return 'Promo code is no longer active';
+    if (this.validFrom && new Date(this.validFrom) > date) return 'Promo code is not valid yet';
+    if (this.validUntil && new Date(this.validUntil) < date) return 'Promo code has expired';
+    return null;
+  }
+
+  /**
+   * Check whether the global usage limit has been reached
+   */
+  isExhausted() {
+    return this.usageLimit !== null && this.usageCount >= this.usageLimit;
+  }
+
+  /**
+   * Discount for a booking amount, never more than the amount itself
+   */
+  calculateDiscount(amount) {
+    let discount = this.discountType === 'percentage'
+      ? Math.round((amount * this.discountValue) / 100)
+      : this.discountValue;
+
+    if (this.maxDiscount) {
+      discount = Math.min(discount, this.maxDiscount);
+    }
+
+    return Math.max(0, Math.min(discount, amount));
+  }
+
+  /**
+   * Get detailed promo code information
+   */
+  getDetails() {
+    return {
+      id: this.id,
+      code: this.code,
+      description: this.description,
+      discountType: this.discountType,
+      discountValue: this.discountValue,
+      maxDiscount: this.maxDiscount,
+      minBookingAmount: this.minBookingAmount,
+      usageLimit: this.usageLimit,
+      perUserLimit: this.perUserLimit,
+      usageCount: this.usageCount,
+      validFrom: this.validFrom,
+      validUntil: this.validUntil,
+      routeIds: this.routeIds,
+      firstRideOnly: this.firstRideOnly,
+      active: this.active,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+module.exports = PromoCode;
@@ -1,4 +1,5 @@
 const { getFirestore } = require('../config/firebase');
+const boarding = require('../utils/boarding');
 const logger = require('../utils/logger');
 
 class Review {
@@ -131,6 +132,10 @@ class Review {
           ratingValues.reduce((sum, val) => sum + val, 0) / ratingValues.length * 10
         ) / 10;
         
+        // Transactions must read before they write
+        const revieweeRef = db.collection('users').doc(reviewData.revieweeId);
+        const revieweeDoc = await transaction.get(revieweeRef);
+        
         // Create review
         const reviewRef = db.collection('reviews').doc();
         const review = new Review({
@@ -141,9 +146,6 @@ class Review {
         transaction.set(reviewRef, review.toJSON());
         
         // Update reviewee's rating
-        const revieweeRef = db.collection('users').doc(reviewData.revieweeId);
-        const revieweeDoc = await transaction.get(revieweeRef);
-        
         if (revieweeDoc.exists) {
           const reviewee = revieweeDoc.data();
           const roleKey = reviewData.reviewerRole === 'passenger' ? 'asDriver' : 'asPassenger';
@@ -482,6 +484,11 @@ class Review {
       if (!isPassenger && !isDriver) {
         return { canReview: false, reason: 'Not authorized to review this trip' };
       }
+
+      // Only trips the passenger was checked in for with their boarding code
+      if (!boarding.isCheckedIn(booking)) {
+        return { canReview: false, reason: 'Passenger was not checked in for this trip' };
+      }
       
       // Check if review already exists
       const existingReviewQuery = await db.collection('reviews')
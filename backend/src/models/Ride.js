@@ -1,4 +1,5 @@
 const { getFirestore } = require('../config/firebase');
+const segments = require('../utils/segments');
 const logger = require('../utils/logger');
 
 class Ride {
@@ -16,6 +17,9 @@ class Ride {
     this.driver = data.driver || {};
     this.vehicle = data.vehicle || {};
     this.route = data.route || {};
+    this.routeStops = data.routeStops || []; // Ordered stops incl. origin/destination (rides from predefined routes)
+    this.routeStopKeys = data.routeStopKeys || [];
+    this.segmentSeats = data.segmentSeats || null; // Free seats per leg between consecutive routeStops
     this.preferences = {
       luggageAllowed: data.preferences?.luggageAllowed || false,
       luggageCapacity: data.preferences?.luggageCapacity || 0,
@@ -59,6 +63,9 @@ class Ride {
         driver: this.driver,
         vehicle: this.vehicle,
         route: this.route,
+        routeStops: this.routeStops,
+        routeStopKeys: this.routeStopKeys,
+        segmentSeats: this.segmentSeats,
         preferences: this.preferences,
         bookingPolicy: this.bookingPolicy,
         passengers: this.passengers,
@@ -117,6 +124,11 @@ class Ride {
         query = query.where('origin.city', '==', filters.originCity);
       }
 
+      // Filter by a stop the ride passes through (rides from predefined routes)
+      if (filters.viaStop) {
+        query = query.where('routeStopKeys', 'array-contains', segments.normalizeStopKey(filters.viaStop));
+      }
+
       // Filter by destination city
       if (filters.destinationCity) {
         query = query.where('destination.city', '==', filters.destinationCity);
@@ -195,21 +207,23 @@ class Ride {
   }
 
   /**
-   * Update ride availability
+   * Update ride availability. With a segment ({ fromIndex, toIndex }) only the
+   * legs between those stops change; without one the whole route changes.
    */
-  async updateAvailability(seatsChange) {
+  async updateAvailability(seatsChange, segment = null) {
     try {
-      const newAvailableSeats = this.availableSeats + seatsChange;
+      const { fromIndex, toIndex } = segment || { fromIndex: 0, toIndex: this.getRouteStops().length - 1 };
+      const legs = segments.getSegmentSeats(this).slice(fromIndex, toIndex);
 
-      if (newAvailableSeats < 0) {
+      if (legs.some(free => free + seatsChange < 0)) {
         throw new Error('Not enough available seats');
       }
 
-      if (newAvailableSeats > this.totalSeats) {
+      if (legs.some(free => free + seatsChange > this.totalSeats)) {
         throw new Error('Available seats cannot exceed total seats');
       }
 
-      this.availableSeats = newAvailableSeats;
+      this.applySeatChange(seatsChange, segment);
       this.updatedAt = new Date();
 
       await this.save();
@@ -220,12 +234,47 @@ class Ride {
     }
   }
 
+  /**
+   * Apply a seat change to the segment inventory (whole route when no segment is given)
+   */
+  applySeatChange(seatsChange, segment = null) {
+    const { fromIndex, toIndex } = segment || { fromIndex: 0, toIndex: this.getRouteStops().length - 1 };
+    const segmentSeats = segments.getSegmentSeats(this);
+
+    this.segmentSeats = seatsChange < 0
+      ? segments.reserveSegmentSeats(segmentSeats, fromIndex, toIndex, -seatsChange)
+      : segments.releaseSegmentSeats(segmentSeats, fromIndex, toIndex, seatsChange, this.totalSeats);
+    this.availableSeats = segments.summarizeAvailableSeats(this.segmentSeats);
+  }
+
+  /**
+   * Ordered stops for this ride (origin and destination only for rides without stop data)
+   */
+  getRouteStops() {
+    return segments.getRouteStops(this);
+  }
+
+  /**
+   * Free seats and pro-rated seat price between two stops, or null if the
+   * stops are not on this ride in travel order
+   */
+  getSegmentQuote(pickup, dropoff) {
+    const segment = segments.resolveSegment(this, pickup, dropoff);
+    return segment ? segments.quoteSegment(this, segment) : null;
+  }
+
   /**
    * Add passenger to ride
    */
   async addPassenger(passengerId, seatsBooked, pickupPoint = null, dropoffPoint = null) {
     try {
-      if (this.availableSeats < seatsBooked) {
+      // Points that are not stops on the route hold a seat for the whole trip
+      const resolved = segments.resolveSegment(this, pickupPoint, dropoffPoint);
+      const segment = resolved
+        ? { fromIndex: resolved.fromIndex, toIndex: resolved.toIndex }
+        : { fromIndex: 0, toIndex: this.getRouteStops().length - 1 };
+
+      if (segments.getAvailableSeatsForSegment(segments.getSegmentSeats(this), segment.fromIndex, segment.toIndex) < seatsBooked) {
         throw new Error('Not enough available seats');
       }
 
@@ -234,12 +283,13 @@ class Ride {
         status: this.bookingPolicy.instantBooking ? 'confirmed' : 'requested',
         bookingTime: new Date(),
         pickupPoint: pickupPoint || this.origin.address,
-        dropoffPoint: dropoffPoint || this.destination.address
+        dropoffPoint: dropoffPoint || this.destination.address,
+        segment
       };
 
       // Update available seats if instant booking
       if (this.bookingPolicy.instantBooking) {
-        this.availableSeats -= seatsBooked;
+        this.applySeatChange(-seatsBooked, segment);
       }
 
       this.updatedAt = new Date();
@@ -264,7 +314,7 @@ class Ride {
 
       // Return seats if passenger was confirmed
       if (passenger.status === 'confirmed') {
-        this.availableSeats += passenger.seatsBooked;
+        this.applySeatChange(passenger.seatsBooked, passenger.segment);
       }
 
       delete this.passengers[passengerId];
@@ -279,7 +329,9 @@ class Ride {
   }
 
   /**
-   * Update passenger status
+   * Update passenger status. Only confirmed passengers can end up as a
+   * driver_no_show or passenger_no_show; their seats are left as they are
+   * because the ride has already left.
    */
   async updatePassengerStatus(passengerId, newStatus) {
     try {
@@ -290,13 +342,20 @@ class Ride {
       const passenger = this.passengers[passengerId];
       const oldStatus = passenger.status;
 
+      if (newStatus.endsWith('_no_show')) {
+        if (oldStatus !== 'confirmed') {
+          throw new Error('Only confirmed passengers can be marked as a no-show');
+        }
+        passenger.noShowAt = new Date();
+      }
+
       passenger.status = newStatus;
 
       // Handle seat availability based on status change
       if (oldStatus === 'requested' && newStatus === 'confirmed') {
-        this.availableSeats -= passenger.seatsBooked;
+        this.applySeatChange(-passenger.seatsBooked, passenger.segment);
       } else if (oldStatus === 'confirmed' && newStatus === 'cancelled') {
-        this.availableSeats += passenger.seatsBooked;
+        this.applySeatChange(passenger.seatsBooked, passenger.segment);
       }
 
       this.updatedAt = new Date();
@@ -352,6 +411,8 @@ class Ride {
       pricePerSeat: this.pricePerSeat,
       availableSeats: this.availableSeats,
       totalSeats: this.totalSeats,
+      routeStops: this.routeStops,
+      segmentSeats: this.segmentSeats,
       driver: {
         name: this.driver.name,
         avatar: this.driver.avatar,
@@ -426,6 +487,9 @@ class Ride {
       driver: this.driver,
       vehicle: this.vehicle,
       route: this.route,
+      routeStops: this.routeStops,
+      routeStopKeys: this.routeStopKeys,
+      segmentSeats: this.segmentSeats,
       preferences: this.preferences,
       bookingPolicy: this.bookingPolicy,
       passengers: this.passengers,
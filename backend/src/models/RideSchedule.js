@@ -0,0 +1,219 @@
+const { getDatabase } = require('../config/firebase');
+
+// Helper function to get database instance
+const getDB = () => getDatabase();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Realtime Database may return stored arrays as objects
+ */
+const toArray = value => (Array.isArray(value) ? value : Object.values(value || {}));
+
+/**
+ * A provider's recurring ride, e.g. weekdays at 08:30 until a date.
+ *
+ * `template` holds the ride fields shared by every instance, in the same shape
+ * as POST /api/rides (rideType 'standard') or /api/rides/create-from-route
+ * (rideType 'route'). `instances` maps each generated date (YYYY-MM-DD) to
+ * { rideId, departureTime, status }, so a date is never generated twice and
+ * edits can find the future rides they apply to.
+ */
+class RideSchedule {
+  constructor(data) {
+    this.id = data.id || null;
+    this.driverId = data.driverId;
+    this.rideType = data.rideType || 'standard'; // standard, route
+    this.template = data.template || {};
+    this.recurrence = {
+      daysOfWeek: toArray(data.recurrence?.daysOfWeek).map(Number), // 0 = Sunday … 6 = Saturday
+      departureTime: data.recurrence?.departureTime,
+      startDate: data.recurrence?.startDate,
+      endDate: data.recurrence?.endDate || null,
+      skipDates: toArray(data.recurrence?.skipDates),
+    };
+    this.daysAhead = data.daysAhead || 7;
+    this.status = data.status || 'active'; // active, paused, cancelled, ended
+    this.instances = data.instances || {};
+    this.version = data.version || 1;
+    this.lastGeneratedAt = data.lastGeneratedAt || null;
+    this.cancelledAt = data.cancelledAt || null;
+    this.cancellationReason = data.cancellationReason || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date
+   */
+  static addDays(date, days) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+  }
+
+  /**
+   * Whether the schedule has a ride on a date
+   */
+  occursOn(date) {
+    const { daysOfWeek, startDate, endDate, skipDates } = this.recurrence;
+    if (date < startDate || (endDate && date > endDate)) {
+      return false;
+    }
+    if (skipDates.includes(date)) {
+      return false;
+    }
+    return daysOfWeek.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+  }
+
+  /**
+   * Dates with a ride from fromDate (inclusive) over the next `days` days
+   */
+  getOccurrenceDates(fromDate, days = this.daysAhead) {
+    const dates = [];
+    for (let offset = 0; offset <= days; offset++) {
+      const date = RideSchedule.addDays(fromDate, offset);
+      if (this.occursOn(date)) {
+        dates.push(date);
+      }
+    }
+    return dates;
+  }
+
+  /**
+   * Generated instances still to depart, sorted by date
+   */
+  getFutureInstances(now = new Date()) {
+    return Object.entries(this.instances)
+      .filter(([date, instance]) => instance.status === 'scheduled' &&
+        new Date(`${date}T${instance.departureTime}`) > now)
+      .map(([date, instance]) => ({ date, ...instance }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Whether the schedule has run past its end date
+   */
+  hasEnded(today) {
+    return Boolean(this.recurrence.endDate && this.recurrence.endDate < today);
+  }
+
+  /**
+   * Save schedule to Firebase
+   */
+  async save() {
+    try {
+      const scheduleData = {
+        driverId: this.driverId,
+        rideType: this.rideType,
+        template: this.template,
+        recurrence: this.recurrence,
+        daysAhead: this.daysAhead,
+        status: this.status,
+        instances: this.instances,
+        version: this.version,
+        lastGeneratedAt: this.lastGeneratedAt,
+        cancelledAt: this.cancelledAt,
+        cancellationReason: this.cancellationReason,
+        updatedAt: new Date().toISOString(),
+      };
+
+      if (this.id) {
+        await getDB().ref(`rideSchedules/${this.id}`).update(scheduleData);
+      } else {
+        scheduleData.createdAt = this.createdAt;
+        const newScheduleRef = await getDB().ref('rideSchedules').push(scheduleData);
+        this.id = newScheduleRef.key;
+      }
+
+      return this;
+    } catch (error) {
+      throw new Error(`Failed to save ride schedule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find schedule by ID
+   */
+  static async findById(scheduleId) {
+    try {
+      const snapshot = await getDB().ref(`rideSchedules/${scheduleId}`).once('value');
+      const scheduleData = snapshot.val();
+
+      if (!scheduleData) {
+        return null;
+      }
+
+      return new RideSchedule({ id: scheduleId, ...scheduleData });
+    } catch (error) {
+      throw new Error(`Failed to find ride schedule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a provider's schedules, newest first
+   */
+  static async findByDriverId(driverId) {
+    try {
+      const snapshot = await getDB().ref('rideSchedules')
+        .orderByChild('driverId')
+        .equalTo(driverId)
+        .once('value');
+
+      const schedulesData = snapshot.val();
+      if (!schedulesData) {
+        return [];
+      }
+
+      return Object.keys(schedulesData)
+        .map(id => new RideSchedule({ id, ...schedulesData[id] }))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      throw new Error(`Failed to find ride schedules by driver ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find schedules the generator should run for
+   */
+  static async findActive() {
+    try {
+      const snapshot = await getDB().ref('rideSchedules')
+        .orderByChild('status')
+        .equalTo('active')
+        .once('value');
+
+      const schedulesData = snapshot.val();
+      if (!schedulesData) {
+        return [];
+      }
+
+      return Object.keys(schedulesData).map(id => new RideSchedule({ id, ...schedulesData[id] }));
+    } catch (error) {
+      throw new Error(`Failed to find active ride schedules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get schedule details for API responses
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      rideType: this.rideType,
+      template: this.template,
+      recurrence: this.recurrence,
+      daysAhead: this.daysAhead,
+      status: this.status,
+      version: this.version,
+      instances: Object.entries(this.instances)
+        .map(([date, instance]) => ({ date, ...instance }))
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      lastGeneratedAt: this.lastGeneratedAt,
+      cancelledAt: this.cancelledAt,
+      cancellationReason: this.cancellationReason,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+module.exports = RideSchedule;
@@ -0,0 +1,194 @@
+const { getFirestore } = require('../config/firebase');
+const geohash = require('../utils/geohash');
+const logger = require('../utils/logger');
+
+const STOP_TYPES = ['bus_stand', 'metro', 'railway_station', 'junction', 'landmark', 'other'];
+
+/**
+ * A pickup/drop-off point in the admin-managed stop catalogue.
+ *
+ * Stops keep their original snake_case created_at/created_by fields, which the
+ * stop lists order by. Each stop stores a geohash of its position for radius
+ * and nearest-stop lookups, and normalised search terms built from its name,
+ * aliases and landmark. Merged duplicates are kept inactive with mergedInto
+ * pointing at the surviving stop, so rides that saved the old ID still resolve.
+ */
+class Stop {
+  constructor(data) {
+    this.id = data.id || null;
+    this.name = data.name;
+    this.city = data.city || null;
+    this.landmark = data.landmark || null;
+    this.aliases = Array.isArray(data.aliases) ? data.aliases.filter(Boolean) : [];
+    this.type = STOP_TYPES.includes(data.type) ? data.type : 'other';
+    this.lat = Number(data.lat);
+    this.lng = Number(data.lng);
+    this.geohash = data.geohash || null;
+    this.active = data.active !== false;
+    this.mergedInto = data.mergedInto || null;
+    this.created_by = data.created_by || null;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.updated_at = data.updated_at || null;
+  }
+
+  /**
+   * Lowercase, without punctuation or repeated spaces, for name comparisons
+   */
+  static normalizeName(value) {
+    return String(value || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Every name the stop is known by, normalised
+   */
+  getSearchTerms() {
+    return [...new Set([this.name, ...this.aliases, this.landmark]
+      .map(Stop.normalizeName)
+      .filter(Boolean))];
+  }
+
+  /**
+   * Create or update the stop in Firestore
+   */
+  async save() {
+    try {
+      this.geohash = geohash.encode(this.lat, this.lng);
+      const stopData = {
+        ...this.toJSON(),
+        searchTerms: this.getSearchTerms(),
+      };
+      delete stopData.id;
+
+      const collection = getFirestore().collection('stops');
+      if (this.id) {
+        this.updated_at = new Date().toISOString();
+        stopData.updated_at = this.updated_at;
+        await collection.doc(this.id).set(stopData, { merge: true });
+      } else {
+        const docRef = await collection.add(stopData);
+        this.id = docRef.id;
+      }
+
+      return this;
+    } catch (error) {
+      logger.error('Error saving stop:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find stop by ID
+   */
+  static async findById(stopId) {
+    try {
+      const stopDoc = await getFirestore().collection('stops').doc(stopId).get();
+      return stopDoc.exists ? new Stop({ id: stopDoc.id, ...stopDoc.data() }) : null;
+    } catch (error) {
+      logger.error('Error finding stop by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the whole catalogue in the order stops were added
+   */
+  static async findAll({ activeOnly = false } = {}) {
+    try {
+      const snapshot = await getFirestore().collection('stops').orderBy('created_at', 'asc').get();
+      const stops = [];
+      snapshot.forEach(doc => {
+        stops.push(new Stop({ id: doc.id, ...doc.data() }));
+      });
+
+      return activeOnly ? stops.filter(stop => stop.active) : stops;
+    } catch (error) {
+      logger.error('Error finding stops:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active stops whose geohash starts with any of the prefixes
+   */
+  static async findByGeohashPrefixes(prefixes) {
+    try {
+      const collection = getFirestore().collection('stops');
+      const snapshots = await Promise.all(prefixes.map(prefix => collection
+        .orderBy('geohash')
+        .startAt(prefix)
+        .endAt(`${prefix}\uf8ff`)
+        .get()));
+
+      const stops = new Map();
+      snapshots.forEach(snapshot => snapshot.forEach(doc => {
+        const stop = new Stop({ id: doc.id, ...doc.data() });
+        if (stop.active) {
+          stops.set(stop.id, stop);
+        }
+      }));
+
+      return [...stops.values()];
+    } catch (error) {
+      logger.error('Error finding stops by geohash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the stop
+   */
+  async delete() {
+    try {
+      await getFirestore().collection('stops').doc(this.id).delete();
+    } catch (error) {
+      logger.error('Error deleting stop:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fields exposed on the public stop endpoints
+   */
+  getPublicDetails() {
+    return {
+      id: this.id,
+      name: this.name,
+      city: this.city,
+      landmark: this.landmark,
+      aliases: this.aliases,
+      type: this.type,
+      lat: this.lat,
+      lng: this.lng,
+    };
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      city: this.city,
+      landmark: this.landmark,
+      aliases: this.aliases,
+      type: this.type,
+      lat: this.lat,
+      lng: this.lng,
+      geohash: this.geohash,
+      active: this.active,
+      mergedInto: this.mergedInto,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+    };
+  }
+}
+
+Stop.TYPES = STOP_TYPES;
+
+module.exports = Stop;
@@ -0,0 +1,136 @@
+const { getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'tripShares';
+
+/**
+ * A share-my-trip link a passenger sent to someone.
+ *
+ * The link carries a signed token naming the share and when it expires;
+ * the token itself is never stored. A share is active until it expires,
+ * the passenger revokes it, or the booking is completed or cancelled,
+ * after which status and endReason say which.
+ */
+class TripShare {
+  constructor(data) {
+    this.id = data.id;
+    this.bookingId = data.bookingId;
+    this.rideId = data.rideId;
+    this.passengerId = data.passengerId;
+    this.label = data.label || null; // Who the passenger sent it to, e.g. "Mum"
+    this.routePolyline = data.routePolyline || null; // Encoded polyline, looked up once when the share is created
+    this.status = data.status || 'active'; // active, revoked, expired
+    this.endReason = data.endReason || null; // revoked, expired, trip_completed, booking_cancelled
+    this.expiresAt = data.expiresAt;
+    this.endedAt = data.endedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Create or update the share in Firestore
+   */
+  async save() {
+    try {
+      const collection = getFirestore().collection(COLLECTION);
+      if (!this.id) {
+        this.id = collection.doc().id;
+      }
+      this.updatedAt = new Date();
+
+      await collection.doc(this.id).set(this.toJSON());
+      return this;
+    } catch (error) {
+      logger.error('Error saving trip share:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a share by ID
+   */
+  static async findById(id) {
+    try {
+      const doc = await getFirestore().collection(COLLECTION).doc(id).get();
+      return doc.exists ? new TripShare(doc.data()) : null;
+    } catch (error) {
+      logger.error('Error finding trip share by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Active shares for a booking, newest first
+   */
+  static async findActiveByBookingId(bookingId) {
+    try {
+      const snapshot = await getFirestore().collection(COLLECTION)
+        .where('bookingId', '==', bookingId)
+        .where('status', '==', 'active')
+        .get();
+
+      return snapshot.docs
+        .map(doc => new TripShare(doc.data()))
+        .sort((a, b) => TripShare.toDate(b.createdAt) - TripShare.toDate(a.createdAt));
+    } catch (error) {
+      logger.error('Error finding active trip shares by booking ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Firestore returns Timestamps; plain objects and strings are used in tests
+   */
+  static toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+  }
+
+  /**
+   * Check if the link still works
+   */
+  isActive(now = new Date()) {
+    return this.status === 'active' && TripShare.toDate(this.expiresAt) > now;
+  }
+
+  /**
+   * Stop the link working
+   */
+  end(status, reason, now = new Date()) {
+    this.status = status;
+    this.endReason = reason;
+    this.endedAt = now.toISOString();
+  }
+
+  /**
+   * What the passenger sees about a link they sent
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      bookingId: this.bookingId,
+      label: this.label,
+      status: this.status,
+      endReason: this.endReason,
+      expiresAt: this.expiresAt,
+      endedAt: this.endedAt,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      ...this.getSummary(),
+      rideId: this.rideId,
+      passengerId: this.passengerId,
+      routePolyline: this.routePolyline,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = TripShare;
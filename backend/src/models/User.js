@@ -17,6 +17,7 @@ class User {
     this.rating = data.rating || {};
     this.preferences = data.preferences || {};
     this.stats = data.stats || {};
+    this.referral = data.referral || {}; // { code, referredBy, referredAt, rewardedAt }
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -44,6 +45,7 @@ class User {
         rating: this.rating,
         preferences: this.preferences,
         stats: this.stats,
+        referral: this.referral,
         updatedAt: new Date(),
       };
 
@@ -109,6 +111,28 @@ class User {
     }
   }
 
+  /**
+   * Get user by referral code from Firestore
+   */
+  static async findByReferralCode(code) {
+    try {
+      const db = getFirestore();
+      const querySnapshot = await db.collection('users')
+        .where('referral.code', '==', code)
+        .limit(1)
+        .get();
+
+      if (querySnapshot.empty) {
+        return null;
+      }
+
+      return new User(querySnapshot.docs[0].data());
+    } catch (error) {
+      logger.error('Error finding user by referral code:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create user from Firebase Auth record
    */
@@ -167,6 +191,7 @@ class User {
         music: true,
         conversation: 'depends_on_mood',
         autoApproveBookings: false,
+        language: 'en',
         notifications: {
           email: true,
           sms: true,
@@ -224,6 +249,11 @@ class User {
         this.onboardingCompleted = profileData.onboardingCompleted;
       }
 
+      // Handle stats (booking and reliability counters)
+      if (profileData.stats) {
+        this.stats = { ...this.stats, ...profileData.stats };
+      }
+
       this.updatedAt = new Date();
       await this.save();
       return this;
@@ -282,6 +312,21 @@ class User {
     }
   }
 
+  /**
+   * Update referral details
+   */
+  async updateReferral(referralData) {
+    try {
+      this.referral = { ...this.referral, ...referralData };
+      this.updatedAt = new Date();
+      await this.save();
+      return this;
+    } catch (error) {
+      logger.error('Error updating user referral:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check if user has specific role
    */
@@ -0,0 +1,198 @@
+const { getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+/**
+ * A passenger waiting for seats on a full ride (or on a full part of its route).
+ *
+ * Entries are served first come, first served. When seats free up the next
+ * entry that fits gets an offer: the seats are held on the ride until
+ * offer.expiresAt, and the entry moves to 'offered'. Accepting turns the held
+ * seats into a confirmed booking; otherwise the seats go to the next entry.
+ */
+class WaitlistEntry {
+  constructor(data) {
+    this.id = data.id;
+    this.rideId = data.rideId;
+    this.passengerId = data.passengerId;
+    this.driverId = data.driverId;
+    this.seatsRequested = data.seatsRequested || 1;
+    this.pickupPoint = data.pickupPoint || {};
+    this.dropoffPoint = data.dropoffPoint || {};
+    this.segment = data.segment || null; // { fromIndex, toIndex, fromStopName, toStopName }
+    this.status = data.status || 'waiting'; // waiting, offered, accepted, declined, expired, cancelled
+    this.offer = data.offer || null; // { offeredAt, expiresAt }
+    this.offerCount = data.offerCount || 0;
+    this.bookingId = data.bookingId || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Create or update waitlist entry in Firestore
+   */
+  async save() {
+    try {
+      const db = getFirestore();
+      const entryRef = this.id
+        ? db.collection('waitlist').doc(this.id)
+        : db.collection('waitlist').doc();
+      this.id = entryRef.id;
+      this.updatedAt = new Date();
+
+      await entryRef.set(this.toJSON(), { merge: true });
+      return this;
+    } catch (error) {
+      logger.error('Error saving waitlist entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get waitlist entry by ID
+   */
+  static async findById(entryId) {
+    try {
+      const entryDoc = await getFirestore().collection('waitlist').doc(entryId).get();
+      return entryDoc.exists ? new WaitlistEntry(entryDoc.data()) : null;
+    } catch (error) {
+      logger.error('Error finding waitlist entry by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a ride's entries, oldest first
+   */
+  static async findByRideId(rideId, statuses = ['waiting', 'offered']) {
+    try {
+      const querySnapshot = await getFirestore().collection('waitlist')
+        .where('rideId', '==', rideId)
+        .get();
+
+      const entries = [];
+      querySnapshot.forEach(doc => {
+        const entry = new WaitlistEntry(doc.data());
+        if (statuses.includes(entry.status)) {
+          entries.push(entry);
+        }
+      });
+
+      return entries.sort((a, b) => WaitlistEntry.toDate(a.createdAt) - WaitlistEntry.toDate(b.createdAt));
+    } catch (error) {
+      logger.error('Error finding waitlist entries by ride ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a passenger's entries, newest first
+   */
+  static async findByPassengerId(passengerId) {
+    try {
+      const querySnapshot = await getFirestore().collection('waitlist')
+        .where('passengerId', '==', passengerId)
+        .get();
+
+      const entries = [];
+      querySnapshot.forEach(doc => {
+        entries.push(new WaitlistEntry(doc.data()));
+      });
+
+      return entries.sort((a, b) => WaitlistEntry.toDate(b.createdAt) - WaitlistEntry.toDate(a.createdAt));
+    } catch (error) {
+      logger.error('Error finding waitlist entries by passenger ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get offers that have run out
+   */
+  static async findExpiredOffers(now = new Date()) {
+    try {
+      const querySnapshot = await getFirestore().collection('waitlist')
+        .where('status', '==', 'offered')
+        .get();
+
+      const entries = [];
+      querySnapshot.forEach(doc => {
+        const entry = new WaitlistEntry(doc.data());
+        if (entry.isOfferExpired(now)) {
+          entries.push(entry);
+        }
+      });
+
+      return entries;
+    } catch (error) {
+      logger.error('Error finding expired waitlist offers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Firestore returns Timestamps; plain objects and strings are used in tests and RTDB mirrors
+   */
+  static toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return new Date(value);
+  }
+
+  /**
+   * Check if the entry still holds a live offer
+   */
+  isOfferExpired(now = new Date()) {
+    return this.status === 'offered' && WaitlistEntry.toDate(this.offer?.expiresAt) <= now;
+  }
+
+  /**
+   * Check if the entry is still in the queue
+   */
+  isActive() {
+    return ['waiting', 'offered'].includes(this.status);
+  }
+
+  /**
+   * Get entry summary for listings
+   */
+  getSummary(position = null) {
+    return {
+      id: this.id,
+      rideId: this.rideId,
+      seatsRequested: this.seatsRequested,
+      pickupPoint: this.pickupPoint,
+      dropoffPoint: this.dropoffPoint,
+      segment: this.segment,
+      status: this.status,
+      position,
+      offer: this.offer,
+      bookingId: this.bookingId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      rideId: this.rideId,
+      passengerId: this.passengerId,
+      driverId: this.driverId,
+      seatsRequested: this.seatsRequested,
+      pickupPoint: this.pickupPoint,
+      dropoffPoint: this.dropoffPoint,
+      segment: this.segment,
+      status: this.status,
+      offer: this.offer,
+      offerCount: this.offerCount,
+      bookingId: this.bookingId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = WaitlistEntry;
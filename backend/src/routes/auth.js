@@ -5,6 +5,8 @@ const { handleValidationErrors, asyncHandler, sendResponse, sendError } = requir
 const UserService = require('../services/userService');
 const { verifyIdToken, getAuth, getFirestore } = require('../config/firebase');
 const NotificationService = require('../services/notificationService');
+const TemplateService = require('../services/templateService');
+const cacheService = require('../services/cacheService');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 const fs = require('fs');
@@ -463,6 +465,8 @@ router.put('/role', [
   try {
     const { role } = req.body;
     const user = await UserService.updateUserRole(req.user.uid, role);
+    // The auth middleware reads the role from the cached profile
+    await cacheService.invalidateUserCache(req.user.uid);
     sendResponse(res, 200, { user: user.toJSON() }, 'Role updated successfully');
   } catch (error) {
     logger.error('Failed to update role:', error);
@@ -481,6 +485,7 @@ router.put('/preferences', [
   body('music').optional().isBoolean().withMessage('Music must be boolean'),
   body('conversation').optional().isIn(['love_to_chat', 'depends_on_mood', 'prefer_quiet']).withMessage('Invalid conversation preference'),
   body('autoApproveBookings').optional().isBoolean().withMessage('Auto approve bookings must be boolean'),
+  body('language').optional().isIn(TemplateService.getSupportedLocales().map(({ code }) => code)).withMessage('Unsupported language'),
   body('notifications.email').optional().isBoolean().withMessage('Email notifications must be boolean'),
   body('notifications.sms').optional().isBoolean().withMessage('SMS notifications must be boolean'),
   body('notifications.push').optional().isBoolean().withMessage('Push notifications must be boolean'),
@@ -3,6 +3,18 @@ const { body, validationResult, query } = require('express-validator');
 const { getDatabase, getAuth } = require('../config/firebase');
 const MessagingService = require('../services/messagingService');
 const { emitBookingStatusChange, emitUserNotification, emitRideUpdate } = require('../config/socket');
+const segments = require('../utils/segments');
+const dynamicPricing = require('../utils/dynamicPricing');
+const itineraryService = require('../services/itineraryService');
+const BookingService = require('../services/bookingService');
+const referralService = require('../services/referralService');
+const noShowService = require('../services/noShowService');
+const boardingService = require('../services/boardingService');
+const tripShareService = require('../services/tripShareService');
+const Booking = require('../models/Booking');
+const cancellationPolicies = require('../utils/cancellationPolicies');
+const boarding = require('../utils/boarding');
+const { idempotency } = require('../middleware/idempotency');
 const router = express.Router();
 
 // Helper function to get database instance
@@ -28,11 +40,13 @@ const verifyToken = async (req, res, next) => {
 };
 
 // POST /api/bookings - Create new booking request
-router.post('/', verifyToken, [
+router.post('/', verifyToken, idempotency, [
     body('rideId').notEmpty().withMessage('Ride ID is required'),
     body('seatsBooked').isInt({ min: 1, max: 8 }).withMessage('Seats booked must be between 1 and 8'),
     body('pickupPoint').optional().isString().withMessage('Pickup point must be a string'),
     body('dropoffPoint').optional().isString().withMessage('Drop-off point must be a string'),
+    body('pickupStopId').optional().isString().withMessage('Pickup stop ID must be a string'),
+    body('dropoffStopId').optional().isString().withMessage('Drop-off stop ID must be a string'),
     body('passengerNotes').optional().isString().withMessage('Passenger notes must be a string')
 ], async (req, res) => {
     try {
@@ -41,7 +55,7 @@ router.post('/', verifyToken, [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { rideId, seatsBooked, pickupPoint, dropoffPoint, passengerNotes } = req.body;
+        const { rideId, seatsBooked, pickupPoint, dropoffPoint, pickupStopId, dropoffStopId, passengerNotes } = req.body;
 
         // Check if ride exists and is available
         const rideRef = getDB().ref(`rides/${rideId}`);
@@ -58,8 +72,20 @@ router.post('/', verifyToken, [
             return res.status(400).json({ error: 'Ride is not available for booking' });
         }
 
-        if (rideData.availableSeats < seatsBooked) {
-            return res.status(400).json({ error: 'Not enough seats available' });
+        // Seats are checked on every segment between the pickup and drop-off stops
+        let quote;
+        try {
+            quote = segments.planSegmentBooking(
+                rideData,
+                pickupStopId || pickupPoint,
+                dropoffStopId || dropoffPoint,
+                parseInt(seatsBooked)
+            );
+        } catch (segmentError) {
+            const message = segmentError.message === 'Not enough available seats'
+                ? 'Not enough seats available'
+                : segmentError.message;
+            return res.status(400).json({ error: message });
         }
 
         // Check if user is not the driver
@@ -87,6 +113,10 @@ router.post('/', verifyToken, [
         }
 
         const isInstantBooking = rideData.preferences?.instantBooking !== false;
+        const pricePerSeat = quote.pricePerSeat;
+        const lastStopIndex = segments.getRouteStops(rideData).length - 1;
+        const bookedPickupPoint = pickupPoint || (quote.segment.fromIndex === 0 ? rideData.origin.city : quote.segment.fromStopName);
+        const bookedDropoffPoint = dropoffPoint || (quote.segment.toIndex === lastStopIndex ? rideData.destination.city : quote.segment.toStopName);
 
         // Create booking data
         const bookingData = {
@@ -94,14 +124,18 @@ router.post('/', verifyToken, [
             passengerId: req.user.uid,
             driverId: rideData.driverId,
             seatsBooked: parseInt(seatsBooked),
-            pickupPoint: pickupPoint || rideData.origin.city,
-            dropoffPoint: dropoffPoint || rideData.destination.city,
+            pickupPoint: bookedPickupPoint,
+            dropoffPoint: bookedDropoffPoint,
+            segment: quote.segment,
             passengerNotes: passengerNotes || '',
             pricing: {
-                pricePerSeat: rideData.pricePerSeat,
-                totalAmount: rideData.pricePerSeat * seatsBooked,
-                serviceFee: Math.round(rideData.pricePerSeat * seatsBooked * 0.05), // 5% service fee
-                finalAmount: Math.round(rideData.pricePerSeat * seatsBooked * 1.05)
+                pricePerSeat,
+                fullRoutePricePerSeat: rideData.pricePerSeat,
+                fareRatio: quote.segment.fareRatio,
+                totalAmount: pricePerSeat * seatsBooked,
+                serviceFee: Math.round(pricePerSeat * seatsBooked * 0.05), // 5% service fee
+                finalAmount: Math.round(pricePerSeat * seatsBooked * 1.05),
+                ...dynamicPricing.getPriceLock(rideData)
             },
             payment: {
                 method: null,
@@ -113,30 +147,31 @@ router.post('/', verifyToken, [
             confirmedAt: isInstantBooking ? new Date().toISOString() : null
         };
 
-        // Save booking to Firebase
         const newBookingRef = getDB().ref('bookings').push();
-        await newBookingRef.set(bookingData);
 
-        // Update ride's available seats if instant booking
+        // Instant bookings hold their seats before the booking is written
         if (isInstantBooking) {
-            const updatedAvailableSeats = rideData.availableSeats - seatsBooked;
-            await rideRef.update({
-                availableSeats: updatedAvailableSeats,
-                updatedAt: new Date().toISOString()
-            });
-
-            // Add passenger to ride's passenger list
-            const passengerUpdate = {};
-            passengerUpdate[`passengers/${req.user.uid}`] = {
-                seatsBooked,
+            const reservedRide = await BookingService.reserveRideSeats(rideId, req.user.uid, quote.segment, {
+                seatsBooked: bookingData.seatsBooked,
                 status: 'confirmed',
                 bookingTime: new Date().toISOString(),
-                pickupPoint: pickupPoint || rideData.origin.city,
-                dropoffPoint: dropoffPoint || rideData.destination.city
-            };
-            await rideRef.update(passengerUpdate);
+                pickupPoint: bookedPickupPoint,
+                dropoffPoint: bookedDropoffPoint
+            });
+            if (!reservedRide) {
+                return res.status(400).json({ error: 'Not enough seats available' });
+            }
+
+            try {
+                await newBookingRef.set(bookingData);
+            } catch (saveError) {
+                await BookingService.releaseRideSeats(rideId, req.user.uid, quote.segment, bookingData.seatsBooked);
+                throw saveError;
+            }
 
-            emitRideUpdate(rideId, { availableSeats: updatedAvailableSeats });
+            emitRideUpdate(rideId, { availableSeats: reservedRide.availableSeats, segmentSeats: reservedRide.segmentSeats });
+        } else {
+            await newBookingRef.set(bookingData);
         }
 
         // Return created booking with ID
@@ -203,6 +238,119 @@ router.post('/', verifyToken, [
     }
 });
 
+// POST /api/bookings/itinerary - Book every leg of a connecting itinerary, or none
+router.post('/itinerary', verifyToken, idempotency, [
+    body('legs').isArray({ min: 2, max: 3 }).withMessage('An itinerary must have between 2 and 3 legs'),
+    body('legs.*.rideId').notEmpty().withMessage('Ride ID is required for every leg'),
+    body('legs.*.pickupStopId').optional().isString().withMessage('Pickup stop ID must be a string'),
+    body('legs.*.dropoffStopId').optional().isString().withMessage('Drop-off stop ID must be a string'),
+    body('legs.*.pickupPoint').optional().isString().withMessage('Pickup point must be a string'),
+    body('legs.*.dropoffPoint').optional().isString().withMessage('Drop-off point must be a string'),
+    body('seatsBooked').isInt({ min: 1, max: 8 }).withMessage('Seats booked must be between 1 and 8'),
+    body('minLayover').optional().isInt({ min: 0, max: 180 }).withMessage('Minimum layover must be between 0 and 180 minutes'),
+    body('maxLayover').optional().isInt({ min: 15, max: 720 }).withMessage('Maximum layover must be between 15 and 720 minutes'),
+    body('passengerNotes').optional().isString().withMessage('Passenger notes must be a string')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { legs, seatsBooked, minLayover, maxLayover, passengerNotes } = req.body;
+
+        let result;
+        try {
+            result = await itineraryService.bookItinerary(req.user.uid, {
+                legs,
+                seatsBooked,
+                passengerNotes,
+                minLayoverMinutes: minLayover !== undefined ? parseInt(minLayover) : undefined,
+                maxLayoverMinutes: maxLayover !== undefined ? parseInt(maxLayover) : undefined
+            });
+        } catch (bookingError) {
+            if (bookingError.message.startsWith('Ride not found')) {
+                return res.status(404).json({ error: bookingError.message });
+            }
+            if (bookingError.code) {
+                throw bookingError; // Database errors carry a code; business rule failures don't
+            }
+            const message = bookingError.message === 'Not enough available seats'
+                ? 'Not enough seats available'
+                : bookingError.message;
+            return res.status(400).json({ error: message });
+        }
+
+        const { itinerary, bookings, rides } = result;
+
+        for (const [legIndex, booking] of bookings.entries()) {
+            emitRideUpdate(booking.rideId, {
+                availableSeats: rides[legIndex].availableSeats,
+                segmentSeats: rides[legIndex].segmentSeats
+            });
+
+            try {
+                await MessagingService.initializeBookingConversation(booking);
+                await MessagingService.handleBookingLifecycleEvent(booking, 'booking_confirmed');
+                await MessagingService.setupTripCommunicationChannel(booking);
+                await MessagingService.shareDriverContactInfo(booking);
+                await MessagingService.enableEmergencyContactIntegration(booking);
+            } catch (messagingError) {
+                console.error('Error initializing booking conversation:', messagingError);
+                // Don't fail the booking if messaging fails
+            }
+
+            try {
+                emitUserNotification(booking.driverId, {
+                    type: 'booking_request',
+                    title: 'New Booking',
+                    message: `A passenger booked ${seatsBooked} seat(s) from ${booking.pickupPoint} to ${booking.dropoffPoint} as part of a connecting trip`,
+                    bookingId: booking.id,
+                    rideId: booking.rideId
+                });
+                emitBookingStatusChange(booking.id, req.user.uid, {
+                    status: 'confirmed',
+                    message: `Leg ${legIndex + 1} of your trip has been confirmed`
+                });
+            } catch (notificationError) {
+                console.error('Error sending notifications:', notificationError);
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            data: { itinerary, bookings },
+            message: 'All legs of your trip are confirmed!'
+        });
+
+    } catch (error) {
+        console.error('Error booking itinerary:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/bookings/itinerary/:itineraryId - Get a booked itinerary
+router.get('/itinerary/:itineraryId', verifyToken, async (req, res) => {
+    try {
+        const itinerary = await itineraryService.getItinerary(req.params.itineraryId, req.user.uid);
+
+        res.json({
+            success: true,
+            data: itinerary
+        });
+
+    } catch (error) {
+        if (error.message === 'Itinerary not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Access denied') {
+            return res.status(403).json({ error: error.message });
+        }
+        console.error('Error fetching itinerary:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // GET /api/bookings - Get user's bookings
 router.get('/', verifyToken, [
     query('status').optional().isIn(['requested', 'confirmed', 'completed', 'cancelled']),
@@ -339,6 +487,8 @@ router.get('/:id', verifyToken, async (req, res) => {
             console.error('Error fetching ride details:', error);
         }
 
+        booking.cancellationPolicy = cancellationPolicies.describeCancellationPolicy(booking.ride?.bookingPolicy);
+
         res.json({
             success: true,
             data: booking
@@ -351,7 +501,7 @@ router.get('/:id', verifyToken, async (req, res) => {
 });
 
 // PUT /api/bookings/:id/approve - Approve booking request (driver only)
-router.put('/:id/approve', verifyToken, async (req, res) => {
+router.put('/:id/approve', verifyToken, idempotency, async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -383,36 +533,36 @@ router.put('/:id/approve', verifyToken, async (req, res) => {
         }
 
         const rideData = rideSnapshot.val();
+        const { fromIndex, toIndex } = segments.getBookingSegmentRange(rideData, bookingData);
 
-        if (rideData.availableSeats < bookingData.seatsBooked) {
-            return res.status(400).json({ error: 'Not enough seats available' });
-        }
-
-        // Update booking status
-        await bookingRef.update({
-            status: 'confirmed',
-            confirmedAt: new Date().toISOString()
-        });
-
-        // Update ride's available seats
-        const updatedAvailableSeats = rideData.availableSeats - bookingData.seatsBooked;
-        await rideRef.update({
-            availableSeats: updatedAvailableSeats,
-            updatedAt: new Date().toISOString()
+        // Claim the request so a repeated approval cannot take the seats twice
+        const confirmedAt = new Date().toISOString();
+        const claim = await bookingRef.transaction((booking) => {
+            if (!booking) {
+                return booking;
+            }
+            if (booking.status !== 'requested') {
+                return undefined; // Abort
+            }
+            return { ...booking, status: 'confirmed', confirmedAt };
         });
+        if (!claim.committed || !claim.snapshot.exists()) {
+            return res.status(400).json({ error: 'Booking is not in requested status' });
+        }
 
-        // Add passenger to ride's passenger list
-        const passengerUpdate = {};
-        passengerUpdate[`passengers/${bookingData.passengerId}`] = {
+        const reservedRide = await BookingService.reserveRideSeats(bookingData.rideId, bookingData.passengerId, { fromIndex, toIndex }, {
             seatsBooked: bookingData.seatsBooked,
             status: 'confirmed',
-            bookingTime: new Date().toISOString(),
+            bookingTime: confirmedAt,
             pickupPoint: bookingData.pickupPoint,
             dropoffPoint: bookingData.dropoffPoint
-        };
-        await rideRef.update(passengerUpdate);
+        });
+        if (!reservedRide) {
+            await bookingRef.update({ status: 'requested', confirmedAt: null });
+            return res.status(400).json({ error: 'Not enough seats available' });
+        }
 
-        emitRideUpdate(bookingData.rideId, { availableSeats: updatedAvailableSeats });
+        emitRideUpdate(bookingData.rideId, { availableSeats: reservedRide.availableSeats, segmentSeats: reservedRide.segmentSeats });
 
         // Send booking confirmation message and enable communication
         try {
@@ -463,7 +613,7 @@ router.put('/:id/approve', verifyToken, async (req, res) => {
 });
 
 // PUT /api/bookings/:id/reject - Reject booking request (driver only)
-router.put('/:id/reject', verifyToken, [
+router.put('/:id/reject', verifyToken, idempotency, [
     body('reason').optional().isString().withMessage('Reason must be a string')
 ], async (req, res) => {
     try {
@@ -547,7 +697,7 @@ router.put('/:id/reject', verifyToken, [
 });
 
 // PUT /api/bookings/:id/cancel - Cancel booking
-router.put('/:id/cancel', verifyToken, [
+router.put('/:id/cancel', verifyToken, idempotency, [
     body('reason').optional().isString().withMessage('Reason must be a string')
 ], async (req, res) => {
     try {
@@ -559,54 +709,7 @@ router.put('/:id/cancel', verifyToken, [
         const { id } = req.params;
         const { reason } = req.body;
 
-        const bookingRef = getDB().ref(`bookings/${id}`);
-        const snapshot = await bookingRef.once('value');
-
-        if (!snapshot.exists()) {
-            return res.status(404).json({ error: 'Booking not found' });
-        }
-
-        const bookingData = snapshot.val();
-
-        // Check if user is involved in this booking
-        if (bookingData.passengerId !== req.user.uid && bookingData.driverId !== req.user.uid) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
-
-        // Check if booking can be cancelled
-        if (!['requested', 'confirmed'].includes(bookingData.status)) {
-            return res.status(400).json({ error: 'Booking cannot be cancelled' });
-        }
-
-        const cancelledBy = bookingData.passengerId === req.user.uid ? 'passenger' : 'driver';
-
-        // Update booking status
-        await bookingRef.update({
-            status: 'cancelled',
-            cancelledAt: new Date().toISOString(),
-            cancelledBy,
-            cancellationReason: reason || 'No reason provided'
-        });
-
-        // If booking was confirmed, restore seats to ride
-        if (bookingData.status === 'confirmed') {
-            const rideRef = getDB().ref(`rides/${bookingData.rideId}`);
-            const rideSnapshot = await rideRef.once('value');
-
-            if (rideSnapshot.exists()) {
-                const rideData = rideSnapshot.val();
-                const updatedAvailableSeats = rideData.availableSeats + bookingData.seatsBooked;
-                await rideRef.update({
-                    availableSeats: updatedAvailableSeats,
-                    updatedAt: new Date().toISOString()
-                });
-
-                // Remove passenger from ride's passenger list
-                await rideRef.child(`passengers/${bookingData.passengerId}`).remove();
-
-                emitRideUpdate(bookingData.rideId, { availableSeats: updatedAvailableSeats });
-            }
-        }
+        const { booking: bookingData, cancelledBy } = await BookingService.cancelRealtimeBooking(id, req.user.uid, reason);
 
         // Send cancellation notification message
         try {
@@ -652,6 +755,16 @@ router.put('/:id/cancel', verifyToken, [
         });
 
     } catch (error) {
+        if (error.message === 'Booking not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Access denied') {
+            return res.status(403).json({ error: error.message });
+        }
+        if (error.message === 'Booking cannot be cancelled') {
+            return res.status(400).json({ error: error.message });
+        }
+
         console.error('Error cancelling booking:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -741,7 +854,7 @@ router.get('/provider/requests', verifyToken, [
 });
 
 // POST /api/bookings/:id/emergency - Send emergency message
-router.post('/:id/emergency', verifyToken, [
+router.post('/:id/emergency', verifyToken, idempotency, [
     body('emergencyType').isIn(['general', 'breakdown', 'accident', 'location', 'late']).withMessage('Invalid emergency type'),
     body('customMessage').optional().isString().withMessage('Custom message must be a string')
 ], async (req, res) => {
@@ -897,7 +1010,7 @@ router.get('/:id/communication', verifyToken, async (req, res) => {
 });
 
 // PUT /api/bookings/:id/trip-status - Update trip status with communication
-router.put('/:id/trip-status', verifyToken, [
+router.put('/:id/trip-status', verifyToken, idempotency, [
     body('status').isIn(['started', 'in_progress', 'completed']).withMessage('Invalid trip status'),
     body('location').optional().isObject().withMessage('Location must be an object'),
     body('estimatedArrival').optional().isString().withMessage('Estimated arrival must be a string'),
@@ -926,6 +1039,11 @@ router.put('/:id/trip-status', verifyToken, [
             return res.status(403).json({ error: 'Only the driver can update trip status' });
         }
 
+        // Only trips the passenger was checked in for with their boarding code
+        if (status === 'completed' && bookingData.status !== 'completed' && !boarding.isCheckedIn(bookingData)) {
+            return res.status(400).json({ error: 'Passenger has not boarded; check them in with their boarding code first' });
+        }
+
         // Update booking with trip status
         const updateData = {
             tripStatus: status,
@@ -945,6 +1063,13 @@ router.put('/:id/trip-status', verifyToken, [
 
         await bookingRef.update(updateData);
 
+        // Completed trips count towards first-ride promos and credit any pending referral
+        if (status === 'completed' && bookingData.status !== 'completed') {
+            await BookingService.updateUserStats(bookingData.passengerId, 'trip_completed');
+            await referralService.rewardReferral(bookingData.passengerId);
+            await tripShareService.expireForBooking(id, 'trip_completed');
+        }
+
         // Send appropriate communication messages
         try {
             const bookingWithId = { id, ...bookingData, ...updateData };
@@ -1012,7 +1137,7 @@ router.put('/:id/trip-status', verifyToken, [
 });
 
 // POST /api/bookings/:id/share-location - Share current location
-router.post('/:id/share-location', verifyToken, [
+router.post('/:id/share-location', verifyToken, idempotency, [
     body('latitude').isFloat().withMessage('Latitude must be a number'),
     body('longitude').isFloat().withMessage('Longitude must be a number'),
     body('address').optional().isString().withMessage('Address must be a string'),
@@ -1086,4 +1211,223 @@ router.post('/:id/share-location', verifyToken, [
     }
 });
 
+// Map no-show service errors to responses
+const sendNoShowError = (res, error, action) => {
+    if (error.message === 'Booking not found' || error.message === 'Ride not found' ||
+        error.message === 'No-show report not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Access denied' || error.message.startsWith('Only the reported user')) {
+        return res.status(403).json({ error: error.message });
+    }
+    if (error.message.includes('already been reported')) {
+        return res.status(409).json({ error: error.message });
+    }
+    if (error.message.includes('no-show') || error.message.includes('No-show')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    console.error(`Error ${action} no-show:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// POST /api/bookings/:id/no-show - Report the driver (as passenger) or the passenger (as driver) as a no-show
+router.post('/:id/no-show', verifyToken, idempotency, [
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const report = await noShowService.reportNoShow(req.params.id, req.user.uid, { reason: req.body.reason || null });
+
+        res.status(201).json({
+            success: true,
+            data: report.getDetails(),
+            message: report.status === 'dismissed'
+                ? 'Trip tracking shows the pickup took place, so the report was dismissed'
+                : 'No-show reported'
+        });
+    } catch (error) {
+        sendNoShowError(res, error, 'reporting');
+    }
+});
+
+// GET /api/bookings/:id/no-show - No-show report on a booking, for its passenger or driver
+router.get('/:id/no-show', verifyToken, async (req, res) => {
+    try {
+        const report = await noShowService.getReport(req.params.id, req.user.uid);
+
+        res.json({
+            success: true,
+            data: report.getDetails()
+        });
+    } catch (error) {
+        sendNoShowError(res, error, 'fetching');
+    }
+});
+
+// POST /api/bookings/:id/no-show/dispute - Dispute a no-show report (reported user)
+router.post('/:id/no-show/dispute', verifyToken, idempotency, [
+    body('statement').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Statement must be between 1 and 1000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const report = await noShowService.disputeNoShow(req.params.id, req.user.uid, { statement: req.body.statement });
+
+        res.json({
+            success: true,
+            data: report.getDetails(),
+            message: report.status === 'under_review'
+                ? 'Dispute received; the report will be reviewed'
+                : 'Trip tracking supports the report, so it was upheld'
+        });
+    } catch (error) {
+        sendNoShowError(res, error, 'disputing');
+    }
+});
+
+// Map boarding service errors to responses
+const sendBoardingError = (res, error, action) => {
+    if (error.message === 'Booking not found' || error.message === 'Ride not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Access denied' || error.message.startsWith('Only the driver')) {
+        return res.status(403).json({ error: error.message });
+    }
+    if (error.message.includes('already boarded')) {
+        return res.status(409).json({ error: error.message });
+    }
+    if (error.message.startsWith('Too many wrong codes')) {
+        return res.status(429).json({ error: error.message });
+    }
+    if (error.message.toLowerCase().includes('boarding code') || error.message.includes('checked in') ||
+        error.message.includes('is required')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// POST /api/bookings/board - Check a passenger in with their boarding PIN or QR code (driver)
+router.post('/board', verifyToken, idempotency, [
+    body('qr').optional().isString().withMessage('QR code must be a string'),
+    body('bookingId').optional().isString().withMessage('Booking ID must be a string'),
+    body('pin').optional().matches(/^\d{6}$/).withMessage('PIN must be 6 digits')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { bookingId, pin, qr } = req.body;
+        const booking = await boardingService.verifyBoarding(req.user.uid, { bookingId, pin, qr });
+
+        res.json({
+            success: true,
+            // Realtime bookings come back as plain data
+            data: new Booking(booking).getSummary(),
+            message: 'Passenger checked in'
+        });
+    } catch (error) {
+        sendBoardingError(res, error, 'checking passenger in');
+    }
+});
+
+// POST /api/bookings/:id/boarding-code - Get a fresh one-time boarding code (passenger)
+router.post('/:id/boarding-code', verifyToken, idempotency, async (req, res) => {
+    try {
+        const code = await boardingService.issueBoardingCode(req.params.id, req.user.uid);
+
+        res.status(201).json({
+            success: true,
+            data: code,
+            message: 'Show this code to your driver when you board'
+        });
+    } catch (error) {
+        sendBoardingError(res, error, 'issuing boarding code');
+    }
+});
+
+const sendTripShareError = (res, error, action) => {
+    if (error.message === 'Booking not found' || error.message === 'Ride not found' ||
+        error.message === 'Trip share not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Access denied') {
+        return res.status(403).json({ error: error.message });
+    }
+    if (error.message.includes('already ended')) {
+        return res.status(409).json({ error: error.message });
+    }
+    if (error.message.startsWith('Only confirmed') || error.message.startsWith('Trip links') ||
+        error.message.startsWith('A booking can have')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    console.error(`Error ${action} trip share:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// POST /api/bookings/:id/shares - Create a share-my-trip link (passenger)
+router.post('/:id/shares', verifyToken, idempotency, [
+    body('expiresInMinutes').optional().isInt({ min: 1 }).withMessage('Expiry must be a whole number of minutes').toInt(),
+    body('label').optional().isString().isLength({ max: 60 }).withMessage('Label must be at most 60 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { expiresInMinutes, label } = req.body;
+        const share = await tripShareService.createShare(req.params.id, req.user.uid, { expiresInMinutes, label });
+
+        res.status(201).json({
+            success: true,
+            data: share,
+            message: 'Anyone with this link can follow your trip until it expires'
+        });
+    } catch (error) {
+        sendTripShareError(res, error, 'creating');
+    }
+});
+
+// GET /api/bookings/:id/shares - Share-my-trip links that still work (passenger)
+router.get('/:id/shares', verifyToken, async (req, res) => {
+    try {
+        const shares = await tripShareService.listShares(req.params.id, req.user.uid);
+
+        res.json({
+            success: true,
+            data: shares.map(share => share.getSummary())
+        });
+    } catch (error) {
+        sendTripShareError(res, error, 'listing');
+    }
+});
+
+// DELETE /api/bookings/:id/shares/:shareId - Stop a share-my-trip link working (passenger)
+router.delete('/:id/shares/:shareId', verifyToken, async (req, res) => {
+    try {
+        const share = await tripShareService.revokeShare(req.params.id, req.params.shareId, req.user.uid);
+
+        res.json({
+            success: true,
+            data: share.getSummary(),
+            message: 'Trip link revoked'
+        });
+    } catch (error) {
+        sendTripShareError(res, error, 'revoking');
+    }
+});
+
 module.exports = router;
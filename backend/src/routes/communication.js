@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { getDatabase, getAuth } = require('../config/firebase');
 const MessagingService = require('../services/messagingService');
+const NotificationService = require('../services/notificationService');
 const { emitUserNotification } = require('../config/socket');
 const router = express.Router();
 
@@ -362,15 +363,22 @@ router.post('/test-emergency', verifyToken, [
             return res.status(404).json({ error: 'No emergency contact found' });
         }
 
-        // In a real implementation, this would send SMS/call to the emergency contact
-        // For now, we'll just log it and return success
-        console.log(`Emergency test message sent to ${targetContact.name} (${targetContact.phone}): ${message}`);
+        if (!targetContact.phone) {
+            return res.status(400).json({ error: 'Emergency contact has no phone number' });
+        }
+
+        const result = await NotificationService.sendSMS(targetContact.phone, `TripO: ${message}`);
+        if (!result.success) {
+            console.error(`Emergency test message to ${targetContact.name} failed:`, result.error);
+            return res.status(502).json({ error: 'Failed to send test message' });
+        }
 
         res.json({
             success: true,
             data: {
                 contact: targetContact,
                 message,
+                messageId: result.messageId,
                 sentAt: new Date().toISOString()
             },
             message: 'Emergency communication test completed successfully'
@@ -553,7 +561,9 @@ router.post('/trip/:bookingId/emergency-alert', verifyToken, [
     body('alertType').isIn(['trip_emergency', 'breakdown', 'accident', 'location_emergency']).withMessage('Invalid alert type'),
     body('alertPassengerContacts').optional().isBoolean().withMessage('Alert passenger contacts must be a boolean'),
     body('alertDriverContacts').optional().isBoolean().withMessage('Alert driver contacts must be a boolean'),
-    body('customMessage').optional().isString().withMessage('Custom message must be a string')
+    body('customMessage').optional().isString().withMessage('Custom message must be a string'),
+    body('location.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('location.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -563,7 +573,7 @@ router.post('/trip/:bookingId/emergency-alert', verifyToken, [
 
         const { bookingId } = req.params;
         const userId = req.user.uid;
-        const { alertType, alertPassengerContacts = true, alertDriverContacts = true, customMessage } = req.body;
+        const { alertType, alertPassengerContacts = true, alertDriverContacts = true, customMessage, location } = req.body;
 
         // Verify user is part of this booking
         const bookingRef = getDB().ref(`bookings/${bookingId}`);
@@ -589,6 +599,7 @@ router.post('/trip/:bookingId/emergency-alert', verifyToken, [
             alertPassengerContacts,
             alertDriverContacts,
             customMessage,
+            location,
             triggeredBy: userId
         });
 
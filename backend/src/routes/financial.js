@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const financialService = require('../services/financialService');
 const Payout = require('../models/Payout');
 const logger = require('../utils/logger');
@@ -99,6 +100,7 @@ router.get('/balance', authenticateToken, async (req, res) => {
  */
 router.post('/payout/request', [
   authenticateToken,
+  idempotency,
   body('amount').isFloat({ min: 100 }).withMessage('Amount must be at least ₹100'),
   body('payoutMethod').isIn(['bank_transfer', 'upi', 'wallet']).withMessage('Invalid payout method'),
   body('bankDetails').optional().isObject().withMessage('Bank details must be an object'),
@@ -190,7 +192,7 @@ router.post('/payout/request', [
 router.get('/payouts', [
   authenticateToken,
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['pending', 'processing', 'completed', 'failed', 'cancelled']),
+  query('status').optional().isIn(['requested', 'pending', 'approved', 'processing', 'paid', 'completed', 'failed', 'retried', 'rejected', 'cancelled']),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -428,6 +430,7 @@ router.get('/transactions', [
  */
 router.post('/payout/:payoutId/cancel', [
   authenticateToken,
+  idempotency,
   param('payoutId').notEmpty().withMessage('Payout ID is required'),
 ], async (req, res) => {
   try {
@@ -469,7 +472,7 @@ router.post('/payout/:payoutId/cancel', [
     }
 
     // Check if payout can be cancelled
-    if (payout.status !== 'pending') {
+    if (!['requested', 'pending'].includes(payout.status)) {
       return res.status(400).json({
         success: false,
         error: {
@@ -479,7 +482,7 @@ router.post('/payout/:payoutId/cancel', [
       });
     }
 
-    await payout.updateStatus('cancelled');
+    await payout.transitionTo('cancelled', { actor: providerId, note: 'Cancelled by provider' });
 
     logger.info('Payout cancelled', {
       payoutId: payout.id,
@@ -5,13 +5,17 @@ const { sendResponse } = require('../middleware');
 const authRoutes = require('./auth');
 const userRoutes = require('./users');
 const rideRoutes = require('./rides');
+const rideScheduleRoutes = require('./rideSchedules');
 const walletRoutes = require('./wallet');
+const referralRoutes = require('./referrals');
 const payoutRoutes = require('./payouts');
 // const externalVehicleRoutes = require('./externalVehicles'); // Removed per user request
 const vehicleRoutes = require('./vehicles');
 const mapsRoutes = require('./maps');
 const searchRoutes = require('./search');
 const bookingRoutes = require('./bookings');
+const tripShareRoutes = require('./tripShares');
+const waitlistRoutes = require('./waitlist');
 const realtimeRoutes = require('./realtime');
 const notificationRoutes = require('./notifications');
 const paymentRoutes = require('./payments');
@@ -45,9 +49,12 @@ function setupRoutes(app) {
         auth: '/api/auth',
         users: '/api/users',
         rides: '/api/rides',
+        rideSchedules: '/api/ride-schedules',
         vehicles: '/api/vehicles',
         maps: '/api/maps',
         bookings: '/api/bookings',
+        tripShares: '/api/trip-shares',
+        waitlist: '/api/waitlist',
         search: '/api/search',
         realtime: '/api/realtime',
         notifications: '/api/notifications',
@@ -61,6 +68,7 @@ function setupRoutes(app) {
         transportProviders: '/api/transport-providers',
         routes: '/api/routes',
         wallet: '/api/wallet',
+        referrals: '/api/referrals',
         payouts: '/api/payouts',
         externalVehicles: '/api/external-vehicles',
       },
@@ -71,13 +79,17 @@ function setupRoutes(app) {
 
   apiRouter.use('/users', userRoutes);
   apiRouter.use('/wallet', walletRoutes);
+  apiRouter.use('/referrals', referralRoutes);
   apiRouter.use('/payouts', payoutRoutes);
   // apiRouter.use('/external-vehicles', externalVehicleRoutes); // Removed per user request
   apiRouter.use('/rides', rideRoutes);
+  apiRouter.use('/ride-schedules', rideScheduleRoutes);
   apiRouter.use('/vehicles', vehicleRoutes);
   apiRouter.use('/maps', mapsRoutes);
   apiRouter.use('/search', searchRoutes);
   apiRouter.use('/bookings', bookingRoutes);
+  apiRouter.use('/trip-shares', tripShareRoutes);
+  apiRouter.use('/waitlist', waitlistRoutes);
   apiRouter.use('/realtime', realtimeRoutes);
   apiRouter.use('/notifications', notificationRoutes);
   apiRouter.use('/payments', paymentRoutes);
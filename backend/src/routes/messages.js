@@ -269,9 +269,9 @@ router.get('/conversations', authenticateToken, async (req, res) => {
           const participants = await Promise.all(
             participantIds.map(async (participantId) => {
               try {
-                const user = await User.findById(participantId);
+                const user = await User.findByUid(participantId);
                 return user ? {
-                  id: user.id,
+                  id: user.uid,
                   name: user.profile?.name || 'Unknown User',
                   avatar: user.profile?.avatar || null
                 } : null;
@@ -786,7 +786,7 @@ router.post('/booking/:bookingId/lifecycle-message', authenticateToken, async (r
 router.post('/booking/:bookingId/emergency-contact-alert', authenticateToken, async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const { alertType, customMessage, alertPassengerContacts = true, alertDriverContacts = true } = req.body;
+    const { alertType, customMessage, location, alertPassengerContacts = true, alertDriverContacts = true } = req.body;
     const userId = req.user.uid;
 
     // Validate alert type
@@ -817,6 +817,7 @@ router.post('/booking/:bookingId/emergency-contact-alert', authenticateToken, as
       alertPassengerContacts,
       alertDriverContacts,
       customMessage,
+      location,
       triggeredBy: userId
     });
 
@@ -847,6 +848,33 @@ router.post('/booking/:bookingId/emergency-contact-alert', authenticateToken, as
   }
 });
 
+/**
+ * @route GET /api/messages/booking/:bookingId/emergency-incidents
+ * @desc Get the SOS incidents raised on a booking and how each is being handled
+ * @access Private
+ */
+router.get('/booking/:bookingId/emergency-incidents', authenticateToken, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return sendError(res, 404, 'BOOKING_NOT_FOUND', 'Booking not found');
+    }
+
+    const IncidentService = require('../services/incidentService');
+    const incidents = await IncidentService.getBookingIncidents(booking, req.user.uid);
+
+    sendResponse(res, 200, incidents.map(incident => incident.getSummary()), 'Emergency incidents retrieved successfully');
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return sendError(res, 403, 'UNAUTHORIZED', 'You are not authorized to view emergency incidents for this booking');
+    }
+    logger.error('Error getting emergency incidents:', error);
+    sendError(res, 500, 'EMERGENCY_INCIDENTS_FAILED', 'Failed to get emergency incidents');
+  }
+});
+
 /**
  * @route GET /api/messages/booking/:bookingId/communication-features
  * @desc Get available communication features for booking
@@ -880,11 +908,11 @@ router.get('/booking/:bookingId/communication-features', authenticateToken, asyn
 
     // Determine available features based on booking status and preferences
     const availableFeatures = {
-      messaging: bookingCommStatus.isEnabled && userPreferences.allowMessages,
-      locationSharing: bookingCommStatus.isEnabled && userPreferences.allowLocationSharing,
-      emergencyContact: bookingCommStatus.isEnabled && userPreferences.allowEmergencyContact,
-      callsEnabled: bookingCommStatus.isEnabled && userPreferences.allowCalls,
-      photoSharing: bookingCommStatus.isEnabled,
+      messaging: bookingCommStatus.isActive && userPreferences.allowMessages,
+      locationSharing: bookingCommStatus.isActive && userPreferences.allowLocationSharing,
+      emergencyContact: bookingCommStatus.isActive && userPreferences.allowEmergencyContact,
+      callsEnabled: bookingCommStatus.isActive && userPreferences.allowCalls,
+      photoSharing: bookingCommStatus.isActive,
       contactInfoShared: booking.status === 'confirmed',
       tripSpecificChannel: !!tripCommStatus.isActive
     };
@@ -2,6 +2,7 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const NotificationService = require('../services/notificationService');
+const NotificationOutboxService = require('../services/notificationOutboxService');
 const NotificationPreferencesService = require('../services/notificationPreferencesService');
 const logger = require('../utils/logger');
 
@@ -387,4 +388,115 @@ router.post('/test-booking-confirmation', authenticateToken, async (req, res) =>
   }
 });
 
+/**
+ * Map outbox lookup errors to responses
+ */
+function sendOutboxError(res, error, fallbackCode, fallbackMessage) {
+  if (error.message === 'Notification not found') {
+    return sendError(res, 404, 'NOTIFICATION_NOT_FOUND', error.message);
+  }
+  if (error.message === 'Access denied') {
+    return sendError(res, 403, 'ACCESS_DENIED', 'You can only view your own notifications');
+  }
+  if (error.message.includes('acknowledged') || error.message === 'Invalid receipt event') {
+    return sendError(res, 400, 'INVALID_RECEIPT', error.message);
+  }
+  logger.error(fallbackMessage, error);
+  return sendError(res, 500, fallbackCode, fallbackMessage);
+}
+
+/**
+ * Get the user's recent notifications and their delivery status
+ * GET /api/notifications/outbox
+ */
+router.get('/outbox', authenticateToken, async (req, res) => {
+  try {
+    const notifications = await NotificationOutboxService.listNotifications({
+      userId: req.user.uid,
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+    });
+
+    sendSuccess(res, notifications.map(notification => notification.getDetails()), 'Notifications retrieved successfully');
+  } catch (error) {
+    logger.error('Failed to get notification history:', error);
+    sendError(res, 500, 'OUTBOX_ERROR', 'Failed to retrieve notifications');
+  }
+});
+
+/**
+ * Get a notification's delivery timeline
+ * GET /api/notifications/outbox/:id
+ */
+router.get('/outbox/:id', authenticateToken, async (req, res) => {
+  try {
+    const notification = await NotificationOutboxService.getNotification(req.params.id, { userId: req.user.uid });
+
+    sendSuccess(res, notification.getDetails(), 'Notification retrieved successfully');
+  } catch (error) {
+    sendOutboxError(res, error, 'OUTBOX_ERROR', 'Failed to retrieve notification');
+  }
+});
+
+/**
+ * Report that a push or realtime notification arrived or was opened
+ * POST /api/notifications/outbox/:id/receipt
+ */
+router.post('/outbox/:id/receipt',
+  authenticateToken,
+  [
+    body('channel').isIn(['push', 'realtime']).withMessage('Channel must be push or realtime'),
+    body('event').isIn(['delivered', 'opened']).withMessage('Event must be delivered or opened'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendError(res, 400, 'VALIDATION_ERROR', 'Invalid input data', errors.array());
+      }
+
+      const notification = await NotificationOutboxService.acknowledge(req.params.id, req.user.uid, req.body);
+      sendSuccess(res, notification.getDetails(), 'Receipt recorded successfully');
+    } catch (error) {
+      sendOutboxError(res, error, 'RECEIPT_ERROR', 'Failed to record receipt');
+    }
+  }
+);
+
+/**
+ * SMS status callback from Twilio
+ * POST /api/notifications/webhooks/twilio
+ */
+router.post('/webhooks/twilio', async (req, res) => {
+  if (!NotificationOutboxService.verifyTwilioSignature(req.get('X-Twilio-Signature'), req.body)) {
+    return sendError(res, 403, 'INVALID_SIGNATURE', 'Invalid Twilio signature');
+  }
+
+  try {
+    await NotificationOutboxService.handleTwilioStatus(req.body);
+    sendSuccess(res, null, 'Status recorded');
+  } catch (error) {
+    logger.error('Failed to handle Twilio status callback:', error);
+    sendError(res, 500, 'WEBHOOK_ERROR', 'Failed to record status');
+  }
+});
+
+/**
+ * Event webhook from SendGrid
+ * POST /api/notifications/webhooks/sendgrid?token=...
+ */
+router.post('/webhooks/sendgrid', async (req, res) => {
+  if (!NotificationOutboxService.verifyWebhookToken(req.query.token)) {
+    return sendError(res, 403, 'INVALID_TOKEN', 'Invalid webhook token');
+  }
+
+  try {
+    const applied = await NotificationOutboxService.handleSendGridEvents(Array.isArray(req.body) ? req.body : []);
+    sendSuccess(res, { applied }, 'Events recorded');
+  } catch (error) {
+    logger.error('Failed to handle SendGrid events:', error);
+    sendError(res, 500, 'WEBHOOK_ERROR', 'Failed to record events');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
+const { getDatabase } = require('../config/firebase');
 const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const paymentService = require('../services/paymentService');
+const walletService = require('../services/walletService');
+const promoService = require('../services/promoService');
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
 const Ride = require('../models/Ride');
+const BookingService = require('../services/bookingService');
 const logger = require('../utils/logger');
 
 /**
@@ -15,9 +20,11 @@ const logger = require('../utils/logger');
  */
 router.post('/initiate', [
   authenticateToken,
+  idempotency,
   body('bookingId').notEmpty().withMessage('Booking ID is required'),
   body('gateway').isIn(['razorpay', 'stripe']).withMessage('Invalid payment gateway'),
   body('paymentMethod').optional().isString(),
+  body('promoCode').optional().isString().trim(),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -32,7 +39,7 @@ router.post('/initiate', [
       });
     }
 
-    const { bookingId, gateway, paymentMethod } = req.body;
+    const { bookingId, gateway, paymentMethod, promoCode } = req.body;
     const userId = req.user.uid;
 
     // Get booking details
@@ -82,51 +89,62 @@ router.post('/initiate', [
       });
     }
 
-    // Calculate payment amount
-    const pricing = paymentService.calculateTotalAmount(booking.pricing.totalAmount);
+    // Calculate payment amount, less any promo discount
+    const discountAmount = await promoService.applyToBooking(booking, userId, promoCode || null);
+    const pricing = paymentService.calculateTotalAmount(booking.pricing.totalAmount, undefined, discountAmount);
 
     let paymentOrder;
-    if (gateway === 'razorpay') {
-      paymentOrder = await paymentService.createRazorpayOrder(
-        pricing.totalAmount,
-        'INR',
-        `booking_${bookingId}`
-      );
-    } else if (gateway === 'stripe') {
-      paymentOrder = await paymentService.createStripePaymentIntent(
-        pricing.totalAmount,
-        'inr',
-        {
-          bookingId,
-          userId,
-          rideId: booking.rideId,
-        }
-      );
-    }
+    let payment;
+    try {
+      if (gateway === 'razorpay') {
+        paymentOrder = await paymentService.createRazorpayOrder(
+          pricing.totalAmount,
+          'INR',
+          `booking_${bookingId}`
+        );
+      } else if (gateway === 'stripe') {
+        paymentOrder = await paymentService.createStripePaymentIntent(
+          pricing.totalAmount,
+          'inr',
+          {
+            bookingId,
+            userId,
+            rideId: booking.rideId,
+          }
+        );
+      }
 
-    // Create payment record
-    const payment = new Payment({
-      bookingId,
-      userId,
-      rideId: booking.rideId,
-      amount: pricing.totalAmount,
-      currency: gateway === 'razorpay' ? 'INR' : 'inr',
-      gateway,
-      gatewayOrderId: paymentOrder.orderId || paymentOrder.paymentIntentId,
-      status: 'pending',
-      paymentMethod,
-      pricing: {
-        baseAmount: pricing.baseAmount,
-        serviceFee: pricing.serviceFee,
-        totalAmount: pricing.totalAmount,
-      },
-      metadata: {
+      // Create payment record
+      payment = new Payment({
         bookingId,
+        userId,
         rideId: booking.rideId,
-      },
-    });
+        amount: pricing.totalAmount,
+        currency: gateway === 'razorpay' ? 'INR' : 'inr',
+        gateway,
+        gatewayOrderId: paymentOrder.orderId || paymentOrder.paymentIntentId,
+        status: 'pending',
+        paymentMethod,
+        pricing: {
+          baseAmount: pricing.baseAmount,
+          serviceFee: pricing.serviceFee,
+          discountAmount: pricing.discountAmount,
+          promoCode: booking.pricing.promoCode || null,
+          promoCodeId: booking.pricing.promoCodeId || null,
+          totalAmount: pricing.totalAmount,
+        },
+        metadata: {
+          bookingId,
+          rideId: booking.rideId,
+        },
+      });
 
-    await payment.save();
+      await payment.save();
+    } catch (error) {
+      // The checkout never produced a payment to complete, so the promo code is not used up
+      await promoService.releaseForFailedPayment(bookingId, booking.pricing.promoCodeId);
+      throw error;
+    }
 
     logger.info('Payment initiated', {
       paymentId: payment.id,
@@ -156,6 +174,16 @@ router.post('/initiate', [
       bookingId: req.body?.bookingId,
     });
 
+    if (error.message.toLowerCase().includes('promo code')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PROMO_CODE',
+          message: error.message,
+        },
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: {
@@ -167,6 +195,81 @@ router.post('/initiate', [
   }
 });
 
+/**
+ * @route POST /api/payments/promo/validate
+ * @desc Check a promo code against a booking and preview the discounted total
+ * @access Private
+ */
+router.post('/promo/validate', [
+  authenticateToken,
+  body('bookingId').notEmpty().withMessage('Booking ID is required'),
+  body('promoCode').notEmpty().isString().trim().withMessage('Promo code is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { bookingId, promoCode } = req.body;
+    const userId = req.user.uid;
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'BOOKING_NOT_FOUND',
+          message: 'Booking not found',
+        },
+      });
+    }
+
+    if (booking.passengerId !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'You can only apply promo codes to your own bookings',
+        },
+      });
+    }
+
+    const { promo, discountAmount } = await promoService.quoteDiscount(promoCode, { userId, booking });
+    const pricing = paymentService.calculateTotalAmount(booking.pricing.totalAmount, undefined, discountAmount);
+
+    res.json({
+      success: true,
+      data: {
+        promoCode: promo.code,
+        description: promo.description,
+        pricing,
+      },
+    });
+  } catch (error) {
+    logger.error('Error validating promo code', {
+      error: error.message,
+      userId: req.user?.uid,
+      bookingId: req.body?.bookingId,
+    });
+
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_PROMO_CODE',
+        message: error.message,
+      },
+    });
+  }
+});
+
 /**
  * @route POST /api/payments/verify
  * @desc Verify payment status
@@ -174,6 +277,7 @@ router.post('/initiate', [
  */
 router.post('/verify', [
   authenticateToken,
+  idempotency,
   body('paymentId').notEmpty().withMessage('Payment ID is required'),
   body('gateway').isIn(['razorpay', 'stripe']).withMessage('Invalid payment gateway'),
 ], async (req, res) => {
@@ -296,6 +400,7 @@ router.post('/verify', [
       });
     } else {
       await payment.updateStatus('failed');
+      await promoService.releaseForFailedPayment(payment.bookingId, payment.pricing?.promoCodeId, payment.id);
       
       res.status(400).json({
         success: false,
@@ -330,8 +435,10 @@ router.post('/verify', [
  */
 router.post('/refund', [
   authenticateToken,
+  idempotency,
   body('paymentId').notEmpty().withMessage('Payment ID is required'),
   body('reason').optional().isString(),
+  body('destination').optional().isIn(['original', 'wallet']).withMessage('Invalid refund destination'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -407,14 +514,23 @@ router.post('/refund', [
       });
     }
 
-    // Calculate refund amount based on cancellation policy
+    // Calculate refund amount based on the ride's cancellation policy
     const departureTime = new Date(`${ride.departureDate} ${ride.departureTime}`);
     const currentTime = new Date();
     const hoursBeforeDeparture = (departureTime - currentTime) / (1000 * 60 * 60);
+    // PUT /api/bookings/:id/cancel records who cancelled on the realtime booking
+    const realtimeBooking = (await getDatabase().ref(`bookings/${payment.bookingId}`).once('value')).val();
+    if (!booking.cancelledBy && realtimeBooking?.cancelledBy) {
+      booking.cancelledBy = realtimeBooking.cancelledBy;
+    }
+    const alreadyCancelledByDriver = booking.cancelledBy === 'driver';
+    const cancelledBy = alreadyCancelledByDriver || booking.driverId === userId ? 'driver' : 'passenger';
 
     const refundCalculation = paymentService.calculateRefundAmount(
       payment.amount,
-      hoursBeforeDeparture
+      hoursBeforeDeparture,
+      ride.bookingPolicy,
+      { cancelledBy }
     );
 
     if (refundCalculation.refundAmount === 0) {
@@ -431,9 +547,18 @@ router.post('/refund', [
       });
     }
 
-    // Process refund through payment gateway
+    // Wallet payments are always refunded to the wallet; card payments only on request
+    const refundToWallet = req.body.destination === 'wallet' || payment.gateway === 'wallet';
+
+    // Process refund through payment gateway or wallet
     let refundResult;
-    if (payment.gateway === 'razorpay') {
+    if (refundToWallet) {
+      refundResult = await walletService.refundToWallet(
+        payment,
+        refundCalculation.refundAmount,
+        reason
+      );
+    } else if (payment.gateway === 'razorpay') {
       refundResult = await paymentService.processRazorpayRefund(
         payment.gatewayPaymentId,
         refundCalculation.refundAmount,
@@ -453,14 +578,21 @@ router.post('/refund', [
       reason,
       refundType: refundCalculation.refundType,
       originalAmount: payment.amount,
+      destination: refundToWallet ? 'wallet' : 'original',
+      breakdown: refundCalculation.breakdown,
     });
 
     // Update booking status
     booking.status = 'cancelled';
     booking.cancelledAt = new Date().toISOString();
     booking.cancellationReason = reason || 'Refund requested';
+    booking.cancelledBy = cancelledBy;
     await booking.save();
 
+    if (cancelledBy === 'driver' && !alreadyCancelledByDriver) {
+      await BookingService.updateUserStats(booking.driverId, 'booking_cancelled_by_driver', { hoursBeforeDeparture });
+    }
+
     logger.info('Refund processed successfully', {
       paymentId: payment.id,
       bookingId: payment.bookingId,
@@ -477,6 +609,8 @@ router.post('/refund', [
         refundAmount: refundCalculation.refundAmount,
         refundPercentage: refundCalculation.refundPercentage,
         refundType: refundCalculation.refundType,
+        breakdown: refundCalculation.breakdown,
+        destination: refundToWallet ? 'wallet' : 'original',
         status: refundResult.status,
         processedAt: new Date().toISOString(),
       },
@@ -685,6 +819,7 @@ router.post('/webhook/razorpay', express.raw({ type: 'application/json' }), asyn
         
         if (failedPayment && failedPayment.status === 'pending') {
           await failedPayment.updateStatus('failed');
+          await promoService.releaseForFailedPayment(failedPayment.bookingId, failedPayment.pricing?.promoCodeId, failedPayment.id);
         }
         break;
 
@@ -756,6 +891,7 @@ router.post('/webhook/stripe', express.raw({ type: 'application/json' }), async
         
         if (failedPayment && failedPayment.status === 'pending') {
           await failedPayment.updateStatus('failed');
+          await promoService.releaseForFailedPayment(failedPayment.bookingId, failedPayment.pricing?.promoCodeId, failedPayment.id);
         }
         break;
 
@@ -1,10 +1,420 @@
 const express = require('express');
 const router = express.Router();
-const authMiddleware = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const payoutService = require('../services/payoutService');
+const Payout = require('../models/Payout');
+const logger = require('../utils/logger');
 
-// Placeholder routes
-router.get('/', authMiddleware.authenticateToken, (req, res) => {
-    res.json({ success: true, message: 'Payouts route placeholder' });
+/**
+ * Helper: Send express-validator errors in the standard format
+ */
+function sendValidationErrors(req, res, message) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message,
+      details: errors.array(),
+    },
+  });
+  return true;
+}
+
+/**
+ * Helper: Map payout service errors to HTTP responses
+ */
+function sendPayoutError(res, error, fallbackCode) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: error.message },
+    });
+  }
+
+  if (error.message.includes('your own')) {
+    return res.status(403).json({
+      success: false,
+      error: { code: 'UNAUTHORIZED', message: error.message },
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    error: { code: fallbackCode, message: error.message },
+  });
+}
+
+/**
+ * @route GET /api/payouts/methods
+ * @desc List saved payout methods
+ * @access Private
+ */
+router.get('/methods', authenticateToken, async (req, res) => {
+  try {
+    const methods = await payoutService.getPayoutMethods(req.user.uid);
+
+    res.json({
+      success: true,
+      data: {
+        methods: methods.map(method => method.getSummary()),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching payout methods', {
+      error: error.message,
+      providerId: req.user?.uid,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_METHODS_FETCH_FAILED',
+        message: 'Failed to fetch payout methods',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route POST /api/payouts/methods
+ * @desc Save a bank account or UPI ID for payouts
+ * @access Private
+ */
+router.post('/methods', [
+  authenticateToken,
+  idempotency,
+  body('type').isIn(['bank_transfer', 'upi']).withMessage('Invalid payout method type'),
+  body('details').isObject().withMessage('Payout method details are required'),
+  body('details.accountNumber').optional().isString().isLength({ min: 6, max: 20 }).withMessage('Invalid account number'),
+  body('details.ifscCode').optional().isString().toUpperCase(),
+  body('details.accountHolderName').optional().isString().trim(),
+  body('details.upiId').optional().isString().trim(),
+  body('label').optional().isString().isLength({ max: 50 }),
+  body('isDefault').optional().isBoolean(),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid payout method data')) return;
+
+    const { type, details, label, isDefault } = req.body;
+    const method = await payoutService.addPayoutMethod(req.user.uid, type, details, { label, isDefault });
+
+    res.status(201).json({
+      success: true,
+      data: method.getSummary(),
+    });
+  } catch (error) {
+    logger.error('Error adding payout method', {
+      error: error.message,
+      providerId: req.user?.uid,
+      type: req.body?.type,
+    });
+
+    sendPayoutError(res, error, 'PAYOUT_METHOD_INVALID');
+  }
+});
+
+/**
+ * @route PUT /api/payouts/methods/:methodId/default
+ * @desc Make a payout method the default
+ * @access Private
+ */
+router.put('/methods/:methodId/default', [
+  authenticateToken,
+  idempotency,
+  param('methodId').notEmpty().withMessage('Payout method ID is required'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid payout method ID')) return;
+
+    const method = await payoutService.setDefaultPayoutMethod(req.user.uid, req.params.methodId);
+
+    res.json({
+      success: true,
+      data: method.getSummary(),
+    });
+  } catch (error) {
+    logger.error('Error setting default payout method', {
+      error: error.message,
+      providerId: req.user?.uid,
+      methodId: req.params?.methodId,
+    });
+
+    sendPayoutError(res, error, 'PAYOUT_METHOD_UPDATE_FAILED');
+  }
+});
+
+/**
+ * @route DELETE /api/payouts/methods/:methodId
+ * @desc Remove a saved payout method
+ * @access Private
+ */
+router.delete('/methods/:methodId', [
+  authenticateToken,
+  idempotency,
+  param('methodId').notEmpty().withMessage('Payout method ID is required'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid payout method ID')) return;
+
+    await payoutService.removePayoutMethod(req.user.uid, req.params.methodId);
+
+    res.json({
+      success: true,
+      data: {
+        methodId: req.params.methodId,
+        removedAt: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    logger.error('Error removing payout method', {
+      error: error.message,
+      providerId: req.user?.uid,
+      methodId: req.params?.methodId,
+    });
+
+    sendPayoutError(res, error, 'PAYOUT_METHOD_REMOVE_FAILED');
+  }
+});
+
+/**
+ * @route GET /api/payouts/schedule
+ * @desc Get automatic weekly payout schedule
+ * @access Private
+ */
+router.get('/schedule', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await payoutService.getSchedule(req.user.uid);
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error('Error fetching payout schedule', {
+      error: error.message,
+      providerId: req.user?.uid,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_SCHEDULE_FETCH_FAILED',
+        message: 'Failed to fetch payout schedule',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route PUT /api/payouts/schedule
+ * @desc Enable, disable or change the automatic weekly payout
+ * @access Private
+ */
+router.put('/schedule', [
+  authenticateToken,
+  idempotency,
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
+  body('dayOfWeek').optional().isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)').toInt(),
+  body('payoutMethodId').optional({ nullable: true }).isString(),
+  body('minimumAmount').optional().isInt({ min: 100 }).withMessage('Minimum amount must be at least ₹100').toInt(),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid payout schedule')) return;
+
+    const schedule = await payoutService.updateSchedule(req.user.uid, req.body);
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    logger.error('Error updating payout schedule', {
+      error: error.message,
+      providerId: req.user?.uid,
+    });
+
+    sendPayoutError(res, error, 'PAYOUT_SCHEDULE_UPDATE_FAILED');
+  }
+});
+
+/**
+ * @route GET /api/payouts
+ * @desc Get payout history
+ * @access Private
+ */
+router.get('/', [
+  authenticateToken,
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['requested', 'pending', 'approved', 'processing', 'paid', 'completed', 'failed', 'retried', 'rejected', 'cancelled']),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid query parameters')) return;
+
+    const limit = parseInt(req.query.limit) || 50;
+    const statusFilter = req.query.status;
+
+    let payouts = await Payout.findByProviderId(req.user.uid, limit);
+    if (statusFilter) {
+      payouts = payouts.filter(payout => payout.status === statusFilter);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payouts: payouts.map(payout => payout.getSummary()),
+        total: payouts.length,
+        filters: {
+          status: statusFilter,
+          limit,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching payouts', {
+      error: error.message,
+      providerId: req.user?.uid,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_HISTORY_FETCH_FAILED',
+        message: 'Failed to fetch payout history',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route POST /api/payouts
+ * @desc Request a payout to a saved payout method
+ * @access Private
+ */
+router.post('/', [
+  authenticateToken,
+  idempotency,
+  body('amount').isInt({ min: 100 }).withMessage('Amount must be at least ₹100').toInt(),
+  body('payoutMethodId').optional().isString(),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid payout request data')) return;
+
+    const { amount, payoutMethodId } = req.body;
+    const payout = await payoutService.requestPayout(req.user.uid, amount, payoutMethodId);
+
+    res.status(201).json({
+      success: true,
+      data: payout.getSummary(),
+    });
+  } catch (error) {
+    logger.error('Error requesting payout', {
+      error: error.message,
+      providerId: req.user?.uid,
+      amount: req.body?.amount,
+    });
+
+    sendPayoutError(res, error, 'PAYOUT_REQUEST_FAILED');
+  }
+});
+
+/**
+ * @route GET /api/payouts/:payoutId
+ * @desc Get payout details including status history
+ * @access Private
+ */
+router.get('/:payoutId', [
+  authenticateToken,
+  param('payoutId').notEmpty().withMessage('Payout ID is required'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid payout ID')) return;
+
+    const payout = await Payout.findById(req.params.payoutId);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_NOT_FOUND',
+          message: 'Payout not found',
+        },
+      });
+    }
+
+    if (payout.providerId !== req.user.uid) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'You can only view your own payout details',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payout.getDetails(),
+    });
+  } catch (error) {
+    logger.error('Error fetching payout details', {
+      error: error.message,
+      providerId: req.user?.uid,
+      payoutId: req.params?.payoutId,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYOUT_DETAILS_FETCH_FAILED',
+        message: 'Failed to fetch payout details',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route POST /api/payouts/:payoutId/cancel
+ * @desc Cancel a payout that has not been sent yet
+ * @access Private
+ */
+router.post('/:payoutId/cancel', [
+  authenticateToken,
+  idempotency,
+  param('payoutId').notEmpty().withMessage('Payout ID is required'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid payout ID')) return;
+
+    const payout = await payoutService.getPayout(req.params.payoutId);
+    if (payout.providerId !== req.user.uid) {
+      throw new Error('You can only cancel your own payouts');
+    }
+
+    await payout.transitionTo('cancelled', { actor: req.user.uid, note: 'Cancelled by provider' });
+
+    res.json({
+      success: true,
+      data: payout.getSummary(),
+    });
+  } catch (error) {
+    logger.error('Error cancelling payout', {
+      error: error.message,
+      providerId: req.user?.uid,
+      payoutId: req.params?.payoutId,
+    });
+
+    sendPayoutError(res, error, 'PAYOUT_CANCELLATION_FAILED');
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
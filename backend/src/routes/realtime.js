@@ -1,6 +1,7 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const RealtimeService = require('../services/realtimeService');
+const presenceService = require('../services/presenceService');
 const { getSocketInstance, getUsersInRoom } = require('../config/socket');
 const logger = require('../utils/logger');
 
@@ -57,6 +58,29 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Get online status and last-seen time for users
+ * GET /api/realtime/presence?userIds=uid1,uid2
+ */
+router.get('/presence', authenticateToken, async (req, res) => {
+  try {
+    const userIds = String(req.query.userIds || '')
+      .split(',')
+      .map((userId) => userId.trim())
+      .filter(Boolean);
+
+    if (userIds.length === 0 || userIds.length > 50) {
+      return sendError(res, 400, 'INVALID_USER_IDS', 'Between 1 and 50 user IDs are required');
+    }
+
+    const presence = await presenceService.getPresenceForUsers(userIds);
+    sendSuccess(res, { presence }, 'Presence retrieved successfully');
+  } catch (error) {
+    logger.error('Failed to get presence:', error);
+    sendError(res, 500, 'PRESENCE_ERROR', 'Failed to retrieve presence');
+  }
+});
+
 /**
  * Get users in a specific room
  * GET /api/realtime/rooms/:roomName/users
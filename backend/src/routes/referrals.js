@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const referralService = require('../services/referralService');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/referrals
+ * @desc Get the current user's referral code and reward status
+ * @access Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const summary = await referralService.getReferralSummary(req.user.uid);
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    logger.error('Error getting referral summary', {
+      error: error.message,
+      userId: req.user?.uid,
+    });
+
+    res.status(error.message === 'User not found' ? 404 : 500).json({
+      success: false,
+      error: {
+        code: 'REFERRAL_FETCH_FAILED',
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route POST /api/referrals/apply
+ * @desc Apply another user's referral code before the first completed ride
+ * @access Private
+ */
+router.post('/apply', [
+  authenticateToken,
+  body('code').notEmpty().isString().trim().withMessage('Referral code is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+        },
+      });
+    }
+
+    await referralService.applyReferralCode(req.user.uid, req.body.code);
+    const summary = await referralService.getReferralSummary(req.user.uid);
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    logger.error('Error applying referral code', {
+      error: error.message,
+      userId: req.user?.uid,
+    });
+
+    const status = ['User not found', 'Referral code not found'].includes(error.message) ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      error: {
+        code: 'REFERRAL_APPLY_FAILED',
+        message: error.message,
+      },
+    });
+  }
+});
+
+module.exports = router;
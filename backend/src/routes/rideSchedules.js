@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const rideScheduleService = require('../services/rideScheduleService');
+const authMiddleware = require('../middleware/auth');
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Map service errors to responses
+const sendScheduleError = (res, error, action) => {
+    console.error(`Error ${action} ride schedule:`, error);
+
+    if (error.message === 'Ride schedule not found') {
+        return res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (error.message.includes('You can only manage your own ride schedules')) {
+        return res.status(403).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (error.message.includes('Vehicle not found') ||
+        error.message.includes('cannot be used for rides') ||
+        error.message.includes('Schedule must run') ||
+        error.message.includes('End date must be') ||
+        error.message.includes('Cannot edit a schedule') ||
+        error.message.includes('already cancelled') ||
+        error.message.includes('cancellation policy')) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+    });
+};
+
+const validateRecurrence = (required) => {
+    const field = (name) => (required ? body(name) : body(name).optional());
+    return [
+        field('recurrence.daysOfWeek').isArray({ min: 1, max: 7 }).withMessage('Days of week must be a non-empty array'),
+        body('recurrence.daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+        field('recurrence.departureTime').matches(TIME_PATTERN).withMessage('Valid departure time is required (HH:MM)'),
+        body('recurrence.startDate').optional().isISO8601().withMessage('Valid start date is required'),
+        body('recurrence.endDate').optional({ nullable: true }).isISO8601().withMessage('Valid end date is required'),
+        body('recurrence.skipDates').optional().isArray().withMessage('Skip dates must be an array'),
+        body('recurrence.skipDates.*').isISO8601().withMessage('Skip dates must be valid dates'),
+        body('daysAhead').optional().isInt({ min: 1, max: 30 }).withMessage('Days ahead must be between 1 and 30')
+    ];
+};
+
+// GET /api/ride-schedules - Provider's recurring schedules
+router.get('/', authMiddleware.authenticateToken, authMiddleware.requireProvider, async (req, res) => {
+    try {
+        const schedules = await rideScheduleService.getDriverSchedules(req.user.uid);
+
+        res.json({
+            success: true,
+            data: schedules.map(schedule => schedule.getSummary())
+        });
+    } catch (error) {
+        sendScheduleError(res, error, 'fetching');
+    }
+});
+
+// POST /api/ride-schedules - Create a recurring schedule; rides are created for the coming days
+router.post('/', authMiddleware.authenticateToken, authMiddleware.requireProvider, [
+    body('rideType').optional().isIn(['standard', 'route']).withMessage('Ride type must be standard or route'),
+    body('template').isObject().withMessage('Ride template is required'),
+    body('template.pricePerSeat').isFloat({ min: 1 }).withMessage('Price per seat must be greater than 0'),
+    // Standard rides use the POST /api/rides fields
+    body('template.origin.city').if(body('rideType').not().equals('route')).notEmpty().trim().withMessage('Origin city is required'),
+    body('template.destination.city').if(body('rideType').not().equals('route')).notEmpty().trim().withMessage('Destination city is required'),
+    body('template.totalSeats').if(body('rideType').not().equals('route')).isInt({ min: 1, max: 8 }).withMessage('Total seats must be between 1 and 8'),
+    body('template.vehicleId').if(body('rideType').not().equals('route')).notEmpty().withMessage('Vehicle ID is required'),
+    // Route rides use the POST /api/rides/create-from-route fields
+    body('template.source.name').if(body('rideType').equals('route')).notEmpty().trim().withMessage('Source name is required'),
+    body('template.destination.name').if(body('rideType').equals('route')).notEmpty().trim().withMessage('Destination name is required'),
+    body('template.availableSeats').if(body('rideType').equals('route')).isInt({ min: 1, max: 50 }).withMessage('Available seats must be between 1 and 50'),
+    body('template.vehicle.id').if(body('rideType').equals('route')).notEmpty().withMessage('Vehicle ID is required'),
+    ...validateRecurrence(true)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { schedule, rides } = await rideScheduleService.createSchedule(req.user.uid, req.body);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                schedule: schedule.getSummary(),
+                ridesCreated: rides.length
+            },
+            message: 'Recurring ride schedule created successfully'
+        });
+    } catch (error) {
+        sendScheduleError(res, error, 'creating');
+    }
+});
+
+// GET /api/ride-schedules/:scheduleId - Schedule with its generated rides
+router.get('/:scheduleId', authMiddleware.authenticateToken, authMiddleware.requireProvider, async (req, res) => {
+    try {
+        const schedule = await rideScheduleService.getOwnedSchedule(req.params.scheduleId, req.user.uid);
+
+        res.json({
+            success: true,
+            data: schedule.getSummary()
+        });
+    } catch (error) {
+        sendScheduleError(res, error, 'fetching');
+    }
+});
+
+// PUT /api/ride-schedules/:scheduleId - Edit a schedule; only rides yet to depart change
+router.put('/:scheduleId', authMiddleware.authenticateToken, authMiddleware.requireProvider, [
+    body('template.pricePerSeat').optional().isFloat({ min: 1 }).withMessage('Price per seat must be greater than 0'),
+    body('template.totalSeats').optional().isInt({ min: 1, max: 8 }).withMessage('Total seats must be between 1 and 8'),
+    body('template.availableSeats').optional().isInt({ min: 1, max: 50 }).withMessage('Available seats must be between 1 and 50'),
+    body('template.vehicleId').optional().notEmpty(),
+    body('template.preferences.smoking').optional().isBoolean(),
+    body('template.preferences.pets').optional().isBoolean(),
+    body('template.preferences.instantBooking').optional().isBoolean(),
+    body('status').optional().isIn(['active', 'paused']).withMessage('Status must be active or paused'),
+    ...validateRecurrence(false)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await rideScheduleService.updateSchedule(req.params.scheduleId, req.user.uid, req.body);
+
+        res.json({
+            success: true,
+            data: {
+                schedule: result.schedule.getSummary(),
+                updatedRides: result.updatedRides,
+                cancelledRides: result.cancelledRides,
+                ridesCreated: result.ridesCreated
+            },
+            message: 'Ride schedule updated successfully'
+        });
+    } catch (error) {
+        sendScheduleError(res, error, 'updating');
+    }
+});
+
+// DELETE /api/ride-schedules/:scheduleId - Cancel a schedule and its rides yet to depart
+router.delete('/:scheduleId', authMiddleware.authenticateToken, authMiddleware.requireProvider, [
+    body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+    try {
+        const result = await rideScheduleService.cancelSchedule(req.params.scheduleId, req.user.uid, req.body?.reason || null);
+
+        res.json({
+            success: true,
+            data: {
+                schedule: result.schedule.getSummary(),
+                cancelledRides: result.cancelledRides
+            },
+            message: 'Ride schedule cancelled successfully'
+        });
+    } catch (error) {
+        sendScheduleError(res, error, 'cancelling');
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const rideService = require('../services/rideService');
+const pricingService = require('../services/pricingService');
+const tripTrackingService = require('../services/tripTrackingService');
 const mapsService = require('../utils/maps');
 const authMiddleware = require('../middleware/auth');
 const router = express.Router();
@@ -97,7 +99,12 @@ router.post('/create-from-route', authMiddleware.authenticateToken, authMiddlewa
     body('availableSeats').isInt({ min: 1, max: 50 }).withMessage('Available seats must be between 1 and 50'),
     body('pricePerSeat').isFloat({ min: 1 }).withMessage('Price per seat must be greater than 0'),
     body('vehicle.id').notEmpty().withMessage('Vehicle ID is required'),
-    body('routeId').optional({ nullable: true }).isString().trim()
+    body('routeId').optional({ nullable: true }).isString().trim(),
+    body('bookingPolicy.cancellationPolicy').optional().isIn(['flexible', 'moderate', 'strict', 'custom']),
+    body('bookingPolicy.cancellationTiers').optional().isArray({ min: 1 }),
+    body('dynamicPricing.enabled').optional().isBoolean(),
+    body('dynamicPricing.minPrice').optional().isFloat({ min: 1 }),
+    body('dynamicPricing.maxPrice').optional().isFloat({ min: 1 })
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -121,7 +128,9 @@ router.post('/create-from-route', authMiddleware.authenticateToken, authMiddlewa
         if (error.message.includes('Vehicle not found') ||
             error.message.includes('Route not found') ||
             error.message.includes('Vehicle capacity exceeded') ||
-            error.message.includes('cannot be used for rides')) {
+            error.message.includes('cannot be used for rides') ||
+            error.message.includes('cancellation policy') ||
+            error.message.includes('Dynamic pricing')) {
             return res.status(400).json({
                 success: false,
                 error: error.message
@@ -156,7 +165,12 @@ router.post('/', authMiddleware.authenticateToken, authMiddleware.requireProvide
     body('vehicleId').notEmpty().withMessage('Vehicle ID is required'),
     body('preferences.smoking').optional().isBoolean(),
     body('preferences.pets').optional().isBoolean(),
-    body('preferences.instantBooking').optional().isBoolean()
+    body('preferences.instantBooking').optional().isBoolean(),
+    body('bookingPolicy.cancellationPolicy').optional().isIn(['flexible', 'moderate', 'strict', 'custom']),
+    body('bookingPolicy.cancellationTiers').optional().isArray({ min: 1 }),
+    body('dynamicPricing.enabled').optional().isBoolean(),
+    body('dynamicPricing.minPrice').optional().isFloat({ min: 1 }),
+    body('dynamicPricing.maxPrice').optional().isFloat({ min: 1 })
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -178,7 +192,9 @@ router.post('/', authMiddleware.authenticateToken, authMiddleware.requireProvide
         console.error('Error creating ride:', error);
 
         if (error.message.includes('Vehicle not found') ||
-            error.message.includes('cannot be used for rides')) {
+            error.message.includes('cannot be used for rides') ||
+            error.message.includes('cancellation policy') ||
+            error.message.includes('Dynamic pricing')) {
             return res.status(400).json({
                 success: false,
                 error: error.message
@@ -229,7 +245,12 @@ router.put('/:id', authMiddleware.authenticateToken, authMiddleware.requireProvi
     body('vehicleId').optional().notEmpty(),
     body('preferences.smoking').optional().isBoolean(),
     body('preferences.pets').optional().isBoolean(),
-    body('preferences.instantBooking').optional().isBoolean()
+    body('preferences.instantBooking').optional().isBoolean(),
+    body('bookingPolicy.cancellationPolicy').optional().isIn(['flexible', 'moderate', 'strict', 'custom']),
+    body('bookingPolicy.cancellationTiers').optional().isArray({ min: 1 }),
+    body('dynamicPricing.enabled').optional().isBoolean(),
+    body('dynamicPricing.minPrice').optional().isFloat({ min: 1 }),
+    body('dynamicPricing.maxPrice').optional().isFloat({ min: 1 })
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -259,7 +280,9 @@ router.put('/:id', authMiddleware.authenticateToken, authMiddleware.requireProvi
 
         if (error.message.includes('You can only update your own rides') ||
             error.message.includes('Vehicle not found') ||
-            error.message.includes('cannot be used for rides')) {
+            error.message.includes('cannot be used for rides') ||
+            error.message.includes('cancellation policy') ||
+            error.message.includes('Dynamic pricing')) {
             return res.status(400).json({
                 success: false,
                 error: error.message
@@ -273,6 +296,129 @@ router.put('/:id', authMiddleware.authenticateToken, authMiddleware.requireProvi
     }
 });
 
+// GET /api/rides/:id/price-history - Seat price changes of a ride (owner only)
+router.get('/:id/price-history', authMiddleware.authenticateToken, authMiddleware.requireProvider, async (req, res) => {
+    try {
+        const history = await pricingService.getPriceHistory(req.params.id, req.user.uid);
+
+        res.json({
+            success: true,
+            data: history
+        });
+    } catch (error) {
+        console.error('Error fetching ride price history:', error);
+
+        if (error.message === 'Ride not found') {
+            return res.status(404).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        if (error.message.includes('You can only view')) {
+            return res.status(403).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Map trip tracking errors to HTTP responses
+const sendTripTrackingError = (res, error) => {
+    console.error('Error tracking trip:', error);
+
+    let status = 500;
+    if (error.message === 'Ride not found') {
+        status = 404;
+    } else if (error.message.startsWith('Only the driver') || error.message.startsWith('You can only track')) {
+        status = 403;
+    } else if (error.message.includes('Trip tracking') || error.message.includes('Location must')) {
+        status = 400;
+    }
+
+    res.status(status).json({
+        success: false,
+        error: status === 500 ? 'Internal server error' : error.message
+    });
+};
+
+// POST /api/rides/:id/trip/start - Start live tracking of a ride (driver only)
+router.post('/:id/trip/start', authMiddleware.authenticateToken, authMiddleware.requireProvider, async (req, res) => {
+    try {
+        const session = await tripTrackingService.startTrip(req.params.id, req.user.uid);
+
+        res.status(201).json({
+            success: true,
+            data: { ...session, pickups: Object.values(session.pickups) }
+        });
+    } catch (error) {
+        sendTripTrackingError(res, error);
+    }
+});
+
+// POST /api/rides/:id/trip/location - Record a driver location ping and refresh pickup ETAs
+router.post('/:id/trip/location', authMiddleware.authenticateToken, authMiddleware.requireProvider, [
+    body('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('lng').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    body('speed').optional().isFloat({ min: 0 }).withMessage('Speed must be a positive number'),
+    body('heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360'),
+    body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number'),
+    body('recordedAt').optional().isISO8601().withMessage('Recorded at must be an ISO date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await tripTrackingService.recordLocation(req.params.id, req.user.uid, req.body);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        sendTripTrackingError(res, error);
+    }
+});
+
+// POST /api/rides/:id/trip/end - Stop live tracking of a ride (driver only)
+router.post('/:id/trip/end', authMiddleware.authenticateToken, authMiddleware.requireProvider, async (req, res) => {
+    try {
+        const session = await tripTrackingService.endTrip(req.params.id, req.user.uid);
+
+        res.json({
+            success: true,
+            data: { ...session, pickups: Object.values(session.pickups || {}) }
+        });
+    } catch (error) {
+        sendTripTrackingError(res, error);
+    }
+});
+
+// GET /api/rides/:id/trip - Live tracking state (driver, or a passenger for their own pickup)
+router.get('/:id/trip', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const status = await tripTrackingService.getTripStatus(req.params.id, req.user.uid);
+
+        res.json({
+            success: true,
+            data: status
+        });
+    } catch (error) {
+        sendTripTrackingError(res, error);
+    }
+});
+
 // DELETE /api/rides/:id - Cancel ride (owner only)
 router.delete('/:id', authMiddleware.authenticateToken, authMiddleware.requireProvider, async (req, res) => {
     try {
@@ -30,6 +30,10 @@ const validateAdvancedSearch = [
   query('destLng').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid destination longitude is required'),
   query('optimizeRoute').optional().isBoolean().withMessage('Optimize route must be boolean'),
   query('includeAlternatives').optional().isBoolean().withMessage('Include alternatives must be boolean'),
+  query('includeConnections').optional().isBoolean().withMessage('Include connections must be boolean'),
+  query('maxLegs').optional().isInt({ min: 2, max: 3 }).withMessage('Maximum legs must be 2 or 3'),
+  query('minLayover').optional().isInt({ min: 0, max: 180 }).withMessage('Minimum layover must be between 0 and 180 minutes'),
+  query('maxLayover').optional().isInt({ min: 15, max: 720 }).withMessage('Maximum layover must be between 15 and 720 minutes'),
   query('flexibleDates').optional().isBoolean().withMessage('Flexible dates must be boolean'),
   query('flexibleTimes').optional().isBoolean().withMessage('Flexible times must be boolean'),
   query('flexibleDaysBefore').optional().isInt({ min: 0, max: 7 }).withMessage('Flexible days before must be between 0 and 7'),
@@ -63,6 +67,10 @@ router.get('/rides', validateAdvancedSearch, async (req, res) => {
       limit: req.query.limit || 20,
       optimizeRoute: req.query.optimizeRoute === 'true',
       includeAlternatives: req.query.includeAlternatives === 'true',
+      includeConnections: req.query.includeConnections !== 'false',
+      maxLegs: req.query.maxLegs ? parseInt(req.query.maxLegs) : undefined,
+      minLayoverMinutes: req.query.minLayover ? parseInt(req.query.minLayover) : undefined,
+      maxLayoverMinutes: req.query.maxLayover ? parseInt(req.query.maxLayover) : undefined,
       flexibleDates: req.query.flexibleDates === 'true',
       flexibleTimes: req.query.flexibleTimes === 'true',
       timeBuffer: req.query.timeBuffer ? parseInt(req.query.timeBuffer) : 2,
@@ -142,6 +150,7 @@ router.get('/rides', validateAdvancedSearch, async (req, res) => {
         filters,
         timestamp: new Date().toISOString(),
         alternativeRoutes: null,
+        itineraries: [],
         fallback: true
       };
     }
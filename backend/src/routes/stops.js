@@ -1,33 +1,78 @@
 const express = require('express');
 const router = express.Router();
-const { getFirestore } = require('../config/firebase');
+const Stop = require('../models/Stop');
+const stopService = require('../services/stopService');
 const logger = require('../utils/logger');
 
-// GET /api/stops - Get all admin-defined stops (Public)
-router.get('/', async (req, res) => {
+// Map stop lookup errors to responses
+const sendStopLookupError = (res, error, action) => {
+    if (error.message.includes('required') || error.message.startsWith('Radius must be')) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    logger.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action}`
+    });
+};
+
+// GET /api/stops/nearby?lat=&lng=&limit= - Nearest active stops to a point (Public)
+router.get('/nearby', async (req, res) => {
+    try {
+        const stops = await stopService.findNearest(parseFloat(req.query.lat), parseFloat(req.query.lng), req.query.limit);
+
+        res.status(200).json({
+            success: true,
+            data: stops
+        });
+    } catch (error) {
+        sendStopLookupError(res, error, 'find nearby stops');
+    }
+});
+
+// GET /api/stops/within?lat=&lng=&radius= - Active stops within a radius in km (Public)
+router.get('/within', async (req, res) => {
     try {
-        const db = getFirestore();
-        if (!db) {
-            throw new Error("Firestore not initialized");
-        }
-
-        const snapshot = await db.collection('stops').orderBy('created_at', 'asc').get();
-        if (snapshot.empty) {
-            console.log("No stops found in Firestore.");
-            return res.status(200).json({ success: true, data: [] });
-        }
-
-        const stops = [];
-
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            stops.push({
-                id: doc.id,
-                name: data.name,
-                lat: data.lat,
-                lng: data.lng
-            });
+        const stops = await stopService.findWithinRadius(
+            parseFloat(req.query.lat),
+            parseFloat(req.query.lng),
+            parseFloat(req.query.radius)
+        );
+
+        res.status(200).json({
+            success: true,
+            data: stops
         });
+    } catch (error) {
+        sendStopLookupError(res, error, 'find stops within radius');
+    }
+});
+
+// GET /api/stops/search?q=&city=&limit= - Fuzzy search by name, alias or landmark (Public)
+router.get('/search', async (req, res) => {
+    try {
+        const stops = await stopService.search(req.query.q, {
+            city: req.query.city || null,
+            limit: req.query.limit
+        });
+
+        res.status(200).json({
+            success: true,
+            data: stops
+        });
+    } catch (error) {
+        sendStopLookupError(res, error, 'search stops');
+    }
+});
+
+// GET /api/stops?city= - Get all active admin-defined stops (Public)
+router.get('/', async (req, res) => {
+    try {
+        const cityKey = req.query.city ? Stop.normalizeName(req.query.city) : null;
+        const stops = (await Stop.findAll({ activeOnly: true }))
+            .filter(stop => !cityKey || Stop.normalizeName(stop.city) === cityKey)
+            .map(stop => stop.getPublicDetails());
 
         res.status(200).json({
             success: true,
@@ -36,7 +81,6 @@ router.get('/', async (req, res) => {
 
     } catch (error) {
         logger.error('Error fetching public stops:', error);
-        console.error('Detailed Stops Error:', error);
         res.status(500).json({
             success: false,
             error: 'Failed to fetch stops',
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const tripShareService = require('../services/tripShareService');
+const logger = require('../utils/logger');
+
+// GET /api/trip-shares/:token - Live view of a shared trip (Public, the signed token is the credential)
+router.get('/:token', async (req, res) => {
+    try {
+        const view = await tripShareService.getPublicView(req.params.token);
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            success: true,
+            data: view
+        });
+    } catch (error) {
+        if (error.message === 'Invalid trip link') {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        if (error.message === 'This trip link has expired') {
+            return res.status(410).json({ success: false, error: error.message });
+        }
+
+        logger.error('Error loading shared trip:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load shared trip'
+        });
+    }
+});
+
+module.exports = router;
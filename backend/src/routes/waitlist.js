@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const waitlistService = require('../services/waitlistService');
+const authMiddleware = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const router = express.Router();
+
+// Map service errors to responses
+const sendWaitlistError = (res, error, action) => {
+    console.error(`Error ${action} waitlist:`, error);
+
+    if (error.message === 'Ride not found' || error.message === 'Waitlist entry not found') {
+        return res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (error.message === 'Access denied') {
+        return res.status(403).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (error.message.includes('Seat offer is no longer available') ||
+        error.message.includes('already on the waitlist') ||
+        error.message.includes('already have an active booking')) {
+        return res.status(409).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (error.message.includes('Cannot join the waitlist') ||
+        error.message.includes('not available for booking') ||
+        error.message.includes('Pickup and drop-off') ||
+        error.message.includes('Not enough seats') ||
+        error.message.includes('Seats are still available') ||
+        error.message.includes('no longer active')) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+    });
+};
+
+// POST /api/waitlist - Join the waitlist for a full ride
+router.post('/', authMiddleware.authenticateToken, [
+    body('rideId').notEmpty().withMessage('Ride ID is required'),
+    body('seatsRequested').optional().isInt({ min: 1, max: 8 }).withMessage('Seats requested must be between 1 and 8'),
+    body('pickupPoint').optional().isObject().withMessage('Pickup point must be an object'),
+    body('dropoffPoint').optional().isObject().withMessage('Drop-off point must be an object')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { entry, position } = await waitlistService.joinWaitlist(req.user.uid, {
+            rideId: req.body.rideId,
+            seatsRequested: parseInt(req.body.seatsRequested) || 1,
+            pickupPoint: req.body.pickupPoint,
+            dropoffPoint: req.body.dropoffPoint
+        });
+
+        res.status(201).json({
+            success: true,
+            data: entry.getSummary(position),
+            message: 'Added to the waitlist'
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'joining');
+    }
+});
+
+// GET /api/waitlist - Passenger's waitlist entries and offers
+router.get('/', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const entries = await waitlistService.getPassengerWaitlist(req.user.uid);
+
+        res.json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'fetching');
+    }
+});
+
+// GET /api/waitlist/ride/:rideId - Ride's queue, for its driver
+router.get('/ride/:rideId', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const entries = await waitlistService.getRideWaitlist(req.params.rideId, req.user.uid);
+
+        res.json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'fetching');
+    }
+});
+
+// POST /api/waitlist/:entryId/accept - Accept a seat offer; creates a confirmed booking
+router.post('/:entryId/accept', authMiddleware.authenticateToken, idempotency, async (req, res) => {
+    try {
+        const booking = await waitlistService.acceptOffer(req.params.entryId, req.user.uid);
+
+        res.status(201).json({
+            success: true,
+            data: booking.getDetails(),
+            message: 'Seat offer accepted'
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'accepting offer from');
+    }
+});
+
+// POST /api/waitlist/:entryId/decline - Decline a seat offer; it moves to the next passenger
+router.post('/:entryId/decline', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const entry = await waitlistService.declineOffer(req.params.entryId, req.user.uid);
+
+        res.json({
+            success: true,
+            data: entry.getSummary(),
+            message: 'Seat offer declined'
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'declining offer from');
+    }
+});
+
+// DELETE /api/waitlist/:entryId - Leave the waitlist
+router.delete('/:entryId', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const entry = await waitlistService.leaveWaitlist(req.params.entryId, req.user.uid);
+
+        res.json({
+            success: true,
+            data: entry.getSummary(),
+            message: 'Removed from the waitlist'
+        });
+    } catch (error) {
+        sendWaitlistError(res, error, 'leaving');
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,337 @@
 const express = require('express');
 const router = express.Router();
-const authMiddleware = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const walletService = require('../services/walletService');
+const logger = require('../utils/logger');
 
-// Placeholder routes
-router.get('/', authMiddleware.authenticateToken, (req, res) => {
-    res.json({ success: true, message: 'Wallet route placeholder' });
+/**
+ * @route GET /api/wallet
+ * @desc Get wallet balance
+ * @access Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const wallet = await walletService.getWallet(req.user.uid);
+
+    res.json({
+      success: true,
+      data: wallet,
+    });
+  } catch (error) {
+    logger.error('Error fetching wallet', {
+      error: error.message,
+      userId: req.user?.uid,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WALLET_FETCH_FAILED',
+        message: 'Failed to fetch wallet',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route GET /api/wallet/transactions
+ * @desc Get paginated wallet transaction history
+ * @access Private
+ */
+router.get('/transactions', [
+  authenticateToken,
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const history = await walletService.getTransactionHistory(req.user.uid, limit, offset);
+
+    res.json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    logger.error('Error fetching wallet transactions', {
+      error: error.message,
+      userId: req.user?.uid,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WALLET_HISTORY_FETCH_FAILED',
+        message: 'Failed to fetch wallet transactions',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route GET /api/wallet/reconcile
+ * @desc Compare the stored wallet balance with the balance rebuilt from the ledger
+ * @access Private
+ */
+router.get('/reconcile', authenticateToken, async (req, res) => {
+  try {
+    const reconciliation = await walletService.rebuildBalance(req.user.uid);
+
+    res.json({
+      success: true,
+      data: reconciliation,
+    });
+  } catch (error) {
+    logger.error('Error reconciling wallet', {
+      error: error.message,
+      userId: req.user?.uid,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WALLET_RECONCILE_FAILED',
+        message: 'Failed to reconcile wallet',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route POST /api/wallet/topup
+ * @desc Start a wallet top-up through a payment gateway
+ * @access Private
+ */
+router.post('/topup', [
+  authenticateToken,
+  idempotency,
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be a whole number of rupees'),
+  body('gateway').isIn(['razorpay', 'stripe']).withMessage('Invalid payment gateway'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid top-up data',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { gateway } = req.body;
+    const amount = parseInt(req.body.amount);
+
+    const { topUp, paymentOrder } = await walletService.initiateTopUp(req.user.uid, amount, gateway);
+
+    res.json({
+      success: true,
+      data: {
+        topUpId: topUp.id,
+        gateway,
+        orderId: paymentOrder.orderId,
+        paymentIntentId: paymentOrder.paymentIntentId,
+        clientSecret: paymentOrder.clientSecret,
+        amount: topUp.amount,
+        currency: topUp.currency,
+      },
+    });
+  } catch (error) {
+    logger.error('Error initiating wallet top-up', {
+      error: error.message,
+      userId: req.user?.uid,
+      amount: req.body?.amount,
+    });
+
+    const isLimitError = error.message.includes('Top-up amount must be');
+    res.status(isLimitError ? 400 : 500).json({
+      success: false,
+      error: {
+        code: isLimitError ? 'INVALID_TOPUP_AMOUNT' : 'TOPUP_INITIATION_FAILED',
+        message: isLimitError ? error.message : 'Failed to initiate wallet top-up',
+        details: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route POST /api/wallet/topup/verify
+ * @desc Verify a top-up payment and credit the wallet
+ * @access Private
+ */
+router.post('/topup/verify', [
+  authenticateToken,
+  idempotency,
+  body('topUpId').notEmpty().withMessage('Top-up ID is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { topUpId, ...verificationData } = req.body;
+    const result = await walletService.completeTopUp(req.user.uid, topUpId, verificationData);
+
+    res.json({
+      success: true,
+      data: {
+        topUpId,
+        status: result.topUp.status,
+        amount: result.topUp.amount,
+        transactionId: result.topUp.transactionId,
+        balance: result.wallet.balance,
+      },
+    });
+  } catch (error) {
+    logger.error('Error verifying wallet top-up', {
+      error: error.message,
+      userId: req.user?.uid,
+      topUpId: req.body?.topUpId,
+    });
+
+    if (error.message === 'Top-up not found') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TOPUP_NOT_FOUND',
+          message: error.message,
+        },
+      });
+    }
+
+    if (error.message.includes('your own top-ups')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: error.message,
+        },
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'TOPUP_VERIFICATION_FAILED',
+        message: error.message,
+      },
+    });
+  }
+});
+
+/**
+ * @route POST /api/wallet/pay
+ * @desc Pay for a confirmed booking from wallet balance
+ * @access Private
+ */
+router.post('/pay', [
+  authenticateToken,
+  idempotency,
+  body('bookingId').notEmpty().withMessage('Booking ID is required'),
+  body('promoCode').optional().isString().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { bookingId, promoCode } = req.body;
+    const result = await walletService.payForBooking(req.user.uid, bookingId, promoCode || null);
+
+    res.json({
+      success: true,
+      data: {
+        paymentId: result.payment.id,
+        bookingId,
+        status: result.payment.status,
+        amount: result.payment.amount,
+        discountAmount: result.payment.pricing.discountAmount,
+        currency: result.payment.currency,
+        transactionId: result.transaction.id,
+        balance: result.wallet.balance,
+      },
+    });
+  } catch (error) {
+    logger.error('Error paying booking from wallet', {
+      error: error.message,
+      userId: req.user?.uid,
+      bookingId: req.body?.bookingId,
+    });
+
+    if (error.message === 'Booking not found') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'BOOKING_NOT_FOUND',
+          message: error.message,
+        },
+      });
+    }
+
+    if (error.message.includes('your own bookings')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: error.message,
+        },
+      });
+    }
+
+    let code = 'WALLET_PAYMENT_FAILED';
+    if (error.message.includes('Insufficient wallet balance')) {
+      code = 'INSUFFICIENT_WALLET_BALANCE';
+    } else if (error.message.toLowerCase().includes('promo code')) {
+      code = 'INVALID_PROMO_CODE';
+    } else if (error.message.includes('already in progress')) {
+      code = 'PAYMENT_IN_PROGRESS';
+    }
+
+    res.status(400).json({
+      success: false,
+      error: {
+        code,
+        message: error.message,
+      },
+    });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
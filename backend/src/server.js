@@ -5,6 +5,7 @@ const compression = require('compression');
 const morgan = require('morgan');
 const http = require('http');
 require('dotenv').config();
+require('./config/local').applyLocalDefaults();
 
 const { initializeFirebase } = require('./config/firebase');
 const { initializeRedis } = require('./config/redis');
@@ -12,6 +13,12 @@ const { initializeSocket } = require('./config/socket');
 const { setupMiddleware } = require('./middleware');
 const { setupRoutes } = require('./routes');
 const NotificationSchedulerService = require('./services/notificationSchedulerService');
+const notificationOutboxService = require('./services/notificationOutboxService');
+const payoutService = require('./services/payoutService');
+const waitlistService = require('./services/waitlistService');
+const noShowService = require('./services/noShowService');
+const incidentService = require('./services/incidentService');
+const pricingService = require('./services/pricingService');
 const cacheWarmupService = require('./services/cacheWarmupService');
 const firebaseOptimizationService = require('./services/firebaseOptimizationService');
 const metricsService = require('./services/metricsService');
@@ -93,7 +100,8 @@ const corsOptions = {
     return callback(new Error(`Not allowed by CORS. Origin: ${origin}`));
   },
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true,
 };
 
@@ -182,10 +190,13 @@ app.use(errorTracking);
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
 
+  // Bodies that express.json cannot parse are the client's fault
+  const code = err.type === 'entity.parse.failed' ? 'INVALID_JSON' : err.code;
+
   res.status(err.status || 500).json({
     success: false,
     error: {
-      code: err.code || 'INTERNAL_SERVER_ERROR',
+      code: code || 'INTERNAL_SERVER_ERROR',
       message: process.env.NODE_ENV === 'production'
         ? 'Something went wrong'
         : err.message,
@@ -219,6 +230,24 @@ async function startServer() {
     NotificationSchedulerService.initialize();
     logger.info('Notification scheduler initialized successfully');
 
+    // Initialize notification outbox retries
+    notificationOutboxService.initialize();
+
+    // Initialize weekly payout scheduler
+    payoutService.initialize();
+
+    // Initialize waitlist offer expiry
+    waitlistService.initialize();
+
+    // Initialize no-show outcome job
+    noShowService.initialize();
+
+    // Initialize SOS incident escalation
+    incidentService.initialize();
+
+    // Initialize dynamic pricing engine
+    pricingService.initialize();
+
     // Initialize cache warmup service
     // cacheWarmupService.initialize();
     // logger.info('Cache warmup service initialized successfully');
@@ -231,7 +260,7 @@ async function startServer() {
     // Setup periodic cache cleanup
     setInterval(() => {
       firebaseOptimizationService.cleanupInMemoryCache();
-    }, 300000); // Every 5 minutes
+    }, 300000).unref(); // Every 5 minutes; the HTTP server is what keeps the process up
 
     // Only start server if not in test environment AND not on Vercel
     if (process.env.NODE_ENV !== 'test' && !process.env.VERCEL) {
@@ -0,0 +1,464 @@
+const crypto = require('crypto');
+const { getFirestore } = require('../config/firebase');
+const AdminUser = require('../models/AdminUser');
+const { isValidRole } = require('../admin/permissions');
+const { encryptionService } = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+const ADMIN_AUTH_CONFIG = {
+  maxFailedAttempts: parseInt(process.env.ADMIN_MAX_LOGIN_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.ADMIN_LOCKOUT_MINUTES) || 15,
+  minPasswordLength: 8,
+  totpIssuer: process.env.ADMIN_TOTP_ISSUER || 'TripO Admin',
+  totpStepSeconds: 30,
+  // Codes from one step either side are accepted to allow for clock drift
+  totpWindow: 1,
+};
+
+// Additional data bound to encrypted TOTP secrets so they can't be swapped for other ciphertext
+const TOTP_SECRET_CONTEXT = 'admin-totp-secret';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Request body fields that never go into the audit log
+const REDACTED_FIELDS = ['password', 'currentPassword', 'newPassword', 'totpCode', 'code', 'secret'];
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bits = String(input).toUpperCase().replace(/=+$/, '').split('')
+    .map(char => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error('Invalid two-factor secret');
+      }
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+class AdminAuthService {
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return { hash, salt };
+  }
+
+  verifyPassword(password, hash, salt) {
+    if (!password || !hash || !salt) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  validatePassword(password) {
+    if (!password || String(password).length < ADMIN_AUTH_CONFIG.minPasswordLength) {
+      throw new Error(`Password must be at least ${ADMIN_AUTH_CONFIG.minPasswordLength} characters`);
+    }
+  }
+
+  /**
+   * RFC 6238 time-based one-time code for a base32 secret
+   */
+  generateTotpCode(secret, now = new Date()) {
+    const counter = Math.floor(now.getTime() / 1000 / ADMIN_AUTH_CONFIG.totpStepSeconds);
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 1000000).padStart(6, '0');
+  }
+
+  /**
+   * Time step a code was generated for, or null when it matches none in the window
+   */
+  matchTotpStep(secret, code, now = new Date()) {
+    if (!secret || !/^\d{6}$/.test(String(code || '').trim())) {
+      return null;
+    }
+
+    const currentStep = Math.floor(now.getTime() / 1000 / ADMIN_AUTH_CONFIG.totpStepSeconds);
+    const stepMs = ADMIN_AUTH_CONFIG.totpStepSeconds * 1000;
+    for (let step = -ADMIN_AUTH_CONFIG.totpWindow; step <= ADMIN_AUTH_CONFIG.totpWindow; step++) {
+      const candidate = this.generateTotpCode(secret, new Date(now.getTime() + step * stepMs));
+      if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(String(code).trim()))) {
+        return currentStep + step;
+      }
+    }
+    return null;
+  }
+
+  verifyTotpCode(secret, code, now = new Date()) {
+    return this.matchTotpStep(secret, code, now) !== null;
+  }
+
+  encryptTotpSecret(secret) {
+    return encryptionService.encrypt(secret, TOTP_SECRET_CONTEXT);
+  }
+
+  decryptTotpSecret(storedSecret) {
+    return storedSecret ? encryptionService.decrypt(storedSecret, TOTP_SECRET_CONTEXT) : null;
+  }
+
+  /**
+   * Accept a code from the admin's enabled authenticator. Each time step
+   * is only accepted once, so a code seen over someone's shoulder or
+   * replayed from a captured request can't be used again.
+   */
+  async acceptTotpCode(admin, code, now = new Date()) {
+    const step = this.matchTotpStep(this.decryptTotpSecret(admin.totp.secret), code, now);
+    if (step === null) {
+      return false;
+    }
+    if (!await AdminUser.claimTotpStep(admin.id, step)) {
+      return false;
+    }
+
+    admin.totp = { ...admin.totp, lastUsedStep: step };
+    return true;
+  }
+
+  /**
+   * Create the first super admin from ADMIN_USERNAME / ADMIN_PASSWORD so an
+   * empty install can still sign in. Does nothing once any admin exists.
+   */
+  async ensureBootstrapAdmin() {
+    const admins = await AdminUser.findAll();
+    if (admins.length > 0) {
+      return null;
+    }
+
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!username || !password) {
+      logger.warn('No admin accounts exist and ADMIN_USERNAME / ADMIN_PASSWORD are not set');
+      return null;
+    }
+
+    const { hash, salt } = this.hashPassword(password);
+    const admin = new AdminUser({
+      username,
+      displayName: username,
+      role: 'super_admin',
+      passwordHash: hash,
+      passwordSalt: salt,
+      createdBy: 'bootstrap',
+    });
+    await admin.save();
+
+    logger.info(`Bootstrap super admin ${admin.username} created`);
+    return admin;
+  }
+
+  async recordFailedLogin(admin, now) {
+    admin.failedLoginAttempts += 1;
+
+    if (admin.failedLoginAttempts >= ADMIN_AUTH_CONFIG.maxFailedAttempts) {
+      admin.lockedUntil = new Date(now.getTime() + ADMIN_AUTH_CONFIG.lockoutMinutes * 60 * 1000);
+      admin.failedLoginAttempts = 0;
+      logger.warn(`Admin ${admin.username} locked until ${admin.lockedUntil.toISOString()}`);
+    }
+
+    await admin.save();
+  }
+
+  /**
+   * Check a username, password and (when enabled) two-factor code.
+   * Wrong passwords and wrong codes both count towards the lockout.
+   */
+  async authenticate(username, password, totpCode = null, now = new Date()) {
+    let admin = await AdminUser.findByUsername(username);
+    if (!admin) {
+      const bootstrapped = await this.ensureBootstrapAdmin();
+      admin = bootstrapped && bootstrapped.username === String(username || '').toLowerCase() ? bootstrapped : null;
+    }
+    if (!admin) {
+      throw new Error('Invalid username or password');
+    }
+
+    if (admin.isLocked(now)) {
+      throw new Error(`Account is locked after repeated failed logins. Try again after ${admin.lockedUntil.toISOString()}`);
+    }
+
+    if (!this.verifyPassword(password, admin.passwordHash, admin.passwordSalt)) {
+      await this.recordFailedLogin(admin, now);
+      throw new Error('Invalid username or password');
+    }
+
+    if (!admin.active) {
+      throw new Error('Admin account is disabled');
+    }
+
+    if (admin.totp?.enabled) {
+      if (!totpCode) {
+        throw new Error('Two-factor code is required');
+      }
+      if (!await this.acceptTotpCode(admin, totpCode, now)) {
+        await this.recordFailedLogin(admin, now);
+        throw new Error('Invalid two-factor code');
+      }
+    }
+
+    admin.failedLoginAttempts = 0;
+    admin.lockedUntil = null;
+    admin.lastLoginAt = now;
+    await admin.save();
+
+    return admin;
+  }
+
+  async getAdmin(adminId) {
+    const admin = await AdminUser.findById(adminId);
+    if (!admin) {
+      throw new Error('Admin account not found');
+    }
+    return admin;
+  }
+
+  async listAdmins() {
+    const admins = await AdminUser.findAll();
+    return admins.map(admin => admin.getSafeDetails());
+  }
+
+  async createAdmin(data, actorUsername) {
+    const username = String(data.username || '').trim().toLowerCase();
+    if (!/^[a-z0-9._-]{3,30}$/.test(username)) {
+      throw new Error('Username must be 3-30 letters, numbers, dots, dashes or underscores');
+    }
+    if (!isValidRole(data.role)) {
+      throw new Error('Invalid admin role');
+    }
+    this.validatePassword(data.password);
+
+    if (await AdminUser.findByUsername(username)) {
+      throw new Error(`Admin ${username} already exists`);
+    }
+
+    const { hash, salt } = this.hashPassword(data.password);
+    const admin = new AdminUser({
+      username,
+      displayName: data.displayName || username,
+      email: data.email || null,
+      role: data.role,
+      passwordHash: hash,
+      passwordSalt: salt,
+      createdBy: actorUsername,
+    });
+    await admin.save();
+
+    logger.info(`Admin ${username} (${data.role}) created by ${actorUsername}`);
+    return admin.getSafeDetails();
+  }
+
+  /**
+   * Make sure a change does not leave the panel without an active super admin
+   */
+  async assertSuperAdminRemains(admin, nextRole, nextActive) {
+    if (admin.role !== 'super_admin' || (nextRole === 'super_admin' && nextActive)) {
+      return;
+    }
+
+    const admins = await AdminUser.findAll();
+    const others = admins.filter(other => other.id !== admin.id && other.role === 'super_admin' && other.active);
+    if (others.length === 0) {
+      throw new Error('At least one active super admin is required');
+    }
+  }
+
+  /**
+   * Change role, profile or status. resetTotp and unlock let a super admin
+   * recover someone who lost their authenticator or tripped the lockout.
+   */
+  async updateAdmin(adminId, data, actor) {
+    const admin = await this.getAdmin(adminId);
+
+    const nextRole = data.role !== undefined ? data.role : admin.role;
+    const nextActive = data.active !== undefined ? data.active === true : admin.active;
+    if (!isValidRole(nextRole)) {
+      throw new Error('Invalid admin role');
+    }
+    if (admin.id === actor.uid && (nextRole !== admin.role || !nextActive)) {
+      throw new Error('You cannot change your own role or disable your own account');
+    }
+    await this.assertSuperAdminRemains(admin, nextRole, nextActive);
+
+    admin.role = nextRole;
+    admin.active = nextActive;
+    if (data.displayName !== undefined) admin.displayName = data.displayName;
+    if (data.email !== undefined) admin.email = data.email;
+    if (data.unlock === true) {
+      admin.lockedUntil = null;
+      admin.failedLoginAttempts = 0;
+    }
+    if (data.resetTotp === true) {
+      admin.totp = { enabled: false, secret: null, pendingSecret: null };
+    }
+    admin.updatedBy = actor.username;
+    await admin.save();
+
+    logger.info(`Admin ${admin.username} updated by ${actor.username}`);
+    return admin.getSafeDetails();
+  }
+
+  async resetPassword(adminId, newPassword, actorUsername) {
+    this.validatePassword(newPassword);
+    const admin = await this.getAdmin(adminId);
+
+    const { hash, salt } = this.hashPassword(newPassword);
+    admin.passwordHash = hash;
+    admin.passwordSalt = salt;
+    admin.tokenVersion += 1;
+    admin.lockedUntil = null;
+    admin.failedLoginAttempts = 0;
+    admin.updatedBy = actorUsername;
+    await admin.save();
+
+    logger.info(`Password for admin ${admin.username} reset by ${actorUsername}`);
+    return admin.getSafeDetails();
+  }
+
+  async changeOwnPassword(adminId, currentPassword, newPassword) {
+    const admin = await this.getAdmin(adminId);
+    if (!this.verifyPassword(currentPassword, admin.passwordHash, admin.passwordSalt)) {
+      throw new Error('Current password is incorrect');
+    }
+    this.validatePassword(newPassword);
+
+    const { hash, salt } = this.hashPassword(newPassword);
+    admin.passwordHash = hash;
+    admin.passwordSalt = salt;
+    admin.tokenVersion += 1;
+    admin.updatedBy = admin.username;
+    await admin.save();
+
+    return admin.getSafeDetails();
+  }
+
+  /**
+   * Generate a secret for the admin to scan. It only takes effect once a
+   * code from it is confirmed.
+   */
+  async startTotpSetup(adminId) {
+    const admin = await this.getAdmin(adminId);
+    if (admin.totp?.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    admin.totp = { enabled: false, secret: null, pendingSecret: this.encryptTotpSecret(secret) };
+    await admin.save();
+
+    const label = encodeURIComponent(`${ADMIN_AUTH_CONFIG.totpIssuer}:${admin.username}`);
+    const issuer = encodeURIComponent(ADMIN_AUTH_CONFIG.totpIssuer);
+
+    return {
+      secret,
+      otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&period=${ADMIN_AUTH_CONFIG.totpStepSeconds}`,
+    };
+  }
+
+  async confirmTotpSetup(adminId, code, now = new Date()) {
+    const admin = await this.getAdmin(adminId);
+    if (!admin.totp?.pendingSecret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+    const step = this.matchTotpStep(this.decryptTotpSecret(admin.totp.pendingSecret), code, now);
+    if (step === null) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    // The confirming code counts as used so it can't also sign in
+    admin.totp = { enabled: true, secret: admin.totp.pendingSecret, pendingSecret: null, lastUsedStep: step };
+    admin.updatedBy = admin.username;
+    await admin.save();
+
+    return admin.getSafeDetails();
+  }
+
+  async disableTotp(adminId, code, now = new Date()) {
+    const admin = await this.getAdmin(adminId);
+    if (!admin.totp?.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (!await this.acceptTotpCode(admin, code, now)) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    admin.totp = { enabled: false, secret: null, pendingSecret: null };
+    admin.updatedBy = admin.username;
+    await admin.save();
+
+    return admin.getSafeDetails();
+  }
+
+  /**
+   * Append to the admin audit log. Never throws so a logging failure
+   * can't undo a change that already happened.
+   */
+  async recordAuditEntry(entry) {
+    try {
+      const body = { ...(entry.body || {}) };
+      REDACTED_FIELDS.forEach(field => {
+        if (body[field] !== undefined) body[field] = '[REDACTED]';
+      });
+
+      const db = getFirestore();
+      await db.collection('adminAuditLog').add(JSON.parse(JSON.stringify({
+        adminId: entry.adminId || null,
+        username: entry.username || null,
+        action: entry.action,
+        method: entry.method || null,
+        path: entry.path || null,
+        params: entry.params || {},
+        body,
+        statusCode: entry.statusCode || null,
+        ip: entry.ip || null,
+        createdAt: new Date().toISOString(),
+      })));
+    } catch (error) {
+      logger.error('Failed to record admin audit entry:', error);
+    }
+  }
+
+  async getAuditLog({ adminId = null, limit = 100 } = {}) {
+    const db = getFirestore();
+    let query = db.collection('adminAuditLog');
+    if (adminId) {
+      query = query.where('adminId', '==', adminId);
+    }
+
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(Math.min(parseInt(limit) || 100, 500))
+      .get();
+
+    const entries = [];
+    snapshot.forEach(doc => entries.push({ id: doc.id, ...doc.data() }));
+    return entries;
+  }
+}
+
+module.exports = new AdminAuthService();
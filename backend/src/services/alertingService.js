@@ -449,7 +449,7 @@ class AlertingService {
           error: error.message
         });
       }
-    }, 30000);
+    }, 30000).unref(); // Evaluation alone doesn't keep the process alive
 
     logger.info('Alert evaluation started', {
       category: 'alerting',
@@ -795,7 +795,8 @@ class AnalyticsService {
         completedRides,
         totalBookings: allBookings.length,
         totalRevenue: Math.round(totalRevenue),
-        platformFee: Math.round(totalRevenue * 0.1), // 10% platform fee
+        platformFee: Math.round(this.calculatePlatformCommission(allRides, allBookings)),
+        totalDiscounts: this.calculateTotalDiscounts(allBookings),
         avgRidesPerProvider: activeProviders > 0 ? Math.round(allRides.length / activeProviders) : 0,
         completionRate: allRides.length > 0 ? (completedRides / allRides.length) * 100 : 0
       };
@@ -1029,6 +1030,7 @@ class AnalyticsService {
       rideId: `ride${i % 200}`,
       status: ['confirmed', 'completed', 'cancelled'][i % 3],
       amount: 200 + (i * 10),
+      discountAmount: i % 10 === 0 ? 50 : 0, // Promo code discount, funded by the platform
       createdAt: new Date(cutoffDate.getTime() + Math.random() * (Date.now() - cutoffDate.getTime())).toISOString()
     }));
   }
@@ -1039,6 +1041,19 @@ class AnalyticsService {
       .reduce((sum, booking) => sum + booking.amount, 0);
   }
 
+  calculateTotalDiscounts(bookings) {
+    return bookings
+      .filter(booking => booking.status === 'completed')
+      .reduce((sum, booking) => sum + (booking.discountAmount || 0), 0);
+  }
+
+  calculatePlatformCommission(rides, bookings) {
+    // Commission is taken on the undiscounted amount; promo discounts come out of it
+    const discounts = this.calculateTotalDiscounts(bookings);
+    const grossRevenue = this.calculatePlatformRevenue(rides, bookings) + discounts;
+    return grossRevenue * 0.1 - discounts; // 10% platform fee
+  }
+
   segmentUsers(users, rides, bookings) {
     const providers = users.filter(u => u.role === 'provider' || u.role === 'both');
     const passengers = users.filter(u => u.role === 'passenger' || u.role === 'both');
@@ -1365,10 +1380,12 @@ class AnalyticsService {
 
   calculateCommissionAnalysis(rides, bookings) {
     const totalRevenue = this.calculatePlatformRevenue(rides, bookings);
-    const platformFee = totalRevenue * 0.1; // 10% commission
+    const totalDiscounts = this.calculateTotalDiscounts(bookings);
+    const platformFee = this.calculatePlatformCommission(rides, bookings);
     
     return {
       totalRevenue: Math.round(totalRevenue),
+      totalDiscounts,
       platformCommission: Math.round(platformFee),
       providerEarnings: Math.round(totalRevenue - platformFee),
       commissionRate: 10, // percentage
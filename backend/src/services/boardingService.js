@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../config/firebase');
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const BookingService = require('./bookingService');
+const { encryptionService } = require('../utils/encryption');
+const { isBoarded } = require('../utils/boarding');
+const logger = require('../utils/logger');
+
+const BOARDING_CONFIG = {
+  codeTtlMinutes: parseInt(process.env.BOARDING_CODE_TTL_MINUTES) || 15,
+  opensMinutesBeforeDeparture: parseInt(process.env.BOARDING_CODE_OPENS_MINUTES) || 120,
+  maxAttempts: 5, // Wrong PINs before the code stops working and a new one is needed
+  signatureContext: 'boarding',
+};
+
+/**
+ * Ride check-in with one-time boarding codes.
+ *
+ * Close to departure a passenger with a confirmed booking gets a 6-digit
+ * PIN and a QR payload signed with the server key. Asking again replaces the
+ * code. The driver types the PIN or scans the QR to check the passenger in.
+ * Only the PIN's hash is stored. A QR is only accepted while its nonce
+ * matches the booking's current code.
+ *
+ * Checked-in bookings are the only ones that can be completed, paid out
+ * and reviewed.
+ */
+class BoardingService {
+  /**
+   * The booking from the realtime database, where POST /api/bookings creates it, or Firestore
+   */
+  async loadBooking(bookingId) {
+    const snapshot = await getDatabase().ref(`bookings/${bookingId}`).once('value');
+    const booking = snapshot.val();
+    return booking ? { id: bookingId, ...booking } : await Booking.findById(bookingId);
+  }
+
+  /**
+   * The ride from the realtime database, where trips are tracked, or Firestore
+   */
+  async loadRide(rideId) {
+    const snapshot = await getDatabase().ref(`rides/${rideId}`).once('value');
+    const ride = snapshot.val();
+    return ride ? { id: rideId, ...ride } : await Ride.findById(rideId);
+  }
+
+  /**
+   * Store the booking's boarding state where the booking lives
+   */
+  async saveBoarding(booking, boarding) {
+    booking.boarding = boarding;
+    if (typeof booking.save === 'function') {
+      await booking.save();
+      return;
+    }
+
+    await getDatabase().ref(`bookings/${booking.id}`).update({ boarding, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Sign a QR payload for the booking's current code
+   */
+  buildQrPayload(bookingId, nonce, expiresAt) {
+    const payload = Buffer.from(JSON.stringify({ bookingId, nonce, expiresAt })).toString('base64url');
+    return `${payload}.${encryptionService.sign(payload, BOARDING_CONFIG.signatureContext)}`;
+  }
+
+  /**
+   * Check a scanned QR payload's signature and read it
+   */
+  parseQrPayload(qr) {
+    const [payload, signature] = String(qr || '').split('.');
+    if (!payload || !encryptionService.verifySignature(payload, signature, BOARDING_CONFIG.signatureContext)) {
+      throw new Error('Invalid boarding code');
+    }
+
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+      throw new Error('Invalid boarding code');
+    }
+  }
+
+  /**
+   * Issue a fresh boarding code for a confirmed booking (passenger).
+   * The PIN is only returned here; it is stored hashed.
+   */
+  async issueBoardingCode(bookingId, passengerId, now = new Date()) {
+    const booking = await this.loadBooking(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    if (booking.passengerId !== passengerId) {
+      throw new Error('Access denied');
+    }
+    if (booking.status !== 'confirmed') {
+      throw new Error('Boarding codes are only issued for confirmed bookings');
+    }
+    if (isBoarded(booking)) {
+      throw new Error('You have already boarded this ride');
+    }
+
+    const ride = await this.loadRide(booking.rideId);
+    if (!ride) {
+      throw new Error('Ride not found');
+    }
+
+    const departure = new Date(`${ride.departureDate} ${ride.departureTime}`);
+    const minutesUntilDeparture = (departure - now) / (1000 * 60);
+    if (minutesUntilDeparture > BOARDING_CONFIG.opensMinutesBeforeDeparture) {
+      throw new Error(`Boarding codes are available ${BOARDING_CONFIG.opensMinutesBeforeDeparture} minutes before departure`);
+    }
+
+    const pin = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const { hash, salt } = encryptionService.hash(pin);
+    const nonce = encryptionService.generateToken(16);
+    const expiresAt = new Date(now.getTime() + BOARDING_CONFIG.codeTtlMinutes * 60 * 1000).toISOString();
+
+    await this.saveBoarding(booking, {
+      codeHash: hash,
+      codeSalt: salt,
+      nonce,
+      issuedAt: now.toISOString(),
+      expiresAt,
+      attempts: 0,
+      boardedAt: null,
+      method: null,
+      boardedBy: null,
+    });
+
+    logger.info(`Boarding code issued for booking ${bookingId}`);
+    return {
+      bookingId,
+      pin,
+      qr: this.buildQrPayload(bookingId, nonce, expiresAt),
+      expiresAt,
+    };
+  }
+
+  /**
+   * Check a passenger in with the PIN they read out or the QR they show (driver)
+   * @param {Object} code - { bookingId, pin } or { qr }
+   */
+  async verifyBoarding(driverId, { bookingId = null, pin = null, qr = null }, now = new Date()) {
+    let method = 'pin';
+    let qrData = null;
+    if (qr) {
+      method = 'qr';
+      qrData = this.parseQrPayload(qr);
+      bookingId = qrData.bookingId;
+    }
+    if (!bookingId || (!pin && !qrData)) {
+      throw new Error('A booking ID and PIN, or a QR code, is required');
+    }
+
+    const booking = await this.loadBooking(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    if (booking.driverId !== driverId) {
+      throw new Error('Only the driver can check passengers in');
+    }
+    if (booking.status !== 'confirmed') {
+      throw new Error('Only confirmed bookings can be checked in');
+    }
+    if (isBoarded(booking)) {
+      throw new Error('Passenger has already boarded');
+    }
+
+    const boarding = booking.boarding;
+    if (!boarding?.codeHash) {
+      throw new Error('The passenger has not opened a boarding code yet');
+    }
+    if (new Date(boarding.expiresAt) <= now) {
+      throw new Error('Boarding code has expired; ask the passenger to refresh it');
+    }
+    if (boarding.attempts >= BOARDING_CONFIG.maxAttempts) {
+      throw new Error('Too many wrong codes; ask the passenger to refresh it');
+    }
+
+    const valid = qrData
+      ? qrData.nonce === boarding.nonce
+      : encryptionService.verifyHash(String(pin), boarding.codeHash, boarding.codeSalt);
+
+    if (!valid) {
+      await this.saveBoarding(booking, { ...boarding, attempts: (boarding.attempts || 0) + 1 });
+      throw new Error('Invalid boarding code');
+    }
+
+    // One-time: the code is cleared once the passenger is on board (saves merge, so fields are nulled)
+    await this.saveBoarding(booking, {
+      ...boarding,
+      codeHash: null,
+      codeSalt: null,
+      nonce: null,
+      expiresAt: null,
+      boardedAt: now.toISOString(),
+      method,
+      boardedBy: driverId,
+    });
+
+    await BookingService.sendRealtimeNotification(booking.passengerId, {
+      type: 'passenger_boarded',
+      bookingId: booking.id,
+      rideId: booking.rideId,
+      timestamp: now,
+    });
+
+    logger.info(`Passenger ${booking.passengerId} boarded booking ${booking.id} by ${method}`);
+    return booking;
+  }
+}
+
+module.exports = new BoardingService();
@@ -1,7 +1,18 @@
 const Booking = require('../models/Booking');
 const Ride = require('../models/Ride');
 const User = require('../models/User');
+const Payment = require('../models/Payment');
 const { getDatabase } = require('../config/firebase');
+const { config: paymentConfig } = require('../config/payment');
+const { emitRideUpdate, removeUserFromRooms } = require('../config/socket');
+const paymentService = require('./paymentService');
+const walletService = require('./walletService');
+const promoService = require('./promoService');
+const waitlistService = require('./waitlistService');
+const referralService = require('./referralService');
+const tripShareService = require('./tripShareService');
+const segments = require('../utils/segments');
+const boarding = require('../utils/boarding');
 const logger = require('../utils/logger');
 
 class BookingService {
@@ -11,7 +22,7 @@ class BookingService {
   static async createBooking(bookingData, userId) {
     try {
       // Validate required fields
-      if (!bookingData.rideId || !bookingData.seatsBooked) {
+      if (!bookingData.rideId || bookingData.seatsBooked === undefined || bookingData.seatsBooked === null) {
         throw new Error('Ride ID and seats booked are required');
       }
 
@@ -214,6 +225,9 @@ class BookingService {
       // Update booking status
       await booking.updateStatus('cancelled_by_driver', reason);
 
+      // Offer any freed seats to the waitlist
+      await waitlistService.processFreedSeats(booking.rideId);
+
       // Update user stats
       await this.updateUserStats(booking.passengerId, 'booking_rejected');
       await this.updateUserStats(driverId, 'booking_rejected_by_driver');
@@ -270,6 +284,17 @@ class BookingService {
       // Update booking status
       await booking.updateStatus('cancelled_by_passenger', reason);
 
+      // Offer the freed seats to the waitlist
+      await waitlistService.processFreedSeats(booking.rideId);
+
+      // Shared trip links stop working
+      await tripShareService.expireForBooking(booking.id, 'booking_cancelled');
+
+      // Promo codes held for the booking's checkout can be used again
+      await promoService.releaseForBooking(booking.id);
+
+      this.leaveCancelledBookingRooms(booking.id, booking);
+
       // Update user stats
       await this.updateUserStats(passengerId, 'booking_cancelled');
       await this.updateUserStats(booking.driverId, 'booking_cancelled_by_passenger');
@@ -291,6 +316,211 @@ class BookingService {
     }
   }
 
+  /**
+   * Close a cancelled booking's chat to both sides and stop the passenger
+   * following the ride's live location
+   */
+  static leaveCancelledBookingRooms(bookingId, booking) {
+    removeUserFromRooms(booking.passengerId, [`ride_${booking.rideId}`, `conversation_booking_${bookingId}`]);
+    removeUserFromRooms(booking.driverId, [`conversation_booking_${bookingId}`]);
+  }
+
+  /**
+   * Take a passenger's seats on the booked segments of a Realtime Database ride
+   * and add them to its passenger list, in one transaction so concurrent
+   * bookings on overlapping legs cannot oversell. Returns the updated ride, or
+   * null when the ride is not open for booking or the seats are gone.
+   */
+  static async reserveRideSeats(rideId, passengerId, segment, passenger) {
+    const rideRef = getDatabase().ref(`rides/${rideId}`);
+    const { fromIndex, toIndex } = segment;
+
+    const result = await rideRef.transaction((ride) => {
+      if (!ride) {
+        return ride;
+      }
+      if (ride.status !== 'published') {
+        return undefined; // Abort
+      }
+
+      const segmentSeats = segments.getSegmentSeats(ride);
+      if (segments.getAvailableSeatsForSegment(segmentSeats, fromIndex, toIndex) < passenger.seatsBooked) {
+        return undefined;
+      }
+
+      const updatedSegmentSeats = segments.reserveSegmentSeats(segmentSeats, fromIndex, toIndex, passenger.seatsBooked);
+      return {
+        ...ride,
+        segmentSeats: updatedSegmentSeats,
+        availableSeats: segments.summarizeAvailableSeats(updatedSegmentSeats),
+        passengers: {
+          ...ride.passengers,
+          [passengerId]: { ...passenger, segment: { fromIndex, toIndex } }
+        },
+        updatedAt: new Date().toISOString()
+      };
+    });
+
+    return result.committed && result.snapshot.exists() ? result.snapshot.val() : null;
+  }
+
+  /**
+   * Give seats taken by reserveRideSeats back to the ride and drop the
+   * passenger from its list. Returns the updated ride, or null when the ride
+   * no longer exists.
+   */
+  static async releaseRideSeats(rideId, passengerId, segment, seatsBooked) {
+    const rideRef = getDatabase().ref(`rides/${rideId}`);
+    const { fromIndex, toIndex } = segment;
+
+    const result = await rideRef.transaction((ride) => {
+      if (!ride) {
+        return ride;
+      }
+
+      const updatedSegmentSeats = segments.releaseSegmentSeats(
+        segments.getSegmentSeats(ride),
+        fromIndex,
+        toIndex,
+        seatsBooked,
+        ride.totalSeats
+      );
+      const passengers = { ...ride.passengers };
+      delete passengers[passengerId];
+
+      return {
+        ...ride,
+        segmentSeats: updatedSegmentSeats,
+        availableSeats: segments.summarizeAvailableSeats(updatedSegmentSeats),
+        passengers,
+        updatedAt: new Date().toISOString()
+      };
+    });
+
+    return result.committed && result.snapshot.exists() ? result.snapshot.val() : null;
+  }
+
+  /**
+   * Cancel a booking held in the Realtime Database, where POST /api/bookings
+   * creates them, as its passenger or driver. The seats go back to the ride
+   * and its waitlist, shared trip links end, its chat closes and promo
+   * codes held for its checkout are released. A driver cancellation counts
+   * against the driver and refunds paid fares in full.
+   */
+  static async cancelRealtimeBooking(bookingId, userId, reason = null) {
+    const db = getDatabase();
+    const bookingRef = db.ref(`bookings/${bookingId}`);
+    const snapshot = await bookingRef.once('value');
+    if (!snapshot.exists()) {
+      throw new Error('Booking not found');
+    }
+
+    const booking = snapshot.val();
+    if (booking.passengerId !== userId && booking.driverId !== userId) {
+      throw new Error('Access denied');
+    }
+    if (!['requested', 'confirmed'].includes(booking.status)) {
+      throw new Error('Booking cannot be cancelled');
+    }
+
+    const cancelledBy = booking.passengerId === userId ? 'passenger' : 'driver';
+    const cancellationReason = reason || 'No reason provided';
+
+    // Only the caller whose transaction moves the booking out of an active
+    // status releases its seats, so concurrent cancellations free them once
+    let previousStatus = null;
+    const claim = await bookingRef.transaction((current) => {
+      if (!current) {
+        return current;
+      }
+      if (!['requested', 'confirmed'].includes(current.status)) {
+        return undefined; // Abort
+      }
+      previousStatus = current.status;
+      return {
+        ...current,
+        status: 'cancelled',
+        cancelledAt: new Date().toISOString(),
+        cancelledBy,
+        cancellationReason
+      };
+    });
+    if (!claim.committed || !claim.snapshot.exists()) {
+      throw new Error('Booking cannot be cancelled');
+    }
+
+    await tripShareService.expireForBooking(bookingId, 'booking_cancelled');
+    await promoService.releaseForBooking(bookingId);
+    this.leaveCancelledBookingRooms(bookingId, booking);
+
+    const rideSnapshot = await db.ref(`rides/${booking.rideId}`).once('value');
+    const ride = rideSnapshot.exists() ? rideSnapshot.val() : null;
+    const hoursBeforeDeparture = ride
+      ? (new Date(`${ride.departureDate} ${ride.departureTime}`) - new Date()) / (1000 * 60 * 60)
+      : 0;
+
+    if (cancelledBy === 'driver' && ride) {
+      await this.updateUserStats(booking.driverId, 'booking_cancelled_by_driver', { hoursBeforeDeparture });
+    }
+
+    // Confirmed bookings held seats on the ride
+    if (previousStatus === 'confirmed' && ride) {
+      const releasedRide = await this.releaseRideSeats(
+        booking.rideId,
+        booking.passengerId,
+        segments.getBookingSegmentRange(ride, booking),
+        booking.seatsBooked
+      );
+
+      if (releasedRide) {
+        emitRideUpdate(booking.rideId, { availableSeats: releasedRide.availableSeats, segmentSeats: releasedRide.segmentSeats });
+      }
+      await waitlistService.processFreedSeats(booking.rideId);
+    }
+
+    const refund = cancelledBy === 'driver'
+      ? await this.refundDriverCancellation(bookingId, hoursBeforeDeparture, ride?.bookingPolicy, cancellationReason)
+      : null;
+
+    logger.info(`Booking cancelled: ${bookingId} by ${cancelledBy} ${userId}`);
+    return { booking: { id: bookingId, ...booking }, cancelledBy, refund };
+  }
+
+  /**
+   * Refund every paid fare on a booking the driver cancelled. A refund that
+   * fails is logged and left for the passenger to request again; the payment
+   * stays completed, so the refund route still pays it in full.
+   */
+  static async refundDriverCancellation(bookingId, hoursBeforeDeparture, bookingPolicy, reason) {
+    const payments = (await Payment.findByBookingId(bookingId))
+      .filter(payment => payment.status === 'completed' && payment.metadata?.type !== 'cancellation_fee');
+    const refund = { amount: 0, payments: payments.length, failed: [] };
+
+    for (const payment of payments) {
+      try {
+        const refundCalculation = paymentService.calculateRefundAmount(payment.amount, hoursBeforeDeparture, bookingPolicy, { cancelledBy: 'driver' });
+        const refundResult = payment.gateway === 'wallet'
+          ? await walletService.refundToWallet(payment, refundCalculation.refundAmount, reason)
+          : await paymentService.processRefund(payment, refundCalculation.refundAmount, reason);
+
+        await payment.addRefund({
+          ...refundResult,
+          reason,
+          refundType: refundCalculation.refundType,
+          originalAmount: payment.amount,
+          destination: payment.gateway === 'wallet' ? 'wallet' : 'original',
+          breakdown: refundCalculation.breakdown,
+        });
+        refund.amount += refundCalculation.refundAmount;
+      } catch (error) {
+        logger.error(`Failed to refund payment ${payment.id} for driver-cancelled booking ${bookingId}:`, error);
+        refund.failed.push(payment.id);
+      }
+    }
+
+    return refund;
+  }
+
   /**
    * Complete booking (driver action when trip is finished)
    */
@@ -311,13 +541,24 @@ class BookingService {
         throw new Error('Booking cannot be completed in current status');
       }
 
+      // Only trips the passenger was checked in for with their boarding code
+      if (!boarding.isCheckedIn(booking)) {
+        throw new Error('Passenger has not boarded; check them in with their boarding code first');
+      }
+
       // Update booking status
       await booking.updateStatus('completed');
 
+      // Shared trip links stop working
+      await tripShareService.expireForBooking(booking.id, 'trip_completed');
+
       // Update user stats
       await this.updateUserStats(booking.passengerId, 'trip_completed');
       await this.updateUserStats(driverId, 'trip_completed_as_driver');
 
+      // Credit the referral once the passenger completes their first ride
+      await referralService.rewardReferral(booking.passengerId);
+
       // Send real-time notification to passenger
       await this.sendRealtimeNotification(booking.passengerId, {
         type: 'trip_completed',
@@ -397,7 +638,7 @@ class BookingService {
   /**
    * Update user statistics
    */
-  static async updateUserStats(userId, action) {
+  static async updateUserStats(userId, action, details = {}) {
     try {
       const user = await User.findByUid(userId);
       if (!user) {
@@ -421,11 +662,34 @@ class BookingService {
           // Could implement completion rate calculation here
           break;
         case 'trip_completed':
-          // Trip completion is already counted in booking_created
+          // Trips are counted in booking_created; completed ones decide first-ride promos and referrals
+          stats.completedRidesAsPassenger = (stats.completedRidesAsPassenger || 0) + 1;
           break;
         case 'trip_completed_as_driver':
           stats.totalRidesAsDriver = (stats.totalRidesAsDriver || 0) + 1;
           break;
+        case 'booking_cancelled_by_driver': {
+          // Driver cancellations count against reliability, late ones separately
+          stats.driverCancellations = (stats.driverCancellations || 0) + 1;
+          if (details.hoursBeforeDeparture < paymentConfig.cancellationPolicies.lateDriverCancellationHours) {
+            stats.lateDriverCancellations = (stats.lateDriverCancellations || 0) + 1;
+          }
+          const driverTrips = (stats.totalRidesAsDriver || 0) + stats.driverCancellations;
+          stats.driverCancellationRate = Math.round((stats.driverCancellations / driverTrips) * 100);
+          break;
+        }
+        case 'driver_no_show': {
+          // A no-show is a cancellation nobody was told about: it counts as a late one too
+          stats.driverNoShows = (stats.driverNoShows || 0) + 1;
+          stats.driverCancellations = (stats.driverCancellations || 0) + 1;
+          stats.lateDriverCancellations = (stats.lateDriverCancellations || 0) + 1;
+          const driverTrips = (stats.totalRidesAsDriver || 0) + stats.driverCancellations;
+          stats.driverCancellationRate = Math.round((stats.driverCancellations / driverTrips) * 100);
+          break;
+        }
+        case 'passenger_no_show':
+          stats.passengerNoShows = (stats.passengerNoShows || 0) + 1;
+          break;
       }
 
       stats.lastActiveAt = new Date();
@@ -2,6 +2,7 @@ const Payment = require('../models/Payment');
 const Payout = require('../models/Payout');
 const Booking = require('../models/Booking');
 const Ride = require('../models/Ride');
+const boarding = require('../utils/boarding');
 const logger = require('../utils/logger');
 
 class FinancialService {
@@ -22,8 +23,10 @@ class FinancialService {
       for (const payment of payments) {
         if (payment.status === 'completed') {
           const booking = await Booking.findById(payment.bookingId);
-          if (booking && booking.driverId === providerId) {
-            const platformFee = this.calculatePlatformFee(payment.amount);
+          // Only trips the passenger was checked in for are paid out
+          if (booking && booking.driverId === providerId && boarding.isCheckedIn(booking)) {
+            const discountAmount = payment.pricing?.discountAmount || 0;
+            const platformFee = this.calculatePlatformFee(payment.amount, discountAmount);
             const providerEarning = payment.amount - platformFee;
             
             totalEarnings += providerEarning;
@@ -36,6 +39,7 @@ class FinancialService {
               bookingId: payment.bookingId,
               rideId: payment.rideId,
               grossAmount: payment.amount,
+              discountAmount,
               platformFee,
               netEarning: providerEarning,
               currency: payment.currency,
@@ -78,18 +82,22 @@ class FinancialService {
   async getAvailableBalance(providerId) {
     try {
       const earnings = await this.calculateProviderEarnings(providerId);
-      const pendingPayouts = await Payout.findByProviderId(providerId);
-      
-      // Calculate total pending payout amounts
-      const pendingAmount = pendingPayouts
-        .filter(payout => ['pending', 'processing'].includes(payout.status))
+      const payouts = await Payout.findByProviderId(providerId, null);
+
+      // Earnings are all-time, so every payout that was not turned down counts
+      // against them: paid ones have left, unfinished ones are reserved
+      const sumOf = statuses => payouts
+        .filter(payout => statuses.includes(payout.status))
         .reduce((sum, payout) => sum + payout.amount, 0);
+      const pendingAmount = sumOf(['requested', 'pending', 'approved', 'processing', 'failed', 'retried']);
+      const paidAmount = sumOf(['paid', 'completed']);
 
-      const availableBalance = earnings.summary.totalEarnings - pendingAmount;
+      const availableBalance = earnings.summary.totalEarnings - pendingAmount - paidAmount;
 
       return {
         totalEarnings: earnings.summary.totalEarnings,
         pendingPayouts: pendingAmount,
+        paidOut: paidAmount,
         availableBalance: Math.max(0, availableBalance),
         currency: 'INR',
         lastUpdated: new Date().toISOString(),
@@ -136,7 +144,7 @@ class FinancialService {
         providerId,
         amount,
         currency: 'INR',
-        status: 'pending',
+        status: 'requested',
         payoutMethod,
         bankDetails,
         transactionIds,
@@ -172,45 +180,23 @@ class FinancialService {
 
   /**
    * Process payout (admin function)
+   * Approves the payout if needed and hands it to the payout gateway.
    */
   async processPayout(payoutId, adminId) {
     try {
+      // Loaded lazily because payoutService depends on this service
+      const payoutService = require('./payoutService');
+
       const payout = await Payout.findById(payoutId);
       if (!payout) {
         throw new Error('Payout not found');
       }
 
-      if (payout.status !== 'pending') {
-        throw new Error(`Cannot process payout with status: ${payout.status}`);
+      if (['requested', 'pending'].includes(payout.status)) {
+        await payoutService.approvePayout(payoutId, adminId);
       }
 
-      // Update status to processing
-      await payout.updateStatus('processing', {
-        processedBy: adminId,
-      });
-
-      // Here you would integrate with actual payout processing
-      // For now, we'll simulate successful processing
-      setTimeout(async () => {
-        try {
-          await payout.updateStatus('completed');
-          logger.info('Payout completed', {
-            payoutId: payout.id,
-            providerId: payout.providerId,
-            amount: payout.amount,
-          });
-        } catch (error) {
-          logger.error('Error completing payout', {
-            error: error.message,
-            payoutId,
-          });
-          await payout.updateStatus('failed', {
-            failureReason: error.message,
-          });
-        }
-      }, 5000); // Simulate 5 second processing time
-
-      return payout;
+      return await payoutService.executePayout(payoutId, adminId);
     } catch (error) {
       logger.error('Error processing payout', {
         error: error.message,
@@ -296,7 +282,7 @@ class FinancialService {
       for (const payment of payments) {
         const booking = await Booking.findById(payment.bookingId);
         if (booking && booking.driverId === providerId) {
-          const platformFee = this.calculatePlatformFee(payment.amount);
+          const platformFee = this.calculatePlatformFee(payment.amount, payment.pricing?.discountAmount || 0);
           transactions.push({
             id: payment.id,
             type: 'earning',
@@ -413,11 +399,14 @@ class FinancialService {
   }
 
   /**
-   * Helper: Calculate platform fee
+   * Helper: Calculate platform fee.
+   * Promo discounts are funded by the platform: the fee is taken on the
+   * undiscounted amount and the discount comes out of it, so the provider
+   * earns the same with or without a promo code (the fee can go negative).
    */
-  calculatePlatformFee(amount) {
+  calculatePlatformFee(amount, discountAmount = 0) {
     const platformFeePercentage = 10; // 10% platform fee
-    return Math.round((amount * platformFeePercentage) / 100);
+    return Math.round(((amount + discountAmount) * platformFeePercentage) / 100) - discountAmount;
   }
 
   /**
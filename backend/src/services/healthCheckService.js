@@ -210,14 +210,15 @@ class HealthCheckService {
     }
 
     const startTime = Date.now();
+    let timeoutId;
 
     try {
-      // Run check with timeout
+      // Run check with timeout, cleared once the check settles so it can't hold the process open
       const result = await Promise.race([
         check.checkFunction(),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Health check timeout')), check.timeout)
-        )
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error('Health check timeout')), check.timeout);
+        })
       ]);
 
       const duration = Date.now() - startTime;
@@ -277,6 +278,8 @@ class HealthCheckService {
       });
 
       return checkResult;
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
 
@@ -381,7 +384,7 @@ class HealthCheckService {
           error: error.message
         });
       }
-    }, 30000);
+    }, 30000).unref(); // Background checks alone don't keep the process alive
 
     // Initial health check
     setTimeout(() => {
@@ -391,7 +394,7 @@ class HealthCheckService {
           error: error.message
         });
       });
-    }, 5000); // Wait 5 seconds after startup
+    }, 5000).unref(); // Wait 5 seconds after startup
   }
 
   // Readiness probe (for Kubernetes)
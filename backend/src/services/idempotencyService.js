@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const { getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+const IDEMPOTENCY_CONFIG = {
+  // How long a completed request's response is replayed for
+  ttlSeconds: 24 * 60 * 60,
+  // How long a request may hold its key before a retry may take over, so a
+  // crashed request does not block the key for a day
+  lockSeconds: 60,
+  maxKeyLength: 255,
+};
+
+const COLLECTION = 'idempotencyKeys';
+
+/**
+ * JSON with object keys sorted, so equal payloads fingerprint the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Records in Redis, one string key each. SET NX claims a key atomically.
+ */
+function createRedisStore(client) {
+  const redisKey = (scope) => `idempotency:${scope}`;
+
+  return {
+    async claim(scope, record) {
+      const claimed = await client.set(redisKey(scope), JSON.stringify(record), {
+        NX: true,
+        EX: IDEMPOTENCY_CONFIG.lockSeconds,
+      });
+      if (claimed) return null;
+
+      const existing = await client.get(redisKey(scope));
+      if (existing) return JSON.parse(existing);
+
+      // The lock expired between the two calls
+      return this.claim(scope, record);
+    },
+    async complete(scope, record) {
+      await client.set(redisKey(scope), JSON.stringify(record), { EX: IDEMPOTENCY_CONFIG.ttlSeconds });
+    },
+    async release(scope) {
+      await client.del(redisKey(scope));
+    },
+  };
+}
+
+/**
+ * Records in Firestore, for when Redis is not configured. Expired records are
+ * treated as absent and overwritten on the next claim.
+ */
+function createFirestoreStore(db) {
+  // Keys are client-chosen and may contain '/', so documents are named by hash
+  const docRef = (scope) => db.collection(COLLECTION)
+    .doc(crypto.createHash('sha256').update(scope).digest('hex'));
+
+  return {
+    async claim(scope, record) {
+      const ref = docRef(scope);
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const existing = doc.exists ? doc.data() : null;
+        if (existing && new Date(existing.expiresAt) > new Date()) {
+          return existing;
+        }
+
+        transaction.set(ref, {
+          ...record,
+          scope,
+          expiresAt: new Date(Date.now() + IDEMPOTENCY_CONFIG.lockSeconds * 1000).toISOString(),
+        });
+        return null;
+      });
+    },
+    async complete(scope, record) {
+      await docRef(scope).set({
+        ...record,
+        scope,
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_CONFIG.ttlSeconds * 1000).toISOString(),
+      });
+    },
+    async release(scope) {
+      await docRef(scope).delete();
+    },
+  };
+}
+
+/**
+ * Idempotency keys for mutating endpoints. The first request with a key
+ * claims it; once it finishes, its response is stored for 24 hours and
+ * returned for any retry with the same key and payload.
+ */
+class IdempotencyService {
+  getStore() {
+    let client = null;
+    try {
+      client = getRedisClient();
+    } catch (error) {
+      client = null;
+    }
+
+    return client ? createRedisStore(client) : createFirestoreStore(getFirestore());
+  }
+
+  /**
+   * Whether a client-supplied key is usable
+   */
+  isValidKey(key) {
+    return typeof key === 'string' &&
+      key.trim().length > 0 &&
+      key.length <= IDEMPOTENCY_CONFIG.maxKeyLength;
+  }
+
+  /**
+   * Keys are per user, so two users picking the same key never collide
+   */
+  getScope(userId, key) {
+    return `${userId}:${key}`;
+  }
+
+  /**
+   * Hash of what the request asks for: method, path and body
+   */
+  fingerprint({ method, path, body }) {
+    return crypto.createHash('sha256')
+      .update(`${method.toUpperCase()} ${path}\n${stableStringify(body || {})}`)
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a request.
+   *
+   * @returns {Promise<Object>} { status: 'claimed' } to go ahead,
+   *   { status: 'replay', response } for a finished request,
+   *   { status: 'in_progress' } while the first request is still running, or
+   *   { status: 'mismatch' } when the key was used for a different payload
+   */
+  async begin(scope, fingerprint) {
+    const existing = await this.getStore().claim(scope, {
+      fingerprint,
+      status: 'processing',
+      createdAt: new Date().toISOString(),
+    });
+
+    if (!existing) {
+      return { status: 'claimed' };
+    }
+    if (existing.fingerprint !== fingerprint) {
+      return { status: 'mismatch' };
+    }
+    if (existing.status === 'completed') {
+      return { status: 'replay', response: existing.response };
+    }
+    return { status: 'in_progress' };
+  }
+
+  /**
+   * Store the response of a claimed request for replay
+   */
+  async complete(scope, fingerprint, response) {
+    await this.getStore().complete(scope, {
+      fingerprint,
+      status: 'completed',
+      response,
+      completedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Give up a claimed key so the request can be retried with it
+   */
+  async release(scope) {
+    try {
+      await this.getStore().release(scope);
+    } catch (error) {
+      logger.error('Failed to release idempotency key:', error);
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,510 @@
+const cron = require('node-cron');
+const { getDatabase, getFirestore } = require('../config/firebase');
+const Ride = require('../models/Ride');
+const Incident = require('../models/Incident');
+const NotificationService = require('./notificationService');
+const NotificationPreferencesService = require('./notificationPreferencesService');
+const TemplateService = require('./templateService');
+const logger = require('../utils/logger');
+
+const INCIDENT_CONFIG = {
+  acknowledgeMinutes: parseInt(process.env.SOS_ACKNOWLEDGE_MINUTES) || 5, // Escalate when nobody has picked the incident up
+  followUpMinutes: parseInt(process.env.SOS_FOLLOW_UP_MINUTES) || 30, // Escalate when an acknowledged incident goes without an update
+  maxEscalationLevel: parseInt(process.env.SOS_MAX_ESCALATION_LEVEL) || 3,
+  escalationContacts: (process.env.SOS_ESCALATION_CONTACTS || '') // On-call phone numbers and email addresses
+    .split(',')
+    .map(contact => contact.trim())
+    .filter(Boolean),
+};
+
+const RESOLUTION_OUTCOMES = ['safe', 'assisted', 'emergency_services', 'false_alarm'];
+
+/**
+ * SOS incidents.
+ *
+ * Raising an SOS on a booking snapshots the trip (ride, driver, vehicle,
+ * the last location from trip tracking and everyone on board), sends the
+ * alert to the travellers' emergency contacts by SMS and email, and opens
+ * an incident in the admin queue.
+ *
+ * An incident that nobody acknowledges within acknowledgeMinutes is
+ * escalated: the on-call contacts are alerted and emergency contacts that
+ * could not be reached are tried again. Once acknowledged it is escalated
+ * again if followUpMinutes pass without a note. Escalation stops at
+ * maxEscalationLevel, or when the incident is resolved. The traveller is
+ * told when the safety team picks the incident up and when they close it.
+ */
+class IncidentService {
+  constructor() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start the job that escalates incidents nobody has acted on
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    cron.schedule('* * * * *', () => {
+      this.processEscalations();
+    });
+
+    this.isInitialized = true;
+    logger.info('SOS incident escalation job initialized');
+  }
+
+  minutesFrom(now, minutes) {
+    return new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+  }
+
+  /**
+   * The alert emergency contacts get, in their language
+   */
+  renderAlert(type, bookingId, time, locale) {
+    const templateKey = TemplateService.hasTemplate(`emergency_alert.${type}`)
+      ? `emergency_alert.${type}`
+      : 'emergency_alert.trip_emergency';
+    return TemplateService.render(templateKey, { bookingId, time }, locale).message;
+  }
+
+  /**
+   * Open an incident for an SOS raised by the booking's passenger or driver
+   */
+  async openIncident(booking, triggeredBy, {
+    type = 'trip_emergency',
+    message = null,
+    location = null,
+    alertPassengerContacts = true,
+    alertDriverContacts = true,
+  } = {}, now = new Date()) {
+    const triggeredByRole = triggeredBy === booking.driverId ? 'driver' : 'passenger';
+    const [passengerLocale, driverLocale] = await Promise.all([
+      TemplateService.getUserLocale(booking.passengerId),
+      TemplateService.getUserLocale(booking.driverId),
+    ]);
+    const locale = triggeredByRole === 'driver' ? driverLocale : passengerLocale;
+
+    const renderAlert = alertLocale => this.renderAlert(type, booking.id, now, alertLocale);
+
+    const [snapshot, contacts] = await Promise.all([
+      this.snapshotTrip(booking, location, now).catch(error => {
+        logger.error(`Failed to snapshot the trip for an SOS on booking ${booking.id}:`, error);
+        return { takenAt: now.toISOString() };
+      }),
+      this.getEmergencyContacts(booking, { alertPassengerContacts, alertDriverContacts }),
+    ]);
+
+    const incident = new Incident({
+      bookingId: booking.id,
+      rideId: booking.rideId || null,
+      type,
+      triggeredBy,
+      triggeredByRole,
+      message,
+      locale,
+      alertMessage: renderAlert(locale),
+      snapshot,
+      contacts: contacts.map(contact => ({
+        ...contact,
+        // Contacts get the alert in their own language if they have one, otherwise in the traveller's
+        locale: TemplateService.resolveLocale(contact.locale || (contact.contactOf === booking.driverId ? driverLocale : passengerLocale)),
+        deliveries: {},
+      })),
+      nextEscalationAt: this.minutesFrom(now, INCIDENT_CONFIG.acknowledgeMinutes),
+      createdAt: now,
+    });
+    incident.record(triggeredBy, 'opened', { type, message }, now);
+    await incident.save();
+
+    await this.alertEmergencyContacts(incident, renderAlert, now);
+    await incident.save();
+
+    logger.warn(`SOS incident ${incident.id} opened on booking ${booking.id} by ${triggeredBy} (${type})`);
+    return incident;
+  }
+
+  /**
+   * The trip as it stood when the SOS was raised. Parts that can't be found
+   * are left empty: the alert must go out regardless.
+   */
+  async snapshotTrip(booking, reportedLocation, now) {
+    const [ride, session, bookingsSnapshot] = await Promise.all([
+      this.loadRide(booking.rideId),
+      booking.rideId
+        ? getDatabase().ref(`tripSessions/${booking.rideId}`).once('value').then(snapshot => snapshot.val())
+        : null,
+      booking.rideId
+        ? getDatabase().ref('bookings').orderByChild('rideId').equalTo(booking.rideId).once('value')
+        : null,
+    ]);
+
+    const passengers = {};
+    Object.entries(bookingsSnapshot?.val() || {})
+      .filter(([, entry]) => ['confirmed', 'in_progress'].includes(entry.status))
+      .forEach(([bookingId, entry]) => {
+        passengers[entry.passengerId] = bookingId;
+      });
+    passengers[booking.passengerId] = booking.id;
+
+    const driverId = booking.driverId || ride?.driverId;
+    const people = await this.loadUsers([driverId, ...Object.keys(passengers)]);
+    const person = (userId, role, bookingId = null) => ({
+      userId,
+      role,
+      bookingId,
+      name: people[userId]?.displayName || null,
+      phoneNumber: people[userId]?.phoneNumber || null,
+    });
+
+    // A location sent with the SOS is fresher than the last tracking ping
+    let location = null;
+    if (typeof reportedLocation?.lat === 'number' && typeof reportedLocation?.lng === 'number') {
+      location = { lat: reportedLocation.lat, lng: reportedLocation.lng, recordedAt: now.toISOString(), source: 'reported' };
+    } else if (session?.lastLocation) {
+      location = {
+        lat: session.lastLocation.lat,
+        lng: session.lastLocation.lng,
+        recordedAt: session.lastPingAt || null,
+        source: 'tracking',
+      };
+    }
+
+    return {
+      ride: ride ? {
+        id: booking.rideId,
+        origin: ride.origin || null,
+        destination: ride.destination || null,
+        departureDate: ride.departureDate || null,
+        departureTime: ride.departureTime || null,
+        status: ride.status || null,
+        trackingStatus: session?.status || null,
+      } : null,
+      driver: driverId ? person(driverId, 'driver') : null,
+      vehicle: ride?.vehicle ? {
+        make: ride.vehicle.make || null,
+        model: ride.vehicle.model || null,
+        color: ride.vehicle.color || null,
+        licensePlate: ride.vehicle.licensePlate || null,
+      } : null,
+      location,
+      participants: [
+        ...(driverId ? [person(driverId, 'driver')] : []),
+        ...Object.entries(passengers).map(([userId, bookingId]) => person(userId, 'passenger', bookingId)),
+      ],
+      takenAt: now.toISOString(),
+    };
+  }
+
+  /**
+   * The ride from the realtime database, where trips are tracked, or Firestore
+   */
+  async loadRide(rideId) {
+    if (!rideId) return null;
+
+    try {
+      const snapshot = await getDatabase().ref(`rides/${rideId}`).once('value');
+      return snapshot.val() || await Ride.findById(rideId);
+    } catch (error) {
+      logger.error(`Failed to load ride ${rideId} for an SOS snapshot:`, error);
+      return null;
+    }
+  }
+
+  async loadUsers(userIds) {
+    const users = {};
+    await Promise.all([...new Set(userIds.filter(Boolean))].map(async userId => {
+      try {
+        const doc = await getFirestore().collection('users').doc(userId).get();
+        users[userId] = doc.exists ? doc.data() : {};
+      } catch (error) {
+        logger.error(`Failed to load user ${userId} for an SOS snapshot:`, error);
+        users[userId] = {};
+      }
+    }));
+    return users;
+  }
+
+  /**
+   * Emergency contacts to alert. Contacts stored when the trip's emergency
+   * protocol was enabled are used if there are any, otherwise each
+   * traveller's current contacts.
+   */
+  async getEmergencyContacts(booking, { alertPassengerContacts, alertDriverContacts }) {
+    const realtimeDb = getDatabase();
+    const integration = (await realtimeDb.ref(`emergencyIntegration/${booking.id}`).once('value')).val();
+
+    const contactsOf = async (userId, stored) => {
+      if (integration?.emergencyProtocolEnabled) {
+        return stored || [];
+      }
+      return (await realtimeDb.ref(`users/${userId}/emergencyContacts`).once('value')).val() || [];
+    };
+
+    const groups = await Promise.all([
+      alertPassengerContacts ? contactsOf(booking.passengerId, integration?.passengerEmergencyContacts) : [],
+      alertDriverContacts ? contactsOf(booking.driverId, integration?.driverEmergencyContacts) : [],
+    ]);
+
+    return [
+      ...Object.values(groups[0]).map(contact => ({ ...contact, contactOf: booking.passengerId })),
+      ...Object.values(groups[1]).map(contact => ({ ...contact, contactOf: booking.driverId })),
+    ].map(contact => ({
+      name: contact.name || null,
+      phone: contact.phone || null,
+      email: contact.email || null,
+      relationship: contact.relationship || null,
+      contactOf: contact.contactOf,
+      locale: contact.language || null,
+    }));
+  }
+
+  /**
+   * Send the alert to every emergency contact not reached yet, by SMS and
+   * email where they have them
+   */
+  async alertEmergencyContacts(incident, renderAlert, now = new Date()) {
+    const { location } = incident.snapshot;
+    const mapLink = location ? `https://maps.google.com/?q=${location.lat},${location.lng}` : null;
+
+    for (const contact of incident.contacts) {
+      const alert = [renderAlert(contact.locale), incident.message, mapLink].filter(Boolean).join('\n\n');
+      const channels = {
+        sms: contact.phone ? () => NotificationService.sendSMS(contact.phone, alert) : null,
+        email: contact.email
+          ? () => NotificationService.sendEmail(contact.email, alert.split('\n')[0], `<pre>${TemplateService.escapeHtml(alert)}</pre>`, alert)
+          : null,
+      };
+
+      for (const [channel, send] of Object.entries(channels)) {
+        const delivery = contact.deliveries[channel] || { status: 'pending', attempts: 0 };
+        if (!send || delivery.status === 'sent') continue;
+
+        const result = await send();
+        delivery.attempts += 1;
+        delivery.status = result.success ? 'sent' : 'failed';
+        delivery.messageId = result.messageId || null;
+        delivery.lastError = result.success ? null : result.error || 'Unknown error';
+        delivery.lastAttemptAt = now.toISOString();
+        contact.deliveries[channel] = delivery;
+
+        incident.record('system', result.success ? 'contact_alerted' : 'contact_alert_failed', {
+          name: contact.name,
+          channel,
+          error: delivery.lastError,
+        }, now);
+      }
+    }
+  }
+
+  /**
+   * Alert the on-call team and try unreached emergency contacts again.
+   * Called by the escalation job, or by an admin who needs more help.
+   */
+  async escalate(incident, { actor = 'system', reason }, now = new Date()) {
+    if (!incident.isActive()) {
+      throw new Error('This incident has already been resolved');
+    }
+
+    incident.escalationLevel += 1;
+    incident.nextEscalationAt = incident.escalationLevel < INCIDENT_CONFIG.maxEscalationLevel
+      ? this.minutesFrom(now, incident.status === 'open' ? INCIDENT_CONFIG.acknowledgeMinutes : INCIDENT_CONFIG.followUpMinutes)
+      : null;
+    incident.record(actor, 'escalated', { level: incident.escalationLevel, reason }, now);
+
+    const { driver, vehicle, location } = incident.snapshot;
+    const summary = [
+      `TripO SOS ${incident.id} (${incident.type}) on booking ${incident.bookingId}, escalation level ${incident.escalationLevel}: ${reason}`,
+      driver ? `Driver: ${driver.name || driver.userId} ${driver.phoneNumber || ''}`.trim() : null,
+      vehicle?.licensePlate ? `Vehicle: ${[vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ')} ${vehicle.licensePlate}` : null,
+      location ? `Location: https://maps.google.com/?q=${location.lat},${location.lng}` : null,
+    ].filter(Boolean).join('\n');
+
+    for (const contact of INCIDENT_CONFIG.escalationContacts) {
+      const result = contact.includes('@')
+        ? await NotificationService.sendEmail(contact, `SOS escalation: booking ${incident.bookingId}`, `<pre>${TemplateService.escapeHtml(summary)}</pre>`, summary)
+        : await NotificationService.sendSMS(contact, summary);
+      incident.record('system', result.success ? 'on_call_alerted' : 'on_call_alert_failed', {
+        contact,
+        error: result.success ? null : result.error || 'Unknown error',
+      }, now);
+    }
+
+    await this.alertEmergencyContacts(
+      incident,
+      locale => this.renderAlert(incident.type, incident.bookingId, Incident.toDate(incident.createdAt), locale),
+      now
+    );
+
+    await incident.save();
+    logger.warn(`SOS incident ${incident.id} escalated to level ${incident.escalationLevel} by ${actor}: ${reason}`);
+    return incident;
+  }
+
+  /**
+   * Scheduled job: escalate incidents whose timer has run out
+   */
+  async processEscalations(now = new Date()) {
+    let escalated = 0;
+
+    try {
+      const incidents = await Incident.findByStatus(['open', 'acknowledged']);
+
+      for (const incident of incidents.filter(entry => entry.isDueForEscalation(now))) {
+        try {
+          const reason = incident.status === 'open'
+            ? `Not acknowledged within ${INCIDENT_CONFIG.acknowledgeMinutes} minutes`
+            : `No update for ${INCIDENT_CONFIG.followUpMinutes} minutes`;
+          await this.escalate(incident, { reason }, now);
+          escalated += 1;
+        } catch (error) {
+          logger.error(`Failed to escalate SOS incident ${incident.id}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to process SOS incident escalations:', error);
+    }
+
+    return escalated;
+  }
+
+  async getActiveIncident(incidentId) {
+    const incident = await Incident.findById(incidentId);
+    if (!incident) {
+      throw new Error('Incident not found');
+    }
+    if (!incident.isActive()) {
+      throw new Error('This incident has already been resolved');
+    }
+    return incident;
+  }
+
+  /**
+   * Take an open incident (admin)
+   */
+  async acknowledge(incidentId, adminUsername, note = null, now = new Date()) {
+    const incident = await this.getActiveIncident(incidentId);
+    if (incident.status !== 'open') {
+      throw new Error('This incident has already been acknowledged');
+    }
+
+    incident.status = 'acknowledged';
+    incident.acknowledgement = { by: adminUsername, at: now.toISOString() };
+    incident.nextEscalationAt = this.minutesFrom(now, INCIDENT_CONFIG.followUpMinutes);
+    incident.record(adminUsername, 'acknowledged', null, now);
+    if (note) {
+      incident.notes.push({ by: adminUsername, text: note, at: now.toISOString() });
+      incident.record(adminUsername, 'note_added', { text: note }, now);
+    }
+    await incident.save();
+
+    await this.notifyTraveller(incident, 'sos_acknowledged');
+    logger.info(`SOS incident ${incident.id} acknowledged by ${adminUsername}`);
+    return incident;
+  }
+
+  /**
+   * Add a status note (admin). A note on an acknowledged incident restarts
+   * its follow-up timer.
+   */
+  async addNote(incidentId, adminUsername, text, now = new Date()) {
+    const incident = await this.getActiveIncident(incidentId);
+
+    incident.notes.push({ by: adminUsername, text, at: now.toISOString() });
+    incident.record(adminUsername, 'note_added', { text }, now);
+    if (incident.status === 'acknowledged' && incident.nextEscalationAt) {
+      incident.nextEscalationAt = this.minutesFrom(now, INCIDENT_CONFIG.followUpMinutes);
+    }
+    await incident.save();
+    return incident;
+  }
+
+  /**
+   * Escalate an incident by hand (admin)
+   */
+  async escalateIncident(incidentId, adminUsername, reason, now = new Date()) {
+    const incident = await this.getActiveIncident(incidentId);
+    return this.escalate(incident, { actor: adminUsername, reason }, now);
+  }
+
+  /**
+   * Close an incident (admin)
+   */
+  async resolve(incidentId, adminUsername, { outcome, summary }, now = new Date()) {
+    const incident = await this.getActiveIncident(incidentId);
+    if (!RESOLUTION_OUTCOMES.includes(outcome)) {
+      throw new Error(`Outcome must be one of: ${RESOLUTION_OUTCOMES.join(', ')}`);
+    }
+
+    incident.status = 'resolved';
+    incident.nextEscalationAt = null;
+    incident.resolution = { outcome, summary, resolvedBy: adminUsername, resolvedAt: now.toISOString() };
+    incident.record(adminUsername, 'resolved', { outcome, summary }, now);
+    await incident.save();
+
+    await this.notifyTraveller(incident, 'sos_resolved');
+    logger.info(`SOS incident ${incident.id} resolved by ${adminUsername} (${outcome})`);
+    return incident;
+  }
+
+  /**
+   * An incident, for admins
+   */
+  async getIncident(incidentId) {
+    const incident = await Incident.findById(incidentId);
+    if (!incident) {
+      throw new Error('Incident not found');
+    }
+    return incident;
+  }
+
+  /**
+   * Incidents for the admin queue. "active" is everything not yet resolved.
+   */
+  async listIncidents(status = 'active') {
+    return Incident.findByStatus(status === 'active' ? ['open', 'acknowledged'] : [status]);
+  }
+
+  /**
+   * Incidents raised on a booking, for its passenger or driver
+   */
+  async getBookingIncidents(booking, userId) {
+    if (booking.passengerId !== userId && booking.driverId !== userId) {
+      throw new Error('Access denied');
+    }
+    return Incident.findByBookingId(booking.id);
+  }
+
+  /**
+   * Tell whoever raised the SOS how it is going, over every channel they have
+   */
+  async notifyTraveller(incident, template) {
+    const userId = incident.triggeredBy;
+
+    try {
+      const [channels, userDoc] = await Promise.all([
+        NotificationPreferencesService.getNotificationChannels(userId, 'safety'),
+        getFirestore().collection('users').doc(userId).get(),
+      ]);
+      const user = userDoc.exists ? userDoc.data() : {};
+
+      await NotificationService.sendComprehensiveNotification(userId, {
+        type: template,
+        template,
+        variables: { bookingId: incident.bookingId },
+        data: { bookingId: incident.bookingId, incidentId: incident.id, status: incident.status },
+        priority: 'critical',
+      }, channels, {
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+        fcmToken: await NotificationPreferencesService.getFCMToken(userId),
+        locale: user.preferences?.language,
+      }, { category: 'safety' });
+    } catch (error) {
+      logger.error(`Failed to send SOS update to ${userId}:`, error);
+    }
+  }
+}
+
+module.exports = new IncidentService();
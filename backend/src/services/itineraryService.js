@@ -0,0 +1,267 @@
+const { getDatabase } = require('../config/firebase');
+const segments = require('../utils/segments');
+const itineraries = require('../utils/itineraries');
+const dynamicPricing = require('../utils/dynamicPricing');
+const logger = require('../utils/logger');
+
+/**
+ * Books connecting itineraries: one booking per leg, all or nothing.
+ *
+ * Seats are taken with a Realtime Database transaction on each ride in leg
+ * order. If a later leg cannot be reserved, seats already taken on earlier
+ * legs are released again and no booking is written. Once every leg holds its
+ * seats, the bookings and the itinerary record are written in one multi-path
+ * update. Legs are confirmed straight away, since a leg waiting for driver
+ * approval could break the connection.
+ */
+class ItineraryService {
+  /**
+   * Validate the legs against current ride data and price them
+   */
+  async planItinerary(passengerId, { legs, seatsBooked, minLayoverMinutes, maxLayoverMinutes }) {
+    const db = getDatabase();
+    const layoverOptions = {
+      minLayoverMinutes: minLayoverMinutes ?? itineraries.DEFAULT_LAYOVER.minLayoverMinutes,
+      maxLayoverMinutes: maxLayoverMinutes ?? itineraries.DEFAULT_LAYOVER.maxLayoverMinutes,
+    };
+
+    const plannedLegs = [];
+    for (const [legIndex, legRequest] of legs.entries()) {
+      const rideSnapshot = await db.ref(`rides/${legRequest.rideId}`).once('value');
+      if (!rideSnapshot.exists()) {
+        throw new Error(`Ride not found for leg ${legIndex + 1}`);
+      }
+
+      const rideData = { ...rideSnapshot.val(), id: legRequest.rideId };
+      if (rideData.status !== 'published') {
+        throw new Error(`Ride for leg ${legIndex + 1} is not available for booking`);
+      }
+      if (rideData.driverId === passengerId) {
+        throw new Error('You cannot book your own ride');
+      }
+      if (rideData.passengers?.[passengerId]) {
+        throw new Error(`You have already booked the ride for leg ${legIndex + 1}`);
+      }
+
+      const quote = segments.planSegmentBooking(
+        rideData,
+        legRequest.pickupStopId || legRequest.pickupPoint,
+        legRequest.dropoffStopId || legRequest.dropoffPoint,
+        seatsBooked
+      );
+      const leg = itineraries.describeLeg(rideData, quote);
+      if (!leg.departureAt || new Date(leg.departureAt) <= new Date()) {
+        throw new Error('Cannot book rides that have already departed');
+      }
+
+      plannedLegs.push({ rideData, quote, leg });
+    }
+
+    for (let index = 1; index < plannedLegs.length; index++) {
+      const problem = itineraries.checkConnection(plannedLegs[index - 1].leg, plannedLegs[index].leg, layoverOptions);
+      if (problem) {
+        throw new Error(problem);
+      }
+    }
+
+    return plannedLegs;
+  }
+
+  /**
+   * Book every leg of an itinerary, or none of them
+   */
+  async bookItinerary(passengerId, itineraryData) {
+    const seatsBooked = parseInt(itineraryData.seatsBooked);
+    const plannedLegs = await this.planItinerary(passengerId, { ...itineraryData, seatsBooked });
+
+    const db = getDatabase();
+    const itineraryId = db.ref('itineraries').push().key;
+    const now = new Date().toISOString();
+
+    const bookings = plannedLegs.map(({ rideData, quote }, legIndex) => {
+      const lastStopIndex = segments.getRouteStops(rideData).length - 1;
+      const pricePerSeat = quote.pricePerSeat;
+
+      return {
+        id: db.ref('bookings').push().key,
+        rideId: rideData.id,
+        passengerId,
+        driverId: rideData.driverId,
+        seatsBooked,
+        pickupPoint: quote.segment.fromIndex === 0 ? rideData.origin.city : quote.segment.fromStopName,
+        dropoffPoint: quote.segment.toIndex === lastStopIndex ? rideData.destination.city : quote.segment.toStopName,
+        segment: quote.segment,
+        itinerary: { id: itineraryId, legIndex, legCount: plannedLegs.length },
+        passengerNotes: itineraryData.passengerNotes || '',
+        pricing: {
+          pricePerSeat,
+          fullRoutePricePerSeat: rideData.pricePerSeat,
+          fareRatio: quote.segment.fareRatio,
+          totalAmount: pricePerSeat * seatsBooked,
+          serviceFee: Math.round(pricePerSeat * seatsBooked * 0.05), // 5% service fee
+          finalAmount: Math.round(pricePerSeat * seatsBooked * 1.05),
+          ...dynamicPricing.getPriceLock(rideData)
+        },
+        payment: {
+          method: null,
+          transactionId: null,
+          status: 'pending'
+        },
+        status: 'confirmed',
+        requestedAt: now,
+        confirmedAt: now
+      };
+    });
+
+    // Hold seats leg by leg, undoing earlier legs if a later one is gone
+    const reservedRides = [];
+    for (const [legIndex, booking] of bookings.entries()) {
+      const rideData = await this.reserveLeg(booking, now);
+      if (!rideData) {
+        await Promise.all(reservedRides.map(reservedBooking => this.releaseLeg(reservedBooking)));
+        throw new Error(`Seats on leg ${legIndex + 1} are no longer available`);
+      }
+      reservedRides.push(booking);
+      plannedLegs[legIndex].rideData = rideData;
+    }
+
+    const summary = itineraries.summarizeItinerary(plannedLegs.map(planned => planned.leg));
+    const itinerary = {
+      id: itineraryId,
+      passengerId,
+      seatsBooked,
+      bookingIds: bookings.map(booking => booking.id),
+      legs: summary.legs,
+      layovers: summary.layovers,
+      departureAt: summary.departureAt,
+      arrivalAt: summary.arrivalAt,
+      totalTravelMinutes: summary.totalTravelMinutes,
+      pricing: {
+        pricePerSeat: summary.pricePerSeat,
+        totalAmount: bookings.reduce((sum, booking) => sum + booking.pricing.totalAmount, 0),
+        serviceFee: bookings.reduce((sum, booking) => sum + booking.pricing.serviceFee, 0),
+        finalAmount: bookings.reduce((sum, booking) => sum + booking.pricing.finalAmount, 0)
+      },
+      status: 'confirmed',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const updates = { [`itineraries/${itineraryId}`]: itinerary };
+    bookings.forEach(({ id, ...booking }) => {
+      updates[`bookings/${id}`] = booking;
+    });
+
+    try {
+      await db.ref().update(updates);
+    } catch (error) {
+      await Promise.all(bookings.map(booking => this.releaseLeg(booking)));
+      throw error;
+    }
+
+    logger.info(`Itinerary booked: ${itineraryId} with bookings ${itinerary.bookingIds.join(', ')}`);
+    return {
+      itinerary,
+      bookings,
+      rides: plannedLegs.map(({ rideData }) => rideData)
+    };
+  }
+
+  /**
+   * Take the booking's seats on its ride; returns the updated ride, or null when the seats are gone
+   */
+  async reserveLeg(booking, bookingTime) {
+    const rideRef = getDatabase().ref(`rides/${booking.rideId}`);
+    const { fromIndex, toIndex } = booking.segment;
+
+    const result = await rideRef.transaction((ride) => {
+      if (!ride) {
+        return ride;
+      }
+      if (ride.status !== 'published' || ride.passengers?.[booking.passengerId]) {
+        return undefined; // Abort
+      }
+
+      const segmentSeats = segments.getSegmentSeats(ride);
+      if (segments.getAvailableSeatsForSegment(segmentSeats, fromIndex, toIndex) < booking.seatsBooked) {
+        return undefined;
+      }
+
+      const updatedSegmentSeats = segments.reserveSegmentSeats(segmentSeats, fromIndex, toIndex, booking.seatsBooked);
+      return {
+        ...ride,
+        segmentSeats: updatedSegmentSeats,
+        availableSeats: segments.summarizeAvailableSeats(updatedSegmentSeats),
+        passengers: {
+          ...ride.passengers,
+          [booking.passengerId]: {
+            seatsBooked: booking.seatsBooked,
+            status: 'confirmed',
+            bookingTime,
+            pickupPoint: booking.pickupPoint,
+            dropoffPoint: booking.dropoffPoint,
+            segment: { fromIndex, toIndex },
+            itineraryId: booking.itinerary.id
+          }
+        },
+        updatedAt: bookingTime
+      };
+    });
+
+    return result.committed && result.snapshot.exists() ? result.snapshot.val() : null;
+  }
+
+  /**
+   * Give back seats taken by reserveLeg
+   */
+  async releaseLeg(booking) {
+    const rideRef = getDatabase().ref(`rides/${booking.rideId}`);
+    const { fromIndex, toIndex } = booking.segment;
+
+    try {
+      await rideRef.transaction((ride) => {
+        if (!ride || ride.passengers?.[booking.passengerId]?.itineraryId !== booking.itinerary.id) {
+          return ride;
+        }
+
+        const updatedSegmentSeats = segments.releaseSegmentSeats(
+          segments.getSegmentSeats(ride),
+          fromIndex,
+          toIndex,
+          booking.seatsBooked,
+          ride.totalSeats
+        );
+        const passengers = { ...ride.passengers };
+        delete passengers[booking.passengerId];
+
+        return {
+          ...ride,
+          segmentSeats: updatedSegmentSeats,
+          availableSeats: segments.summarizeAvailableSeats(updatedSegmentSeats),
+          passengers,
+          updatedAt: new Date().toISOString()
+        };
+      });
+    } catch (error) {
+      logger.error(`Error releasing seats for itinerary ${booking.itinerary.id} on ride ${booking.rideId}:`, error);
+    }
+  }
+
+  /**
+   * Get an itinerary visible to its passenger
+   */
+  async getItinerary(itineraryId, userId) {
+    const snapshot = await getDatabase().ref(`itineraries/${itineraryId}`).once('value');
+    if (!snapshot.exists()) {
+      throw new Error('Itinerary not found');
+    }
+
+    const itinerary = snapshot.val();
+    if (itinerary.passengerId !== userId) {
+      throw new Error('Access denied');
+    }
+    return itinerary;
+  }
+}
+
+module.exports = new ItineraryService();
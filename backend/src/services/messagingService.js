@@ -1,8 +1,13 @@
 const Message = require('../models/Message');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
+const TemplateService = require('./templateService');
+const IncidentService = require('./incidentService');
 const logger = require('../utils/logger');
 
+// Preset messages posted in the booking conversation during an emergency
+const EMERGENCY_MESSAGE_TYPES = ['general', 'breakdown', 'accident', 'location', 'late'];
+
 class MessagingService {
   /**
    * Enable communication features after booking confirmation
@@ -92,7 +97,7 @@ class MessagingService {
       
       // Get driver information
       const User = require('../models/User');
-      const driver = await User.findById(booking.driverId);
+      const driver = await User.findByUid(booking.driverId);
       
       if (!driver) {
         throw new Error('Driver not found');
@@ -182,48 +187,29 @@ class MessagingService {
   }
 
   /**
-   * Send emergency alert to emergency contacts
+   * Raise an SOS: opens an incident, which snapshots the trip, alerts the
+   * emergency contacts and puts it in the admin queue
    */
   static async sendEmergencyAlert(booking, alertType, alertData = {}) {
     try {
       const { getDatabase } = require('../config/firebase');
       const realtimeDb = getDatabase();
-      
-      // Get emergency integration data
-      const emergencyRef = realtimeDb.ref(`emergencyIntegration/${booking.id}`);
-      const emergencySnapshot = await emergencyRef.once('value');
-      const emergencyData = emergencySnapshot.val();
-      
-      if (!emergencyData || !emergencyData.emergencyProtocolEnabled) {
-        throw new Error('Emergency protocol not enabled for this booking');
-      }
-
-      // Determine which emergency contacts to alert
-      let contactsToAlert = [];
-      if (alertData.alertPassengerContacts) {
-        contactsToAlert = contactsToAlert.concat(emergencyData.passengerEmergencyContacts || []);
-      }
-      if (alertData.alertDriverContacts) {
-        contactsToAlert = contactsToAlert.concat(emergencyData.driverEmergencyContacts || []);
-      }
-
-      // Create emergency alert messages
-      const alertMessages = {
-        trip_emergency: `🚨 TRIP EMERGENCY ALERT\n\nThere has been an emergency during a trip. Trip ID: ${booking.id}\nTime: ${new Date().toLocaleString()}\n\nPlease contact the traveler immediately.`,
-        breakdown: `🚗 VEHICLE BREAKDOWN ALERT\n\nVehicle breakdown reported during trip ${booking.id}\nTime: ${new Date().toLocaleString()}\n\nTraveler may need assistance.`,
-        accident: `🚨 ACCIDENT ALERT\n\nAccident reported during trip ${booking.id}\nTime: ${new Date().toLocaleString()}\n\nEmergency services may be needed.`,
-        location_emergency: `📍 LOCATION EMERGENCY\n\nLocation-based emergency during trip ${booking.id}\nTime: ${new Date().toLocaleString()}\n\nImmediate assistance may be required.`
-      };
 
-      const alertMessage = alertMessages[alertType] || alertMessages.trip_emergency;
+      const incident = await IncidentService.openIncident(booking, alertData.triggeredBy, {
+        type: alertType,
+        message: alertData.customMessage || null,
+        location: alertData.location || null,
+        alertPassengerContacts: Boolean(alertData.alertPassengerContacts),
+        alertDriverContacts: Boolean(alertData.alertDriverContacts)
+      });
 
-      // In a real implementation, this would send SMS/calls to emergency contacts
-      // For now, we'll log the alerts and store them
       const alertRecord = {
         bookingId: booking.id,
+        incidentId: incident.id,
         alertType,
-        alertMessage,
-        contactsAlerted: contactsToAlert.length,
+        alertMessage: incident.alertMessage,
+        locale: incident.locale,
+        contactsAlerted: incident.getSummary().contactsNotified,
         alertData,
         sentAt: new Date().toISOString()
       };
@@ -232,12 +218,7 @@ class MessagingService {
       const alertRef = realtimeDb.ref(`emergencyAlerts/${booking.id}`).push();
       await alertRef.set(alertRecord);
 
-      // Log each contact that would be alerted
-      contactsToAlert.forEach(contact => {
-        logger.info(`Emergency alert would be sent to: ${contact.name} (${contact.phone}) - ${alertMessage}`);
-      });
-
-      logger.info(`Emergency alert sent for booking: ${booking.id}, type: ${alertType}`);
+      logger.info(`Emergency alert sent for booking: ${booking.id}, type: ${alertType}, incident: ${incident.id}`);
       return alertRecord;
     } catch (error) {
       logger.error('Error sending emergency alert:', error);
@@ -278,11 +259,12 @@ class MessagingService {
    */
   static async sendCustomEmergencyMessage(conversationId, fromUserId, toUserId, customMessage) {
     try {
+      const locale = await TemplateService.getUserLocale(toUserId);
       const message = await Message.create({
         conversationId,
         fromUserId,
         toUserId,
-        content: `🚨 EMERGENCY: ${customMessage}`,
+        content: TemplateService.render('emergency_message.custom', { message: customMessage }, locale).message,
         type: 'text',
         metadata: {
           isEmergency: true,
@@ -596,10 +578,10 @@ class MessagingService {
         booking.driverId,
         booking.passengerId,
         {
-          pickupTime: coordinationData.pickupTime || 'the scheduled time',
-          pickupLocation: coordinationData.pickupLocation || 'the pickup point',
-          driverLocation: coordinationData.driverLocation || 'nearby',
-          estimatedArrival: coordinationData.estimatedArrival || '5 minutes'
+          pickupTime: coordinationData.pickupTime || null,
+          pickupLocation: coordinationData.pickupLocation || null,
+          driverLocation: coordinationData.driverLocation || null,
+          estimatedArrival: coordinationData.estimatedArrival || null
         }
       );
 
@@ -637,7 +619,7 @@ class MessagingService {
   /**
    * Send pickup reminder message
    */
-  static async sendPickupReminder(booking, timeUntilPickup = '30 minutes') {
+  static async sendPickupReminder(booking, timeUntilPickup = null) {
     try {
       const conversationId = `booking_${booking.id}`;
       
@@ -648,8 +630,8 @@ class MessagingService {
         booking.passengerId,
         {
           timeUntilPickup,
-          pickupLocation: booking.pickupPoint?.name || 'the pickup point',
-          pickupTime: booking.pickupPoint?.time || 'the scheduled time'
+          pickupLocation: booking.pickupPoint?.name || null,
+          pickupTime: booking.pickupPoint?.time || null
         }
       );
 
@@ -674,10 +656,10 @@ class MessagingService {
         booking.driverId,
         booking.passengerId,
         {
-          vehicleColor: vehicleDetails.color || 'car',
+          vehicleColor: vehicleDetails.color || null,
           vehicleMake: vehicleDetails.make || '',
           vehicleModel: vehicleDetails.model || '',
-          licensePlate: vehicleDetails.licensePlate || 'license plate'
+          licensePlate: vehicleDetails.licensePlate || null
         }
       );
 
@@ -702,7 +684,7 @@ class MessagingService {
         booking.driverId,
         booking.passengerId,
         {
-          estimatedArrival: estimatedArrival || 'as scheduled'
+          estimatedArrival: estimatedArrival || null
         }
       );
 
@@ -883,19 +865,19 @@ class MessagingService {
         }
 
         const [passenger, driver] = await Promise.all([
-          User.findById(booking.passengerId),
-          User.findById(booking.driverId)
+          User.findByUid(booking.passengerId),
+          User.findByUid(booking.driverId)
         ]);
 
         return [
           {
-            id: passenger?.id,
+            id: passenger?.uid,
             name: passenger?.profile?.name || 'Unknown Passenger',
             avatar: passenger?.profile?.avatar || null,
             role: 'passenger'
           },
           {
-            id: driver?.id,
+            id: driver?.uid,
             name: driver?.profile?.name || 'Unknown Driver',
             avatar: driver?.profile?.avatar || null,
             role: 'driver'
@@ -1144,34 +1126,6 @@ class MessagingService {
     }
   }
 
-  /**
-   * Get booking communication status
-   */
-  static async getBookingCommunicationStatus(bookingId) {
-    try {
-      const { getDatabase } = require('../config/firebase');
-      const realtimeDb = getDatabase();
-      
-      const [bookingCommSnapshot, tripCommSnapshot] = await Promise.all([
-        realtimeDb.ref(`bookingCommunication/${bookingId}`).once('value'),
-        realtimeDb.ref(`tripCommunication/${bookingId}`).once('value')
-      ]);
-
-      return {
-        bookingCommunication: bookingCommSnapshot.val(),
-        tripCommunication: tripCommSnapshot.val(),
-        isEnabled: !!bookingCommSnapshot.val()
-      };
-    } catch (error) {
-      logger.error('Error getting booking communication status:', error);
-      return {
-        bookingCommunication: null,
-        tripCommunication: null,
-        isEnabled: false
-      };
-    }
-  }
-
   /**
    * Send emergency contact message
    */
@@ -1180,21 +1134,15 @@ class MessagingService {
       const conversationId = `booking_${booking.id}`;
       const toUserId = fromUserId === booking.driverId ? booking.passengerId : booking.driverId;
       
-      const emergencyMessages = {
-        general: 'This is an emergency message. Please respond as soon as possible.',
-        breakdown: 'Vehicle breakdown - I need assistance. Please contact me immediately.',
-        accident: 'EMERGENCY: Accident occurred. Please call emergency services and contact me.',
-        location: 'EMERGENCY: I need help with my location. Please assist.',
-        late: 'I am running significantly late due to an emergency. Please contact me.'
-      };
-
-      const emergencyMessage = emergencyMessages[emergencyType] || emergencyMessages.general;
+      // Written in the recipient's language
+      const templateKey = `emergency_message.${EMERGENCY_MESSAGE_TYPES.includes(emergencyType) ? emergencyType : 'general'}`;
+      const locale = await TemplateService.getUserLocale(toUserId);
 
       const message = await Message.create({
         conversationId,
         fromUserId,
         toUserId,
-        content: emergencyMessages[emergencyType] || emergencyMessages.general,
+        content: TemplateService.render(templateKey, {}, locale).message,
         type: 'text',
         metadata: {
           isEmergency: true,
@@ -1433,7 +1381,7 @@ class MessagingService {
         templateType = 'trip_completed';
       } else if (newStatus.includes('cancelled')) {
         templateType = 'cancellation_notice';
-        templateData.reason = booking.cancellationReason || 'No reason provided';
+        templateData.reason = booking.cancellationReason || null;
       }
       
       if (templateType) {
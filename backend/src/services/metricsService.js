@@ -1,5 +1,8 @@
 const logger = require('../utils/logger');
 
+// How long route searches are remembered for search volume
+const SEARCH_VOLUME_RETENTION_MS = 24 * 60 * 60 * 1000;
+
 class MetricsService {
   constructor() {
     this.metrics = new Map();
@@ -7,6 +10,7 @@ class MetricsService {
     this.gauges = new Map();
     this.histograms = new Map();
     this.timers = new Map();
+    this.searchVolume = new Map(); // route -> timestamps of recent searches
     
     // Initialize default metrics
     this.initializeDefaultMetrics();
@@ -241,6 +245,14 @@ class MetricsService {
   // Search metrics
   recordSearchRequest(origin, destination, filters, resultCount, duration) {
     this.recordHistogram('search_request_duration_seconds', duration / 1000);
+
+    if (origin && destination) {
+      const routeKey = this.getSearchRouteKey(origin, destination);
+      const since = Date.now() - SEARCH_VOLUME_RETENTION_MS;
+      const searches = (this.searchVolume.get(routeKey) || []).filter(timestamp => timestamp >= since);
+      searches.push(Date.now());
+      this.searchVolume.set(routeKey, searches);
+    }
     
     logger.metric('search_request', resultCount, {
       origin,
@@ -252,6 +264,17 @@ class MetricsService {
     });
   }
 
+  getSearchRouteKey(origin, destination) {
+    return `${String(origin).trim().toLowerCase()}-${String(destination).trim().toLowerCase()}`;
+  }
+
+  // Searches for a route within the last windowMs (used by dynamic pricing)
+  getSearchVolume(origin, destination, windowMs = SEARCH_VOLUME_RETENTION_MS) {
+    const routeKey = this.getSearchRouteKey(origin, destination);
+    const since = Date.now() - windowMs;
+    return (this.searchVolume.get(routeKey) || []).filter(timestamp => timestamp >= since).length;
+  }
+
   // System health metrics
   recordDatabaseConnection(count) {
     this.setGauge('database_connections', count);
@@ -319,17 +342,18 @@ class MetricsService {
     return labels ? `{${labels}}` : '';
   }
 
-  // Start periodic metrics collection
+  // Start periodic metrics collection. The timers don't keep the process
+  // alive on their own, so scripts and tests that load this can exit
   startMetricsCollection() {
     // Collect system metrics every 30 seconds
     setInterval(() => {
       this.collectSystemMetrics();
-    }, 30000);
+    }, 30000).unref();
     
     // Log metrics summary every 5 minutes
     setInterval(() => {
       this.logMetricsSummary();
-    }, 300000);
+    }, 300000).unref();
   }
 
   collectSystemMetrics() {
@@ -370,6 +394,7 @@ class MetricsService {
     this.gauges.clear();
     this.histograms.clear();
     this.timers.clear();
+    this.searchVolume.clear();
     this.initializeDefaultMetrics();
   }
 }
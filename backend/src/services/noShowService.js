@@ -0,0 +1,518 @@
+const cron = require('node-cron');
+const { getDatabase, getFirestore } = require('../config/firebase');
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const Payment = require('../models/Payment');
+const NoShowReport = require('../models/NoShowReport');
+const paymentService = require('./paymentService');
+const walletService = require('./walletService');
+const BookingService = require('./bookingService');
+const RatingService = require('./ratingService');
+const NotificationService = require('./notificationService');
+const NotificationPreferencesService = require('./notificationPreferencesService');
+const mapsService = require('../utils/maps');
+const logger = require('../utils/logger');
+
+const NO_SHOW_CONFIG = {
+  reportOpensMinutes: parseInt(process.env.NO_SHOW_REPORT_OPENS_MINUTES) || 15, // Time to wait at the pickup before reporting
+  reportWindowHours: parseInt(process.env.NO_SHOW_REPORT_WINDOW_HOURS) || 24,
+  disputeWindowHours: parseInt(process.env.NO_SHOW_DISPUTE_WINDOW_HOURS) || 24,
+};
+
+const isRefundedFor = (payment, reason) => payment.refunds.some(refund => refund.reason === reason);
+
+/**
+ * Driver and passenger no-shows.
+ *
+ * Either side of a confirmed booking can report the other once the ride has
+ * left. The report is checked against the trip tracking session: a driver
+ * who reached the pickup did show up, and a driver who never got there
+ * can't blame the passenger. Reports the tracking contradicts are dismissed
+ * straight away. Otherwise the reported user can dispute; a dispute against
+ * supporting evidence is overruled, and one without evidence either way goes
+ * to an admin. Undisputed reports are upheld when the dispute window closes.
+ *
+ * Upheld driver no-shows refund the passenger in full and count against the
+ * driver's reliability. Upheld passenger no-shows cost the passenger a
+ * cancellation fee. Both lower the user's verification level.
+ */
+class NoShowService {
+  constructor() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start the job that upholds reports nobody disputed
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    cron.schedule('*/5 * * * *', () => {
+      this.processDueReports();
+    });
+
+    this.isInitialized = true;
+    logger.info('No-show outcome job initialized');
+  }
+
+  getDepartureTime(ride) {
+    return new Date(`${ride.departureDate} ${ride.departureTime}`);
+  }
+
+  /**
+   * The booking from the realtime database, where POST /api/bookings creates it, or Firestore
+   */
+  async loadBooking(bookingId) {
+    const snapshot = await getDatabase().ref(`bookings/${bookingId}`).once('value');
+    const booking = snapshot.val();
+    return booking ? { id: bookingId, ...booking } : await Booking.findById(bookingId);
+  }
+
+  /**
+   * The ride from the realtime database, where trips are tracked, or Firestore
+   */
+  async loadRide(rideId) {
+    const snapshot = await getDatabase().ref(`rides/${rideId}`).once('value');
+    const ride = snapshot.val();
+    return ride ? { id: rideId, ...ride } : await Ride.findById(rideId);
+  }
+
+  /**
+   * Mark the booking as a no-show. A realtime booking and its passenger entry
+   * on the ride are updated in place; the seats stay taken as the trip has left.
+   */
+  async markNoShow(booking, report) {
+    if (typeof booking.updateStatus === 'function') {
+      await booking.updateStatus(report.type, report.reason);
+      return;
+    }
+
+    const noShowAt = new Date().toISOString();
+    const db = getDatabase();
+    await db.ref(`bookings/${booking.id}`).update({ status: report.type, noShowAt, updatedAt: noShowAt });
+
+    const passengerRef = db.ref(`rides/${booking.rideId}/passengers/${booking.passengerId}`);
+    if ((await passengerRef.once('value')).val()) {
+      await passengerRef.update({ status: report.type, noShowAt });
+    }
+  }
+
+  /**
+   * What the trip tracking session says about the passenger's pickup, and
+   * whether that supports, contradicts or says nothing about the report
+   */
+  async gatherEvidence(booking, type) {
+    const [sessionSnapshot, trailSnapshot] = await Promise.all([
+      getDatabase().ref(`tripSessions/${booking.rideId}`).once('value'),
+      getDatabase().ref(`tripTrails/${booking.rideId}`).once('value'),
+    ]);
+
+    const session = sessionSnapshot.val();
+    const pickup = Object.values(session?.pickups || {})
+      .find(entry => entry.passengerId === booking.passengerId) || null;
+    const points = Object.values(trailSnapshot.val() || {});
+
+    const evidence = {
+      boardedAt: booking.boarding?.boardedAt || null,
+      trackingStarted: Boolean(session),
+      pingCount: session?.pingCount || 0,
+      driverArrivedAt: pickup?.arrivedAt || null,
+      closestApproachMeters: pickup?.coordinates && points.length > 0
+        ? Math.round(Math.min(...points.map(point => mapsService.calculateDistance(point, pickup.coordinates))) * 1000)
+        : null,
+      verdict: 'inconclusive',
+    };
+
+    // A boarding check-in means both sides turned up
+    if (evidence.boardedAt) {
+      evidence.verdict = 'contradicts';
+    } else if (pickup && evidence.pingCount > 0) {
+      // Without location pings for this pickup it is one word against the other
+      const driverArrived = Boolean(pickup.arrivedAt);
+      if (type === 'driver_no_show') {
+        evidence.verdict = driverArrived ? 'contradicts' : 'supports';
+      } else {
+        evidence.verdict = driverArrived ? 'supports' : 'contradicts';
+      }
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Report the other side of a confirmed booking as a no-show.
+   * The passenger reports the driver and the driver reports the passenger.
+   */
+  async reportNoShow(bookingId, userId, { reason = null } = {}, now = new Date()) {
+    const booking = await this.loadBooking(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    let type;
+    if (booking.passengerId === userId) {
+      type = 'driver_no_show';
+    } else if (booking.driverId === userId) {
+      type = 'passenger_no_show';
+    } else {
+      throw new Error('Access denied');
+    }
+
+    if (booking.status !== 'confirmed') {
+      throw new Error('Only confirmed bookings can be reported as a no-show');
+    }
+    if (await NoShowReport.findByBookingId(bookingId)) {
+      throw new Error('A no-show has already been reported for this booking');
+    }
+
+    const ride = await this.loadRide(booking.rideId);
+    if (!ride) {
+      throw new Error('Ride not found');
+    }
+
+    const minutesSinceDeparture = (now - this.getDepartureTime(ride)) / (1000 * 60);
+    if (minutesSinceDeparture < NO_SHOW_CONFIG.reportOpensMinutes) {
+      throw new Error(`A no-show can only be reported ${NO_SHOW_CONFIG.reportOpensMinutes} minutes after departure`);
+    }
+    if (minutesSinceDeparture > NO_SHOW_CONFIG.reportWindowHours * 60) {
+      throw new Error('The no-show reporting window for this booking has closed');
+    }
+
+    const report = new NoShowReport({
+      bookingId,
+      rideId: booking.rideId,
+      type,
+      reportedBy: userId,
+      reportedUserId: type === 'driver_no_show' ? booking.driverId : booking.passengerId,
+      reason,
+      evidence: await this.gatherEvidence(booking, type),
+      disputeDeadline: new Date(now.getTime() + NO_SHOW_CONFIG.disputeWindowHours * 60 * 60 * 1000).toISOString(),
+      createdAt: now,
+    });
+
+    if (report.evidence.verdict === 'contradicts') {
+      report.status = 'dismissed';
+      report.resolution = {
+        outcome: 'dismissed',
+        reason: 'Trip tracking contradicts the report',
+        resolvedBy: 'system',
+        resolvedAt: now.toISOString(),
+      };
+      await report.save();
+
+      logger.info(`No-show report on booking ${bookingId} dismissed by trip tracking evidence`);
+      return report;
+    }
+
+    await report.save();
+
+    await this.sendNotification(report.reportedUserId, {
+      type: 'no_show_reported',
+      variables: { bookingId, disputeDeadline: report.disputeDeadline },
+      data: { bookingId, rideId: booking.rideId, type, disputeDeadline: report.disputeDeadline },
+      priority: 'high',
+    });
+
+    logger.info(`No-show reported on booking ${bookingId}: ${type} by ${userId}`);
+    return report;
+  }
+
+  /**
+   * Dispute a no-show report (reported user)
+   */
+  async disputeNoShow(bookingId, userId, { statement }, now = new Date()) {
+    const report = await NoShowReport.findByBookingId(bookingId);
+    if (!report) {
+      throw new Error('No-show report not found');
+    }
+    if (report.reportedUserId !== userId) {
+      throw new Error('Only the reported user can dispute this no-show');
+    }
+    if (!report.isDisputable(now)) {
+      throw new Error('This no-show report can no longer be disputed');
+    }
+
+    report.dispute = { statement, disputedAt: now.toISOString() };
+
+    if (report.evidence.verdict === 'supports') {
+      return this.resolveReport(report, 'upheld', {
+        reason: 'Trip tracking supports the report',
+        resolvedBy: 'system',
+      }, now);
+    }
+
+    report.status = 'under_review';
+    await report.save();
+
+    await this.sendNotification(report.reportedBy, {
+      type: 'no_show_disputed',
+      variables: { bookingId },
+      data: { bookingId, rideId: report.rideId, type: report.type },
+      priority: 'normal',
+    });
+
+    logger.info(`No-show report on booking ${bookingId} disputed by ${userId}`);
+    return report;
+  }
+
+  /**
+   * Close a report as upheld (applying its outcome) or dismissed
+   */
+  async resolveReport(report, outcome, { reason = null, resolvedBy }, now = new Date()) {
+    if (!['open', 'under_review'].includes(report.status)) {
+      throw new Error('This no-show report has already been resolved');
+    }
+    if (!['upheld', 'dismissed'].includes(outcome)) {
+      throw new Error('Outcome must be upheld or dismissed');
+    }
+
+    const applied = outcome === 'upheld' ? await this.applyOutcome(report) : {};
+
+    report.status = outcome;
+    report.resolution = {
+      outcome,
+      reason,
+      resolvedBy,
+      resolvedAt: now.toISOString(),
+      ...applied,
+    };
+    await report.save();
+
+    const notification = {
+      type: 'no_show_resolved',
+      template: outcome === 'upheld' ? 'no_show_upheld' : 'no_show_dismissed',
+      variables: { bookingId: report.bookingId },
+      data: { bookingId: report.bookingId, rideId: report.rideId, type: report.type, outcome, ...applied },
+      priority: 'high',
+    };
+    await this.sendNotification(report.reportedBy, notification);
+    await this.sendNotification(report.reportedUserId, notification);
+
+    logger.info(`No-show report on booking ${report.bookingId} ${outcome} by ${resolvedBy}`);
+    return report;
+  }
+
+  /**
+   * Resolve a report under review (admin)
+   */
+  async resolveDisputedReport(bookingId, outcome, reason, adminUsername, now = new Date()) {
+    const report = await NoShowReport.findByBookingId(bookingId);
+    if (!report) {
+      throw new Error('No-show report not found');
+    }
+    if (report.status !== 'under_review') {
+      throw new Error('Only disputed no-show reports can be resolved by an admin');
+    }
+
+    return this.resolveReport(report, outcome, { reason, resolvedBy: adminUsername }, now);
+  }
+
+  /**
+   * Mark the booking, move the money and apply the reliability penalty.
+   * Safe to run again after a partial failure: the booking status, refunds
+   * and fee are each applied once.
+   */
+  async applyOutcome(report) {
+    const booking = await this.loadBooking(report.bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (booking.status === 'confirmed') {
+      await this.markNoShow(booking, report);
+    }
+
+    const payments = await Payment.findByBookingId(booking.id);
+
+    let applied;
+    if (report.type === 'driver_no_show') {
+      applied = { refund: await this.refundDriverNoShow(payments) };
+    } else {
+      applied = { fee: await this.chargePassengerNoShow(booking, payments) };
+    }
+
+    await BookingService.updateUserStats(report.reportedUserId, report.type);
+    try {
+      await RatingService.updateUserVerificationLevel(report.reportedUserId);
+    } catch (error) {
+      logger.error(`Failed to update verification level after no-show for ${report.reportedUserId}:`, error);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Refund the passenger in full, as for a driver cancellation
+   */
+  async refundDriverNoShow(payments) {
+    const farePayments = payments.filter(payment => payment.status === 'completed' && !isRefundedFor(payment, 'driver_no_show'));
+    let amount = 0;
+
+    for (const payment of farePayments) {
+      const refundCalculation = paymentService.calculateRefundAmount(payment.amount, 0, null, { cancelledBy: 'driver' });
+      const refundResult = await this.refundPayment(payment, refundCalculation.refundAmount, 'driver_no_show');
+
+      await payment.addRefund({
+        ...refundResult,
+        reason: 'driver_no_show',
+        refundType: refundCalculation.refundType,
+        originalAmount: payment.amount,
+        destination: payment.gateway === 'wallet' ? 'wallet' : 'original',
+        breakdown: refundCalculation.breakdown,
+      });
+      amount += refundCalculation.refundAmount;
+    }
+
+    return { amount, payments: farePayments.length };
+  }
+
+  /**
+   * Keep the no-show fee from a paid booking and refund the rest, or charge
+   * the fee through the payment gateway when the booking was not paid
+   */
+  async chargePassengerNoShow(booking, payments) {
+    const paid = payments.find(payment => payment.metadata?.type !== 'cancellation_fee' &&
+      (payment.status === 'completed' || isRefundedFor(payment, 'passenger_no_show')));
+
+    if (paid) {
+      const fee = paymentService.calculateNoShowFee(paid.amount);
+      if (fee.refundAmount > 0 && !isRefundedFor(paid, 'passenger_no_show')) {
+        const refundResult = await this.refundPayment(paid, fee.refundAmount, 'passenger_no_show');
+        await paid.addRefund({
+          ...refundResult,
+          reason: 'passenger_no_show',
+          refundType: 'partial',
+          originalAmount: paid.amount,
+          destination: paid.gateway === 'wallet' ? 'wallet' : 'original',
+          breakdown: { originalAmount: paid.amount, ...fee },
+        });
+      }
+
+      return { amount: fee.feeAmount, feePercentage: fee.feePercentage, paymentId: paid.id, status: 'collected' };
+    }
+
+    const fee = paymentService.calculateNoShowFee(booking.pricing.finalAmount || booking.pricing.totalAmount || 0);
+    const existingCharge = payments.find(payment => payment.metadata?.type === 'cancellation_fee');
+    if (existingCharge) {
+      return {
+        amount: existingCharge.amount,
+        feePercentage: fee.feePercentage,
+        paymentId: existingCharge.id,
+        gatewayOrderId: existingCharge.gatewayOrderId,
+        status: existingCharge.status,
+      };
+    }
+    if (fee.feeAmount <= 0) {
+      return { amount: 0, feePercentage: fee.feePercentage, status: 'waived' };
+    }
+
+    const order = await paymentService.chargeCancellationFee(fee.feeAmount, {
+      bookingId: booking.id,
+      userId: booking.passengerId,
+      rideId: booking.rideId,
+    });
+
+    const feePayment = new Payment({
+      bookingId: booking.id,
+      userId: booking.passengerId,
+      rideId: booking.rideId,
+      amount: fee.feeAmount,
+      currency: order.currency,
+      gateway: order.gateway,
+      gatewayOrderId: order.orderId || order.paymentIntentId,
+      status: 'pending',
+      pricing: { baseAmount: fee.feeAmount, serviceFee: 0, discountAmount: 0, totalAmount: fee.feeAmount },
+      metadata: { bookingId: booking.id, rideId: booking.rideId, type: 'cancellation_fee', reason: 'passenger_no_show' },
+    });
+    await feePayment.save();
+
+    return {
+      amount: fee.feeAmount,
+      feePercentage: fee.feePercentage,
+      paymentId: feePayment.id,
+      gatewayOrderId: feePayment.gatewayOrderId,
+      status: 'pending',
+    };
+  }
+
+  /**
+   * Wallet payments go back to the wallet, gateway payments to the card
+   */
+  async refundPayment(payment, amount, reason) {
+    if (payment.gateway === 'wallet') {
+      return walletService.refundToWallet(payment, amount, reason);
+    }
+    return paymentService.processRefund(payment, amount, reason);
+  }
+
+  /**
+   * Scheduled job: uphold reports whose dispute window closed without a dispute
+   */
+  async processDueReports(now = new Date()) {
+    let upheld = 0;
+
+    try {
+      const reports = await NoShowReport.findByStatus('open');
+
+      for (const report of reports.filter(entry => entry.isDue(now))) {
+        try {
+          await this.resolveReport(report, 'upheld', { reason: 'Not disputed in time', resolvedBy: 'system' }, now);
+          upheld += 1;
+        } catch (error) {
+          logger.error(`Failed to apply no-show outcome for booking ${report.bookingId}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to process due no-show reports:', error);
+    }
+
+    return upheld;
+  }
+
+  /**
+   * The report on a booking, for its passenger or driver
+   */
+  async getReport(bookingId, userId) {
+    const report = await NoShowReport.findByBookingId(bookingId);
+    if (!report) {
+      throw new Error('No-show report not found');
+    }
+    if (report.reportedBy !== userId && report.reportedUserId !== userId) {
+      throw new Error('Access denied');
+    }
+    return report;
+  }
+
+  /**
+   * Reports in a status, for the admin review queue
+   */
+  async listReports(status = 'under_review') {
+    return NoShowReport.findByStatus(status);
+  }
+
+  /**
+   * Notify a user through their booking cancellation channels
+   */
+  async sendNotification(userId, notification) {
+    try {
+      const [channels, userDoc] = await Promise.all([
+        NotificationPreferencesService.getNotificationChannels(userId, 'bookingCancellations'),
+        getFirestore().collection('users').doc(userId).get(),
+      ]);
+      const user = userDoc.exists ? userDoc.data() : {};
+
+      await NotificationService.sendComprehensiveNotification(userId, notification, channels, {
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+        fcmToken: await NotificationPreferencesService.getFCMToken(userId),
+        locale: user.preferences?.language,
+      }, { category: 'bookingCancellations' });
+    } catch (error) {
+      logger.error(`Failed to send no-show notification to ${userId}:`, error);
+    }
+  }
+}
+
+module.exports = new NoShowService();
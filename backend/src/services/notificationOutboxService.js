@@ -0,0 +1,675 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const twilio = require('twilio');
+const { getFirestore } = require('../config/firebase');
+const OutboxNotification = require('../models/OutboxNotification');
+const NotificationService = require('./notificationService');
+const NotificationPreferencesService = require('./notificationPreferencesService');
+const RealtimeService = require('./realtimeService');
+const TemplateService = require('./templateService');
+const logger = require('../utils/logger');
+
+const OUTBOX_CONFIG = {
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+  retryBaseSeconds: parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30, // Doubles after each failed attempt
+  retryMaxSeconds: 60 * 60,
+  lockSeconds: 120, // How long a worker holds a notification it is delivering
+  callbackUrl: process.env.NOTIFICATION_CALLBACK_URL || null, // Public API base URL for provider status callbacks
+  webhookToken: process.env.NOTIFICATION_WEBHOOK_TOKEN || null, // Shared secret in the SendGrid event webhook URL
+};
+
+const TWILIO_WEBHOOK_PATH = '/api/notifications/webhooks/twilio';
+
+// Order in which other channels are tried when one fails for good
+const FALLBACK_ORDER = ['push', 'sms', 'email'];
+
+// Provider errors that retrying will not fix
+const PERMANENT_ERRORS = {
+  sms: [21211, 21214, 21610, 21612, 21614], // Invalid, unreachable, unsubscribed or landline numbers
+  email: [400, 403],
+  push: ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token', 'messaging/invalid-argument'],
+};
+
+const CHANNEL_LABELS = { realtime: 'Realtime', sms: 'SMS', email: 'Email', push: 'Push' };
+
+// Twilio message statuses and SendGrid events, as delivery outcomes
+const RECEIPT_OUTCOMES = {
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+  bounce: 'failed',
+  dropped: 'failed',
+  open: 'opened',
+  opened: 'opened',
+};
+
+/**
+ * Durable notification delivery.
+ *
+ * sendComprehensiveNotification writes every notification to the outbox
+ * before trying its channels, then makes the first attempt straight away.
+ * Channels that error are retried by a job every minute with exponential
+ * backoff. When a channel fails for good (out of attempts, a permanent
+ * provider error or a failure receipt) the next channel in FALLBACK_ORDER
+ * that the user's preferences allow for the notification is added.
+ * Provider callbacks and receipts from the app move channels on to
+ * delivered or failed, and every step is kept on the notification's
+ * timeline.
+ *
+ * Non-urgent notifications sent during the user's quiet hours wait in the
+ * outbox until they end, and users with an email digest get their email
+ * grouped with the others held for it by a second job.
+ */
+class NotificationOutboxService {
+  constructor() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start the retry and digest jobs
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    cron.schedule('* * * * *', () => {
+      this.processDue();
+    });
+
+    cron.schedule('*/5 * * * *', () => {
+      this.sendDigests();
+    });
+
+    this.isInitialized = true;
+    logger.info('Notification outbox worker initialized');
+  }
+
+  /**
+   * Seconds to wait before the next attempt after a failed one
+   */
+  getRetryDelaySeconds(attempts) {
+    return Math.min(OUTBOX_CONFIG.retryBaseSeconds * 2 ** (attempts - 1), OUTBOX_CONFIG.retryMaxSeconds);
+  }
+
+  /**
+   * Whether the recipient can be reached on a channel at all
+   */
+  hasContact(channel, recipient) {
+    switch (channel) {
+      case 'realtime': return true;
+      case 'sms': return Boolean(recipient.phoneNumber);
+      case 'email': return Boolean(recipient.email);
+      case 'push': return Boolean(recipient.fcmToken);
+      default: return false;
+    }
+  }
+
+  newDelivery(now, fallbackFor = null) {
+    return {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      providerMessageId: null,
+      lastError: null,
+      fallbackFor,
+    };
+  }
+
+  /**
+   * Queue a notification on the channels enabled in userPreferences, try
+   * them once and return the outcome per channel, in the shape
+   * NotificationService.sendComprehensiveNotification returns.
+   *
+   * If the outbox cannot be written the channels are still tried once, so
+   * a storage outage does not stop notifications, but nothing is retried.
+   */
+  async send(userId, notificationData, userPreferences = {}, userContact = {}, { category = null } = {}, now = new Date()) {
+    // Callers that have loaded the user pass their language, even when unset
+    const locale = 'locale' in userContact
+      ? TemplateService.resolveLocale(userContact.locale)
+      : await TemplateService.getUserLocale(userId);
+
+    const notification = new OutboxNotification({
+      userId,
+      type: notificationData.type,
+      category: category || notificationData.category || notificationData.type || null,
+      priority: notificationData.priority,
+      content: {
+        ...this.renderContent(notificationData, locale),
+        imageUrl: notificationData.imageUrl || null,
+        data: notificationData.data || {},
+      },
+      recipient: {
+        email: userContact.email || null,
+        phoneNumber: userContact.phoneNumber || null,
+        fcmToken: userContact.fcmToken || null,
+      },
+      createdAt: now,
+    });
+
+    notification.deliveries.realtime = this.newDelivery(now);
+    ['sms', 'email', 'push'].forEach(channel => {
+      if (userPreferences[channel] && this.hasContact(channel, notification.recipient)) {
+        notification.deliveries[channel] = this.newDelivery(now);
+      }
+    });
+    notification.record(null, 'queued', { channels: Object.keys(notification.deliveries) }, now);
+    notification.refreshStatus();
+
+    // Stored already claimed, so the retry job can't send it alongside the attempt below
+    notification.lockedUntil = new Date(now.getTime() + OUTBOX_CONFIG.lockSeconds * 1000);
+
+    let persisted = true;
+    try {
+      await notification.save();
+    } catch (error) {
+      persisted = false;
+      logger.error(`Notification outbox unavailable, sending to user ${userId} without retries:`, error);
+    }
+
+    // Only a stored notification can be held for later
+    if (persisted) {
+      const schedule = await NotificationPreferencesService.getDeliverySchedule(userId, {
+        type: notification.type,
+        category: notification.category,
+        priority: notification.priority,
+        departureAt: notificationData.departureAt,
+      }, now);
+      this.hold(notification, schedule, now);
+    }
+
+    const outcomes = await this.attemptDue(notification, now);
+    notification.lockedUntil = null;
+    if (persisted) {
+      await this.saveQuietly(notification);
+    }
+
+    const results = { realtime: false, sms: false, email: false, push: false, errors: [], notificationId: persisted ? notification.id : null };
+    outcomes.forEach(({ channel, success, error }) => {
+      results[channel] = success;
+      if (!success) {
+        results.errors.push(`${CHANNEL_LABELS[channel]}: ${error}`);
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Title and message in the recipient's language. Notifications that carry
+   * their own title are sent as written; the rest are rendered from the
+   * template named by `template`, or by their type.
+   */
+  renderContent(notificationData, locale) {
+    const key = notificationData.template || notificationData.type;
+
+    if (notificationData.title || !TemplateService.hasTemplate(key)) {
+      return { title: notificationData.title, message: notificationData.message, locale };
+    }
+
+    const { title, message } = TemplateService.render(key, notificationData.variables || {}, locale);
+    return { title, message, locale, template: key };
+  }
+
+  /**
+   * Hold a non-urgent notification: its email waits for the user's digest
+   * and its other channels for the end of quiet hours. Realtime still goes
+   * straight away, as it only reaches an open app.
+   */
+  hold(notification, { deferUntil, digest }, now = new Date()) {
+    const email = notification.deliveries.email;
+    if (digest && email) {
+      Object.assign(email, { status: 'digest', nextAttemptAt: null, digest: digest.frequency });
+      notification.digestAt = digest.at;
+      notification.record('email', 'digest', { frequency: digest.frequency, at: digest.at }, now);
+    }
+
+    if (deferUntil) {
+      const channels = Object.keys(notification.deliveries)
+        .filter(channel => channel !== 'realtime' && notification.deliveries[channel].status === 'pending');
+      channels.forEach(channel => {
+        notification.deliveries[channel].nextAttemptAt = deferUntil;
+      });
+      if (channels.length > 0) {
+        notification.record(null, 'deferred', { reason: 'quiet_hours', until: deferUntil, channels }, now);
+      }
+    }
+
+    notification.refreshStatus();
+  }
+
+  async saveQuietly(notification) {
+    try {
+      await notification.save();
+    } catch (error) {
+      logger.error(`Failed to update outbox notification ${notification.id}:`, error);
+    }
+  }
+
+  /**
+   * Try every channel that is due. Returns the outcome of each attempt.
+   */
+  async attemptDue(notification, now = new Date()) {
+    const outcomes = [];
+
+    // Fallbacks can add channels, which are due straight away
+    let due = this.getDueChannels(notification, now);
+    while (due.length > 0) {
+      for (const channel of due) {
+        outcomes.push(await this.attemptChannel(notification, channel, now));
+      }
+      due = this.getDueChannels(notification, now);
+    }
+
+    notification.refreshStatus();
+    return outcomes;
+  }
+
+  getDueChannels(notification, now) {
+    return Object.entries(notification.deliveries)
+      .filter(([, delivery]) => delivery.status === 'pending' && OutboxNotification.toDate(delivery.nextAttemptAt) <= now)
+      .map(([channel]) => channel);
+  }
+
+  /**
+   * One attempt on one channel, updating its delivery entry
+   */
+  async attemptChannel(notification, channel, now = new Date()) {
+    const delivery = notification.deliveries[channel];
+    delivery.attempts += 1;
+
+    let result;
+    try {
+      result = await this.dispatch(notification, channel);
+    } catch (error) {
+      result = { success: false, error: error.message, code: error.code };
+    }
+
+    if (result.success) {
+      delivery.status = 'sent';
+      delivery.nextAttemptAt = null;
+      delivery.lastError = null;
+      delivery.providerMessageId = result.messageId || null;
+      if (result.messageId && ['sms', 'email'].includes(channel)) {
+        notification.providerRefs.push(`${channel}:${result.messageId}`);
+      }
+      notification.record(channel, 'sent', { attempt: delivery.attempts, providerMessageId: delivery.providerMessageId }, now);
+      return { channel, success: true };
+    }
+
+    delivery.lastError = result.error || 'Unknown error';
+    const permanent = (PERMANENT_ERRORS[channel] || []).includes(result.code);
+
+    if (permanent || delivery.attempts >= OUTBOX_CONFIG.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      notification.record(channel, 'failed', { attempt: delivery.attempts, error: delivery.lastError, permanent }, now);
+      await this.addFallback(notification, channel, now);
+    } else {
+      delivery.nextAttemptAt = new Date(now.getTime() + this.getRetryDelaySeconds(delivery.attempts) * 1000);
+      notification.record(channel, 'retry_scheduled', {
+        attempt: delivery.attempts,
+        error: delivery.lastError,
+        nextAttemptAt: delivery.nextAttemptAt,
+      }, now);
+    }
+
+    return { channel, success: false, error: delivery.lastError };
+  }
+
+  /**
+   * Hand the notification to the channel's provider
+   */
+  async dispatch(notification, channel) {
+    const { userId, recipient } = notification;
+    const content = { type: notification.type, priority: notification.priority, ...notification.content };
+
+    switch (channel) {
+      case 'realtime':
+        await RealtimeService.emitUserNotification(userId, { ...content, notificationId: notification.id });
+        return { success: true };
+
+      case 'sms':
+        return NotificationService.sendSMS(
+          recipient.phoneNumber,
+          NotificationService.formatSMSMessage(content),
+          OUTBOX_CONFIG.callbackUrl ? { statusCallback: `${OUTBOX_CONFIG.callbackUrl}${TWILIO_WEBHOOK_PATH}` } : {}
+        );
+
+      case 'email':
+        return NotificationService.sendEmail(
+          recipient.email,
+          content.title,
+          NotificationService.formatEmailHTML(content),
+          NotificationService.formatEmailText(content),
+          // Echoed back on SendGrid events
+          { customArgs: { notificationId: notification.id || '', channel: 'email' } }
+        );
+
+      case 'push':
+        return NotificationService.sendPushNotification(
+          recipient.fcmToken,
+          { title: content.title, body: content.message, imageUrl: content.imageUrl },
+          { type: content.type, userId, notificationId: notification.id || '', ...content.data }
+        );
+
+      default:
+        return { success: false, error: `Unknown channel ${channel}` };
+    }
+  }
+
+  /**
+   * Add the next channel the user allows for this notification after one
+   * has failed for good
+   */
+  async addFallback(notification, failedChannel, now = new Date()) {
+    if (failedChannel === 'realtime') {
+      return null;
+    }
+
+    const allowed = await NotificationPreferencesService.getNotificationChannels(notification.userId, notification.category);
+    const fallback = FALLBACK_ORDER.find(channel =>
+      allowed[channel] &&
+      !notification.deliveries[channel] &&
+      this.hasContact(channel, notification.recipient)
+    );
+
+    if (!fallback) {
+      return null;
+    }
+
+    notification.deliveries[fallback] = this.newDelivery(now, failedChannel);
+    notification.record(fallback, 'fallback', { from: failedChannel }, now);
+    return fallback;
+  }
+
+  /**
+   * Take a notification for delivery so two workers don't send it twice
+   */
+  async claim(notificationId, now = new Date()) {
+    const db = getFirestore();
+    const ref = db.collection('notificationOutbox').doc(notificationId);
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+
+      const notification = new OutboxNotification(doc.data());
+      if (notification.status !== 'pending' ||
+        (notification.lockedUntil && OutboxNotification.toDate(notification.lockedUntil) > now)) {
+        return null;
+      }
+
+      notification.lockedUntil = new Date(now.getTime() + OUTBOX_CONFIG.lockSeconds * 1000);
+      transaction.update(ref, { lockedUntil: notification.lockedUntil });
+      return notification;
+    });
+  }
+
+  /**
+   * Retry every notification with a channel due. Run by the job.
+   */
+  async processDue(now = new Date()) {
+    let processed = 0;
+    try {
+      const due = await OutboxNotification.findDue(now);
+
+      for (const { id } of due) {
+        try {
+          const notification = await this.claim(id, now);
+          if (!notification) continue;
+
+          await this.attemptDue(notification, now);
+          notification.lockedUntil = null;
+          await notification.save();
+          processed++;
+        } catch (error) {
+          logger.error(`Failed to deliver outbox notification ${id}:`, error);
+        }
+      }
+
+      if (processed > 0) {
+        logger.info(`Retried ${processed} outbox notifications`);
+      }
+    } catch (error) {
+      logger.error('Failed to process notification outbox:', error);
+    }
+    return processed;
+  }
+
+  /**
+   * Send every user whose digest is due one email with the notifications
+   * held for it. Run by the job.
+   */
+  async sendDigests(now = new Date()) {
+    let sent = 0;
+    try {
+      const due = await OutboxNotification.findDigestDue(now);
+
+      const byUser = new Map();
+      due.forEach(notification => {
+        byUser.set(notification.userId, [...(byUser.get(notification.userId) || []), notification]);
+      });
+
+      for (const [userId, notifications] of byUser) {
+        try {
+          if (await this.sendDigest(notifications, now)) {
+            sent++;
+          }
+        } catch (error) {
+          logger.error(`Failed to send notification digest to user ${userId}:`, error);
+        }
+      }
+
+      if (sent > 0) {
+        logger.info(`Sent ${sent} notification digests`);
+      }
+    } catch (error) {
+      logger.error('Failed to send notification digests:', error);
+    }
+    return sent;
+  }
+
+  /**
+   * Email one user's held notifications together, in the language and to
+   * the address of the latest one. A failed digest is retried with the
+   * same backoff as any other channel.
+   */
+  async sendDigest(notifications, now = new Date()) {
+    const latest = notifications[notifications.length - 1];
+    const frequency = latest.deliveries.email.digest;
+    const { title, message, locale } = TemplateService.render(
+      `email_digest.${frequency}`,
+      { count: notifications.length },
+      latest.content.locale
+    );
+    const digest = {
+      title,
+      message,
+      locale,
+      items: notifications.map(({ content }) => ({ title: content.title, message: content.message })),
+    };
+
+    let result;
+    try {
+      result = await NotificationService.sendEmail(
+        latest.recipient.email,
+        title,
+        NotificationService.formatDigestHTML(digest),
+        NotificationService.formatDigestText(digest),
+        { customArgs: { channel: 'email', digest: frequency } }
+      );
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    for (const notification of notifications) {
+      const delivery = notification.deliveries.email;
+      delivery.attempts += 1;
+
+      if (result.success) {
+        delivery.status = 'sent';
+        delivery.lastError = null;
+        delivery.providerMessageId = result.messageId || null;
+        notification.digestAt = null;
+        notification.record('email', 'sent', { attempt: delivery.attempts, digest: frequency, providerMessageId: delivery.providerMessageId }, now);
+      } else {
+        delivery.lastError = result.error || 'Unknown error';
+        if (delivery.attempts >= OUTBOX_CONFIG.maxAttempts) {
+          delivery.status = 'failed';
+          notification.digestAt = null;
+          notification.record('email', 'failed', { attempt: delivery.attempts, error: delivery.lastError, digest: frequency }, now);
+        } else {
+          notification.digestAt = new Date(now.getTime() + this.getRetryDelaySeconds(delivery.attempts) * 1000);
+          notification.record('email', 'retry_scheduled', {
+            attempt: delivery.attempts,
+            error: delivery.lastError,
+            nextAttemptAt: notification.digestAt,
+          }, now);
+        }
+      }
+
+      notification.refreshStatus();
+      await this.saveQuietly(notification);
+    }
+
+    return result.success;
+  }
+
+  /**
+   * Apply a delivery receipt to a channel: delivered, failed or opened.
+   * Failures add a fallback channel and send it.
+   */
+  async applyReceipt(notification, channel, status, detail = null, now = new Date()) {
+    const delivery = notification.deliveries[channel];
+    const outcome = RECEIPT_OUTCOMES[status];
+    if (!delivery || !outcome) {
+      return notification;
+    }
+
+    if (outcome === 'opened') {
+      notification.record(channel, 'opened', detail, now);
+      // Opening it shows it arrived
+      if (delivery.status === 'sent') delivery.status = 'delivered';
+    } else if (delivery.status === 'sent' || delivery.status === 'delivered') {
+      delivery.status = outcome;
+      notification.record(channel, outcome, detail, now);
+      if (outcome === 'failed') {
+        delivery.lastError = detail?.error || status;
+        await this.addFallback(notification, channel, now);
+        await this.attemptDue(notification, now);
+      }
+    }
+
+    notification.refreshStatus();
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * Whether a status callback was signed by Twilio. Needs the auth token and
+   * the public URL the callback was sent to.
+   */
+  verifyTwilioSignature(signature, params) {
+    if (!signature || !process.env.TWILIO_AUTH_TOKEN || !OUTBOX_CONFIG.callbackUrl) {
+      return false;
+    }
+    return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, `${OUTBOX_CONFIG.callbackUrl}${TWILIO_WEBHOOK_PATH}`, params);
+  }
+
+  /**
+   * Whether a SendGrid event webhook call carries the shared token
+   */
+  verifyWebhookToken(token) {
+    if (!token || !OUTBOX_CONFIG.webhookToken) {
+      return false;
+    }
+    const expected = Buffer.from(OUTBOX_CONFIG.webhookToken);
+    const given = Buffer.from(String(token));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Status callback from Twilio for an SMS
+   */
+  async handleTwilioStatus({ MessageSid: messageSid, MessageStatus: messageStatus, ErrorCode: errorCode }) {
+    if (!messageSid || !RECEIPT_OUTCOMES[messageStatus]) {
+      return null;
+    }
+
+    const notification = await OutboxNotification.findByProviderRef('sms', messageSid);
+    if (!notification) {
+      return null;
+    }
+
+    return this.applyReceipt(notification, 'sms', messageStatus, errorCode ? { error: `Twilio error ${errorCode}`, errorCode } : null);
+  }
+
+  /**
+   * Events from SendGrid's event webhook. Each event carries the custom args
+   * the email was sent with, and sg_message_id starts with the message ID
+   * SendGrid returned.
+   */
+  async handleSendGridEvents(events = []) {
+    let applied = 0;
+
+    for (const event of events) {
+      if (!RECEIPT_OUTCOMES[event.event]) continue;
+
+      try {
+        const notification = event.notificationId
+          ? await OutboxNotification.findById(event.notificationId)
+          : await OutboxNotification.findByProviderRef('email', String(event.sg_message_id || '').split('.')[0]);
+        if (!notification) continue;
+
+        const detail = event.reason ? { error: event.reason } : null;
+        await this.applyReceipt(notification, 'email', event.event, detail,
+          event.timestamp ? new Date(event.timestamp * 1000) : new Date());
+        applied++;
+      } catch (error) {
+        logger.error('Failed to apply SendGrid event:', error);
+      }
+    }
+    return applied;
+  }
+
+  /**
+   * Receipt from the recipient's app that a push or realtime notification
+   * arrived or was opened
+   */
+  async acknowledge(notificationId, userId, { channel, event }) {
+    const notification = await this.getNotification(notificationId, { userId });
+    if (!['push', 'realtime'].includes(channel)) {
+      throw new Error('Only push and realtime notifications can be acknowledged');
+    }
+    if (!['delivered', 'opened'].includes(event)) {
+      throw new Error('Invalid receipt event');
+    }
+
+    return this.applyReceipt(notification, channel, event, { source: 'app' });
+  }
+
+  /**
+   * A notification with its timeline. Users can only see their own;
+   * admins can see any.
+   */
+  async getNotification(notificationId, { userId, isAdmin = false }) {
+    const notification = await OutboxNotification.findById(notificationId);
+    if (!notification) {
+      throw new Error('Notification not found');
+    }
+    if (!isAdmin && notification.userId !== userId) {
+      throw new Error('Access denied');
+    }
+    return notification;
+  }
+
+  /**
+   * Recent notifications, for a user's history or the admin view
+   */
+  async listNotifications(filters = {}) {
+    return OutboxNotification.findRecent(filters);
+  }
+}
+
+module.exports = new NotificationOutboxService();
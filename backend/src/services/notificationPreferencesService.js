@@ -1,6 +1,16 @@
 const { getFirestore } = require('../config/firebase');
 const logger = require('../utils/logger');
 
+// Categories that can wait: held during quiet hours and grouped into the
+// email digest for users who want one
+const DEFERRABLE_CATEGORIES = ['promotions', 'ratingReminders', 'rideUpdates'];
+
+// Notifications about a departure this close to when they would be
+// released are sent straight away
+const IMMINENT_DEPARTURE_MINUTES = parseInt(process.env.NOTIFICATION_IMMINENT_DEPARTURE_MINUTES) || 120;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
 class NotificationPreferencesService {
   constructor() {
     // Don't initialize Firestore here - it will be initialized by the server
@@ -136,6 +146,12 @@ class NotificationPreferencesService {
         sms: false,
         push: false,
       },
+      ratingReminders: {
+        realtime: true,
+        email: true,
+        sms: false,
+        push: true,
+      },
 
       // Timing preferences
       reminderTiming: {
@@ -151,6 +167,14 @@ class NotificationPreferencesService {
         timezone: 'UTC',
       },
 
+      // Email digest of non-urgent notifications: off, daily or weekly
+      digest: {
+        frequency: 'off',
+        time: '09:00',
+        day: 'monday', // Weekly digests only
+        timezone: 'UTC',
+      },
+
       // Frequency limits
       frequencyLimits: {
         maxSMSPerDay: 5,
@@ -196,14 +220,14 @@ class NotificationPreferencesService {
   /**
    * Check if current time is within quiet hours
    * @param {Object} quietHours - Quiet hours configuration
+   * @param {Date} now - Current time
    * @returns {boolean} Whether it's currently quiet hours
    */
-  isQuietHours(quietHours) {
-    if (!quietHours.enabled) {
+  isQuietHours(quietHours, now = new Date()) {
+    if (!quietHours?.enabled) {
       return false;
     }
 
-    const now = new Date();
     const currentTime = now.toLocaleTimeString('en-US', { 
       hour12: false, 
       timeZone: quietHours.timezone || 'UTC' 
@@ -221,6 +245,106 @@ class NotificationPreferencesService {
     return currentTime >= start && currentTime <= end;
   }
 
+  /**
+   * Day of the week and minutes past midnight in a time zone
+   * @param {string} timeZone - IANA time zone
+   * @param {Date} now - Current time
+   * @returns {Object} `{ day, minutes }`, day 0 being Sunday
+   */
+  getLocalClock(timeZone, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || 'UTC',
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now);
+    const part = (type) => parts.find(item => item.type === type).value;
+
+    return {
+      day: WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+      minutes: parseInt(part('hour')) * 60 + parseInt(part('minute')),
+    };
+  }
+
+  /**
+   * The next time a local HH:MM (and weekday) comes round, now included
+   * @param {string} time - Local time in HH:MM format
+   * @param {string} timeZone - IANA time zone
+   * @param {Date} now - Current time
+   * @param {string} day - Weekday name, for weekly times
+   * @returns {Date} Next occurrence, to the minute
+   */
+  getNextLocalTime(time, timeZone, now = new Date(), day = null) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const clock = this.getLocalClock(timeZone, now);
+    const period = day ? 7 * 24 * 60 : 24 * 60;
+    const current = (day ? clock.day * 24 * 60 : 0) + clock.minutes;
+    const target = (day ? WEEKDAYS.indexOf(day) * 24 * 60 : 0) + hours * 60 + minutes;
+    const wait = (target - current + period) % period;
+
+    const next = new Date(now.getTime() + wait * 60 * 1000);
+    next.setUTCSeconds(0, 0);
+    return next;
+  }
+
+  /**
+   * Whether a notification must go out straight away. Safety notifications
+   * always do; so does anything outside the deferrable categories.
+   * @param {Object} notification - `{ type, category, priority }`
+   * @returns {boolean}
+   */
+  isUrgent({ type, category, priority }) {
+    if (priority === 'critical' || /^(emergency|sos|safety)/.test(type || '')) {
+      return true;
+    }
+    return !DEFERRABLE_CATEGORIES.includes(category);
+  }
+
+  /**
+   * Work out when a notification's channels should go out. Non-urgent
+   * notifications are held until quiet hours end, and their email waits for
+   * the user's digest, unless the ride they are about departs too soon for
+   * that.
+   * @param {string} userId - User ID
+   * @param {Object} notification - `{ type, category, priority, departureAt }`
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} `{ deferUntil, digest: { frequency, at } }`, either null
+   */
+  async getDeliverySchedule(userId, notification, now = new Date()) {
+    const schedule = { deferUntil: null, digest: null };
+    if (this.isUrgent(notification)) {
+      return schedule;
+    }
+
+    try {
+      const preferences = await this.getUserPreferences(userId);
+      const departureAt = notification.departureAt ? new Date(notification.departureAt) : null;
+      const canHoldUntil = (until) => !departureAt ||
+        departureAt.getTime() - until.getTime() > IMMINENT_DEPARTURE_MINUTES * 60 * 1000;
+
+      const { quietHours, digest } = preferences;
+      if (this.isQuietHours(quietHours, now)) {
+        const end = this.getNextLocalTime(quietHours.end, quietHours.timezone, now);
+        if (end > now && canHoldUntil(end)) {
+          schedule.deferUntil = end;
+        }
+      }
+
+      if (digest && ['daily', 'weekly'].includes(digest.frequency)) {
+        const at = this.getNextLocalTime(digest.time, digest.timezone, now,
+          digest.frequency === 'weekly' ? digest.day : null);
+        if (canHoldUntil(at)) {
+          schedule.digest = { frequency: digest.frequency, at };
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to get delivery schedule for user ${userId}:`, error);
+    }
+
+    return schedule;
+  }
+
   /**
    * Get filtered notification preferences for sending
    * @param {string} userId - User ID
@@ -229,7 +353,6 @@ class NotificationPreferencesService {
    */
   async getNotificationChannels(userId, notificationType) {
     try {
-      const preferences = await this.getUserPreferences(userId);
       const channels = {};
 
       // Check each channel
@@ -237,19 +360,8 @@ class NotificationPreferencesService {
         channels[channel] = await this.shouldSendNotification(userId, notificationType, channel);
       }
 
-      // Apply quiet hours for non-urgent channels
-      if (this.isQuietHours(preferences.quietHours)) {
-        // During quiet hours, only allow realtime and urgent push notifications
-        channels.email = false;
-        channels.sms = false;
-        
-        // Only allow push for urgent notification types
-        const urgentTypes = ['bookingConfirmations', 'bookingCancellations', 'rideReminders'];
-        if (!urgentTypes.includes(notificationType)) {
-          channels.push = false;
-        }
-      }
-
+      // Quiet hours hold notifications in the outbox rather than turning
+      // channels off, see getDeliverySchedule
       return channels;
     } catch (error) {
       logger.error(`Failed to get notification channels for user ${userId}:`, error);
@@ -314,7 +426,7 @@ class NotificationPreferencesService {
     const validNotificationTypes = [
       'bookingRequests', 'bookingConfirmations', 'bookingCancellations',
       'rideReminders', 'rideUpdates', 'tripTracking', 'messages',
-      'paymentUpdates', 'promotions'
+      'paymentUpdates', 'promotions', 'ratingReminders'
     ];
 
     // Validate channel preferences
@@ -346,6 +458,20 @@ class NotificationPreferencesService {
       }
     }
 
+    // Validate digest
+    if (preferences.digest) {
+      const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+      if (preferences.digest.frequency && !['off', 'daily', 'weekly'].includes(preferences.digest.frequency)) {
+        errors.push('digest.frequency must be off, daily or weekly');
+      }
+      if (preferences.digest.time && !timeRegex.test(preferences.digest.time)) {
+        errors.push('digest.time must be in HH:MM format');
+      }
+      if (preferences.digest.day && !WEEKDAYS.includes(preferences.digest.day)) {
+        errors.push('digest.day must be a day of the week');
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors,
@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const NotificationService = require('./notificationService');
 const NotificationPreferencesService = require('./notificationPreferencesService');
+const rideScheduleService = require('./rideScheduleService');
 const { getFirestore } = require('../config/firebase');
 const logger = require('../utils/logger');
 
@@ -45,6 +46,11 @@ class NotificationSchedulerService {
       this.checkBookingTimeouts();
     });
 
+    // Create upcoming rides from drivers' recurring schedules, daily at 00:15 by default
+    cron.schedule(process.env.RIDE_SCHEDULE_CRON || '15 0 * * *', () => {
+      rideScheduleService.generateUpcomingRides();
+    });
+
     this.isInitialized = true;
     logger.info('Notification scheduler initialized');
   }
@@ -196,8 +202,10 @@ class NotificationSchedulerService {
         // Notify passenger about timeout
         const passengerNotification = {
           type: 'booking_expired',
-          title: 'Booking Request Expired',
-          message: `Your booking request for the ride from ${ride.origin} to ${ride.destination} has expired due to no response from the driver.`,
+          variables: {
+            origin: ride.origin,
+            destination: ride.destination,
+          },
           data: {
             bookingId: booking.id,
             rideId: booking.rideId,
@@ -218,7 +226,9 @@ class NotificationSchedulerService {
             email: passenger.email,
             phoneNumber: passenger.phoneNumber,
             fcmToken: await NotificationPreferencesService.getFCMToken(booking.passengerId),
-          }
+            locale: passenger.preferences?.language,
+          },
+          { category: 'bookingCancellations' }
         );
 
         logger.info(`Booking timeout notification sent for booking ${booking.id}`);
@@ -257,6 +267,7 @@ class NotificationSchedulerService {
             email: userData.email,
             phoneNumber: userData.phoneNumber,
             fcmToken: await NotificationPreferencesService.getFCMToken(userId),
+            locale: userData.preferences?.language,
           }
         );
 
@@ -286,6 +297,7 @@ class NotificationSchedulerService {
               email: userData.email,
               phoneNumber: userData.phoneNumber,
               fcmToken: await NotificationPreferencesService.getFCMToken(userId),
+              locale: userData.preferences?.language,
             }
           );
 
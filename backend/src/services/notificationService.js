@@ -1,8 +1,8 @@
 const twilio = require('twilio');
 const sgMail = require('@sendgrid/mail');
-const admin = require('firebase-admin');
+const { getMessaging } = require('../config/firebase');
 const logger = require('../utils/logger');
-const RealtimeService = require('./realtimeService');
+const TemplateService = require('./templateService');
 
 class NotificationService {
   constructor() {
@@ -104,6 +104,7 @@ class NotificationService {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         to: phoneNumber,
       };
     }
@@ -161,6 +162,7 @@ class NotificationService {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         to,
       };
     }
@@ -213,7 +215,7 @@ class NotificationService {
       if (Array.isArray(tokens)) {
         // Send to multiple tokens
         message.tokens = tokens;
-        result = await admin.messaging().sendMulticast(message);
+        result = await getMessaging().sendMulticast(message);
 
         logger.info(`Push notification sent to ${tokens.length} devices. Success: ${result.successCount}, Failed: ${result.failureCount}`);
 
@@ -226,7 +228,7 @@ class NotificationService {
       } else {
         // Send to single token
         message.token = tokens;
-        const messageId = await admin.messaging().send(message);
+        const messageId = await getMessaging().send(message);
 
         logger.info(`Push notification sent successfully. Message ID: ${messageId}`);
 
@@ -241,89 +243,40 @@ class NotificationService {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         tokens,
       };
     }
   }
 
   /**
-   * Send comprehensive notification (real-time + SMS + email + push)
+   * Send comprehensive notification (real-time + SMS + email + push).
+   * The notification is written to the outbox first, so channels that fail
+   * are retried and can fall back to others (see notificationOutboxService).
    * @param {string} userId - User ID
    * @param {Object} notificationData - Notification data
    * @param {Object} userPreferences - User notification preferences
    * @param {Object} userContact - User contact information
+   * @param {Object} options - { category } preference key used to pick fallback channels
    * @returns {Promise<Object>} Comprehensive notification result
    */
-  async sendComprehensiveNotification(userId, notificationData, userPreferences = {}, userContact = {}) {
-    const results = {
-      realtime: false,
-      sms: false,
-      email: false,
-      push: false,
-      errors: [],
-    };
-
+  async sendComprehensiveNotification(userId, notificationData, userPreferences = {}, userContact = {}, options = {}) {
     try {
-      // Always send real-time notification
-      await RealtimeService.emitUserNotification(userId, notificationData);
-      results.realtime = true;
-      logger.info(`Real-time notification sent to user ${userId}`);
-
-      // Send SMS if enabled and phone number available
-      if (userPreferences.sms && userContact.phoneNumber) {
-        const smsResult = await this.sendSMS(
-          userContact.phoneNumber,
-          this.formatSMSMessage(notificationData),
-          { userId }
-        );
-        results.sms = smsResult.success;
-        if (!smsResult.success) {
-          results.errors.push(`SMS: ${smsResult.error}`);
-        }
-      }
-
-      // Send email if enabled and email available
-      if (userPreferences.email && userContact.email) {
-        const emailResult = await this.sendEmail(
-          userContact.email,
-          notificationData.title,
-          this.formatEmailHTML(notificationData),
-          this.formatEmailText(notificationData),
-          { userId }
-        );
-        results.email = emailResult.success;
-        if (!emailResult.success) {
-          results.errors.push(`Email: ${emailResult.error}`);
-        }
-      }
-
-      // Send push notification if enabled and FCM token available
-      if (userPreferences.push && userContact.fcmToken) {
-        const pushResult = await this.sendPushNotification(
-          userContact.fcmToken,
-          {
-            title: notificationData.title,
-            body: notificationData.message,
-            imageUrl: notificationData.imageUrl,
-          },
-          {
-            type: notificationData.type,
-            userId,
-            ...notificationData.data,
-          }
-        );
-        results.push = pushResult.success;
-        if (!pushResult.success) {
-          results.errors.push(`Push: ${pushResult.error}`);
-        }
-      }
+      // Required here as the outbox service depends on this one
+      const NotificationOutboxService = require('./notificationOutboxService');
+      const results = await NotificationOutboxService.send(userId, notificationData, userPreferences, userContact, options);
 
       logger.info(`Comprehensive notification sent to user ${userId}:`, results);
       return results;
     } catch (error) {
       logger.error('Failed to send comprehensive notification:', error);
-      results.errors.push(`General: ${error.message}`);
-      return results;
+      return {
+        realtime: false,
+        sms: false,
+        email: false,
+        push: false,
+        errors: [`General: ${error.message}`],
+      };
     }
   }
 
@@ -338,8 +291,10 @@ class NotificationService {
       // Notify passenger
       const passengerNotification = {
         type: 'booking_confirmed',
-        title: 'Booking Confirmed!',
-        message: `Your booking for the ride from ${bookingData.origin} to ${bookingData.destination} has been confirmed.`,
+        variables: {
+          origin: bookingData.origin,
+          destination: bookingData.destination,
+        },
         data: {
           bookingId: bookingData.id,
           rideId: bookingData.rideId,
@@ -357,14 +312,16 @@ class NotificationService {
           email: passengerData.email,
           phoneNumber: passengerData.phoneNumber,
           fcmToken: passengerData.fcmToken,
-        }
+        },
+        { category: 'bookingConfirmations' }
       );
 
       // Notify driver
       const driverNotification = {
         type: 'new_passenger',
-        title: 'New Passenger Booked!',
-        message: `${passengerData.name} has booked a seat on your ride.`,
+        variables: {
+          passengerName: passengerData.name,
+        },
         data: {
           bookingId: bookingData.id,
           rideId: bookingData.rideId,
@@ -382,7 +339,8 @@ class NotificationService {
           email: driverData.email,
           phoneNumber: driverData.phoneNumber,
           fcmToken: driverData.fcmToken,
-        }
+        },
+        { category: 'bookingConfirmations' }
       );
 
       return true;
@@ -392,46 +350,150 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send ride reminder notifications
+   * @param {Object} rideData - Ride data
+   * @param {Array} participants - Driver and passengers, each with id and contact details
+   * @param {number} minutesUntilDeparture - Minutes left before the ride leaves
+   */
+  async sendRideReminderNotifications(rideData, participants, minutesUntilDeparture) {
+    try {
+      const notification = {
+        type: 'ride_reminder',
+        variables: {
+          origin: rideData.origin?.city || rideData.origin,
+          destination: rideData.destination?.city || rideData.destination,
+          minutes: minutesUntilDeparture,
+        },
+        data: {
+          rideId: rideData.id,
+          departureTime: rideData.departureTime,
+          minutesUntilDeparture,
+        },
+        priority: 'high',
+      };
+
+      for (const participant of participants) {
+        await this.sendComprehensiveNotification(
+          participant.id,
+          notification,
+          participant.preferences?.notifications || {},
+          {
+            email: participant.email,
+            phoneNumber: participant.phoneNumber,
+            fcmToken: participant.fcmToken,
+          },
+          { category: 'rideReminders' }
+        );
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to send ride reminder notifications:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get which notification providers are available
+   * @returns {Object} Availability of each provider
+   */
+  getServiceStatus() {
+    return {
+      realtime: true,
+      twilio: Boolean(this.twilioClient),
+      sendgrid: this.sendGridInitialized,
+      fcm: this.fcmInitialized,
+    };
+  }
+
   /**
    * Helper to strip HTML tags for text content
    * @param {string} html - HTML content
    * @returns {string} Text content
    */
   stripHtml(html) {
-    return html.replace(/<[^>]*>?/gm, '');
+    return html.replace(/<[^>]*>?/gm, '').replace(/\s+/g, ' ').trim();
   }
 
   /**
    * Helper to format SMS message
-   * @param {Object} data - Notification data
+   * @param {Object} data - Notification data, optionally with `locale`
    * @returns {string} Formatted SMS
    */
   formatSMSMessage(data) {
-    return `${data.title}: ${data.message} - TripO`;
+    const layout = TemplateService.getLayout(data.locale);
+    return TemplateService.interpolate(layout.sms, { title: data.title, message: data.message });
   }
 
   /**
    * Helper to format email HTML
-   * @param {Object} data - Notification data
+   * @param {Object} data - Notification data, optionally with `locale`
    * @returns {string} Formatted HTML
    */
   formatEmailHTML(data) {
+    const layout = TemplateService.getLayout(data.locale);
+    const actionUrl = data.data?.actionUrl;
+    const action = actionUrl
+      ? `<p><a href="${TemplateService.escapeHtml(actionUrl)}">${TemplateService.escapeHtml(layout.action)}</a></p>`
+      : '';
+
     return `
       <div style="font-family: sans-serif; padding: 20px;">
-        <h2>${data.title}</h2>
-        <p>${data.message}</p>
-        <p>TripO Team</p>
+        <h2>${TemplateService.escapeHtml(data.title)}</h2>
+        <p>${TemplateService.escapeHtml(data.message)}</p>
+        ${action}
+        <p>${TemplateService.escapeHtml(layout.signature)}</p>
       </div>
     `;
   }
 
   /**
    * Helper to format email text
-   * @param {Object} data - Notification data
+   * @param {Object} data - Notification data, optionally with `locale`
    * @returns {string} Formatted text
    */
   formatEmailText(data) {
-    return `${data.title}\n\n${data.message}\n\nTripO Team`;
+    const layout = TemplateService.getLayout(data.locale);
+    const action = data.data?.actionUrl ? `\n\n${layout.action}: ${data.data.actionUrl}` : '';
+    return `${data.title}\n\n${data.message}${action}\n\n${layout.signature}`;
+  }
+
+  /**
+   * Helper to format digest email HTML
+   * @param {Object} digest - Digest title, message, `locale` and `items` ({ title, message })
+   * @returns {string} Formatted HTML
+   */
+  formatDigestHTML(digest) {
+    const layout = TemplateService.getLayout(digest.locale);
+    const items = digest.items.map(item => `
+          <li style="margin-bottom: 12px;">
+            <strong>${TemplateService.escapeHtml(item.title || '')}</strong><br>
+            ${TemplateService.escapeHtml(item.message || '')}
+          </li>`).join('');
+
+    return `
+      <div style="font-family: sans-serif; padding: 20px;">
+        <h2>${TemplateService.escapeHtml(digest.title)}</h2>
+        <p>${TemplateService.escapeHtml(digest.message)}</p>
+        <ul>${items}
+        </ul>
+        <p>${TemplateService.escapeHtml(layout.signature)}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Helper to format digest email text
+   * @param {Object} digest - Digest title, message, `locale` and `items` ({ title, message })
+   * @returns {string} Formatted text
+   */
+  formatDigestText(digest) {
+    const layout = TemplateService.getLayout(digest.locale);
+    const items = digest.items
+      .map(item => [item.title, item.message].filter(Boolean).join('\n'))
+      .join('\n\n');
+    return `${digest.title}\n\n${digest.message}\n\n${items}\n\n${layout.signature}`;
   }
 }
 
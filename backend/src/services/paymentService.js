@@ -1,4 +1,5 @@
 const { razorpay, stripe, config } = require('../config/payment');
+const cancellationPolicies = require('../utils/cancellationPolicies');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 
@@ -13,15 +14,18 @@ function generateUUID() {
 
 class PaymentService {
   /**
-   * Calculate total amount including service fee
+   * Calculate total amount including service fee, less any promo discount.
+   * The service fee is charged on the undiscounted fare; the discount never exceeds the fare.
    */
-  calculateTotalAmount(baseAmount, serviceFeePercentage = config.serviceFeePercentage) {
+  calculateTotalAmount(baseAmount, serviceFeePercentage = config.serviceFeePercentage, discountAmount = 0) {
     const serviceFee = Math.round((baseAmount * serviceFeePercentage) / 100);
-    const totalAmount = baseAmount + serviceFee;
-    
+    const discount = Math.min(Math.max(0, discountAmount), baseAmount);
+    const totalAmount = baseAmount + serviceFee - discount;
+
     return {
       baseAmount,
       serviceFee,
+      discountAmount: discount,
       totalAmount,
     };
   }
@@ -241,31 +245,56 @@ class PaymentService {
   }
 
   /**
-   * Calculate refund amount based on cancellation policy
+   * Calculate refund amount based on the ride's cancellation policy
+   * (Ride.bookingPolicy; the default policy when none is given).
+   * Driver cancellations are always refunded in full.
    */
-  calculateRefundAmount(originalAmount, hoursBeforeDeparture) {
-    const { fullRefundHours, partialRefundHours, partialRefundPercentage } = config.refund;
-    
-    if (hoursBeforeDeparture >= fullRefundHours) {
-      return {
-        refundAmount: originalAmount,
-        refundPercentage: 100,
-        refundType: 'full',
-      };
-    } else if (hoursBeforeDeparture >= partialRefundHours) {
-      const refundAmount = Math.round((originalAmount * partialRefundPercentage) / 100);
-      return {
-        refundAmount,
-        refundPercentage: partialRefundPercentage,
-        refundType: 'partial',
-      };
-    } else {
-      return {
-        refundAmount: 0,
-        refundPercentage: 0,
-        refundType: 'none',
-      };
+  calculateRefundAmount(originalAmount, hoursBeforeDeparture, bookingPolicy = null, options = {}) {
+    return cancellationPolicies.calculateRefund(originalAmount, hoursBeforeDeparture, bookingPolicy, options);
+  }
+
+  /**
+   * Split a no-show passenger's fare into the fee kept and the amount refunded
+   */
+  calculateNoShowFee(originalAmount, feePercentage = config.cancellationPolicies.noShowFeePercentage) {
+    const feeAmount = Math.round((originalAmount * feePercentage) / 100);
+
+    return {
+      feeAmount,
+      feePercentage,
+      refundAmount: originalAmount - feeAmount,
+    };
+  }
+
+  /**
+   * Refund a gateway payment through the gateway it was made with
+   */
+  async processRefund(payment, amount, reason = 'requested_by_customer') {
+    if (payment.gateway === 'razorpay') {
+      return this.processRazorpayRefund(payment.gatewayPaymentId, amount, reason);
     }
+    if (payment.gateway === 'stripe') {
+      return this.processStripeRefund(payment.gatewayPaymentId, amount, reason);
+    }
+
+    throw new Error(`Refunds are not supported for ${payment.gateway} payments`);
+  }
+
+  /**
+   * Create a gateway order for a cancellation fee on an unpaid booking
+   * (a passenger no-show). The passenger settles it like a booking payment.
+   */
+  async chargeCancellationFee(amount, { bookingId, userId, rideId, gateway = config.defaultGateway }) {
+    if (gateway === 'stripe') {
+      return this.createStripePaymentIntent(amount, config.stripe.currency, {
+        bookingId,
+        userId,
+        rideId,
+        type: 'cancellation_fee',
+      });
+    }
+
+    return this.createRazorpayOrder(amount, config.razorpay.currency, `fee_${bookingId}`);
   }
 
   /**
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Payout gateway adapters.
+ *
+ * Every adapter exposes transfer({ payoutId, amount, currency, method, details })
+ * and resolves to { success, status, reference, failureReason }, where status is
+ * 'processed' (money sent), 'pending' (awaiting confirmation) or 'failed'.
+ */
+
+/**
+ * Deterministic in-memory gateway for local development and tests.
+ * Transfers fail for account numbers ending in 0000 and UPI IDs starting with "fail".
+ */
+class MockPayoutGateway {
+  constructor() {
+    this.name = 'mock';
+    this.transfers = [];
+  }
+
+  async transfer({ payoutId, amount, currency = 'INR', method, details = {} }) {
+    const shouldFail = method === 'upi'
+      ? String(details.upiId || '').startsWith('fail')
+      : String(details.accountNumber || '').endsWith('0000');
+
+    const reference = `mock_payout_${crypto.createHash('sha256')
+      .update(`${payoutId}:${this.transfers.length}`)
+      .digest('hex')
+      .slice(0, 16)}`;
+
+    const result = shouldFail
+      ? { success: false, status: 'failed', reference, failureReason: 'Beneficiary account rejected the transfer' }
+      : { success: true, status: 'processed', reference, failureReason: null };
+
+    this.transfers.push({ payoutId, amount, currency, method, ...result });
+
+    logger.info('Mock payout transfer', {
+      payoutId,
+      amount,
+      method,
+      status: result.status,
+    });
+
+    return result;
+  }
+}
+
+/**
+ * Gateway for payouts sent outside the platform (e.g. bank portal uploads).
+ * Transfers stay pending until an admin marks the payout as paid.
+ */
+class ManualPayoutGateway {
+  constructor() {
+    this.name = 'manual';
+  }
+
+  async transfer({ payoutId, amount, method }) {
+    logger.info('Manual payout queued for admin transfer', {
+      payoutId,
+      amount,
+      method,
+    });
+
+    return { success: true, status: 'pending', reference: null, failureReason: null };
+  }
+}
+
+const gateways = {
+  mock: MockPayoutGateway,
+  manual: ManualPayoutGateway,
+};
+
+const instances = {};
+
+/**
+ * Get a (cached) payout gateway adapter by name
+ */
+function getPayoutGateway(name) {
+  const Gateway = gateways[name];
+  if (!Gateway) {
+    throw new Error(`Unknown payout gateway: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new Gateway();
+  }
+
+  return instances[name];
+}
+
+module.exports = {
+  MockPayoutGateway,
+  ManualPayoutGateway,
+  getPayoutGateway,
+};
@@ -0,0 +1,450 @@
+const cron = require('node-cron');
+const { getDatabase } = require('../config/firebase');
+const { config } = require('../config/payment');
+const Payout = require('../models/Payout');
+const PayoutMethod = require('../models/PayoutMethod');
+const financialService = require('./financialService');
+const { getPayoutGateway } = require('./payoutGateways');
+const logger = require('../utils/logger');
+
+const SCHEDULER_ACTOR = 'system:payout-scheduler';
+
+class PayoutService {
+  constructor() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start the scheduled payout job
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    cron.schedule(config.payout.scheduleCron, () => {
+      this.runScheduledPayouts();
+    });
+
+    this.isInitialized = true;
+    logger.info('Payout scheduler initialized');
+  }
+
+  /**
+   * Gateway used to send payouts
+   */
+  getGateway() {
+    return getPayoutGateway(config.payout.gateway);
+  }
+
+  /**
+   * Save a bank account or UPI ID as a payout method
+   */
+  async addPayoutMethod(providerId, type, details, options = {}) {
+    if (type === 'bank_transfer') {
+      if (!details.accountNumber || !details.ifscCode || !details.accountHolderName) {
+        throw new Error('Account number, IFSC code, and account holder name are required for bank transfer');
+      }
+      if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(details.ifscCode)) {
+        throw new Error('Invalid IFSC code');
+      }
+    } else if (type === 'upi') {
+      if (!details.upiId || !/^[\w.-]+@[\w]+$/.test(details.upiId)) {
+        throw new Error('A valid UPI ID is required for UPI transfer');
+      }
+    } else {
+      throw new Error(`Unsupported payout method type: ${type}`);
+    }
+
+    const existingMethods = await PayoutMethod.findByProviderId(providerId);
+    const isDefault = options.isDefault || existingMethods.length === 0;
+
+    const method = PayoutMethod.fromDetails(providerId, type, details, {
+      label: options.label,
+      isDefault,
+    });
+    await method.save();
+
+    if (isDefault) {
+      await this.clearOtherDefaults(existingMethods, method.id);
+    }
+
+    logger.info('Payout method added', {
+      providerId,
+      methodId: method.id,
+      type,
+    });
+
+    return method;
+  }
+
+  /**
+   * List a provider's active payout methods
+   */
+  async getPayoutMethods(providerId) {
+    return PayoutMethod.findByProviderId(providerId);
+  }
+
+  /**
+   * Load a payout method, checking it belongs to the provider
+   */
+  async getOwnedPayoutMethod(providerId, methodId) {
+    const method = await PayoutMethod.findById(methodId);
+    if (!method || method.status !== 'active') {
+      throw new Error('Payout method not found');
+    }
+    if (method.providerId !== providerId) {
+      throw new Error('You can only use your own payout methods');
+    }
+    return method;
+  }
+
+  /**
+   * Make a payout method the provider's default
+   */
+  async setDefaultPayoutMethod(providerId, methodId) {
+    const method = await this.getOwnedPayoutMethod(providerId, methodId);
+    method.isDefault = true;
+    await method.save();
+
+    const methods = await PayoutMethod.findByProviderId(providerId);
+    await this.clearOtherDefaults(methods, method.id);
+    return method;
+  }
+
+  /**
+   * Remove (soft-delete) a payout method
+   */
+  async removePayoutMethod(providerId, methodId) {
+    const method = await this.getOwnedPayoutMethod(providerId, methodId);
+
+    const outstanding = (await Payout.findByProviderId(providerId))
+      .filter(payout => payout.payoutMethodId === methodId && payout.isOutstanding());
+    if (outstanding.length > 0) {
+      throw new Error('Payout method is used by payouts that are still in progress');
+    }
+
+    method.status = 'removed';
+    method.isDefault = false;
+    await method.save();
+    return method;
+  }
+
+  /**
+   * Helper: Unset isDefault on every method except the given one
+   */
+  async clearOtherDefaults(methods, defaultMethodId) {
+    await Promise.all(methods
+      .filter(method => method.id !== defaultMethodId && method.isDefault)
+      .map((method) => {
+        method.isDefault = false;
+        return method.save();
+      }));
+  }
+
+  /**
+   * Request a payout to a saved payout method
+   */
+  async requestPayout(providerId, amount, payoutMethodId = null, options = {}) {
+    const methods = await PayoutMethod.findByProviderId(providerId);
+    const method = payoutMethodId
+      ? await this.getOwnedPayoutMethod(providerId, payoutMethodId)
+      : methods.find(m => m.isDefault);
+
+    if (!method) {
+      throw new Error('No payout method configured');
+    }
+
+    if (amount < config.payout.minimumAmount) {
+      throw new Error(`Minimum payout amount is ₹${config.payout.minimumAmount}`);
+    }
+
+    const balance = await financialService.getAvailableBalance(providerId);
+    if (amount > balance.availableBalance) {
+      throw new Error(`Insufficient balance. Available: ₹${balance.availableBalance}, Requested: ₹${amount}`);
+    }
+
+    const platformFee = financialService.calculatePayoutProcessingFee(amount);
+
+    const payout = new Payout({
+      providerId,
+      amount,
+      currency: 'INR',
+      status: 'requested',
+      payoutMethod: method.type,
+      payoutMethodId: method.id,
+      bankDetails: method.maskedDetails,
+      platformFee,
+      netAmount: amount - platformFee,
+      scheduled: options.scheduled || false,
+      statusHistory: [{
+        from: null,
+        to: 'requested',
+        actor: options.actor || providerId,
+        note: options.scheduled ? 'Scheduled weekly payout' : null,
+        at: new Date().toISOString(),
+      }],
+      metadata: {
+        requestedBalance: balance.availableBalance,
+        totalEarnings: balance.totalEarnings,
+      },
+    });
+
+    await payout.save();
+
+    logger.info('Payout requested', {
+      payoutId: payout.id,
+      providerId,
+      amount,
+      payoutMethodId: method.id,
+      scheduled: payout.scheduled,
+    });
+
+    return payout;
+  }
+
+  /**
+   * Helper: Load a payout or fail
+   */
+  async getPayout(payoutId) {
+    const payout = await Payout.findById(payoutId);
+    if (!payout) {
+      throw new Error('Payout not found');
+    }
+    return payout;
+  }
+
+  /**
+   * Approve a requested payout (admin)
+   */
+  async approvePayout(payoutId, adminId, note = null) {
+    const payout = await this.getPayout(payoutId);
+    await payout.transitionTo('approved', {
+      actor: adminId,
+      note,
+      approvedBy: adminId,
+    });
+
+    logger.info('Payout approved', { payoutId, adminId });
+    return payout;
+  }
+
+  /**
+   * Reject a requested payout (admin)
+   */
+  async rejectPayout(payoutId, adminId, reason) {
+    const payout = await this.getPayout(payoutId);
+    await payout.transitionTo('rejected', {
+      actor: adminId,
+      note: reason,
+      failureReason: reason,
+    });
+
+    logger.info('Payout rejected', { payoutId, adminId, reason });
+    return payout;
+  }
+
+  /**
+   * Send an approved (or retried) payout through the payout gateway
+   */
+  async executePayout(payoutId, actor) {
+    const payout = await this.getPayout(payoutId);
+
+    const method = await PayoutMethod.findById(payout.payoutMethodId);
+    if (!method) {
+      throw new Error('Payout method not found');
+    }
+
+    await payout.transitionTo('processing', {
+      actor,
+      processedBy: actor,
+      attempts: payout.attempts + 1,
+    });
+
+    let result;
+    try {
+      result = await this.getGateway().transfer({
+        payoutId: payout.id,
+        amount: payout.netAmount,
+        currency: payout.currency,
+        method: method.type,
+        details: method.getDecryptedDetails(),
+      });
+    } catch (error) {
+      result = { success: false, status: 'failed', reference: null, failureReason: error.message };
+    }
+
+    if (result.status === 'processed') {
+      await payout.transitionTo('paid', {
+        actor: this.getGateway().name,
+        gatewayReference: result.reference,
+        failureReason: null,
+      });
+    } else if (result.status === 'failed') {
+      await payout.transitionTo('failed', {
+        actor: this.getGateway().name,
+        note: result.failureReason,
+        gatewayReference: result.reference,
+        failureReason: result.failureReason,
+      });
+    }
+
+    logger.info('Payout executed', {
+      payoutId,
+      status: payout.status,
+      attempts: payout.attempts,
+    });
+
+    return payout;
+  }
+
+  /**
+   * Retry a failed payout (admin)
+   */
+  async retryPayout(payoutId, adminId) {
+    const payout = await this.getPayout(payoutId);
+
+    if (payout.attempts >= config.payout.maxAttempts) {
+      throw new Error(`Payout has already been attempted ${payout.attempts} times`);
+    }
+
+    await payout.transitionTo('retried', { actor: adminId });
+    return this.executePayout(payoutId, adminId);
+  }
+
+  /**
+   * Confirm a payout that was sent outside the platform (admin)
+   */
+  async markPayoutPaid(payoutId, adminId, reference) {
+    const payout = await this.getPayout(payoutId);
+    await payout.transitionTo('paid', {
+      actor: adminId,
+      gatewayReference: reference,
+    });
+    return payout;
+  }
+
+  /**
+   * Record that a manually sent payout bounced (admin)
+   */
+  async markPayoutFailed(payoutId, adminId, reason) {
+    const payout = await this.getPayout(payoutId);
+    await payout.transitionTo('failed', {
+      actor: adminId,
+      note: reason,
+      failureReason: reason,
+    });
+    return payout;
+  }
+
+  /**
+   * List payouts for the admin queue
+   */
+  async listPayoutsByStatus(status, limit = 100) {
+    return Payout.findByStatus(status, limit);
+  }
+
+  /**
+   * Get a provider's automatic payout schedule
+   */
+  async getSchedule(providerId) {
+    const snapshot = await getDatabase().ref(`payoutSchedules/${providerId}`).once('value');
+    return snapshot.val() || {
+      enabled: false,
+      dayOfWeek: 1, // Monday
+      payoutMethodId: null,
+      minimumAmount: config.payout.minimumAmount,
+      lastRunAt: null,
+    };
+  }
+
+  /**
+   * Update a provider's automatic payout schedule
+   */
+  async updateSchedule(providerId, { enabled, dayOfWeek, payoutMethodId, minimumAmount }) {
+    if (payoutMethodId) {
+      await this.getOwnedPayoutMethod(providerId, payoutMethodId);
+    }
+
+    const current = await this.getSchedule(providerId);
+    const schedule = {
+      ...current,
+      providerId,
+      enabled: enabled !== undefined ? enabled : current.enabled,
+      dayOfWeek: dayOfWeek !== undefined ? dayOfWeek : current.dayOfWeek,
+      payoutMethodId: payoutMethodId !== undefined ? payoutMethodId : current.payoutMethodId,
+      minimumAmount: Math.max(
+        config.payout.minimumAmount,
+        minimumAmount !== undefined ? minimumAmount : current.minimumAmount
+      ),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await getDatabase().ref(`payoutSchedules/${providerId}`).set(schedule);
+    return schedule;
+  }
+
+  /**
+   * Create payouts for every provider whose weekly payout day is today.
+   * Payouts up to the auto-approve limit are approved and sent straight away.
+   */
+  async runScheduledPayouts(now = new Date()) {
+    const summary = { checked: 0, requested: 0, executed: 0, skipped: 0, failed: 0 };
+
+    try {
+      const snapshot = await getDatabase().ref('payoutSchedules').once('value');
+      const schedules = snapshot.val() || {};
+      const today = now.toISOString().split('T')[0];
+
+      for (const [providerId, schedule] of Object.entries(schedules)) {
+        if (!schedule.enabled || schedule.dayOfWeek !== now.getDay()) {
+          continue;
+        }
+        if (schedule.lastRunAt && schedule.lastRunAt.startsWith(today)) {
+          continue;
+        }
+
+        summary.checked++;
+
+        try {
+          const balance = await financialService.getAvailableBalance(providerId);
+          if (balance.availableBalance < schedule.minimumAmount) {
+            summary.skipped++;
+          } else {
+            const payout = await this.requestPayout(
+              providerId,
+              balance.availableBalance,
+              schedule.payoutMethodId,
+              { scheduled: true, actor: SCHEDULER_ACTOR }
+            );
+            summary.requested++;
+
+            if (payout.amount <= config.payout.autoApproveLimit) {
+              await this.approvePayout(payout.id, SCHEDULER_ACTOR, 'Auto-approved scheduled payout');
+              await this.executePayout(payout.id, SCHEDULER_ACTOR);
+              summary.executed++;
+            }
+          }
+
+          await getDatabase().ref(`payoutSchedules/${providerId}`).update({
+            lastRunAt: now.toISOString(),
+          });
+        } catch (error) {
+          summary.failed++;
+          logger.error('Scheduled payout failed', {
+            error: error.message,
+            providerId,
+          });
+        }
+      }
+
+      logger.info('Scheduled payouts processed', summary);
+    } catch (error) {
+      logger.error('Failed to run scheduled payouts:', error);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new PayoutService();
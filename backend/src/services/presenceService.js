@@ -0,0 +1,230 @@
+const os = require('os');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const PRESENCE_CONFIG = {
+  heartbeatSeconds: parseInt(process.env.PRESENCE_HEARTBEAT_SECONDS) || 30,
+  // An instance that misses this many heartbeats is treated as gone
+  staleAfterHeartbeats: 3,
+};
+
+const KEYS = {
+  instances: 'presence:instances',
+  status: 'presence:status',
+  lastSeen: 'presence:lastSeen',
+  connections: (serverId) => `presence:connections:${serverId}`,
+};
+
+/**
+ * The handful of Redis hash commands presence needs, kept in process memory
+ * for when Redis is not configured
+ */
+function createMemoryStore() {
+  const hashes = new Map();
+  const getHash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  return {
+    async hIncrBy(key, field, increment) {
+      const value = (parseInt(getHash(key).get(field)) || 0) + increment;
+      getHash(key).set(field, String(value));
+      return value;
+    },
+    async hSet(key, field, value) {
+      getHash(key).set(field, String(value));
+    },
+    async hGet(key, field) {
+      return getHash(key).has(field) ? getHash(key).get(field) : null;
+    },
+    async hGetAll(key) {
+      return Object.fromEntries(getHash(key));
+    },
+    async hKeys(key) {
+      return Array.from(getHash(key).keys());
+    },
+    async hDel(key, field) {
+      getHash(key).delete(field);
+    },
+    async del(key) {
+      hashes.delete(key);
+    },
+  };
+}
+
+/**
+ * Online status and last-seen times shared by every backend instance.
+ * Each instance counts its own connections per user, so a crashed
+ * instance's users drop offline once its heartbeat goes stale.
+ */
+class PresenceService {
+  constructor() {
+    this.serverId = `${os.hostname()}-${process.pid}`;
+    this.memoryStore = createMemoryStore();
+  }
+
+  getStore() {
+    try {
+      return getRedisClient() || this.memoryStore;
+    } catch (error) {
+      return this.memoryStore;
+    }
+  }
+
+  /**
+   * Record this instance as alive, with its local socket numbers
+   */
+  async reportInstance(stats = {}, now = new Date()) {
+    await this.getStore().hSet(KEYS.instances, this.serverId, JSON.stringify({
+      ...stats,
+      updatedAt: now.toISOString(),
+    }));
+  }
+
+  /**
+   * Report this instance now and on every heartbeat
+   * @param {Function} getStats - Returns this instance's local socket numbers
+   * @returns {Function} Stops the heartbeat
+   */
+  startHeartbeat(getStats) {
+    const beat = () => Promise.resolve()
+      .then(() => this.reportInstance(getStats()))
+      .catch(error => logger.error('Failed to report realtime instance heartbeat:', error));
+
+    beat();
+    const timer = setInterval(beat, PRESENCE_CONFIG.heartbeatSeconds * 1000);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Instances with a recent heartbeat. Stale ones are cleaned up on the way.
+   */
+  async getLiveInstances(now = new Date()) {
+    const store = this.getStore();
+    const instances = await store.hGetAll(KEYS.instances) || {};
+    const staleBefore = now.getTime() - PRESENCE_CONFIG.heartbeatSeconds * PRESENCE_CONFIG.staleAfterHeartbeats * 1000;
+    const live = [];
+
+    for (const [serverId, raw] of Object.entries(instances)) {
+      let instance;
+      try {
+        instance = JSON.parse(raw);
+      } catch (error) {
+        instance = null;
+      }
+
+      if (serverId !== this.serverId && (!instance || new Date(instance.updatedAt).getTime() < staleBefore)) {
+        logger.warn(`Dropping stale realtime instance ${serverId} from presence`);
+        await store.hDel(KEYS.instances, serverId);
+        await store.del(KEYS.connections(serverId));
+        continue;
+      }
+
+      live.push({ serverId, ...(instance || {}) });
+    }
+
+    return live;
+  }
+
+  /**
+   * @returns {Promise<boolean>} true when this was the user's first connection on any instance
+   */
+  async userConnected(userId, now = new Date()) {
+    const store = this.getStore();
+    const wasOnline = await this.isOnline(userId, now);
+
+    await store.hIncrBy(KEYS.connections(this.serverId), userId, 1);
+    await store.hSet(KEYS.lastSeen, userId, now.toISOString());
+    if (!wasOnline) {
+      await store.hSet(KEYS.status, userId, 'online');
+    }
+
+    return !wasOnline;
+  }
+
+  /**
+   * @returns {Promise<boolean>} true when the user has no connections left on any instance
+   */
+  async userDisconnected(userId, now = new Date()) {
+    const store = this.getStore();
+    const remaining = await store.hIncrBy(KEYS.connections(this.serverId), userId, -1);
+    if (remaining <= 0) {
+      await store.hDel(KEYS.connections(this.serverId), userId);
+    }
+    await store.hSet(KEYS.lastSeen, userId, now.toISOString());
+
+    const stillOnline = await this.isOnline(userId, now);
+    if (!stillOnline) {
+      await store.hSet(KEYS.status, userId, 'offline');
+    }
+    return !stillOnline;
+  }
+
+  /**
+   * Set the status a user chose (online, away or offline) while connected
+   */
+  async setStatus(userId, status, now = new Date()) {
+    const store = this.getStore();
+    await store.hSet(KEYS.status, userId, status);
+    await store.hSet(KEYS.lastSeen, userId, now.toISOString());
+    return this.getPresence(userId, now);
+  }
+
+  async countConnections(userId, now = new Date()) {
+    const store = this.getStore();
+    const instances = await this.getLiveInstances(now);
+    const serverIds = new Set([this.serverId, ...instances.map(instance => instance.serverId)]);
+
+    let total = 0;
+    for (const serverId of serverIds) {
+      total += parseInt(await store.hGet(KEYS.connections(serverId), userId)) || 0;
+    }
+    return total;
+  }
+
+  async isOnline(userId, now = new Date()) {
+    return (await this.countConnections(userId, now)) > 0;
+  }
+
+  async getPresence(userId, now = new Date()) {
+    const store = this.getStore();
+    const connections = await this.countConnections(userId, now);
+    const status = connections > 0 ? (await store.hGet(KEYS.status, userId)) || 'online' : 'offline';
+
+    return {
+      userId,
+      online: connections > 0,
+      status,
+      connections,
+      lastSeen: await store.hGet(KEYS.lastSeen, userId),
+    };
+  }
+
+  async getPresenceForUsers(userIds, now = new Date()) {
+    return Promise.all(userIds.map(userId => this.getPresence(userId, now)));
+  }
+
+  /**
+   * Unique online users and live instances across the cluster
+   */
+  async getClusterSummary(now = new Date()) {
+    const store = this.getStore();
+    const instances = await this.getLiveInstances(now);
+    const serverIds = new Set([this.serverId, ...instances.map(instance => instance.serverId)]);
+
+    const onlineUsers = new Set();
+    for (const serverId of serverIds) {
+      (await store.hKeys(KEYS.connections(serverId))).forEach(userId => onlineUsers.add(userId));
+    }
+
+    return {
+      onlineUsers: onlineUsers.size,
+      instances: serverIds.size,
+    };
+  }
+}
+
+module.exports = new PresenceService();
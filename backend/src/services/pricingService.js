@@ -0,0 +1,180 @@
+const cron = require('node-cron');
+const { getDatabase, getFirestore } = require('../config/firebase');
+const { emitRideUpdate } = require('../config/socket');
+const metricsService = require('./metricsService');
+const dynamicPricing = require('../utils/dynamicPricing');
+const logger = require('../utils/logger');
+
+const PRICING_CONFIG = {
+  cron: process.env.DYNAMIC_PRICING_CRON || '*/15 * * * *', // Every 15 minutes
+  searchWindowHours: parseInt(process.env.DYNAMIC_PRICING_SEARCH_WINDOW_HOURS) || 6,
+  highSearchVolume: parseInt(process.env.DYNAMIC_PRICING_HIGH_SEARCH_VOLUME) || 50, // Searches in the window that count as peak demand
+  minChangePercent: 2, // Smaller moves are skipped so prices don't flicker
+};
+
+class PricingService {
+  constructor() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start the job that reprices rides opted in to dynamic pricing
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    cron.schedule(PRICING_CONFIG.cron, () => {
+      this.repriceUpcomingRides();
+    });
+
+    this.isInitialized = true;
+    logger.info('Dynamic pricing engine initialized');
+  }
+
+  /**
+   * Recent searches for the ride's route
+   */
+  getSearchVolume(ride) {
+    return metricsService.getSearchVolume(
+      ride.origin?.city,
+      ride.destination?.city,
+      PRICING_CONFIG.searchWindowHours * 60 * 60 * 1000
+    );
+  }
+
+  /**
+   * Scheduled job: reprice every published ride that has dynamic pricing on
+   */
+  async repriceUpcomingRides(now = new Date()) {
+    const results = { rides: 0, repriced: 0, errors: 0 };
+
+    try {
+      const snapshot = await getDatabase().ref('rides')
+        .orderByChild('status')
+        .equalTo('published')
+        .once('value');
+
+      const rides = Object.entries(snapshot.val() || {})
+        .filter(([, ride]) => ride.dynamicPricing?.enabled)
+        .filter(([, ride]) => dynamicPricing.getHoursToDeparture(ride, now) > 0);
+
+      for (const [rideId, ride] of rides) {
+        try {
+          const change = await this.repriceRide(rideId, ride, now);
+          results.rides += 1;
+          if (change) results.repriced += 1;
+        } catch (error) {
+          results.errors += 1;
+          logger.error(`Failed to reprice ride ${rideId}:`, error);
+        }
+      }
+
+      logger.info(`Dynamic pricing run: ${results.rides} rides checked, ${results.repriced} repriced`);
+    } catch (error) {
+      logger.error('Failed to run dynamic pricing:', error);
+    }
+
+    return results;
+  }
+
+  /**
+   * Apply the engine's price to one ride. Returns the price history entry,
+   * or null when the price stays as it is.
+   */
+  async repriceRide(rideId, ride, now = new Date()) {
+    const quote = dynamicPricing.calculateDynamicPrice(ride, {
+      searchVolume: this.getSearchVolume(ride),
+      highSearchVolume: PRICING_CONFIG.highSearchVolume,
+      now,
+    });
+
+    const previousPrice = ride.pricePerSeat;
+    const changePercent = previousPrice > 0 ? (Math.abs(quote.price - previousPrice) / previousPrice) * 100 : 100;
+    if (quote.price === previousPrice || changePercent < PRICING_CONFIG.minChangePercent) {
+      return null;
+    }
+
+    const updates = {
+      pricePerSeat: quote.price,
+      dynamicPricing: {
+        ...ride.dynamicPricing,
+        multiplier: quote.multiplier,
+        lastRepricedAt: now.toISOString(),
+      },
+      updatedAt: now.toISOString(),
+    };
+
+    await getDatabase().ref(`rides/${rideId}`).update(updates);
+
+    // Keep the Firestore copy used by search and bookings in step
+    try {
+      await getFirestore().collection('rides').doc(rideId).set(updates, { merge: true });
+    } catch (fsError) {
+      logger.error('Failed to update ride price in Firestore:', fsError);
+    }
+
+    const entry = await this.recordPriceChange(rideId, {
+      previousPrice,
+      price: quote.price,
+      source: 'dynamic',
+      multiplier: quote.multiplier,
+      factors: quote.factors,
+      signals: quote.signals,
+      changedAt: now.toISOString(),
+    });
+
+    emitRideUpdate(rideId, { pricePerSeat: quote.price });
+    logger.info(`Ride ${rideId} repriced from ${previousPrice} to ${quote.price} (x${quote.multiplier})`);
+
+    return entry;
+  }
+
+  /**
+   * Append a price change to the ride's price history
+   */
+  async recordPriceChange(rideId, change) {
+    const entry = {
+      rideId,
+      previousPrice: change.previousPrice,
+      price: change.price,
+      source: change.source, // 'dynamic' or 'provider'
+      multiplier: change.multiplier || null,
+      factors: change.factors || null,
+      signals: change.signals || null,
+      changedAt: change.changedAt || new Date().toISOString(),
+    };
+
+    const ref = await getDatabase().ref(`priceHistory/${rideId}`).push(entry);
+    return { id: ref.key, ...entry };
+  }
+
+  /**
+   * Price history of a ride, oldest first (ride owner only)
+   */
+  async getPriceHistory(rideId, driverId) {
+    const rideSnapshot = await getDatabase().ref(`rides/${rideId}`).once('value');
+    const ride = rideSnapshot.val();
+    if (!ride) {
+      throw new Error('Ride not found');
+    }
+    if (ride.driverId !== driverId) {
+      throw new Error('You can only view the price history of your own rides');
+    }
+
+    const snapshot = await getDatabase().ref(`priceHistory/${rideId}`).once('value');
+    const history = Object.entries(snapshot.val() || {})
+      .map(([id, entry]) => ({ id, ...entry }))
+      .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+
+    return {
+      rideId,
+      pricePerSeat: ride.pricePerSeat,
+      dynamicPricing: ride.dynamicPricing || { enabled: false },
+      history,
+    };
+  }
+}
+
+module.exports = new PricingService();
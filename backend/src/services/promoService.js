@@ -0,0 +1,293 @@
+const { getDatabase } = require('../config/firebase');
+const { config } = require('../config/payment');
+const PromoCode = require('../models/PromoCode');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+class PromoService {
+  /**
+   * Check and clean promo code settings coming from the admin panel.
+   * With an existing code, only the fields present in data are changed.
+   */
+  normalizePromoData(data, existing = {}) {
+    const promo = { ...existing, ...data };
+
+    if (!promo.code || !/^[A-Za-z0-9_-]{3,20}$/.test(String(promo.code))) {
+      throw new Error('Promo code must be 3-20 letters, numbers, dashes or underscores');
+    }
+    if (!DISCOUNT_TYPES.includes(promo.discountType)) {
+      throw new Error('Promo code discount type must be percentage or flat');
+    }
+
+    const discountValue = Number(promo.discountValue);
+    if (!Number.isFinite(discountValue) || discountValue <= 0 ||
+        (promo.discountType === 'percentage' && discountValue > 100)) {
+      throw new Error('Promo code discount must be above 0, and at most 100 for percentages');
+    }
+
+    const usageLimit = promo.usageLimit ? parseInt(promo.usageLimit) : null;
+    const perUserLimit = promo.perUserLimit ? parseInt(promo.perUserLimit) : 1;
+    if ((usageLimit !== null && usageLimit < 1) || perUserLimit < 1 ||
+        perUserLimit > config.promotions.maxPerUserLimit) {
+      throw new Error(`Promo code usage limits must be at least 1, and at most ${config.promotions.maxPerUserLimit} per user`);
+    }
+
+    const validFrom = promo.validFrom ? new Date(promo.validFrom) : null;
+    const validUntil = promo.validUntil ? new Date(promo.validUntil) : null;
+    if ([validFrom, validUntil].some(date => date && isNaN(date))) {
+      throw new Error('Promo code validity dates are invalid');
+    }
+    if (validFrom && validUntil && validFrom >= validUntil) {
+      throw new Error('Promo code must be valid from before it is valid until');
+    }
+
+    return {
+      code: String(promo.code).toUpperCase(),
+      description: promo.description || '',
+      discountType: promo.discountType,
+      discountValue,
+      maxDiscount: promo.maxDiscount ? Number(promo.maxDiscount) : null,
+      minBookingAmount: Number(promo.minBookingAmount) || 0,
+      usageLimit,
+      perUserLimit,
+      validFrom: validFrom ? validFrom.toISOString() : null,
+      validUntil: validUntil ? validUntil.toISOString() : null,
+      routeIds: Array.isArray(promo.routeIds) ? promo.routeIds : [],
+      firstRideOnly: promo.firstRideOnly === true,
+      active: promo.active !== false,
+    };
+  }
+
+  /**
+   * Create a promo code (admin)
+   */
+  async createPromoCode(data, adminUsername) {
+    const promoData = this.normalizePromoData(data);
+
+    if (await PromoCode.findByCode(promoData.code)) {
+      throw new Error(`Promo code ${promoData.code} already exists`);
+    }
+
+    const promo = new PromoCode({ ...promoData, createdBy: adminUsername });
+    await promo.save();
+
+    logger.info('Promo code created', { promoId: promo.id, code: promo.code, createdBy: adminUsername });
+    return promo;
+  }
+
+  /**
+   * Update a promo code's settings, e.g. to deactivate it (admin)
+   */
+  async updatePromoCode(promoId, updates, adminUsername) {
+    const promo = await PromoCode.findById(promoId);
+    if (!promo) {
+      throw new Error('Promo code not found');
+    }
+
+    const promoData = this.normalizePromoData(updates, promo.getDetails());
+    if (promoData.code !== promo.code && await PromoCode.findByCode(promoData.code)) {
+      throw new Error(`Promo code ${promoData.code} already exists`);
+    }
+
+    Object.assign(promo, promoData);
+    await promo.save();
+
+    logger.info('Promo code updated', { promoId, code: promo.code, updatedBy: adminUsername });
+    return promo;
+  }
+
+  /**
+   * List all promo codes (admin)
+   */
+  async listPromoCodes() {
+    return PromoCode.findAll();
+  }
+
+  /**
+   * Redemptions of a promo code, one per booking
+   */
+  async getRedemptions(promoId) {
+    const snapshot = await getDatabase().ref(`promoRedemptions/${promoId}`).once('value');
+    return Object.entries(snapshot.val() || {}).map(([bookingId, redemption]) => ({ bookingId, ...redemption }));
+  }
+
+  /**
+   * Check a code against a booking and work out its discount.
+   * A code already redeemed for this booking (e.g. a retried payment) doesn't count against the limits again.
+   */
+  async quoteDiscount(code, { userId, booking, now = new Date() }) {
+    const promo = await PromoCode.findByCode(code);
+    if (!promo) {
+      throw new Error('Promo code not found');
+    }
+
+    const unavailableReason = promo.getUnavailableReason(now);
+    if (unavailableReason) {
+      throw new Error(unavailableReason);
+    }
+
+    const redemptions = await this.getRedemptions(promo.id);
+    const alreadyRedeemed = redemptions.some(r => r.bookingId === booking.id && r.status === 'applied');
+
+    if (!alreadyRedeemed) {
+      if (promo.isExhausted()) {
+        throw new Error('Promo code usage limit reached');
+      }
+
+      const userRedemptions = redemptions.filter(r => r.userId === userId && r.status === 'applied');
+      if (userRedemptions.length >= promo.perUserLimit) {
+        throw new Error('You have already used this promo code');
+      }
+    }
+
+    const amount = booking.pricing.totalAmount;
+    if (amount < promo.minBookingAmount) {
+      throw new Error(`Promo code requires a booking of at least ₹${promo.minBookingAmount}`);
+    }
+
+    if (promo.routeIds.length > 0) {
+      const ride = await Ride.findById(booking.rideId);
+      if (!ride || !promo.routeIds.includes(ride.routeId)) {
+        throw new Error('Promo code is not valid for this route');
+      }
+    }
+
+    if (promo.firstRideOnly) {
+      const user = await User.findByUid(userId);
+      if ((user?.stats?.completedRidesAsPassenger || 0) > 0) {
+        throw new Error('Promo code is only valid on your first ride');
+      }
+    }
+
+    return {
+      promo,
+      discountAmount: promo.calculateDiscount(amount),
+      alreadyRedeemed,
+    };
+  }
+
+  /**
+   * Record a redemption for a booking and count it against the global limit
+   */
+  async redeem(promo, { userId, bookingId, discountAmount }) {
+    const redemptionRef = getDatabase().ref(`promoRedemptions/${promo.id}/${bookingId}`);
+    const existing = (await redemptionRef.once('value')).val();
+
+    if (!existing || existing.status !== 'applied') {
+      // The count is checked again in a transaction so concurrent checkouts can't overshoot the limit
+      const result = await getDatabase().ref(`promoCodes/${promo.id}/usageCount`).transaction((count) => {
+        if (promo.usageLimit !== null && (count || 0) >= promo.usageLimit) {
+          return undefined; // Abort
+        }
+        return (count || 0) + 1;
+      });
+
+      if (!result.committed) {
+        throw new Error('Promo code usage limit reached');
+      }
+    }
+
+    const redemption = {
+      userId,
+      code: promo.code,
+      discountAmount,
+      status: 'applied',
+      redeemedAt: existing?.status === 'applied' ? existing.redeemedAt : new Date().toISOString(),
+    };
+    await redemptionRef.set(redemption);
+
+    return { bookingId, ...redemption };
+  }
+
+  /**
+   * Give a booking's redemption back, e.g. when the passenger switches codes
+   */
+  async releaseRedemption(promoId, bookingId) {
+    const redemptionRef = getDatabase().ref(`promoRedemptions/${promoId}/${bookingId}`);
+    const existing = (await redemptionRef.once('value')).val();
+    if (!existing || existing.status !== 'applied') {
+      return;
+    }
+
+    await redemptionRef.update({ status: 'released', releasedAt: new Date().toISOString() });
+    await getDatabase().ref(`promoCodes/${promoId}/usageCount`).transaction(count => Math.max(0, (count || 0) - 1));
+  }
+
+  /**
+   * Give a booking's redemption back when the payment that used it did not go
+   * through. It stays held while another attempt with the same code is pending
+   * or paid.
+   */
+  async releaseForFailedPayment(bookingId, promoId, failedPaymentId = null) {
+    if (!promoId) {
+      return;
+    }
+
+    const payments = await Payment.findByBookingId(bookingId);
+    const stillUsed = payments.some(payment => payment.id !== failedPaymentId &&
+      payment.pricing?.promoCodeId === promoId &&
+      ['pending', 'completed'].includes(payment.status));
+
+    if (!stillUsed) {
+      await this.releaseRedemption(promoId, bookingId);
+    }
+  }
+
+  /**
+   * Give back every redemption held by a cancelled booking's payments
+   */
+  async releaseForBooking(bookingId) {
+    const payments = await Payment.findByBookingId(bookingId);
+    const promoIds = new Set(payments.map(payment => payment.pricing?.promoCodeId).filter(Boolean));
+
+    for (const promoId of promoIds) {
+      await this.releaseRedemption(promoId, bookingId);
+    }
+  }
+
+  /**
+   * Apply a promo code (or none) to a booking at checkout and return the discount.
+   * The discount is recorded on booking.pricing; a code applied earlier is released
+   * when the passenger checks out with a different one. The redemption holds the
+   * code until the payment fails or the booking is cancelled.
+   */
+  async applyToBooking(booking, userId, code = null) {
+    const previousPromoId = booking.pricing.promoCodeId || null;
+    const quote = code ? await this.quoteDiscount(code, { userId, booking }) : null;
+
+    if (previousPromoId && previousPromoId !== quote?.promo.id) {
+      await this.releaseRedemption(previousPromoId, booking.id);
+    }
+
+    if (quote) {
+      await this.redeem(quote.promo, { userId, bookingId: booking.id, discountAmount: quote.discountAmount });
+    }
+
+    if (quote || previousPromoId) {
+      booking.pricing = {
+        ...booking.pricing,
+        promoCodeId: quote ? quote.promo.id : null,
+        promoCode: quote ? quote.promo.code : null,
+        discountAmount: quote ? quote.discountAmount : 0,
+      };
+      await booking.save();
+    }
+
+    if (quote) {
+      logger.info('Promo code applied', {
+        code: quote.promo.code,
+        bookingId: booking.id,
+        userId,
+        discountAmount: quote.discountAmount,
+      });
+    }
+
+    return quote ? quote.discountAmount : 0;
+  }
+}
+
+module.exports = new PromoService();
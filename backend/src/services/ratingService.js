@@ -17,7 +17,8 @@ class RatingService {
       ratingCount: 2, // per review (max 50 points)
       averageRating: 10, // multiplied by rating (max 50 points)
       completionRate: 20, // multiplied by rate (max 20 points)
-      membershipDuration: 1 // per month (max 24 points)
+      membershipDuration: 1, // per month (max 24 points)
+      noShowPenalty: 15 // deducted per upheld no-show, as driver or passenger (max 60 points)
     };
 
     // Basic verification points
@@ -51,6 +52,10 @@ class RatingService {
       score += Math.min(monthsSinceMember * weights.membershipDuration, 24);
     }
 
+    // Reliability: upheld no-shows count against the user
+    const noShows = (user.stats?.driverNoShows || 0) + (user.stats?.passengerNoShows || 0);
+    score -= Math.min(noShows * weights.noShowPenalty, 60);
+
     // Determine verification level
     if (score >= 120) return 'experienced'; // Highly trusted user
     if (score >= 80) return 'verified';     // Well-established user
@@ -5,10 +5,22 @@ const {
   emitTripTracking,
   emitUserNotification,
   emitMessage,
+  emitTripShareUpdate,
+  closeTripShareSockets,
 } = require('../config/socket');
+const presenceService = require('./presenceService');
 const logger = require('../utils/logger');
 
 class RealtimeService {
+  /**
+   * Send a notification to a user's connected clients
+   * @param {string} userId - User ID
+   * @param {Object} notification - Notification data
+   */
+  static async emitUserNotification(userId, notification) {
+    emitUserNotification(userId, notification);
+  }
+
   /**
    * Notify about ride availability changes
    * @param {string} rideId - Ride ID
@@ -146,6 +158,52 @@ class RealtimeService {
     }
   }
 
+  /**
+   * Offer seats on a full ride to a waitlisted passenger
+   * @param {string} passengerId - Passenger user ID
+   * @param {Object} offer - Waitlist entry ID, ride ID, seats and expiry
+   */
+  static async notifyWaitlistOffer(passengerId, offer) {
+    try {
+      const notification = {
+        type: 'waitlist_offer',
+        title: 'A seat is available',
+        message: `${offer.seats} seat(s) opened up on a ride you are waitlisted for. Accept before the offer expires.`,
+        data: offer,
+        priority: 'high',
+      };
+
+      emitUserNotification(passengerId, notification);
+
+      logger.info(`Waitlist offer sent to passenger ${passengerId} for ride ${offer.rideId}`);
+    } catch (error) {
+      logger.error('Failed to send waitlist offer:', error);
+    }
+  }
+
+  /**
+   * Tell a waitlisted passenger their seat offer ran out
+   * @param {string} passengerId - Passenger user ID
+   * @param {Object} offer - Waitlist entry ID and ride ID
+   */
+  static async notifyWaitlistOfferExpired(passengerId, offer) {
+    try {
+      const notification = {
+        type: 'waitlist_offer_expired',
+        title: 'Seat offer expired',
+        message: 'Your seat offer expired and was passed to the next passenger on the waitlist',
+        data: offer,
+        priority: 'medium',
+      };
+
+      emitUserNotification(passengerId, notification);
+
+      logger.info(`Waitlist offer expiry sent to passenger ${passengerId} for ride ${offer.rideId}`);
+    } catch (error) {
+      logger.error('Failed to send waitlist offer expiry:', error);
+    }
+  }
+
   /**
    * Notify about trip status updates
    * @param {string} rideId - Ride ID
@@ -190,6 +248,32 @@ class RealtimeService {
     }
   }
 
+  /**
+   * Send a live update to people following a booking's shared trip link
+   * @param {string} bookingId - Booking ID
+   * @param {Object} update - Trip status, location and ETA
+   */
+  static async notifyTripShare(bookingId, update) {
+    try {
+      emitTripShareUpdate(bookingId, { type: 'trip_share_update', ...update });
+    } catch (error) {
+      logger.error('Failed to send trip share update:', error);
+    }
+  }
+
+  /**
+   * Tell people following a shared trip link that it has ended and disconnect them
+   * @param {string} shareId - Trip share ID
+   * @param {string} reason - Why the link ended
+   */
+  static async closeTripShare(shareId, reason) {
+    try {
+      closeTripShareSockets(shareId, reason);
+    } catch (error) {
+      logger.error('Failed to close trip share:', error);
+    }
+  }
+
   /**
    * Send message between booking participants
    * @param {string} bookingId - Booking ID
@@ -314,37 +398,43 @@ class RealtimeService {
   }
 
   /**
-   * Get real-time statistics
+   * Get real-time statistics across every backend instance
    * @returns {Object} Real-time statistics
    */
   static async getRealtimeStats() {
     try {
       const io = getSocketInstance();
-      const connectedUsers = io.engine.clientsCount;
-      
-      // Get room statistics
-      const rooms = await io.fetchSockets();
-      const rideRooms = rooms.filter(socket => 
-        Array.from(socket.rooms).some(room => room.startsWith('ride_'))
-      ).length;
-      
-      const bookingRooms = rooms.filter(socket => 
-        Array.from(socket.rooms).some(room => room.startsWith('booking_'))
-      ).length;
+
+      // fetchSockets goes through the adapter, so this covers all instances
+      const sockets = await io.fetchSockets();
+      const inRoomType = (socket, prefix) => Array.from(socket.rooms).some(room => room.startsWith(prefix));
+
+      const rooms = new Set();
+      sockets.forEach(socket => {
+        socket.rooms.forEach(room => {
+          if (room !== socket.id) rooms.add(room);
+        });
+      });
+
+      const { onlineUsers, instances } = await presenceService.getClusterSummary();
 
       return {
-        connectedUsers,
-        activeRideRooms: rideRooms,
-        activeBookingRooms: bookingRooms,
-        totalRooms: io.sockets.adapter.rooms.size,
+        connectedUsers: sockets.length,
+        onlineUsers,
+        activeRideRooms: sockets.filter(socket => inRoomType(socket, 'ride_')).length,
+        activeBookingRooms: sockets.filter(socket => inRoomType(socket, 'booking_')).length,
+        totalRooms: rooms.size,
+        instances,
       };
     } catch (error) {
       logger.error('Failed to get realtime stats:', error);
       return {
         connectedUsers: 0,
+        onlineUsers: 0,
         activeRideRooms: 0,
         activeBookingRooms: 0,
         totalRooms: 0,
+        instances: 0,
       };
     }
   }
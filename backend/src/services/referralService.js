@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { config } = require('../config/payment');
+const User = require('../models/User');
+const walletService = require('./walletService');
+const logger = require('../utils/logger');
+
+class ReferralService {
+  /**
+   * Generate a shareable referral code
+   */
+  generateCode() {
+    return `TRIPO${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Get a user's referral code, creating it on first request
+   */
+  async getReferralCode(userId) {
+    const user = await User.findByUid(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.referral.code) {
+      let code = this.generateCode();
+      while (await User.findByReferralCode(code)) {
+        code = this.generateCode();
+      }
+      await user.updateReferral({ code });
+      logger.info(`Referral code created for user ${userId}`);
+    }
+
+    return user;
+  }
+
+  /**
+   * Referral code, referrer and reward status for the current user
+   */
+  async getReferralSummary(userId) {
+    const user = await this.getReferralCode(userId);
+    const { referral } = config.promotions;
+
+    return {
+      code: user.referral.code,
+      referredBy: user.referral.referredBy || null,
+      referredAt: user.referral.referredAt || null,
+      rewardedAt: user.referral.rewardedAt || null,
+      rewards: {
+        referee: referral.refereeCredit,
+        referrer: referral.referrerCredit,
+      },
+    };
+  }
+
+  /**
+   * Link a new user to the user whose referral code they entered.
+   * Only allowed before the user's first completed ride.
+   */
+  async applyReferralCode(userId, code) {
+    const user = await User.findByUid(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.referral.referredBy) {
+      throw new Error('A referral code has already been applied');
+    }
+
+    if ((user.stats.completedRidesAsPassenger || 0) > 0) {
+      throw new Error('Referral codes can only be applied before your first completed ride');
+    }
+
+    const referrer = await User.findByReferralCode(String(code).trim().toUpperCase());
+    if (!referrer) {
+      throw new Error('Referral code not found');
+    }
+
+    if (referrer.uid === userId) {
+      throw new Error('You cannot use your own referral code');
+    }
+
+    await user.updateReferral({
+      referredBy: referrer.uid,
+      referredAt: new Date().toISOString(),
+    });
+
+    logger.info(`Referral code applied: ${userId} referred by ${referrer.uid}`);
+    return user;
+  }
+
+  /**
+   * Credit both sides of a referral once the referee completes a ride.
+   * Wallet transaction ids are fixed per referee, so calling this again is harmless.
+   */
+  async rewardReferral(userId) {
+    try {
+      const user = await User.findByUid(userId);
+      if (!user || !user.referral.referredBy || user.referral.rewardedAt) {
+        return null;
+      }
+
+      const { refereeCredit, referrerCredit } = config.promotions.referral;
+      const reference = { refereeId: userId, referrerId: user.referral.referredBy };
+
+      await walletService.creditPromotion({
+        transactionId: `referral_${userId}_referee`,
+        userId,
+        amount: refereeCredit,
+        type: 'referral_credit',
+        reference,
+        description: 'Referral credit for your first completed ride',
+      });
+
+      await walletService.creditPromotion({
+        transactionId: `referral_${userId}_referrer`,
+        userId: user.referral.referredBy,
+        amount: referrerCredit,
+        type: 'referral_credit',
+        reference,
+        description: 'Referral credit for a friend\'s first completed ride',
+      });
+
+      await user.updateReferral({ rewardedAt: new Date().toISOString() });
+
+      logger.info(`Referral rewarded: ${userId} and ${user.referral.referredBy}`);
+      return user.referral;
+    } catch (error) {
+      logger.error('Error rewarding referral:', error);
+      // Don't throw error as completing the ride must not fail on this
+      return null;
+    }
+  }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,399 @@
+const { getDatabase, getFirestore } = require('../config/firebase');
+const RideSchedule = require('../models/RideSchedule');
+const rideService = require('./rideService');
+const BookingService = require('./bookingService');
+const waitlistService = require('./waitlistService');
+const NotificationService = require('./notificationService');
+const NotificationPreferencesService = require('./notificationPreferencesService');
+const cancellationPolicies = require('../utils/cancellationPolicies');
+const logger = require('../utils/logger');
+
+const SCHEDULE_CONFIG = {
+  defaultDaysAhead: parseInt(process.env.RIDE_SCHEDULE_DAYS_AHEAD) || 7,
+  maxDaysAhead: 30,
+};
+
+// Template fields that are copied onto future rides when a schedule is edited
+const RIDE_FIELDS = {
+  standard: ['pricePerSeat', 'totalSeats', 'vehicleId', 'preferences'],
+  route: ['pricePerSeat', 'availableSeats', 'vehicle'],
+};
+
+class RideScheduleService {
+  /**
+   * Create a recurring schedule and its first rides
+   */
+  async createSchedule(driverId, scheduleData) {
+    const { rideType = 'standard', template, recurrence } = scheduleData;
+
+    this.validateRecurrence(recurrence);
+    // Every generated ride uses this policy, so reject a bad one up front
+    cancellationPolicies.normalizeBookingPolicy(template.bookingPolicy);
+    await rideService.validateVehicleForRide(
+      rideType === 'route' ? template.vehicle?.id : template.vehicleId,
+      driverId
+    );
+
+    const schedule = new RideSchedule({
+      driverId,
+      rideType,
+      template,
+      recurrence: {
+        ...recurrence,
+        startDate: recurrence.startDate || new Date().toISOString().split('T')[0],
+      },
+      daysAhead: Math.min(scheduleData.daysAhead || SCHEDULE_CONFIG.defaultDaysAhead, SCHEDULE_CONFIG.maxDaysAhead),
+    });
+    await schedule.save();
+
+    const rides = await this.generateInstances(schedule);
+    logger.info(`Ride schedule ${schedule.id} created by ${driverId} with ${rides.length} rides`);
+
+    return { schedule, rides };
+  }
+
+  /**
+   * Reject recurrences that can never produce a ride
+   */
+  validateRecurrence(recurrence = {}) {
+    if (!Array.isArray(recurrence.daysOfWeek) || recurrence.daysOfWeek.length === 0) {
+      throw new Error('Schedule must run on at least one day of the week');
+    }
+    if (recurrence.endDate && recurrence.startDate && recurrence.endDate < recurrence.startDate) {
+      throw new Error('End date must be on or after the start date');
+    }
+  }
+
+  /**
+   * Create the schedule's rides for the coming days that don't exist yet
+   */
+  async generateInstances(schedule, now = new Date()) {
+    if (schedule.status !== 'active') {
+      return [];
+    }
+
+    const today = now.toISOString().split('T')[0];
+    const created = [];
+
+    for (const date of schedule.getOccurrenceDates(today)) {
+      const departureTime = schedule.recurrence.departureTime;
+      if (schedule.instances[date] || new Date(`${date}T${departureTime}`) <= now) {
+        continue;
+      }
+
+      try {
+        const ride = await this.createInstance(schedule, date);
+        schedule.instances[date] = { rideId: ride.id, departureTime, status: 'scheduled' };
+        created.push(ride);
+      } catch (error) {
+        // Leave the date open so the next run can retry (e.g. after the vehicle is reactivated)
+        logger.error(`Failed to create ride for schedule ${schedule.id} on ${date}:`, error);
+      }
+    }
+
+    if (schedule.hasEnded(today)) {
+      schedule.status = 'ended';
+    }
+    schedule.lastGeneratedAt = now.toISOString();
+    await schedule.save();
+
+    return created;
+  }
+
+  /**
+   * Create one ride from the schedule template
+   */
+  async createInstance(schedule, date) {
+    const rideData = {
+      ...schedule.template,
+      recurringSchedule: { scheduleId: schedule.id, occurrenceDate: date, version: schedule.version },
+    };
+
+    if (schedule.rideType === 'route') {
+      return rideService.createRideFromRoute(schedule.driverId, {
+        ...rideData,
+        rideDate: date,
+        rideTime: schedule.recurrence.departureTime,
+      });
+    }
+
+    return rideService.createRide(schedule.driverId, {
+      ...rideData,
+      departureDate: date,
+      departureTime: schedule.recurrence.departureTime,
+    });
+  }
+
+  /**
+   * Scheduled job (run daily by the notification scheduler): top up rides
+   * for every active schedule
+   */
+  async generateUpcomingRides(now = new Date()) {
+    const results = { schedules: 0, ridesCreated: 0, errors: 0 };
+
+    try {
+      const schedules = await RideSchedule.findActive();
+
+      for (const schedule of schedules) {
+        try {
+          const rides = await this.generateInstances(schedule, now);
+          results.schedules += 1;
+          results.ridesCreated += rides.length;
+        } catch (error) {
+          results.errors += 1;
+          logger.error(`Failed to generate rides for schedule ${schedule.id}:`, error);
+        }
+      }
+
+      logger.info(`Ride schedules processed: ${results.schedules}, rides created: ${results.ridesCreated}`);
+    } catch (error) {
+      logger.error('Failed to generate scheduled rides:', error);
+    }
+
+    return results;
+  }
+
+  /**
+   * Load a schedule owned by the provider
+   */
+  async getOwnedSchedule(scheduleId, driverId) {
+    const schedule = await RideSchedule.findById(scheduleId);
+    if (!schedule) {
+      throw new Error('Ride schedule not found');
+    }
+    if (schedule.driverId !== driverId) {
+      throw new Error('You can only manage your own ride schedules');
+    }
+    return schedule;
+  }
+
+  /**
+   * Get a provider's schedules
+   */
+  async getDriverSchedules(driverId) {
+    return RideSchedule.findByDriverId(driverId);
+  }
+
+  /**
+   * Edit a schedule. Rides already departed are left alone; future rides are
+   * updated, or cancelled when they no longer fall on the schedule, and their
+   * passengers are told.
+   */
+  async updateSchedule(scheduleId, driverId, updates, now = new Date()) {
+    const schedule = await this.getOwnedSchedule(scheduleId, driverId);
+    if (['cancelled', 'ended'].includes(schedule.status)) {
+      throw new Error(`Cannot edit a schedule that has ${schedule.status === 'ended' ? 'ended' : 'been cancelled'}`);
+    }
+
+    const previousTime = schedule.recurrence.departureTime;
+    const recurrence = { ...schedule.recurrence, ...(updates.recurrence || {}) };
+    this.validateRecurrence(recurrence);
+
+    const rideFields = RIDE_FIELDS[schedule.rideType] || RIDE_FIELDS.standard;
+    const templateChanges = Object.fromEntries(
+      Object.entries(updates.template || {}).filter(([field]) => rideFields.includes(field))
+    );
+    if (templateChanges.vehicleId || templateChanges.vehicle?.id) {
+      await rideService.validateVehicleForRide(templateChanges.vehicleId || templateChanges.vehicle.id, driverId);
+    }
+
+    schedule.recurrence = recurrence;
+    schedule.template = { ...schedule.template, ...templateChanges };
+    if (updates.daysAhead) {
+      schedule.daysAhead = Math.min(updates.daysAhead, SCHEDULE_CONFIG.maxDaysAhead);
+    }
+    if (updates.status) {
+      schedule.status = updates.status; // active or paused
+    }
+    schedule.version += 1;
+
+    // Fields to copy onto rides that still lie ahead
+    const rideChanges = {};
+    if (recurrence.departureTime !== previousTime) {
+      rideChanges.departureTime = recurrence.departureTime;
+    }
+    if (templateChanges.pricePerSeat !== undefined) {
+      rideChanges.pricePerSeat = parseFloat(templateChanges.pricePerSeat);
+    }
+    if (templateChanges.totalSeats !== undefined || templateChanges.availableSeats !== undefined) {
+      rideChanges.totalSeats = parseInt(templateChanges.totalSeats ?? templateChanges.availableSeats);
+    }
+    if (templateChanges.vehicleId || templateChanges.vehicle?.id) {
+      rideChanges.vehicleId = templateChanges.vehicleId || templateChanges.vehicle.id;
+    }
+    if (templateChanges.preferences) {
+      rideChanges.preferences = templateChanges.preferences;
+    }
+
+    const result = { updatedRides: 0, cancelledRides: 0 };
+    for (const instance of schedule.getFutureInstances(now)) {
+      if (!schedule.occursOn(instance.date)) {
+        await this.cancelInstance(schedule, instance, 'This date was removed from the driver\'s recurring schedule');
+        result.cancelledRides += 1;
+        continue;
+      }
+
+      if (Object.keys(rideChanges).length === 0) {
+        continue;
+      }
+
+      try {
+        const ride = await rideService.updateRide(instance.rideId, driverId, {
+          ...rideChanges,
+          recurringSchedule: { scheduleId: schedule.id, occurrenceDate: instance.date, version: schedule.version },
+        });
+        schedule.instances[instance.date] = { ...schedule.instances[instance.date], departureTime: ride.departureTime };
+        result.updatedRides += 1;
+
+        await this.notifyPassengers(instance.rideId, {
+          type: 'ride_updated',
+          ...this.describeRideChanges(ride, instance.date, rideChanges),
+          data: { rideId: instance.rideId, scheduleId: schedule.id },
+          priority: 'high',
+          // Lets the outbox hold the update in quiet hours unless the ride leaves soon after
+          departureAt: new Date(`${instance.date}T${recurrence.departureTime}`).toISOString(),
+        }, 'rideUpdates');
+      } catch (error) {
+        logger.error(`Failed to update ride ${instance.rideId} for schedule ${schedule.id}:`, error);
+      }
+    }
+
+    await schedule.save();
+    const rides = await this.generateInstances(schedule, now);
+
+    logger.info(`Ride schedule ${schedule.id} updated: ${result.updatedRides} rides updated, ${result.cancelledRides} cancelled`);
+    return { schedule, ...result, ridesCreated: rides.length };
+  }
+
+  /**
+   * Cancel a schedule and all of its rides still to depart
+   */
+  async cancelSchedule(scheduleId, driverId, reason = null, now = new Date()) {
+    const schedule = await this.getOwnedSchedule(scheduleId, driverId);
+    if (schedule.status === 'cancelled') {
+      throw new Error('Ride schedule is already cancelled');
+    }
+
+    let cancelledRides = 0;
+    for (const instance of schedule.getFutureInstances(now)) {
+      await this.cancelInstance(schedule, instance, reason || 'The driver cancelled this recurring ride');
+      cancelledRides += 1;
+    }
+
+    schedule.status = 'cancelled';
+    schedule.cancelledAt = now.toISOString();
+    schedule.cancellationReason = reason;
+    await schedule.save();
+
+    logger.info(`Ride schedule ${schedule.id} cancelled with ${cancelledRides} future rides`);
+    return { schedule, cancelledRides };
+  }
+
+  /**
+   * Cancel one generated ride and the bookings on it. Each booking goes
+   * through the driver cancellation path, so seats are released and paid
+   * fares refunded in full; the ride's waitlist is closed.
+   */
+  async cancelInstance(schedule, instance, reason) {
+    const db = getDatabase();
+    const cancelledAt = new Date().toISOString();
+    const notification = {
+      type: 'ride_cancelled',
+      variables: { date: instance.date, reason },
+      data: { rideId: instance.rideId, scheduleId: schedule.id },
+      priority: 'high',
+    };
+
+    try {
+      // Cancel the ride first so freed seats are not offered to the waitlist
+      await db.ref(`rides/${instance.rideId}`).update({ status: 'cancelled', updatedAt: cancelledAt });
+      try {
+        await getFirestore().collection('rides').doc(instance.rideId)
+          .set({ status: 'cancelled', updatedAt: cancelledAt }, { merge: true });
+      } catch (fsError) {
+        logger.error('Failed to update ride in Firestore:', fsError);
+      }
+
+      await this.notifyPassengers(instance.rideId, notification, 'bookingCancellations', async (bookingId) => {
+        await BookingService.cancelRealtimeBooking(bookingId, schedule.driverId, reason);
+      });
+      await waitlistService.cancelRideWaitlist(instance.rideId, notification);
+
+      schedule.instances[instance.date] = { ...schedule.instances[instance.date], status: 'cancelled' };
+    } catch (error) {
+      logger.error(`Failed to cancel ride ${instance.rideId} for schedule ${schedule.id}:`, error);
+    }
+  }
+
+  /**
+   * Notify passengers holding active bookings on a ride, optionally acting on each booking first
+   */
+  async notifyPassengers(rideId, notification, category, onBooking = null) {
+    const snapshot = await getDatabase().ref('bookings')
+      .orderByChild('rideId')
+      .equalTo(rideId)
+      .once('value');
+
+    const bookings = Object.entries(snapshot.val() || {})
+      .filter(([, booking]) => ['requested', 'confirmed'].includes(booking.status));
+
+    for (const [bookingId, booking] of bookings) {
+      try {
+        if (onBooking) {
+          await onBooking(bookingId, booking);
+        }
+
+        const [channels, userDoc] = await Promise.all([
+          NotificationPreferencesService.getNotificationChannels(booking.passengerId, category),
+          getFirestore().collection('users').doc(booking.passengerId).get(),
+        ]);
+        const user = userDoc.exists ? userDoc.data() : {};
+
+        await NotificationService.sendComprehensiveNotification(
+          booking.passengerId,
+          { ...notification, data: { ...notification.data, bookingId } },
+          channels,
+          {
+            email: user.email,
+            phoneNumber: user.phoneNumber,
+            fcmToken: await NotificationPreferencesService.getFCMToken(booking.passengerId),
+            locale: user.preferences?.language,
+          },
+          { category }
+        );
+      } catch (error) {
+        logger.error(`Failed to notify passenger on booking ${bookingId}:`, error);
+      }
+    }
+
+    return bookings.length;
+  }
+
+  /**
+   * Template and variables for the passenger-facing summary of what
+   * changed on a ride
+   */
+  describeRideChanges(ride, date, rideChanges) {
+    const changes = {};
+    if (rideChanges.departureTime) {
+      changes.departureTime = rideChanges.departureTime;
+    }
+    if (rideChanges.pricePerSeat !== undefined) {
+      changes.pricePerSeat = rideChanges.pricePerSeat;
+    }
+    if (rideChanges.vehicleId) {
+      changes.vehicle = [ride.vehicle?.color, ride.vehicle?.make, ride.vehicle?.model].filter(Boolean).join(' ');
+    }
+
+    const variables = {
+      origin: ride.origin?.city || ride.origin?.address,
+      destination: ride.destination?.city || ride.destination?.address,
+      date,
+    };
+    return Object.keys(changes).length > 0
+      ? { template: 'ride_updated', variables: { ...variables, changes } }
+      : { template: 'ride_details_updated', variables };
+  }
+}
+
+module.exports = new RideScheduleService();
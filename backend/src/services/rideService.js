@@ -1,6 +1,12 @@
 const Vehicle = require('../models/Vehicle');
 const vehicleService = require('./vehicleService');
 const { getDatabase } = require('../config/firebase');
+const segments = require('../utils/segments');
+const cancellationPolicies = require('../utils/cancellationPolicies');
+const dynamicPricing = require('../utils/dynamicPricing');
+const pricingService = require('./pricingService');
+const routeStopService = require('./routeStopService');
+const routeVersionService = require('./routeVersionService');
 const logger = require('../utils/logger');
 
 class RideService {
@@ -105,6 +111,8 @@ class RideService {
         },
         totalSeats: Math.min(rideData.totalSeats || vehicle.details.seats, vehicle.details.seats),
         availableSeats: Math.min(rideData.totalSeats || vehicle.details.seats, vehicle.details.seats),
+        bookingPolicy: cancellationPolicies.normalizeBookingPolicy(rideData.bookingPolicy),
+        dynamicPricing: dynamicPricing.normalizeDynamicPricing(rideData.dynamicPricing, rideData.pricePerSeat),
         status: 'published',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
@@ -228,19 +236,15 @@ class RideService {
         // Passenger-facing visibility rules: hide full and expired rides.
         rides = rides.filter((ride) => this.isRideVisibleForPassenger(ride));
 
-        // Apply basic filters
-        if (origin) {
-          rides = rides.filter(ride =>
-            ride.origin?.city?.toLowerCase().includes(origin.toLowerCase()) ||
-            ride.origin?.address?.toLowerCase().includes(origin.toLowerCase())
-          );
-        }
-
-        if (destination) {
-          rides = rides.filter(ride =>
-            ride.destination?.city?.toLowerCase().includes(destination.toLowerCase()) ||
-            ride.destination?.address?.toLowerCase().includes(destination.toLowerCase())
-          );
+        // Apply basic filters: pickup and drop-off may be any stops on the route, in order
+        if (origin || destination) {
+          rides = rides.filter(ride => {
+            const quote = this.matchRideSegment(ride, origin, destination);
+            if (quote) {
+              ride.segment = { ...quote.segment, availableSeats: quote.availableSeats, pricePerSeat: quote.pricePerSeat };
+            }
+            return !!quote;
+          });
         }
 
         if (date) {
@@ -248,11 +252,15 @@ class RideService {
         }
 
         if (passengers) {
-          rides = rides.filter(ride => ride.availableSeats >= parseInt(passengers));
+          rides = rides.filter(ride =>
+            (ride.segment ? ride.segment.availableSeats : ride.availableSeats) >= parseInt(passengers)
+          );
         }
 
         if (maxPrice) {
-          rides = rides.filter(ride => ride.pricePerSeat <= parseFloat(maxPrice));
+          rides = rides.filter(ride =>
+            (ride.segment ? ride.segment.pricePerSeat : ride.pricePerSeat) <= parseFloat(maxPrice)
+          );
         }
 
         // Apply vehicle-based filters
@@ -404,6 +412,28 @@ class RideService {
     }
   }
 
+  /**
+   * Match a search's origin/destination against the ride's stops.
+   * Returns the segment quote, or null when the ride does not serve the trip.
+   */
+  matchRideSegment(ride, origin, destination) {
+    const segment = segments.resolveSegment(ride, origin, destination, { loose: true });
+    if (segment) {
+      return segments.quoteSegment(ride, segment);
+    }
+
+    // Rides without stop data still match on origin/destination city or address
+    const matchesEndpoint = (location, term) => !term ||
+      location?.city?.toLowerCase().includes(term.toLowerCase()) ||
+      location?.address?.toLowerCase().includes(term.toLowerCase());
+
+    if (matchesEndpoint(ride.origin, origin) && matchesEndpoint(ride.destination, destination)) {
+      return segments.quoteSegment(ride, segments.resolveSegment(ride, null, null));
+    }
+
+    return null;
+  }
+
   /**
    * Get vehicle category for filtering
    */
@@ -412,6 +442,7 @@ class RideService {
 
     const seats = vehicle.seats || 0;
     const make = (vehicle.make || '').toLowerCase();
+    const model = (vehicle.model || '').toLowerCase();
 
     // Categorize by seats and make
     if (seats <= 2) {
@@ -607,6 +638,35 @@ class RideService {
         }
       }
 
+      // Passengers already booked keep the cancellation policy they booked under
+      if (updateData.bookingPolicy) {
+        const bookingPolicy = cancellationPolicies.normalizeBookingPolicy({
+          ...rideData.bookingPolicy,
+          ...updateData.bookingPolicy
+        });
+        const policyChanged = JSON.stringify(cancellationPolicies.resolveCancellationPolicy(bookingPolicy)) !==
+          JSON.stringify(cancellationPolicies.resolveCancellationPolicy(rideData.bookingPolicy));
+        if (policyChanged && rideData.availableSeats < rideData.totalSeats) {
+          throw new Error('Cannot change the cancellation policy of a ride with bookings');
+        }
+        updateData.bookingPolicy = bookingPolicy;
+      }
+
+      // A price set by the provider becomes the base price dynamic pricing works from;
+      // turning dynamic pricing off goes back to that base price
+      const pricingWasDynamic = rideData.dynamicPricing?.enabled === true;
+      if (updateData.dynamicPricing || (updateData.pricePerSeat !== undefined && pricingWasDynamic)) {
+        const settings = { ...rideData.dynamicPricing, ...updateData.dynamicPricing };
+        if (updateData.pricePerSeat !== undefined) {
+          settings.basePrice = parseFloat(updateData.pricePerSeat);
+        }
+        updateData.dynamicPricing = dynamicPricing.normalizeDynamicPricing(settings, rideData.pricePerSeat);
+
+        if (pricingWasDynamic && !updateData.dynamicPricing.enabled && updateData.pricePerSeat === undefined) {
+          updateData.pricePerSeat = rideData.dynamicPricing.basePrice;
+        }
+      }
+
       // Prepare update data
       const finalUpdateData = {
         ...updateData,
@@ -617,6 +677,14 @@ class RideService {
       if (updateData.totalSeats) {
         const bookedSeats = rideData.totalSeats - rideData.availableSeats;
         finalUpdateData.availableSeats = Math.max(0, updateData.totalSeats - bookedSeats);
+
+        // Shift every segment by the change in capacity
+        if (rideData.segmentSeats) {
+          const seatDelta = updateData.totalSeats - rideData.totalSeats;
+          finalUpdateData.segmentSeats = segments.getSegmentSeats(rideData)
+            .map(free => Math.max(0, free + seatDelta));
+          finalUpdateData.availableSeats = segments.summarizeAvailableSeats(finalUpdateData.segmentSeats);
+        }
       }
 
       // Remove vehicleId from update data as we've processed it
@@ -625,6 +693,22 @@ class RideService {
       // Update ride
       await rideRef.update(finalUpdateData);
 
+      // Keep the Firestore copy used by advanced search in step
+      try {
+        const { getFirestore } = require('../config/firebase');
+        await getFirestore().collection('rides').doc(rideId).set(finalUpdateData, { merge: true });
+      } catch (fsError) {
+        logger.error('Failed to update ride in Firestore:', fsError);
+      }
+
+      if (finalUpdateData.pricePerSeat !== undefined && finalUpdateData.pricePerSeat !== rideData.pricePerSeat) {
+        await pricingService.recordPriceChange(rideId, {
+          previousPrice: rideData.pricePerSeat,
+          price: finalUpdateData.pricePerSeat,
+          source: 'provider'
+        });
+      }
+
       // Fetch updated ride
       const updatedSnapshot = await rideRef.once('value');
       return { id: rideId, ...updatedSnapshot.val() };
@@ -1043,6 +1127,7 @@ class RideService {
       const { getFirestore } = require('../config/firebase');
       const db = getFirestore();
       let routeData_db = null;
+      let routeVersion = null;
 
       if (routeId) {
         const routeDoc = await db.collection('routes').doc(routeId).get();
@@ -1054,6 +1139,9 @@ class RideService {
         if (!routeData_db.active) {
           throw new Error('Predefined route is not active');
         }
+
+        // The ride stays on this version when the route is edited later
+        routeVersion = await routeVersionService.ensureVersioned(routeId, routeData_db);
       }
 
       // Validate vehicle exists and belongs to driver
@@ -1076,6 +1164,19 @@ class RideService {
 
       const destinationForRide = { ...normalizedDestination, name: destination?.name };
 
+      // Ordered stops with distances, and per-segment seat inventory. The route's
+      // stop sequence fills in road distances and arrival times at each stop.
+      const routeStops = routeStopService.applyStopSequence(
+        segments.buildRouteStops(
+          { ...source, city: origin.city, coordinates: origin.coordinates },
+          intermediateStops,
+          { ...destination, city: normalizedDestination.city, coordinates: normalizedDestination.coordinates }
+        ),
+        routeData_db?.stopSequence,
+        rideDate,
+        rideTime
+      );
+
       const enhancedRideData = {
         driverId,
         source: {
@@ -1086,6 +1187,9 @@ class RideService {
         origin: { ...origin, name: source?.name },
         destination: destinationForRide,
         intermediateStops: intermediateStops || [],
+        routeStops,
+        routeStopKeys: segments.getRouteStopKeys(routeStops),
+        segmentSeats: segments.initSegmentSeats(routeStops, availableSeats),
         departureDate: rideDate,
         departureTime: rideTime,
         totalSeats: availableSeats,
@@ -1106,13 +1210,18 @@ class RideService {
           verificationLevel: vehicleData.verification.verificationLevel || 'basic',
           type: this.getVehicleCategory(vehicleData.details)
         },
+        recurringSchedule: rideData.recurringSchedule || null,
+        bookingPolicy: cancellationPolicies.normalizeBookingPolicy(rideData.bookingPolicy),
+        dynamicPricing: dynamicPricing.normalizeDynamicPricing(rideData.dynamicPricing, parseFloat(pricePerSeat)),
         routeInfo: {
           routeId: routeId || null,
+          routeVersion,
           createdFromPredefinedRoute: !!routeId,
           originalRoute: {
             source: routeData_db?.source || null,
             destination: routeData_db?.destination || null,
-            stops: routeData_db?.stops || []
+            stops: routeData_db?.stops || [],
+            stopSequence: routeData_db?.stopSequence || []
           }
         },
         status: 'published',
@@ -0,0 +1,128 @@
+const { getDatabase } = require('../config/firebase');
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const MessagingService = require('./messagingService');
+const logger = require('../utils/logger');
+
+// Passenger entries on a ride that still count as being on the trip
+const ACTIVE_PASSENGER_STATUSES = ['requested', 'confirmed', 'in_progress', 'completed'];
+
+class RoomAuthorizationService {
+  /**
+   * The ride from the realtime database, where bookings add their passengers, or Firestore
+   */
+  async loadRide(rideId) {
+    const snapshot = await getDatabase().ref(`rides/${rideId}`).once('value');
+    return snapshot.val() || await Ride.findById(rideId);
+  }
+
+  /**
+   * The booking from the realtime database, where POST /api/bookings creates it, or Firestore
+   */
+  async loadBooking(bookingId) {
+    const snapshot = await getDatabase().ref(`bookings/${bookingId}`).once('value');
+    return snapshot.val() || await Booking.findById(bookingId);
+  }
+
+  /**
+   * The ride's driver, or a passenger with a live booking on it
+   */
+  async canJoinRide(userId, rideId) {
+    const ride = await this.loadRide(rideId);
+    if (!ride) {
+      return { allowed: false, reason: 'Ride not found' };
+    }
+
+    if (ride.driverId === userId) {
+      return { allowed: true };
+    }
+
+    const passenger = ride.passengers?.[userId];
+    if (passenger && ACTIVE_PASSENGER_STATUSES.includes(passenger.status)) {
+      return { allowed: true };
+    }
+
+    return { allowed: false, reason: 'Not a participant of this ride' };
+  }
+
+  async canJoinBooking(userId, bookingId) {
+    const booking = await this.loadBooking(bookingId);
+    if (!booking) {
+      return { allowed: false, reason: 'Booking not found' };
+    }
+
+    if (booking.passengerId === userId || booking.driverId === userId) {
+      return { allowed: true };
+    }
+
+    return { allowed: false, reason: 'Not a participant of this booking' };
+  }
+
+  /**
+   * Booking chats are open to the booking's passenger and driver until it
+   * is cancelled; other conversation types are left to the messaging service
+   */
+  async canJoinConversation(userId, conversationId) {
+    if (!conversationId.startsWith('booking_')) {
+      const allowed = await MessagingService.canUserAccessConversation(userId, conversationId);
+      return allowed ? { allowed: true } : { allowed: false, reason: 'Not a participant of this conversation' };
+    }
+
+    const booking = await this.loadBooking(conversationId.slice('booking_'.length));
+    if (!booking || (booking.passengerId !== userId && booking.driverId !== userId)) {
+      return { allowed: false, reason: 'Not a participant of this conversation' };
+    }
+    if (String(booking.status || '').startsWith('cancelled')) {
+      return { allowed: false, reason: 'This booking has been cancelled' };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Locations are only taken from the driver or a confirmed passenger, so
+   * someone with a pending request can't broadcast into the trip
+   */
+  async canShareLocation(userId, rideId) {
+    const ride = await this.loadRide(rideId);
+    if (!ride) {
+      return { allowed: false, reason: 'Ride not found' };
+    }
+
+    if (ride.driverId === userId || ride.passengers?.[userId]?.status === 'confirmed') {
+      return { allowed: true };
+    }
+
+    return { allowed: false, reason: 'Only the driver or a confirmed passenger can share location' };
+  }
+
+  /**
+   * Check access to a ride, booking or conversation room.
+   * Lookup failures deny access rather than letting the join through.
+   */
+  async authorize(userId, roomType, roomId) {
+    if (!roomId || typeof roomId !== 'string') {
+      return { allowed: false, reason: `A ${roomType} ID is required` };
+    }
+
+    try {
+      switch (roomType) {
+        case 'ride':
+          return await this.canJoinRide(userId, roomId);
+        case 'booking':
+          return await this.canJoinBooking(userId, roomId);
+        case 'conversation':
+          return await this.canJoinConversation(userId, roomId);
+        case 'share_location':
+          return await this.canShareLocation(userId, roomId);
+        default:
+          return { allowed: false, reason: 'Unknown room type' };
+      }
+    } catch (error) {
+      logger.error(`Error authorizing ${roomType} room ${roomId} for user ${userId}:`, error);
+      return { allowed: false, reason: 'Could not verify access' };
+    }
+  }
+}
+
+module.exports = new RoomAuthorizationService();
@@ -0,0 +1,313 @@
+const { getFirestore } = require('../config/firebase');
+const mapsService = require('../utils/maps');
+const segments = require('../utils/segments');
+const logger = require('../utils/logger');
+
+const ROUTE_STOP_CONFIG = {
+  averageSpeedKmph: parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMPH) || 40, // Used when the maps API has no route for a leg
+  maxImportStops: 50,
+};
+
+/**
+ * Stop sequence for predefined routes.
+ *
+ * A route's stopSequence lists source, intermediate stops and destination in
+ * travel order. Each entry carries its sequence number, the road distance from
+ * the origin (km) and the usual time offset from departure (minutes). Legs are
+ * measured with the maps API, falling back to straight-line distance at an
+ * average speed. An admin can pin a stop's distance or offset by hand; later
+ * stops are then measured from the pinned values.
+ *
+ * Rides created from the route use the sequence to fill in arrival times at
+ * each stop and to price segments by road distance.
+ */
+class RouteStopService {
+  /**
+   * Look up coordinates for stops that only reference the stops catalogue
+   */
+  async resolveCoordinates(stop) {
+    const coordinates = segments.getStopCoordinates(stop);
+    if (coordinates || !stop.stopId) {
+      return coordinates;
+    }
+
+    try {
+      const stopDoc = await getFirestore().collection('stops').doc(stop.stopId).get();
+      return stopDoc.exists ? segments.getStopCoordinates(stopDoc.data()) : null;
+    } catch (error) {
+      logger.warn(`Could not load stop ${stop.stopId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Measure one leg: road distance and drive time from the maps API, or an estimate
+   */
+  async measureLeg(from, to) {
+    if (!from || !to) {
+      return null;
+    }
+
+    const route = await mapsService.getRoute(from, to);
+    const best = route?.routes?.[0];
+    if (best?.distance?.value) {
+      return {
+        distanceKm: best.distance.value / 1000,
+        minutes: best.duration.value / 60,
+        source: 'maps',
+      };
+    }
+
+    const distanceKm = mapsService.calculateDistance(from, to);
+    return {
+      distanceKm,
+      minutes: (distanceKm / ROUTE_STOP_CONFIG.averageSpeedKmph) * 60,
+      source: 'estimated',
+    };
+  }
+
+  /**
+   * Build a route's stop sequence from its source, intermediate stops and destination.
+   * Stops may carry manual distanceFromOrigin (km) and timeOffsetMinutes overrides.
+   */
+  async buildStopSequence(source, stops = [], destination) {
+    const ordered = [source, ...(stops || []), destination];
+    const sequence = [];
+
+    for (let index = 0; index < ordered.length; index++) {
+      const stop = ordered[index];
+      const coordinates = await this.resolveCoordinates(stop);
+      const previous = sequence[index - 1];
+      const leg = previous ? await this.measureLeg(previous.coordinates, coordinates) : null;
+
+      let distanceFromOrigin = 0;
+      let timeOffsetMinutes = 0;
+      if (previous) {
+        distanceFromOrigin = leg && previous.distanceFromOrigin !== null
+          ? previous.distanceFromOrigin + leg.distanceKm
+          : null;
+        timeOffsetMinutes = leg && previous.timeOffsetMinutes !== null
+          ? previous.timeOffsetMinutes + leg.minutes
+          : null;
+      }
+
+      const manualDistance = index > 0 && this.isSet(stop.distanceFromOrigin);
+      const manualTime = index > 0 && this.isSet(stop.timeOffsetMinutes);
+      if (manualDistance) distanceFromOrigin = Number(stop.distanceFromOrigin);
+      if (manualTime) timeOffsetMinutes = Number(stop.timeOffsetMinutes);
+
+      sequence.push({
+        sequence: index,
+        stopId: stop.stopId || stop.id || null,
+        name: stop.name,
+        coordinates,
+        distanceFromOrigin: distanceFromOrigin === null ? null : Math.round(distanceFromOrigin * 100) / 100,
+        timeOffsetMinutes: timeOffsetMinutes === null ? null : Math.round(timeOffsetMinutes),
+        measuredBy: manualDistance || manualTime ? 'manual' : (leg?.source || (index === 0 ? 'origin' : null)),
+      });
+    }
+
+    this.validateSequence(sequence);
+    return sequence;
+  }
+
+  /**
+   * Stop sequence plus route totals, as stored on a route document
+   */
+  async buildRouteFields(source, stops, destination) {
+    const stopSequence = await this.buildStopSequence(source, stops, destination);
+    const last = stopSequence[stopSequence.length - 1];
+
+    return {
+      stopSequence,
+      totalDistanceKm: last.distanceFromOrigin,
+      typicalDurationMinutes: last.timeOffsetMinutes,
+    };
+  }
+
+  /**
+   * Check that an optional numeric field was actually provided
+   */
+  isSet(value) {
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+  }
+
+  /**
+   * Distances and offsets must not go backwards along the route
+   */
+  validateSequence(sequence) {
+    for (const field of ['distanceFromOrigin', 'timeOffsetMinutes']) {
+      let last = 0;
+      for (const entry of sequence) {
+        if (entry[field] === null) continue;
+        if (entry[field] < last) {
+          throw new Error(`Stop "${entry.name}" has a smaller ${field} than the stop before it`);
+        }
+        last = entry[field];
+      }
+    }
+  }
+
+  /**
+   * Parse an uploaded stop list. CSV needs a name column and may have lat, lng,
+   * distanceFromOrigin and timeOffsetMinutes columns. GeoJSON needs Point
+   * features with a name property, in travel order.
+   * Returns { source, stops, destination } ready for buildStopSequence.
+   */
+  parseStopImport(format, content) {
+    let rows;
+    if (format === 'csv') {
+      rows = this.parseCsv(String(content || ''));
+    } else if (format === 'geojson') {
+      rows = this.parseGeoJson(content);
+    } else {
+      throw new Error('Import format must be csv or geojson');
+    }
+
+    if (rows.length < 3) {
+      throw new Error('An imported stop list needs a source, at least one intermediate stop and a destination');
+    }
+    if (rows.length > ROUTE_STOP_CONFIG.maxImportStops) {
+      throw new Error(`An imported stop list can have at most ${ROUTE_STOP_CONFIG.maxImportStops} stops`);
+    }
+
+    rows = rows.map((row, index) => {
+      if (!row.name) {
+        throw new Error(`Stop ${index + 1} in the import has no name`);
+      }
+      // Firestore rejects undefined fields, so drop the columns a row left empty
+      return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined && value !== ''));
+    });
+
+    return {
+      source: rows[0],
+      stops: rows.slice(1, -1),
+      destination: rows[rows.length - 1],
+    };
+  }
+
+  /**
+   * Read stop rows from CSV text with a header row
+   */
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+    if (!headers.includes('name')) {
+      throw new Error('CSV import needs a name column');
+    }
+
+    const column = (cells, ...names) => {
+      const index = headers.findIndex(header => names.includes(header));
+      return index === -1 ? undefined : cells[index];
+    };
+
+    return lines.slice(1).map((line) => {
+      const cells = line.split(',').map(cell => cell.trim());
+      const lat = column(cells, 'lat', 'latitude');
+      const lng = column(cells, 'lng', 'lon', 'longitude');
+      return {
+        stopId: column(cells, 'stopid', 'id') || null,
+        name: column(cells, 'name'),
+        ...(this.isSet(lat) && this.isSet(lng) ? { lat: Number(lat), lng: Number(lng) } : {}),
+        distanceFromOrigin: column(cells, 'distancefromorigin', 'distance_km'),
+        timeOffsetMinutes: column(cells, 'timeoffsetminutes', 'time_offset_minutes'),
+      };
+    });
+  }
+
+  /**
+   * Read stop rows from a GeoJSON FeatureCollection of Points
+   */
+  parseGeoJson(content) {
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw new Error('GeoJSON import is not valid JSON');
+      }
+    }
+
+    if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+      throw new Error('GeoJSON import must be a FeatureCollection');
+    }
+
+    return data.features.map((feature, index) => {
+      if (feature?.geometry?.type !== 'Point' || !Array.isArray(feature.geometry.coordinates)) {
+        throw new Error(`Feature ${index + 1} in the import is not a Point`);
+      }
+      const [lng, lat] = feature.geometry.coordinates;
+      const properties = feature.properties || {};
+      return {
+        stopId: properties.stopId || properties.id || null,
+        name: properties.name,
+        lat: Number(lat),
+        lng: Number(lng),
+        distanceFromOrigin: properties.distanceFromOrigin,
+        timeOffsetMinutes: properties.timeOffsetMinutes,
+      };
+    });
+  }
+
+  /**
+   * Fill in road distances and arrival times on a ride's stops from its route's
+   * stop sequence. Distances are only replaced when every ride stop is on the
+   * route, so segment fares never mix road and straight-line distances.
+   */
+  applyStopSequence(routeStops, stopSequence, departureDate, departureTime) {
+    if (!Array.isArray(stopSequence) || stopSequence.length === 0) {
+      return routeStops;
+    }
+
+    const matches = routeStops.map(stop => stopSequence[segments.findStopIndex(stopSequence, stop)] || null);
+    const first = matches[0];
+    const departure = new Date(`${departureDate} ${departureTime}`);
+    const hasAllDistances = matches.every(match => match && match.distanceFromOrigin !== null);
+
+    return routeStops.map((stop, index) => {
+      const match = matches[index];
+      const updated = { ...stop, sequence: match ? match.sequence : null };
+
+      if (hasAllDistances) {
+        updated.distanceFromStart = Math.round((match.distanceFromOrigin - first.distanceFromOrigin) * 100) / 100;
+      }
+
+      if (match && first && match.timeOffsetMinutes !== null && first.timeOffsetMinutes !== null &&
+        !Number.isNaN(departure.getTime())) {
+        const minutes = match.timeOffsetMinutes - first.timeOffsetMinutes;
+        const arrival = new Date(departure.getTime() + minutes * 60 * 1000);
+        updated.timeOffsetMinutes = minutes;
+        updated.estimatedArrivalDate = this.formatDate(arrival);
+        updated.estimatedArrivalTime = this.formatTime(arrival);
+      } else {
+        updated.timeOffsetMinutes = null;
+        updated.estimatedArrivalDate = null;
+        updated.estimatedArrivalTime = null;
+      }
+
+      return updated;
+    });
+  }
+
+  /**
+   * Local YYYY-MM-DD, matching ride departureDate
+   */
+  formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Local HH:MM, matching ride departureTime
+   */
+  formatTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+}
+
+module.exports = new RouteStopService();
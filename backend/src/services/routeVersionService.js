@@ -0,0 +1,232 @@
+const { getFirestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+// Route fields that define the trip; changing any of them creates a new version
+const VERSIONED_FIELDS = ['source', 'destination', 'stops', 'stopSequence', 'totalDistanceKm', 'typicalDurationMinutes'];
+
+/**
+ * Versions of predefined routes.
+ *
+ * The routes/{id} document always holds the latest version, with its number
+ * in `version`. Every version is also kept in routeVersions/{id}_v{n}, which
+ * is never edited. A ride records the version it was created from in
+ * routeInfo.routeVersion, so later edits leave existing rides untouched. Routes
+ * saved before versioning have no version number; they become version 1 the
+ * first time they are read or edited.
+ */
+class RouteVersionService {
+  /**
+   * Document ID of a route version
+   */
+  versionDocId(routeId, version) {
+    return `${routeId}_v${version}`;
+  }
+
+  /**
+   * The versioned part of a route document
+   */
+  pickVersionedFields(routeData) {
+    const fields = {};
+    VERSIONED_FIELDS.forEach(field => {
+      fields[field] = routeData[field] === undefined ? null : routeData[field];
+    });
+    fields.stops = fields.stops || [];
+    fields.stopSequence = fields.stopSequence || [];
+    return fields;
+  }
+
+  /**
+   * Whether an update touches any versioned field
+   */
+  changesVersionedFields(update) {
+    return VERSIONED_FIELDS.some(field => update[field] !== undefined);
+  }
+
+  /**
+   * Store an immutable copy of a route as the given version
+   */
+  async saveVersion(routeId, version, routeData, createdBy) {
+    const versionData = {
+      routeId,
+      version,
+      ...this.pickVersionedFields(routeData),
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy || null,
+    };
+
+    await getFirestore().collection('routeVersions').doc(this.versionDocId(routeId, version)).set(versionData);
+    return versionData;
+  }
+
+  /**
+   * Make sure a route saved before versioning has its version 1.
+   * Returns the route's current version number.
+   */
+  async ensureVersioned(routeId, routeData) {
+    if (routeData.version) {
+      return routeData.version;
+    }
+
+    await this.saveVersion(routeId, 1, routeData, routeData.createdBy);
+    await getFirestore().collection('routes').doc(routeId).update({ version: 1 });
+    logger.info(`Route ${routeId} versioned as v1`);
+    return 1;
+  }
+
+  /**
+   * Apply an edit to a route. When it changes a versioned field the route moves
+   * to a new version and the update written to the route document carries the
+   * new number. Returns { update, version, versionCreated }.
+   */
+  async prepareUpdate(routeId, currentData, update, editedBy) {
+    const currentVersion = await this.ensureVersioned(routeId, currentData);
+    if (!this.changesVersionedFields(update)) {
+      return { update, version: currentVersion, versionCreated: false };
+    }
+
+    const version = currentVersion + 1;
+    await this.saveVersion(routeId, version, { ...currentData, ...update }, editedBy);
+
+    logger.info(`Route ${routeId} updated to v${version} by ${editedBy}`);
+    return { update: { ...update, version }, version, versionCreated: true };
+  }
+
+  /**
+   * Get one version of a route
+   */
+  async getVersion(routeId, version) {
+    const versionDoc = await getFirestore().collection('routeVersions').doc(this.versionDocId(routeId, version)).get();
+    return versionDoc.exists ? versionDoc.data() : null;
+  }
+
+  /**
+   * All versions of a route, oldest first
+   */
+  async listVersions(routeId) {
+    const snapshot = await getFirestore().collection('routeVersions').where('routeId', '==', routeId).get();
+    const versions = [];
+    snapshot.forEach(doc => versions.push(doc.data()));
+    return versions.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Published rides created from the route that have not departed yet
+   */
+  async getFutureRides(routeId, now = new Date()) {
+    const snapshot = await getFirestore().collection('rides').where('routeInfo.routeId', '==', routeId).get();
+    const rides = [];
+
+    snapshot.forEach(doc => {
+      const ride = doc.data();
+      const departure = new Date(`${ride.departureDate} ${ride.departureTime}`);
+      if (ride.status !== 'published' || !(departure > now)) return;
+
+      rides.push({
+        id: ride.id || doc.id,
+        driverId: ride.driverId,
+        departureDate: ride.departureDate,
+        departureTime: ride.departureTime,
+        routeVersion: ride.routeInfo?.routeVersion || null,
+        bookedSeats: Math.max((ride.totalSeats || 0) - (ride.availableSeats || 0), 0),
+      });
+    });
+
+    return rides.sort((a, b) =>
+      new Date(`${a.departureDate} ${a.departureTime}`) - new Date(`${b.departureDate} ${b.departureTime}`));
+  }
+
+  /**
+   * Versions of a route with how many future rides use each.
+   * Rides created before versioning are counted as unversionedFutureRides.
+   */
+  async getVersionUsage(routeId, routeData, now = new Date()) {
+    const currentVersion = await this.ensureVersioned(routeId, routeData);
+    const [versions, futureRides] = await Promise.all([
+      this.listVersions(routeId),
+      this.getFutureRides(routeId, now),
+    ]);
+
+    return {
+      currentVersion,
+      versions: versions.map(version => ({
+        version: version.version,
+        createdAt: version.createdAt,
+        createdBy: version.createdBy,
+        source: version.source?.name || null,
+        destination: version.destination?.name || null,
+        stopCount: (version.stops || []).length,
+        futureRides: futureRides.filter(ride => ride.routeVersion === version.version).length,
+      })),
+      unversionedFutureRides: futureRides.filter(ride => ride.routeVersion === null).length,
+    };
+  }
+
+  /**
+   * Key that identifies the same stop across versions
+   */
+  stopKey(stop) {
+    return stop?.stopId || String(stop?.name || '').trim().toLowerCase();
+  }
+
+  /**
+   * Differences between two versions of a route: endpoint changes, stops added
+   * or removed, stops whose position changed, and changed distances and times
+   */
+  async diffVersions(routeId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(routeId, fromVersion),
+      this.getVersion(routeId, toVersion),
+    ]);
+    if (!from || !to) {
+      throw new Error('Route version not found');
+    }
+
+    const endpoints = {};
+    ['source', 'destination'].forEach(field => {
+      if (this.stopKey(from[field]) !== this.stopKey(to[field]) || from[field]?.name !== to[field]?.name) {
+        endpoints[field] = { from: from[field], to: to[field] };
+      }
+    });
+
+    const fromStops = from.stops.map(stop => this.stopKey(stop));
+    const toStops = to.stops.map(stop => this.stopKey(stop));
+    // Order of the stops kept in both versions, so an added stop doesn't count as a move
+    const keptFrom = fromStops.filter(key => toStops.includes(key));
+    const keptTo = toStops.filter(key => fromStops.includes(key));
+    const fromTiming = new Map((from.stopSequence || []).map(stop => [this.stopKey(stop), stop]));
+
+    const timing = (to.stopSequence || [])
+      .map(stop => ({ stop, previous: fromTiming.get(this.stopKey(stop)) }))
+      .filter(({ stop, previous }) => previous && (
+        previous.distanceFromOrigin !== stop.distanceFromOrigin ||
+        previous.timeOffsetMinutes !== stop.timeOffsetMinutes))
+      .map(({ stop, previous }) => ({
+        stopId: stop.stopId,
+        name: stop.name,
+        distanceFromOrigin: { from: previous.distanceFromOrigin, to: stop.distanceFromOrigin },
+        timeOffsetMinutes: { from: previous.timeOffsetMinutes, to: stop.timeOffsetMinutes },
+      }));
+
+    return {
+      routeId,
+      fromVersion: from.version,
+      toVersion: to.version,
+      endpoints,
+      stopsAdded: to.stops.filter(stop => !fromStops.includes(this.stopKey(stop))),
+      stopsRemoved: from.stops.filter(stop => !toStops.includes(this.stopKey(stop))),
+      stopsReordered: to.stops
+        .filter(stop => keptTo.indexOf(this.stopKey(stop)) !== keptFrom.indexOf(this.stopKey(stop)))
+        .map(stop => ({
+          stopId: stop.stopId || null,
+          name: stop.name,
+          from: fromStops.indexOf(this.stopKey(stop)),
+          to: toStops.indexOf(this.stopKey(stop)),
+        })),
+      timing,
+      totalDistanceKm: { from: from.totalDistanceKm, to: to.totalDistanceKm },
+      typicalDurationMinutes: { from: from.typicalDurationMinutes, to: to.typicalDurationMinutes },
+    };
+  }
+}
+
+module.exports = new RouteVersionService();
@@ -2,6 +2,8 @@ const Ride = require('../models/Ride');
 const { getRedisClient } = require('../config/redis');
 const cacheService = require('./cacheService');
 const mapsService = require('../utils/maps');
+const segments = require('../utils/segments');
+const itineraries = require('../utils/itineraries');
 const logger = require('../utils/logger');
 
 class SearchService {
@@ -41,7 +43,7 @@ class SearchService {
       }
 
       // Perform database search
-      let rides = await Ride.search(filters);
+      let rides = await this.findRidesForTrip(filters);
 
       // Apply geolocation-based filtering if coordinates provided
       if (filters.originCoordinates || filters.destinationCoordinates) {
@@ -70,11 +72,12 @@ class SearchService {
       }
 
       const results = {
-        rides: rides.map(ride => ride.getSummary()),
+        rides: rides.map(ride => this.getRideSearchSummary(ride)),
         total: rides.length,
         filters: filters,
         timestamp: new Date().toISOString(),
-        alternativeRoutes: filters.includeAlternatives ? await this.getAlternativeRoutes(filters) : null
+        alternativeRoutes: filters.includeAlternatives ? await this.getAlternativeRoutes(filters) : null,
+        itineraries: filters.includeConnections !== false ? await this.findConnectingItineraries(filters) : []
       };
 
       // Cache results using enhanced cache service
@@ -87,6 +90,145 @@ class SearchService {
     }
   }
 
+  /**
+   * Find rides serving the trip from originCity to destinationCity.
+   * Besides rides that start and end there, rides from predefined routes match when
+   * both places are stops on the route in travel order; each match carries a
+   * segmentQuote with the seats free on that stretch and the pro-rated price.
+   */
+  async findRidesForTrip(filters) {
+    const rides = await Ride.search(filters);
+    if (!filters.originCity && !filters.destinationCity) {
+      return rides;
+    }
+
+    const { originCity, destinationCity, ...otherFilters } = filters;
+    const viaStopRides = await Ride.search({ ...otherFilters, viaStop: originCity || destinationCity });
+
+    const ridesById = new Map();
+    [...rides, ...viaStopRides].forEach(ride => ridesById.set(ride.id, ride));
+
+    const minSeats = parseInt(filters.minSeats) || 1;
+    return [...ridesById.values()].filter(ride => {
+      const quote = ride.getSegmentQuote(originCity, destinationCity);
+      if (!quote || quote.availableSeats < minSeats) {
+        return false;
+      }
+      ride.segmentQuote = quote;
+      return true;
+    });
+  }
+
+  /**
+   * Find itineraries of two or more rides from originCity to destinationCity,
+   * changing rides at shared stops with a layover inside the allowed window.
+   * Legs are returned with their segment, times and price so the whole
+   * itinerary can be booked in one go.
+   */
+  async findConnectingItineraries(filters) {
+    if (!filters.originCity || !filters.destinationCity) {
+      return [];
+    }
+
+    try {
+      const options = {
+        minLayoverMinutes: filters.minLayoverMinutes ?? itineraries.DEFAULT_LAYOVER.minLayoverMinutes,
+        maxLayoverMinutes: filters.maxLayoverMinutes ?? itineraries.DEFAULT_LAYOVER.maxLayoverMinutes,
+      };
+      const maxLegs = Math.min(Math.max(parseInt(filters.maxLegs) || 2, 2), 3);
+      const seats = parseInt(filters.minSeats) || 1;
+      const destinationKey = segments.normalizeStopKey(filters.destinationCity);
+      const ridesByStop = new Map();
+      const results = [];
+
+      const extend = async (legs, fromStop, visitedStops) => {
+        const lastLeg = legs[legs.length - 1];
+        const departureDate = lastLeg ? lastLeg.arrivalAt.split('T')[0] : filters.departureDate;
+        const rides = await this.findRidesFromStop(fromStop, departureDate, ridesByStop);
+
+        for (const ride of rides) {
+          if (legs.some(leg => leg.rideId === ride.id)) continue;
+
+          const routeStops = ride.getRouteStops();
+          const fromIndex = segments.findStopIndex(routeStops, fromStop);
+          if (fromIndex === -1) continue;
+
+          for (let toIndex = fromIndex + 1; toIndex < routeStops.length; toIndex++) {
+            const stopKey = segments.normalizeStopKey(routeStops[toIndex].name);
+            const reachesDestination = stopKey === destinationKey ||
+              segments.normalizeStopKey(routeStops[toIndex].city) === destinationKey;
+            if (visitedStops.has(stopKey)) continue;
+
+            const quote = segments.quoteSegment(ride, segments.resolveSegment(ride, routeStops[fromIndex], routeStops[toIndex]));
+            if (quote.availableSeats < seats) continue;
+
+            const leg = itineraries.describeLeg(ride, quote);
+            if (lastLeg && itineraries.checkConnection(lastLeg, leg, options)) continue;
+
+            if (reachesDestination) {
+              // A single leg to the destination is a direct ride, already in the results
+              if (legs.length > 0) {
+                results.push(itineraries.summarizeItinerary([...legs, leg]));
+              }
+            } else if (legs.length + 1 < maxLegs) {
+              await extend([...legs, leg], routeStops[toIndex].name, new Set([...visitedStops, stopKey]));
+            }
+          }
+        }
+      };
+
+      await extend([], filters.originCity, new Set([segments.normalizeStopKey(filters.originCity)]));
+
+      return results
+        .filter(itinerary => !filters.maxPrice || itinerary.pricePerSeat <= parseFloat(filters.maxPrice))
+        .sort((a, b) => new Date(a.arrivalAt) - new Date(b.arrivalAt) || a.pricePerSeat - b.pricePerSeat)
+        .slice(0, 10);
+    } catch (error) {
+      logger.error('Error finding connecting itineraries:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Bookable rides on a date that start at, or pass through, a stop (memoized per search)
+   */
+  async findRidesFromStop(stop, departureDate, cache) {
+    const cacheKey = `${segments.normalizeStopKey(stop)}|${departureDate || ''}`;
+    if (!cache.has(cacheKey)) {
+      const baseFilters = { departureDate, limit: 50 };
+      const [startingRides, passingRides] = await Promise.all([
+        Ride.search({ ...baseFilters, originCity: stop }),
+        Ride.search({ ...baseFilters, viaStop: stop }),
+      ]);
+
+      const ridesById = new Map();
+      [...startingRides, ...passingRides]
+        .filter(ride => this.isRideVisibleForPassenger(ride))
+        .forEach(ride => ridesById.set(ride.id, ride));
+      cache.set(cacheKey, [...ridesById.values()]);
+    }
+    return cache.get(cacheKey);
+  }
+
+  /**
+   * Ride summary for search results, with the searched segment when there is one
+   */
+  getRideSearchSummary(ride) {
+    const summary = ride.getSummary();
+    if (!ride.segmentQuote) {
+      return summary;
+    }
+
+    return {
+      ...summary,
+      segment: {
+        ...ride.segmentQuote.segment,
+        availableSeats: ride.segmentQuote.availableSeats,
+        pricePerSeat: ride.segmentQuote.pricePerSeat,
+      },
+    };
+  }
+
   /**
    * Filter rides by geolocation proximity
    */
@@ -136,17 +278,17 @@ class SearchService {
       filteredRides = filteredRides.filter((ride) => this.isRideVisibleForPassenger(ride));
     }
 
-    // Filter by maximum price
+    // Filter by maximum price (pro-rated price when searching part of a route)
     if (filters.maxPrice) {
       filteredRides = filteredRides.filter(ride => 
-        ride.pricePerSeat <= parseFloat(filters.maxPrice)
+        (ride.segmentQuote?.pricePerSeat ?? ride.pricePerSeat) <= parseFloat(filters.maxPrice)
       );
     }
 
     // Filter by minimum price
     if (filters.minPrice) {
       filteredRides = filteredRides.filter(ride => 
-        ride.pricePerSeat >= parseFloat(filters.minPrice)
+        (ride.segmentQuote?.pricePerSeat ?? ride.pricePerSeat) >= parseFloat(filters.minPrice)
       );
     }
 
@@ -0,0 +1,295 @@
+const { getFirestore } = require('../config/firebase');
+const Stop = require('../models/Stop');
+const routeVersionService = require('./routeVersionService');
+const geohash = require('../utils/geohash');
+const mapsService = require('../utils/maps');
+const logger = require('../utils/logger');
+
+const STOP_CONFIG = {
+  duplicateRadiusMeters: parseInt(process.env.STOP_DUPLICATE_RADIUS_METERS) || 150,
+  duplicateNameSimilarity: 0.75, // Name similarity (0-1) above which nearby stops count as duplicates
+  searchMinScore: 0.6,
+  nearestSearchRadiiKm: [2, 10, 50], // Widened in turn until enough stops are found
+  maxRadiusKm: 50,
+  maxResults: 50,
+};
+
+/**
+ * Stop catalogue lookups and maintenance: nearest stops, stops within a
+ * radius, fuzzy name search over names and aliases, and duplicate detection
+ * with merging that repoints the predefined routes using the duplicates.
+ */
+class StopService {
+  /**
+   * Similarity of two names from 0 to 1 (1 - edit distance / longer length)
+   */
+  nameSimilarity(a, b) {
+    const left = Stop.normalizeName(a);
+    const right = Stop.normalizeName(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= left.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= right.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return 1 - previous[right.length] / Math.max(left.length, right.length);
+  }
+
+  /**
+   * How well a query matches a stop: exact 1, word prefix 0.9, substring 0.8,
+   * otherwise the best edit-distance similarity against any of its names
+   */
+  matchScore(query, stop) {
+    const normalized = Stop.normalizeName(query);
+    let best = 0;
+
+    for (const term of stop.getSearchTerms()) {
+      let score;
+      if (term === normalized) score = 1;
+      else if (term.split(' ').some(word => word.startsWith(normalized))) score = 0.9;
+      else if (term.includes(normalized)) score = 0.8;
+      else score = this.nameSimilarity(normalized, term);
+      best = Math.max(best, score);
+    }
+
+    return best;
+  }
+
+  /**
+   * Distance from a point to a stop in km
+   */
+  distanceTo(lat, lng, stop) {
+    return mapsService.calculateDistance({ lat, lng }, { lat: stop.lat, lng: stop.lng });
+  }
+
+  /**
+   * Active stops within radiusKm of a point, nearest first
+   */
+  async findWithinRadius(lat, lng, radiusKm) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      throw new Error('Valid latitude and longitude are required');
+    }
+    if (!(radiusKm > 0) || radiusKm > STOP_CONFIG.maxRadiusKm) {
+      throw new Error(`Radius must be between 0 and ${STOP_CONFIG.maxRadiusKm} km`);
+    }
+
+    const candidates = await Stop.findByGeohashPrefixes(geohash.coveringPrefixes(lat, lng, radiusKm));
+
+    return candidates
+      .map(stop => ({ stop, distanceKm: this.distanceTo(lat, lng, stop) }))
+      .filter(({ distanceKm }) => distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, STOP_CONFIG.maxResults)
+      .map(({ stop, distanceKm }) => ({ ...stop.getPublicDetails(), distanceKm: Math.round(distanceKm * 1000) / 1000 }));
+  }
+
+  /**
+   * The N active stops nearest a point, searching progressively wider areas
+   */
+  async findNearest(lat, lng, limit = 5) {
+    const count = Math.min(Math.max(parseInt(limit) || 5, 1), STOP_CONFIG.maxResults);
+
+    let results = [];
+    for (const radiusKm of STOP_CONFIG.nearestSearchRadiiKm) {
+      results = await this.findWithinRadius(lat, lng, radiusKm);
+      if (results.length >= count) break;
+    }
+
+    return results.slice(0, count);
+  }
+
+  /**
+   * Fuzzy search over stop names, aliases and landmarks, best match first
+   */
+  async search(query, { city = null, limit = 10 } = {}) {
+    if (!Stop.normalizeName(query)) {
+      throw new Error('Search query is required');
+    }
+
+    const cityKey = city ? Stop.normalizeName(city) : null;
+    const stops = await Stop.findAll({ activeOnly: true });
+
+    return stops
+      .filter(stop => !cityKey || Stop.normalizeName(stop.city) === cityKey)
+      .map(stop => ({ stop, score: this.matchScore(query, stop) }))
+      .filter(({ score }) => score >= STOP_CONFIG.searchMinScore)
+      .sort((a, b) => b.score - a.score || a.stop.name.localeCompare(b.stop.name))
+      .slice(0, Math.min(parseInt(limit) || 10, STOP_CONFIG.maxResults))
+      .map(({ stop, score }) => ({ ...stop.getPublicDetails(), score: Math.round(score * 100) / 100 }));
+  }
+
+  /**
+   * An active stop near the point with a similar name, if there is one
+   */
+  async findDuplicateOf({ name, aliases = [], lat, lng }, radiusMeters = STOP_CONFIG.duplicateRadiusMeters) {
+    const nearby = await Stop.findByGeohashPrefixes(geohash.coveringPrefixes(lat, lng, radiusMeters / 1000));
+    const names = [name, ...aliases];
+
+    return nearby.find(stop =>
+      this.distanceTo(lat, lng, stop) * 1000 <= radiusMeters &&
+      names.some(candidate => stop.getSearchTerms().some(term =>
+        this.nameSimilarity(candidate, term) >= STOP_CONFIG.duplicateNameSimilarity))) || null;
+  }
+
+  /**
+   * Pairs of active stops within radiusMeters of each other with similar names.
+   * The older stop of each pair is proposed as the one to keep.
+   */
+  async findDuplicates({ radiusMeters = STOP_CONFIG.duplicateRadiusMeters, minSimilarity = STOP_CONFIG.duplicateNameSimilarity } = {}) {
+    const stops = await Stop.findAll({ activeOnly: true });
+    const precision = geohash.precisionForRadius(radiusMeters / 1000);
+
+    // Bucket stops by cell so each is only compared with stops in the cells around it
+    const cells = new Map();
+    stops.forEach(stop => {
+      const cell = geohash.encode(stop.lat, stop.lng, precision);
+      if (!cells.has(cell)) cells.set(cell, []);
+      cells.get(cell).push(stop);
+    });
+
+    const proposals = [];
+    const seen = new Set();
+    stops.forEach(stop => {
+      const nearby = geohash.neighbours(geohash.encode(stop.lat, stop.lng, precision))
+        .flatMap(cell => cells.get(cell) || []);
+
+      nearby.forEach(other => {
+        const pairKey = [stop.id, other.id].sort().join(':');
+        if (other.id === stop.id || seen.has(pairKey)) return;
+        seen.add(pairKey);
+
+        const distanceMeters = this.distanceTo(stop.lat, stop.lng, other) * 1000;
+        if (distanceMeters > radiusMeters) return;
+
+        const similarity = Math.max(...stop.getSearchTerms().flatMap(term =>
+          other.getSearchTerms().map(otherTerm => this.nameSimilarity(term, otherTerm))));
+        if (similarity < minSimilarity) return;
+
+        const [keep, duplicate] = [stop, other].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+        proposals.push({
+          keep: keep.getPublicDetails(),
+          duplicate: duplicate.getPublicDetails(),
+          distanceMeters: Math.round(distanceMeters),
+          similarity: Math.round(similarity * 100) / 100,
+        });
+      });
+    });
+
+    return proposals.sort((a, b) => a.distanceMeters - b.distanceMeters);
+  }
+
+  /**
+   * Point a route stop reference at the surviving stop
+   */
+  repointStop(routeStop, keep, mergedIds) {
+    if (!routeStop || !mergedIds.includes(routeStop.stopId)) {
+      return routeStop;
+    }
+
+    const repointed = { ...routeStop, stopId: keep.id, name: keep.name };
+    if ('lat' in routeStop || 'lng' in routeStop) {
+      repointed.lat = keep.lat;
+      repointed.lng = keep.lng;
+    }
+    if (routeStop.coordinates) {
+      repointed.coordinates = { lat: keep.lat, lng: keep.lng };
+    }
+    return repointed;
+  }
+
+  /**
+   * Merge duplicate stops into one. The duplicates' names become aliases of the
+   * kept stop, they are deactivated with mergedInto set, and predefined routes
+   * that reference them move to a new version that uses the kept stop.
+   */
+  async mergeStops(keepId, duplicateIds, adminUsername) {
+    const mergedIds = [...new Set(duplicateIds || [])].filter(id => id !== keepId);
+    if (mergedIds.length === 0) {
+      throw new Error('At least one stop to merge is required');
+    }
+
+    const keep = await Stop.findById(keepId);
+    if (!keep || !keep.active) {
+      throw new Error('Stop to keep not found');
+    }
+
+    const duplicates = await Promise.all(mergedIds.map(id => Stop.findById(id)));
+    if (duplicates.some(stop => !stop)) {
+      throw new Error('Stop to merge not found');
+    }
+
+    keep.aliases = [...new Set([
+      ...keep.aliases,
+      ...duplicates.flatMap(stop => [stop.name, ...stop.aliases]),
+    ])].filter(alias => Stop.normalizeName(alias) !== Stop.normalizeName(keep.name));
+    await keep.save();
+
+    for (const duplicate of duplicates) {
+      duplicate.active = false;
+      duplicate.mergedInto = keep.id;
+      await duplicate.save();
+    }
+
+    const db = getFirestore();
+    const routesSnapshot = await db.collection('routes').get();
+    const routeDocs = [];
+    routesSnapshot.forEach(doc => routeDocs.push(doc));
+
+    const batch = db.batch();
+    let routesUpdated = 0;
+
+    for (const doc of routeDocs) {
+      const route = doc.data();
+      const references = [route.source, route.destination, ...(route.stops || []), ...(route.stopSequence || [])];
+      if (!references.some(stop => stop && mergedIds.includes(stop.stopId))) continue;
+
+      const update = {
+        source: this.repointStop(route.source, keep, mergedIds),
+        destination: this.repointStop(route.destination, keep, mergedIds),
+        stops: (route.stops || []).map(stop => this.repointStop(stop, keep, mergedIds)),
+        updatedAt: new Date().toISOString(),
+        updatedBy: adminUsername,
+      };
+      if (route.stopSequence) {
+        update.stopSequence = route.stopSequence.map(stop => this.repointStop(stop, keep, mergedIds));
+      }
+
+      const { update: versionedUpdate } = await routeVersionService.prepareUpdate(doc.id, route, update, adminUsername);
+      batch.update(doc.ref, versionedUpdate);
+      routesUpdated++;
+    }
+
+    if (routesUpdated > 0) {
+      await batch.commit();
+    }
+
+    logger.info(`Merged stops ${mergedIds.join(', ')} into ${keep.id}; ${routesUpdated} routes updated`);
+    return { kept: keep.getPublicDetails(), merged: mergedIds, routesUpdated };
+  }
+
+  /**
+   * Fill in geohashes and search terms on stops saved before they were indexed
+   */
+  async reindexStops() {
+    const stops = await Stop.findAll();
+    const missing = stops.filter(stop => !stop.geohash);
+
+    for (const stop of missing) {
+      await stop.save();
+    }
+
+    return { indexed: missing.length, total: stops.length };
+  }
+}
+
+module.exports = new StopService();
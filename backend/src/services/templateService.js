@@ -0,0 +1,289 @@
+const { locales, DEFAULT_LOCALE, SAMPLE_VARIABLES } = require('../templates/notifications');
+const logger = require('../utils/logger');
+
+const TEMPLATE_CONFIG = {
+  timeZone: process.env.NOTIFICATION_TIMEZONE || 'Asia/Kolkata',
+  currency: process.env.NOTIFICATION_CURRENCY || 'INR',
+  // Region used to build Intl locales such as `hi-IN`
+  region: 'IN',
+};
+
+const SUPPORTED_LOCALES = Object.keys(locales);
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+class TemplateService {
+  /**
+   * List the locales templates are available in
+   * @returns {Array<Object>} Locale codes with display names
+   */
+  getSupportedLocales() {
+    return SUPPORTED_LOCALES.map(code => ({ code, name: locales[code].name }));
+  }
+
+  /**
+   * Map a requested locale (e.g. `hi-IN`, `TA`) to a supported one
+   * @param {string} locale - Requested locale
+   * @returns {string} Supported locale code, English when unknown
+   */
+  resolveLocale(locale) {
+    if (typeof locale !== 'string') {
+      return DEFAULT_LOCALE;
+    }
+
+    const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Get a user's preferred language
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Supported locale code
+   */
+  async getUserLocale(userId) {
+    try {
+      const User = require('../models/User');
+      const user = await User.findByUid(userId);
+      return this.resolveLocale(user?.preferences?.language);
+    } catch (error) {
+      logger.error(`Failed to get preferred language for user ${userId}:`, error);
+      return DEFAULT_LOCALE;
+    }
+  }
+
+  /**
+   * List every template key in the registry
+   * @returns {Array<string>} Template keys
+   */
+  getTemplateKeys() {
+    return Object.keys(locales[DEFAULT_LOCALE].templates);
+  }
+
+  /**
+   * Check whether a template exists
+   * @param {string} key - Template key
+   * @returns {boolean}
+   */
+  hasTemplate(key) {
+    return Boolean(key) && Object.prototype.hasOwnProperty.call(locales[DEFAULT_LOCALE].templates, key);
+  }
+
+  /**
+   * Get a template, falling back to English when the locale lacks it
+   * @param {string} key - Template key
+   * @param {string} locale - Locale code
+   * @returns {Object|null} Template definition
+   */
+  getTemplate(key, locale) {
+    const resolved = this.resolveLocale(locale);
+    return locales[resolved].templates[key] || locales[DEFAULT_LOCALE].templates[key] || null;
+  }
+
+  /**
+   * Get the SMS/email layout strings for a locale
+   * @param {string} locale - Locale code
+   * @returns {Object} Layout strings
+   */
+  getLayout(locale) {
+    const resolved = this.resolveLocale(locale);
+    return { ...locales[DEFAULT_LOCALE].layout, ...locales[resolved].layout };
+  }
+
+  /**
+   * Render a template's title and message
+   * @param {string} key - Template key
+   * @param {Object} variables - Values to interpolate
+   * @param {string} locale - Locale code
+   * @returns {Object} Rendered `{ locale, title, message }`
+   */
+  render(key, variables = {}, locale = DEFAULT_LOCALE) {
+    const template = this.getTemplate(key, locale);
+
+    if (!template) {
+      throw new Error(`Template ${key} not found`);
+    }
+
+    const resolved = this.resolveLocale(locale);
+    const values = { ...variables };
+    Object.entries(template.defaults || {}).forEach(([name, value]) => {
+      if (values[name] === undefined || values[name] === null || values[name] === '') {
+        values[name] = value;
+      }
+    });
+
+    return {
+      locale: resolved,
+      title: template.title ? this.interpolate(template.title, values, resolved, template.parts) : null,
+      message: this.interpolate(template.message, values, resolved, template.parts),
+    };
+  }
+
+  /**
+   * Replace `{{name}}` and `{{name|format}}` placeholders
+   * @param {string} text - Template text
+   * @param {Object} variables - Values to interpolate
+   * @param {string} locale - Locale code
+   * @param {Object} parts - Sub-templates for the `list` formatter
+   * @returns {string} Interpolated text
+   */
+  interpolate(text, variables = {}, locale = DEFAULT_LOCALE, parts = {}) {
+    return text.replace(PLACEHOLDER, (match, name, format) => {
+      const value = name.split('.').reduce((current, segment) => current?.[segment], variables);
+
+      if (value === undefined || value === null) {
+        return '';
+      }
+
+      return this.formatValue(value, format, locale, parts);
+    });
+  }
+
+  /**
+   * Format a single value for a locale
+   * @param {*} value - Value to format
+   * @param {string} format - Formatter name (date, datetime, time, currency, number, list)
+   * @param {string} locale - Locale code
+   * @param {Object} parts - Sub-templates for the `list` formatter
+   * @returns {string} Formatted value
+   */
+  formatValue(value, format, locale, parts = {}) {
+    switch (format) {
+      case 'date':
+        return this.formatDate(value, locale, { dateStyle: 'medium' });
+      case 'datetime':
+        return this.formatDate(value, locale, { dateStyle: 'medium', timeStyle: 'short' });
+      case 'time':
+        return this.formatDate(value, locale, { timeStyle: 'short' });
+      case 'currency':
+        return this.formatCurrency(value, locale);
+      case 'number':
+        return new Intl.NumberFormat(this.getIntlLocale(locale)).format(Number(value));
+      case 'list':
+        return this.formatList(value, locale, parts);
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Format a date in the notification time zone
+   * @param {Date|string|number|Object} value - Date, ISO string, epoch or Firestore Timestamp
+   * @param {string} locale - Locale code
+   * @param {Object} options - Intl.DateTimeFormat style options
+   * @returns {string} Formatted date
+   */
+  formatDate(value, locale, options = { dateStyle: 'medium' }) {
+    const date = typeof value?.toDate === 'function' ? value.toDate() : new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+      return String(value);
+    }
+
+    return new Intl.DateTimeFormat(this.getIntlLocale(locale), {
+      ...options,
+      timeZone: TEMPLATE_CONFIG.timeZone,
+    }).format(date);
+  }
+
+  /**
+   * Format an amount in the notification currency
+   * @param {number|string} amount - Amount in major units
+   * @param {string} locale - Locale code
+   * @returns {string} Formatted amount
+   */
+  formatCurrency(amount, locale) {
+    const value = Number(amount);
+
+    return new Intl.NumberFormat(this.getIntlLocale(locale), {
+      style: 'currency',
+      currency: TEMPLATE_CONFIG.currency,
+      maximumFractionDigits: Number.isInteger(value) ? 0 : 2,
+    }).format(value);
+  }
+
+  /**
+   * Join a list of values, or render the template parts named by an object's keys
+   * @param {Array|Object} value - Items, or `{ partName: value }`
+   * @param {string} locale - Locale code
+   * @param {Object} parts - Sub-templates keyed by part name
+   * @returns {string} Locale-aware conjunction list
+   */
+  formatList(value, locale, parts = {}) {
+    let items;
+
+    if (Array.isArray(value)) {
+      items = value.map(String);
+    } else if (value && typeof value === 'object') {
+      items = Object.keys(parts)
+        .filter(name => value[name] !== undefined && value[name] !== null)
+        .map(name => this.interpolate(parts[name], value, locale));
+    } else {
+      items = [String(value)];
+    }
+
+    return new Intl.ListFormat(this.getIntlLocale(locale), { type: 'conjunction' }).format(items);
+  }
+
+  /**
+   * Build the Intl locale for a supported locale code
+   * @param {string} locale - Locale code
+   * @returns {string} Intl locale, e.g. `ta-IN`
+   */
+  getIntlLocale(locale) {
+    return `${this.resolveLocale(locale)}-${TEMPLATE_CONFIG.region}`;
+  }
+
+  /**
+   * Escape text for inclusion in HTML email bodies
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+  }
+
+  /**
+   * Render a template with sample data for every delivery channel
+   * @param {string} key - Template key
+   * @param {string} locale - Locale code
+   * @param {Object} overrides - Values replacing the sample data
+   * @returns {Object} Rendered title, message, SMS and email bodies
+   */
+  preview(key, locale, overrides = {}) {
+    if (!this.hasTemplate(key)) {
+      throw new Error(`Template ${key} not found`);
+    }
+
+    const NotificationService = require('./notificationService');
+    const variables = { ...(SAMPLE_VARIABLES[key] || {}), ...overrides };
+    const rendered = this.render(key, variables, locale);
+    const content = {
+      title: rendered.title || '',
+      message: rendered.message,
+      locale: rendered.locale,
+    };
+
+    return {
+      key,
+      locale: rendered.locale,
+      variables,
+      title: rendered.title,
+      message: rendered.message,
+      sms: NotificationService.formatSMSMessage(content),
+      email: {
+        html: NotificationService.formatEmailHTML(content),
+        text: NotificationService.formatEmailText(content),
+      },
+    };
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,281 @@
+const { getDatabase } = require('../config/firebase');
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const TripShare = require('../models/TripShare');
+const RealtimeService = require('./realtimeService');
+const tripTrackingService = require('./tripTrackingService');
+const mapsService = require('../utils/maps');
+const segments = require('../utils/segments');
+const { encryptionService } = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+const TRIP_SHARE_CONFIG = {
+  defaultTtlMinutes: parseInt(process.env.TRIP_SHARE_TTL_MINUTES) || 12 * 60,
+  maxTtlMinutes: parseInt(process.env.TRIP_SHARE_MAX_TTL_MINUTES) || 48 * 60,
+  maxActiveShares: 5, // Per booking
+  signatureContext: 'trip_share',
+  linkBaseUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+};
+
+const isFinished = booking => booking.status === 'completed' || String(booking.status).includes('cancelled');
+
+/**
+ * Share-my-trip links.
+ *
+ * A passenger with a confirmed booking can send a link that lets anyone
+ * follow the ride without logging in. The link carries a token signed with
+ * the server key naming the share and when it expires, so a forged or
+ * stale link is turned away before anything is read. The share record is
+ * what makes it revocable: the passenger can end it at any time, and it
+ * ends by itself when the booking is completed or cancelled.
+ *
+ * Followers only see the driver's first name, the vehicle's plate and
+ * colour, the route, where the car is now and how long until the passenger
+ * is picked up or dropped off. Live updates come through the /trip-share
+ * socket namespace.
+ */
+class TripShareService {
+  /**
+   * Sign a share token
+   */
+  buildToken(share) {
+    const payload = Buffer.from(JSON.stringify({
+      shareId: share.id,
+      bookingId: share.bookingId,
+      expiresAt: share.expiresAt,
+    })).toString('base64url');
+    return `${payload}.${encryptionService.sign(payload, TRIP_SHARE_CONFIG.signatureContext)}`;
+  }
+
+  /**
+   * Check a share token's signature and read it
+   */
+  parseToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !encryptionService.verifySignature(payload, signature, TRIP_SHARE_CONFIG.signatureContext)) {
+      throw new Error('Invalid trip link');
+    }
+
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+      throw new Error('Invalid trip link');
+    }
+  }
+
+  /**
+   * Encoded route polyline between the ride's first and last stop, or null
+   * when the ride has no coordinates or routing is unavailable
+   */
+  async getRoutePolyline(ride) {
+    if (ride.route?.polyline) {
+      return ride.route.polyline;
+    }
+
+    const stops = segments.getRouteStops(ride);
+    const origin = segments.getStopCoordinates(stops[0]);
+    const destination = segments.getStopCoordinates(stops[stops.length - 1]);
+    if (!origin || !destination) {
+      return null;
+    }
+
+    const waypoints = stops.slice(1, -1).map(stop => segments.getStopCoordinates(stop)).filter(Boolean);
+    const result = await mapsService.getRoute(origin, destination, waypoints);
+    return result?.routes?.[0]?.polyline || null;
+  }
+
+  /**
+   * The booking from the realtime database, where POST /api/bookings creates it, or Firestore
+   */
+  async loadBooking(bookingId) {
+    const snapshot = await getDatabase().ref(`bookings/${bookingId}`).once('value');
+    const booking = snapshot.val();
+    return booking ? { id: bookingId, ...booking } : await Booking.findById(bookingId);
+  }
+
+  /**
+   * The ride from the realtime database, where trips are tracked, or Firestore
+   */
+  async loadRide(rideId) {
+    const snapshot = await getDatabase().ref(`rides/${rideId}`).once('value');
+    const ride = snapshot.val();
+    return ride ? { id: rideId, ...ride } : await Ride.findById(rideId);
+  }
+
+  /**
+   * Create a share link for a confirmed booking (passenger)
+   */
+  async createShare(bookingId, passengerId, { expiresInMinutes = null, label = null } = {}, now = new Date()) {
+    const booking = await this.loadBooking(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    if (booking.passengerId !== passengerId) {
+      throw new Error('Access denied');
+    }
+    if (booking.status !== 'confirmed') {
+      throw new Error('Only confirmed bookings can be shared');
+    }
+
+    const minutes = expiresInMinutes || TRIP_SHARE_CONFIG.defaultTtlMinutes;
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > TRIP_SHARE_CONFIG.maxTtlMinutes) {
+      throw new Error(`Trip links can last between 1 and ${TRIP_SHARE_CONFIG.maxTtlMinutes} minutes`);
+    }
+
+    const active = (await TripShare.findActiveByBookingId(bookingId)).filter(share => share.isActive(now));
+    if (active.length >= TRIP_SHARE_CONFIG.maxActiveShares) {
+      throw new Error(`A booking can have at most ${TRIP_SHARE_CONFIG.maxActiveShares} active trip links`);
+    }
+
+    const ride = await this.loadRide(booking.rideId);
+    if (!ride) {
+      throw new Error('Ride not found');
+    }
+
+    const share = new TripShare({
+      bookingId,
+      rideId: booking.rideId,
+      passengerId,
+      label,
+      routePolyline: await this.getRoutePolyline(ride),
+      expiresAt: new Date(now.getTime() + minutes * 60 * 1000).toISOString(),
+      createdAt: now,
+    });
+    await share.save();
+
+    const token = this.buildToken(share);
+    logger.info(`Trip share ${share.id} created for booking ${bookingId}`);
+    return {
+      ...share.getSummary(),
+      token,
+      url: `${TRIP_SHARE_CONFIG.linkBaseUrl}/trip/${token}`,
+    };
+  }
+
+  /**
+   * Links a passenger has sent for a booking that still work
+   */
+  async listShares(bookingId, passengerId, now = new Date()) {
+    const booking = await this.loadBooking(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    if (booking.passengerId !== passengerId) {
+      throw new Error('Access denied');
+    }
+
+    const shares = await TripShare.findActiveByBookingId(bookingId);
+    return shares.filter(share => share.isActive(now));
+  }
+
+  /**
+   * Stop a link working and disconnect anyone following it (passenger)
+   */
+  async revokeShare(bookingId, shareId, passengerId, now = new Date()) {
+    const share = await TripShare.findById(shareId);
+    if (!share || share.bookingId !== bookingId) {
+      throw new Error('Trip share not found');
+    }
+    if (share.passengerId !== passengerId) {
+      throw new Error('Access denied');
+    }
+    if (share.status !== 'active') {
+      throw new Error('This trip link has already ended');
+    }
+
+    share.end('revoked', 'revoked', now);
+    await share.save();
+    RealtimeService.closeTripShare(share.id, 'revoked');
+
+    logger.info(`Trip share ${share.id} revoked for booking ${bookingId}`);
+    return share;
+  }
+
+  /**
+   * End every link for a booking that has been completed or cancelled.
+   * Failures are logged: they must not stop the booking changing state, and
+   * the public view checks the booking status anyway.
+   */
+  async expireForBooking(bookingId, reason, now = new Date()) {
+    try {
+      const shares = await TripShare.findActiveByBookingId(bookingId);
+      for (const share of shares) {
+        share.end('expired', reason, now);
+        await share.save();
+        RealtimeService.closeTripShare(share.id, reason);
+      }
+
+      if (shares.length > 0) {
+        logger.info(`Expired ${shares.length} trip shares for booking ${bookingId}: ${reason}`);
+      }
+      return shares.length;
+    } catch (error) {
+      logger.error(`Failed to expire trip shares for booking ${bookingId}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Check a token and return the share it belongs to, if the link still works
+   */
+  async verifyToken(token, now = new Date()) {
+    const { shareId, bookingId, expiresAt } = this.parseToken(token);
+    if (new Date(expiresAt) <= now) {
+      throw new Error('This trip link has expired');
+    }
+
+    const share = await TripShare.findById(shareId);
+    if (!share || share.bookingId !== bookingId) {
+      throw new Error('Invalid trip link');
+    }
+    if (share.status !== 'active') {
+      throw new Error('This trip link has expired');
+    }
+    return share;
+  }
+
+  /**
+   * What someone following a link sees
+   */
+  async getPublicView(token, now = new Date()) {
+    const share = await this.verifyToken(token, now);
+
+    const [booking, ride, session] = await Promise.all([
+      this.loadBooking(share.bookingId),
+      this.loadRide(share.rideId),
+      getDatabase().ref(`tripSessions/${share.rideId}`).once('value').then(snapshot => snapshot.val()),
+    ]);
+
+    // Catches bookings that finished without going through the booking service
+    if (!booking || isFinished(booking)) {
+      await this.expireForBooking(share.bookingId, booking?.status === 'completed' ? 'trip_completed' : 'booking_cancelled', now);
+      throw new Error('This trip link has expired');
+    }
+
+    const driverName = ride?.driver?.name || (ride?.driverId ? (await User.findByUid(ride.driverId))?.displayName : null);
+    const stops = ride ? segments.getRouteStops(ride) : [];
+    const stopView = stop => (stop ? { name: stop.name || stop.city || null, coordinates: segments.getStopCoordinates(stop) } : null);
+
+    return {
+      bookingId: share.bookingId,
+      tripStatus: session?.status === 'active' ? 'in_progress' : session?.status === 'ended' ? 'ended' : 'not_started',
+      driver: {
+        firstName: String(driverName || '').trim().split(/\s+/)[0] || null,
+      },
+      vehicle: {
+        licensePlate: ride?.vehicle?.licensePlate || null,
+        color: ride?.vehicle?.color || null,
+      },
+      route: {
+        origin: stopView(stops[0]),
+        destination: stopView(stops[stops.length - 1]),
+        polyline: share.routePolyline,
+      },
+      ...(session ? tripTrackingService.getBookingProgress(session, share.bookingId) : { location: null, eta: null }),
+      expiresAt: share.expiresAt,
+    };
+  }
+}
+
+module.exports = new TripShareService();
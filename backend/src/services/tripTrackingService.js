@@ -0,0 +1,395 @@
+const { getDatabase, getFirestore } = require('../config/firebase');
+const RealtimeService = require('./realtimeService');
+const NotificationService = require('./notificationService');
+const NotificationPreferencesService = require('./notificationPreferencesService');
+const mapsService = require('../utils/maps');
+const segments = require('../utils/segments');
+const logger = require('../utils/logger');
+
+const TRACKING_CONFIG = {
+  approachingMinutes: parseInt(process.env.TRIP_APPROACHING_MINUTES) || 5, // "Driver is N min away" threshold
+  arrivalRadiusMeters: parseInt(process.env.TRIP_ARRIVAL_RADIUS_METERS) || 150,
+  fallbackSpeedKmh: 30, // Used for straight-line ETAs when routing is unavailable
+  routeRefreshSeconds: 120, // Ask the routing API at most this often per pickup
+};
+
+/**
+ * Live trip tracking.
+ *
+ * A driver starts a session for a ride (tripSessions/{rideId}) and sends location
+ * pings. Every ping is kept in tripTrails/{rideId} as a breadcrumb so the trip can
+ * be replayed for disputes. Each ping refreshes the ETA to every confirmed
+ * passenger's pickup point and tells passengers when the driver is close and
+ * when they have arrived.
+ */
+class TripTrackingService {
+  /**
+   * Load a ride and check that the user is its driver
+   */
+  async getDriverRide(rideId, driverId) {
+    const snapshot = await getDatabase().ref(`rides/${rideId}`).once('value');
+    const ride = snapshot.val();
+    if (!ride) {
+      throw new Error('Ride not found');
+    }
+    if (ride.driverId !== driverId) {
+      throw new Error('Only the driver can track this trip');
+    }
+    return ride;
+  }
+
+  /**
+   * Pickup coordinates for a booking: its own pickup point, or the route stop it boards at
+   */
+  getPickupCoordinates(ride, booking) {
+    if (booking.pickupPoint && typeof booking.pickupPoint === 'object') {
+      const coordinates = segments.getStopCoordinates(booking.pickupPoint);
+      if (coordinates) return coordinates;
+    }
+
+    const { fromIndex } = segments.getBookingSegmentRange(ride, booking);
+    return segments.getRouteStops(ride)[fromIndex]?.coordinates || null;
+  }
+
+  /**
+   * Drop-off coordinates for a booking: its own drop-off point, or the route stop it leaves at
+   */
+  getDropoffCoordinates(ride, booking) {
+    if (booking.dropoffPoint && typeof booking.dropoffPoint === 'object') {
+      const coordinates = segments.getStopCoordinates(booking.dropoffPoint);
+      if (coordinates) return coordinates;
+    }
+
+    const { toIndex } = segments.getBookingSegmentRange(ride, booking);
+    return segments.getRouteStops(ride)[toIndex]?.coordinates || null;
+  }
+
+  /**
+   * Confirmed bookings on the ride, as the pickups the driver has to make
+   */
+  async buildPickups(rideId, ride) {
+    const snapshot = await getDatabase().ref('bookings')
+      .orderByChild('rideId')
+      .equalTo(rideId)
+      .once('value');
+
+    const pickups = {};
+    Object.entries(snapshot.val() || {})
+      .filter(([, booking]) => booking.status === 'confirmed')
+      .forEach(([bookingId, booking]) => {
+        const pickupPoint = booking.pickupPoint?.name || booking.pickupPoint || ride.origin?.city || '';
+        pickups[bookingId] = {
+          bookingId,
+          passengerId: booking.passengerId,
+          pickupPoint,
+          coordinates: this.getPickupCoordinates(ride, booking),
+          dropoffCoordinates: this.getDropoffCoordinates(ride, booking),
+          status: 'pending', // pending, approaching, arrived
+          etaMinutes: null,
+          distanceKm: null,
+          etaSource: null,
+          routeFactor: 1,
+          routeCheckedAt: null,
+          approachingNotifiedAt: null,
+          arrivedAt: null,
+        };
+      });
+
+    return pickups;
+  }
+
+  /**
+   * Start a tracking session for a ride (driver)
+   */
+  async startTrip(rideId, driverId, now = new Date()) {
+    const ride = await this.getDriverRide(rideId, driverId);
+
+    const sessionRef = getDatabase().ref(`tripSessions/${rideId}`);
+    const existing = (await sessionRef.once('value')).val();
+    if (existing?.status === 'active') {
+      throw new Error('Trip tracking has already started for this ride');
+    }
+
+    const session = {
+      rideId,
+      driverId,
+      status: 'active',
+      startedAt: now.toISOString(),
+      endedAt: null,
+      lastLocation: null,
+      lastPingAt: null,
+      pingCount: 0,
+      pickups: await this.buildPickups(rideId, ride),
+    };
+
+    await sessionRef.set(session);
+    await RealtimeService.notifyTripStatus(rideId, 'started', { startedAt: session.startedAt });
+
+    logger.info(`Trip tracking started for ride ${rideId} with ${Object.keys(session.pickups).length} pickups`);
+    return session;
+  }
+
+  /**
+   * Straight-line ETA, scaled by how much longer the road route was at the last routing lookup
+   */
+  estimateStraightLineEta(from, to, routeFactor = 1) {
+    const distanceKm = mapsService.calculateDistance(from, to);
+    return {
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      etaMinutes: Math.ceil((distanceKm / TRACKING_CONFIG.fallbackSpeedKmh) * 60 * routeFactor),
+      etaSource: 'straight_line',
+    };
+  }
+
+  /**
+   * ETA from the driver's position to a pickup, via the routing API when due
+   */
+  async estimateEta(from, pickup, now = new Date()) {
+    const routeDue = !pickup.routeCheckedAt ||
+      (now - new Date(pickup.routeCheckedAt)) / 1000 >= TRACKING_CONFIG.routeRefreshSeconds;
+
+    if (routeDue) {
+      const result = await mapsService.getRoute(from, pickup.coordinates);
+      const route = result?.routes?.[0];
+      if (route?.duration?.value) {
+        const straightLine = this.estimateStraightLineEta(from, pickup.coordinates);
+        const etaMinutes = Math.ceil(route.duration.value / 60);
+        return {
+          distanceKm: Math.round((route.distance.value / 1000) * 100) / 100,
+          etaMinutes,
+          etaSource: 'route',
+          routeFactor: straightLine.etaMinutes > 0 ? etaMinutes / straightLine.etaMinutes : 1,
+          routeCheckedAt: now.toISOString(),
+        };
+      }
+    }
+
+    return this.estimateStraightLineEta(from, pickup.coordinates, pickup.routeFactor || 1);
+  }
+
+  /**
+   * Record a driver location ping: store the breadcrumb, refresh pickup ETAs and
+   * send approaching/arrival notifications (driver)
+   */
+  async recordLocation(rideId, driverId, location, now = new Date()) {
+    const sessionRef = getDatabase().ref(`tripSessions/${rideId}`);
+    const session = (await sessionRef.once('value')).val();
+    if (!session || session.status !== 'active') {
+      throw new Error('Trip tracking has not been started for this ride');
+    }
+    if (session.driverId !== driverId) {
+      throw new Error('Only the driver can track this trip');
+    }
+
+    const point = {
+      lat: Number(location.lat),
+      lng: Number(location.lng),
+      speed: location.speed ?? null,
+      heading: location.heading ?? null,
+      accuracy: location.accuracy ?? null,
+      recordedAt: location.recordedAt || now.toISOString(),
+    };
+    if (!Number.isFinite(point.lat) || Math.abs(point.lat) > 90 ||
+        !Number.isFinite(point.lng) || Math.abs(point.lng) > 180) {
+      throw new Error('Location must have a valid lat and lng');
+    }
+
+    await getDatabase().ref(`tripTrails/${rideId}`).push(point);
+
+    const pickups = session.pickups || {};
+    const etas = [];
+    for (const [bookingId, pickup] of Object.entries(pickups)) {
+      if (pickup.status === 'arrived' || !pickup.coordinates) continue;
+
+      const eta = await this.estimateEta(point, pickup, now);
+      Object.assign(pickup, eta);
+
+      const details = {
+        rideId,
+        bookingId,
+        pickupPoint: pickup.pickupPoint,
+        etaMinutes: eta.etaMinutes,
+        distanceKm: eta.distanceKm,
+      };
+
+      if (mapsService.calculateDistance(point, pickup.coordinates) * 1000 <= TRACKING_CONFIG.arrivalRadiusMeters) {
+        pickup.status = 'arrived';
+        pickup.arrivedAt = now.toISOString();
+        pickup.etaMinutes = 0;
+        await this.sendNotification(pickup.passengerId, {
+          type: 'driver_arrived',
+          variables: { pickupPoint: pickup.pickupPoint },
+          data: details,
+          priority: 'high',
+        });
+      } else if (pickup.status === 'pending' && eta.etaMinutes <= TRACKING_CONFIG.approachingMinutes) {
+        pickup.status = 'approaching';
+        pickup.approachingNotifiedAt = now.toISOString();
+        await this.sendNotification(pickup.passengerId, {
+          type: 'driver_approaching',
+          variables: { etaMinutes: eta.etaMinutes, pickupPoint: pickup.pickupPoint },
+          data: details,
+          priority: 'high',
+        });
+      }
+
+      etas.push({ ...details, passengerId: pickup.passengerId, status: pickup.status, etaMinutes: pickup.etaMinutes });
+    }
+
+    await sessionRef.update({
+      lastLocation: point,
+      lastPingAt: now.toISOString(),
+      pingCount: (session.pingCount || 0) + 1,
+      pickups,
+    });
+
+    await RealtimeService.notifyDriverLocation(rideId, { ...point, etas }, driverId);
+
+    // People following a passenger's shared trip link
+    const updated = { ...session, lastLocation: point, pickups };
+    Object.keys(pickups).forEach(bookingId => {
+      RealtimeService.notifyTripShare(bookingId, { tripStatus: 'in_progress', ...this.getBookingProgress(updated, bookingId) });
+    });
+
+    return { location: point, etas };
+  }
+
+  /**
+   * Where the driver is and how long until a booking's passenger is picked
+   * up or, once the driver has reached them, dropped off
+   */
+  getBookingProgress(session, bookingId) {
+    const location = session.lastLocation || null;
+    const pickup = session.pickups?.[bookingId];
+    if (session.status !== 'active' || !location || !pickup) {
+      return { location, eta: null };
+    }
+
+    if (pickup.status !== 'arrived') {
+      return {
+        location,
+        eta: { stage: 'pickup', etaMinutes: pickup.etaMinutes ?? null, distanceKm: pickup.distanceKm ?? null },
+      };
+    }
+    if (!pickup.dropoffCoordinates) {
+      return { location, eta: null };
+    }
+
+    const { etaMinutes, distanceKm } = this.estimateStraightLineEta(location, pickup.dropoffCoordinates, pickup.routeFactor || 1);
+    return { location, eta: { stage: 'dropoff', etaMinutes, distanceKm } };
+  }
+
+  /**
+   * End a tracking session (driver). The trail is kept for dispute resolution.
+   */
+  async endTrip(rideId, driverId, now = new Date()) {
+    const sessionRef = getDatabase().ref(`tripSessions/${rideId}`);
+    const session = (await sessionRef.once('value')).val();
+    if (!session || session.status !== 'active') {
+      throw new Error('Trip tracking has not been started for this ride');
+    }
+    if (session.driverId !== driverId) {
+      throw new Error('Only the driver can track this trip');
+    }
+
+    const updates = { status: 'ended', endedAt: now.toISOString() };
+    await sessionRef.update(updates);
+    await RealtimeService.notifyTripStatus(rideId, 'ended', { endedAt: updates.endedAt });
+    Object.keys(session.pickups || {}).forEach(bookingId => {
+      RealtimeService.notifyTripShare(bookingId, { tripStatus: 'ended', location: session.lastLocation || null, eta: null });
+    });
+
+    logger.info(`Trip tracking ended for ride ${rideId}`);
+    return { ...session, ...updates };
+  }
+
+  /**
+   * Current tracking state for the driver or a passenger on the ride.
+   * Passengers only see their own pickup.
+   */
+  async getTripStatus(rideId, userId) {
+    const session = (await getDatabase().ref(`tripSessions/${rideId}`).once('value')).val();
+    if (!session) {
+      throw new Error('Trip tracking has not been started for this ride');
+    }
+
+    const pickups = Object.values(session.pickups || {});
+    if (session.driverId === userId) {
+      return { ...session, pickups };
+    }
+
+    const ownPickups = pickups.filter(pickup => pickup.passengerId === userId);
+    if (ownPickups.length === 0) {
+      throw new Error('You can only track trips you are booked on');
+    }
+
+    return {
+      rideId,
+      status: session.status,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      lastLocation: session.lastLocation,
+      lastPingAt: session.lastPingAt,
+      pickups: ownPickups,
+    };
+  }
+
+  /**
+   * Full breadcrumb trail of a trip in time order, optionally limited to a time window (admin replay)
+   */
+  async getTrail(rideId, { from = null, to = null } = {}) {
+    const [sessionSnapshot, trailSnapshot] = await Promise.all([
+      getDatabase().ref(`tripSessions/${rideId}`).once('value'),
+      getDatabase().ref(`tripTrails/${rideId}`).once('value'),
+    ]);
+
+    const session = sessionSnapshot.val();
+    if (!session) {
+      throw new Error('Trip tracking has not been started for this ride');
+    }
+
+    const points = Object.values(trailSnapshot.val() || {})
+      .filter(point => !from || new Date(point.recordedAt) >= new Date(from))
+      .filter(point => !to || new Date(point.recordedAt) <= new Date(to))
+      .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+    const distanceKm = points.reduce((total, point, index) => (
+      index === 0 ? 0 : total + mapsService.calculateDistance(points[index - 1], point)
+    ), 0);
+
+    return {
+      session: { ...session, pickups: Object.values(session.pickups || {}) },
+      points,
+      summary: {
+        pointCount: points.length,
+        distanceKm: Math.round(distanceKm * 100) / 100,
+        firstPointAt: points[0]?.recordedAt || null,
+        lastPointAt: points[points.length - 1]?.recordedAt || null,
+      },
+    };
+  }
+
+  /**
+   * Notify a passenger in realtime and through their ride reminder channels
+   */
+  async sendNotification(userId, notification) {
+    try {
+      const [channels, userDoc] = await Promise.all([
+        NotificationPreferencesService.getNotificationChannels(userId, 'rideReminders'),
+        getFirestore().collection('users').doc(userId).get(),
+      ]);
+      const user = userDoc.exists ? userDoc.data() : {};
+
+      await NotificationService.sendComprehensiveNotification(userId, notification, channels, {
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+        fcmToken: await NotificationPreferencesService.getFCMToken(userId),
+        locale: user.preferences?.language,
+      }, { category: 'rideReminders' });
+    } catch (error) {
+      logger.error(`Failed to send trip tracking notification to ${userId}:`, error);
+    }
+  }
+}
+
+module.exports = new TripTrackingService();
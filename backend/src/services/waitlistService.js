@@ -0,0 +1,429 @@
+const cron = require('node-cron');
+const { getFirestore } = require('../config/firebase');
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const RealtimeService = require('./realtimeService');
+const NotificationService = require('./notificationService');
+const NotificationPreferencesService = require('./notificationPreferencesService');
+const segments = require('../utils/segments');
+const logger = require('../utils/logger');
+
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 15;
+
+class WaitlistService {
+  constructor() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start the job that passes expired offers down the list
+   */
+  initialize() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    cron.schedule('* * * * *', () => {
+      this.expireOffers();
+    });
+
+    this.isInitialized = true;
+    logger.info('Waitlist offer expiry job initialized');
+  }
+
+  /**
+   * Join the waitlist for a ride whose seats (on the requested part of the route) are taken
+   */
+  async joinWaitlist(passengerId, { rideId, seatsRequested = 1, pickupPoint, dropoffPoint }) {
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      throw new Error('Ride not found');
+    }
+    if (ride.driverId === passengerId) {
+      throw new Error('Cannot join the waitlist for your own ride');
+    }
+    if (ride.status !== 'published' || new Date(`${ride.departureDate} ${ride.departureTime}`) <= new Date()) {
+      throw new Error('Ride is not available for booking');
+    }
+
+    // Rides without stop data book the whole trip, as in Booking.createWithTransaction
+    const hasStops = ride.routeStops.length >= 2;
+    const segment = hasStops
+      ? segments.resolveSegment(ride, pickupPoint, dropoffPoint)
+      : segments.resolveSegment(ride, null, null);
+    if (!segment) {
+      throw new Error('Pickup and drop-off must be stops on this ride, in travel order');
+    }
+    if (seatsRequested > ride.totalSeats) {
+      throw new Error('Not enough seats on this ride');
+    }
+
+    const quote = segments.quoteSegment(ride, segment);
+    if (quote.availableSeats >= seatsRequested) {
+      throw new Error('Seats are still available on this ride');
+    }
+
+    const [entries, bookings] = await Promise.all([
+      WaitlistEntry.findByRideId(rideId),
+      Booking.findByRideId(rideId),
+    ]);
+    if (entries.some(entry => entry.passengerId === passengerId)) {
+      throw new Error('You are already on the waitlist for this ride');
+    }
+    if (bookings.some(booking => booking.passengerId === passengerId && booking.isActive())) {
+      throw new Error('You already have an active booking for this ride');
+    }
+
+    const entry = new WaitlistEntry({
+      rideId,
+      passengerId,
+      driverId: ride.driverId,
+      seatsRequested,
+      pickupPoint: pickupPoint || {},
+      dropoffPoint: dropoffPoint || {},
+      segment: {
+        fromIndex: quote.segment.fromIndex,
+        toIndex: quote.segment.toIndex,
+        fromStopName: quote.segment.fromStopName,
+        toStopName: quote.segment.toStopName,
+      },
+    });
+    await entry.save();
+
+    logger.info(`Passenger ${passengerId} joined the waitlist for ride ${rideId}`);
+    return { entry, position: entries.filter(other => other.status === 'waiting').length + 1 };
+  }
+
+  /**
+   * A passenger's waitlist entries, with their place in the queue
+   */
+  async getPassengerWaitlist(passengerId) {
+    const entries = await WaitlistEntry.findByPassengerId(passengerId);
+
+    return Promise.all(entries.map(async (entry) => {
+      if (entry.status !== 'waiting') {
+        return entry.getSummary();
+      }
+      const queue = await WaitlistEntry.findByRideId(entry.rideId, ['waiting']);
+      return entry.getSummary(queue.findIndex(other => other.id === entry.id) + 1);
+    }));
+  }
+
+  /**
+   * A ride's queue, for its driver
+   */
+  async getRideWaitlist(rideId, driverId) {
+    const ride = await Ride.findById(rideId);
+    if (!ride) {
+      throw new Error('Ride not found');
+    }
+    if (ride.driverId !== driverId) {
+      throw new Error('Access denied');
+    }
+
+    const entries = await WaitlistEntry.findByRideId(rideId);
+    return entries.map((entry, index) => entry.getSummary(index + 1));
+  }
+
+  /**
+   * Offer freed seats to waiting passengers in order. Passengers whose request
+   * doesn't fit the free seats keep their place for the next release.
+   */
+  async processFreedSeats(rideId) {
+    const offers = [];
+
+    try {
+      const entries = await WaitlistEntry.findByRideId(rideId, ['waiting']);
+
+      for (const entry of entries) {
+        const offer = await this.makeOffer(entry);
+        if (offer) {
+          offers.push(offer);
+        }
+      }
+
+      if (offers.length > 0) {
+        logger.info(`Waitlist offers made on ride ${rideId}: ${offers.length}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to process waitlist for ride ${rideId}:`, error);
+    }
+
+    return offers;
+  }
+
+  /**
+   * Hold seats for a waiting entry and offer them; returns null when they don't fit
+   */
+  async makeOffer(entry) {
+    const db = getFirestore();
+    const rideRef = db.collection('rides').doc(entry.rideId);
+    const entryRef = db.collection('waitlist').doc(entry.id);
+
+    const offer = await db.runTransaction(async (transaction) => {
+      const [rideDoc, entryDoc] = await Promise.all([transaction.get(rideRef), transaction.get(entryRef)]);
+      if (!rideDoc.exists || !entryDoc.exists || entryDoc.data().status !== 'waiting') {
+        return null;
+      }
+
+      const rideData = rideDoc.data();
+      const departure = new Date(`${rideData.departureDate} ${rideData.departureTime}`);
+      const now = new Date();
+      if (rideData.status !== 'published' || departure <= now) {
+        return null;
+      }
+
+      const { fromIndex, toIndex } = entry.segment;
+      const segmentSeats = segments.getSegmentSeats(rideData);
+      if (segments.getAvailableSeatsForSegment(segmentSeats, fromIndex, toIndex) < entry.seatsRequested) {
+        return null;
+      }
+
+      const updatedSegmentSeats = segments.reserveSegmentSeats(segmentSeats, fromIndex, toIndex, entry.seatsRequested);
+      transaction.update(rideRef, {
+        segmentSeats: updatedSegmentSeats,
+        availableSeats: segments.summarizeAvailableSeats(updatedSegmentSeats),
+        updatedAt: now
+      });
+
+      // Offers never outlive the ride's departure
+      const expiresAt = new Date(Math.min(now.getTime() + OFFER_MINUTES * 60 * 1000, departure.getTime()));
+      const offerData = { offeredAt: now, expiresAt };
+      transaction.update(entryRef, {
+        status: 'offered',
+        offer: offerData,
+        offerCount: entry.offerCount + 1,
+        updatedAt: now
+      });
+
+      return offerData;
+    });
+
+    if (!offer) {
+      return null;
+    }
+
+    const details = {
+      waitlistEntryId: entry.id,
+      rideId: entry.rideId,
+      seats: entry.seatsRequested,
+      expiresAt: offer.expiresAt.toISOString(),
+    };
+    await RealtimeService.notifyWaitlistOffer(entry.passengerId, details);
+    await this.sendNotification(entry.passengerId, {
+      type: 'waitlist_offer',
+      variables: {
+        seats: entry.seatsRequested,
+        from: entry.segment.fromStopName,
+        to: entry.segment.toStopName,
+        minutes: OFFER_MINUTES,
+      },
+      data: details,
+      priority: 'high',
+    });
+
+    return details;
+  }
+
+  /**
+   * Turn an offer into a confirmed booking
+   */
+  async acceptOffer(entryId, passengerId) {
+    const entry = await this.getOwnedEntry(entryId, passengerId);
+    if (entry.status !== 'offered' || entry.isOfferExpired()) {
+      throw new Error('Seat offer is no longer available');
+    }
+
+    const booking = await Booking.createWithTransaction({
+      rideId: entry.rideId,
+      passengerId,
+      seatsBooked: entry.seatsRequested,
+      pickupPoint: entry.pickupPoint,
+      dropoffPoint: entry.dropoffPoint
+    }, { waitlistEntryId: entry.id });
+
+    await RealtimeService.notifyBookingStatusChange(booking.id, passengerId, booking.driverId, 'confirmed', {
+      fromWaitlist: true,
+      rideId: booking.rideId,
+    });
+
+    logger.info(`Waitlist offer ${entryId} accepted as booking ${booking.id}`);
+    return booking;
+  }
+
+  /**
+   * Turn an offer down; the seats go to the next passenger
+   */
+  async declineOffer(entryId, passengerId) {
+    const entry = await this.getOwnedEntry(entryId, passengerId);
+    if (!(await this.releaseOffer(entry, 'declined'))) {
+      throw new Error('Seat offer is no longer available');
+    }
+
+    await this.processFreedSeats(entry.rideId);
+    return entry;
+  }
+
+  /**
+   * Leave the waitlist, giving up any live offer
+   */
+  async leaveWaitlist(entryId, passengerId) {
+    const entry = await this.getOwnedEntry(entryId, passengerId);
+    if (!entry.isActive()) {
+      throw new Error('Waitlist entry is no longer active');
+    }
+
+    if (entry.status === 'offered') {
+      await this.releaseOffer(entry, 'cancelled');
+      await this.processFreedSeats(entry.rideId);
+    } else {
+      entry.status = 'cancelled';
+      await entry.save();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Scheduled job: release offers nobody accepted and move down the list
+   */
+  async expireOffers(now = new Date()) {
+    const rideIds = new Set();
+
+    try {
+      const entries = await WaitlistEntry.findExpiredOffers(now);
+
+      for (const entry of entries) {
+        if (await this.releaseOffer(entry, 'expired')) {
+          rideIds.add(entry.rideId);
+          await RealtimeService.notifyWaitlistOfferExpired(entry.passengerId, {
+            waitlistEntryId: entry.id,
+            rideId: entry.rideId,
+          });
+        }
+      }
+
+      for (const rideId of rideIds) {
+        await this.processFreedSeats(rideId);
+      }
+    } catch (error) {
+      logger.error('Failed to expire waitlist offers:', error);
+    }
+
+    return rideIds.size;
+  }
+
+  /**
+   * Give an offer's held seats back to the ride; returns false if the offer had already ended
+   */
+  async releaseOffer(entry, status) {
+    const db = getFirestore();
+    const rideRef = db.collection('rides').doc(entry.rideId);
+    const entryRef = db.collection('waitlist').doc(entry.id);
+
+    const released = await db.runTransaction(async (transaction) => {
+      const [rideDoc, entryDoc] = await Promise.all([transaction.get(rideRef), transaction.get(entryRef)]);
+      if (!entryDoc.exists || entryDoc.data().status !== 'offered') {
+        return false;
+      }
+
+      if (rideDoc.exists) {
+        const rideData = rideDoc.data();
+        const updatedSegmentSeats = segments.releaseSegmentSeats(
+          segments.getSegmentSeats(rideData),
+          entry.segment.fromIndex,
+          entry.segment.toIndex,
+          entry.seatsRequested,
+          rideData.totalSeats
+        );
+        transaction.update(rideRef, {
+          segmentSeats: updatedSegmentSeats,
+          availableSeats: segments.summarizeAvailableSeats(updatedSegmentSeats),
+          updatedAt: new Date()
+        });
+      }
+
+      transaction.update(entryRef, { status, updatedAt: new Date() });
+      return true;
+    });
+
+    if (released) {
+      entry.status = status;
+      logger.info(`Waitlist offer ${entry.id} ${status}`);
+    }
+    return released;
+  }
+
+  /**
+   * Close the waitlist of a cancelled ride: held seats are released, nobody
+   * else is offered any, and everyone waiting is told why
+   */
+  async cancelRideWaitlist(rideId, notification) {
+    let closed = 0;
+
+    try {
+      const entries = await WaitlistEntry.findByRideId(rideId);
+
+      for (const entry of entries) {
+        try {
+          if (entry.status === 'offered') {
+            await this.releaseOffer(entry, 'cancelled');
+          } else {
+            await getFirestore().collection('waitlist').doc(entry.id).update({ status: 'cancelled', updatedAt: new Date() });
+          }
+
+          await this.sendNotification(entry.passengerId, {
+            ...notification,
+            data: { ...notification.data, waitlistEntryId: entry.id },
+          }, 'bookingCancellations');
+          closed += 1;
+        } catch (error) {
+          logger.error(`Failed to close waitlist entry ${entry.id} on ride ${rideId}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to close waitlist for ride ${rideId}:`, error);
+    }
+
+    return closed;
+  }
+
+  /**
+   * Load an entry belonging to the passenger
+   */
+  async getOwnedEntry(entryId, passengerId) {
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry) {
+      throw new Error('Waitlist entry not found');
+    }
+    if (entry.passengerId !== passengerId) {
+      throw new Error('Access denied');
+    }
+    return entry;
+  }
+
+  /**
+   * Send an offer (or other waitlist news) through the passenger's preferred channels
+   */
+  async sendNotification(userId, notification, category = 'bookingConfirmations') {
+    try {
+      const [channels, userDoc] = await Promise.all([
+        NotificationPreferencesService.getNotificationChannels(userId, category),
+        getFirestore().collection('users').doc(userId).get(),
+      ]);
+      const user = userDoc.exists ? userDoc.data() : {};
+
+      await NotificationService.sendComprehensiveNotification(userId, notification, channels, {
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+        fcmToken: await NotificationPreferencesService.getFCMToken(userId),
+        locale: user.preferences?.language,
+      }, { category });
+    } catch (error) {
+      logger.error(`Failed to send waitlist notification to ${userId}:`, error);
+    }
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,555 @@
+const { getFirestore } = require('../config/firebase');
+const { config } = require('../config/payment');
+const paymentService = require('./paymentService');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const promoService = require('./promoService');
+const logger = require('../utils/logger');
+
+const WALLETS_COLLECTION = 'wallets';
+const TOPUPS_COLLECTION = 'wallet_topups';
+const TRANSACTIONS_COLLECTION = 'wallet_transactions';
+const LEDGER_COLLECTION = 'wallet_ledger';
+
+// Platform-side accounts that balance every wallet movement
+const SYSTEM_ACCOUNTS = {
+  gatewayClearing: 'system:gateway_clearing',
+  bookingPayments: 'system:booking_payments',
+  refunds: 'system:refunds',
+  promotions: 'system:promotions',
+};
+
+// Amounts are in rupees; ledger postings are kept to whole paise
+const roundToMinorUnit = amount => Math.round(amount * 100) / 100;
+
+class WalletService {
+  /**
+   * Ledger account identifier for a user's wallet
+   */
+  getAccountId(userId) {
+    return `wallet:${userId}`;
+  }
+
+  /**
+   * Get wallet balance summary for a user
+   */
+  async getWallet(userId) {
+    try {
+      const db = getFirestore();
+      const walletDoc = await db.collection(WALLETS_COLLECTION).doc(userId).get();
+      const wallet = walletDoc.exists ? walletDoc.data() : {};
+
+      return {
+        userId,
+        balance: wallet.balance || 0,
+        currency: wallet.currency || config.currency,
+        lastTransactionId: wallet.lastTransactionId || null,
+        updatedAt: wallet.updatedAt || null,
+      };
+    } catch (error) {
+      logger.error('Error getting wallet', {
+        error: error.message,
+        userId,
+      });
+      throw new Error(`Failed to get wallet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post a double-entry transaction against a user's wallet.
+   * The wallet balance, the transaction record and both ledger legs are written
+   * in one Firestore transaction. Posting the same transactionId twice is a no-op.
+   */
+  async postTransaction({
+    transactionId,
+    userId,
+    direction,
+    amount,
+    counterAccount,
+    type,
+    reference = {},
+    description = '',
+  }) {
+    if (!['credit', 'debit'].includes(direction)) {
+      throw new Error(`Invalid wallet transaction direction: ${direction}`);
+    }
+
+    amount = roundToMinorUnit(amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Wallet transaction amount must be a positive amount');
+    }
+
+    const db = getFirestore();
+    const accountId = this.getAccountId(userId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const transactionRef = db.collection(TRANSACTIONS_COLLECTION).doc(transactionId);
+      const walletRef = db.collection(WALLETS_COLLECTION).doc(userId);
+
+      // All reads must happen before any writes
+      const [existingTransaction, walletDoc] = await Promise.all([
+        transaction.get(transactionRef),
+        transaction.get(walletRef),
+      ]);
+
+      if (existingTransaction.exists) {
+        return { ...existingTransaction.data(), duplicate: true };
+      }
+
+      const currentBalance = walletDoc.exists ? walletDoc.data().balance || 0 : 0;
+      const newBalance = roundToMinorUnit(direction === 'credit'
+        ? currentBalance + amount
+        : currentBalance - amount);
+
+      if (newBalance < 0) {
+        throw new Error(`Insufficient wallet balance. Available: ₹${currentBalance}, Required: ₹${amount}`);
+      }
+
+      // The cap limits money users load; refunds and rewards are owed regardless
+      if (type === 'topup' && newBalance > config.wallet.maxBalance) {
+        throw new Error(`Wallet balance cannot exceed ₹${config.wallet.maxBalance}`);
+      }
+
+      const createdAt = new Date().toISOString();
+      const counterDirection = direction === 'credit' ? 'debit' : 'credit';
+
+      const entries = [
+        {
+          id: `${transactionId}_wallet`,
+          transactionId,
+          accountId,
+          userId,
+          direction,
+          amount,
+          balanceAfter: newBalance,
+          type,
+          reference,
+          description,
+          createdAt,
+        },
+        {
+          id: `${transactionId}_counter`,
+          transactionId,
+          accountId: counterAccount,
+          userId: null,
+          direction: counterDirection,
+          amount,
+          balanceAfter: null,
+          type,
+          reference,
+          description,
+          createdAt,
+        },
+      ];
+
+      const transactionRecord = {
+        id: transactionId,
+        userId,
+        type,
+        amount,
+        currency: config.currency,
+        direction,
+        counterAccount,
+        balanceBefore: currentBalance,
+        balanceAfter: newBalance,
+        reference,
+        description,
+        entryIds: entries.map(entry => entry.id),
+        createdAt,
+      };
+
+      transaction.set(transactionRef, transactionRecord);
+      entries.forEach(entry => {
+        transaction.set(db.collection(LEDGER_COLLECTION).doc(entry.id), entry);
+      });
+      transaction.set(walletRef, {
+        userId,
+        balance: newBalance,
+        currency: config.currency,
+        lastTransactionId: transactionId,
+        updatedAt: createdAt,
+        ...(walletDoc.exists ? {} : { createdAt }),
+      }, { merge: true });
+
+      return transactionRecord;
+    });
+
+    if (result.duplicate) {
+      logger.info('Wallet transaction already posted', { transactionId, userId });
+    } else {
+      logger.info('Wallet transaction posted', {
+        transactionId,
+        userId,
+        type,
+        direction,
+        amount,
+        balanceAfter: result.balanceAfter,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Get paginated wallet ledger history for a user (newest first)
+   */
+  async getTransactionHistory(userId, limit = 20, offset = 0) {
+    try {
+      const db = getFirestore();
+      const snapshot = await db.collection(LEDGER_COLLECTION)
+        .where('accountId', '==', this.getAccountId(userId))
+        .orderBy('createdAt', 'desc')
+        .offset(offset)
+        .limit(limit + 1)
+        .get();
+
+      const entries = snapshot.docs.map(doc => doc.data());
+      const hasMore = entries.length > limit;
+
+      return {
+        transactions: entries.slice(0, limit).map(entry => ({
+          id: entry.transactionId,
+          type: entry.type,
+          direction: entry.direction,
+          amount: entry.direction === 'credit' ? entry.amount : -entry.amount,
+          balanceAfter: entry.balanceAfter,
+          description: entry.description,
+          reference: entry.reference,
+          date: entry.createdAt,
+        })),
+        pagination: {
+          limit,
+          offset,
+          hasMore,
+        },
+      };
+    } catch (error) {
+      logger.error('Error getting wallet transaction history', {
+        error: error.message,
+        userId,
+        limit,
+        offset,
+      });
+      throw new Error(`Failed to get wallet transaction history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recompute a wallet balance from its ledger entries.
+   * Pass persist=true to overwrite the stored balance with the ledger total.
+   */
+  async rebuildBalance(userId, persist = false) {
+    try {
+      const db = getFirestore();
+      const snapshot = await db.collection(LEDGER_COLLECTION)
+        .where('accountId', '==', this.getAccountId(userId))
+        .get();
+
+      const ledgerBalance = roundToMinorUnit(snapshot.docs.reduce((sum, doc) => {
+        const entry = doc.data();
+        return entry.direction === 'credit' ? sum + entry.amount : sum - entry.amount;
+      }, 0));
+
+      const wallet = await this.getWallet(userId);
+      const inSync = wallet.balance === ledgerBalance;
+
+      if (!inSync) {
+        logger.warn('Wallet balance does not match ledger', {
+          userId,
+          storedBalance: wallet.balance,
+          ledgerBalance,
+        });
+      }
+
+      if (persist && !inSync) {
+        await db.collection(WALLETS_COLLECTION).doc(userId).set({
+          balance: ledgerBalance,
+          updatedAt: new Date().toISOString(),
+        }, { merge: true });
+      }
+
+      return {
+        userId,
+        storedBalance: wallet.balance,
+        ledgerBalance,
+        entryCount: snapshot.docs.length,
+        inSync,
+        repaired: persist && !inSync,
+      };
+    } catch (error) {
+      logger.error('Error rebuilding wallet balance', {
+        error: error.message,
+        userId,
+      });
+      throw new Error(`Failed to rebuild wallet balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a gateway order for a wallet top-up
+   */
+  async initiateTopUp(userId, amount, gateway) {
+    const { minTopUp, maxTopUp } = config.wallet;
+    if (amount < minTopUp || amount > maxTopUp) {
+      throw new Error(`Top-up amount must be between ₹${minTopUp} and ₹${maxTopUp}`);
+    }
+
+    const db = getFirestore();
+    const topUpRef = db.collection(TOPUPS_COLLECTION).doc();
+
+    let paymentOrder;
+    if (gateway === 'razorpay') {
+      paymentOrder = await paymentService.createRazorpayOrder(amount, 'INR', `wallet_${topUpRef.id}`);
+    } else if (gateway === 'stripe') {
+      paymentOrder = await paymentService.createStripePaymentIntent(amount, 'inr', {
+        userId,
+        topUpId: topUpRef.id,
+        purpose: 'wallet_topup',
+      });
+    } else {
+      throw new Error(`Unsupported payment gateway: ${gateway}`);
+    }
+
+    const topUp = {
+      id: topUpRef.id,
+      userId,
+      amount,
+      currency: config.currency,
+      gateway,
+      gatewayOrderId: paymentOrder.orderId || paymentOrder.paymentIntentId,
+      gatewayPaymentId: null,
+      status: 'pending',
+      transactionId: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await topUpRef.set(topUp);
+
+    logger.info('Wallet top-up initiated', {
+      topUpId: topUp.id,
+      userId,
+      amount,
+      gateway,
+    });
+
+    return {
+      topUp,
+      paymentOrder,
+    };
+  }
+
+  /**
+   * Verify a top-up with its gateway and credit the wallet
+   */
+  async completeTopUp(userId, topUpId, verificationData = {}) {
+    const db = getFirestore();
+    const topUpRef = db.collection(TOPUPS_COLLECTION).doc(topUpId);
+    const topUpDoc = await topUpRef.get();
+
+    if (!topUpDoc.exists) {
+      throw new Error('Top-up not found');
+    }
+
+    const topUp = topUpDoc.data();
+    if (topUp.userId !== userId) {
+      throw new Error('You can only verify your own top-ups');
+    }
+
+    if (topUp.status === 'completed') {
+      return { topUp, transaction: null, wallet: await this.getWallet(userId) };
+    }
+
+    let gatewayPaymentId = null;
+    if (topUp.gateway === 'razorpay') {
+      const { razorpay_payment_id, razorpay_signature } = verificationData;
+      if (!razorpay_payment_id || !razorpay_signature) {
+        throw new Error('Missing Razorpay verification data');
+      }
+      if (paymentService.verifyRazorpayPayment(topUp.gatewayOrderId, razorpay_payment_id, razorpay_signature)) {
+        gatewayPaymentId = razorpay_payment_id;
+      }
+    } else if (topUp.gateway === 'stripe') {
+      const stripeResult = await paymentService.retrieveStripePaymentIntent(topUp.gatewayOrderId);
+      if (stripeResult.success && stripeResult.paymentIntent.status === 'succeeded') {
+        gatewayPaymentId = topUp.gatewayOrderId;
+      }
+    }
+
+    if (!gatewayPaymentId) {
+      await topUpRef.update({ status: 'failed', updatedAt: new Date().toISOString() });
+      throw new Error('Top-up payment verification failed');
+    }
+
+    const walletTransaction = await this.postTransaction({
+      transactionId: `topup_${topUpId}`,
+      userId,
+      direction: 'credit',
+      amount: topUp.amount,
+      counterAccount: SYSTEM_ACCOUNTS.gatewayClearing,
+      type: 'topup',
+      reference: { topUpId, gateway: topUp.gateway, gatewayPaymentId },
+      description: `Wallet top-up via ${topUp.gateway}`,
+    });
+
+    const completedTopUp = {
+      ...topUp,
+      status: 'completed',
+      gatewayPaymentId,
+      transactionId: walletTransaction.id,
+      updatedAt: new Date().toISOString(),
+    };
+    await topUpRef.update(completedTopUp);
+
+    return {
+      topUp: completedTopUp,
+      transaction: walletTransaction,
+      wallet: await this.getWallet(userId),
+    };
+  }
+
+  /**
+   * Credit platform-funded promotional money (e.g. referral rewards) to a wallet
+   */
+  async creditPromotion({ transactionId, userId, amount, type, reference = {}, description = '' }) {
+    return this.postTransaction({
+      transactionId,
+      userId,
+      direction: 'credit',
+      amount,
+      counterAccount: SYSTEM_ACCOUNTS.promotions,
+      type,
+      reference,
+      description,
+    });
+  }
+
+  /**
+   * Pay for a confirmed booking from the passenger's wallet balance
+   */
+  async payForBooking(userId, bookingId, promoCode = null) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (booking.passengerId !== userId) {
+      throw new Error('You can only pay for your own bookings');
+    }
+
+    if (booking.status !== 'confirmed') {
+      throw new Error('Booking must be confirmed to process payment');
+    }
+
+    const existingPayments = await Payment.findByBookingId(bookingId);
+    if (existingPayments.some(p => p.status === 'completed')) {
+      throw new Error('Payment for this booking is already completed');
+    }
+
+    const discountAmount = await promoService.applyToBooking(booking, userId, promoCode);
+    const pricing = paymentService.calculateTotalAmount(booking.pricing.totalAmount, undefined, discountAmount);
+
+    // Each attempt debits under its own ID, so paying again after a refund is
+    // a new debit; the first keeps the original ID used by earlier ledgers
+    const previousAttempts = existingPayments.filter(p => p.gateway === 'wallet').length;
+    const transactionId = previousAttempts === 0
+      ? `booking_${bookingId}`
+      : `booking_${bookingId}_${previousAttempts + 1}`;
+
+    let walletTransaction;
+    try {
+      walletTransaction = await this.postTransaction({
+        transactionId,
+        userId,
+        direction: 'debit',
+        amount: pricing.totalAmount,
+        counterAccount: SYSTEM_ACCOUNTS.bookingPayments,
+        type: 'booking_payment',
+        reference: { bookingId, rideId: booking.rideId },
+        description: `Payment for booking ${bookingId}`,
+      });
+    } catch (error) {
+      // Nothing was debited, so the promo code is not used up
+      await promoService.releaseForFailedPayment(bookingId, booking.pricing.promoCodeId);
+      throw error;
+    }
+
+    // The payment record is keyed by the debit, so a retry after a failed save
+    // completes the same record instead of leaving the debit without one
+    const paymentId = `wallet_${walletTransaction.id}`;
+    if (walletTransaction.duplicate && await Payment.findById(paymentId)) {
+      throw new Error('A wallet payment for this booking is already in progress');
+    }
+
+    const payment = new Payment({
+      id: paymentId,
+      bookingId,
+      userId,
+      rideId: booking.rideId,
+      amount: walletTransaction.amount,
+      currency: config.currency,
+      gateway: 'wallet',
+      gatewayOrderId: walletTransaction.id,
+      gatewayPaymentId: walletTransaction.id,
+      status: 'completed',
+      paymentMethod: 'wallet',
+      pricing: {
+        ...pricing,
+        promoCode: booking.pricing.promoCode || null,
+        promoCodeId: booking.pricing.promoCodeId || null,
+      },
+      metadata: {
+        bookingId,
+        rideId: booking.rideId,
+        walletTransactionId: walletTransaction.id,
+      },
+    });
+    await payment.save();
+
+    booking.payment.status = 'completed';
+    booking.payment.method = 'wallet';
+    booking.payment.transactionId = walletTransaction.id;
+    booking.payment.paidAt = new Date().toISOString();
+    await booking.save();
+
+    logger.info('Booking paid from wallet', {
+      paymentId: payment.id,
+      bookingId,
+      userId,
+      amount: walletTransaction.amount,
+    });
+
+    return {
+      payment,
+      transaction: walletTransaction,
+      wallet: await this.getWallet(userId),
+    };
+  }
+
+  /**
+   * Credit a refund for a completed payment to the passenger's wallet.
+   * Returns a refund result shaped like the gateway refund helpers.
+   */
+  async refundToWallet(payment, refundAmount, reason = 'requested_by_customer') {
+    const walletTransaction = await this.postTransaction({
+      transactionId: `refund_${payment.id}`,
+      userId: payment.userId,
+      direction: 'credit',
+      amount: refundAmount,
+      counterAccount: SYSTEM_ACCOUNTS.refunds,
+      type: 'refund',
+      reference: { paymentId: payment.id, bookingId: payment.bookingId, reason },
+      description: `Refund for booking ${payment.bookingId}`,
+    });
+
+    return {
+      success: true,
+      refundId: walletTransaction.id,
+      amount: refundAmount,
+      status: 'processed',
+      gateway: 'wallet',
+    };
+  }
+}
+
+module.exports = new WalletService();
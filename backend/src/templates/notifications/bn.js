@@ -0,0 +1,172 @@
+/**
+ * Bengali notification and system message templates
+ */
+module.exports = {
+  name: 'বাংলা',
+
+  layout: {
+    sms: 'TripO: {{title}} - {{message}}',
+    signature: 'TripO টিম',
+    action: 'বিস্তারিত দেখুন',
+  },
+
+  templates: {
+    booking_confirmed: {
+      title: 'বুকিং নিশ্চিত হয়েছে!',
+      message: '{{origin}} থেকে {{destination}} যাত্রার জন্য আপনার বুকিং নিশ্চিত হয়েছে।',
+    },
+    new_passenger: {
+      title: 'নতুন যাত্রী বুক করেছেন!',
+      message: '{{passengerName}} আপনার যাত্রায় একটি সিট বুক করেছেন।',
+    },
+    booking_expired: {
+      title: 'বুকিং অনুরোধের মেয়াদ শেষ',
+      message: 'চালকের কাছ থেকে সাড়া না পাওয়ায় {{origin}} থেকে {{destination}} যাত্রার জন্য আপনার বুকিং অনুরোধের মেয়াদ শেষ হয়ে গেছে।',
+    },
+    ride_updated: {
+      title: 'আপনার যাত্রায় পরিবর্তন হয়েছে',
+      message: '{{date|date}} তারিখে {{origin}} থেকে {{destination}} আপনার যাত্রায় পরিবর্তন হয়েছে: {{changes|list}}।',
+      parts: {
+        departureTime: 'এটি এখন {{departureTime}}-এ ছাড়বে',
+        pricePerSeat: 'সিটের ভাড়া এখন {{pricePerSeat|currency}}',
+        vehicle: 'গাড়ি এখন {{vehicle}}',
+      },
+    },
+    ride_details_updated: {
+      title: 'আপনার যাত্রায় পরিবর্তন হয়েছে',
+      message: 'চালক {{date|date}} তারিখে {{origin}} থেকে {{destination}} আপনার যাত্রা আপডেট করেছেন।',
+    },
+    ride_cancelled: {
+      title: 'আপনার যাত্রা বাতিল হয়েছে',
+      message: '{{date|date}} তারিখের আপনার যাত্রা বাতিল হয়েছে: {{reason}}',
+    },
+    waitlist_offer: {
+      title: 'একটি সিট খালি আছে',
+      message: '{{minutes}} মিনিটের মধ্যে গ্রহণ করলে {{from}} থেকে {{to}} পর্যন্ত {{seats}}টি সিট আপনার।',
+    },
+    ride_reminder: {
+      title: 'যাত্রার অনুস্মারক',
+      message: 'আপনার {{origin}} থেকে {{destination}} যাত্রা {{minutes}} মিনিটের মধ্যে ছাড়বে।',
+    },
+    driver_arrived: {
+      title: 'আপনার চালক পৌঁছে গেছেন',
+      message: 'আপনার চালক {{pickupPoint}}-এ পৌঁছে গেছেন',
+    },
+    driver_approaching: {
+      title: 'আপনার চালক আসছেন',
+      message: 'আপনার চালক {{pickupPoint}} থেকে {{etaMinutes}} মিনিট দূরে আছেন',
+    },
+    no_show_reported: {
+      title: 'আপনাকে নো-শো হিসেবে রিপোর্ট করা হয়েছে',
+      message: 'বুকিং {{bookingId}}-এর জন্য আপনাকে নো-শো হিসেবে রিপোর্ট করা হয়েছে। আপনি {{disputeDeadline|datetime}} পর্যন্ত এতে আপত্তি জানাতে পারেন।',
+    },
+    no_show_disputed: {
+      title: 'নো-শো রিপোর্টে আপত্তি',
+      message: 'বুকিং {{bookingId}}-এর জন্য আপনার নো-শো রিপোর্টে আপত্তি জানানো হয়েছে এবং আমাদের টিম এটি পর্যালোচনা করবে।',
+    },
+    no_show_upheld: {
+      title: 'নো-শো রিপোর্ট বহাল',
+      message: 'বুকিং {{bookingId}}-এর নো-শো রিপোর্ট বহাল রাখা হয়েছে।',
+    },
+    no_show_dismissed: {
+      title: 'নো-শো রিপোর্ট খারিজ',
+      message: 'বুকিং {{bookingId}}-এর নো-শো রিপোর্ট খারিজ করা হয়েছে।',
+    },
+
+    sos_acknowledged: {
+      title: 'সাহায্য আসছে',
+      message: 'বুকিং {{bookingId}}-এ আপনার SOS সতর্কতা TripO নিরাপত্তা টিম গ্রহণ করেছে এবং শীঘ্রই আপনার সঙ্গে যোগাযোগ করবে।',
+    },
+    sos_resolved: {
+      title: 'SOS সতর্কতা বন্ধ করা হয়েছে',
+      message: 'বুকিং {{bookingId}}-এ আপনার SOS সতর্কতা TripO নিরাপত্তা টিম বন্ধ করেছে। এখনও সাহায্যের প্রয়োজন হলে অ্যাপ থেকে নতুন SOS পাঠান।',
+    },
+
+    'emergency_alert.trip_emergency': {
+      message: '🚨 যাত্রা জরুরি সতর্কতা\n\nএকটি যাত্রার সময় জরুরি অবস্থা দেখা দিয়েছে। ট্রিপ আইডি: {{bookingId}}\nসময়: {{time|datetime}}\n\nঅনুগ্রহ করে যাত্রীর সঙ্গে অবিলম্বে যোগাযোগ করুন।',
+    },
+    'emergency_alert.breakdown': {
+      message: '🚗 গাড়ি বিকল হওয়ার সতর্কতা\n\nযাত্রা {{bookingId}}-এর সময় গাড়ি বিকল হওয়ার খবর পাওয়া গেছে\nসময়: {{time|datetime}}\n\nযাত্রীর সাহায্যের প্রয়োজন হতে পারে।',
+    },
+    'emergency_alert.accident': {
+      message: '🚨 দুর্ঘটনা সতর্কতা\n\nযাত্রা {{bookingId}}-এর সময় দুর্ঘটনার খবর পাওয়া গেছে\nসময়: {{time|datetime}}\n\nজরুরি পরিষেবার প্রয়োজন হতে পারে।',
+    },
+    'emergency_alert.location_emergency': {
+      message: '📍 অবস্থান সংক্রান্ত জরুরি অবস্থা\n\nযাত্রা {{bookingId}}-এর সময় অবস্থান সংক্রান্ত জরুরি অবস্থা\nসময়: {{time|datetime}}\n\nঅবিলম্বে সাহায্যের প্রয়োজন হতে পারে।',
+    },
+
+    'emergency_message.general': {
+      message: 'এটি একটি জরুরি বার্তা। অনুগ্রহ করে যত তাড়াতাড়ি সম্ভব উত্তর দিন।',
+    },
+    'emergency_message.breakdown': {
+      message: 'গাড়ি বিকল হয়ে গেছে - আমার সাহায্য দরকার। অনুগ্রহ করে এখনই আমার সঙ্গে যোগাযোগ করুন।',
+    },
+    'emergency_message.accident': {
+      message: 'জরুরি: দুর্ঘটনা ঘটেছে। অনুগ্রহ করে জরুরি পরিষেবায় ফোন করুন এবং আমার সঙ্গে যোগাযোগ করুন।',
+    },
+    'emergency_message.location': {
+      message: 'জরুরি: আমার অবস্থান নিয়ে সাহায্য দরকার। অনুগ্রহ করে সাহায্য করুন।',
+    },
+    'emergency_message.late': {
+      message: 'জরুরি কারণে আমার অনেক দেরি হচ্ছে। অনুগ্রহ করে আমার সঙ্গে যোগাযোগ করুন।',
+    },
+    'emergency_message.custom': {
+      message: '🚨 জরুরি: {{message}}',
+    },
+
+    'email_digest.daily': {
+      title: 'আপনার দৈনিক TripO সারাংশ',
+      message: 'আজ আপনার জন্য রেখে দেওয়া {{count|number}}টি বিজ্ঞপ্তি এখানে।',
+    },
+    'email_digest.weekly': {
+      title: 'আপনার সাপ্তাহিক TripO সারাংশ',
+      message: 'এই সপ্তাহে আপনার জন্য রেখে দেওয়া {{count|number}}টি বিজ্ঞপ্তি এখানে।',
+    },
+
+    'conversation.booking_confirmed': {
+      message: 'আপনার বুকিং নিশ্চিত হয়েছে! 🎉 যাত্রার অপেক্ষায় রইলাম। কোনো প্রশ্ন থাকলে নির্দ্বিধায় আমাকে মেসেজ করুন।',
+    },
+    'conversation.pickup_reminder': {
+      message: 'নমস্কার! মনে করিয়ে দিচ্ছি, আমাদের যাত্রা শুরু হতে আর {{timeUntilPickup}} বাকি। পিকআপ: {{pickupLocation}}, সময়: {{pickupTime}}। শীঘ্রই দেখা হবে!',
+      defaults: {
+        timeUntilPickup: '৩০ মিনিট',
+        pickupLocation: 'পিকআপ পয়েন্ট',
+        pickupTime: 'নির্ধারিত সময়',
+      },
+    },
+    'conversation.arrival_notification': {
+      message: 'আমি পিকআপ পয়েন্টে পৌঁছে গেছি! 🚗 {{vehicleColor}} {{vehicleMake}} {{vehicleModel}} ({{licensePlate}}) খুঁজুন।',
+      defaults: {
+        vehicleColor: 'গাড়ি',
+        licensePlate: 'নম্বর প্লেট',
+      },
+    },
+    'conversation.trip_started': {
+      message: 'যাত্রা শুরু হয়েছে! 🚗 পৌঁছানোর আনুমানিক সময়: {{estimatedArrival}}। শুভ যাত্রা!',
+      defaults: {
+        estimatedArrival: 'নির্ধারিত সময় অনুযায়ী',
+      },
+    },
+    'conversation.trip_completed': {
+      message: 'যাত্রা সফলভাবে সম্পন্ন হয়েছে! 🎯 আমার সঙ্গে যাত্রা করার জন্য ধন্যবাদ। আপনার অভিজ্ঞতার রেটিং দিতে ভুলবেন না!',
+    },
+    'conversation.payment_reminder': {
+      message: 'নমস্কার! মনে করিয়ে দিচ্ছি, যাত্রার পেমেন্ট এখনও বাকি আছে। সুবিধামতো পেমেন্ট সম্পন্ন করুন। ধন্যবাদ!',
+    },
+    'conversation.cancellation_notice': {
+      message: 'দুঃখিত, {{reason}}-এর কারণে আমাকে আমাদের যাত্রা বাতিল করতে হচ্ছে। অসুবিধার জন্য দুঃখিত। আপনি শীঘ্রই সম্পূর্ণ টাকা ফেরত পাবেন।',
+      defaults: {
+        reason: 'অপ্রত্যাশিত পরিস্থিতি',
+      },
+    },
+    'conversation.pickup_coordination': {
+      message: 'আমি {{driverLocation}} আছি। {{pickupLocation}}-এ পৌঁছাতে প্রায় {{estimatedArrival}} লাগবে। অনুগ্রহ করে তৈরি থাকুন, পিকআপের সময়: {{pickupTime}}!',
+      defaults: {
+        driverLocation: 'কাছেই',
+        pickupLocation: 'পিকআপ পয়েন্ট',
+        estimatedArrival: '৫ মিনিট',
+        pickupTime: 'নির্ধারিত সময়',
+      },
+    },
+  },
+};
@@ -0,0 +1,178 @@
+/**
+ * English notification and system message templates. Every other locale
+ * falls back to these for any template it does not define.
+ */
+module.exports = {
+  name: 'English',
+
+  layout: {
+    sms: 'TripO: {{title}} - {{message}}',
+    signature: 'TripO Team',
+    action: 'View Details',
+  },
+
+  templates: {
+    booking_confirmed: {
+      title: 'Booking Confirmed!',
+      message: 'Your booking for the ride from {{origin}} to {{destination}} has been confirmed.',
+    },
+    new_passenger: {
+      title: 'New Passenger Booked!',
+      message: '{{passengerName}} has booked a seat on your ride.',
+    },
+    booking_expired: {
+      title: 'Booking Request Expired',
+      message: 'Your booking request for the ride from {{origin}} to {{destination}} has expired due to no response from the driver.',
+    },
+    ride_updated: {
+      title: 'Your ride has changed',
+      message: 'Your ride from {{origin}} to {{destination}} on {{date|date}} has changed: {{changes|list}}.',
+      parts: {
+        departureTime: 'it now departs at {{departureTime}}',
+        pricePerSeat: 'the seat price is now {{pricePerSeat|currency}}',
+        vehicle: 'the vehicle is now {{vehicle}}',
+      },
+    },
+    ride_details_updated: {
+      title: 'Your ride has changed',
+      message: 'The driver updated your ride from {{origin}} to {{destination}} on {{date|date}}.',
+    },
+    ride_cancelled: {
+      title: 'Your ride has been cancelled',
+      message: 'Your ride on {{date|date}} has been cancelled: {{reason}}',
+    },
+    waitlist_offer: {
+      title: 'A seat is available',
+      message: '{{seats}} seat(s) from {{from}} to {{to}} are yours if you accept within {{minutes}} minutes.',
+    },
+    ride_reminder: {
+      title: 'Ride reminder',
+      message: 'Your ride from {{origin}} to {{destination}} leaves in {{minutes}} minutes.',
+    },
+    driver_arrived: {
+      title: 'Your driver has arrived',
+      message: 'Your driver has arrived at {{pickupPoint}}',
+    },
+    driver_approaching: {
+      title: 'Your driver is on the way',
+      message: 'Your driver is {{etaMinutes}} min away from {{pickupPoint}}',
+    },
+    no_show_reported: {
+      title: 'You were reported as a no-show',
+      message: 'You were reported as a no-show for booking {{bookingId}}. You can dispute this until {{disputeDeadline|datetime}}.',
+    },
+    no_show_disputed: {
+      title: 'No-show report disputed',
+      message: 'Your no-show report for booking {{bookingId}} was disputed and will be reviewed by our team.',
+    },
+    no_show_upheld: {
+      title: 'No-show report upheld',
+      message: 'The no-show report for booking {{bookingId}} was upheld.',
+    },
+    no_show_dismissed: {
+      title: 'No-show report dismissed',
+      message: 'The no-show report for booking {{bookingId}} was dismissed.',
+    },
+
+    // Updates on an SOS raised by the user
+    sos_acknowledged: {
+      title: 'Help is on the way',
+      message: 'The TripO safety team has picked up your SOS alert on booking {{bookingId}} and will contact you shortly.',
+    },
+    sos_resolved: {
+      title: 'SOS alert closed',
+      message: 'The TripO safety team has closed your SOS alert on booking {{bookingId}}. Raise a new SOS from the app if you still need help.',
+    },
+
+    // Sent to emergency contacts
+    'emergency_alert.trip_emergency': {
+      message: '🚨 TRIP EMERGENCY ALERT\n\nThere has been an emergency during a trip. Trip ID: {{bookingId}}\nTime: {{time|datetime}}\n\nPlease contact the traveler immediately.',
+    },
+    'emergency_alert.breakdown': {
+      message: '🚗 VEHICLE BREAKDOWN ALERT\n\nVehicle breakdown reported during trip {{bookingId}}\nTime: {{time|datetime}}\n\nTraveler may need assistance.',
+    },
+    'emergency_alert.accident': {
+      message: '🚨 ACCIDENT ALERT\n\nAccident reported during trip {{bookingId}}\nTime: {{time|datetime}}\n\nEmergency services may be needed.',
+    },
+    'emergency_alert.location_emergency': {
+      message: '📍 LOCATION EMERGENCY\n\nLocation-based emergency during trip {{bookingId}}\nTime: {{time|datetime}}\n\nImmediate assistance may be required.',
+    },
+
+    // Posted in the booking conversation
+    'emergency_message.general': {
+      message: 'This is an emergency message. Please respond as soon as possible.',
+    },
+    'emergency_message.breakdown': {
+      message: 'Vehicle breakdown - I need assistance. Please contact me immediately.',
+    },
+    'emergency_message.accident': {
+      message: 'EMERGENCY: Accident occurred. Please call emergency services and contact me.',
+    },
+    'emergency_message.location': {
+      message: 'EMERGENCY: I need help with my location. Please assist.',
+    },
+    'emergency_message.late': {
+      message: 'I am running significantly late due to an emergency. Please contact me.',
+    },
+    'emergency_message.custom': {
+      message: '🚨 EMERGENCY: {{message}}',
+    },
+
+    // Email digest of notifications held for the user
+    'email_digest.daily': {
+      title: 'Your daily TripO digest',
+      message: 'Here are the {{count|number}} notifications we held for you today.',
+    },
+    'email_digest.weekly': {
+      title: 'Your weekly TripO digest',
+      message: 'Here are the {{count|number}} notifications we held for you this week.',
+    },
+
+    // Automated messages posted in the booking conversation
+    'conversation.booking_confirmed': {
+      message: 'Your booking has been confirmed! 🎉 Looking forward to the trip. Feel free to message me if you have any questions.',
+    },
+    'conversation.pickup_reminder': {
+      message: 'Hi! Just a reminder that our trip is starting in {{timeUntilPickup}}. I\'ll be at {{pickupLocation}} at {{pickupTime}}. See you soon!',
+      defaults: {
+        timeUntilPickup: '30 minutes',
+        pickupLocation: 'the pickup point',
+        pickupTime: 'the scheduled time',
+      },
+    },
+    'conversation.arrival_notification': {
+      message: 'I\'ve arrived at the pickup point! 🚗 Look for a {{vehicleColor}} {{vehicleMake}} {{vehicleModel}} ({{licensePlate}}).',
+      defaults: {
+        vehicleColor: 'car',
+        licensePlate: 'license plate',
+      },
+    },
+    'conversation.trip_started': {
+      message: 'Trip started! 🚗 Estimated arrival time: {{estimatedArrival}}. Have a great journey!',
+      defaults: {
+        estimatedArrival: 'as scheduled',
+      },
+    },
+    'conversation.trip_completed': {
+      message: 'Trip completed successfully! 🎯 Thank you for traveling with me. Don\'t forget to rate your experience!',
+    },
+    'conversation.payment_reminder': {
+      message: 'Hi! Just a friendly reminder that payment for the trip is still pending. Please complete the payment when convenient. Thanks!',
+    },
+    'conversation.cancellation_notice': {
+      message: 'Unfortunately, I need to cancel our trip due to {{reason}}. Sorry for the inconvenience. You\'ll receive a full refund shortly.',
+      defaults: {
+        reason: 'unforeseen circumstances',
+      },
+    },
+    'conversation.pickup_coordination': {
+      message: 'I\'m {{driverLocation}} and will arrive at {{pickupLocation}} in approximately {{estimatedArrival}}. Please be ready at {{pickupTime}}!',
+      defaults: {
+        driverLocation: 'nearby',
+        pickupLocation: 'the pickup point',
+        estimatedArrival: '5 minutes',
+        pickupTime: 'the scheduled time',
+      },
+    },
+  },
+};
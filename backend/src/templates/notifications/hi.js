@@ -0,0 +1,172 @@
+/**
+ * Hindi notification and system message templates
+ */
+module.exports = {
+  name: 'हिन्दी',
+
+  layout: {
+    sms: 'TripO: {{title}} - {{message}}',
+    signature: 'TripO टीम',
+    action: 'विवरण देखें',
+  },
+
+  templates: {
+    booking_confirmed: {
+      title: 'बुकिंग कन्फ़र्म हो गई!',
+      message: '{{origin}} से {{destination}} की राइड के लिए आपकी बुकिंग कन्फ़र्म हो गई है।',
+    },
+    new_passenger: {
+      title: 'नए यात्री ने बुकिंग की!',
+      message: '{{passengerName}} ने आपकी राइड में एक सीट बुक की है।',
+    },
+    booking_expired: {
+      title: 'बुकिंग अनुरोध की समय-सीमा समाप्त',
+      message: 'ड्राइवर का जवाब न मिलने के कारण {{origin}} से {{destination}} की राइड के लिए आपका बुकिंग अनुरोध समाप्त हो गया है।',
+    },
+    ride_updated: {
+      title: 'आपकी राइड में बदलाव हुआ है',
+      message: '{{date|date}} को {{origin}} से {{destination}} की आपकी राइड में बदलाव हुआ है: {{changes|list}}।',
+      parts: {
+        departureTime: 'अब यह {{departureTime}} बजे रवाना होगी',
+        pricePerSeat: 'सीट का किराया अब {{pricePerSeat|currency}} है',
+        vehicle: 'गाड़ी अब {{vehicle}} है',
+      },
+    },
+    ride_details_updated: {
+      title: 'आपकी राइड में बदलाव हुआ है',
+      message: 'ड्राइवर ने {{date|date}} को {{origin}} से {{destination}} की आपकी राइड अपडेट की है।',
+    },
+    ride_cancelled: {
+      title: 'आपकी राइड रद्द कर दी गई है',
+      message: '{{date|date}} की आपकी राइड रद्द कर दी गई है: {{reason}}',
+    },
+    waitlist_offer: {
+      title: 'एक सीट उपलब्ध है',
+      message: '{{from}} से {{to}} तक {{seats}} सीट आपकी हैं, अगर आप {{minutes}} मिनट के अंदर स्वीकार करते हैं।',
+    },
+    ride_reminder: {
+      title: 'यात्रा अनुस्मारक',
+      message: 'आपकी {{origin}} से {{destination}} की यात्रा {{minutes}} मिनट में शुरू होगी।',
+    },
+    driver_arrived: {
+      title: 'आपका ड्राइवर पहुँच गया है',
+      message: 'आपका ड्राइवर {{pickupPoint}} पर पहुँच गया है',
+    },
+    driver_approaching: {
+      title: 'आपका ड्राइवर रास्ते में है',
+      message: 'आपका ड्राइवर {{pickupPoint}} से {{etaMinutes}} मिनट दूर है',
+    },
+    no_show_reported: {
+      title: 'आपको नो-शो के रूप में रिपोर्ट किया गया है',
+      message: 'बुकिंग {{bookingId}} के लिए आपको नो-शो के रूप में रिपोर्ट किया गया है। आप {{disputeDeadline|datetime}} तक इस पर आपत्ति दर्ज कर सकते हैं।',
+    },
+    no_show_disputed: {
+      title: 'नो-शो रिपोर्ट पर आपत्ति',
+      message: 'बुकिंग {{bookingId}} के लिए आपकी नो-शो रिपोर्ट पर आपत्ति दर्ज की गई है और हमारी टीम इसकी समीक्षा करेगी।',
+    },
+    no_show_upheld: {
+      title: 'नो-शो रिपोर्ट सही पाई गई',
+      message: 'बुकिंग {{bookingId}} की नो-शो रिपोर्ट सही पाई गई है।',
+    },
+    no_show_dismissed: {
+      title: 'नो-शो रिपोर्ट खारिज',
+      message: 'बुकिंग {{bookingId}} की नो-शो रिपोर्ट खारिज कर दी गई है।',
+    },
+
+    sos_acknowledged: {
+      title: 'मदद रास्ते में है',
+      message: 'TripO सुरक्षा टीम ने बुकिंग {{bookingId}} पर आपका SOS अलर्ट देख लिया है और जल्द ही आपसे संपर्क करेगी।',
+    },
+    sos_resolved: {
+      title: 'SOS अलर्ट बंद किया गया',
+      message: 'TripO सुरक्षा टीम ने बुकिंग {{bookingId}} पर आपका SOS अलर्ट बंद कर दिया है। अगर आपको अब भी मदद चाहिए तो ऐप से नया SOS भेजें।',
+    },
+
+    'emergency_alert.trip_emergency': {
+      message: '🚨 यात्रा आपातकालीन अलर्ट\n\nएक यात्रा के दौरान आपात स्थिति हुई है। ट्रिप आईडी: {{bookingId}}\nसमय: {{time|datetime}}\n\nकृपया यात्री से तुरंत संपर्क करें।',
+    },
+    'emergency_alert.breakdown': {
+      message: '🚗 गाड़ी खराब होने का अलर्ट\n\nयात्रा {{bookingId}} के दौरान गाड़ी खराब होने की सूचना मिली है\nसमय: {{time|datetime}}\n\nयात्री को सहायता की आवश्यकता हो सकती है।',
+    },
+    'emergency_alert.accident': {
+      message: '🚨 दुर्घटना अलर्ट\n\nयात्रा {{bookingId}} के दौरान दुर्घटना की सूचना मिली है\nसमय: {{time|datetime}}\n\nआपातकालीन सेवाओं की आवश्यकता हो सकती है।',
+    },
+    'emergency_alert.location_emergency': {
+      message: '📍 लोकेशन आपातकाल\n\nयात्रा {{bookingId}} के दौरान लोकेशन से जुड़ी आपात स्थिति\nसमय: {{time|datetime}}\n\nतुरंत सहायता की आवश्यकता हो सकती है।',
+    },
+
+    'emergency_message.general': {
+      message: 'यह एक आपातकालीन संदेश है। कृपया जल्द से जल्द जवाब दें।',
+    },
+    'emergency_message.breakdown': {
+      message: 'गाड़ी खराब हो गई है - मुझे सहायता चाहिए। कृपया मुझसे तुरंत संपर्क करें।',
+    },
+    'emergency_message.accident': {
+      message: 'आपातकाल: दुर्घटना हुई है। कृपया आपातकालीन सेवाओं को कॉल करें और मुझसे संपर्क करें।',
+    },
+    'emergency_message.location': {
+      message: 'आपातकाल: मुझे अपनी लोकेशन को लेकर मदद चाहिए। कृपया सहायता करें।',
+    },
+    'emergency_message.late': {
+      message: 'एक आपात स्थिति के कारण मुझे काफ़ी देर हो रही है। कृपया मुझसे संपर्क करें।',
+    },
+    'emergency_message.custom': {
+      message: '🚨 आपातकाल: {{message}}',
+    },
+
+    'email_digest.daily': {
+      title: 'आपका दैनिक TripO सारांश',
+      message: 'आज आपके लिए रोकी गई {{count|number}} सूचनाएँ ये हैं।',
+    },
+    'email_digest.weekly': {
+      title: 'आपका साप्ताहिक TripO सारांश',
+      message: 'इस सप्ताह आपके लिए रोकी गई {{count|number}} सूचनाएँ ये हैं।',
+    },
+
+    'conversation.booking_confirmed': {
+      message: 'आपकी बुकिंग कन्फ़र्म हो गई है! 🎉 यात्रा का इंतज़ार रहेगा। कोई सवाल हो तो बेझिझक मुझे मैसेज करें।',
+    },
+    'conversation.pickup_reminder': {
+      message: 'नमस्ते! याद दिला दें कि हमारी यात्रा शुरू होने में {{timeUntilPickup}} बाकी हैं। पिकअप: {{pickupLocation}}, समय: {{pickupTime}}। जल्द मिलते हैं!',
+      defaults: {
+        timeUntilPickup: '30 मिनट',
+        pickupLocation: 'पिकअप पॉइंट',
+        pickupTime: 'तय समय',
+      },
+    },
+    'conversation.arrival_notification': {
+      message: 'मैं पिकअप पॉइंट पर हूँ! 🚗 {{vehicleColor}} {{vehicleMake}} {{vehicleModel}} ({{licensePlate}}) ढूँढें।',
+      defaults: {
+        vehicleColor: 'गाड़ी',
+        licensePlate: 'नंबर प्लेट',
+      },
+    },
+    'conversation.trip_started': {
+      message: 'यात्रा शुरू हो गई! 🚗 पहुँचने का अनुमानित समय: {{estimatedArrival}}। आपकी यात्रा शुभ हो!',
+      defaults: {
+        estimatedArrival: 'तय समय के अनुसार',
+      },
+    },
+    'conversation.trip_completed': {
+      message: 'यात्रा सफलतापूर्वक पूरी हुई! 🎯 मेरे साथ यात्रा करने के लिए धन्यवाद। अपने अनुभव को रेटिंग देना न भूलें!',
+    },
+    'conversation.payment_reminder': {
+      message: 'नमस्ते! याद दिला दें कि यात्रा का भुगतान अभी बाकी है। सुविधा अनुसार भुगतान पूरा कर दें। धन्यवाद!',
+    },
+    'conversation.cancellation_notice': {
+      message: 'माफ़ कीजिए, {{reason}} के कारण मुझे हमारी यात्रा रद्द करनी पड़ रही है। असुविधा के लिए खेद है। आपको जल्द ही पूरा रिफ़ंड मिल जाएगा।',
+      defaults: {
+        reason: 'अप्रत्याशित परिस्थितियों',
+      },
+    },
+    'conversation.pickup_coordination': {
+      message: 'मैं {{driverLocation}} हूँ। {{pickupLocation}} पहुँचने में लगभग {{estimatedArrival}} लगेंगे। कृपया तैयार रहें, पिकअप का समय: {{pickupTime}}!',
+      defaults: {
+        driverLocation: 'पास में',
+        pickupLocation: 'पिकअप पॉइंट',
+        estimatedArrival: '5 मिनट',
+        pickupTime: 'तय समय',
+      },
+    },
+  },
+};
@@ -0,0 +1,61 @@
+/**
+ * Notification template registry
+ *
+ * Each locale module exports a display name, the SMS/email layout strings and
+ * a map of templates keyed by notification type (or `group.name` for system
+ * messages). Templates hold `title`, `message`, optional `parts` used by the
+ * `list` formatter and optional `defaults` for values a caller leaves out.
+ */
+const locales = {
+  en: require('./en'),
+  hi: require('./hi'),
+  mr: require('./mr'),
+  ta: require('./ta'),
+  te: require('./te'),
+  bn: require('./bn'),
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Sample data used by the admin template preview
+const SAMPLE_VARIABLES = {
+  booking_confirmed: { origin: 'Pune', destination: 'Mumbai' },
+  new_passenger: { passengerName: 'Priya Sharma' },
+  booking_expired: { origin: 'Pune', destination: 'Mumbai' },
+  ride_updated: {
+    origin: 'Pune',
+    destination: 'Mumbai',
+    date: '2026-03-14',
+    changes: { departureTime: '08:30', pricePerSeat: 450 },
+  },
+  ride_details_updated: { origin: 'Pune', destination: 'Mumbai', date: '2026-03-14' },
+  ride_cancelled: { date: '2026-03-14', reason: 'Vehicle unavailable' },
+  waitlist_offer: { seats: 2, from: 'Pune', to: 'Lonavala', minutes: 15 },
+  ride_reminder: { origin: 'Pune', destination: 'Mumbai', minutes: 15 },
+  driver_arrived: { pickupPoint: 'Shivajinagar Bus Stand' },
+  driver_approaching: { etaMinutes: 5, pickupPoint: 'Shivajinagar Bus Stand' },
+  no_show_reported: { bookingId: 'BK12345', disputeDeadline: '2026-03-15T12:30:00.000Z' },
+  no_show_disputed: { bookingId: 'BK12345' },
+  no_show_upheld: { bookingId: 'BK12345' },
+  no_show_dismissed: { bookingId: 'BK12345' },
+  sos_acknowledged: { bookingId: 'BK12345' },
+  sos_resolved: { bookingId: 'BK12345' },
+  'emergency_alert.trip_emergency': { bookingId: 'BK12345', time: '2026-03-14T03:00:00.000Z' },
+  'emergency_alert.breakdown': { bookingId: 'BK12345', time: '2026-03-14T03:00:00.000Z' },
+  'emergency_alert.accident': { bookingId: 'BK12345', time: '2026-03-14T03:00:00.000Z' },
+  'emergency_alert.location_emergency': { bookingId: 'BK12345', time: '2026-03-14T03:00:00.000Z' },
+  'emergency_message.custom': { message: 'Flat tyre near Khandala ghat' },
+  'email_digest.daily': { count: 3 },
+  'email_digest.weekly': { count: 12 },
+  'conversation.pickup_reminder': { timeUntilPickup: '15 minutes', pickupLocation: 'Pune Station', pickupTime: '07:45' },
+  'conversation.arrival_notification': { vehicleColor: 'White', vehicleMake: 'Maruti', vehicleModel: 'Ertiga', licensePlate: 'MH12AB1234' },
+  'conversation.trip_started': { estimatedArrival: '10:30' },
+  'conversation.cancellation_notice': { reason: 'a family emergency' },
+  'conversation.pickup_coordination': { driverLocation: 'near Deccan Gymkhana', pickupLocation: 'FC Road', estimatedArrival: '10 minutes', pickupTime: '08:00' },
+};
+
+module.exports = {
+  locales,
+  DEFAULT_LOCALE,
+  SAMPLE_VARIABLES,
+};
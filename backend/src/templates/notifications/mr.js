@@ -0,0 +1,172 @@
+/**
+ * Marathi notification and system message templates
+ */
+module.exports = {
+  name: 'मराठी',
+
+  layout: {
+    sms: 'TripO: {{title}} - {{message}}',
+    signature: 'TripO टीम',
+    action: 'तपशील पहा',
+  },
+
+  templates: {
+    booking_confirmed: {
+      title: 'बुकिंग निश्चित झाले!',
+      message: '{{origin}} ते {{destination}} या राइडसाठी तुमचे बुकिंग निश्चित झाले आहे.',
+    },
+    new_passenger: {
+      title: 'नवीन प्रवाशाने बुकिंग केले!',
+      message: '{{passengerName}} यांनी तुमच्या राइडमध्ये एक सीट बुक केली आहे.',
+    },
+    booking_expired: {
+      title: 'बुकिंग विनंतीची मुदत संपली',
+      message: 'ड्रायव्हरकडून प्रतिसाद न मिळाल्यामुळे {{origin}} ते {{destination}} या राइडसाठीची तुमची बुकिंग विनंती कालबाह्य झाली आहे.',
+    },
+    ride_updated: {
+      title: 'तुमच्या राइडमध्ये बदल झाला आहे',
+      message: '{{date|date}} रोजीच्या {{origin}} ते {{destination}} या तुमच्या राइडमध्ये बदल झाला आहे: {{changes|list}}.',
+      parts: {
+        departureTime: 'ती आता {{departureTime}} वाजता सुटेल',
+        pricePerSeat: 'सीटचे भाडे आता {{pricePerSeat|currency}} आहे',
+        vehicle: 'गाडी आता {{vehicle}} आहे',
+      },
+    },
+    ride_details_updated: {
+      title: 'तुमच्या राइडमध्ये बदल झाला आहे',
+      message: 'ड्रायव्हरने {{date|date}} रोजीची {{origin}} ते {{destination}} ही तुमची राइड अपडेट केली आहे.',
+    },
+    ride_cancelled: {
+      title: 'तुमची राइड रद्द झाली आहे',
+      message: '{{date|date}} रोजीची तुमची राइड रद्द झाली आहे: {{reason}}',
+    },
+    waitlist_offer: {
+      title: 'एक सीट उपलब्ध आहे',
+      message: 'तुम्ही {{minutes}} मिनिटांत स्वीकारल्यास {{from}} ते {{to}} पर्यंतच्या {{seats}} सीट तुमच्या आहेत.',
+    },
+    ride_reminder: {
+      title: 'प्रवासाची आठवण',
+      message: 'तुमचा {{origin}} ते {{destination}} प्रवास {{minutes}} मिनिटांत सुरू होईल.',
+    },
+    driver_arrived: {
+      title: 'तुमचा ड्रायव्हर पोहोचला आहे',
+      message: 'तुमचा ड्रायव्हर {{pickupPoint}} येथे पोहोचला आहे',
+    },
+    driver_approaching: {
+      title: 'तुमचा ड्रायव्हर येत आहे',
+      message: 'तुमचा ड्रायव्हर {{pickupPoint}} पासून {{etaMinutes}} मिनिटांच्या अंतरावर आहे',
+    },
+    no_show_reported: {
+      title: 'तुमची नो-शो म्हणून तक्रार करण्यात आली आहे',
+      message: 'बुकिंग {{bookingId}} साठी तुमची नो-शो म्हणून तक्रार करण्यात आली आहे. तुम्ही {{disputeDeadline|datetime}} पर्यंत यावर आक्षेप घेऊ शकता.',
+    },
+    no_show_disputed: {
+      title: 'नो-शो तक्रारीवर आक्षेप',
+      message: 'बुकिंग {{bookingId}} साठीच्या तुमच्या नो-शो तक्रारीवर आक्षेप घेण्यात आला आहे आणि आमची टीम त्याचे पुनरावलोकन करेल.',
+    },
+    no_show_upheld: {
+      title: 'नो-शो तक्रार कायम',
+      message: 'बुकिंग {{bookingId}} ची नो-शो तक्रार कायम ठेवण्यात आली आहे.',
+    },
+    no_show_dismissed: {
+      title: 'नो-शो तक्रार फेटाळली',
+      message: 'बुकिंग {{bookingId}} ची नो-शो तक्रार फेटाळण्यात आली आहे.',
+    },
+
+    sos_acknowledged: {
+      title: 'मदत येत आहे',
+      message: 'TripO सुरक्षा टीमने बुकिंग {{bookingId}} वरील तुमचा SOS अलर्ट पाहिला आहे आणि लवकरच तुमच्याशी संपर्क साधेल.',
+    },
+    sos_resolved: {
+      title: 'SOS अलर्ट बंद केला',
+      message: 'TripO सुरक्षा टीमने बुकिंग {{bookingId}} वरील तुमचा SOS अलर्ट बंद केला आहे. तुम्हाला अजूनही मदत हवी असल्यास ॲपमधून नवीन SOS पाठवा.',
+    },
+
+    'emergency_alert.trip_emergency': {
+      message: '🚨 प्रवास आपत्कालीन सूचना\n\nएका प्रवासादरम्यान आपत्कालीन परिस्थिती निर्माण झाली आहे. ट्रिप आयडी: {{bookingId}}\nवेळ: {{time|datetime}}\n\nकृपया प्रवाशाशी त्वरित संपर्क साधा.',
+    },
+    'emergency_alert.breakdown': {
+      message: '🚗 गाडी बंद पडल्याची सूचना\n\nप्रवास {{bookingId}} दरम्यान गाडी बंद पडल्याची नोंद झाली आहे\nवेळ: {{time|datetime}}\n\nप्रवाशाला मदतीची गरज असू शकते.',
+    },
+    'emergency_alert.accident': {
+      message: '🚨 अपघात सूचना\n\nप्रवास {{bookingId}} दरम्यान अपघाताची नोंद झाली आहे\nवेळ: {{time|datetime}}\n\nआपत्कालीन सेवांची गरज असू शकते.',
+    },
+    'emergency_alert.location_emergency': {
+      message: '📍 ठिकाणासंबंधी आपत्काल\n\nप्रवास {{bookingId}} दरम्यान ठिकाणासंबंधी आपत्कालीन परिस्थिती\nवेळ: {{time|datetime}}\n\nत्वरित मदतीची गरज असू शकते.',
+    },
+
+    'emergency_message.general': {
+      message: 'हा एक आपत्कालीन संदेश आहे. कृपया लवकरात लवकर उत्तर द्या.',
+    },
+    'emergency_message.breakdown': {
+      message: 'गाडी बंद पडली आहे - मला मदत हवी आहे. कृपया माझ्याशी त्वरित संपर्क साधा.',
+    },
+    'emergency_message.accident': {
+      message: 'आपत्काल: अपघात झाला आहे. कृपया आपत्कालीन सेवांना कॉल करा आणि माझ्याशी संपर्क साधा.',
+    },
+    'emergency_message.location': {
+      message: 'आपत्काल: मला माझ्या ठिकाणाबाबत मदत हवी आहे. कृपया मदत करा.',
+    },
+    'emergency_message.late': {
+      message: 'आपत्कालीन कारणामुळे मला बराच उशीर होत आहे. कृपया माझ्याशी संपर्क साधा.',
+    },
+    'emergency_message.custom': {
+      message: '🚨 आपत्काल: {{message}}',
+    },
+
+    'email_digest.daily': {
+      title: 'तुमचा दैनिक TripO सारांश',
+      message: 'आज तुमच्यासाठी राखून ठेवलेल्या {{count|number}} सूचना या आहेत.',
+    },
+    'email_digest.weekly': {
+      title: 'तुमचा साप्ताहिक TripO सारांश',
+      message: 'या आठवड्यात तुमच्यासाठी राखून ठेवलेल्या {{count|number}} सूचना या आहेत.',
+    },
+
+    'conversation.booking_confirmed': {
+      message: 'तुमचे बुकिंग निश्चित झाले आहे! 🎉 प्रवासाची वाट पाहत आहे. काही प्रश्न असल्यास मला नक्की मेसेज करा.',
+    },
+    'conversation.pickup_reminder': {
+      message: 'नमस्कार! आठवण: आपला प्रवास सुरू व्हायला {{timeUntilPickup}} बाकी आहेत. पिकअप: {{pickupLocation}}, वेळ: {{pickupTime}}. लवकरच भेटू!',
+      defaults: {
+        timeUntilPickup: '30 मिनिटे',
+        pickupLocation: 'पिकअप पॉइंट',
+        pickupTime: 'ठरलेली वेळ',
+      },
+    },
+    'conversation.arrival_notification': {
+      message: 'मी पिकअप पॉइंटवर आहे! 🚗 {{vehicleColor}} {{vehicleMake}} {{vehicleModel}} ({{licensePlate}}) शोधा.',
+      defaults: {
+        vehicleColor: 'गाडी',
+        licensePlate: 'नंबर प्लेट',
+      },
+    },
+    'conversation.trip_started': {
+      message: 'प्रवास सुरू झाला! 🚗 पोहोचण्याची अंदाजे वेळ: {{estimatedArrival}}. प्रवास सुखाचा होवो!',
+      defaults: {
+        estimatedArrival: 'ठरल्याप्रमाणे',
+      },
+    },
+    'conversation.trip_completed': {
+      message: 'प्रवास यशस्वीरित्या पूर्ण झाला! 🎯 माझ्यासोबत प्रवास केल्याबद्दल धन्यवाद. तुमच्या अनुभवाला रेटिंग द्यायला विसरू नका!',
+    },
+    'conversation.payment_reminder': {
+      message: 'नमस्कार! आठवण: प्रवासाचे पेमेंट अजून बाकी आहे. सोयीनुसार पेमेंट पूर्ण करा. धन्यवाद!',
+    },
+    'conversation.cancellation_notice': {
+      message: 'क्षमस्व, {{reason}} मुळे मला आपला प्रवास रद्द करावा लागत आहे. गैरसोयीबद्दल दिलगीर आहे. तुम्हाला लवकरच पूर्ण परतावा मिळेल.',
+      defaults: {
+        reason: 'अनपेक्षित परिस्थिती',
+      },
+    },
+    'conversation.pickup_coordination': {
+      message: 'मी {{driverLocation}} आहे. {{pickupLocation}} येथे पोहोचायला साधारण {{estimatedArrival}} लागतील. कृपया तयार राहा, पिकअपची वेळ: {{pickupTime}}!',
+      defaults: {
+        driverLocation: 'जवळच',
+        pickupLocation: 'पिकअप पॉइंट',
+        estimatedArrival: '5 मिनिटे',
+        pickupTime: 'ठरलेली वेळ',
+      },
+    },
+  },
+};
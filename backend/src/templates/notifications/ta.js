@@ -0,0 +1,172 @@
+/**
+ * Tamil notification and system message templates
+ */
+module.exports = {
+  name: 'தமிழ்',
+
+  layout: {
+    sms: 'TripO: {{title}} - {{message}}',
+    signature: 'TripO குழு',
+    action: 'விவரங்களைக் காண்க',
+  },
+
+  templates: {
+    booking_confirmed: {
+      title: 'முன்பதிவு உறுதி செய்யப்பட்டது!',
+      message: '{{origin}} முதல் {{destination}} வரையிலான பயணத்திற்கான உங்கள் முன்பதிவு உறுதி செய்யப்பட்டது.',
+    },
+    new_passenger: {
+      title: 'புதிய பயணி முன்பதிவு செய்துள்ளார்!',
+      message: '{{passengerName}} உங்கள் பயணத்தில் ஒரு இருக்கையை முன்பதிவு செய்துள்ளார்.',
+    },
+    booking_expired: {
+      title: 'முன்பதிவு கோரிக்கை காலாவதியானது',
+      message: 'ஓட்டுநரிடமிருந்து பதில் வராததால், {{origin}} முதல் {{destination}} வரையிலான பயணத்திற்கான உங்கள் முன்பதிவு கோரிக்கை காலாவதியானது.',
+    },
+    ride_updated: {
+      title: 'உங்கள் பயணத்தில் மாற்றம்',
+      message: '{{date|date}} அன்று {{origin}} முதல் {{destination}} வரையிலான உங்கள் பயணம் மாற்றப்பட்டுள்ளது: {{changes|list}}.',
+      parts: {
+        departureTime: 'இப்போது {{departureTime}} மணிக்குப் புறப்படும்',
+        pricePerSeat: 'இருக்கைக் கட்டணம் இப்போது {{pricePerSeat|currency}}',
+        vehicle: 'வாகனம் இப்போது {{vehicle}}',
+      },
+    },
+    ride_details_updated: {
+      title: 'உங்கள் பயணத்தில் மாற்றம்',
+      message: '{{date|date}} அன்று {{origin}} முதல் {{destination}} வரையிலான உங்கள் பயணத்தை ஓட்டுநர் புதுப்பித்துள்ளார்.',
+    },
+    ride_cancelled: {
+      title: 'உங்கள் பயணம் ரத்து செய்யப்பட்டது',
+      message: '{{date|date}} அன்றைய உங்கள் பயணம் ரத்து செய்யப்பட்டது: {{reason}}',
+    },
+    waitlist_offer: {
+      title: 'ஒரு இருக்கை கிடைக்கிறது',
+      message: '{{minutes}} நிமிடங்களுக்குள் ஏற்றுக்கொண்டால், {{from}} முதல் {{to}} வரை {{seats}} இருக்கை(கள்) உங்களுக்கு.',
+    },
+    ride_reminder: {
+      title: 'பயண நினைவூட்டல்',
+      message: 'உங்கள் {{origin}} முதல் {{destination}} வரையிலான பயணம் {{minutes}} நிமிடங்களில் புறப்படும்.',
+    },
+    driver_arrived: {
+      title: 'உங்கள் ஓட்டுநர் வந்துவிட்டார்',
+      message: 'உங்கள் ஓட்டுநர் {{pickupPoint}} க்கு வந்துவிட்டார்',
+    },
+    driver_approaching: {
+      title: 'உங்கள் ஓட்டுநர் வந்துகொண்டிருக்கிறார்',
+      message: 'உங்கள் ஓட்டுநர் {{pickupPoint}} இலிருந்து {{etaMinutes}} நிமிடத் தொலைவில் உள்ளார்',
+    },
+    no_show_reported: {
+      title: 'நீங்கள் வரவில்லை எனப் புகார் செய்யப்பட்டுள்ளது',
+      message: 'முன்பதிவு {{bookingId}} க்கு நீங்கள் வரவில்லை எனப் புகார் செய்யப்பட்டுள்ளது. {{disputeDeadline|datetime}} வரை இதை நீங்கள் மறுக்கலாம்.',
+    },
+    no_show_disputed: {
+      title: 'வராமை புகார் மறுக்கப்பட்டது',
+      message: 'முன்பதிவு {{bookingId}} க்கான உங்கள் வராமை புகார் மறுக்கப்பட்டுள்ளது, எங்கள் குழு அதை மதிப்பாய்வு செய்யும்.',
+    },
+    no_show_upheld: {
+      title: 'வராமை புகார் உறுதி செய்யப்பட்டது',
+      message: 'முன்பதிவு {{bookingId}} க்கான வராமை புகார் உறுதி செய்யப்பட்டது.',
+    },
+    no_show_dismissed: {
+      title: 'வராமை புகார் நிராகரிக்கப்பட்டது',
+      message: 'முன்பதிவு {{bookingId}} க்கான வராமை புகார் நிராகரிக்கப்பட்டது.',
+    },
+
+    sos_acknowledged: {
+      title: 'உதவி வந்துகொண்டிருக்கிறது',
+      message: 'முன்பதிவு {{bookingId}} இல் உங்கள் SOS எச்சரிக்கையை TripO பாதுகாப்புக் குழு ஏற்றுக்கொண்டது, விரைவில் உங்களைத் தொடர்புகொள்ளும்.',
+    },
+    sos_resolved: {
+      title: 'SOS எச்சரிக்கை முடிக்கப்பட்டது',
+      message: 'முன்பதிவு {{bookingId}} இல் உங்கள் SOS எச்சரிக்கையை TripO பாதுகாப்புக் குழு முடித்துவைத்தது. இன்னும் உதவி தேவைப்பட்டால் செயலியிலிருந்து புதிய SOS அனுப்புங்கள்.',
+    },
+
+    'emergency_alert.trip_emergency': {
+      message: '🚨 பயண அவசர எச்சரிக்கை\n\nஒரு பயணத்தின்போது அவசரநிலை ஏற்பட்டுள்ளது. பயண ஐடி: {{bookingId}}\nநேரம்: {{time|datetime}}\n\nதயவுசெய்து பயணியை உடனடியாகத் தொடர்பு கொள்ளவும்.',
+    },
+    'emergency_alert.breakdown': {
+      message: '🚗 வாகனப் பழுது எச்சரிக்கை\n\nபயணம் {{bookingId}} இன்போது வாகனம் பழுதடைந்ததாகத் தெரிவிக்கப்பட்டுள்ளது\nநேரம்: {{time|datetime}}\n\nபயணிக்கு உதவி தேவைப்படலாம்.',
+    },
+    'emergency_alert.accident': {
+      message: '🚨 விபத்து எச்சரிக்கை\n\nபயணம் {{bookingId}} இன்போது விபத்து நடந்ததாகத் தெரிவிக்கப்பட்டுள்ளது\nநேரம்: {{time|datetime}}\n\nஅவசர சேவைகள் தேவைப்படலாம்.',
+    },
+    'emergency_alert.location_emergency': {
+      message: '📍 இருப்பிட அவசரநிலை\n\nபயணம் {{bookingId}} இன்போது இருப்பிடம் தொடர்பான அவசரநிலை\nநேரம்: {{time|datetime}}\n\nஉடனடி உதவி தேவைப்படலாம்.',
+    },
+
+    'emergency_message.general': {
+      message: 'இது ஒரு அவசரச் செய்தி. தயவுசெய்து விரைவில் பதிலளிக்கவும்.',
+    },
+    'emergency_message.breakdown': {
+      message: 'வாகனம் பழுதடைந்துவிட்டது - எனக்கு உதவி தேவை. தயவுசெய்து உடனடியாக என்னைத் தொடர்பு கொள்ளவும்.',
+    },
+    'emergency_message.accident': {
+      message: 'அவசரம்: விபத்து நடந்துள்ளது. தயவுசெய்து அவசர சேவைகளை அழைத்து என்னைத் தொடர்பு கொள்ளவும்.',
+    },
+    'emergency_message.location': {
+      message: 'அவசரம்: என் இருப்பிடம் தொடர்பாக எனக்கு உதவி தேவை. தயவுசெய்து உதவவும்.',
+    },
+    'emergency_message.late': {
+      message: 'அவசரநிலை காரணமாக நான் மிகவும் தாமதமாக வருகிறேன். தயவுசெய்து என்னைத் தொடர்பு கொள்ளவும்.',
+    },
+    'emergency_message.custom': {
+      message: '🚨 அவசரம்: {{message}}',
+    },
+
+    'email_digest.daily': {
+      title: 'உங்கள் தினசரி TripO சுருக்கம்',
+      message: 'இன்று உங்களுக்காக நிறுத்தி வைக்கப்பட்ட {{count|number}} அறிவிப்புகள் இதோ.',
+    },
+    'email_digest.weekly': {
+      title: 'உங்கள் வாராந்திர TripO சுருக்கம்',
+      message: 'இந்த வாரம் உங்களுக்காக நிறுத்தி வைக்கப்பட்ட {{count|number}} அறிவிப்புகள் இதோ.',
+    },
+
+    'conversation.booking_confirmed': {
+      message: 'உங்கள் முன்பதிவு உறுதி செய்யப்பட்டது! 🎉 பயணத்தை எதிர்நோக்குகிறேன். ஏதேனும் கேள்விகள் இருந்தால் தயங்காமல் எனக்குச் செய்தி அனுப்புங்கள்.',
+    },
+    'conversation.pickup_reminder': {
+      message: 'வணக்கம்! நினைவூட்டல்: நமது பயணம் தொடங்க இன்னும் {{timeUntilPickup}} உள்ளது. பிக்அப்: {{pickupLocation}}, நேரம்: {{pickupTime}}. விரைவில் சந்திப்போம்!',
+      defaults: {
+        timeUntilPickup: '30 நிமிடங்கள்',
+        pickupLocation: 'பிக்அப் இடம்',
+        pickupTime: 'திட்டமிட்ட நேரம்',
+      },
+    },
+    'conversation.arrival_notification': {
+      message: 'நான் பிக்அப் இடத்திற்கு வந்துவிட்டேன்! 🚗 {{vehicleColor}} {{vehicleMake}} {{vehicleModel}} ({{licensePlate}}) வாகனத்தைத் தேடுங்கள்.',
+      defaults: {
+        vehicleColor: 'கார்',
+        licensePlate: 'பதிவு எண்',
+      },
+    },
+    'conversation.trip_started': {
+      message: 'பயணம் தொடங்கியது! 🚗 எதிர்பார்க்கப்படும் வருகை நேரம்: {{estimatedArrival}}. இனிய பயணம்!',
+      defaults: {
+        estimatedArrival: 'திட்டமிட்டபடி',
+      },
+    },
+    'conversation.trip_completed': {
+      message: 'பயணம் வெற்றிகரமாக முடிந்தது! 🎯 என்னுடன் பயணித்ததற்கு நன்றி. உங்கள் அனுபவத்தை மதிப்பிட மறக்காதீர்கள்!',
+    },
+    'conversation.payment_reminder': {
+      message: 'வணக்கம்! பயணத்திற்கான கட்டணம் இன்னும் நிலுவையில் உள்ளது. வசதியான நேரத்தில் கட்டணத்தைச் செலுத்துங்கள். நன்றி!',
+    },
+    'conversation.cancellation_notice': {
+      message: 'மன்னிக்கவும், {{reason}} காரணமாக நமது பயணத்தை ரத்து செய்ய வேண்டியுள்ளது. சிரமத்திற்கு வருந்துகிறேன். முழுத் தொகையும் விரைவில் திருப்பி அளிக்கப்படும்.',
+      defaults: {
+        reason: 'எதிர்பாராத சூழ்நிலைகள்',
+      },
+    },
+    'conversation.pickup_coordination': {
+      message: 'நான் {{driverLocation}} இருக்கிறேன். {{pickupLocation}} வர சுமார் {{estimatedArrival}} ஆகும். தயவுசெய்து தயாராக இருங்கள், பிக்அப் நேரம்: {{pickupTime}}!',
+      defaults: {
+        driverLocation: 'அருகில்',
+        pickupLocation: 'பிக்அப் இடம்',
+        estimatedArrival: '5 நிமிடங்கள்',
+        pickupTime: 'திட்டமிட்ட நேரம்',
+      },
+    },
+  },
+};
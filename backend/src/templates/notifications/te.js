@@ -0,0 +1,172 @@
+/**
+ * Telugu notification and system message templates
+ */
+module.exports = {
+  name: 'తెలుగు',
+
+  layout: {
+    sms: 'TripO: {{title}} - {{message}}',
+    signature: 'TripO బృందం',
+    action: 'వివరాలు చూడండి',
+  },
+
+  templates: {
+    booking_confirmed: {
+      title: 'బుకింగ్ నిర్ధారించబడింది!',
+      message: '{{origin}} నుండి {{destination}} వరకు ప్రయాణానికి మీ బుకింగ్ నిర్ధారించబడింది.',
+    },
+    new_passenger: {
+      title: 'కొత్త ప్రయాణికుడు బుక్ చేశారు!',
+      message: '{{passengerName}} మీ ప్రయాణంలో ఒక సీటు బుక్ చేశారు.',
+    },
+    booking_expired: {
+      title: 'బుకింగ్ అభ్యర్థన గడువు ముగిసింది',
+      message: 'డ్రైవర్ నుండి స్పందన లేనందున {{origin}} నుండి {{destination}} వరకు ప్రయాణానికి మీ బుకింగ్ అభ్యర్థన గడువు ముగిసింది.',
+    },
+    ride_updated: {
+      title: 'మీ ప్రయాణంలో మార్పు జరిగింది',
+      message: '{{date|date}} న {{origin}} నుండి {{destination}} వరకు మీ ప్రయాణంలో మార్పు జరిగింది: {{changes|list}}.',
+      parts: {
+        departureTime: 'ఇది ఇప్పుడు {{departureTime}} కి బయలుదేరుతుంది',
+        pricePerSeat: 'సీటు ధర ఇప్పుడు {{pricePerSeat|currency}}',
+        vehicle: 'వాహనం ఇప్పుడు {{vehicle}}',
+      },
+    },
+    ride_details_updated: {
+      title: 'మీ ప్రయాణంలో మార్పు జరిగింది',
+      message: 'డ్రైవర్ {{date|date}} న {{origin}} నుండి {{destination}} వరకు మీ ప్రయాణాన్ని అప్‌డేట్ చేశారు.',
+    },
+    ride_cancelled: {
+      title: 'మీ ప్రయాణం రద్దు చేయబడింది',
+      message: '{{date|date}} నాటి మీ ప్రయాణం రద్దు చేయబడింది: {{reason}}',
+    },
+    waitlist_offer: {
+      title: 'ఒక సీటు అందుబాటులో ఉంది',
+      message: '{{minutes}} నిమిషాల్లో అంగీకరిస్తే {{from}} నుండి {{to}} వరకు {{seats}} సీటు(లు) మీవే.',
+    },
+    ride_reminder: {
+      title: 'ప్రయాణ రిమైండర్',
+      message: 'మీ {{origin}} నుండి {{destination}} ప్రయాణం {{minutes}} నిమిషాల్లో బయలుదేరుతుంది.',
+    },
+    driver_arrived: {
+      title: 'మీ డ్రైవర్ వచ్చారు',
+      message: 'మీ డ్రైవర్ {{pickupPoint}} వద్దకు వచ్చారు',
+    },
+    driver_approaching: {
+      title: 'మీ డ్రైవర్ దారిలో ఉన్నారు',
+      message: 'మీ డ్రైవర్ {{pickupPoint}} నుండి {{etaMinutes}} నిమిషాల దూరంలో ఉన్నారు',
+    },
+    no_show_reported: {
+      title: 'మీరు రాలేదని నివేదించబడింది',
+      message: 'బుకింగ్ {{bookingId}} కి మీరు రాలేదని నివేదించబడింది. మీరు {{disputeDeadline|datetime}} వరకు దీనిపై అభ్యంతరం తెలపవచ్చు.',
+    },
+    no_show_disputed: {
+      title: 'నో-షో నివేదికపై అభ్యంతరం',
+      message: 'బుకింగ్ {{bookingId}} కోసం మీ నో-షో నివేదికపై అభ్యంతరం తెలిపారు, మా బృందం దీనిని సమీక్షిస్తుంది.',
+    },
+    no_show_upheld: {
+      title: 'నో-షో నివేదిక సమర్థించబడింది',
+      message: 'బుకింగ్ {{bookingId}} కోసం నో-షో నివేదిక సమర్థించబడింది.',
+    },
+    no_show_dismissed: {
+      title: 'నో-షో నివేదిక తిరస్కరించబడింది',
+      message: 'బుకింగ్ {{bookingId}} కోసం నో-షో నివేదిక తిరస్కరించబడింది.',
+    },
+
+    sos_acknowledged: {
+      title: 'సహాయం వస్తోంది',
+      message: 'బుకింగ్ {{bookingId}} పై మీ SOS హెచ్చరికను TripO భద్రతా బృందం స్వీకరించింది, త్వరలో మిమ్మల్ని సంప్రదిస్తుంది.',
+    },
+    sos_resolved: {
+      title: 'SOS హెచ్చరిక ముగించబడింది',
+      message: 'బుకింగ్ {{bookingId}} పై మీ SOS హెచ్చరికను TripO భద్రతా బృందం ముగించింది. ఇంకా సహాయం కావాలంటే యాప్ నుండి కొత్త SOS పంపండి.',
+    },
+
+    'emergency_alert.trip_emergency': {
+      message: '🚨 ప్రయాణ అత్యవసర హెచ్చరిక\n\nఒక ప్రయాణంలో అత్యవసర పరిస్థితి ఏర్పడింది. ట్రిప్ ఐడి: {{bookingId}}\nసమయం: {{time|datetime}}\n\nదయచేసి ప్రయాణికుడిని వెంటనే సంప్రదించండి.',
+    },
+    'emergency_alert.breakdown': {
+      message: '🚗 వాహనం చెడిపోయిన హెచ్చరిక\n\nప్రయాణం {{bookingId}} సమయంలో వాహనం చెడిపోయినట్లు నివేదించబడింది\nసమయం: {{time|datetime}}\n\nప్రయాణికుడికి సహాయం అవసరం కావచ్చు.',
+    },
+    'emergency_alert.accident': {
+      message: '🚨 ప్రమాద హెచ్చరిక\n\nప్రయాణం {{bookingId}} సమయంలో ప్రమాదం జరిగినట్లు నివేదించబడింది\nసమయం: {{time|datetime}}\n\nఅత్యవసర సేవలు అవసరం కావచ్చు.',
+    },
+    'emergency_alert.location_emergency': {
+      message: '📍 లొకేషన్ అత్యవసరం\n\nప్రయాణం {{bookingId}} సమయంలో లొకేషన్‌కు సంబంధించిన అత్యవసర పరిస్థితి\nసమయం: {{time|datetime}}\n\nతక్షణ సహాయం అవసరం కావచ్చు.',
+    },
+
+    'emergency_message.general': {
+      message: 'ఇది అత్యవసర సందేశం. దయచేసి వీలైనంత త్వరగా స్పందించండి.',
+    },
+    'emergency_message.breakdown': {
+      message: 'వాహనం చెడిపోయింది - నాకు సహాయం కావాలి. దయచేసి వెంటనే నన్ను సంప్రదించండి.',
+    },
+    'emergency_message.accident': {
+      message: 'అత్యవసరం: ప్రమాదం జరిగింది. దయచేసి అత్యవసర సేవలకు కాల్ చేసి నన్ను సంప్రదించండి.',
+    },
+    'emergency_message.location': {
+      message: 'అత్యవసరం: నా లొకేషన్ విషయంలో నాకు సహాయం కావాలి. దయచేసి సహాయం చేయండి.',
+    },
+    'emergency_message.late': {
+      message: 'అత్యవసర పరిస్థితి కారణంగా నేను చాలా ఆలస్యంగా వస్తున్నాను. దయచేసి నన్ను సంప్రదించండి.',
+    },
+    'emergency_message.custom': {
+      message: '🚨 అత్యవసరం: {{message}}',
+    },
+
+    'email_digest.daily': {
+      title: 'మీ రోజువారీ TripO సారాంశం',
+      message: 'ఈ రోజు మీ కోసం నిలిపి ఉంచిన {{count|number}} నోటిఫికేషన్లు ఇవి.',
+    },
+    'email_digest.weekly': {
+      title: 'మీ వారపు TripO సారాంశం',
+      message: 'ఈ వారం మీ కోసం నిలిపి ఉంచిన {{count|number}} నోటిఫికేషన్లు ఇవి.',
+    },
+
+    'conversation.booking_confirmed': {
+      message: 'మీ బుకింగ్ నిర్ధారించబడింది! 🎉 ప్రయాణం కోసం ఎదురుచూస్తున్నాను. ఏవైనా సందేహాలుంటే నిస్సంకోచంగా నాకు మెసేజ్ చేయండి.',
+    },
+    'conversation.pickup_reminder': {
+      message: 'నమస్తే! గుర్తుచేస్తున్నాను, మన ప్రయాణం మొదలవడానికి ఇంకా {{timeUntilPickup}} ఉంది. పికప్: {{pickupLocation}}, సమయం: {{pickupTime}}. త్వరలో కలుద్దాం!',
+      defaults: {
+        timeUntilPickup: '30 నిమిషాలు',
+        pickupLocation: 'పికప్ పాయింట్',
+        pickupTime: 'నిర్ణీత సమయం',
+      },
+    },
+    'conversation.arrival_notification': {
+      message: 'నేను పికప్ పాయింట్ వద్దకు వచ్చాను! 🚗 {{vehicleColor}} {{vehicleMake}} {{vehicleModel}} ({{licensePlate}}) కోసం చూడండి.',
+      defaults: {
+        vehicleColor: 'కారు',
+        licensePlate: 'నంబర్ ప్లేట్',
+      },
+    },
+    'conversation.trip_started': {
+      message: 'ప్రయాణం మొదలైంది! 🚗 చేరుకునే అంచనా సమయం: {{estimatedArrival}}. మీ ప్రయాణం సుఖంగా సాగాలి!',
+      defaults: {
+        estimatedArrival: 'షెడ్యూల్ ప్రకారం',
+      },
+    },
+    'conversation.trip_completed': {
+      message: 'ప్రయాణం విజయవంతంగా పూర్తయింది! 🎯 నాతో ప్రయాణించినందుకు ధన్యవాదాలు. మీ అనుభవానికి రేటింగ్ ఇవ్వడం మరచిపోకండి!',
+    },
+    'conversation.payment_reminder': {
+      message: 'నమస్తే! ప్రయాణానికి చెల్లింపు ఇంకా పెండింగ్‌లో ఉందని గుర్తుచేస్తున్నాను. వీలైనప్పుడు చెల్లింపు పూర్తి చేయండి. ధన్యవాదాలు!',
+    },
+    'conversation.cancellation_notice': {
+      message: 'క్షమించండి, {{reason}} కారణంగా మన ప్రయాణాన్ని రద్దు చేయాల్సి వస్తోంది. అసౌకర్యానికి చింతిస్తున్నాను. మీకు త్వరలో పూర్తి రీఫండ్ అందుతుంది.',
+      defaults: {
+        reason: 'అనుకోని పరిస్థితుల',
+      },
+    },
+    'conversation.pickup_coordination': {
+      message: 'నేను {{driverLocation}} ఉన్నాను. {{pickupLocation}} చేరుకోవడానికి సుమారు {{estimatedArrival}} పడుతుంది. దయచేసి సిద్ధంగా ఉండండి, పికప్ సమయం: {{pickupTime}}!',
+      defaults: {
+        driverLocation: 'దగ్గర్లో',
+        pickupLocation: 'పికప్ పాయింట్',
+        estimatedArrival: '5 నిమిషాలు',
+        pickupTime: 'నిర్ణీత సమయం',
+      },
+    },
+  },
+};
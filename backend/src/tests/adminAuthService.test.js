@@ -0,0 +1,301 @@
+// In-memory Firestore with the subset of the API the admin accounts use
+const mockStore = {};
+
+jest.mock('../config/firebase', () => {
+  const getCollection = (name) => {
+    if (!mockStore[name]) mockStore[name] = {};
+    return mockStore[name];
+  };
+
+  const toSnapshot = (entries) => ({
+    docs: entries.map(([id, doc]) => ({ id, data: () => doc })),
+    empty: entries.length === 0,
+    forEach: (fn) => entries.forEach(([id, doc]) => fn({ id, data: () => doc })),
+  });
+
+  const makeQuery = (collection, filters = [], max = null, order = null) => ({
+    where: (field, op, value) => makeQuery(collection, [...filters, [field, value]], max, order),
+    orderBy: (field, direction = 'asc') => makeQuery(collection, filters, max, [field, direction]),
+    limit: (n) => makeQuery(collection, filters, n, order),
+    get: async () => {
+      const entries = Object.entries(getCollection(collection))
+        .filter(([, doc]) => filters.every(([field, value]) => doc[field] === value));
+      if (order) {
+        const [field, direction] = order;
+        entries.sort(([, a], [, b]) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0) * (direction === 'desc' ? -1 : 1));
+      }
+      return toSnapshot(max === null ? entries : entries.slice(0, max));
+    },
+  });
+
+  let autoId = 0;
+  const db = {
+    collection: (name) => ({
+      doc: (id) => ({
+        get: async () => ({
+          id,
+          exists: !!getCollection(name)[id],
+          data: () => getCollection(name)[id],
+        }),
+        update: async (data) => {
+          getCollection(name)[id] = { ...getCollection(name)[id], ...data };
+        },
+      }),
+      add: async (data) => {
+        const id = `auto-${++autoId}`;
+        getCollection(name)[id] = data;
+        return { id };
+      },
+      ...makeQuery(name),
+    }),
+    runTransaction: async (updateFunction) => updateFunction({
+      get: (ref) => ref.get(),
+      update: (ref, data) => ref.update(data),
+    }),
+  };
+
+  return { getFirestore: () => db };
+});
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const adminAuthService = require('../services/adminAuthService');
+const { hasPermission } = require('../admin/permissions');
+const { requirePermission, authenticateAdmin, generateAdminToken } = require('../admin/middleware');
+
+describe('Admin accounts', () => {
+  const now = new Date('2026-06-01T09:00:00Z');
+  const minutesLater = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+  const createAdmin = (overrides = {}) => adminAuthService.createAdmin({
+    username: 'ops.priya',
+    password: 'correct-horse',
+    role: 'operations',
+    ...overrides,
+  }, 'root');
+
+  beforeEach(() => {
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+    process.env.ADMIN_USERNAME = 'root';
+    process.env.ADMIN_PASSWORD = 'bootstrap-secret';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_USERNAME;
+    delete process.env.ADMIN_PASSWORD;
+  });
+
+  describe('authenticate', () => {
+    it('should seed the first super admin from the environment with a hashed password', async () => {
+      const admin = await adminAuthService.authenticate('root', 'bootstrap-secret', null, now);
+
+      expect(admin.role).toBe('super_admin');
+      const stored = Object.values(mockStore.adminUsers)[0];
+      expect(stored.passwordHash).not.toContain('bootstrap-secret');
+      expect(stored.passwordSalt).toBeTruthy();
+
+      // The environment is only used while no accounts exist
+      process.env.ADMIN_PASSWORD = 'changed';
+      await expect(adminAuthService.authenticate('root', 'changed', null, now))
+        .rejects.toThrow('Invalid username or password');
+    });
+
+    it('should not create a default admin when the bootstrap credentials are not configured', async () => {
+      delete process.env.ADMIN_USERNAME;
+      delete process.env.ADMIN_PASSWORD;
+
+      await expect(adminAuthService.authenticate('tripO', '123456', null, now))
+        .rejects.toThrow('Invalid username or password');
+      expect(Object.keys(mockStore.adminUsers || {})).toHaveLength(0);
+    });
+
+    it('should lock an account after repeated failures until the lockout passes', async () => {
+      await createAdmin();
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await expect(adminAuthService.authenticate('ops.priya', 'wrong-password', null, now))
+          .rejects.toThrow('Invalid username or password');
+      }
+
+      await expect(adminAuthService.authenticate('ops.priya', 'correct-horse', null, minutesLater(1)))
+        .rejects.toThrow('Account is locked');
+
+      const admin = await adminAuthService.authenticate('ops.priya', 'correct-horse', null, minutesLater(16));
+      expect(admin.failedLoginAttempts).toBe(0);
+    });
+
+    it('should refuse disabled accounts', async () => {
+      const created = await createAdmin();
+      await createAdmin({ username: 'root', role: 'super_admin' });
+      const actor = { uid: 'someone-else', username: 'root' };
+      await adminAuthService.updateAdmin(created.id, { active: false }, actor);
+
+      await expect(adminAuthService.authenticate('ops.priya', 'correct-horse', null, now))
+        .rejects.toThrow('Admin account is disabled');
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    it('should match the RFC 6238 test vector', () => {
+      // Base32 of the ASCII secret "12345678901234567890"
+      const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+      expect(adminAuthService.generateTotpCode(secret, new Date(59 * 1000))).toBe('287082');
+    });
+
+    it('should only require a code once setup is confirmed', async () => {
+      const created = await createAdmin();
+      const { secret, otpauthUrl } = await adminAuthService.startTotpSetup(created.id);
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+
+      // Not enabled until confirmed
+      await adminAuthService.authenticate('ops.priya', 'correct-horse', null, now);
+
+      await expect(adminAuthService.confirmTotpSetup(created.id, '000000', now))
+        .rejects.toThrow('Invalid two-factor code');
+      await adminAuthService.confirmTotpSetup(created.id, adminAuthService.generateTotpCode(secret, now), now);
+
+      await expect(adminAuthService.authenticate('ops.priya', 'correct-horse', null, now))
+        .rejects.toThrow('Two-factor code is required');
+      await expect(adminAuthService.authenticate('ops.priya', 'correct-horse', '123456', now))
+        .rejects.toThrow('Invalid two-factor code');
+
+      const code = adminAuthService.generateTotpCode(secret, minutesLater(1));
+      const admin = await adminAuthService.authenticate('ops.priya', 'correct-horse', code, minutesLater(1));
+      expect(admin.username).toBe('ops.priya');
+    });
+
+    it('should store the secret encrypted and accept each code only once', async () => {
+      const created = await createAdmin();
+      const { secret } = await adminAuthService.startTotpSetup(created.id);
+      const confirmCode = adminAuthService.generateTotpCode(secret, now);
+      await adminAuthService.confirmTotpSetup(created.id, confirmCode, now);
+
+      const stored = mockStore.adminUsers[created.id].totp;
+      expect(stored.secret).not.toContain(secret);
+      expect(adminAuthService.decryptTotpSecret(stored.secret)).toBe(secret);
+
+      // The code that confirmed setup is spent
+      await expect(adminAuthService.authenticate('ops.priya', 'correct-horse', confirmCode, now))
+        .rejects.toThrow('Invalid two-factor code');
+
+      const code = adminAuthService.generateTotpCode(secret, minutesLater(1));
+      await adminAuthService.authenticate('ops.priya', 'correct-horse', code, minutesLater(1));
+      await expect(adminAuthService.authenticate('ops.priya', 'correct-horse', code, minutesLater(1)))
+        .rejects.toThrow('Invalid two-factor code');
+
+      // Nor can an older code from the drift window follow a newer one
+      const earlier = adminAuthService.generateTotpCode(secret, new Date(minutesLater(1).getTime() - 30 * 1000));
+      await expect(adminAuthService.authenticate('ops.priya', 'correct-horse', earlier, minutesLater(1)))
+        .rejects.toThrow('Invalid two-factor code');
+    });
+  });
+
+  describe('sessions', () => {
+    const authenticateRequest = (token) => new Promise((resolve) => {
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn((body) => resolve({ status: res.status.mock.calls[0][0], body })),
+      };
+      authenticateAdmin({ headers: { authorization: `Bearer ${token}` }, method: 'GET' }, res, () => resolve({ status: 200 }));
+    });
+
+    it('should stop accepting tokens issued before a password change', async () => {
+      const created = await createAdmin();
+      const oldToken = generateAdminToken(await adminAuthService.getAdmin(created.id));
+      expect((await authenticateRequest(oldToken)).status).toBe(200);
+
+      await adminAuthService.changeOwnPassword(created.id, 'correct-horse', 'battery-staple');
+
+      const rejected = await authenticateRequest(oldToken);
+      expect(rejected.status).toBe(403);
+      expect(rejected.body.error.code).toBe('INVALID_TOKEN');
+
+      const newToken = generateAdminToken(await adminAuthService.getAdmin(created.id));
+      expect((await authenticateRequest(newToken)).status).toBe(200);
+    });
+
+    it('should refuse to sign tokens without a configured secret', async () => {
+      const created = await createAdmin();
+      const secret = process.env.ADMIN_JWT_SECRET;
+      delete process.env.ADMIN_JWT_SECRET;
+
+      try {
+        expect(() => generateAdminToken(created)).toThrow('ADMIN_JWT_SECRET is not configured');
+      } finally {
+        process.env.ADMIN_JWT_SECRET = secret;
+      }
+    });
+  });
+
+  describe('updateAdmin', () => {
+    it('should keep at least one active super admin and stop admins demoting themselves', async () => {
+      const root = await createAdmin({ username: 'root', role: 'super_admin' });
+      const other = await createAdmin();
+
+      await expect(adminAuthService.updateAdmin(root.id, { role: 'support' }, { uid: other.id, username: 'ops.priya' }))
+        .rejects.toThrow('At least one active super admin is required');
+      await expect(adminAuthService.updateAdmin(root.id, { active: false }, { uid: root.id, username: 'root' }))
+        .rejects.toThrow('You cannot change your own role or disable your own account');
+
+      const updated = await adminAuthService.updateAdmin(other.id, { role: 'finance' }, { uid: root.id, username: 'root' });
+      expect(updated).toMatchObject({ role: 'finance', updatedBy: 'root' });
+      expect(updated.passwordHash).toBeUndefined();
+    });
+  });
+
+  describe('permissions', () => {
+    it('should grant each role only its own areas', () => {
+      expect(hasPermission('super_admin', 'admins:manage')).toBe(true);
+      expect(hasPermission('finance', 'payouts:manage')).toBe(true);
+      expect(hasPermission('finance', 'stops:manage')).toBe(false);
+      expect(hasPermission('read_only', 'users:view')).toBe(true);
+      expect(hasPermission('read_only', 'users:manage')).toBe(false);
+      expect(hasPermission('operations', 'users:delete')).toBe(false);
+    });
+
+    it('should reject requests without the permission', () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      requirePermission('payouts:manage')({ admin: { role: 'support' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+  });
+
+  describe('recordAuditEntry', () => {
+    it('should store who made the change without secrets', async () => {
+      await adminAuthService.recordAuditEntry({
+        adminId: 'admin_1',
+        username: 'root',
+        action: 'POST /api/admin/admins',
+        body: { username: 'new.admin', password: 'hunter22' },
+        statusCode: 201,
+      });
+
+      const [entry] = Object.values(mockStore.adminAuditLog);
+      expect(entry).toMatchObject({ adminId: 'admin_1', username: 'root', statusCode: 201 });
+      expect(entry.body).toEqual({ username: 'new.admin', password: '[REDACTED]' });
+    });
+
+    it('should return the newest entries first up to the limit', async () => {
+      mockStore.adminAuditLog = {
+        a: { adminId: 'admin_1', action: 'first', createdAt: '2026-06-01T09:00:00.000Z' },
+        b: { adminId: 'admin_1', action: 'third', createdAt: '2026-06-01T11:00:00.000Z' },
+        c: { adminId: 'admin_2', action: 'other', createdAt: '2026-06-01T12:00:00.000Z' },
+        d: { adminId: 'admin_1', action: 'second', createdAt: '2026-06-01T10:00:00.000Z' },
+      };
+
+      const entries = await adminAuthService.getAuditLog({ adminId: 'admin_1', limit: 2 });
+
+      expect(entries.map(entry => entry.action)).toEqual(['third', 'second']);
+    });
+  });
+});
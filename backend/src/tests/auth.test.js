@@ -2,41 +2,16 @@ const request = require('supertest');
 const User = require('../models/User');
 const UserService = require('../services/userService');
 
-// Mock Firebase and Redis
+// Firestore and Redis are the local in-memory stores; token checks are mocked
 jest.mock('../config/firebase', () => ({
-  initializeFirebase: jest.fn().mockResolvedValue({}),
+  ...jest.requireActual('../config/firebase'),
   verifyIdToken: jest.fn(),
-  getUserByUid: jest.fn(),
-  getAuth: jest.fn(() => ({
-    setCustomUserClaims: jest.fn().mockResolvedValue()
-  })),
-  getFirestore: jest.fn(() => ({
-    collection: jest.fn(() => ({
-      doc: jest.fn(() => ({
-        get: jest.fn().mockResolvedValue({ exists: false }),
-        set: jest.fn().mockResolvedValue()
-      })),
-      where: jest.fn(() => ({
-        limit: jest.fn(() => ({
-          get: jest.fn().mockResolvedValue({ empty: true })
-        }))
-      }))
-    }))
-  }))
-}));
-
-jest.mock('../config/redis', () => ({
-  initializeRedis: jest.fn().mockResolvedValue({}),
-  session: {
-    set: jest.fn().mockResolvedValue(),
-    get: jest.fn().mockResolvedValue(null),
-    delete: jest.fn().mockResolvedValue(),
-    extend: jest.fn().mockResolvedValue()
-  }
+  getUserByUid: jest.fn()
 }));
 
 const app = require('../server');
 const { verifyIdToken, getUserByUid } = require('../config/firebase');
+const { getLocalStores, resetLocalStores } = require('../config/local');
 
 describe('Authentication API', () => {
   const mockFirebaseUser = {
@@ -53,8 +28,10 @@ describe('Authentication API', () => {
     email: 'test@example.com'
   };
 
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
+    resetLocalStores();
+    await getLocalStores().auth.createUser(mockFirebaseUser);
   });
 
   describe('POST /api/auth/verify-token', () => {
@@ -0,0 +1,96 @@
+process.env.BACKEND_MODE = 'local';
+
+const request = require('supertest');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+
+const app = require('../server');
+const boarding = require('../utils/boarding');
+
+describe('Boarding check-in routes', () => {
+  const { auth, database } = getLocalStores();
+  const as = (uid) => ({ Authorization: `Bearer ${auth.createIdToken(uid, { email: `${uid}@example.com` })}` });
+  const pad = (value) => String(value).padStart(2, '0');
+
+  beforeEach(async () => {
+    resetLocalStores();
+
+    // Leaving in half an hour, so boarding codes are open
+    const departure = new Date(Date.now() + 30 * 60 * 1000);
+    await database.ref('rides/ride_1').set({
+      driverId: 'driver_1',
+      departureDate: `${departure.getFullYear()}-${pad(departure.getMonth() + 1)}-${pad(departure.getDate())}`,
+      departureTime: `${pad(departure.getHours())}:${pad(departure.getMinutes())}`,
+      status: 'published',
+    });
+    await database.ref('bookings/booking_1').set({
+      rideId: 'ride_1',
+      passengerId: 'passenger_1',
+      driverId: 'driver_1',
+      seatsBooked: 1,
+      status: 'confirmed',
+      confirmedAt: new Date().toISOString(),
+    });
+  });
+
+  it('should only complete the trip once the driver has checked the passenger in', async () => {
+    await request(app)
+      .put('/api/bookings/booking_1/trip-status')
+      .set(as('driver_1'))
+      .send({ status: 'completed' })
+      .expect(400);
+    expect((await database.ref('bookings/booking_1/status').once('value')).val()).toBe('confirmed');
+
+    const code = await request(app)
+      .post('/api/bookings/booking_1/boarding-code')
+      .set(as('passenger_1'))
+      .send({})
+      .expect(201);
+
+    const boarded = await request(app)
+      .post('/api/bookings/board')
+      .set(as('driver_1'))
+      .send({ bookingId: 'booking_1', pin: code.body.data.pin })
+      .expect(200);
+    expect(boarded.body.data).toMatchObject({ id: 'booking_1', status: 'confirmed' });
+    expect(boarded.body.data.boardedAt).toEqual(expect.any(String));
+
+    await request(app)
+      .put('/api/bookings/booking_1/trip-status')
+      .set(as('driver_1'))
+      .send({ status: 'completed' })
+      .expect(200);
+    expect((await database.ref('bookings/booking_1/status').once('value')).val()).toBe('completed');
+  });
+
+  it('should complete trips confirmed before boarding codes were required', async () => {
+    await database.ref('bookings/booking_1').update({ confirmedAt: '2026-09-01T08:00:00.000Z' });
+
+    await request(app)
+      .put('/api/bookings/booking_1/trip-status')
+      .set(as('driver_1'))
+      .send({ status: 'completed' })
+      .expect(200);
+  });
+
+  it('should hold bookings with no confirmation time to the boarding rule', async () => {
+    await database.ref('bookings/booking_1/confirmedAt').remove();
+
+    await request(app)
+      .put('/api/bookings/booking_1/trip-status')
+      .set(as('driver_1'))
+      .send({ status: 'completed' })
+      .expect(400);
+  });
+
+  it('should refuse to decide without a configured cutoff', () => {
+    const requiredFrom = process.env.BOARDING_REQUIRED_FROM;
+    delete process.env.BOARDING_REQUIRED_FROM;
+
+    try {
+      expect(() => boarding.isCheckedIn({ confirmedAt: '2026-09-01T08:00:00.000Z' }))
+        .toThrow('BOARDING_REQUIRED_FROM is not configured');
+    } finally {
+      process.env.BOARDING_REQUIRED_FROM = requiredFrom;
+    }
+  });
+});
@@ -0,0 +1,157 @@
+process.env.BACKEND_MODE = 'local';
+
+jest.mock('../models/Booking', () => ({ findById: jest.fn() }));
+jest.mock('../models/Ride', () => ({ findById: jest.fn() }));
+jest.mock('../services/bookingService', () => ({ sendRealtimeNotification: jest.fn() }));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { getLocalStores, resetLocalStores } = require('../config/local');
+const boardingService = require('../services/boardingService');
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const BookingService = require('../services/bookingService');
+
+describe('Boarding codes', () => {
+  const departure = new Date('2026-07-01T09:00:00');
+  const minutesFromDeparture = (minutes) => new Date(departure.getTime() + minutes * 60 * 1000);
+
+  let booking;
+  let saved;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetLocalStores();
+    saved = [];
+
+    booking = {
+      id: 'booking_1',
+      rideId: 'ride_1',
+      passengerId: 'passenger_1',
+      driverId: 'driver_1',
+      status: 'confirmed',
+      boarding: null,
+      isBoarded() {
+        return Boolean(this.boarding?.boardedAt);
+      },
+      save: jest.fn().mockImplementation(async () => {
+        saved.push(JSON.parse(JSON.stringify(booking.boarding)));
+      }),
+    };
+    Booking.findById.mockImplementation(async () => booking);
+    Ride.findById.mockResolvedValue({ id: 'ride_1', departureDate: '2026-07-01', departureTime: '09:00' });
+  });
+
+  describe('issuing', () => {
+    it('should only issue codes to the passenger of a confirmed booking close to departure', async () => {
+      await expect(boardingService.issueBoardingCode('booking_1', 'driver_1', minutesFromDeparture(-30)))
+        .rejects.toThrow('Access denied');
+      await expect(boardingService.issueBoardingCode('booking_1', 'passenger_1', minutesFromDeparture(-180)))
+        .rejects.toThrow('Boarding codes are available 120 minutes before departure');
+
+      booking.status = 'requested';
+      await expect(boardingService.issueBoardingCode('booking_1', 'passenger_1', minutesFromDeparture(-30)))
+        .rejects.toThrow('Boarding codes are only issued for confirmed bookings');
+    });
+
+    it('should store only a hash of the PIN', async () => {
+      const code = await boardingService.issueBoardingCode('booking_1', 'passenger_1', minutesFromDeparture(-30));
+
+      expect(code.pin).toMatch(/^\d{6}$/);
+      expect(code.expiresAt).toBe(minutesFromDeparture(-15).toISOString());
+      expect(JSON.stringify(saved[0])).not.toContain(code.pin);
+      expect(saved[0]).toMatchObject({ attempts: 0, boardedAt: null });
+    });
+  });
+
+  describe('checking in', () => {
+    it('should board the passenger with the right PIN and clear the code', async () => {
+      const { pin } = await boardingService.issueBoardingCode('booking_1', 'passenger_1', minutesFromDeparture(-30));
+
+      await expect(boardingService.verifyBoarding('passenger_1', { bookingId: 'booking_1', pin }, minutesFromDeparture(-25)))
+        .rejects.toThrow('Only the driver can check passengers in');
+
+      await boardingService.verifyBoarding('driver_1', { bookingId: 'booking_1', pin }, minutesFromDeparture(-25));
+
+      expect(booking.isBoarded()).toBe(true);
+      expect(booking.boarding).toMatchObject({ method: 'pin', boardedBy: 'driver_1', codeHash: null, nonce: null });
+      expect(BookingService.sendRealtimeNotification).toHaveBeenCalledWith('passenger_1', expect.objectContaining({
+        type: 'passenger_boarded',
+        bookingId: 'booking_1',
+      }));
+      await expect(boardingService.verifyBoarding('driver_1', { bookingId: 'booking_1', pin }, minutesFromDeparture(-24)))
+        .rejects.toThrow('Passenger has already boarded');
+    });
+
+    it('should accept the signed QR payload but not a tampered or replaced one', async () => {
+      const first = await boardingService.issueBoardingCode('booking_1', 'passenger_1', minutesFromDeparture(-30));
+      const [payload, signature] = first.qr.split('.');
+      const forged = Buffer.from(JSON.stringify({ bookingId: 'booking_2', nonce: 'x', expiresAt: first.expiresAt })).toString('base64url');
+
+      await expect(boardingService.verifyBoarding('driver_1', { qr: `${forged}.${signature}` }, minutesFromDeparture(-25)))
+        .rejects.toThrow('Invalid boarding code');
+
+      // Refreshing the code retires the old QR
+      const second = await boardingService.issueBoardingCode('booking_1', 'passenger_1', minutesFromDeparture(-28));
+      await expect(boardingService.verifyBoarding('driver_1', { qr: `${payload}.${signature}` }, minutesFromDeparture(-25)))
+        .rejects.toThrow('Invalid boarding code');
+
+      await boardingService.verifyBoarding('driver_1', { qr: second.qr }, minutesFromDeparture(-25));
+      expect(booking.boarding).toMatchObject({ method: 'qr', boardedAt: minutesFromDeparture(-25).toISOString() });
+    });
+
+    it('should reject expired codes and lock the code after too many wrong PINs', async () => {
+      const { pin } = await boardingService.issueBoardingCode('booking_1', 'passenger_1', minutesFromDeparture(-30));
+      const wrongPin = pin === '000000' ? '111111' : '000000';
+
+      await expect(boardingService.verifyBoarding('driver_1', { bookingId: 'booking_1', pin }, minutesFromDeparture(-10)))
+        .rejects.toThrow('Boarding code has expired');
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await expect(boardingService.verifyBoarding('driver_1', { bookingId: 'booking_1', pin: wrongPin }, minutesFromDeparture(-25)))
+          .rejects.toThrow('Invalid boarding code');
+      }
+      await expect(boardingService.verifyBoarding('driver_1', { bookingId: 'booking_1', pin }, minutesFromDeparture(-25)))
+        .rejects.toThrow('Too many wrong codes');
+      expect(booking.isBoarded()).toBe(false);
+    });
+  });
+
+  describe('realtime database bookings', () => {
+    const { database } = getLocalStores();
+
+    beforeEach(async () => {
+      Booking.findById.mockResolvedValue(null);
+      Ride.findById.mockResolvedValue(null);
+
+      // The shape POST /api/bookings leaves behind
+      await database.ref('bookings/booking_rt').set({
+        rideId: 'ride_rt',
+        passengerId: 'passenger_1',
+        driverId: 'driver_1',
+        status: 'confirmed',
+        confirmedAt: minutesFromDeparture(-600).toISOString(),
+      });
+      await database.ref('rides/ride_rt').set({ driverId: 'driver_1', departureDate: '2026-07-01', departureTime: '09:00' });
+    });
+
+    it('should issue and check in a code on the realtime booking', async () => {
+      const { pin } = await boardingService.issueBoardingCode('booking_rt', 'passenger_1', minutesFromDeparture(-30));
+      const issued = (await database.ref('bookings/booking_rt/boarding').once('value')).val();
+      expect(issued).toMatchObject({ attempts: 0, issuedAt: minutesFromDeparture(-30).toISOString() });
+      expect(JSON.stringify(issued)).not.toContain(pin);
+
+      const boarded = await boardingService.verifyBoarding('driver_1', { bookingId: 'booking_rt', pin }, minutesFromDeparture(-25));
+
+      expect(boarded).toMatchObject({ id: 'booking_rt', passengerId: 'passenger_1' });
+      const stored = (await database.ref('bookings/booking_rt').once('value')).val();
+      expect(stored.status).toBe('confirmed');
+      expect(stored.boarding).toMatchObject({ method: 'pin', boardedBy: 'driver_1', boardedAt: minutesFromDeparture(-25).toISOString() });
+      expect(stored.boarding.codeHash).toBeFalsy();
+      expect(Booking.findById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,53 +1,51 @@
 const request = require('supertest');
 const app = require('../server');
-const { initializeFirebase } = require('../config/firebase');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
 const MessagingService = require('../services/messagingService');
+const NotificationService = require('../services/notificationService');
 
 describe('Booking Communication Integration', () => {
+  const { auth, database } = getLocalStores();
   let authToken;
   let testBookingId;
   let testUserId = 'test-user-123';
   let testDriverId = 'test-driver-456';
 
-  beforeAll(async () => {
-    // Initialize Firebase for testing
-    await initializeFirebase();
-    
-    // Mock authentication token
-    authToken = 'mock-auth-token';
-  });
+  // The communication routes read bookings from the Realtime Database, the message routes from Firestore
+  const saveBooking = async (data = {}) => {
+    const booking = {
+      id: testBookingId,
+      passengerId: testUserId,
+      driverId: testDriverId,
+      status: 'confirmed',
+      rideId: 'test-ride-123',
+      seatsBooked: 1,
+      ...data
+    };
+    await database.ref(`bookings/${testBookingId}`).set(booking);
+    await new Booking(booking).save();
+    return booking;
+  };
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    resetLocalStores();
+
+    for (const [uid, role] of [[testUserId, 'passenger'], [testDriverId, 'provider']]) {
+      const user = { uid, email: `${uid}@example.com`, displayName: uid, role };
+      await auth.createUser(user);
+      await new User(user).save();
+    }
+    authToken = auth.createIdToken(testUserId, { email: `${testUserId}@example.com` });
 
-  beforeEach(() => {
-    // Create a mock booking for testing
     testBookingId = 'test-booking-' + Date.now();
   });
 
   describe('POST /api/communication/booking/:bookingId/enable', () => {
     it('should enable communication features for confirmed booking', async () => {
-      // Mock booking data
-      const mockBooking = {
-        id: testBookingId,
-        passengerId: testUserId,
-        driverId: testDriverId,
-        status: 'confirmed',
-        rideId: 'test-ride-123'
-      };
-
-      // Mock MessagingService methods
-      jest.spyOn(MessagingService, 'enableBookingCommunication').mockResolvedValue({
-        bookingId: testBookingId,
-        conversationId: `booking_${testBookingId}`,
-        participants: [testUserId, testDriverId],
-        status: 'active',
-        features: {
-          messaging: true,
-          locationSharing: true,
-          emergencyContact: true,
-          callsEnabled: true,
-          photoSharing: true,
-          contactInfoShared: true
-        }
-      });
+      await saveBooking();
 
       const response = await request(app)
         .post(`/api/communication/booking/${testBookingId}/enable`)
@@ -55,11 +53,15 @@ describe('Booking Communication Integration', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
+      expect(response.body.data.conversationId).toBe(`booking_${testBookingId}`);
       expect(response.body.data.features.messaging).toBe(true);
       expect(response.body.data.features.emergencyContact).toBe(true);
+      expect((await database.ref(`bookingCommunication/${testBookingId}/status`).once('value')).val()).toBe('active');
     });
 
     it('should return error for non-confirmed booking', async () => {
+      await saveBooking({ status: 'requested' });
+
       const response = await request(app)
         .post(`/api/communication/booking/${testBookingId}/enable`)
         .set('Authorization', `Bearer ${authToken}`)
@@ -71,21 +73,7 @@ describe('Booking Communication Integration', () => {
 
   describe('POST /api/communication/booking/:bookingId/setup-trip-channel', () => {
     it('should setup trip-specific communication channel', async () => {
-      // Mock MessagingService method
-      jest.spyOn(MessagingService, 'setupTripCommunicationChannel').mockResolvedValue({
-        bookingId: testBookingId,
-        conversationId: `booking_${testBookingId}`,
-        participants: [testUserId, testDriverId],
-        features: {
-          messaging: true,
-          locationSharing: true,
-          emergencyContact: true,
-          callsEnabled: true,
-          photoSharing: true
-        },
-        tripPhase: 'pre_trip',
-        emergencyContactsEnabled: true
-      });
+      await saveBooking();
 
       const response = await request(app)
         .post(`/api/communication/booking/${testBookingId}/setup-trip-channel`)
@@ -100,8 +88,8 @@ describe('Booking Communication Integration', () => {
 
   describe('POST /api/messages/booking/:bookingId/lifecycle-message', () => {
     it('should handle booking confirmation lifecycle event', async () => {
-      // Mock MessagingService method
-      jest.spyOn(MessagingService, 'handleBookingLifecycleEvent').mockResolvedValue(true);
+      await saveBooking();
+      const handleBookingLifecycleEvent = jest.spyOn(MessagingService, 'handleBookingLifecycleEvent');
 
       const response = await request(app)
         .post(`/api/messages/booking/${testBookingId}/lifecycle-message`)
@@ -114,10 +102,16 @@ describe('Booking Communication Integration', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.event).toBe('booking_confirmed');
+      expect(handleBookingLifecycleEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: testBookingId }),
+        'booking_confirmed',
+        {}
+      );
     });
 
     it('should handle trip started lifecycle event', async () => {
-      jest.spyOn(MessagingService, 'handleBookingLifecycleEvent').mockResolvedValue(true);
+      await saveBooking();
+      const handleBookingLifecycleEvent = jest.spyOn(MessagingService, 'handleBookingLifecycleEvent');
 
       const response = await request(app)
         .post(`/api/messages/booking/${testBookingId}/lifecycle-message`)
@@ -132,6 +126,11 @@ describe('Booking Communication Integration', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.event).toBe('trip_started');
+      expect(handleBookingLifecycleEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: testBookingId }),
+        'trip_started',
+        { estimatedArrival: '2 hours' }
+      );
     });
 
     it('should reject invalid lifecycle events', async () => {
@@ -150,19 +149,15 @@ describe('Booking Communication Integration', () => {
 
   describe('POST /api/messages/booking/:bookingId/emergency-contact-alert', () => {
     it('should send emergency alert to emergency contacts', async () => {
-      // Mock MessagingService methods
-      jest.spyOn(MessagingService, 'sendEmergencyAlert').mockResolvedValue({
-        bookingId: testBookingId,
-        alertType: 'trip_emergency',
-        contactsAlerted: 2,
-        sentAt: new Date().toISOString()
-      });
-
-      jest.spyOn(MessagingService, 'sendEmergencyMessage').mockResolvedValue({
-        id: 'msg-123',
-        content: '🚨 EMERGENCY: This is an emergency message.',
-        type: 'text'
-      });
+      await saveBooking();
+      await database.ref(`users/${testUserId}/emergencyContacts`).set([
+        { name: 'John Doe', phone: '+1234567890', relationship: 'Family' }
+      ]);
+      await database.ref(`users/${testDriverId}/emergencyContacts`).set([
+        { name: 'Jane Smith', phone: '+0987654321', relationship: 'Friend' }
+      ]);
+      const sendSMS = jest.spyOn(NotificationService, 'sendSMS').mockResolvedValue({ success: true, messageId: 'sms-123' });
+      const sendEmergencyMessage = jest.spyOn(MessagingService, 'sendEmergencyMessage');
 
       const response = await request(app)
         .post(`/api/messages/booking/${testBookingId}/emergency-contact-alert`)
@@ -177,6 +172,12 @@ describe('Booking Communication Integration', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.alertType).toBe('trip_emergency');
       expect(response.body.data.contactsAlerted).toBe(2);
+      expect(sendSMS.mock.calls.map(([phone]) => phone)).toEqual(['+1234567890', '+0987654321']);
+      expect(sendEmergencyMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ id: testBookingId }),
+        testUserId,
+        'trip_emergency'
+      );
     });
 
     it('should reject invalid alert types', async () => {
@@ -195,33 +196,9 @@ describe('Booking Communication Integration', () => {
 
   describe('GET /api/messages/booking/:bookingId/communication-features', () => {
     it('should return available communication features for booking', async () => {
-      // Mock MessagingService methods
-      jest.spyOn(MessagingService, 'getBookingCommunicationStatus').mockResolvedValue({
-        bookingCommunication: {
-          status: 'active',
-          features: {
-            messaging: true,
-            locationSharing: true,
-            emergencyContact: true
-          }
-        },
-        isEnabled: true
-      });
-
-      jest.spyOn(MessagingService, 'getTripCommunicationStatus').mockResolvedValue({
-        tripCommunication: {
-          tripPhase: 'pre_trip',
-          emergencyContactsEnabled: true
-        },
-        isActive: true
-      });
-
-      jest.spyOn(MessagingService, 'getCommunicationPreferences').mockResolvedValue({
-        allowCalls: true,
-        allowMessages: true,
-        allowLocationSharing: true,
-        allowEmergencyContact: true
-      });
+      const booking = await saveBooking();
+      await MessagingService.enableBookingCommunication(booking);
+      await MessagingService.setupTripCommunicationChannel(booking);
 
       const response = await request(app)
         .get(`/api/messages/booking/${testBookingId}/communication-features`)
@@ -229,28 +206,28 @@ describe('Booking Communication Integration', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
+      expect(response.body.data.userRole).toBe('passenger');
       expect(response.body.data.availableFeatures.messaging).toBe(true);
       expect(response.body.data.availableFeatures.emergencyContact).toBe(true);
-      expect(response.body.data.tripSpecificChannel).toBe(true);
+      expect(response.body.data.availableFeatures.tripSpecificChannel).toBe(true);
+    });
+
+    it('should not offer messaging before communication is enabled', async () => {
+      await saveBooking();
+
+      const response = await request(app)
+        .get(`/api/messages/booking/${testBookingId}/communication-features`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.availableFeatures.messaging).toBe(false);
+      expect(response.body.data.availableFeatures.tripSpecificChannel).toBe(false);
     });
   });
 
   describe('Communication Preferences Management', () => {
     describe('GET /api/communication/preferences', () => {
       it('should return user communication preferences', async () => {
-        jest.spyOn(MessagingService, 'getCommunicationPreferences').mockResolvedValue({
-          allowCalls: true,
-          allowMessages: true,
-          allowLocationSharing: true,
-          allowEmergencyContact: true,
-          autoResponseEnabled: false,
-          quietHours: {
-            enabled: false,
-            start: '22:00',
-            end: '07:00'
-          }
-        });
-
         const response = await request(app)
           .get('/api/communication/preferences')
           .set('Authorization', `Bearer ${authToken}`)
@@ -259,6 +236,7 @@ describe('Booking Communication Integration', () => {
         expect(response.body.success).toBe(true);
         expect(response.body.data.allowMessages).toBe(true);
         expect(response.body.data.allowEmergencyContact).toBe(true);
+        expect(response.body.data.quietHours).toEqual({ enabled: false, start: '22:00', end: '07:00' });
       });
     });
 
@@ -278,8 +256,6 @@ describe('Booking Communication Integration', () => {
           }
         };
 
-        jest.spyOn(MessagingService, 'updateCommunicationPreferences').mockResolvedValue(updatedPreferences);
-
         const response = await request(app)
           .put('/api/communication/preferences')
           .set('Authorization', `Bearer ${authToken}`)
@@ -290,6 +266,7 @@ describe('Booking Communication Integration', () => {
         expect(response.body.data.allowCalls).toBe(false);
         expect(response.body.data.autoResponseEnabled).toBe(true);
         expect(response.body.data.quietHours.enabled).toBe(true);
+        expect(await MessagingService.getCommunicationPreferences(testUserId)).toMatchObject(updatedPreferences);
       });
     });
   });
@@ -304,12 +281,6 @@ describe('Booking Communication Integration', () => {
           isPrimary: true
         };
 
-        jest.spyOn(MessagingService, 'addEmergencyContact').mockResolvedValue({
-          id: 'contact-123',
-          ...newContact,
-          createdAt: new Date().toISOString()
-        });
-
         const response = await request(app)
           .post('/api/communication/emergency-contacts')
           .set('Authorization', `Bearer ${authToken}`)
@@ -319,29 +290,24 @@ describe('Booking Communication Integration', () => {
         expect(response.body.success).toBe(true);
         expect(response.body.data.name).toBe('John Doe');
         expect(response.body.data.isPrimary).toBe(true);
+        expect(response.body.data).toHaveProperty('id');
       });
     });
 
     describe('GET /api/communication/emergency-contacts', () => {
       it('should return user emergency contacts', async () => {
-        const mockContacts = [
-          {
-            id: 'contact-1',
-            name: 'John Doe',
-            phone: '+1234567890',
-            relationship: 'Family',
-            isPrimary: true
-          },
-          {
-            id: 'contact-2',
-            name: 'Jane Smith',
-            phone: '+0987654321',
-            relationship: 'Friend',
-            isPrimary: false
-          }
-        ];
-
-        jest.spyOn(MessagingService, 'getEmergencyContacts').mockResolvedValue(mockContacts);
+        await MessagingService.addEmergencyContact(testUserId, {
+          name: 'John Doe',
+          phone: '+1234567890',
+          relationship: 'Family',
+          isPrimary: true
+        });
+        await MessagingService.addEmergencyContact(testUserId, {
+          name: 'Jane Smith',
+          phone: '+0987654321',
+          relationship: 'Friend',
+          isPrimary: false
+        });
 
         const response = await request(app)
           .get('/api/communication/emergency-contacts')
@@ -354,9 +320,4 @@ describe('Booking Communication Integration', () => {
       });
     });
   });
-
-  afterEach(() => {
-    // Clean up mocks
-    jest.restoreAllMocks();
-  });
-});
\ No newline at end of file
+});
@@ -1,73 +1,20 @@
 const request = require('supertest');
 const app = require('../server');
-const { initializeFirebase, getFirestore, getDatabase } = require('../config/firebase');
+const { getLocalStores, resetLocalStores } = require('../config/local');
 const Booking = require('../models/Booking');
 const Ride = require('../models/Ride');
 const User = require('../models/User');
 const BookingService = require('../services/bookingService');
-
-// Mock Firebase
-jest.mock('../config/firebase');
-
-// Mock Firebase Realtime Database
-const mockRealtimeDb = {
-    ref: jest.fn(() => ({
-        push: jest.fn(() => ({
-            key: 'mock-message-key',
-            set: jest.fn()
-        })),
-        set: jest.fn()
-    }))
-};
-
-getDatabase.mockReturnValue(mockRealtimeDb);
+const { getSocketInstance } = require('../config/socket');
 
 describe('Booking System', () => {
-    let mockDb;
-    let mockTransaction;
-    let mockCollection;
-    let mockDoc;
-    let mockAuth;
+    const { auth, firestore } = getLocalStores();
+    const futureDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
     let testUser;
     let testRide;
     let testBooking;
 
     beforeAll(async () => {
-        // Setup mock Firebase
-        mockDoc = {
-            get: jest.fn(),
-            set: jest.fn(),
-            update: jest.fn(),
-            delete: jest.fn(),
-            id: 'mock-doc-id'
-        };
-
-        mockCollection = {
-            doc: jest.fn(() => mockDoc),
-            where: jest.fn(() => mockCollection),
-            orderBy: jest.fn(() => mockCollection),
-            limit: jest.fn(() => mockCollection),
-            get: jest.fn()
-        };
-
-        mockTransaction = {
-            get: jest.fn(),
-            set: jest.fn(),
-            update: jest.fn()
-        };
-
-        mockDb = {
-            collection: jest.fn(() => mockCollection),
-            runTransaction: jest.fn()
-        };
-
-        mockAuth = {
-            verifyIdToken: jest.fn()
-        };
-
-        getFirestore.mockReturnValue(mockDb);
-        initializeFirebase.mockResolvedValue(true);
-
         // Setup test data
         testUser = {
             uid: 'test-user-123',
@@ -81,7 +28,7 @@ describe('Booking System', () => {
             driverId: 'driver-123',
             origin: { city: 'Mumbai', address: 'Bandra', coordinates: { lat: 19.0596, lng: 72.8295 } },
             destination: { city: 'Pune', address: 'Koregaon Park', coordinates: { lat: 18.5204, lng: 73.8567 } },
-            departureDate: '2026-12-25', // Future date
+            departureDate: futureDate,
             departureTime: '10:00',
             arrivalTime: '13:00',
             pricePerSeat: 500,
@@ -108,17 +55,14 @@ describe('Booking System', () => {
         };
     });
 
-    beforeEach(() => {
-        jest.clearAllMocks();
+    beforeEach(async () => {
+        jest.restoreAllMocks();
+        resetLocalStores();
 
-        // Default mock implementations
-        mockAuth.verifyIdToken.mockResolvedValue(testUser);
-        mockDoc.get.mockResolvedValue({ exists: true, data: () => testRide });
-        mockCollection.get.mockResolvedValue({
-            empty: false,
-            docs: [{ data: () => testBooking }],
-            forEach: (callback) => callback({ data: () => testBooking })
-        });
+        await auth.createUser(testUser);
+        await new User(testUser).save();
+        await new User({ uid: 'driver-123', email: 'driver@example.com', displayName: 'Driver User', role: 'provider' }).save();
+        await new Ride(testRide).save();
     });
 
     describe('Booking Model', () => {
@@ -134,30 +78,19 @@ describe('Booking System', () => {
 
         test('should save booking to Firestore', async () => {
             const booking = new Booking(testBooking);
-            mockDoc.get.mockResolvedValue({ exists: true });
-            mockDoc.set.mockResolvedValue();
 
             await booking.save();
 
-            expect(mockDb.collection).toHaveBeenCalledWith('bookings');
-            expect(mockDoc.set).toHaveBeenCalledWith(
-                expect.objectContaining({
-                    id: testBooking.id,
-                    rideId: testBooking.rideId,
-                    passengerId: testBooking.passengerId,
-                    seatsBooked: testBooking.seatsBooked
-                }),
-                { merge: true }
-            );
+            const doc = await firestore.collection('bookings').doc(testBooking.id).get();
+            expect(doc.data()).toMatchObject({
+                id: testBooking.id,
+                rideId: testBooking.rideId,
+                passengerId: testBooking.passengerId,
+                seatsBooked: testBooking.seatsBooked
+            });
         });
 
         test('should create booking with transaction', async () => {
-            mockDb.runTransaction.mockImplementation(async (callback) => {
-                const transaction = mockTransaction;
-                transaction.get.mockResolvedValue({ exists: true, data: () => testRide });
-                return await callback(transaction);
-            });
-
             const bookingData = {
                 rideId: 'test-ride-123',
                 passengerId: 'test-user-123',
@@ -166,60 +99,49 @@ describe('Booking System', () => {
 
             const booking = await Booking.createWithTransaction(bookingData);
 
-            expect(mockDb.runTransaction).toHaveBeenCalled();
             expect(booking).toBeInstanceOf(Booking);
+            expect(booking.status).toBe('requested');
+            expect((await Ride.findById('test-ride-123')).passengers['test-user-123']).toMatchObject({ seatsBooked: 2, status: 'requested' });
         });
 
         test('should find booking by ID', async () => {
-            mockDoc.get.mockResolvedValue({ exists: true, data: () => testBooking });
+            await new Booking(testBooking).save();
 
             const booking = await Booking.findById('test-booking-123');
 
             expect(booking).toBeInstanceOf(Booking);
             expect(booking.id).toBe(testBooking.id);
-            expect(mockDb.collection).toHaveBeenCalledWith('bookings');
-            expect(mockCollection.doc).toHaveBeenCalledWith('test-booking-123');
         });
 
         test('should return null for non-existent booking', async () => {
-            mockDoc.get.mockResolvedValue({ exists: false });
-
             const booking = await Booking.findById('non-existent');
 
             expect(booking).toBeNull();
         });
 
         test('should find bookings by passenger ID', async () => {
+            await new Booking({ ...testBooking, requestedAt: new Date('2026-01-01T10:00:00Z') }).save();
+            await new Booking({ ...testBooking, id: 'booking-2', requestedAt: new Date('2026-01-02T10:00:00Z') }).save();
+            await new Booking({ ...testBooking, id: 'booking-3', passengerId: 'other-user' }).save();
+
             const bookings = await Booking.findByPassengerId('test-user-123');
 
-            expect(Array.isArray(bookings)).toBe(true);
-            expect(mockCollection.where).toHaveBeenCalledWith('passengerId', '==', 'test-user-123');
-            expect(mockCollection.orderBy).toHaveBeenCalledWith('requestedAt', 'desc');
+            expect(bookings.map(booking => booking.id)).toEqual(['booking-2', 'test-booking-123']);
         });
 
         test('should update booking status with transaction', async () => {
             const booking = new Booking(testBooking);
-
-            mockDb.runTransaction.mockImplementation(async (callback) => {
-                const transaction = mockTransaction;
-                transaction.get.mockResolvedValueOnce({ exists: true, data: () => testBooking });
-                transaction.get.mockResolvedValueOnce({ exists: true, data: () => testRide });
-                return await callback(transaction);
-            });
+            await booking.save();
 
             await booking.updateStatus('confirmed');
 
-            expect(mockDb.runTransaction).toHaveBeenCalled();
+            expect((await Booking.findById('test-booking-123')).status).toBe('confirmed');
+            expect((await Ride.findById('test-ride-123')).availableSeats).toBe(1);
         });
 
         test('should validate status transitions', async () => {
             const booking = new Booking({ ...testBooking, status: 'completed' });
-
-            mockDb.runTransaction.mockImplementation(async (callback) => {
-                const transaction = mockTransaction;
-                transaction.get.mockResolvedValueOnce({ exists: true, data: () => ({ ...testBooking, status: 'completed' }) });
-                return await callback(transaction);
-            });
+            await booking.save();
 
             await expect(booking.updateStatus('confirmed')).rejects.toThrow('Invalid status transition');
         });
@@ -305,7 +227,7 @@ describe('Booking System', () => {
         });
 
         test('should complete booking', async () => {
-            const mockBooking = new Booking({ ...testBooking, status: 'confirmed' });
+            const mockBooking = new Booking({ ...testBooking, status: 'confirmed', boarding: { boardedAt: new Date().toISOString() } });
             jest.spyOn(Booking, 'findById').mockResolvedValue(mockBooking);
             jest.spyOn(mockBooking, 'updateStatus').mockResolvedValue(mockBooking);
 
@@ -315,6 +237,20 @@ describe('Booking System', () => {
             expect(mockBooking.updateStatus).toHaveBeenCalledWith('completed');
         });
 
+        test('should not complete a booking whose passenger was not checked in', async () => {
+            const mockBooking = new Booking({ ...testBooking, status: 'confirmed', confirmedAt: new Date() });
+            jest.spyOn(Booking, 'findById').mockResolvedValue(mockBooking);
+            jest.spyOn(mockBooking, 'updateStatus').mockResolvedValue(mockBooking);
+
+            await expect(BookingService.completeBooking('test-booking-123', 'driver-123'))
+                .rejects.toThrow('Passenger has not boarded');
+            expect(mockBooking.updateStatus).not.toHaveBeenCalled();
+
+            mockBooking.boarding = { boardedAt: new Date().toISOString(), method: 'pin', boardedBy: 'driver-123' };
+            await BookingService.completeBooking('test-booking-123', 'driver-123');
+            expect(mockBooking.updateStatus).toHaveBeenCalledWith('completed');
+        });
+
         test('should get user bookings', async () => {
             const mockBookings = [new Booking(testBooking)];
             jest.spyOn(Booking, 'findByPassengerId').mockResolvedValue(mockBookings);
@@ -359,15 +295,42 @@ describe('Booking System', () => {
     });
 
     describe('Booking API Endpoints', () => {
-        const mockToken = 'mock-jwt-token';
+        // The booking routes keep rides and bookings in the Realtime Database
+        const { database } = getLocalStores();
+        let mockToken;
+        let driverToken;
+
+        const saveRealtimeBooking = (data = {}) => database.ref('bookings/test-booking-123').set({
+            ...testBooking,
+            requestedAt: new Date().toISOString(),
+            ...data
+        });
+
+        // Hold the first reads of a path until `count` requests have made one,
+        // so they all decide on the same data before any of them writes
+        const holdReads = (path, count) => {
+            const queryPrototype = Object.getPrototypeOf(Object.getPrototypeOf(database.ref('rides')));
+            const once = queryPrototype.once;
+            const held = [];
+            jest.spyOn(queryPrototype, 'once').mockImplementation(async function (...args) {
+                const snapshot = await once.apply(this, args);
+                if (held.length < count && this.toString() === `local://${path}`) {
+                    await new Promise(resolve => {
+                        held.push(resolve);
+                        if (held.length === count) held.forEach(release => release());
+                    });
+                }
+                return snapshot;
+            });
+        };
 
-        beforeEach(() => {
-            mockAuth.verifyIdToken.mockResolvedValue(testUser);
+        beforeEach(async () => {
+            mockToken = auth.createIdToken(testUser.uid, { email: testUser.email });
+            driverToken = auth.createIdToken('driver-123', { email: 'driver@example.com' });
+            await database.ref('rides/test-ride-123').set(testRide);
         });
 
         test('POST /api/bookings - should create booking', async () => {
-            jest.spyOn(BookingService, 'createBooking').mockResolvedValue(new Booking(testBooking));
-
             const response = await request(app)
                 .post('/api/bookings')
                 .set('Authorization', `Bearer ${mockToken}`)
@@ -378,7 +341,13 @@ describe('Booking System', () => {
 
             expect(response.status).toBe(201);
             expect(response.body.success).toBe(true);
-            expect(response.body.data).toHaveProperty('booking');
+            expect(response.body.data).toMatchObject({
+                rideId: 'test-ride-123',
+                passengerId: 'test-user-123',
+                seatsBooked: 2,
+                status: 'confirmed'
+            });
+            expect((await database.ref('rides/test-ride-123/availableSeats').once('value')).val()).toBe(1);
         });
 
         test('POST /api/bookings - should validate required fields', async () => {
@@ -391,18 +360,11 @@ describe('Booking System', () => {
                 });
 
             expect(response.status).toBe(400);
-            expect(response.body.success).toBe(false);
+            expect(response.body.errors.map(error => error.path)).toEqual(['rideId']);
         });
 
         test('GET /api/bookings/:bookingId - should get booking details', async () => {
-            const mockBookingDetails = {
-                booking: testBooking,
-                ride: testRide,
-                passenger: testUser,
-                driver: { uid: 'driver-123', displayName: 'Driver User' }
-            };
-
-            jest.spyOn(BookingService, 'getBookingDetails').mockResolvedValue(mockBookingDetails);
+            await saveRealtimeBooking();
 
             const response = await request(app)
                 .get('/api/bookings/test-booking-123')
@@ -410,118 +372,192 @@ describe('Booking System', () => {
 
             expect(response.status).toBe(200);
             expect(response.body.success).toBe(true);
-            expect(response.body.data).toEqual(mockBookingDetails);
+            expect(response.body.data).toMatchObject({
+                id: 'test-booking-123',
+                seatsBooked: 2,
+                ride: { driverId: 'driver-123' }
+            });
         });
 
-        test('PUT /api/bookings/:bookingId/status - should update booking status', async () => {
-            jest.spyOn(BookingService, 'approveBooking').mockResolvedValue(new Booking({ ...testBooking, status: 'confirmed' }));
+        test('PUT /api/bookings/:bookingId/approve - should confirm the booking', async () => {
+            await saveRealtimeBooking();
 
             const response = await request(app)
-                .put('/api/bookings/test-booking-123/status')
-                .set('Authorization', `Bearer ${mockToken}`)
-                .send({
-                    status: 'confirmed'
-                });
+                .put('/api/bookings/test-booking-123/approve')
+                .set('Authorization', `Bearer ${driverToken}`);
 
             expect(response.status).toBe(200);
             expect(response.body.success).toBe(true);
-            expect(response.body.data.booking.status).toBe('confirmed');
+            expect((await database.ref('bookings/test-booking-123/status').once('value')).val()).toBe('confirmed');
+        });
+
+        test('POST /api/bookings - should sell the last seat only once to concurrent bookings', async () => {
+            await database.ref('rides/test-ride-123/availableSeats').set(1);
+            holdReads('rides/test-ride-123', 2);
+            const otherToken = auth.createIdToken('other-user-456', { email: 'other@example.com' });
+
+            const responses = await Promise.all([mockToken, otherToken].map(token => request(app)
+                .post('/api/bookings')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ rideId: 'test-ride-123', seatsBooked: 1 })));
+
+            expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+            const ride = (await database.ref('rides/test-ride-123').once('value')).val();
+            expect(ride.availableSeats).toBe(0);
+            expect(Object.keys(ride.passengers)).toHaveLength(1);
+            const bookings = (await database.ref('bookings').once('value')).val();
+            expect(Object.values(bookings)).toHaveLength(1);
         });
 
-        test('DELETE /api/bookings/:bookingId - should cancel booking', async () => {
-            jest.spyOn(BookingService, 'cancelBooking').mockResolvedValue(new Booking({ ...testBooking, status: 'cancelled_by_passenger' }));
+        test('PUT /api/bookings/:bookingId/approve - should take the seats once when approved twice at the same time', async () => {
+            await saveRealtimeBooking();
+            holdReads('rides/test-ride-123', 2);
+
+            const responses = await Promise.all([1, 2].map(() => request(app)
+                .put('/api/bookings/test-booking-123/approve')
+                .set('Authorization', `Bearer ${driverToken}`)));
+
+            expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+            expect((await database.ref('rides/test-ride-123/availableSeats').once('value')).val()).toBe(1);
+        });
+
+        test('PUT /api/bookings/:bookingId/approve - should leave the request pending when the seats are gone', async () => {
+            await saveRealtimeBooking();
+            await database.ref('rides/test-ride-123/availableSeats').set(1);
 
             const response = await request(app)
-                .delete('/api/bookings/test-booking-123')
-                .set('Authorization', `Bearer ${mockToken}`)
-                .send({
-                    reason: 'Change of plans'
-                });
+                .put('/api/bookings/test-booking-123/approve')
+                .set('Authorization', `Bearer ${driverToken}`);
 
-            expect(response.status).toBe(200);
-            expect(response.body.success).toBe(true);
-            expect(response.body.data.booking.status).toBe('cancelled_by_passenger');
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Not enough seats available');
+            expect((await database.ref('bookings/test-booking-123/status').once('value')).val()).toBe('requested');
+            expect((await database.ref('rides/test-ride-123/availableSeats').once('value')).val()).toBe(1);
         });
 
-        test('GET /api/bookings - should get user bookings', async () => {
-            const mockBookings = [{ booking: testBooking, ride: testRide }];
-            jest.spyOn(BookingService, 'getUserBookings').mockResolvedValue(mockBookings);
+        test('PUT /api/bookings/:bookingId/reject - should only let the driver reject', async () => {
+            await saveRealtimeBooking();
+
+            await request(app)
+                .put('/api/bookings/test-booking-123/reject')
+                .set('Authorization', `Bearer ${mockToken}`)
+                .send({ reason: 'Vehicle issue' })
+                .expect(403);
 
             const response = await request(app)
-                .get('/api/bookings?role=passenger')
-                .set('Authorization', `Bearer ${mockToken}`);
+                .put('/api/bookings/test-booking-123/reject')
+                .set('Authorization', `Bearer ${driverToken}`)
+                .send({ reason: 'Vehicle issue' });
 
             expect(response.status).toBe(200);
-            expect(response.body.success).toBe(true);
-            expect(response.body.data.bookings).toEqual(mockBookings);
+            expect((await database.ref('bookings/test-booking-123').once('value')).val())
+                .toMatchObject({ status: 'rejected', rejectionReason: 'Vehicle issue' });
         });
 
-        test('POST /api/bookings/:bookingId/messages - should add message', async () => {
-            const mockMessage = { from: 'test-user-123', message: 'Hello', timestamp: new Date() };
-            jest.spyOn(BookingService, 'addBookingMessage').mockResolvedValue(mockMessage);
+        test('PUT /api/bookings/:bookingId/cancel - should cancel booking', async () => {
+            await saveRealtimeBooking();
 
             const response = await request(app)
-                .post('/api/bookings/test-booking-123/messages')
+                .put('/api/bookings/test-booking-123/cancel')
                 .set('Authorization', `Bearer ${mockToken}`)
                 .send({
-                    message: 'Hello',
-                    type: 'text'
+                    reason: 'Change of plans'
                 });
 
-            expect(response.status).toBe(201);
+            expect(response.status).toBe(200);
             expect(response.body.success).toBe(true);
-            expect(response.body.data.message).toEqual(mockMessage);
+            expect((await database.ref('bookings/test-booking-123').once('value')).val())
+                .toMatchObject({ status: 'cancelled', cancelledBy: 'passenger', cancellationReason: 'Change of plans' });
         });
 
-        test('GET /api/bookings/:bookingId/messages - should get messages', async () => {
-            const mockMessages = [
-                { from: 'test-user-123', message: 'Hello', timestamp: new Date() },
-                { from: 'driver-123', message: 'Hi there', timestamp: new Date() }
-            ];
+        test('PUT /api/bookings/:bookingId/cancel - should take both sides out of the booking\'s chat and the passenger out of the ride', async () => {
+            const io = getSocketInstance();
+            const socketsLeave = jest.fn();
+            io.in = jest.fn(() => ({ socketsLeave }));
+            await saveRealtimeBooking({ status: 'confirmed' });
+
+            await request(app)
+                .put('/api/bookings/test-booking-123/cancel')
+                .set('Authorization', `Bearer ${mockToken}`)
+                .send({ reason: 'Change of plans' })
+                .expect(200);
+
+            expect(io.in.mock.calls.map(([room]) => room)).toEqual(['user_test-user-123', 'user_driver-123']);
+            expect(socketsLeave).toHaveBeenNthCalledWith(1, ['ride_test-ride-123', 'conversation_booking_test-booking-123']);
+            expect(socketsLeave).toHaveBeenNthCalledWith(2, ['conversation_booking_test-booking-123']);
+            delete io.in;
+        });
+
+        test('PUT /api/bookings/:bookingId/cancel - should release the seats once when passenger and driver cancel together', async () => {
+            await saveRealtimeBooking({ status: 'confirmed' });
+            await database.ref('rides/test-ride-123').update({
+                availableSeats: 1,
+                'passengers/test-user-123': { seatsBooked: 2, status: 'confirmed' }
+            });
+            holdReads('bookings/test-booking-123', 2);
 
-            jest.spyOn(BookingService, 'getBookingMessages').mockResolvedValue(mockMessages);
+            const responses = await Promise.all([mockToken, driverToken].map(token => request(app)
+                .put('/api/bookings/test-booking-123/cancel')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ reason: 'Change of plans' })));
+
+            expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+            const ride = (await database.ref('rides/test-ride-123').once('value')).val();
+            expect(ride.availableSeats).toBe(3);
+            expect(ride.passengers).toBeUndefined();
+        });
+
+        test('GET /api/bookings - should get user bookings', async () => {
+            await saveRealtimeBooking();
+            await database.ref('bookings/other-booking').set({ ...testBooking, passengerId: 'other-user' });
 
             const response = await request(app)
-                .get('/api/bookings/test-booking-123/messages')
+                .get('/api/bookings?role=passenger')
                 .set('Authorization', `Bearer ${mockToken}`);
 
             expect(response.status).toBe(200);
             expect(response.body.success).toBe(true);
-            expect(response.body.data.messages).toEqual(mockMessages);
+            expect(response.body.data.bookings.map(booking => booking.id)).toEqual(['test-booking-123']);
+            expect(response.body.data.bookings[0].ride).toMatchObject({ id: 'test-ride-123' });
         });
 
-        test('GET /api/bookings/stats/:role - should get booking statistics', async () => {
-            const mockStats = {
-                total: 5,
-                completed: 3,
-                cancelled: 1,
-                totalSpent: 2500
-            };
+        test('GET /api/bookings/provider/requests - should get the driver\'s booking requests', async () => {
+            await saveRealtimeBooking();
+
+            const response = await request(app)
+                .get('/api/bookings/provider/requests')
+                .set('Authorization', `Bearer ${driverToken}`)
+                .query({ status: 'requested' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.bookings.map(booking => booking.id)).toEqual(['test-booking-123']);
+        });
 
-            jest.spyOn(BookingService, 'getBookingStats').mockResolvedValue(mockStats);
+        test('GET /api/bookings/:bookingId/communication - should get the conversation', async () => {
+            await saveRealtimeBooking({ status: 'confirmed' });
 
             const response = await request(app)
-                .get('/api/bookings/stats/passenger')
+                .get('/api/bookings/test-booking-123/communication')
                 .set('Authorization', `Bearer ${mockToken}`);
 
             expect(response.status).toBe(200);
             expect(response.body.success).toBe(true);
-            expect(response.body.data.stats).toEqual(mockStats);
+            expect(response.body.data).toMatchObject({ conversationId: 'booking_test-booking-123', canCommunicate: true });
         });
 
         test('should require authentication for all endpoints', async () => {
             const endpoints = [
                 { method: 'post', path: '/api/bookings' },
                 { method: 'get', path: '/api/bookings/test-id' },
-                { method: 'put', path: '/api/bookings/test-id/status' },
-                { method: 'delete', path: '/api/bookings/test-id' },
+                { method: 'put', path: '/api/bookings/test-id/approve' },
+                { method: 'put', path: '/api/bookings/test-id/cancel' },
                 { method: 'get', path: '/api/bookings' }
             ];
 
             for (const endpoint of endpoints) {
                 const response = await request(app)[endpoint.method](endpoint.path);
                 expect(response.status).toBe(401);
-                expect(response.body.success).toBe(false);
+                expect(response.body.error).toBe('No token provided');
             }
         });
     });
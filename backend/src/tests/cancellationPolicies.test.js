@@ -0,0 +1,184 @@
+process.env.BACKEND_MODE = 'local';
+
+const request = require('supertest');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+
+const app = require('../server');
+const BookingService = require('../services/bookingService');
+const Booking = require('../models/Booking');
+const cancellationPolicies = require('../utils/cancellationPolicies');
+
+describe('Ride cancellation policies', () => {
+  const customPolicy = {
+    cancellationPolicy: 'custom',
+    cancellationTiers: [
+      { hoursBefore: 6, refundPercentage: 75 },
+      { hoursBefore: 48, refundPercentage: 100 },
+    ],
+  };
+
+  describe('normalizeBookingPolicy', () => {
+    it('should default to the moderate policy and keep other booking fields', () => {
+      const policy = cancellationPolicies.normalizeBookingPolicy({ instantBooking: true });
+      expect(policy).toEqual({ instantBooking: true, cancellationPolicy: 'moderate' });
+      expect(cancellationPolicies.normalizeBookingPolicy(undefined)).toEqual({ cancellationPolicy: 'moderate' });
+    });
+
+    it('should sort custom tiers from the earliest cancellation', () => {
+      const policy = cancellationPolicies.normalizeBookingPolicy(customPolicy);
+      expect(policy.cancellationTiers.map(tier => tier.hoursBefore)).toEqual([48, 6]);
+    });
+
+    it('should drop custom tiers from a preset policy', () => {
+      const policy = cancellationPolicies.normalizeBookingPolicy({ ...customPolicy, cancellationPolicy: 'strict' });
+      expect(policy).toEqual({ cancellationPolicy: 'strict' });
+    });
+
+    it('should reject unknown policies and invalid custom tiers', () => {
+      expect(() => cancellationPolicies.normalizeBookingPolicy({ cancellationPolicy: 'lenient' }))
+        .toThrow('Unknown cancellation policy');
+      expect(() => cancellationPolicies.normalizeBookingPolicy({ cancellationPolicy: 'custom' }))
+        .toThrow('at least one refund tier');
+      expect(() => cancellationPolicies.normalizeBookingPolicy({
+        cancellationPolicy: 'custom',
+        cancellationTiers: [{ hoursBefore: 12, refundPercentage: 120 }],
+      })).toThrow('between 0 and 100');
+      expect(() => cancellationPolicies.normalizeBookingPolicy({
+        cancellationPolicy: 'custom',
+        cancellationTiers: [
+          { hoursBefore: 24, refundPercentage: 50 },
+          { hoursBefore: 2, refundPercentage: 100 },
+        ],
+      })).toThrow('cannot refund later cancellations more');
+    });
+  });
+
+  describe('calculateRefund', () => {
+    it('should use the moderate tiers for rides without a policy', () => {
+      expect(cancellationPolicies.calculateRefund(500, 30).refundAmount).toBe(500);
+      expect(cancellationPolicies.calculateRefund(500, 12).refundAmount).toBe(250);
+      expect(cancellationPolicies.calculateRefund(500, 1).refundType).toBe('none');
+    });
+
+    it('should apply the ride\'s preset policy', () => {
+      const strict = { cancellationPolicy: 'strict' };
+      expect(cancellationPolicies.calculateRefund(500, 30, strict).refundPercentage).toBe(50);
+      expect(cancellationPolicies.calculateRefund(500, 12, strict).refundPercentage).toBe(0);
+
+      const flexible = { cancellationPolicy: 'flexible' };
+      expect(cancellationPolicies.calculateRefund(500, 3, flexible).refundPercentage).toBe(100);
+      expect(cancellationPolicies.calculateRefund(500, 1, flexible).refundPercentage).toBe(50);
+    });
+
+    it('should apply custom tiers and record the breakdown', () => {
+      const result = cancellationPolicies.calculateRefund(400, 10, customPolicy);
+
+      expect(result.refundAmount).toBe(300);
+      expect(result.refundType).toBe('partial');
+      expect(result.breakdown).toEqual({
+        policy: 'custom',
+        cancelledBy: 'passenger',
+        hoursBeforeDeparture: 10,
+        tierApplied: { hoursBefore: 6, refundPercentage: 75 },
+        originalAmount: 400,
+        refundPercentage: 75,
+        refundAmount: 300,
+        retainedAmount: 100,
+      });
+    });
+
+    it('should refund driver cancellations in full whatever the policy', () => {
+      const result = cancellationPolicies.calculateRefund(500, 1, { cancellationPolicy: 'strict' }, { cancelledBy: 'driver' });
+
+      expect(result.refundAmount).toBe(500);
+      expect(result.refundType).toBe('full');
+      expect(result.breakdown.tierApplied).toBeNull();
+    });
+  });
+
+  describe('describeCancellationPolicy', () => {
+    it('should list the refund rules for booking details', () => {
+      const { type, rules } = cancellationPolicies.describeCancellationPolicy({ cancellationPolicy: 'flexible' });
+
+      expect(type).toBe('flexible');
+      expect(rules).toEqual([
+        'Full refund if cancelled at least 2 hours before departure',
+        '50% refund if cancelled before departure',
+        'No refund after that',
+        'Full refund if the driver cancels',
+      ]);
+    });
+  });
+
+  describe('POST /api/payments/refund', () => {
+    const { auth, firestore, database } = getLocalStores();
+    const as = (uid) => ({ Authorization: `Bearer ${auth.createIdToken(uid, { email: `${uid}@example.com` })}` });
+    const pad = (value) => String(value).padStart(2, '0');
+
+    beforeEach(async () => {
+      resetLocalStores();
+      jest.restoreAllMocks();
+
+      // A strict ride leaving in an hour: passengers get nothing back
+      const departure = new Date(Date.now() + 60 * 60 * 1000);
+      await firestore.collection('rides').doc('ride_1').set({
+        id: 'ride_1',
+        driverId: 'driver_1',
+        departureDate: `${departure.getFullYear()}-${pad(departure.getMonth() + 1)}-${pad(departure.getDate())}`,
+        departureTime: `${pad(departure.getHours())}:${pad(departure.getMinutes())}`,
+        bookingPolicy: { cancellationPolicy: 'strict' },
+      });
+      await firestore.collection('bookings').doc('booking_1').set({
+        id: 'booking_1',
+        rideId: 'ride_1',
+        passengerId: 'passenger_1',
+        driverId: 'driver_1',
+        status: 'confirmed',
+      });
+      await database.ref('payments/pay_1').set({
+        bookingId: 'booking_1',
+        userId: 'passenger_1',
+        rideId: 'ride_1',
+        amount: 500,
+        gateway: 'wallet',
+        status: 'completed',
+      });
+    });
+
+    it('should refund a booking the driver already cancelled in full without counting the cancellation again', async () => {
+      await database.ref('bookings/booking_1').set({
+        rideId: 'ride_1',
+        passengerId: 'passenger_1',
+        driverId: 'driver_1',
+        status: 'cancelled',
+        cancelledBy: 'driver',
+      });
+      const updateUserStats = jest.spyOn(BookingService, 'updateUserStats');
+
+      const response = await request(app)
+        .post('/api/payments/refund')
+        .set(as('driver_1'))
+        .send({ paymentId: 'pay_1' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ refundAmount: 500, refundType: 'full', destination: 'wallet' });
+      expect(updateUserStats).not.toHaveBeenCalled();
+      expect(await Booking.findById('booking_1')).toMatchObject({ status: 'cancelled', cancelledBy: 'driver' });
+    });
+
+    it('should count a cancellation against the driver once when the driver refunds an active booking', async () => {
+      const updateUserStats = jest.spyOn(BookingService, 'updateUserStats');
+
+      const response = await request(app)
+        .post('/api/payments/refund')
+        .set(as('driver_1'))
+        .send({ paymentId: 'pay_1' })
+        .expect(200);
+
+      expect(response.body.data.refundAmount).toBe(500);
+      expect(updateUserStats).toHaveBeenCalledTimes(1);
+      expect(updateUserStats).toHaveBeenCalledWith('driver_1', 'booking_cancelled_by_driver', expect.any(Object));
+      expect(await Booking.findById('booking_1')).toMatchObject({ cancelledBy: 'driver' });
+    });
+  });
+});
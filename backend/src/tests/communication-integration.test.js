@@ -1,46 +1,19 @@
 const request = require('supertest');
-const admin = require('firebase-admin');
 const app = require('../server');
+const { getLocalStores, resetLocalStores } = require('../config/local');
 const MessagingService = require('../services/messagingService');
 
-// Mock Firebase Admin
-jest.mock('firebase-admin', () => ({
-  apps: [],
-  initializeApp: jest.fn(),
-  auth: () => ({
-    verifyIdToken: jest.fn()
-  }),
-  database: () => ({
-    ref: jest.fn(() => ({
-      once: jest.fn(),
-      push: jest.fn(() => ({
-        key: 'mock-key',
-        set: jest.fn()
-      })),
-      set: jest.fn(),
-      update: jest.fn(),
-      child: jest.fn(() => ({
-        remove: jest.fn()
-      }))
-    }))
-  })
-}));
-
-// Mock MessagingService
-jest.mock('../services/messagingService');
-
 describe('Communication Integration with Booking Flow', () => {
-  let mockToken;
-  let mockUser;
+  const { auth, database } = getLocalStores();
+  let passengerToken;
+  let driverToken;
   let mockBooking;
 
-  beforeEach(() => {
-    jest.clearAllMocks();
-    
-    mockUser = {
-      uid: 'test-user-123',
-      email: 'test@example.com'
-    };
+  const bookingValue = async () => (await database.ref(`bookings/${mockBooking.id}`).once('value')).val();
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    resetLocalStores();
 
     mockBooking = {
       id: 'booking-123',
@@ -54,65 +27,38 @@ describe('Communication Integration with Booking Flow', () => {
       }
     };
 
-    mockToken = 'mock-firebase-token';
-
-    // Mock Firebase auth verification
-    admin.auth().verifyIdToken.mockResolvedValue(mockUser);
-
-    // Mock Firebase database operations
-    const mockRef = {
-      once: jest.fn().mockResolvedValue({
-        exists: () => true,
-        val: () => mockBooking
-      }),
-      set: jest.fn().mockResolvedValue(),
-      update: jest.fn().mockResolvedValue(),
-      push: jest.fn(() => ({
-        key: 'mock-key',
-        set: jest.fn().mockResolvedValue()
-      })),
-      child: jest.fn(() => ({
-        remove: jest.fn().mockResolvedValue()
-      }))
-    };
+    passengerToken = auth.createIdToken(mockBooking.passengerId, { email: 'passenger@example.com' });
+    driverToken = auth.createIdToken(mockBooking.driverId, { email: 'driver@example.com' });
 
-    admin.database().ref.mockReturnValue(mockRef);
+    await database.ref(`bookings/${mockBooking.id}`).set(mockBooking);
   });
 
   describe('POST /api/bookings/:id/emergency', () => {
     it('should send emergency message successfully', async () => {
-      MessagingService.sendEmergencyMessage.mockResolvedValue({
-        id: 'message-123',
-        content: 'Emergency message',
-        type: 'text'
-      });
+      const sendEmergencyMessage = jest.spyOn(MessagingService, 'sendEmergencyMessage');
 
       const response = await request(app)
         .post('/api/bookings/booking-123/emergency')
-        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Authorization', `Bearer ${passengerToken}`)
         .send({
           emergencyType: 'breakdown'
         });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(MessagingService.sendEmergencyMessage).toHaveBeenCalledWith(
+      expect(sendEmergencyMessage).toHaveBeenCalledWith(
         expect.objectContaining({ id: 'booking-123' }),
-        mockUser.uid,
+        mockBooking.passengerId,
         'breakdown'
       );
     });
 
     it('should send custom emergency message', async () => {
-      MessagingService.sendCustomEmergencyMessage.mockResolvedValue({
-        id: 'message-123',
-        content: 'Custom emergency message',
-        type: 'text'
-      });
+      const sendCustomEmergencyMessage = jest.spyOn(MessagingService, 'sendCustomEmergencyMessage');
 
       const response = await request(app)
         .post('/api/bookings/booking-123/emergency')
-        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Authorization', `Bearer ${passengerToken}`)
         .send({
           emergencyType: 'general',
           customMessage: 'Car broke down, need help'
@@ -120,19 +66,20 @@ describe('Communication Integration with Booking Flow', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(MessagingService.sendCustomEmergencyMessage).toHaveBeenCalled();
+      expect(sendCustomEmergencyMessage).toHaveBeenCalledWith(
+        'booking_booking-123',
+        mockBooking.passengerId,
+        mockBooking.driverId,
+        'Car broke down, need help'
+      );
     });
 
     it('should reject emergency message for inactive booking', async () => {
-      const inactiveBooking = { ...mockBooking, status: 'completed' };
-      admin.database().ref().once.mockResolvedValue({
-        exists: () => true,
-        val: () => inactiveBooking
-      });
+      await database.ref('bookings/booking-123/status').set('completed');
 
       const response = await request(app)
         .post('/api/bookings/booking-123/emergency')
-        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Authorization', `Bearer ${passengerToken}`)
         .send({
           emergencyType: 'breakdown'
         });
@@ -144,7 +91,7 @@ describe('Communication Integration with Booking Flow', () => {
 
   describe('GET /api/bookings/:id/communication', () => {
     it('should get communication details for booking', async () => {
-      const mockUserData = {
+      await database.ref(`users/${mockBooking.driverId}`).set({
         fullName: 'John Doe',
         phone: '+1234567890',
         preferences: {
@@ -154,29 +101,11 @@ describe('Communication Integration with Booking Flow', () => {
         stats: {
           averageResponseTime: '15 minutes'
         }
-      };
-
-      // Mock user data fetch
-      admin.database().ref().once
-        .mockResolvedValueOnce({
-          exists: () => true,
-          val: () => mockBooking
-        })
-        .mockResolvedValueOnce({
-          exists: () => true,
-          val: () => mockUserData
-        });
-
-      MessagingService.getMessagingStats.mockResolvedValue({
-        totalConversations: 5,
-        activeConversations: 2,
-        totalMessages: 50,
-        unreadMessages: 3
       });
 
       const response = await request(app)
         .get('/api/bookings/booking-123/communication')
-        .set('Authorization', `Bearer ${mockToken}`);
+        .set('Authorization', `Bearer ${passengerToken}`);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -185,15 +114,15 @@ describe('Communication Integration with Booking Flow', () => {
       expect(response.body.data).toHaveProperty('emergencyContact');
       expect(response.body.data.emergencyContact).toHaveProperty('name', 'John Doe');
       expect(response.body.data.emergencyContact).toHaveProperty('phone', '+1234567890');
+      expect(response.body.data.communicationPreferences.responseTime).toBe('15 minutes');
     });
 
     it('should deny access for unauthorized user', async () => {
-      const unauthorizedUser = { uid: 'unauthorized-user' };
-      admin.auth().verifyIdToken.mockResolvedValue(unauthorizedUser);
+      const unauthorizedToken = auth.createIdToken('unauthorized-user');
 
       const response = await request(app)
         .get('/api/bookings/booking-123/communication')
-        .set('Authorization', `Bearer ${mockToken}`);
+        .set('Authorization', `Bearer ${unauthorizedToken}`);
 
       expect(response.status).toBe(403);
       expect(response.body.error).toBe('Access denied');
@@ -201,22 +130,13 @@ describe('Communication Integration with Booking Flow', () => {
   });
 
   describe('PUT /api/bookings/:id/trip-status', () => {
-    beforeEach(() => {
-      // Mock user as driver
-      mockUser.uid = mockBooking.driverId;
-      admin.auth().verifyIdToken.mockResolvedValue(mockUser);
-    });
-
     it('should update trip status to started with communication', async () => {
-      MessagingService.sendTripStartedNotification.mockResolvedValue({
-        id: 'message-123',
-        content: 'Trip started',
-        type: 'text'
-      });
+      const handleBookingLifecycleEvent = jest.spyOn(MessagingService, 'handleBookingLifecycleEvent');
+      const sendCustomMessage = jest.spyOn(MessagingService, 'sendCustomMessage');
 
       const response = await request(app)
         .put('/api/bookings/booking-123/trip-status')
-        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Authorization', `Bearer ${driverToken}`)
         .send({
           status: 'started',
           estimatedArrival: '2:30 PM',
@@ -225,42 +145,44 @@ describe('Communication Integration with Booking Flow', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(MessagingService.sendTripStartedNotification).toHaveBeenCalled();
-      expect(MessagingService.sendCustomMessage).toHaveBeenCalledWith(
+      expect(handleBookingLifecycleEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'booking-123', tripStatus: 'started' }),
+        'trip_started',
+        { estimatedArrival: '2:30 PM' }
+      );
+      expect(sendCustomMessage).toHaveBeenCalledWith(
         'booking_booking-123',
-        mockUser.uid,
+        mockBooking.driverId,
         mockBooking.passengerId,
         'On our way!'
       );
+      expect(await bookingValue()).toMatchObject({ tripStatus: 'started', status: 'confirmed' });
     });
 
     it('should update trip status to completed', async () => {
-      MessagingService.sendTripCompletedNotification.mockResolvedValue({
-        id: 'message-123',
-        content: 'Trip completed',
-        type: 'text'
-      });
+      const handleBookingLifecycleEvent = jest.spyOn(MessagingService, 'handleBookingLifecycleEvent');
+      await database.ref('bookings/booking-123/boarding').set({ boardedAt: new Date().toISOString(), method: 'pin' });
 
       const response = await request(app)
         .put('/api/bookings/booking-123/trip-status')
-        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Authorization', `Bearer ${driverToken}`)
         .send({
           status: 'completed'
         });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(MessagingService.sendTripCompletedNotification).toHaveBeenCalled();
+      expect(handleBookingLifecycleEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'booking-123' }),
+        'trip_completed'
+      );
+      expect(await bookingValue()).toMatchObject({ tripStatus: 'completed', status: 'completed' });
     });
 
     it('should reject trip status update from passenger', async () => {
-      // Mock user as passenger
-      mockUser.uid = mockBooking.passengerId;
-      admin.auth().verifyIdToken.mockResolvedValue(mockUser);
-
       const response = await request(app)
         .put('/api/bookings/booking-123/trip-status')
-        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Authorization', `Bearer ${passengerToken}`)
         .send({
           status: 'started'
         });
@@ -272,15 +194,11 @@ describe('Communication Integration with Booking Flow', () => {
 
   describe('POST /api/bookings/:id/share-location', () => {
     it('should share location successfully', async () => {
-      MessagingService.sendLocationMessage.mockResolvedValue({
-        id: 'message-123',
-        content: 'Location shared',
-        type: 'location'
-      });
+      const sendLocationMessage = jest.spyOn(MessagingService, 'sendLocationMessage');
 
       const response = await request(app)
         .post('/api/bookings/booking-123/share-location')
-        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Authorization', `Bearer ${passengerToken}`)
         .send({
           latitude: 40.7128,
           longitude: -74.0060,
@@ -290,10 +208,11 @@ describe('Communication Integration with Booking Flow', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(MessagingService.sendLocationMessage).toHaveBeenCalledWith(
+      expect(response.body.data.type).toBe('location');
+      expect(sendLocationMessage).toHaveBeenCalledWith(
         'booking_booking-123',
-        mockUser.uid,
-        expect.any(String),
+        mockBooking.passengerId,
+        mockBooking.driverId,
         {
           latitude: 40.7128,
           longitude: -74.0060,
@@ -306,7 +225,7 @@ describe('Communication Integration with Booking Flow', () => {
     it('should validate location coordinates', async () => {
       const response = await request(app)
         .post('/api/bookings/booking-123/share-location')
-        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Authorization', `Bearer ${passengerToken}`)
         .send({
           latitude: 'invalid',
           longitude: -74.0060
@@ -318,6 +237,8 @@ describe('Communication Integration with Booking Flow', () => {
   });
 
   describe('Communication Preferences', () => {
+    const preferencesRef = () => database.ref(`users/${mockBooking.passengerId}/communicationPreferences`);
+
     describe('GET /api/communication/preferences', () => {
       it('should get user communication preferences', async () => {
         const mockPreferences = {
@@ -326,14 +247,11 @@ describe('Communication Integration with Booking Flow', () => {
           allowLocationSharing: true,
           autoResponseEnabled: false
         };
-
-        admin.database().ref().once.mockResolvedValue({
-          val: () => mockPreferences
-        });
+        await preferencesRef().set(mockPreferences);
 
         const response = await request(app)
           .get('/api/communication/preferences')
-          .set('Authorization', `Bearer ${mockToken}`);
+          .set('Authorization', `Bearer ${passengerToken}`);
 
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
@@ -341,34 +259,27 @@ describe('Communication Integration with Booking Flow', () => {
       });
 
       it('should initialize default preferences if none exist', async () => {
-        admin.database().ref().once.mockResolvedValue({
-          val: () => null
-        });
-
-        MessagingService.initializeCommunicationPreferences.mockResolvedValue({
-          allowCalls: true,
-          allowMessages: true,
-          allowLocationSharing: true,
-          autoResponseEnabled: false
-        });
+        const initializeCommunicationPreferences = jest.spyOn(MessagingService, 'initializeCommunicationPreferences');
 
         const response = await request(app)
           .get('/api/communication/preferences')
-          .set('Authorization', `Bearer ${mockToken}`);
+          .set('Authorization', `Bearer ${passengerToken}`);
 
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
-        expect(MessagingService.initializeCommunicationPreferences).toHaveBeenCalled();
+        expect(initializeCommunicationPreferences).toHaveBeenCalledWith(mockBooking.passengerId);
+        expect((await preferencesRef().once('value')).val()).toMatchObject({ allowCalls: true, autoResponseEnabled: false });
       });
     });
 
     describe('PUT /api/communication/preferences', () => {
       it('should update communication preferences', async () => {
-        const currentPreferences = {
+        const updateCommunicationPreferences = jest.spyOn(MessagingService, 'updateCommunicationPreferences');
+        await preferencesRef().set({
           allowCalls: true,
           allowMessages: true,
           allowLocationSharing: true
-        };
+        });
 
         const updates = {
           allowCalls: false,
@@ -376,24 +287,16 @@ describe('Communication Integration with Booking Flow', () => {
           autoResponseMessage: 'I will respond soon!'
         };
 
-        admin.database().ref().once.mockResolvedValue({
-          val: () => currentPreferences
-        });
-
-        MessagingService.updateCommunicationPreferences.mockResolvedValue({
-          ...currentPreferences,
-          ...updates
-        });
-
         const response = await request(app)
           .put('/api/communication/preferences')
-          .set('Authorization', `Bearer ${mockToken}`)
+          .set('Authorization', `Bearer ${passengerToken}`)
           .send(updates);
 
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
-        expect(response.body.data).toMatchObject(updates);
-        expect(MessagingService.updateCommunicationPreferences).toHaveBeenCalled();
+        expect(response.body.data).toMatchObject({ ...updates, allowMessages: true });
+        expect(updateCommunicationPreferences).toHaveBeenCalled();
+        expect((await preferencesRef().once('value')).val()).toMatchObject(updates);
       });
     });
   });
@@ -401,10 +304,6 @@ describe('Communication Integration with Booking Flow', () => {
   describe('Emergency Contacts', () => {
     describe('POST /api/communication/emergency-contacts', () => {
       it('should add emergency contact', async () => {
-        admin.database().ref().once.mockResolvedValue({
-          val: () => []
-        });
-
         const contactData = {
           name: 'John Emergency',
           phone: '+1234567890',
@@ -414,18 +313,19 @@ describe('Communication Integration with Booking Flow', () => {
 
         const response = await request(app)
           .post('/api/communication/emergency-contacts')
-          .set('Authorization', `Bearer ${mockToken}`)
+          .set('Authorization', `Bearer ${passengerToken}`)
           .send(contactData);
 
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
         expect(response.body.data).toMatchObject(contactData);
+        expect(await MessagingService.getEmergencyContacts(mockBooking.passengerId)).toEqual([response.body.data]);
       });
 
       it('should validate required fields', async () => {
         const response = await request(app)
           .post('/api/communication/emergency-contacts')
-          .set('Authorization', `Bearer ${mockToken}`)
+          .set('Authorization', `Bearer ${passengerToken}`)
           .send({
             name: 'John Emergency'
             // Missing phone and relationship
@@ -436,4 +336,4 @@ describe('Communication Integration with Booking Flow', () => {
       });
     });
   });
-});
\ No newline at end of file
+});
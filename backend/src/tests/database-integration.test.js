@@ -1,53 +1,26 @@
-const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
 const User = require('../models/User');
 const Ride = require('../models/Ride');
 const Booking = require('../models/Booking');
 const Vehicle = require('../models/Vehicle');
 const Payment = require('../models/Payment');
 const Review = require('../models/Review');
+const { resetLocalStores } = require('../config/local');
 
 describe('Database Integration Tests', () => {
-  let mongoServer;
-  let mongoUri;
-
-  beforeAll(async () => {
-    // Start in-memory MongoDB instance
-    mongoServer = await MongoMemoryServer.create();
-    mongoUri = mongoServer.getUri();
-    
-    // Connect to the in-memory database
-    await mongoose.connect(mongoUri);
-  });
-
-  afterAll(async () => {
-    // Clean up and close connections
-    if (mongoose.connection.readyState !== 0) {
-      await mongoose.connection.dropDatabase();
-      await mongoose.connection.close();
-    }
-    await mongoServer.stop();
-  });
-
-  beforeEach(async () => {
-    // Clear all collections before each test
-    if (mongoose.connection.readyState === 1) {
-      const collections = mongoose.connection.collections;
-      for (const key in collections) {
-        await collections[key].deleteMany({});
-      }
-    }
+  beforeEach(() => {
+    // Every test starts from an empty in-memory Firestore
+    resetLocalStores();
   });
 
   describe('User Model Operations', () => {
     test('should create and save a user successfully', async () => {
       const userData = {
-        firebaseUid: 'test-uid-123',
+        uid: 'test-uid-123',
+        email: 'john@example.com',
         profile: {
           name: 'John Doe',
           email: 'john@example.com',
-          phone: '+1234567890',
-          role: 'passenger'
+          phone: '+1234567890'
         },
         verification: {
           email: true,
@@ -56,21 +29,22 @@ describe('Database Integration Tests', () => {
       };
 
       const user = new User(userData);
-      const savedUser = await user.save();
+      await user.save();
+      const savedUser = await User.findByUid(userData.uid);
 
-      expect(savedUser._id).toBeDefined();
-      expect(savedUser.firebaseUid).toBe(userData.firebaseUid);
+      expect(savedUser).not.toBeNull();
+      expect(savedUser.uid).toBe(userData.uid);
       expect(savedUser.profile.name).toBe(userData.profile.name);
       expect(savedUser.profile.email).toBe(userData.profile.email);
+      expect(savedUser.createdAt).toBeDefined();
     });
 
-    test('should enforce unique firebaseUid constraint', async () => {
+    test('should keep a single user per uid', async () => {
       const userData = {
-        firebaseUid: 'duplicate-uid',
+        uid: 'duplicate-uid',
         profile: {
           name: 'User 1',
-          email: 'user1@example.com',
-          role: 'passenger'
+          email: 'user1@example.com'
         }
       };
 
@@ -81,13 +55,16 @@ describe('Database Integration Tests', () => {
         ...userData,
         profile: { ...userData.profile, name: 'User 2', email: 'user2@example.com' }
       });
+      await user2.save();
 
-      await expect(user2.save()).rejects.toThrow();
+      const user = await User.findByUid('duplicate-uid');
+      expect(user.profile.name).toBe('User 2');
+      expect(await User.findByEmail('user1@example.com')).toBeNull();
     });
 
     test('should validate required fields', async () => {
       const invalidUser = new User({
-        // Missing required firebaseUid
+        // Missing required uid
         profile: {
           name: 'Test User'
         }
@@ -97,14 +74,11 @@ describe('Database Integration Tests', () => {
     });
 
     test('should update user rating correctly', async () => {
-      const user = new User({
-        firebaseUid: 'test-uid',
-        profile: {
-          name: 'Test User',
-          email: 'test@example.com',
-          role: 'both'
-        }
-      });
+      const user = User.fromFirebaseUser({
+        uid: 'test-uid',
+        email: 'test@example.com',
+        displayName: 'Test User'
+      }, { role: 'both' });
 
       await user.save();
 
@@ -116,7 +90,8 @@ describe('Database Integration Tests', () => {
       user.rating.asDriver.average = 4.8;
       user.rating.asDriver.count = 5;
 
-      const updatedUser = await user.save();
+      await user.save();
+      const updatedUser = await User.findByUid('test-uid');
 
       expect(updatedUser.rating.asPassenger.average).toBe(4.5);
       expect(updatedUser.rating.asPassenger.count).toBe(10);
@@ -128,23 +103,23 @@ describe('Database Integration Tests', () => {
   describe('Basic Model Validation Tests', () => {
     test('should validate user model structure', () => {
       const userData = {
-        firebaseUid: 'test-uid',
+        uid: 'test-uid',
+        role: 'passenger',
         profile: {
           name: 'Test User',
-          email: 'test@example.com',
-          role: 'passenger'
+          email: 'test@example.com'
         }
       };
 
       const user = new User(userData);
-      expect(user.firebaseUid).toBe('test-uid');
+      expect(user.uid).toBe('test-uid');
       expect(user.profile.name).toBe('Test User');
-      expect(user.profile.role).toBe('passenger');
+      expect(user.role).toBe('passenger');
     });
 
     test('should validate ride model structure', () => {
       const rideData = {
-        driverId: new mongoose.Types.ObjectId(),
+        driverId: 'driver-123',
         origin: {
           city: 'Mumbai',
           address: 'Bandra West',
@@ -170,9 +145,9 @@ describe('Database Integration Tests', () => {
 
     test('should validate booking model structure', () => {
       const bookingData = {
-        rideId: new mongoose.Types.ObjectId(),
-        passengerId: new mongoose.Types.ObjectId(),
-        driverId: new mongoose.Types.ObjectId(),
+        rideId: 'ride-123',
+        passengerId: 'passenger-123',
+        driverId: 'driver-123',
         seatsBooked: 2,
         pricing: {
           pricePerSeat: 500,
@@ -189,7 +164,7 @@ describe('Database Integration Tests', () => {
 
     test('should validate vehicle model structure', () => {
       const vehicleData = {
-        ownerId: new mongoose.Types.ObjectId(),
+        ownerId: 'driver-123',
         details: {
           make: 'Honda',
           model: 'City',
@@ -209,8 +184,8 @@ describe('Database Integration Tests', () => {
 
     test('should validate payment model structure', () => {
       const paymentData = {
-        userId: new mongoose.Types.ObjectId(),
-        bookingId: new mongoose.Types.ObjectId(),
+        userId: 'passenger-123',
+        bookingId: 'booking-123',
         amount: 525,
         currency: 'INR',
         gateway: 'razorpay',
@@ -226,10 +201,10 @@ describe('Database Integration Tests', () => {
 
     test('should validate review model structure', () => {
       const reviewData = {
-        rideId: new mongoose.Types.ObjectId(),
-        bookingId: new mongoose.Types.ObjectId(),
-        reviewerId: new mongoose.Types.ObjectId(),
-        revieweeId: new mongoose.Types.ObjectId(),
+        rideId: 'ride-123',
+        bookingId: 'booking-123',
+        reviewerId: 'passenger-123',
+        revieweeId: 'driver-123',
         reviewerRole: 'passenger',
         rating: {
           overall: 5,
@@ -249,24 +224,26 @@ describe('Database Integration Tests', () => {
 
   describe('Mock Database Operations', () => {
     test('should simulate user creation and retrieval', async () => {
-      // Since we're having connection issues, let's test the model logic
       const userData = {
-        firebaseUid: 'test-uid-123',
+        uid: 'test-uid-123',
+        email: 'john@example.com',
+        role: 'passenger',
         profile: {
           name: 'John Doe',
-          email: 'john@example.com',
-          role: 'passenger'
+          email: 'john@example.com'
         }
       };
 
       // Test model instantiation
       const user = new User(userData);
-      expect(user.firebaseUid).toBe('test-uid-123');
+      expect(user.uid).toBe('test-uid-123');
       expect(user.profile.name).toBe('John Doe');
       
-      // Test validation
-      const validationError = user.validateSync();
-      expect(validationError).toBeUndefined();
+      // Test the round trip through the store
+      await user.save();
+      const found = await User.findByEmail('john@example.com');
+      expect(found.uid).toBe('test-uid-123');
+      expect(found.role).toBe('passenger');
     });
 
     test('should simulate ride search logic', () => {
@@ -32,6 +32,12 @@ describe('FinancialService', () => {
       expect(platformFee).toBe(100); // 10% of 1000
     });
 
+    it('should take promo discounts out of the platform fee', () => {
+      // ₹900 paid after a ₹100 discount: 10% of ₹1000 less the discount
+      expect(financialService.calculatePlatformFee(900, 100)).toBe(0);
+      expect(financialService.calculatePlatformFee(950, 50)).toBe(50);
+    });
+
     it('should calculate payout processing fee correctly', () => {
       const processingFee = financialService.calculatePayoutProcessingFee(1000);
       expect(processingFee).toBe(20); // 2% of 1000
@@ -70,11 +76,13 @@ describe('FinancialService', () => {
         id: 'booking-1',
         driverId: 'provider-123',
         passengers: 2,
+        confirmedAt: '2024-01-01T09:00:00.000Z',
       },
       {
         id: 'booking-2',
         driverId: 'provider-123',
         passengers: 1,
+        confirmedAt: '2024-01-02T09:00:00.000Z',
       },
     ];
 
@@ -100,6 +108,20 @@ describe('FinancialService', () => {
       expect(earnings.breakdown).toHaveLength(2);
     });
 
+    it('should leave out trips the passenger was not checked in for', async () => {
+      Booking.findById.mockImplementation((bookingId) => Promise.resolve({
+        ...mockBookings.find(b => b.id === bookingId),
+        confirmedAt: '2026-11-02T08:00:00.000Z',
+        boarding: bookingId === 'booking-1' ? { boardedAt: '2026-11-02T08:05:00.000Z' } : null,
+      }));
+
+      const earnings = await financialService.calculateProviderEarnings('provider-123');
+
+      expect(earnings.summary.totalEarnings).toBe(450);
+      expect(earnings.summary.totalRides).toBe(1);
+      expect(earnings.breakdown.map(entry => entry.bookingId)).toEqual(['booking-1']);
+    });
+
     it('should filter earnings by date range', async () => {
       const startDate = '2024-01-02T00:00:00.000Z';
       const endDate = '2024-01-02T23:59:59.000Z';
@@ -149,7 +171,8 @@ describe('FinancialService', () => {
 
       expect(balance.totalEarnings).toBe(1000);
       expect(balance.pendingPayouts).toBe(300); // 200 + 100 (pending + processing)
-      expect(balance.availableBalance).toBe(700); // 1000 - 300
+      expect(balance.paidOut).toBe(300); // completed
+      expect(balance.availableBalance).toBe(400); // 1000 - 300 - 300
     });
 
     it('should not allow negative available balance', async () => {
@@ -0,0 +1,146 @@
+process.env.BACKEND_MODE = 'local';
+
+const request = require('supertest');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+
+const app = require('../server');
+
+describe('Idempotency keys', () => {
+  const { auth, firestore, database } = getLocalStores();
+  const driverToken = auth.createIdToken('driver_1', { email: 'driver@example.com', name: 'Ravi Driver' });
+  const passengerToken = auth.createIdToken('passenger_1', { email: 'passenger@example.com', name: 'Asha Passenger' });
+  const as = (token, key) => ({ Authorization: `Bearer ${token}`, ...(key ? { 'Idempotency-Key': key } : {}) });
+
+  const publishRide = async () => {
+    await request(app).put('/api/auth/role').set(as(driverToken)).send({ role: 'provider' }).expect(200);
+
+    const vehicle = await request(app)
+      .post('/api/vehicles')
+      .set(as(driverToken))
+      .send({ details: { make: 'Maruti', model: 'Ertiga', year: 2022, color: 'White', licensePlate: 'MH12AB1234', seats: 6 } })
+      .expect(201);
+    await firestore.collection('vehicles').doc(vehicle.body.data.id).update({ status: 'active' });
+
+    const ride = await request(app)
+      .post('/api/rides')
+      .set(as(driverToken))
+      .send({
+        origin: { city: 'Mumbai', address: 'Mumbai Central' },
+        destination: { city: 'Pune', address: 'Swargate' },
+        departureDate: '2030-01-15',
+        departureTime: '09:00',
+        totalSeats: 4,
+        pricePerSeat: 450,
+        vehicleId: vehicle.body.data.id,
+        preferences: { instantBooking: true },
+      })
+      .expect(201);
+    return ride.body.data;
+  };
+
+  const bookingCount = async () => (await database.ref('bookings').once('value')).numChildren();
+
+  beforeEach(() => {
+    resetLocalStores();
+  });
+
+  it('should replay the original booking when a request is retried with the same key', async () => {
+    const ride = await publishRide();
+
+    const first = await request(app)
+      .post('/api/bookings')
+      .set(as(passengerToken, 'booking-retry-1'))
+      .send({ rideId: ride.id, seatsBooked: 2 })
+      .expect(201);
+    const retry = await request(app)
+      .post('/api/bookings')
+      .set(as(passengerToken, 'booking-retry-1'))
+      .send({ seatsBooked: 2, rideId: ride.id })
+      .expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(await bookingCount()).toBe(1);
+  });
+
+  it('should reject a key reused with a different payload', async () => {
+    const ride = await publishRide();
+
+    await request(app)
+      .post('/api/bookings')
+      .set(as(passengerToken, 'booking-retry-2'))
+      .send({ rideId: ride.id, seatsBooked: 1 })
+      .expect(201);
+    const reused = await request(app)
+      .post('/api/bookings')
+      .set(as(passengerToken, 'booking-retry-2'))
+      .send({ rideId: ride.id, seatsBooked: 3 })
+      .expect(409);
+
+    expect(reused.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(await bookingCount()).toBe(1);
+  });
+
+  it('should create one gateway order for retried payment initiations', async () => {
+    const ride = await publishRide();
+    const booking = await request(app)
+      .post('/api/bookings')
+      .set(as(passengerToken))
+      .send({ rideId: ride.id, seatsBooked: 1 })
+      .expect(201);
+    await firestore.collection('bookings').doc(booking.body.data.id).set(booking.body.data);
+
+    const initiate = () => request(app)
+      .post('/api/payments/initiate')
+      .set(as(passengerToken, 'pay-booking-1'))
+      .send({ bookingId: booking.body.data.id, gateway: 'razorpay' })
+      .expect(200);
+    const first = await initiate();
+    const retry = await initiate();
+
+    expect(retry.body.data.orderId).toBe(first.body.data.orderId);
+    expect(retry.body.data.paymentId).toBe(first.body.data.paymentId);
+  });
+
+  it('should scope keys to the user and leave requests without a key alone', async () => {
+    const ride = await publishRide();
+    const otherToken = auth.createIdToken('passenger_2', { email: 'other@example.com' });
+
+    await request(app).post('/api/bookings').set(as(passengerToken, 'shared-key')).send({ rideId: ride.id, seatsBooked: 1 }).expect(201);
+    await request(app).post('/api/bookings').set(as(otherToken, 'shared-key')).send({ rideId: ride.id, seatsBooked: 1 }).expect(201);
+    expect(await bookingCount()).toBe(2);
+
+    const invalid = await request(app)
+      .post('/api/bookings')
+      .set(as(passengerToken, 'k'.repeat(256)))
+      .send({ rideId: ride.id, seatsBooked: 1 })
+      .expect(400);
+    expect(invalid.body.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+
+  it('should keep keys in Firestore when Redis is not available', async () => {
+    let idempotencyService;
+    let db;
+    jest.isolateModules(() => {
+      jest.doMock('../config/redis', () => ({ getRedisClient: () => null }));
+      idempotencyService = require('../services/idempotencyService');
+      db = require('../config/firebase').getFirestore();
+    });
+
+    const scope = idempotencyService.getScope('passenger_1', 'refund/1');
+    const fingerprint = idempotencyService.fingerprint({ method: 'post', path: '/api/payments/refund', body: { paymentId: 'pay_1' } });
+
+    await expect(idempotencyService.begin(scope, fingerprint)).resolves.toEqual({ status: 'claimed' });
+    await expect(idempotencyService.begin(scope, fingerprint)).resolves.toEqual({ status: 'in_progress' });
+
+    await idempotencyService.complete(scope, fingerprint, { statusCode: 200, body: { success: true } });
+    await expect(idempotencyService.begin(scope, fingerprint)).resolves.toEqual({
+      status: 'replay',
+      response: { statusCode: 200, body: { success: true } },
+    });
+    await expect(idempotencyService.begin(scope, 'other')).resolves.toEqual({ status: 'mismatch' });
+    expect((await db.collection('idempotencyKeys').get()).size).toBe(1);
+
+    jest.dontMock('../config/redis');
+  });
+});
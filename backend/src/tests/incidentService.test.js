@@ -0,0 +1,209 @@
+process.env.BACKEND_MODE = 'local';
+process.env.SOS_ESCALATION_CONTACTS = '+919800000099, safety@tripo.test';
+
+const request = require('supertest');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+
+const app = require('../server');
+const NotificationService = require('../services/notificationService');
+const MessagingService = require('../services/messagingService');
+const IncidentService = require('../services/incidentService');
+const OutboxNotification = require('../models/OutboxNotification');
+const adminAuthService = require('../services/adminAuthService');
+const { generateAdminToken } = require('../admin/middleware');
+
+describe('SOS incidents', () => {
+  const { auth, firestore, database } = getLocalStores();
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+  const booking = { id: 'booking_1', rideId: 'ride_1', passengerId: 'passenger_1', driverId: 'driver_1', status: 'confirmed' };
+  const raisedAt = new Date('2030-01-15T09:00:00Z');
+  let sms;
+
+  const seedTrip = async () => {
+    await database.ref('rides/ride_1').set({
+      driverId: 'driver_1',
+      origin: { city: 'Pune' },
+      destination: { city: 'Mumbai' },
+      departureDate: '2030-01-15',
+      departureTime: '08:00',
+      status: 'in_progress',
+      vehicle: { make: 'Maruti', model: 'Dzire', color: 'White', licensePlate: 'MH12AB1234' },
+    });
+    await database.ref('tripSessions/ride_1').set({
+      driverId: 'driver_1',
+      status: 'active',
+      lastLocation: { lat: 18.75, lng: 73.41 },
+      lastPingAt: '2030-01-15T08:58:00.000Z',
+    });
+    await database.ref('bookings/booking_1').set(booking);
+    await database.ref('bookings/booking_2').set({ rideId: 'ride_1', passengerId: 'passenger_2', driverId: 'driver_1', status: 'confirmed' });
+    await database.ref('bookings/booking_3').set({ rideId: 'ride_1', passengerId: 'passenger_3', driverId: 'driver_1', status: 'cancelled' });
+    await database.ref('users/passenger_1/emergencyContacts').set([
+      { id: 'contact_1', name: 'Kavya', phone: '+919800000002', email: 'kavya@example.com', isPrimary: true },
+    ]);
+
+    await firestore.collection('bookings').doc('booking_1').set({ ...booking });
+    await firestore.collection('users').doc('passenger_1').set({ uid: 'passenger_1', displayName: 'Asha', phoneNumber: '+919800000001' });
+    await firestore.collection('users').doc('passenger_2').set({ uid: 'passenger_2', displayName: 'Rohan' });
+    await firestore.collection('users').doc('driver_1').set({ uid: 'driver_1', displayName: 'Vikram', phoneNumber: '+919800000010' });
+  };
+
+  const adminHeaders = async (username, role) => {
+    const admin = await adminAuthService.createAdmin({ username, password: 'correct-horse', role }, 'root');
+    return { Authorization: `Bearer ${generateAdminToken(admin)}` };
+  };
+
+  beforeEach(async () => {
+    resetLocalStores();
+    jest.restoreAllMocks();
+    sms = jest.fn().mockResolvedValue({ sid: 'SM1', status: 'queued' });
+    NotificationService.twilioClient = { messages: { create: sms } };
+    await seedTrip();
+  });
+
+  afterAll(() => {
+    NotificationService.twilioClient = null;
+  });
+
+  it('should snapshot the trip, alert emergency contacts and queue the incident for admins', async () => {
+    const sendEmail = jest.spyOn(NotificationService, 'sendEmail');
+
+    const alert = await MessagingService.sendEmergencyAlert(booking, 'breakdown', {
+      alertPassengerContacts: true,
+      alertDriverContacts: true,
+      triggeredBy: 'passenger_1',
+    });
+    expect(alert).toMatchObject({ bookingId: 'booking_1', alertType: 'breakdown', contactsAlerted: 1 });
+
+    // Kavya hears by SMS and email, with a link to where the car was last seen
+    expect(sms).toHaveBeenCalledTimes(1);
+    expect(sms.mock.calls[0][0].to).toBe('+919800000002');
+    expect(sms.mock.calls[0][0].body).toContain('VEHICLE BREAKDOWN ALERT');
+    expect(sms.mock.calls[0][0].body).toContain('https://maps.google.com/?q=18.75,73.41');
+    expect(sendEmail).toHaveBeenCalledWith('kavya@example.com', '🚗 VEHICLE BREAKDOWN ALERT', expect.any(String), expect.any(String));
+
+    const incident = await IncidentService.getIncident(alert.incidentId);
+    expect(incident).toMatchObject({ status: 'open', triggeredByRole: 'passenger', escalationLevel: 0 });
+    expect(incident.snapshot.vehicle).toEqual({ make: 'Maruti', model: 'Dzire', color: 'White', licensePlate: 'MH12AB1234' });
+    expect(incident.snapshot.driver).toMatchObject({ userId: 'driver_1', name: 'Vikram', phoneNumber: '+919800000010' });
+    expect(incident.snapshot.location).toEqual({ lat: 18.75, lng: 73.41, recordedAt: '2030-01-15T08:58:00.000Z', source: 'tracking' });
+    expect(incident.snapshot.participants.map(person => `${person.role}:${person.userId}`).sort())
+      .toEqual(['driver:driver_1', 'passenger:passenger_1', 'passenger:passenger_2']);
+    expect(incident.contacts[0].deliveries.sms).toMatchObject({ status: 'sent', attempts: 1, messageId: 'SM1' });
+
+    const headers = await adminHeaders('support.meera', 'support');
+    const queue = await request(app).get('/api/admin/incidents').set(headers).expect(200);
+    expect(queue.body.data.incidents.map(entry => entry.id)).toEqual([alert.incidentId]);
+
+    // The passenger can follow their alert; other users can't
+    const passengerToken = auth.createIdToken('passenger_1', { email: 'asha@example.com' });
+    const own = await request(app).get('/api/messages/booking/booking_1/emergency-incidents').set(as(passengerToken)).expect(200);
+    expect(own.body.data[0]).toMatchObject({ id: alert.incidentId, status: 'open', contactsNotified: 1 });
+    expect(own.body.data[0].notes).toBeUndefined();
+    await request(app)
+      .get('/api/messages/booking/booking_1/emergency-incidents')
+      .set(as(auth.createIdToken('passenger_2', { email: 'rohan@example.com' })))
+      .expect(403);
+  });
+
+  it('should escalate incidents nobody acknowledges and retry contacts that were not reached', async () => {
+    sms.mockRejectedValueOnce(new Error('Service unavailable'));
+    const incident = await IncidentService.openIncident(booking, 'passenger_1', { type: 'accident' }, raisedAt);
+    expect(incident.contacts[0].deliveries.sms).toMatchObject({ status: 'failed', attempts: 1, lastError: 'Service unavailable' });
+
+    expect(await IncidentService.processEscalations(minutesAfter(raisedAt, 4))).toBe(0);
+    expect(await IncidentService.processEscalations(minutesAfter(raisedAt, 5))).toBe(1);
+
+    const escalated = await IncidentService.getIncident(incident.id);
+    expect(escalated.escalationLevel).toBe(1);
+    expect(escalated.nextEscalationAt).toBe(minutesAfter(raisedAt, 10).toISOString());
+    expect(escalated.contacts[0].deliveries.sms).toMatchObject({ status: 'sent', attempts: 2 });
+
+    // On-call by SMS, then Kavya again
+    expect(sms.mock.calls.map(([options]) => options.to)).toEqual(['+919800000002', '+919800000099', '+919800000002']);
+    expect(sms.mock.calls[1][0].body).toContain('Not acknowledged within 5 minutes');
+    expect(sms.mock.calls[1][0].body).toContain('MH12AB1234');
+    expect(escalated.timeline.map(step => step.event)).toEqual(expect.arrayContaining(['escalated', 'on_call_alerted', 'contact_alerted']));
+
+    // Acknowledging switches to the follow-up timer, which notes restart
+    const acknowledgedAt = minutesAfter(raisedAt, 7);
+    await IncidentService.acknowledge(incident.id, 'ops.ravi', null, acknowledgedAt);
+    await IncidentService.addNote(incident.id, 'ops.ravi', 'Driver reached by phone', minutesAfter(acknowledgedAt, 20));
+    expect(await IncidentService.processEscalations(minutesAfter(acknowledgedAt, 45))).toBe(0);
+    expect(await IncidentService.processEscalations(minutesAfter(acknowledgedAt, 50))).toBe(1);
+
+    // Escalation stops at the last level
+    await IncidentService.processEscalations(minutesAfter(acknowledgedAt, 80));
+    const capped = await IncidentService.getIncident(incident.id);
+    expect(capped.escalationLevel).toBe(3);
+    expect(capped.nextEscalationAt).toBeNull();
+    expect(await IncidentService.processEscalations(minutesAfter(acknowledgedAt, 200))).toBe(0);
+  });
+
+  it('should let admins acknowledge, annotate and resolve an incident, keeping the traveller informed', async () => {
+    const incident = await IncidentService.openIncident(booking, 'passenger_1', { type: 'trip_emergency' });
+    const support = await adminHeaders('support.meera', 'support');
+    const readOnly = await adminHeaders('viewer.sam', 'read_only');
+
+    await request(app).get(`/api/admin/incidents/${incident.id}`).set(readOnly).expect(200);
+    await request(app).post(`/api/admin/incidents/${incident.id}/acknowledge`).set(readOnly).send({}).expect(403);
+    await request(app).get('/api/admin/incidents/missing').set(support).expect(404);
+
+    const acknowledged = await request(app)
+      .post(`/api/admin/incidents/${incident.id}/acknowledge`)
+      .set(support)
+      .send({ note: 'Calling the passenger' })
+      .expect(200);
+    expect(acknowledged.body.data).toMatchObject({ status: 'acknowledged', acknowledgement: { by: 'support.meera' } });
+    await request(app).post(`/api/admin/incidents/${incident.id}/acknowledge`).set(support).send({}).expect(400);
+
+    await request(app).post(`/api/admin/incidents/${incident.id}/notes`).set(support).send({}).expect(400);
+    await request(app)
+      .post(`/api/admin/incidents/${incident.id}/notes`)
+      .set(support)
+      .send({ text: 'Passenger is safe, waiting for a replacement car' })
+      .expect(201);
+    await request(app)
+      .post(`/api/admin/incidents/${incident.id}/escalate`)
+      .set(support)
+      .send({ reason: 'Replacement car is delayed' })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/admin/incidents/${incident.id}/resolve`)
+      .set(support)
+      .send({ outcome: 'unknown', summary: 'Done' })
+      .expect(400);
+    const resolved = await request(app)
+      .post(`/api/admin/incidents/${incident.id}/resolve`)
+      .set(support)
+      .send({ outcome: 'assisted', summary: 'Replacement car took the passenger to Mumbai' })
+      .expect(200);
+    expect(resolved.body.data).toMatchObject({
+      status: 'resolved',
+      nextEscalationAt: null,
+      resolution: { outcome: 'assisted', resolvedBy: 'support.meera' },
+    });
+    await request(app).post(`/api/admin/incidents/${incident.id}/notes`).set(support).send({ text: 'Late note' }).expect(400);
+
+    const stored = await IncidentService.getIncident(incident.id);
+    expect(stored.notes.map(note => note.text)).toEqual(['Calling the passenger', 'Passenger is safe, waiting for a replacement car']);
+    expect(stored.timeline.filter(step => step.actor === 'support.meera').map(step => step.event))
+      .toEqual(['acknowledged', 'note_added', 'note_added', 'escalated', 'resolved']);
+
+    const queue = await request(app).get('/api/admin/incidents').set(support).expect(200);
+    expect(queue.body.data.total).toBe(0);
+
+    const updates = await OutboxNotification.findRecent({ userId: 'passenger_1' });
+    expect(updates.map(update => update.type).sort()).toEqual(['sos_acknowledged', 'sos_resolved']);
+    expect(updates.every(update => update.priority === 'critical')).toBe(true);
+
+    const audit = await adminAuthService.getAuditLog();
+    expect(audit.map(entry => entry.action)).toEqual(expect.arrayContaining([
+      'POST /api/admin/incidents/:id/acknowledge',
+      'POST /api/admin/incidents/:id/resolve',
+    ]));
+  });
+});
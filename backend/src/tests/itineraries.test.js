@@ -0,0 +1,248 @@
+const mockStore = {};
+
+// Minimal in-memory Realtime Database supporting the calls the itinerary code makes
+jest.mock('../config/firebase', () => {
+  let counter = 0;
+
+  const read = (path) => path.split('/').reduce(
+    (node, key) => (node && node[key] !== undefined ? node[key] : null),
+    mockStore
+  );
+
+  const write = (path, value) => {
+    const keys = path.split('/');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, mockStore);
+    parent[last] = value;
+  };
+
+  const clone = value => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+  const snapshot = value => ({ val: () => value, exists: () => value !== null });
+
+  const ref = (path) => ({
+    once: async () => snapshot(clone(read(path))),
+    push: () => ({ key: `key_${++counter}` }),
+    update: async (value) => {
+      // Root updates are multi-path
+      if (!path) {
+        Object.entries(clone(value)).forEach(([childPath, childValue]) => write(childPath, childValue));
+        return;
+      }
+      write(path, { ...(read(path) || {}), ...clone(value) });
+    },
+    transaction: async (updateFn) => {
+      const result = updateFn(clone(read(path)));
+      if (result === undefined) {
+        return { committed: false, snapshot: snapshot(clone(read(path))) };
+      }
+      write(path, clone(result));
+      return { committed: true, snapshot: snapshot(clone(result)) };
+    },
+  });
+
+  return { getDatabase: () => ({ ref }) };
+});
+
+jest.mock('../config/redis', () => ({ getRedisClient: jest.fn().mockRejectedValue(new Error('Redis disabled in tests')) }));
+jest.mock('../services/cacheService', () => ({
+  getCachedSearchResults: jest.fn().mockResolvedValue(null),
+  cacheSearchResults: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../models/Ride', () => ({ search: jest.fn() }));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const segments = require('../utils/segments');
+const itineraries = require('../utils/itineraries');
+const itineraryService = require('../services/itineraryService');
+const searchService = require('../services/searchService');
+const Ride = require('../models/Ride');
+
+describe('Connecting itineraries', () => {
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  // Mumbai → Thane → Lonavala, 08:00 – 10:00 (no coordinates, so an hour per segment)
+  const buildFeeder = (overrides = {}) => ({
+    id: 'feeder',
+    driverId: 'driver-1',
+    status: 'published',
+    origin: { city: 'Mumbai' },
+    destination: { city: 'Lonavala' },
+    departureDate: tomorrow,
+    departureTime: '08:00',
+    arrivalTime: '10:00',
+    pricePerSeat: 300,
+    totalSeats: 3,
+    availableSeats: 3,
+    routeStops: segments.buildRouteStops({ name: 'Mumbai', city: 'Mumbai' }, [{ name: 'Thane' }], { name: 'Lonavala', city: 'Lonavala' }),
+    segmentSeats: [3, 3],
+    ...overrides,
+  });
+
+  // Lonavala → Pune without stop data
+  const buildConnection = (id, departureTime, overrides = {}) => ({
+    id,
+    driverId: `driver-${id}`,
+    status: 'published',
+    origin: { city: 'Lonavala' },
+    destination: { city: 'Pune' },
+    departureDate: tomorrow,
+    departureTime,
+    arrivalTime: '23:00',
+    pricePerSeat: 200,
+    totalSeats: 2,
+    availableSeats: 2,
+    ...overrides,
+  });
+
+  const legFor = (ride, pickup, dropoff) =>
+    itineraries.describeLeg(ride, segments.planSegmentBooking(ride, pickup, dropoff, 1));
+
+  describe('timing and connections', () => {
+    it('should estimate stop times along the ride', () => {
+      const leg = legFor(buildFeeder(), 'Thane', 'Lonavala');
+      expect(new Date(leg.departureAt)).toEqual(new Date(`${tomorrow}T09:00`));
+      expect(new Date(leg.arrivalAt)).toEqual(new Date(`${tomorrow}T10:00`));
+      expect(leg.durationMinutes).toBe(60);
+    });
+
+    it('should fall back to the route estimate, then an hour per segment, without an arrival time', () => {
+      const ride = buildFeeder({ arrivalTime: null, route: { estimatedDuration: 90 } });
+      expect(itineraries.getRideDurationMinutes(ride)).toBe(90);
+      expect(itineraries.getRideDurationMinutes({ ...ride, route: null })).toBe(120);
+    });
+
+    it('should enforce the layover window', () => {
+      const arriving = legFor(buildFeeder(), 'Mumbai', 'Lonavala');
+
+      expect(itineraries.checkConnection(arriving, legFor(buildConnection('ok', '10:30'), null, null))).toBeNull();
+      expect(itineraries.checkConnection(arriving, legFor(buildConnection('tight', '10:05'), null, null)))
+        .toBe('Layover at Lonavala is shorter than 15 minutes');
+      expect(itineraries.checkConnection(arriving, legFor(buildConnection('late', '18:00'), null, null)))
+        .toBe('Layover at Lonavala is longer than 240 minutes');
+      expect(itineraries.checkConnection(arriving, legFor(buildConnection('tight', '10:05'), null, null), { minLayoverMinutes: 5 }))
+        .toBeNull();
+    });
+
+    it('should reject legs that do not meet at the same stop', () => {
+      const arriving = legFor(buildFeeder(), 'Mumbai', 'Thane');
+      expect(itineraries.checkConnection(arriving, legFor(buildConnection('ok', '10:30'), null, null)))
+        .toBe('Leg to Thane does not connect with leg from Lonavala');
+    });
+
+    it('should combine price, seats and total travel time', () => {
+      const itinerary = itineraries.summarizeItinerary([
+        legFor(buildFeeder(), 'Mumbai', 'Lonavala'),
+        legFor(buildConnection('ok', '10:30', { availableSeats: 1 }), null, null),
+      ]);
+
+      expect(itinerary.pricePerSeat).toBe(500);
+      expect(itinerary.availableSeats).toBe(1);
+      expect(itinerary.layovers).toEqual([{ at: 'Lonavala', minutes: 30 }]);
+      expect(itinerary.totalTravelMinutes).toBe(15 * 60); // 08:00 until 23:00
+      expect(itinerary.id).toBe('feeder:0-2|ok:0-1');
+    });
+  });
+
+  describe('SearchService.findConnectingItineraries', () => {
+    const withMethods = ride => ({ ...ride, getRouteStops: () => segments.getRouteStops(ride) });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      const rides = [
+        buildFeeder(),
+        buildConnection('ok', '10:30'),
+        buildConnection('tight', '10:05'),
+        buildConnection('full', '11:00', { availableSeats: 0 }),
+      ].map(withMethods);
+
+      Ride.search.mockImplementation(async (filters) => rides.filter(ride => (
+        filters.originCity
+          ? ride.origin.city === filters.originCity
+          : segments.getRouteStops(ride).some(stop => segments.normalizeStopKey(stop.name) === segments.normalizeStopKey(filters.viaStop))
+      )));
+    });
+
+    it('should return only connections with a valid layover and free seats', async () => {
+      const results = await searchService.findConnectingItineraries({
+        originCity: 'Mumbai',
+        destinationCity: 'Pune',
+        departureDate: tomorrow,
+      });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].legs.map(leg => leg.rideId)).toEqual(['feeder', 'ok']);
+      expect(results[0].pricePerSeat).toBe(500);
+    });
+
+    it('should need both origin and destination', async () => {
+      await expect(searchService.findConnectingItineraries({ originCity: 'Mumbai' })).resolves.toEqual([]);
+      expect(Ride.search).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ItineraryService.bookItinerary', () => {
+    const request = {
+      seatsBooked: 2,
+      legs: [
+        { rideId: 'feeder', pickupStopId: 'Thane', dropoffPoint: 'Lonavala' },
+        { rideId: 'ok' },
+      ],
+    };
+
+    beforeEach(() => {
+      Object.keys(mockStore).forEach(key => delete mockStore[key]);
+      mockStore.rides = {
+        feeder: buildFeeder(),
+        ok: buildConnection('ok', '10:30'),
+      };
+    });
+
+    it('should book every leg and hold seats on each ride', async () => {
+      const { itinerary, bookings } = await itineraryService.bookItinerary('passenger-1', request);
+
+      expect(bookings).toHaveLength(2);
+      expect(bookings.every(booking => booking.status === 'confirmed')).toBe(true);
+      expect(bookings[0].itinerary).toEqual({ id: itinerary.id, legIndex: 0, legCount: 2 });
+      expect(itinerary.pricing.totalAmount).toBe((150 + 200) * 2);
+
+      expect(mockStore.rides.feeder.segmentSeats).toEqual([3, 1]);
+      expect(mockStore.rides.ok.availableSeats).toBe(0);
+      expect(mockStore.rides.ok.passengers['passenger-1'].itineraryId).toBe(itinerary.id);
+      expect(Object.keys(mockStore.bookings)).toEqual(itinerary.bookingIds);
+      expect(mockStore.itineraries[itinerary.id].status).toBe('confirmed');
+    });
+
+    it('should undo earlier legs when a later leg sells out', async () => {
+      const planItinerary = itineraryService.planItinerary.bind(itineraryService);
+      jest.spyOn(itineraryService, 'planItinerary').mockImplementationOnce(async (...args) => {
+        const planned = await planItinerary(...args);
+        // Another passenger takes the last seats before this booking reserves them
+        mockStore.rides.ok.availableSeats = 1;
+        return planned;
+      });
+
+      await expect(itineraryService.bookItinerary('passenger-1', request))
+        .rejects.toThrow('Seats on leg 2 are no longer available');
+
+      expect(mockStore.rides.feeder.segmentSeats).toEqual([3, 3]);
+      expect(mockStore.rides.feeder.passengers).toEqual({});
+      expect(mockStore.bookings).toBeUndefined();
+      expect(mockStore.itineraries).toBeUndefined();
+    });
+
+    it('should refuse connections with too short a layover', async () => {
+      mockStore.rides.ok.departureTime = '10:05';
+
+      await expect(itineraryService.bookItinerary('passenger-1', request))
+        .rejects.toThrow('Layover at Lonavala is shorter than 15 minutes');
+      expect(mockStore.rides.feeder.segmentSeats).toEqual([3, 3]);
+    });
+  });
+});
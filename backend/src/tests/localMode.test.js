@@ -0,0 +1,362 @@
+process.env.BACKEND_MODE = 'local';
+
+const request = require('supertest');
+const { getLocalStores, resetLocalStores, applyLocalDefaults } = require('../config/local');
+const { createMemoryAuth } = require('../config/local/memoryAuth');
+const { razorpay, stripe } = require('../config/payment');
+const mapsService = require('../utils/maps');
+const promoService = require('../services/promoService');
+
+const app = require('../server');
+
+describe('Local mode', () => {
+  const { auth, firestore, database, messaging, redis } = getLocalStores();
+  const driverToken = auth.createIdToken('driver_1', { email: 'driver@example.com', name: 'Ravi Driver' });
+  const passengerToken = auth.createIdToken('passenger_1', { email: 'passenger@example.com', name: 'Asha Passenger' });
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+  beforeEach(() => {
+    resetLocalStores();
+  });
+
+  it('should refuse to start in production', () => {
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(() => applyLocalDefaults()).toThrow('BACKEND_MODE=local cannot be used with NODE_ENV=production');
+      expect(() => createMemoryAuth()).toThrow('In-memory Auth cannot be used with NODE_ENV=production');
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  describe('in-memory Firestore', () => {
+    it('should run filtered, ordered and limited queries over stored documents', async () => {
+      const rides = firestore.collection('rides');
+      await rides.doc('ride_1').set({ city: 'Pune', price: 300, departure: new Date('2026-07-02T09:00:00Z') });
+      await rides.doc('ride_2').set({ city: 'Pune', price: 250, departure: new Date('2026-07-01T09:00:00Z') });
+      await rides.doc('ride_3').set({ city: 'Nashik', price: 200, departure: new Date('2026-07-03T09:00:00Z') });
+
+      const snapshot = await rides.where('city', '==', 'Pune').orderBy('price', 'desc').limit(1).get();
+      expect(snapshot.docs.map(doc => doc.id)).toEqual(['ride_1']);
+
+      const upcoming = await rides.where('departure', '>=', new Date('2026-07-02T00:00:00Z')).get();
+      expect(upcoming.size).toBe(2);
+      expect(upcoming.docs[0].data().departure.toDate()).toEqual(new Date('2026-07-02T09:00:00Z'));
+
+      await rides.doc('ride_1').update({ 'stats.views': 3 });
+      await expect(rides.doc('missing').update({ price: 1 })).rejects.toMatchObject({ code: 5 });
+      expect((await rides.doc('ride_1').get()).get('stats.views')).toBe(3);
+    });
+
+    it('should apply transaction writes together', async () => {
+      const wallet = firestore.collection('wallets').doc('passenger_1');
+      await wallet.set({ balance: 100 });
+
+      await Promise.all([1, 2, 3].map(() => firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(wallet);
+        transaction.update(wallet, { balance: doc.data().balance - 10 });
+      })));
+
+      expect((await wallet.get()).data().balance).toBe(70);
+    });
+
+    it('should reject reads after writes in a transaction and documents without an ID', async () => {
+      const wallet = firestore.collection('wallets').doc('passenger_1');
+      await wallet.set({ balance: 100 });
+
+      await expect(firestore.runTransaction(async (transaction) => {
+        transaction.update(wallet, { balance: 90 });
+        await transaction.get(wallet);
+      })).rejects.toThrow('Firestore transactions require all reads to be executed before all writes.');
+      expect((await wallet.get()).data().balance).toBe(100);
+
+      expect(() => firestore.collection('wallets').doc(undefined)).toThrow('not a valid resource path');
+      expect(firestore.collection('wallets').doc().id).toHaveLength(20);
+    });
+  });
+
+  describe('in-memory Realtime Database and Redis', () => {
+    it('should query children and apply multi-path updates', async () => {
+      const first = database.ref('bookings').push({ rideId: 'ride_1', seats: 2 });
+      await first;
+      await database.ref('bookings').push({ rideId: 'ride_2', seats: 1 });
+
+      const snapshot = await database.ref('bookings').orderByChild('rideId').equalTo('ride_1').once('value');
+      expect(Object.values(snapshot.val())).toEqual([{ rideId: 'ride_1', seats: 2 }]);
+
+      await database.ref().update({ [`bookings/${first.key}/seats`]: 3, 'rides/ride_1/availableSeats': 1 });
+      expect((await database.ref(`bookings/${first.key}`).once('value')).val()).toEqual({ rideId: 'ride_1', seats: 3 });
+      expect((await database.ref('rides/ride_1/availableSeats').once('value')).val()).toBe(1);
+    });
+
+    it('should expire keys and deliver pub/sub messages between duplicate clients', async () => {
+      await redis.set('session:passenger_1', 'data', { EX: 60 });
+      expect(await redis.get('session:passenger_1')).toBe('data');
+      expect(await redis.keys('session:*')).toEqual(['session:passenger_1']);
+
+      await redis.expire('session:passenger_1', 0);
+      expect(await redis.get('session:passenger_1')).toBeNull();
+
+      const subscriber = redis.duplicate();
+      const received = new Promise(resolve => subscriber.subscribe('ride-updates', resolve));
+      await redis.publish('ride-updates', 'ride_1');
+      await expect(received).resolves.toBe('ride_1');
+      await subscriber.quit();
+    });
+  });
+
+  describe('in-memory Auth and Cloud Messaging', () => {
+    it('should reject malformed, expired and disabled users\' tokens', async () => {
+      await expect(auth.verifyIdToken('not-a-local-token')).rejects.toMatchObject({ code: 'auth/invalid-id-token' });
+
+      const expired = auth.createIdToken('passenger_1', { exp: Math.floor(Date.now() / 1000) - 60 });
+      await expect(auth.verifyIdToken(expired)).rejects.toMatchObject({ code: 'auth/id-token-expired' });
+
+      await auth.createUser({ uid: 'passenger_1', email: 'passenger@example.com' });
+      await auth.setCustomUserClaims('passenger_1', { admin: true });
+      await expect(auth.verifyIdToken(passengerToken)).resolves.toMatchObject({ uid: 'passenger_1', admin: true });
+
+      await auth.updateUser('passenger_1', { disabled: true });
+      await expect(auth.verifyIdToken(passengerToken)).rejects.toMatchObject({ code: 'auth/user-disabled' });
+    });
+
+    it('should record push messages and fail unregistered device tokens', async () => {
+      const result = await messaging.sendEachForMulticast({
+        tokens: ['device_1', 'invalid_device'],
+        notification: { title: 'Ride reminder' },
+      });
+
+      expect(result).toMatchObject({ successCount: 1, failureCount: 1 });
+      expect(result.responses[1].error.code).toBe('messaging/registration-token-not-registered');
+      expect(messaging.sent).toEqual([
+        expect.objectContaining({ token: 'device_1', notification: { title: 'Ride reminder' } }),
+      ]);
+    });
+  });
+
+  describe('gateways', () => {
+    it('should answer maps requests offline and deterministically', async () => {
+      const geocoded = await mapsService.geocodeAddress('Swargate, Pune');
+      expect(geocoded.coordinates).toEqual({ lat: 18.5018, lng: 73.8636 });
+
+      const route = await mapsService.getRoute({ lat: 18.9690, lng: 72.8205 }, geocoded.coordinates);
+      const again = await mapsService.getRoute({ lat: 18.9690, lng: 72.8205 }, geocoded.coordinates);
+      expect(route).toEqual(again);
+      expect(route.routes[0].distance.value).toBeGreaterThan(150000);
+      expect(mapsService.decodePolyline(route.routes[0].polyline)[1]).toEqual({ lat: 18.5018, lng: 73.8636 });
+    });
+
+    it('should decline Stripe intents confirmed with a declining test card', async () => {
+      const intent = await stripe.paymentIntents.create({ amount: 50000, currency: 'inr' });
+
+      const declined = await stripe.paymentIntents.confirm(intent.id, { payment_method: 'pm_card_chargeDeclined' });
+      expect(declined).toMatchObject({ status: 'requires_payment_method', last_payment_error: { code: 'card_declined' } });
+
+      const paid = await stripe.paymentIntents.confirm(intent.id, { payment_method: 'pm_card_visa' });
+      expect(paid.status).toBe('succeeded');
+    });
+
+    it('should refund captured Razorpay payments up to the amount paid', async () => {
+      const order = await razorpay.orders.create({ amount: 90000, receipt: 'booking_1' });
+      const { razorpay_payment_id: paymentId } = razorpay.completeCheckout(order.id);
+
+      await expect(razorpay.payments.refund(paymentId, { amount: 40000 })).resolves.toMatchObject({ amount: 40000, status: 'processed' });
+      await expect(razorpay.payments.refund(paymentId, { amount: 60000 })).rejects.toThrow('greater than amount captured');
+      await razorpay.payments.refund(paymentId);
+
+      expect(await razorpay.payments.fetch(paymentId)).toMatchObject({ amount_refunded: 90000, refund_status: 'full' });
+    });
+  });
+
+  describe('API', () => {
+    const publishRide = async (departure = { departureDate: '2030-01-15', departureTime: '09:00' }) => {
+      await request(app).put('/api/auth/role').set(as(driverToken)).send({ role: 'provider' }).expect(200);
+
+      const vehicle = await request(app)
+        .post('/api/vehicles')
+        .set(as(driverToken))
+        .send({ details: { make: 'Maruti', model: 'Ertiga', year: 2022, color: 'White', licensePlate: 'MH12AB1234', seats: 6 } })
+        .expect(201);
+      // Stands in for the admin approving the vehicle
+      await firestore.collection('vehicles').doc(vehicle.body.data.id).update({ status: 'active' });
+
+      const ride = await request(app)
+        .post('/api/rides')
+        .set(as(driverToken))
+        .send({
+          origin: { city: 'Mumbai', address: 'Mumbai Central' },
+          destination: { city: 'Pune', address: 'Swargate' },
+          ...departure,
+          totalSeats: 4,
+          pricePerSeat: 450,
+          vehicleId: vehicle.body.data.id,
+          preferences: { instantBooking: true },
+        })
+        .expect(201);
+
+      return ride.body.data;
+    };
+
+    it('should boot and report health with no network access', async () => {
+      const response = await request(app).get('/health').expect(200);
+      expect(response.body.status).toBeDefined();
+    });
+
+    it('should sign a passenger in from a local ID token', async () => {
+      const response = await request(app).get('/api/auth/profile').set(as(passengerToken)).expect(200);
+
+      expect(response.body.data.user).toMatchObject({ uid: 'passenger_1', email: 'passenger@example.com', role: 'passenger' });
+      await request(app).get('/api/auth/profile').set(as('not-a-local-token')).expect(401);
+    });
+
+    it('should publish a ride, book it and pay through the local Razorpay checkout', async () => {
+      const ride = await publishRide();
+
+      const search = await request(app).get('/api/rides').query({ from: 'Mumbai', to: 'Pune' }).expect(200);
+      expect(search.body.data.rides.map(result => result.id)).toContain(ride.id);
+
+      const booking = await request(app)
+        .post('/api/bookings')
+        .set(as(passengerToken))
+        .send({ rideId: ride.id, seatsBooked: 2 })
+        .expect(201);
+      const bookingId = booking.body.data.id;
+      expect(booking.body.data.status).toBe('confirmed');
+      // Payments read bookings from Firestore rather than the Realtime Database
+      await firestore.collection('bookings').doc(bookingId).set(booking.body.data);
+
+      const order = await request(app)
+        .post('/api/payments/initiate')
+        .set(as(passengerToken))
+        .send({ bookingId, gateway: 'razorpay' })
+        .expect(200);
+
+      const checkout = razorpay.completeCheckout(order.body.data.orderId);
+      const verified = await request(app)
+        .post('/api/payments/verify')
+        .set(as(passengerToken))
+        .send({ paymentId: order.body.data.paymentId, gateway: 'razorpay', ...checkout })
+        .expect(200);
+
+      expect(verified.body.data.status).toBe('completed');
+    });
+
+    it('should give the seats back when a passenger cancels a confirmed booking', async () => {
+      const ride = await publishRide();
+      const booking = await request(app)
+        .post('/api/bookings')
+        .set(as(passengerToken))
+        .send({ rideId: ride.id, seatsBooked: 2 })
+        .expect(201);
+      expect((await database.ref(`rides/${ride.id}/availableSeats`).once('value')).val()).toBe(2);
+
+      await request(app)
+        .put(`/api/bookings/${booking.body.data.id}/cancel`)
+        .set(as(passengerToken))
+        .send({ reason: 'Plans changed' })
+        .expect(200);
+
+      expect((await database.ref(`rides/${ride.id}/availableSeats`).once('value')).val()).toBe(4);
+      expect((await database.ref(`bookings/${booking.body.data.id}/status`).once('value')).val()).toBe('cancelled');
+    });
+
+    describe('promo codes', () => {
+      let promo;
+      let bookingId;
+      const usageCount = async () => (await database.ref(`promoCodes/${promo.id}/usageCount`).once('value')).val();
+      const redemption = async () => (await database.ref(`promoRedemptions/${promo.id}/${bookingId}`).once('value')).val();
+
+      beforeEach(async () => {
+        const ride = await publishRide();
+        const booking = await request(app)
+          .post('/api/bookings')
+          .set(as(passengerToken))
+          .send({ rideId: ride.id, seatsBooked: 1 })
+          .expect(201);
+        bookingId = booking.body.data.id;
+        // Payments read bookings from Firestore rather than the Realtime Database
+        await firestore.collection('bookings').doc(bookingId).set(booking.body.data);
+        promo = await promoService.createPromoCode({ code: 'MONSOON50', discountType: 'flat', discountValue: 50, usageLimit: 1 }, 'admin');
+      });
+
+      it('should give the code back when the payment that used it fails', async () => {
+        const walletPayment = await request(app)
+          .post('/api/wallet/pay')
+          .set(as(passengerToken))
+          .send({ bookingId, promoCode: 'MONSOON50' })
+          .expect(400);
+        expect(walletPayment.body.error.code).toBe('INSUFFICIENT_WALLET_BALANCE');
+        expect(await usageCount()).toBe(0);
+        expect((await redemption()).status).toBe('released');
+
+        const order = await request(app)
+          .post('/api/payments/initiate')
+          .set(as(passengerToken))
+          .send({ bookingId, gateway: 'razorpay', promoCode: 'MONSOON50' })
+          .expect(200);
+        expect(await usageCount()).toBe(1);
+
+        const checkout = razorpay.completeCheckout(order.body.data.orderId);
+        await request(app)
+          .post('/api/payments/verify')
+          .set(as(passengerToken))
+          .send({ paymentId: order.body.data.paymentId, gateway: 'razorpay', ...checkout, razorpay_signature: 'forged' })
+          .expect(400);
+        expect(await usageCount()).toBe(0);
+        expect((await redemption()).status).toBe('released');
+      });
+
+      it('should give the code back when the booking is cancelled before paying', async () => {
+        await request(app)
+          .post('/api/payments/initiate')
+          .set(as(passengerToken))
+          .send({ bookingId, gateway: 'razorpay', promoCode: 'MONSOON50' })
+          .expect(200);
+        expect(await usageCount()).toBe(1);
+
+        await request(app)
+          .put(`/api/bookings/${bookingId}/cancel`)
+          .set(as(passengerToken))
+          .send({ reason: 'Plans changed' })
+          .expect(200);
+
+        expect(await usageCount()).toBe(0);
+        expect((await redemption()).status).toBe('released');
+      });
+    });
+
+    it('should board a passenger, complete the trip and take a review of the driver', async () => {
+      // Boarding codes open shortly before departure
+      const soon = new Date(Date.now() + 60 * 60 * 1000);
+      const pad = (value) => String(value).padStart(2, '0');
+      const ride = await publishRide({
+        departureDate: `${soon.getFullYear()}-${pad(soon.getMonth() + 1)}-${pad(soon.getDate())}`,
+        departureTime: `${pad(soon.getHours())}:${pad(soon.getMinutes())}`,
+      });
+
+      const booking = await request(app)
+        .post('/api/bookings')
+        .set(as(passengerToken))
+        .send({ rideId: ride.id, seatsBooked: 1 })
+        .expect(201);
+      const bookingId = booking.body.data.id;
+
+      const code = await request(app).post(`/api/bookings/${bookingId}/boarding-code`).set(as(passengerToken)).expect(201);
+      await request(app).post('/api/bookings/board').set(as(driverToken)).send({ bookingId, pin: code.body.data.pin }).expect(200);
+      await request(app).put(`/api/bookings/${bookingId}/trip-status`).set(as(driverToken)).send({ status: 'completed' }).expect(200);
+
+      // Reviews read bookings from Firestore rather than the Realtime Database
+      await firestore.collection('bookings').doc(bookingId).set((await database.ref(`bookings/${bookingId}`).once('value')).val());
+
+      await request(app)
+        .post('/api/reviews')
+        .set(as(passengerToken))
+        .send({ bookingId, rating: { driving: 5, punctuality: 4, friendliness: 5, vehicleCondition: 4 }, comment: 'Smooth ride' })
+        .expect(201);
+
+      const reviews = await request(app).get('/api/reviews/user/driver_1').expect(200);
+      expect(reviews.body.data.reviews).toEqual([expect.objectContaining({ comment: 'Smooth ride' })]);
+      expect((await firestore.collection('users').doc('driver_1').get()).get('rating.asDriver')).toMatchObject({ average: 4.5, count: 1 });
+    });
+  });
+});
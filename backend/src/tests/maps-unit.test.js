@@ -141,13 +141,17 @@ describe('Maps Service Unit Tests', () => {
   describe('API key handling', () => {
     it('should handle missing API key gracefully', async () => {
       const originalApiKey = mapsService.apiKey;
+      const originalLocal = mapsService.local;
       mapsService.apiKey = null;
-      
+      // The local gateway answers without a key, so take it out of the path
+      mapsService.local = null;
+
       const result = await mapsService.geocodeAddress('Paris, France');
       expect(result).toBeNull();
-      
+
       // Restore original API key
       mapsService.apiKey = originalApiKey;
+      mapsService.local = originalLocal;
     });
   });
 });
\ No newline at end of file
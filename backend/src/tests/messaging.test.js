@@ -3,44 +3,11 @@ const app = require('../server');
 const Message = require('../models/Message');
 const Booking = require('../models/Booking');
 const MessagingService = require('../services/messagingService');
-
-// Mock Firebase
-jest.mock('../config/firebase', () => ({
-  getFirestore: jest.fn(() => ({
-    collection: jest.fn(() => ({
-      doc: jest.fn(() => ({
-        set: jest.fn(),
-        get: jest.fn(() => ({ exists: true, data: () => ({}) })),
-        update: jest.fn()
-      })),
-      where: jest.fn(() => ({
-        orderBy: jest.fn(() => ({
-          limit: jest.fn(() => ({
-            get: jest.fn(() => ({
-              forEach: jest.fn()
-            }))
-          }))
-        }))
-      }))
-    }))
-  })),
-  getDatabase: jest.fn(() => ({
-    ref: jest.fn(() => ({
-      push: jest.fn(() => ({
-        set: jest.fn()
-      })),
-      set: jest.fn(),
-      update: jest.fn(),
-      once: jest.fn(() => Promise.resolve({ val: () => 0 })),
-      child: jest.fn(() => ({
-        once: jest.fn(() => Promise.resolve({ val: () => 0 }))
-      }))
-    }))
-  }))
-}));
+const { getLocalStores, resetLocalStores } = require('../config/local');
 
 // Mock authentication middleware
 jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
   authenticateToken: (req, res, next) => {
     req.user = { uid: 'test-user-id' };
     next();
@@ -48,6 +15,29 @@ jest.mock('../middleware/auth', () => ({
 }));
 
 describe('Messaging System', () => {
+  const saveMessage = (data) => getLocalStores().firestore.collection('messages').doc('msg123').set({
+    id: 'msg123',
+    conversationId: 'booking_test123',
+    content: 'Test message',
+    type: 'text',
+    isRead: false,
+    isDelivered: false,
+    ...data
+  });
+
+  beforeEach(async () => {
+    // Each test starts from a booking between the test user and user2, and a message to the test user
+    jest.restoreAllMocks();
+    resetLocalStores();
+    await getLocalStores().firestore.collection('bookings').doc('test123').set({
+      rideId: 'ride123',
+      passengerId: 'test-user-id',
+      driverId: 'user2',
+      status: 'confirmed'
+    });
+    await saveMessage({ fromUserId: 'user2', toUserId: 'test-user-id' });
+  });
+
   describe('Message Model', () => {
     test('should create a new message', async () => {
       const messageData = {
@@ -230,6 +220,7 @@ describe('Messaging System', () => {
 
     test('DELETE /api/messages/:messageId - should delete message', async () => {
       const messageId = 'msg123';
+      await saveMessage({ fromUserId: 'test-user-id', toUserId: 'user2' });
       
       const response = await request(app)
         .delete(`/api/messages/${messageId}`)
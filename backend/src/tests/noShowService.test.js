@@ -0,0 +1,250 @@
+const mockReports = {};
+const mockRealtime = {};
+
+// In-memory noShowReports collection and trip tracking data
+jest.mock('../config/firebase', () => {
+  const reportsCollection = {
+    doc: (id) => ({
+      get: async () => ({ exists: Boolean(mockReports[id]), data: () => mockReports[id] }),
+      set: async (value) => {
+        mockReports[id] = { ...(mockReports[id] || {}), ...JSON.parse(JSON.stringify(value)) };
+      },
+    }),
+    where: (field, op, expected) => ({
+      get: async () => ({
+        forEach: (callback) => Object.values(mockReports)
+          .filter(report => report[field] === expected)
+          .forEach(report => callback({ data: () => report })),
+      }),
+    }),
+  };
+  const userDoc = { get: async () => ({ exists: false }) };
+
+  return {
+    getFirestore: () => ({
+      collection: (name) => (name === 'noShowReports' ? reportsCollection : { doc: () => userDoc }),
+    }),
+    getDatabase: () => ({
+      ref: (path) => ({
+        once: async () => ({ val: () => mockRealtime[path] || null }),
+        update: async (value) => {
+          mockRealtime[path] = { ...(mockRealtime[path] || {}), ...value };
+        },
+      }),
+    }),
+  };
+});
+
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+jest.mock('../models/Booking', () => ({ findById: jest.fn() }));
+jest.mock('../models/Ride', () => ({ findById: jest.fn() }));
+jest.mock('../models/Payment', () => {
+  const Payment = jest.fn().mockImplementation(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockImplementation(async () => {
+      this.id = 'payment_fee';
+      return this;
+    });
+  });
+  Payment.findByBookingId = jest.fn();
+  return Payment;
+});
+jest.mock('../services/paymentService', () => ({
+  calculateRefundAmount: jest.requireActual('../utils/cancellationPolicies').calculateRefund,
+  calculateNoShowFee: (amount) => ({ feeAmount: amount / 2, feePercentage: 50, refundAmount: amount / 2 }),
+  processRefund: jest.fn().mockResolvedValue({ refundId: 'rfnd_1', status: 'processed', gateway: 'razorpay' }),
+  chargeCancellationFee: jest.fn().mockResolvedValue({ orderId: 'order_fee', currency: 'INR', gateway: 'razorpay' }),
+}));
+jest.mock('../services/walletService', () => ({
+  refundToWallet: jest.fn().mockResolvedValue({ refundId: 'wtx_1', status: 'processed', gateway: 'wallet' }),
+}));
+jest.mock('../services/bookingService', () => ({ updateUserStats: jest.fn() }));
+jest.mock('../services/ratingService', () => ({ updateUserVerificationLevel: jest.fn() }));
+jest.mock('../services/notificationService', () => ({
+  sendComprehensiveNotification: jest.fn().mockResolvedValue({}),
+}));
+jest.mock('../services/notificationPreferencesService', () => ({
+  getNotificationChannels: jest.fn().mockResolvedValue({ realtime: true }),
+  getFCMToken: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const noShowService = require('../services/noShowService');
+const Booking = require('../models/Booking');
+const Ride = require('../models/Ride');
+const Payment = require('../models/Payment');
+const paymentService = require('../services/paymentService');
+const walletService = require('../services/walletService');
+const BookingService = require('../services/bookingService');
+const RatingService = require('../services/ratingService');
+
+describe('No-show handling', () => {
+  const departure = new Date('2026-07-01T09:00:00');
+  const minutesAfterDeparture = (minutes) => new Date(departure.getTime() + minutes * 60 * 1000);
+  const pickupCoordinates = { lat: 12.9716, lng: 77.5946 };
+
+  let booking;
+
+  const trackTrip = (pickup) => {
+    mockRealtime['tripSessions/ride_1'] = {
+      driverId: 'driver_1',
+      pingCount: 12,
+      pickups: { rtdb_booking: { passengerId: 'passenger_1', coordinates: pickupCoordinates, ...pickup } },
+    };
+    mockRealtime['tripTrails/ride_1'] = { key_1: { lat: 12.99, lng: 77.61 } };
+  };
+
+  const paymentRecord = (data) => ({
+    id: 'payment_1',
+    amount: 420,
+    status: 'completed',
+    refunds: [],
+    metadata: {},
+    addRefund: jest.fn(),
+    ...data,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockReports).forEach(key => delete mockReports[key]);
+    Object.keys(mockRealtime).forEach(key => delete mockRealtime[key]);
+
+    booking = {
+      id: 'booking_1',
+      rideId: 'ride_1',
+      passengerId: 'passenger_1',
+      driverId: 'driver_1',
+      status: 'confirmed',
+      pricing: { finalAmount: 420 },
+      updateStatus: jest.fn().mockImplementation(async (status) => {
+        booking.status = status;
+      }),
+    };
+    Booking.findById.mockImplementation(async () => booking);
+    Ride.findById.mockResolvedValue({ id: 'ride_1', departureDate: '2026-07-01', departureTime: '09:00' });
+    Payment.findByBookingId.mockResolvedValue([]);
+  });
+
+  describe('reporting', () => {
+    it('should only accept reports from the booking\'s passenger or driver, after the waiting time', async () => {
+      await expect(noShowService.reportNoShow('booking_1', 'stranger', {}, minutesAfterDeparture(30)))
+        .rejects.toThrow('Access denied');
+      await expect(noShowService.reportNoShow('booking_1', 'passenger_1', {}, minutesAfterDeparture(5)))
+        .rejects.toThrow('A no-show can only be reported 15 minutes after departure');
+      await expect(noShowService.reportNoShow('booking_1', 'passenger_1', {}, minutesAfterDeparture(25 * 60)))
+        .rejects.toThrow('The no-show reporting window for this booking has closed');
+    });
+
+    it('should dismiss a driver no-show when tracking shows the driver reached the pickup', async () => {
+      trackTrip({ status: 'arrived', arrivedAt: minutesAfterDeparture(-2).toISOString() });
+
+      const report = await noShowService.reportNoShow('booking_1', 'passenger_1', { reason: 'Driver never came' }, minutesAfterDeparture(20));
+
+      expect(report.type).toBe('driver_no_show');
+      expect(report.status).toBe('dismissed');
+      expect(report.evidence).toMatchObject({ verdict: 'contradicts', trackingStarted: true, pingCount: 12 });
+      expect(booking.updateStatus).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second report on the same booking', async () => {
+      await noShowService.reportNoShow('booking_1', 'driver_1', {}, minutesAfterDeparture(20));
+
+      await expect(noShowService.reportNoShow('booking_1', 'passenger_1', {}, minutesAfterDeparture(25)))
+        .rejects.toThrow('A no-show has already been reported for this booking');
+    });
+  });
+
+  describe('outcomes', () => {
+    it('should refund the passenger in full and penalise the driver once an undisputed report is due', async () => {
+      trackTrip({ status: 'pending', arrivedAt: null });
+      const payment = paymentRecord({ gateway: 'razorpay', gatewayPaymentId: 'pay_1' });
+      Payment.findByBookingId.mockResolvedValue([payment]);
+
+      const report = await noShowService.reportNoShow('booking_1', 'passenger_1', {}, minutesAfterDeparture(20));
+      expect(report.status).toBe('open');
+      expect(report.evidence.verdict).toBe('supports');
+
+      await expect(noShowService.processDueReports(minutesAfterDeparture(60))).resolves.toBe(0);
+      await expect(noShowService.processDueReports(minutesAfterDeparture(25 * 60))).resolves.toBe(1);
+
+      expect(booking.updateStatus).toHaveBeenCalledWith('driver_no_show', null);
+      expect(paymentService.processRefund).toHaveBeenCalledWith(payment, 420, 'driver_no_show');
+      expect(payment.addRefund).toHaveBeenCalledWith(expect.objectContaining({ reason: 'driver_no_show', refundType: 'full' }));
+      expect(BookingService.updateUserStats).toHaveBeenCalledWith('driver_1', 'driver_no_show');
+      expect(RatingService.updateUserVerificationLevel).toHaveBeenCalledWith('driver_1');
+      expect(mockReports.booking_1).toMatchObject({
+        status: 'upheld',
+        resolution: { outcome: 'upheld', resolvedBy: 'system', refund: { amount: 420, payments: 1 } },
+      });
+    });
+
+    it('should overrule a dispute when tracking backs the report and keep the fee from a wallet payment', async () => {
+      trackTrip({ status: 'arrived', arrivedAt: minutesAfterDeparture(-1).toISOString() });
+      const payment = paymentRecord({ gateway: 'wallet' });
+      Payment.findByBookingId.mockResolvedValue([payment]);
+
+      await noShowService.reportNoShow('booking_1', 'driver_1', {}, minutesAfterDeparture(20));
+      const report = await noShowService.disputeNoShow('booking_1', 'passenger_1', { statement: 'I was there' }, minutesAfterDeparture(30));
+
+      expect(report.status).toBe('upheld');
+      expect(walletService.refundToWallet).toHaveBeenCalledWith(payment, 210, 'passenger_no_show');
+      expect(report.resolution.fee).toEqual({ amount: 210, feePercentage: 50, paymentId: 'payment_1', status: 'collected' });
+      expect(BookingService.updateUserStats).toHaveBeenCalledWith('passenger_1', 'passenger_no_show');
+    });
+
+    it('should send a dispute without evidence to review and charge the fee on an unpaid booking when upheld', async () => {
+      await noShowService.reportNoShow('booking_1', 'driver_1', {}, minutesAfterDeparture(20));
+
+      await expect(noShowService.disputeNoShow('booking_1', 'driver_1', { statement: 'No' }, minutesAfterDeparture(30)))
+        .rejects.toThrow('Only the reported user can dispute this no-show');
+
+      const disputed = await noShowService.disputeNoShow('booking_1', 'passenger_1', { statement: 'Wrong pickup point' }, minutesAfterDeparture(30));
+      expect(disputed.status).toBe('under_review');
+      await expect(noShowService.processDueReports(minutesAfterDeparture(48 * 60))).resolves.toBe(0);
+
+      const resolved = await noShowService.resolveDisputedReport('booking_1', 'upheld', 'Passenger was not at the stop', 'ops_admin');
+
+      expect(paymentService.chargeCancellationFee).toHaveBeenCalledWith(210, {
+        bookingId: 'booking_1',
+        userId: 'passenger_1',
+        rideId: 'ride_1',
+      });
+      expect(resolved.resolution).toMatchObject({
+        outcome: 'upheld',
+        resolvedBy: 'ops_admin',
+        fee: { amount: 210, paymentId: 'payment_fee', gatewayOrderId: 'order_fee', status: 'pending' },
+      });
+      await expect(noShowService.resolveDisputedReport('booking_1', 'dismissed', 'Changed mind', 'ops_admin'))
+        .rejects.toThrow('Only disputed no-show reports can be resolved by an admin');
+    });
+
+    it('should report and uphold a no-show on a booking held in the realtime database', async () => {
+      trackTrip({ status: 'pending', arrivedAt: null });
+      Booking.findById.mockResolvedValue(null);
+      Ride.findById.mockResolvedValue(null);
+      mockRealtime['bookings/booking_rt'] = {
+        rideId: 'ride_1',
+        passengerId: 'passenger_1',
+        driverId: 'driver_1',
+        status: 'confirmed',
+        pricing: { finalAmount: 420 },
+      };
+      mockRealtime['rides/ride_1'] = { driverId: 'driver_1', departureDate: '2026-07-01', departureTime: '09:00' };
+      mockRealtime['rides/ride_1/passengers/passenger_1'] = { seatsBooked: 1, status: 'confirmed' };
+
+      const report = await noShowService.reportNoShow('booking_rt', 'passenger_1', {}, minutesAfterDeparture(20));
+      expect(report).toMatchObject({ type: 'driver_no_show', reportedUserId: 'driver_1', status: 'open' });
+
+      await expect(noShowService.processDueReports(minutesAfterDeparture(25 * 60))).resolves.toBe(1);
+
+      expect(mockRealtime['bookings/booking_rt'].status).toBe('driver_no_show');
+      expect(mockRealtime['rides/ride_1/passengers/passenger_1']).toMatchObject({ seatsBooked: 1, status: 'driver_no_show' });
+      expect(Payment.findByBookingId).toHaveBeenCalledWith('booking_rt');
+      expect(BookingService.updateUserStats).toHaveBeenCalledWith('driver_1', 'driver_no_show');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+process.env.BACKEND_MODE = 'local';
+
+const request = require('supertest');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+
+const app = require('../server');
+const NotificationService = require('../services/notificationService');
+const NotificationOutboxService = require('../services/notificationOutboxService');
+const NotificationPreferencesService = require('../services/notificationPreferencesService');
+const OutboxNotification = require('../models/OutboxNotification');
+
+describe('Quiet hours and notification digests', () => {
+  const { auth, messaging } = getLocalStores();
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+  // 23:00 in Kolkata, inside quiet hours that end at 07:00 (01:30 UTC)
+  const lateEvening = new Date('2030-01-15T17:30:00Z');
+  const quietHours = { enabled: true, start: '22:00', end: '07:00', timezone: 'Asia/Kolkata' };
+
+  const rideUpdate = (departureAt) => ({
+    type: 'ride_details_updated',
+    variables: { origin: 'Pune', destination: 'Mumbai', date: '2030-01-18' },
+    data: { rideId: 'ride_1' },
+    departureAt,
+  });
+  const promotion = (title) => ({ type: 'promotion', title, message: `${title} on your next ride` });
+
+  beforeEach(() => {
+    resetLocalStores();
+    jest.restoreAllMocks();
+  });
+
+  it('should hold non-urgent notifications until quiet hours end', async () => {
+    await NotificationPreferencesService.updateUserPreferences('passenger_1', { quietHours });
+
+    const result = await NotificationOutboxService.send(
+      'passenger_1',
+      rideUpdate('2030-01-18T03:00:00Z'),
+      { push: true },
+      { fcmToken: 'device-token', locale: 'en' },
+      { category: 'rideUpdates' },
+      lateEvening
+    );
+
+    // The app still hears about it, but the phone stays quiet
+    expect(result).toMatchObject({ realtime: true, push: false, errors: [] });
+    expect(messaging.sent).toHaveLength(0);
+
+    const stored = await OutboxNotification.findById(result.notificationId);
+    expect(stored.deliveries.push).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(OutboxNotification.toDate(stored.deliveries.push.nextAttemptAt)).toEqual(new Date('2030-01-16T01:30:00Z'));
+    expect(stored.timeline.map(step => step.event)).toEqual(['queued', 'deferred', 'sent']);
+
+    expect(await NotificationOutboxService.processDue(new Date('2030-01-16T01:29:00Z'))).toBe(0);
+    expect(await NotificationOutboxService.processDue(new Date('2030-01-16T01:30:00Z'))).toBe(1);
+    expect(messaging.sent).toHaveLength(1);
+    expect((await OutboxNotification.findById(result.notificationId)).status).toBe('sent');
+  });
+
+  it('should send safety and imminent-departure notifications straight away', async () => {
+    await NotificationPreferencesService.updateUserPreferences('passenger_1', { quietHours });
+    const contact = { fcmToken: 'device-token', locale: 'en' };
+
+    // Departs at 08:00, an hour after quiet hours end
+    const imminent = await NotificationOutboxService.send(
+      'passenger_1', rideUpdate('2030-01-16T02:30:00Z'), { push: true }, contact, { category: 'rideUpdates' }, lateEvening
+    );
+    const safety = await NotificationOutboxService.send(
+      'passenger_1',
+      { type: 'emergency_alert', title: 'Emergency', message: 'Your driver raised an alert', priority: 'critical' },
+      { push: true },
+      contact,
+      { category: 'rideUpdates' },
+      lateEvening
+    );
+    const tracking = await NotificationOutboxService.send(
+      'passenger_1',
+      { type: 'driver_approaching', variables: { etaMinutes: 5, pickupPoint: 'FC Road' } },
+      { push: true },
+      contact,
+      { category: 'tripTracking' },
+      lateEvening
+    );
+
+    [imminent, safety, tracking].forEach(result => expect(result.push).toBe(true));
+    expect(messaging.sent).toHaveLength(3);
+  });
+
+  it('should group held emails into one digest at the chosen time', async () => {
+    await NotificationPreferencesService.updateUserPreferences('passenger_1', {
+      digest: { frequency: 'daily', time: '09:00', timezone: 'Asia/Kolkata' },
+    });
+    const sendEmail = jest.spyOn(NotificationService, 'sendEmail');
+    const contact = { email: 'passenger@example.com', locale: 'en' };
+    const morning = new Date('2030-01-15T05:00:00Z');
+
+    const first = await NotificationOutboxService.send(
+      'passenger_1', promotion('20% off'), { email: true }, contact, { category: 'promotions' }, morning
+    );
+    await NotificationOutboxService.send(
+      'passenger_1', promotion('Free seat upgrade'), { email: true }, contact, { category: 'promotions' }, morning
+    );
+    // Booking confirmations are never held
+    await NotificationOutboxService.send(
+      'passenger_1',
+      { type: 'booking_confirmed', variables: { origin: 'Pune', destination: 'Mumbai' } },
+      { email: true },
+      contact,
+      { category: 'bookingConfirmations' },
+      morning
+    );
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+
+    let stored = await OutboxNotification.findById(first.notificationId);
+    expect(stored.deliveries.email).toMatchObject({ status: 'digest', digest: 'daily' });
+    expect(OutboxNotification.toDate(stored.digestAt)).toEqual(new Date('2030-01-16T03:30:00Z'));
+
+    expect(await NotificationOutboxService.sendDigests(new Date('2030-01-16T03:29:00Z'))).toBe(0);
+    expect(await NotificationOutboxService.sendDigests(new Date('2030-01-16T03:30:00Z'))).toBe(1);
+
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+    const [to, subject, , text] = sendEmail.mock.calls[1];
+    expect(to).toBe('passenger@example.com');
+    expect(subject).toBe('Your daily TripO digest');
+    expect(text).toContain('Here are the 2 notifications we held for you today.');
+    expect(text).toContain('20% off');
+    expect(text).toContain('Free seat upgrade');
+
+    stored = await OutboxNotification.findById(first.notificationId);
+    expect(stored.deliveries.email.status).toBe('sent');
+    expect(stored.digestAt).toBeNull();
+    expect(await NotificationOutboxService.sendDigests(new Date('2030-01-17T03:30:00Z'))).toBe(0);
+  });
+
+  it('should retry a digest that fails to send', async () => {
+    await NotificationPreferencesService.updateUserPreferences('passenger_1', {
+      digest: { frequency: 'weekly', day: 'friday', time: '18:00', timezone: 'UTC' },
+    });
+    const sendEmail = jest.spyOn(NotificationService, 'sendEmail').mockResolvedValue({ success: false, error: 'Service unavailable' });
+
+    // Tuesday 15 January
+    const { notificationId } = await NotificationOutboxService.send(
+      'passenger_1', promotion('Weekend offer'), { email: true }, { email: 'passenger@example.com', locale: 'en' },
+      { category: 'promotions' }, new Date('2030-01-15T10:00:00Z')
+    );
+
+    const friday = new Date('2030-01-18T18:00:00Z');
+    expect(await NotificationOutboxService.sendDigests(friday)).toBe(0);
+    expect(sendEmail.mock.calls[0][1]).toBe('Your weekly TripO digest');
+
+    const stored = await OutboxNotification.findById(notificationId);
+    expect(stored.deliveries.email).toMatchObject({ status: 'digest', attempts: 1, lastError: 'Service unavailable' });
+    expect(OutboxNotification.toDate(stored.digestAt)).toEqual(new Date('2030-01-18T18:00:30Z'));
+  });
+
+  it('should validate digest preferences', async () => {
+    const token = auth.createIdToken('passenger_1', { email: 'passenger@example.com' });
+
+    await request(app)
+      .put('/api/notifications/preferences')
+      .set(as(token))
+      .send({ digest: { frequency: 'hourly' } })
+      .expect(400);
+
+    const response = await request(app)
+      .put('/api/notifications/preferences')
+      .set(as(token))
+      .send({ digest: { frequency: 'weekly', day: 'sunday', time: '08:30', timezone: 'Asia/Kolkata' } })
+      .expect(200);
+    expect(response.body.data.digest.frequency).toBe('weekly');
+
+    const preferences = await NotificationPreferencesService.getUserPreferences('passenger_1');
+    expect(preferences.digest).toMatchObject({ frequency: 'weekly', day: 'sunday' });
+  });
+});
@@ -0,0 +1,238 @@
+process.env.BACKEND_MODE = 'local';
+process.env.TWILIO_AUTH_TOKEN = 'twilio-auth-token';
+process.env.NOTIFICATION_CALLBACK_URL = 'https://api.tripo.test';
+process.env.NOTIFICATION_WEBHOOK_TOKEN = 'sendgrid-webhook-token';
+
+const request = require('supertest');
+const twilio = require('twilio');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+
+const app = require('../server');
+const NotificationService = require('../services/notificationService');
+const NotificationOutboxService = require('../services/notificationOutboxService');
+const OutboxNotification = require('../models/OutboxNotification');
+const adminAuthService = require('../services/adminAuthService');
+const { generateAdminToken } = require('../admin/middleware');
+
+describe('Notification outbox', () => {
+  const { auth, firestore, messaging } = getLocalStores();
+  const userToken = auth.createIdToken('passenger_1', { email: 'passenger@example.com' });
+  const otherToken = auth.createIdToken('passenger_2', { email: 'other@example.com' });
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+  const notification = {
+    type: 'booking_confirmed',
+    title: 'Booking Confirmed!',
+    message: 'Your booking from Mumbai to Pune has been confirmed.',
+    data: { bookingId: 'booking_1' },
+  };
+  const smsClient = (create) => ({ messages: { create } });
+
+  beforeEach(() => {
+    resetLocalStores();
+    NotificationService.twilioClient = null;
+  });
+
+  it('should store the notification and schedule a retry for channels that fail', async () => {
+    const now = new Date('2030-01-15T09:00:00Z');
+    NotificationService.twilioClient = smsClient(jest.fn().mockRejectedValue(new Error('Service unavailable')));
+
+    const result = await NotificationOutboxService.send(
+      'passenger_1',
+      notification,
+      { sms: true, push: true },
+      { phoneNumber: '+919800000001', fcmToken: 'device-token' },
+      { category: 'bookingConfirmations' },
+      now
+    );
+
+    expect(result).toMatchObject({ realtime: true, push: true, sms: false, errors: ['SMS: Service unavailable'] });
+
+    const stored = await OutboxNotification.findById(result.notificationId);
+    expect(stored.status).toBe('pending');
+    expect(stored.deliveries.push.status).toBe('sent');
+    expect(stored.deliveries.sms).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Service unavailable' });
+    expect(OutboxNotification.toDate(stored.nextAttemptAt)).toEqual(new Date('2030-01-15T09:00:30Z'));
+    expect(stored.timeline.map(step => step.event)).toEqual(['queued', 'sent', 'retry_scheduled', 'sent']);
+  });
+
+  it('should retry due channels with exponential backoff', async () => {
+    const start = new Date('2030-01-15T09:00:00Z');
+    const create = jest.fn().mockRejectedValue(new Error('Service unavailable'));
+    NotificationService.twilioClient = smsClient(create);
+
+    const { notificationId } = await NotificationOutboxService.send(
+      'passenger_1', notification, { sms: true }, { phoneNumber: '+919800000001' }, {}, start
+    );
+
+    // Not due yet
+    expect(await NotificationOutboxService.processDue(new Date('2030-01-15T09:00:20Z'))).toBe(0);
+
+    // Second attempt fails and waits twice as long
+    expect(await NotificationOutboxService.processDue(new Date('2030-01-15T09:00:30Z'))).toBe(1);
+    let stored = await OutboxNotification.findById(notificationId);
+    expect(stored.deliveries.sms.attempts).toBe(2);
+    expect(OutboxNotification.toDate(stored.deliveries.sms.nextAttemptAt)).toEqual(new Date('2030-01-15T09:01:30Z'));
+    expect(stored.lockedUntil).toBeNull();
+
+    create.mockResolvedValue({ sid: 'SM_retry', status: 'queued' });
+    await NotificationOutboxService.processDue(new Date('2030-01-15T09:01:30Z'));
+
+    stored = await OutboxNotification.findById(notificationId);
+    expect(stored.status).toBe('sent');
+    expect(stored.deliveries.sms).toMatchObject({ status: 'sent', attempts: 3, providerMessageId: 'SM_retry' });
+    expect(create).toHaveBeenLastCalledWith(expect.objectContaining({
+      statusCallback: 'https://api.tripo.test/api/notifications/webhooks/twilio',
+    }));
+  });
+
+  it('should not let the retry job send a notification while it is first being sent', async () => {
+    const now = new Date('2030-01-15T09:00:00Z');
+    let finishSms;
+    const create = jest.fn(() => new Promise(resolve => {
+      finishSms = () => resolve({ sid: 'SM_first', status: 'queued' });
+    }));
+    NotificationService.twilioClient = smsClient(create);
+
+    const sending = NotificationOutboxService.send(
+      'passenger_1', notification, { sms: true }, { phoneNumber: '+919800000001' }, {}, now
+    );
+    while (create.mock.calls.length === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    // The job runs while the SMS is still with Twilio
+    expect(await NotificationOutboxService.processDue(now)).toBe(0);
+    expect(create).toHaveBeenCalledTimes(1);
+
+    finishSms();
+    const { notificationId } = await sending;
+
+    const stored = await OutboxNotification.findById(notificationId);
+    expect(stored.status).toBe('sent');
+    expect(stored.deliveries.sms).toMatchObject({ status: 'sent', attempts: 1 });
+    expect(stored.lockedUntil).toBeNull();
+  });
+
+  it('should fall back to another allowed channel when push fails for good', async () => {
+    const result = await NotificationOutboxService.send(
+      'passenger_1',
+      notification,
+      { push: true },
+      { email: 'passenger@example.com', phoneNumber: '+919800000001', fcmToken: 'invalid-token' },
+      { category: 'bookingConfirmations' }
+    );
+
+    expect(result.push).toBe(false);
+    expect(result.email).toBe(true);
+    expect(messaging.sent).toHaveLength(0);
+
+    const stored = await OutboxNotification.findById(result.notificationId);
+    expect(stored.status).toBe('sent');
+    expect(stored.deliveries.push).toMatchObject({ status: 'failed', attempts: 1 });
+    // SMS is opt-in, so email is next
+    expect(stored.deliveries.sms).toBeUndefined();
+    expect(stored.deliveries.email).toMatchObject({ fallbackFor: 'push', status: 'sent' });
+  });
+
+  it('should follow the fallback order among the channels the user allows', async () => {
+    await firestore.collection('notification_preferences').doc('passenger_1').set({ sms: true });
+
+    const result = await NotificationOutboxService.send(
+      'passenger_1',
+      notification,
+      { push: true },
+      { email: 'passenger@example.com', phoneNumber: '+919800000001', fcmToken: 'invalid-token' },
+      { category: 'bookingConfirmations' }
+    );
+
+    const stored = await OutboxNotification.findById(result.notificationId);
+    // Twilio is not configured, so SMS waits for a retry rather than falling back again
+    expect(stored.deliveries.sms).toMatchObject({ fallbackFor: 'push', status: 'pending', attempts: 1 });
+    expect(stored.deliveries.email).toBeUndefined();
+    expect(stored.timeline.filter(step => step.event === 'fallback').map(step => step.channel)).toEqual(['sms']);
+  });
+
+  it('should record Twilio and SendGrid receipts and fall back on a bounce', async () => {
+    NotificationService.twilioClient = smsClient(jest.fn().mockResolvedValue({ sid: 'SM_1', status: 'queued' }));
+    const { notificationId } = await NotificationOutboxService.send(
+      'passenger_1',
+      notification,
+      { sms: true, email: true },
+      { email: 'passenger@example.com', phoneNumber: '+919800000001', fcmToken: 'device-token' },
+      { category: 'bookingConfirmations' }
+    );
+    const emailId = (await OutboxNotification.findById(notificationId)).deliveries.email.providerMessageId;
+
+    twilio.validateRequest = jest.fn().mockReturnValue(false);
+    await request(app)
+      .post('/api/notifications/webhooks/twilio')
+      .send({ MessageSid: 'SM_1', MessageStatus: 'delivered' })
+      .expect(403);
+
+    twilio.validateRequest.mockReturnValue(true);
+    await request(app)
+      .post('/api/notifications/webhooks/twilio')
+      .set('X-Twilio-Signature', 'signature')
+      .type('form')
+      .send({ MessageSid: 'SM_1', MessageStatus: 'delivered' })
+      .expect(200);
+    expect(twilio.validateRequest).toHaveBeenLastCalledWith(
+      'twilio-auth-token',
+      'signature',
+      'https://api.tripo.test/api/notifications/webhooks/twilio',
+      { MessageSid: 'SM_1', MessageStatus: 'delivered' }
+    );
+
+    await request(app)
+      .post('/api/notifications/webhooks/sendgrid?token=wrong')
+      .send([{ event: 'bounce', notificationId }])
+      .expect(403);
+    const events = await request(app)
+      .post('/api/notifications/webhooks/sendgrid?token=sendgrid-webhook-token')
+      .send([{ event: 'bounce', sg_message_id: `${emailId}.filter0001`, reason: 'Mailbox does not exist', timestamp: 1894611600 }])
+      .expect(200);
+    expect(events.body.data.applied).toBe(1);
+
+    const stored = await OutboxNotification.findById(notificationId);
+    expect(stored.status).toBe('delivered');
+    expect(stored.deliveries.sms.status).toBe('delivered');
+    expect(stored.deliveries.email).toMatchObject({ status: 'failed', lastError: 'Mailbox does not exist' });
+    expect(stored.deliveries.push).toMatchObject({ status: 'sent', fallbackFor: 'email' });
+    expect(messaging.sent).toHaveLength(1);
+  });
+
+  it('should show the delivery timeline to its recipient and admins only', async () => {
+    const { notificationId } = await NotificationOutboxService.send(
+      'passenger_1', notification, { push: true }, { fcmToken: 'device-token' }
+    );
+
+    const own = await request(app).get(`/api/notifications/outbox/${notificationId}`).set(as(userToken)).expect(200);
+    expect(own.body.data.timeline.map(step => step.event)).toEqual(['queued', 'sent', 'sent']);
+    expect(own.body.data.recipient).toBeUndefined();
+
+    const list = await request(app).get('/api/notifications/outbox').set(as(userToken)).expect(200);
+    expect(list.body.data.map(item => item.id)).toEqual([notificationId]);
+
+    await request(app).get(`/api/notifications/outbox/${notificationId}`).set(as(otherToken)).expect(403);
+
+    const receipt = await request(app)
+      .post(`/api/notifications/outbox/${notificationId}/receipt`)
+      .set(as(userToken))
+      .send({ channel: 'push', event: 'opened' })
+      .expect(200);
+    expect(receipt.body.data.status).toBe('delivered');
+    await request(app)
+      .post(`/api/notifications/outbox/${notificationId}/receipt`)
+      .set(as(otherToken))
+      .send({ channel: 'push', event: 'opened' })
+      .expect(403);
+
+    const admin = await adminAuthService.createAdmin({ username: 'support.meera', password: 'correct-horse', role: 'support' }, 'root');
+    const adminHeaders = { Authorization: `Bearer ${generateAdminToken(admin)}` };
+    const history = await request(app).get('/api/admin/notifications?userId=passenger_1').set(adminHeaders).expect(200);
+    expect(history.body.data.total).toBe(1);
+    const detail = await request(app).get(`/api/admin/notifications/${notificationId}`).set(adminHeaders).expect(200);
+    expect(detail.body.data.recipient).toEqual({ email: null, phoneNumber: null, fcmToken: 'device-token' });
+  });
+});
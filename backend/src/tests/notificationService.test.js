@@ -1,6 +1,7 @@
 const NotificationService = require('../services/notificationService');
 const NotificationPreferencesService = require('../services/notificationPreferencesService');
 const RealtimeService = require('../services/realtimeService');
+const { getMessaging } = require('../config/firebase');
 
 // Mock external dependencies
 jest.mock('twilio');
@@ -120,15 +121,8 @@ describe('NotificationService', () => {
 
   describe('sendPushNotification', () => {
     it('should send push notification to single token', async () => {
-      const mockMessaging = {
-        send: jest.fn().mockResolvedValue('test-message-id'),
-      };
-
-      const mockAdmin = {
-        messaging: jest.fn().mockReturnValue(mockMessaging),
-      };
-
-      require('firebase-admin').messaging = mockAdmin.messaging;
+      const mockMessaging = getMessaging();
+      jest.spyOn(mockMessaging, 'send').mockResolvedValue('test-message-id');
       NotificationService.fcmInitialized = true;
 
       const result = await NotificationService.sendPushNotification(
@@ -143,19 +137,11 @@ describe('NotificationService', () => {
     });
 
     it('should send push notification to multiple tokens', async () => {
-      const mockMessaging = {
-        sendMulticast: jest.fn().mockResolvedValue({
-          successCount: 2,
-          failureCount: 0,
-          responses: [{ success: true }, { success: true }],
-        }),
-      };
-
-      const mockAdmin = {
-        messaging: jest.fn().mockReturnValue(mockMessaging),
-      };
-
-      require('firebase-admin').messaging = mockAdmin.messaging;
+      jest.spyOn(getMessaging(), 'sendMulticast').mockResolvedValue({
+        successCount: 2,
+        failureCount: 0,
+        responses: [{ success: true }, { success: true }],
+      });
       NotificationService.fcmInitialized = true;
 
       const result = await NotificationService.sendPushNotification(
@@ -184,9 +170,7 @@ describe('NotificationService', () => {
         headers: { 'x-message-id': 'email-id' },
       }]);
 
-      require('firebase-admin').messaging = jest.fn().mockReturnValue({
-        send: jest.fn().mockResolvedValue('push-id'),
-      });
+      jest.spyOn(getMessaging(), 'send').mockResolvedValue('push-id');
 
       RealtimeService.emitUserNotification = jest.fn();
 
@@ -236,9 +220,7 @@ describe('NotificationService', () => {
         headers: { 'x-message-id': 'email-id' },
       }]);
 
-      require('firebase-admin').messaging = jest.fn().mockReturnValue({
-        send: jest.fn().mockResolvedValue('push-id'),
-      });
+      jest.spyOn(getMessaging(), 'send').mockResolvedValue('push-id');
 
       RealtimeService.emitUserNotification = jest.fn();
 
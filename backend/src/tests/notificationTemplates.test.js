@@ -0,0 +1,165 @@
+process.env.BACKEND_MODE = 'local';
+
+const request = require('supertest');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+
+const app = require('../server');
+const TemplateService = require('../services/templateService');
+const NotificationService = require('../services/notificationService');
+const NotificationOutboxService = require('../services/notificationOutboxService');
+const MessagingService = require('../services/messagingService');
+const OutboxNotification = require('../models/OutboxNotification');
+const Message = require('../models/Message');
+const adminAuthService = require('../services/adminAuthService');
+const { generateAdminToken } = require('../admin/middleware');
+
+describe('Notification templates', () => {
+  const { auth, firestore, database, messaging } = getLocalStores();
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+  const addUser = (uid, language) => firestore.collection('users').doc(uid).set({
+    uid,
+    email: `${uid}@example.com`,
+    displayName: uid,
+    preferences: language ? { language } : {},
+  });
+
+  beforeEach(() => {
+    resetLocalStores();
+  });
+
+  it('should render every template in every supported locale', () => {
+    const locales = TemplateService.getSupportedLocales().map(({ code }) => code);
+    expect(locales).toEqual(expect.arrayContaining(['en', 'hi', 'mr', 'ta']));
+
+    TemplateService.getTemplateKeys().forEach(key => {
+      locales.forEach(locale => {
+        const { message } = TemplateService.preview(key, locale);
+        expect(message).not.toMatch(/\{\{|\}\}/);
+        expect(message.length).toBeGreaterThan(0);
+      });
+    });
+  });
+
+  it('should format dates, currency and change lists for the locale', () => {
+    const variables = {
+      origin: 'Pune',
+      destination: 'Mumbai',
+      date: '2026-03-14',
+      changes: { departureTime: '08:30', pricePerSeat: 450 },
+    };
+
+    expect(TemplateService.render('ride_updated', variables, 'en').message).toBe(
+      'Your ride from Pune to Mumbai on 14 Mar 2026 has changed: it now departs at 08:30 and the seat price is now ₹450.'
+    );
+
+    const hindi = TemplateService.render('ride_updated', variables, 'hi-IN');
+    expect(hindi.locale).toBe('hi');
+    expect(hindi.message).toContain('14 मार्च 2026');
+    expect(hindi.message).toContain('अब यह 08:30 बजे रवाना होगी और सीट का किराया अब ₹450 है');
+
+    // Times are shown in India time
+    const tamil = TemplateService.render('no_show_reported', {
+      bookingId: 'booking_1',
+      disputeDeadline: new Date('2026-03-15T12:30:00Z'),
+    }, 'ta');
+    expect(tamil.message).toContain('6:00');
+  });
+
+  it('should fall back to English for unsupported locales and fill in defaults', () => {
+    expect(TemplateService.resolveLocale('fr-FR')).toBe('en');
+    expect(TemplateService.resolveLocale(undefined)).toBe('en');
+    expect(TemplateService.render('booking_confirmed', { origin: 'Pune', destination: 'Mumbai' }, 'fr').title)
+      .toBe('Booking Confirmed!');
+
+    expect(TemplateService.render('conversation.cancellation_notice', { reason: null }, 'en').message)
+      .toContain('due to unforeseen circumstances');
+    expect(() => TemplateService.render('missing_template', {}, 'en')).toThrow('Template missing_template not found');
+  });
+
+  it('should send notifications in the recipient\'s preferred language', async () => {
+    await addUser('passenger_1', 'mr');
+
+    const result = await NotificationOutboxService.send(
+      'passenger_1',
+      { type: 'booking_confirmed', variables: { origin: 'Pune', destination: 'Nashik' }, data: { bookingId: 'booking_1' } },
+      { push: true },
+      { fcmToken: 'device-token' }
+    );
+
+    expect(result.push).toBe(true);
+    expect(messaging.sent[0].notification).toMatchObject({
+      title: 'बुकिंग निश्चित झाले!',
+      body: 'Pune ते Nashik या राइडसाठी तुमचे बुकिंग निश्चित झाले आहे.',
+    });
+
+    const stored = await OutboxNotification.findById(result.notificationId);
+    expect(stored.content).toMatchObject({ locale: 'mr', template: 'booking_confirmed' });
+
+    // Notifications that bring their own text keep it, in the recipient's layout
+    expect(NotificationService.formatEmailText({ title: 'Hello', message: 'Custom', locale: 'mr' }))
+      .toBe('Hello\n\nCustom\n\nTripO टीम');
+    expect(NotificationService.formatEmailHTML({ title: '<script>', message: 'Hi', locale: 'en' }))
+      .toContain('&lt;script&gt;');
+  });
+
+  it('should localize emergency alerts and messages for whoever receives them', async () => {
+    await addUser('passenger_1', 'ta');
+    await addUser('driver_1', 'hi');
+    await database.ref('emergencyIntegration/booking_1').set({
+      emergencyProtocolEnabled: true,
+      passengerEmergencyContacts: [{ name: 'Kavya', phone: '+919800000002' }],
+    });
+    const booking = { id: 'booking_1', passengerId: 'passenger_1', driverId: 'driver_1' };
+
+    const alert = await MessagingService.sendEmergencyAlert(booking, 'accident', {
+      alertPassengerContacts: true,
+      triggeredBy: 'passenger_1',
+    });
+    expect(alert.locale).toBe('ta');
+    expect(alert.alertMessage).toContain('விபத்து எச்சரிக்கை');
+    expect(alert.alertMessage).toContain('booking_1');
+
+    // The passenger writes to the driver, who reads Hindi
+    const message = await MessagingService.sendEmergencyMessage(booking, 'passenger_1', 'breakdown');
+    expect(message.content).toBe('गाड़ी खराब हो गई है - मुझे सहायता चाहिए। कृपया मुझसे तुरंत संपर्क करें।');
+
+    const reminder = await Message.createTemplate('pickup_reminder', 'booking_booking_1', 'driver_1', 'passenger_1', {
+      pickupLocation: 'Chennai Central',
+      pickupTime: '07:45',
+    });
+    expect(reminder.content).toContain('Chennai Central');
+    expect(reminder.content).toContain('30 நிமிடங்கள்');
+  });
+
+  it('should let users pick a supported language', async () => {
+    await addUser('passenger_1');
+    const token = auth.createIdToken('passenger_1', { email: 'passenger_1@example.com' });
+
+    await request(app).put('/api/auth/preferences').set(as(token)).send({ language: 'xx' }).expect(400);
+    await request(app).put('/api/auth/preferences').set(as(token)).send({ language: 'ta' }).expect(200);
+
+    expect(await TemplateService.getUserLocale('passenger_1')).toBe('ta');
+  });
+
+  it('should let admins preview templates with sample data', async () => {
+    const admin = await adminAuthService.createAdmin({ username: 'support.meera', password: 'correct-horse', role: 'support' }, 'root');
+    const adminHeaders = { Authorization: `Bearer ${generateAdminToken(admin)}` };
+
+    const list = await request(app).get('/api/admin/notification-templates').set(adminHeaders).expect(200);
+    expect(list.body.data.templates).toContain('waitlist_offer');
+    expect(list.body.data.locales).toContainEqual({ code: 'hi', name: 'हिन्दी' });
+
+    const preview = await request(app)
+      .get('/api/admin/notification-templates/waitlist_offer/preview?locale=hi&from=Thane')
+      .set(adminHeaders)
+      .expect(200);
+    expect(preview.body.data).toMatchObject({ locale: 'hi', title: 'एक सीट उपलब्ध है' });
+    expect(preview.body.data.message).toContain('Thane से Lonavala तक 2 सीट');
+    expect(preview.body.data.sms).toMatch(/^TripO: एक सीट उपलब्ध है - /);
+    expect(preview.body.data.email.html).toContain('TripO टीम');
+
+    await request(app).get('/api/admin/notification-templates/waitlist_offer/preview?locale=xx').set(adminHeaders).expect(400);
+    await request(app).get('/api/admin/notification-templates/unknown/preview').set(adminHeaders).expect(404);
+  });
+});
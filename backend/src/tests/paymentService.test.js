@@ -85,6 +85,32 @@ describe('PaymentService', () => {
       expect(result.serviceFee).toBe(17); // Rounded up
       expect(result.totalAmount).toBe(350);
     });
+
+    it('should subtract a promo discount after the service fee', () => {
+      const result = paymentService.calculateTotalAmount(500, 5, 100);
+
+      expect(result.serviceFee).toBe(25); // Charged on the undiscounted fare
+      expect(result.discountAmount).toBe(100);
+      expect(result.totalAmount).toBe(425);
+    });
+
+    it('should not discount more than the fare', () => {
+      const result = paymentService.calculateTotalAmount(80, 5, 200);
+
+      expect(result.discountAmount).toBe(80);
+      expect(result.totalAmount).toBe(4);
+    });
+  });
+
+  describe('calculateNoShowFee', () => {
+    it('should split the fare into the fee kept and the amount refunded', () => {
+      expect(paymentService.calculateNoShowFee(525, 50)).toEqual({
+        feeAmount: 263,
+        feePercentage: 50,
+        refundAmount: 262,
+      });
+      expect(paymentService.calculateNoShowFee(400, 100).refundAmount).toBe(0);
+    });
   });
 
   describe('calculateRefundAmount', () => {
@@ -11,10 +11,12 @@ jest.mock('../services/paymentService');
 jest.mock('../models/Payment');
 jest.mock('../models/Booking');
 jest.mock('../models/Ride');
-jest.mock('../middleware/auth', () => (req, res, next) => {
-  req.user = { uid: 'test-user-id' };
-  next();
-});
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { uid: 'test-user-id' };
+    next();
+  },
+}));
 
 const app = express();
 app.use(express.json());
@@ -533,6 +535,9 @@ describe('Payment Routes', () => {
 });
 
 describe('PaymentService', () => {
+  // The routes above use the mocked service; these cover the real one
+  const paymentService = jest.requireActual('../services/paymentService');
+
   beforeEach(() => {
     jest.clearAllMocks();
   });
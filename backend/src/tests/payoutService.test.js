@@ -0,0 +1,229 @@
+const mockStore = {};
+
+// Minimal in-memory Realtime Database supporting the calls the payout code makes
+jest.mock('../config/firebase', () => {
+  let counter = 0;
+
+  const read = (path) => path.split('/').reduce(
+    (node, key) => (node && node[key] !== undefined ? node[key] : null),
+    mockStore
+  );
+
+  const write = (path, value) => {
+    const keys = path.split('/');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, mockStore);
+    parent[last] = value;
+  };
+
+  const ref = (path) => ({
+    once: async () => ({ val: () => read(path) }),
+    orderByChild: (child) => ({
+      equalTo: (expected) => {
+        const matching = {
+          once: async () => ({
+            val: () => {
+              const matches = Object.entries(read(path) || {}).filter(([, item]) => item[child] === expected);
+              return matches.length > 0 ? Object.fromEntries(matches) : null;
+            },
+          }),
+        };
+        return { ...matching, limitToLast: () => matching };
+      },
+    }),
+    set: async (value) => write(path, JSON.parse(JSON.stringify(value))),
+    update: async (value) => write(path, { ...(read(path) || {}), ...JSON.parse(JSON.stringify(value)) }),
+    push: async (value) => {
+      const key = `key_${++counter}`;
+      write(`${path}/${key}`, JSON.parse(JSON.stringify(value)));
+      return { key };
+    },
+  });
+
+  return { getDatabase: () => ({ ref }) };
+});
+
+jest.mock('../models/PayoutMethod');
+jest.mock('../services/financialService', () => ({
+  getAvailableBalance: jest.fn(),
+  calculatePayoutProcessingFee: jest.fn(amount => Math.max(5, Math.round(amount * 0.02))),
+}));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const payoutService = require('../services/payoutService');
+const Payout = require('../models/Payout');
+const PayoutMethod = require('../models/PayoutMethod');
+const financialService = require('../services/financialService');
+
+describe('PayoutService', () => {
+  const bankMethod = {
+    id: 'method-1',
+    providerId: 'provider-1',
+    type: 'bank_transfer',
+    status: 'active',
+    isDefault: true,
+    maskedDetails: { accountNumberLast4: '4321' },
+    getDecryptedDetails: () => ({ accountNumber: '987654321', ifscCode: 'HDFC0001234' }),
+  };
+
+  const failingMethod = {
+    ...bankMethod,
+    id: 'method-2',
+    isDefault: false,
+    getDecryptedDetails: () => ({ accountNumber: '1234560000', ifscCode: 'HDFC0001234' }),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+
+    PayoutMethod.findByProviderId.mockResolvedValue([bankMethod, failingMethod]);
+    PayoutMethod.findById.mockImplementation(async id => [bankMethod, failingMethod].find(m => m.id === id) || null);
+    financialService.getAvailableBalance.mockResolvedValue({
+      availableBalance: 2000,
+      totalEarnings: 5000,
+    });
+  });
+
+  describe('requestPayout', () => {
+    it('should create a requested payout to the default method', async () => {
+      const payout = await payoutService.requestPayout('provider-1', 1000);
+
+      expect(payout.status).toBe('requested');
+      expect(payout.payoutMethodId).toBe('method-1');
+      expect(payout.netAmount).toBe(980);
+      expect(payout.statusHistory).toHaveLength(1);
+      expect(mockStore.payouts[payout.id].status).toBe('requested');
+    });
+
+    it('should reject payouts above the available balance', async () => {
+      await expect(payoutService.requestPayout('provider-1', 5000))
+        .rejects.toThrow('Insufficient balance');
+    });
+
+    it('should reject another provider\'s payout method', async () => {
+      await expect(payoutService.requestPayout('provider-2', 500, 'method-1'))
+        .rejects.toThrow('You can only use your own payout methods');
+    });
+  });
+
+  describe('approval workflow', () => {
+    it('should approve and pay a payout through the mock gateway', async () => {
+      const requested = await payoutService.requestPayout('provider-1', 1000);
+
+      await payoutService.approvePayout(requested.id, 'admin-1');
+      const payout = await payoutService.executePayout(requested.id, 'admin-1');
+
+      expect(payout.status).toBe('paid');
+      expect(payout.approvedBy).toBe('admin-1');
+      expect(payout.attempts).toBe(1);
+      expect(payout.gatewayReference).toMatch(/^mock_payout_/);
+      expect(payout.statusHistory.map(entry => entry.to))
+        .toEqual(['requested', 'approved', 'processing', 'paid']);
+    });
+
+    it('should not allow processing a payout that was not approved', async () => {
+      const requested = await payoutService.requestPayout('provider-1', 1000);
+
+      await expect(payoutService.executePayout(requested.id, 'admin-1'))
+        .rejects.toThrow('Invalid payout status transition from requested to processing');
+    });
+
+    it('should not allow approving a rejected payout', async () => {
+      const requested = await payoutService.requestPayout('provider-1', 1000);
+      await payoutService.rejectPayout(requested.id, 'admin-1', 'Suspicious activity');
+
+      await expect(payoutService.approvePayout(requested.id, 'admin-1'))
+        .rejects.toThrow('Invalid payout status transition from rejected to approved');
+    });
+
+    it('should mark failed transfers and allow a retry', async () => {
+      const requested = await payoutService.requestPayout('provider-1', 1000, 'method-2');
+      await payoutService.approvePayout(requested.id, 'admin-1');
+
+      const failed = await payoutService.executePayout(requested.id, 'admin-1');
+      expect(failed.status).toBe('failed');
+      expect(failed.failureReason).toBeTruthy();
+
+      const retried = await payoutService.retryPayout(requested.id, 'admin-1');
+      expect(retried.attempts).toBe(2);
+      expect(retried.statusHistory.map(entry => entry.to)).toContain('retried');
+    });
+
+    it('should stop retrying after the maximum attempts', async () => {
+      const requested = await payoutService.requestPayout('provider-1', 1000, 'method-2');
+      await payoutService.approvePayout(requested.id, 'admin-1');
+      await payoutService.executePayout(requested.id, 'admin-1');
+      await payoutService.retryPayout(requested.id, 'admin-1');
+      await payoutService.retryPayout(requested.id, 'admin-1');
+
+      await expect(payoutService.retryPayout(requested.id, 'admin-1'))
+        .rejects.toThrow('already been attempted 3 times');
+    });
+  });
+
+  describe('runScheduledPayouts', () => {
+    it('should request and send payouts for providers scheduled today', async () => {
+      const monday = new Date('2024-01-01T06:00:00.000Z');
+      mockStore.payoutSchedules = {
+        'provider-1': { enabled: true, dayOfWeek: monday.getDay(), payoutMethodId: null, minimumAmount: 100 },
+        'provider-2': { enabled: false, dayOfWeek: monday.getDay(), payoutMethodId: null, minimumAmount: 100 },
+      };
+
+      const summary = await payoutService.runScheduledPayouts(monday);
+
+      expect(summary).toEqual({ checked: 1, requested: 1, executed: 1, skipped: 0, failed: 0 });
+      const [payout] = Object.keys(mockStore.payouts).map(id => new Payout({ id, ...mockStore.payouts[id] }));
+      expect(payout.status).toBe('paid');
+      expect(payout.scheduled).toBe(true);
+      expect(mockStore.payoutSchedules['provider-1'].lastRunAt).toBe(monday.toISOString());
+    });
+
+    it('should only pay out earnings that have not been paid out before', async () => {
+      const actualFinancialService = jest.requireActual('../services/financialService');
+      financialService.getAvailableBalance.mockImplementation(id => actualFinancialService.getAvailableBalance(id));
+      jest.spyOn(actualFinancialService, 'calculateProviderEarnings').mockResolvedValue({ summary: { totalEarnings: 5000 } });
+
+      // Last week's run paid 3000, and a rejected request never left
+      mockStore.payouts = {
+        payout_paid: { providerId: 'provider-1', amount: 3000, status: 'paid', createdAt: '2023-12-25T06:00:00.000Z' },
+        payout_rejected: { providerId: 'provider-1', amount: 800, status: 'rejected', createdAt: '2023-12-27T06:00:00.000Z' },
+      };
+      const monday = new Date('2024-01-01T06:00:00.000Z');
+      mockStore.payoutSchedules = {
+        'provider-1': { enabled: true, dayOfWeek: monday.getDay(), payoutMethodId: null, minimumAmount: 100 },
+      };
+
+      const balance = await actualFinancialService.getAvailableBalance('provider-1');
+      expect(balance).toMatchObject({ totalEarnings: 5000, pendingPayouts: 0, paidOut: 3000, availableBalance: 2000 });
+
+      await payoutService.runScheduledPayouts(monday);
+      const scheduled = Object.values(mockStore.payouts).filter(payout => payout.scheduled);
+      expect(scheduled.map(payout => [payout.amount, payout.status])).toEqual([[2000, 'paid']]);
+
+      // With no new earnings the next week has nothing left to send
+      const nextMonday = new Date('2024-01-08T06:00:00.000Z');
+      const summary = await payoutService.runScheduledPayouts(nextMonday);
+      expect(summary).toMatchObject({ checked: 1, requested: 0, skipped: 1 });
+    });
+
+    it('should skip providers below their minimum amount', async () => {
+      const monday = new Date('2024-01-01T06:00:00.000Z');
+      mockStore.payoutSchedules = {
+        'provider-1': { enabled: true, dayOfWeek: monday.getDay(), payoutMethodId: null, minimumAmount: 3000 },
+      };
+
+      const summary = await payoutService.runScheduledPayouts(monday);
+
+      expect(summary.skipped).toBe(1);
+      expect(mockStore.payouts).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const mockStore = {};
+
+// Minimal in-memory Realtime Database supporting the calls the pricing code makes
+jest.mock('../config/firebase', () => {
+  let counter = 0;
+
+  const read = (path) => path.split('/').reduce(
+    (node, key) => (node && node[key] !== undefined ? node[key] : null),
+    mockStore
+  );
+
+  const write = (path, value) => {
+    const keys = path.split('/');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, mockStore);
+    parent[last] = value;
+  };
+
+  const ref = (path) => ({
+    once: async () => ({ val: () => read(path) }),
+    update: async (value) => write(path, { ...(read(path) || {}), ...JSON.parse(JSON.stringify(value)) }),
+    push: async (value) => {
+      const key = `key_${++counter}`;
+      write(`${path}/${key}`, JSON.parse(JSON.stringify(value)));
+      return { key };
+    },
+    orderByChild: (child) => ({
+      equalTo: (expected) => ({
+        once: async () => ({
+          val: () => {
+            const matches = Object.entries(read(path) || {}).filter(([, item]) => item[child] === expected);
+            return matches.length > 0 ? Object.fromEntries(matches) : null;
+          },
+        }),
+      }),
+    }),
+  });
+
+  const firestoreDoc = { set: jest.fn().mockResolvedValue() };
+
+  return {
+    getDatabase: () => ({ ref }),
+    getFirestore: () => ({ collection: () => ({ doc: () => firestoreDoc }) }),
+  };
+});
+
+jest.mock('../services/metricsService', () => ({ getSearchVolume: jest.fn().mockReturnValue(0) }));
+jest.mock('../config/socket', () => ({ emitRideUpdate: jest.fn() }));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const pricingService = require('../services/pricingService');
+const metricsService = require('../services/metricsService');
+const dynamicPricing = require('../utils/dynamicPricing');
+
+describe('Dynamic pricing', () => {
+  const now = new Date('2026-03-02T06:00:00');
+
+  const buildRide = (overrides = {}) => ({
+    driverId: 'driver_1',
+    status: 'published',
+    origin: { city: 'Mumbai' },
+    destination: { city: 'Pune' },
+    departureDate: '2026-03-04',
+    departureTime: '09:00',
+    totalSeats: 4,
+    availableSeats: 2,
+    pricePerSeat: 500,
+    dynamicPricing: { enabled: true, basePrice: 500, minPrice: 400, maxPrice: 650, multiplier: 1 },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+    metricsService.getSearchVolume.mockReturnValue(0);
+  });
+
+  describe('normalizeDynamicPricing', () => {
+    it('should use the ride price as base price and default the bounds to it', () => {
+      expect(dynamicPricing.normalizeDynamicPricing({ enabled: true, maxPrice: 700 }, 500)).toEqual({
+        enabled: true,
+        basePrice: 500,
+        minPrice: 500,
+        maxPrice: 700,
+        multiplier: 1,
+        lastRepricedAt: null,
+      });
+      expect(dynamicPricing.normalizeDynamicPricing(undefined, 500)).toEqual({ enabled: false });
+    });
+
+    it('should reject bounds that leave out the base price', () => {
+      expect(() => dynamicPricing.normalizeDynamicPricing({ enabled: true, minPrice: 550, maxPrice: 700 }, 500))
+        .toThrow('Dynamic pricing bounds must include the base seat price');
+    });
+  });
+
+  describe('calculateDynamicPrice', () => {
+    it('should raise the price of a busy, heavily searched ride close to departure', () => {
+      const ride = buildRide({ availableSeats: 0, departureDate: '2026-03-02', departureTime: '10:00' });
+      const quote = dynamicPricing.calculateDynamicPrice(ride, { searchVolume: 50, highSearchVolume: 50, now });
+
+      expect(quote.factors).toEqual({ searchVolume: 0.2, fillRate: 0.15, timeToDeparture: 0.1 });
+      expect(quote.multiplier).toBe(1.45);
+      expect(quote.price).toBe(650); // 725 capped at the provider's maximum
+    });
+
+    it('should lower the price of an empty ride close to departure, down to the minimum', () => {
+      const ride = buildRide({ availableSeats: 4, departureDate: '2026-03-02', departureTime: '10:00' });
+      const quote = dynamicPricing.calculateDynamicPrice(ride, { searchVolume: 0, highSearchVolume: 50, now });
+
+      expect(quote.multiplier).toBe(0.75);
+      expect(quote.price).toBe(400);
+    });
+
+    it('should leave a half-full ride far from departure at the base price', () => {
+      const quote = dynamicPricing.calculateDynamicPrice(buildRide(), { searchVolume: 0, highSearchVolume: 50, now });
+      expect(quote.price).toBe(500);
+    });
+  });
+
+  describe('getPriceLock', () => {
+    it('should record the base price and multiplier a booking was made at', () => {
+      const lock = dynamicPricing.getPriceLock(buildRide({ pricePerSeat: 600 }), now);
+
+      expect(lock).toEqual({
+        priceLockedAt: now.toISOString(),
+        dynamicPricing: true,
+        basePricePerSeat: 500,
+        priceMultiplier: 1.2,
+      });
+      expect(dynamicPricing.getPriceLock({ pricePerSeat: 300 }, now).priceMultiplier).toBe(1);
+    });
+  });
+
+  describe('repriceUpcomingRides', () => {
+    it('should reprice opted-in rides and record the change in the price history', async () => {
+      mockStore.rides = {
+        ride_1: buildRide({ availableSeats: 1 }),
+        ride_2: buildRide({ availableSeats: 1, dynamicPricing: { enabled: false } }),
+      };
+      metricsService.getSearchVolume.mockReturnValue(25);
+
+      const results = await pricingService.repriceUpcomingRides(now);
+
+      expect(results).toEqual({ rides: 1, repriced: 1, errors: 0 });
+      expect(mockStore.rides.ride_1.pricePerSeat).toBe(590); // 500 x (1 + 0.1 search + 0.08 fill)
+      expect(mockStore.rides.ride_1.dynamicPricing.lastRepricedAt).toBe(now.toISOString());
+      expect(mockStore.rides.ride_2.pricePerSeat).toBe(500);
+
+      const [entry] = Object.values(mockStore.priceHistory.ride_1);
+      expect(entry).toMatchObject({ previousPrice: 500, price: 590, source: 'dynamic', multiplier: 1.18 });
+    });
+
+    it('should skip changes below the minimum step', async () => {
+      mockStore.rides = { ride_1: buildRide({ pricePerSeat: 505 }) };
+
+      const results = await pricingService.repriceUpcomingRides(now);
+
+      expect(results.repriced).toBe(0);
+      expect(mockStore.rides.ride_1.pricePerSeat).toBe(505);
+      expect(mockStore.priceHistory).toBeUndefined();
+    });
+  });
+
+  describe('getPriceHistory', () => {
+    it('should only show a ride\'s price history to its driver', async () => {
+      mockStore.rides = { ride_1: buildRide() };
+      await pricingService.recordPriceChange('ride_1', { previousPrice: 450, price: 500, source: 'provider' });
+
+      const result = await pricingService.getPriceHistory('ride_1', 'driver_1');
+      expect(result.history).toHaveLength(1);
+      expect(result.history[0]).toMatchObject({ previousPrice: 450, price: 500, source: 'provider' });
+
+      await expect(pricingService.getPriceHistory('ride_1', 'driver_2'))
+        .rejects.toThrow('You can only view the price history of your own rides');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const mockStore = {};
+
+// Minimal in-memory Realtime Database supporting the calls the promo code makes
+jest.mock('../config/firebase', () => {
+  let counter = 0;
+
+  const read = (path) => path.split('/').reduce(
+    (node, key) => (node && node[key] !== undefined ? node[key] : null),
+    mockStore
+  );
+
+  const write = (path, value) => {
+    const keys = path.split('/');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, mockStore);
+    parent[last] = value;
+  };
+
+  const ref = (path) => ({
+    once: async () => ({ val: () => read(path) }),
+    set: async (value) => write(path, JSON.parse(JSON.stringify(value))),
+    update: async (value) => write(path, { ...(read(path) || {}), ...JSON.parse(JSON.stringify(value)) }),
+    push: async (value) => {
+      const key = `key_${++counter}`;
+      write(`${path}/${key}`, JSON.parse(JSON.stringify(value)));
+      return { key };
+    },
+    transaction: async (update) => {
+      const value = update(read(path));
+      if (value === undefined) {
+        return { committed: false };
+      }
+      write(path, value);
+      return { committed: true };
+    },
+    orderByChild: (child) => ({
+      equalTo: (expected) => ({
+        once: async () => ({
+          val: () => {
+            const matches = Object.entries(read(path) || {}).filter(([, item]) => item[child] === expected);
+            return matches.length > 0 ? Object.fromEntries(matches) : null;
+          },
+        }),
+      }),
+    }),
+  });
+
+  return { getDatabase: () => ({ ref }) };
+});
+
+jest.mock('../models/Ride', () => ({ findById: jest.fn() }));
+jest.mock('../models/User', () => ({ findByUid: jest.fn(), findByReferralCode: jest.fn() }));
+jest.mock('../services/walletService', () => ({ creditPromotion: jest.fn().mockResolvedValue({}) }));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const promoService = require('../services/promoService');
+const referralService = require('../services/referralService');
+const walletService = require('../services/walletService');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+
+describe('Promo codes and referrals', () => {
+  const now = new Date('2026-05-10T10:00:00Z');
+
+  const buildBooking = (overrides = {}) => ({
+    id: 'booking_1',
+    rideId: 'ride_1',
+    passengerId: 'user_1',
+    pricing: { totalAmount: 400 },
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  });
+
+  const buildUser = (overrides = {}) => ({
+    uid: 'user_1',
+    stats: {},
+    referral: {},
+    updateReferral: jest.fn(function (data) {
+      this.referral = { ...this.referral, ...data };
+      return Promise.resolve(this);
+    }),
+    ...overrides,
+  });
+
+  const createPromo = (overrides = {}) => promoService.createPromoCode({
+    code: 'save20',
+    discountType: 'percentage',
+    discountValue: 20,
+    maxDiscount: 100,
+    ...overrides,
+  }, 'admin');
+
+  beforeEach(() => {
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+    jest.clearAllMocks();
+    User.findByUid.mockResolvedValue(buildUser());
+  });
+
+  describe('createPromoCode', () => {
+    it('should store codes upper case and reject duplicates', async () => {
+      const promo = await createPromo();
+
+      expect(promo.code).toBe('SAVE20');
+      expect(promo.perUserLimit).toBe(1);
+      await expect(createPromo()).rejects.toThrow('Promo code SAVE20 already exists');
+    });
+
+    it('should reject invalid discounts and validity windows', () => {
+      expect(() => promoService.normalizePromoData({ code: 'BIG', discountType: 'percentage', discountValue: 150 }))
+        .toThrow('at most 100 for percentages');
+      expect(() => promoService.normalizePromoData({
+        code: 'LATE',
+        discountType: 'flat',
+        discountValue: 50,
+        validFrom: '2026-06-01',
+        validUntil: '2026-05-01',
+      })).toThrow('valid from before it is valid until');
+    });
+  });
+
+  describe('quoteDiscount', () => {
+    it('should cap percentage discounts and never exceed the fare', async () => {
+      await createPromo();
+      await createPromo({ code: 'FLAT500', discountType: 'flat', discountValue: 500, maxDiscount: null });
+
+      const capped = await promoService.quoteDiscount('save20', { userId: 'user_1', booking: buildBooking({ pricing: { totalAmount: 800 } }), now });
+      expect(capped.discountAmount).toBe(100);
+
+      const flat = await promoService.quoteDiscount('FLAT500', { userId: 'user_1', booking: buildBooking(), now });
+      expect(flat.discountAmount).toBe(400);
+    });
+
+    it('should enforce the validity window and minimum booking amount', async () => {
+      await createPromo({ validUntil: '2026-05-01T00:00:00Z' });
+      await createPromo({ code: 'BIGTRIP', minBookingAmount: 1000 });
+
+      await expect(promoService.quoteDiscount('SAVE20', { userId: 'user_1', booking: buildBooking(), now }))
+        .rejects.toThrow('Promo code has expired');
+      await expect(promoService.quoteDiscount('BIGTRIP', { userId: 'user_1', booking: buildBooking(), now }))
+        .rejects.toThrow('Promo code requires a booking of at least ₹1000');
+    });
+
+    it('should restrict codes to their routes and to first rides', async () => {
+      await createPromo({ routeIds: ['route_a'] });
+      await createPromo({ code: 'WELCOME', firstRideOnly: true });
+
+      Ride.findById.mockResolvedValue({ routeId: 'route_b' });
+      await expect(promoService.quoteDiscount('SAVE20', { userId: 'user_1', booking: buildBooking(), now }))
+        .rejects.toThrow('Promo code is not valid for this route');
+
+      User.findByUid.mockResolvedValue(buildUser({ stats: { completedRidesAsPassenger: 2 } }));
+      await expect(promoService.quoteDiscount('WELCOME', { userId: 'user_1', booking: buildBooking(), now }))
+        .rejects.toThrow('Promo code is only valid on your first ride');
+    });
+  });
+
+  describe('applyToBooking', () => {
+    it('should enforce per-user and global limits but let a booking retry with its code', async () => {
+      const promo = await createPromo({ usageLimit: 2 });
+
+      await promoService.applyToBooking(buildBooking(), 'user_1', 'SAVE20');
+      await promoService.applyToBooking(buildBooking(), 'user_1', 'SAVE20'); // Retried payment
+      expect(mockStore.promoCodes[promo.id].usageCount).toBe(1);
+
+      await expect(promoService.applyToBooking(buildBooking({ id: 'booking_2' }), 'user_1', 'SAVE20'))
+        .rejects.toThrow('You have already used this promo code');
+
+      await promoService.applyToBooking(buildBooking({ id: 'booking_3', passengerId: 'user_2' }), 'user_2', 'SAVE20');
+      await expect(promoService.applyToBooking(buildBooking({ id: 'booking_4', passengerId: 'user_3' }), 'user_3', 'SAVE20'))
+        .rejects.toThrow('Promo code usage limit reached');
+    });
+
+    it('should record the discount on the booking and release a replaced code', async () => {
+      const first = await createPromo();
+      await createPromo({ code: 'FLAT50', discountType: 'flat', discountValue: 50 });
+      const booking = buildBooking();
+
+      expect(await promoService.applyToBooking(booking, 'user_1', 'SAVE20')).toBe(80);
+      expect(booking.pricing).toMatchObject({ promoCode: 'SAVE20', discountAmount: 80 });
+
+      expect(await promoService.applyToBooking(booking, 'user_1', 'FLAT50')).toBe(50);
+      expect(booking.pricing).toMatchObject({ promoCode: 'FLAT50', discountAmount: 50 });
+      expect(mockStore.promoCodes[first.id].usageCount).toBe(0);
+      expect(mockStore.promoRedemptions[first.id].booking_1.status).toBe('released');
+    });
+
+    it('should keep a code held while another payment attempt with it is still pending', async () => {
+      const promo = await createPromo();
+      await promoService.applyToBooking(buildBooking(), 'user_1', 'SAVE20');
+      mockStore.payments = {
+        payment_1: { bookingId: 'booking_1', status: 'failed', pricing: { promoCodeId: promo.id } },
+        payment_2: { bookingId: 'booking_1', status: 'pending', pricing: { promoCodeId: promo.id } },
+      };
+
+      await promoService.releaseForFailedPayment('booking_1', promo.id, 'payment_1');
+      expect(mockStore.promoCodes[promo.id].usageCount).toBe(1);
+
+      mockStore.payments.payment_2.status = 'failed';
+      await promoService.releaseForFailedPayment('booking_1', promo.id, 'payment_2');
+      expect(mockStore.promoCodes[promo.id].usageCount).toBe(0);
+      expect(mockStore.promoRedemptions[promo.id].booking_1.status).toBe('released');
+    });
+  });
+
+  describe('referrals', () => {
+    it('should not let users refer themselves or apply a code after a completed ride', async () => {
+      User.findByReferralCode.mockResolvedValue(buildUser());
+      await expect(referralService.applyReferralCode('user_1', 'tripoabc123'))
+        .rejects.toThrow('You cannot use your own referral code');
+
+      User.findByUid.mockResolvedValue(buildUser({ stats: { completedRidesAsPassenger: 1 } }));
+      await expect(referralService.applyReferralCode('user_1', 'TRIPOABC123'))
+        .rejects.toThrow('before your first completed ride');
+    });
+
+    it('should credit both sides once after the referee\'s first completed ride', async () => {
+      const referee = buildUser({ referral: { referredBy: 'user_2' } });
+      User.findByUid.mockResolvedValue(referee);
+
+      await referralService.rewardReferral('user_1');
+      await referralService.rewardReferral('user_1');
+
+      expect(walletService.creditPromotion).toHaveBeenCalledTimes(2);
+      expect(walletService.creditPromotion).toHaveBeenCalledWith(expect.objectContaining({
+        transactionId: 'referral_user_1_referee',
+        userId: 'user_1',
+        amount: 100,
+      }));
+      expect(walletService.creditPromotion).toHaveBeenCalledWith(expect.objectContaining({
+        transactionId: 'referral_user_1_referrer',
+        userId: 'user_2',
+        amount: 100,
+      }));
+      expect(referee.referral.rewardedAt).toBeTruthy();
+    });
+  });
+});
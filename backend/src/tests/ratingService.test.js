@@ -70,6 +70,26 @@ describe('RatingService', () => {
       const level = RatingService.calculateVerificationLevel(user);
       expect(level).toBe('experienced');
     });
+
+    it('should lower the level for upheld no-shows', () => {
+      const user = {
+        verification: { email: true, phone: true },
+        rating: {
+          asPassenger: { average: 0, count: 0 },
+          asDriver: { average: 4.0, count: 10 }
+        },
+        stats: {
+          completionRate: 85,
+          memberSince: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000)
+        }
+      };
+
+      expect(RatingService.calculateVerificationLevel(user)).toBe('verified');
+
+      user.stats.driverNoShows = 1;
+      user.stats.passengerNoShows = 1;
+      expect(RatingService.calculateVerificationLevel(user)).toBe('basic');
+    });
   });
 
   describe('getVerificationLevelInfo', () => {
@@ -0,0 +1,114 @@
+// setup.js mocks socket.io globally; these tests need real servers
+const { Server } = jest.requireActual('socket.io');
+const { createMemoryPubSub } = require('../config/redis');
+const { createPubSubAdapter } = require('../config/socketAdapter');
+const presenceService = require('../services/presenceService');
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('Realtime across instances', () => {
+  describe('pub/sub adapter', () => {
+    let servers = [];
+
+    const startServer = (pubSub) => {
+      const io = new Server({ adapter: createPubSubAdapter(pubSub, { heartbeatInterval: 50 }) });
+      servers.push(io);
+      return io;
+    };
+
+    afterEach(() => {
+      // The servers have no HTTP listener, so only the adapters (and their heartbeats) need stopping
+      servers.forEach(io => io.of('/').adapter.close());
+      servers = [];
+    });
+
+    it('should relay server-side events to the other instance but not back to the sender', async () => {
+      const pubSub = createMemoryPubSub();
+      const first = startServer(pubSub);
+      const second = startServer(pubSub);
+      const ownHandler = jest.fn();
+      first.on('ride_cache_invalidated', ownHandler);
+
+      const received = new Promise(resolve => second.on('ride_cache_invalidated', resolve));
+      first.serverSideEmit('ride_cache_invalidated', { rideId: 'ride_1' });
+
+      await expect(received).resolves.toEqual({ rideId: 'ride_1' });
+      expect(ownHandler).not.toHaveBeenCalled();
+    });
+
+    it('should count every instance on the transport', async () => {
+      const pubSub = createMemoryPubSub();
+      const first = startServer(pubSub);
+      startServer(pubSub);
+      startServer(createMemoryPubSub()); // A separate cluster
+
+      await new Promise(resolve => setTimeout(resolve, 120));
+
+      await expect(first.of('/').adapter.serverCount()).resolves.toBe(2);
+    });
+  });
+
+  describe('presence', () => {
+    const now = new Date('2026-07-01T12:00:00Z');
+    const secondsLater = (seconds) => new Date(now.getTime() + seconds * 1000);
+
+    let instanceA;
+    let instanceB;
+
+    beforeEach(() => {
+      instanceA = new presenceService.constructor();
+      instanceA.serverId = 'instance-a';
+      instanceB = new presenceService.constructor();
+      instanceB.serverId = 'instance-b';
+      instanceB.memoryStore = instanceA.memoryStore; // Stands in for the shared Redis
+    });
+
+    it('should keep a user online until their last connection on any instance closes', async () => {
+      await instanceA.reportInstance({}, now);
+      await instanceB.reportInstance({}, now);
+
+      await expect(instanceA.userConnected('user_1', now)).resolves.toBe(true);
+      await expect(instanceB.userConnected('user_1', now)).resolves.toBe(false);
+
+      await expect(instanceA.userDisconnected('user_1', secondsLater(5))).resolves.toBe(false);
+      expect(await instanceB.getPresence('user_1', secondsLater(5))).toMatchObject({ online: true, connections: 1 });
+
+      await expect(instanceB.userDisconnected('user_1', secondsLater(10))).resolves.toBe(true);
+      expect(await instanceA.getPresence('user_1', secondsLater(10))).toEqual({
+        userId: 'user_1',
+        online: false,
+        status: 'offline',
+        connections: 0,
+        lastSeen: secondsLater(10).toISOString(),
+      });
+    });
+
+    it('should share a chosen status between instances', async () => {
+      await instanceA.reportInstance({}, now);
+      await instanceA.userConnected('user_1', now);
+
+      await instanceA.setStatus('user_1', 'away', now);
+
+      expect((await instanceB.getPresence('user_1', now)).status).toBe('away');
+    });
+
+    it('should drop users of an instance that stopped sending heartbeats', async () => {
+      await instanceA.reportInstance({}, now);
+      await instanceB.reportInstance({}, now);
+      await instanceA.userConnected('user_1', now);
+      await instanceB.userConnected('user_2', now);
+
+      expect(await instanceA.getClusterSummary(now)).toEqual({ onlineUsers: 2, instances: 2 });
+
+      // Instance A keeps beating, instance B went away
+      await instanceA.reportInstance({}, secondsLater(120));
+      expect(await instanceA.getClusterSummary(secondsLater(120))).toEqual({ onlineUsers: 1, instances: 1 });
+      expect((await instanceA.getPresence('user_2', secondsLater(120))).online).toBe(false);
+    });
+  });
+});
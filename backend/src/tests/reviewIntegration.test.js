@@ -1,5 +1,6 @@
 const Review = require('../models/Review');
 const RatingService = require('../services/ratingService');
+const { getBoardingRequiredFrom } = require('../utils/boarding');
 
 // Mock Firebase
 jest.mock('../config/firebase', () => ({
@@ -204,6 +205,7 @@ describe('Review Integration Tests', () => {
                 status: 'completed',
                 passengerId: 'passenger-123',
                 driverId: 'driver-123',
+                boarding: { boardedAt: new Date().toISOString() },
                 completedAt: { toDate: () => new Date() } // Mock Firestore timestamp
               })
             })
@@ -225,6 +227,67 @@ describe('Review Integration Tests', () => {
       expect(result.reviewerRole).toBe('passenger');
       expect(result.revieweeId).toBe('driver-123');
     });
+
+    it('should only allow reviews of trips the passenger was checked in for', async () => {
+      const booking = {
+        status: 'completed',
+        passengerId: 'passenger-123',
+        driverId: 'driver-123',
+        confirmedAt: { toDate: () => new Date() },
+        completedAt: { toDate: () => new Date() },
+        boarding: null
+      };
+      const mockFirestore = {
+        collection: jest.fn(() => ({
+          doc: jest.fn(() => ({
+            get: jest.fn().mockResolvedValue({ exists: true, data: () => booking })
+          })),
+          where: jest.fn(() => ({
+            where: jest.fn(() => ({
+              get: jest.fn().mockResolvedValue({ empty: true })
+            }))
+          }))
+        }))
+      };
+
+      const { getFirestore } = require('../config/firebase');
+      getFirestore.mockReturnValue(mockFirestore);
+
+      expect(await Review.canReviewBooking('booking-123', 'driver-123'))
+        .toEqual({ canReview: false, reason: 'Passenger was not checked in for this trip' });
+
+      booking.boarding = { boardedAt: new Date().toISOString(), method: 'pin', boardedBy: 'driver-123' };
+      expect((await Review.canReviewBooking('booking-123', 'driver-123')).canReview).toBe(true);
+    });
+
+    it('should allow reviews of trips confirmed before boarding codes were required', async () => {
+      const mockFirestore = {
+        collection: jest.fn(() => ({
+          doc: jest.fn(() => ({
+            get: jest.fn().mockResolvedValue({
+              exists: true,
+              data: () => ({
+                status: 'completed',
+                passengerId: 'passenger-123',
+                driverId: 'driver-123',
+                confirmedAt: { toDate: () => new Date(getBoardingRequiredFrom().getTime() - 24 * 60 * 60 * 1000) },
+                completedAt: { toDate: () => new Date() }
+              })
+            })
+          })),
+          where: jest.fn(() => ({
+            where: jest.fn(() => ({
+              get: jest.fn().mockResolvedValue({ empty: true })
+            }))
+          }))
+        }))
+      };
+
+      const { getFirestore } = require('../config/firebase');
+      getFirestore.mockReturnValue(mockFirestore);
+
+      expect((await Review.canReviewBooking('booking-123', 'passenger-123')).canReview).toBe(true);
+    });
   });
 
   describe('Rating Statistics', () => {
@@ -0,0 +1,248 @@
+const mockStore = {};
+
+// Minimal in-memory Realtime Database supporting the calls the schedule code makes
+jest.mock('../config/firebase', () => {
+  let counter = 0;
+
+  const read = (path) => path.split('/').reduce(
+    (node, key) => (node && node[key] !== undefined ? node[key] : null),
+    mockStore
+  );
+
+  const write = (path, value) => {
+    const keys = path.split('/');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, mockStore);
+    parent[last] = value;
+  };
+
+  const snapshot = (path) => ({ val: () => read(path), exists: () => read(path) !== null });
+
+  const ref = (path) => ({
+    once: async () => snapshot(path),
+    // Returning undefined from the update function aborts, as in the Realtime Database
+    transaction: async (update) => {
+      const next = update(JSON.parse(JSON.stringify(read(path))));
+      if (next === undefined) {
+        return { committed: false, snapshot: snapshot(path) };
+      }
+      write(path, JSON.parse(JSON.stringify(next)));
+      return { committed: true, snapshot: snapshot(path) };
+    },
+    child: (childPath) => ref(`${path}/${childPath}`),
+    remove: async () => write(path, null),
+    update: async (value) => write(path, { ...(read(path) || {}), ...JSON.parse(JSON.stringify(value)) }),
+    push: async (value) => {
+      const key = `key_${++counter}`;
+      write(`${path}/${key}`, JSON.parse(JSON.stringify(value)));
+      return { key };
+    },
+    orderByChild: (child) => ({
+      equalTo: (expected) => ({
+        once: async () => ({
+          val: () => {
+            const matches = Object.entries(read(path) || {}).filter(([, item]) => item[child] === expected);
+            return matches.length > 0 ? Object.fromEntries(matches) : null;
+          },
+        }),
+      }),
+    }),
+  });
+
+  const firestoreDoc = { set: jest.fn().mockResolvedValue(), get: jest.fn().mockResolvedValue({ exists: false }) };
+
+  return {
+    getDatabase: () => ({ ref }),
+    getFirestore: () => ({ collection: () => ({ doc: () => firestoreDoc }) }),
+  };
+});
+
+jest.mock('../services/rideService', () => ({
+  validateVehicleForRide: jest.fn(),
+  createRide: jest.fn(),
+  createRideFromRoute: jest.fn(),
+  updateRide: jest.fn(),
+}));
+jest.mock('../services/notificationService', () => ({ sendComprehensiveNotification: jest.fn() }));
+jest.mock('../services/notificationPreferencesService', () => ({
+  getNotificationChannels: jest.fn().mockResolvedValue({ realtime: true }),
+  getFCMToken: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../services/walletService', () => ({
+  refundToWallet: jest.fn(async (payment, amount) => ({
+    success: true,
+    refundId: `refund_${payment.id}`,
+    amount,
+    status: 'processed',
+    gateway: 'wallet',
+  })),
+}));
+jest.mock('../services/waitlistService', () => ({
+  processFreedSeats: jest.fn().mockResolvedValue([]),
+  cancelRideWaitlist: jest.fn().mockResolvedValue(0),
+}));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const rideScheduleService = require('../services/rideScheduleService');
+const RideSchedule = require('../models/RideSchedule');
+const rideService = require('../services/rideService');
+const NotificationService = require('../services/notificationService');
+const walletService = require('../services/walletService');
+const waitlistService = require('../services/waitlistService');
+
+describe('RideScheduleService', () => {
+  // Monday 2 March 2026, before the 08:30 departure
+  const monday = new Date('2026-03-02T06:00:00');
+
+  const weekdayCommute = {
+    template: {
+      origin: { city: 'Thane' },
+      destination: { city: 'Andheri' },
+      totalSeats: 3,
+      pricePerSeat: 120,
+      vehicleId: 'vehicle-1',
+    },
+    recurrence: {
+      daysOfWeek: [1, 2, 3, 4, 5],
+      departureTime: '08:30',
+      startDate: '2026-03-02',
+      skipDates: ['2026-03-04'],
+    },
+    daysAhead: 7,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(monday);
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+
+    let rideCounter = 0;
+    rideService.createRide.mockImplementation(async (driverId, rideData) => {
+      const id = `ride-${++rideCounter}`;
+      mockStore.rides = { ...mockStore.rides, [id]: { ...rideData, driverId, status: 'published' } };
+      return { id, ...rideData };
+    });
+    rideService.updateRide.mockImplementation(async (rideId, driverId, changes) => ({
+      id: rideId,
+      ...mockStore.rides[rideId],
+      ...changes,
+    }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('RideSchedule recurrence', () => {
+    it('should respect weekdays, skip dates and the end date', () => {
+      const schedule = new RideSchedule({ recurrence: { ...weekdayCommute.recurrence, endDate: '2026-03-06' } });
+
+      expect(schedule.getOccurrenceDates('2026-03-01', 10))
+        .toEqual(['2026-03-02', '2026-03-03', '2026-03-05', '2026-03-06']);
+    });
+  });
+
+  it('should create rides for the coming days when a schedule is created', async () => {
+    const { schedule, rides } = await rideScheduleService.createSchedule('driver-1', weekdayCommute);
+
+    // Mon, Tue, Thu, Fri and next Monday (Wednesday is skipped)
+    expect(rides).toHaveLength(5);
+    expect(Object.keys(schedule.instances)).toEqual(['2026-03-02', '2026-03-03', '2026-03-05', '2026-03-06', '2026-03-09']);
+    expect(rideService.createRide).toHaveBeenCalledWith('driver-1', expect.objectContaining({
+      departureDate: '2026-03-02',
+      departureTime: '08:30',
+      pricePerSeat: 120,
+      recurringSchedule: { scheduleId: schedule.id, occurrenceDate: '2026-03-02', version: 1 },
+    }));
+  });
+
+  it('should only add new dates when the job runs again', async () => {
+    await rideScheduleService.createSchedule('driver-1', weekdayCommute);
+
+    const results = await rideScheduleService.generateUpcomingRides(new Date('2026-03-03T06:00:00'));
+
+    expect(results).toEqual({ schedules: 1, ridesCreated: 1, errors: 0 });
+    expect(rideService.createRide).toHaveBeenLastCalledWith('driver-1', expect.objectContaining({ departureDate: '2026-03-10' }));
+  });
+
+  it('should change only future rides on edit and tell their passengers', async () => {
+    const { schedule } = await rideScheduleService.createSchedule('driver-1', weekdayCommute);
+    const fridayRideId = schedule.instances['2026-03-06'].rideId;
+    const tuesdayRideId = schedule.instances['2026-03-03'].rideId;
+    mockStore.bookings = {
+      'booking-fri': { rideId: fridayRideId, passengerId: 'passenger-1', driverId: 'driver-1', status: 'confirmed' },
+      'booking-tue': { rideId: tuesdayRideId, passengerId: 'passenger-2', driverId: 'driver-1', status: 'confirmed' },
+    };
+
+    // Monday's ride has left; drop Fridays and move to 09:00
+    const result = await rideScheduleService.updateSchedule(schedule.id, 'driver-1', {
+      recurrence: { daysOfWeek: [1, 2, 3, 4], departureTime: '09:00' },
+    }, new Date('2026-03-02T10:00:00'));
+
+    expect(result.cancelledRides).toBe(1);
+    expect(result.updatedRides).toBe(3); // Tue, Thu, next Mon
+    expect(rideService.updateRide).not.toHaveBeenCalledWith(schedule.instances['2026-03-02'].rideId, expect.anything(), expect.anything());
+    expect(rideService.updateRide).toHaveBeenCalledWith(tuesdayRideId, 'driver-1', expect.objectContaining({ departureTime: '09:00' }));
+
+    expect(mockStore.rides[fridayRideId].status).toBe('cancelled');
+    expect(mockStore.bookings['booking-fri']).toMatchObject({ status: 'cancelled', cancelledBy: 'driver' });
+    expect(mockStore.bookings['booking-tue'].status).toBe('confirmed');
+
+    const notified = NotificationService.sendComprehensiveNotification.mock.calls.map(([userId, notification]) => [userId, notification.type]);
+    expect(notified).toEqual(expect.arrayContaining([['passenger-1', 'ride_cancelled'], ['passenger-2', 'ride_updated']]));
+
+    const saved = await RideSchedule.findById(schedule.id);
+    expect(saved.version).toBe(2);
+    expect(saved.instances['2026-03-02']).toMatchObject({ departureTime: '08:30', status: 'scheduled' });
+    expect(saved.instances['2026-03-06'].status).toBe('cancelled');
+  });
+
+  it('should refund paid passengers in full, free their seats and close the waitlist when a ride is dropped', async () => {
+    const { schedule } = await rideScheduleService.createSchedule('driver-1', weekdayCommute);
+    const fridayRideId = schedule.instances['2026-03-06'].rideId;
+    mockStore.rides[fridayRideId] = { ...mockStore.rides[fridayRideId], availableSeats: 2, passengers: { 'passenger-1': true } };
+    mockStore.bookings = {
+      'booking-fri': { rideId: fridayRideId, passengerId: 'passenger-1', driverId: 'driver-1', status: 'confirmed', seatsBooked: 1 },
+    };
+    mockStore.payments = {
+      'payment-1': { bookingId: 'booking-fri', userId: 'passenger-1', rideId: fridayRideId, amount: 126, gateway: 'wallet', status: 'completed' },
+    };
+
+    await rideScheduleService.updateSchedule(schedule.id, 'driver-1', {
+      recurrence: { daysOfWeek: [1, 2, 3, 4], departureTime: '08:30' },
+    }, new Date('2026-03-02T10:00:00'));
+
+    expect(walletService.refundToWallet).toHaveBeenCalledWith(expect.objectContaining({ id: 'payment-1' }), 126, expect.any(String));
+    expect(mockStore.payments['payment-1'].status).toBe('refunded');
+    expect(mockStore.bookings['booking-fri']).toMatchObject({ status: 'cancelled', cancelledBy: 'driver' });
+    expect(mockStore.rides[fridayRideId].availableSeats).toBe(3);
+    expect(mockStore.rides[fridayRideId].passengers).not.toHaveProperty('passenger-1');
+    expect(waitlistService.cancelRideWaitlist).toHaveBeenCalledWith(fridayRideId, expect.objectContaining({ type: 'ride_cancelled' }));
+  });
+
+  it('should cancel the schedule and its future rides only', async () => {
+    const { schedule } = await rideScheduleService.createSchedule('driver-1', weekdayCommute);
+
+    const result = await rideScheduleService.cancelSchedule(schedule.id, 'driver-1', 'Vehicle sold', new Date('2026-03-02T10:00:00'));
+
+    expect(result.cancelledRides).toBe(4);
+    expect(mockStore.rides[schedule.instances['2026-03-02'].rideId].status).toBe('published');
+    expect(result.schedule.status).toBe('cancelled');
+    await expect(rideScheduleService.updateSchedule(schedule.id, 'driver-1', { template: { pricePerSeat: 100 } }))
+      .rejects.toThrow('Cannot edit a schedule that has been cancelled');
+  });
+
+  it('should not let other providers manage a schedule', async () => {
+    const { schedule } = await rideScheduleService.createSchedule('driver-1', weekdayCommute);
+
+    await expect(rideScheduleService.cancelSchedule(schedule.id, 'driver-2'))
+      .rejects.toThrow('You can only manage your own ride schedules');
+  });
+});
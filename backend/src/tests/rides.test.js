@@ -1,31 +1,47 @@
 const request = require('supertest');
 const app = require('../server');
-const { initializeFirebase } = require('../config/firebase');
+const { getLocalStores, resetLocalStores } = require('../config/local');
 const { initializeRedis } = require('../config/redis');
-
-// Mock Firebase and Redis for testing
-jest.mock('../config/firebase');
-jest.mock('../config/redis');
+const User = require('../models/User');
+const rideService = require('../services/rideService');
+const vehicleService = require('../services/vehicleService');
 
 describe('Ride Management API', () => {
+  const { auth } = getLocalStores();
+  const futureDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
   let authToken;
   let mockUser;
+  let vehicle;
+
+  const publishRide = (driverId = mockUser.uid, vehicleId = vehicle.id) => rideService.createRide(driverId, {
+    vehicleId,
+    origin: { city: 'Mumbai', coordinates: { lat: 19.0596, lng: 72.8295 } },
+    destination: { city: 'Pune', coordinates: { lat: 18.5204, lng: 73.8567 } },
+    departureDate: futureDate,
+    departureTime: '09:00',
+    pricePerSeat: 300,
+    totalSeats: 3
+  });
 
   beforeAll(async () => {
-    // Mock Firebase initialization
-    initializeFirebase.mockResolvedValue(true);
-    initializeRedis.mockResolvedValue(true);
+    await initializeRedis();
 
-    // Mock user data
     mockUser = {
       uid: 'test-driver-123',
       email: 'driver@test.com',
       displayName: 'Test Driver',
       role: 'provider'
     };
+  });
 
-    // Mock auth token (in real tests, you'd generate a proper Firebase token)
-    authToken = 'mock-auth-token';
+  beforeEach(async () => {
+    resetLocalStores();
+    await auth.createUser(mockUser);
+    await new User(mockUser).save();
+    authToken = auth.createIdToken(mockUser.uid, { email: mockUser.email });
+    vehicle = await vehicleService.createVehicle(mockUser.uid, {
+      details: { make: 'Honda', model: 'City', color: 'White', year: 2020, licensePlate: 'MH01AB1234', seats: 4 }
+    });
   });
 
   describe('GET /api/rides', () => {
@@ -48,13 +64,13 @@ describe('Ride Management API', () => {
       const response = await request(app)
         .get('/api/rides')
         .query({
-          minSeats: 'invalid',
-          maxPrice: -10
+          passengers: 'invalid',
+          limit: 100
         });
 
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
-      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.errors.map(error => error.path)).toEqual(['passengers', 'limit']);
     });
 
     it('should apply filters correctly', async () => {
@@ -78,22 +94,20 @@ describe('Ride Management API', () => {
 
   describe('GET /api/rides/:rideId', () => {
     it('should return ride details for valid ID', async () => {
-      // This would need a real ride ID in actual tests
-      const rideId = 'test-ride-123';
-      
+      const ride = await publishRide();
+
       const response = await request(app)
-        .get(`/api/rides/${rideId}`);
+        .get(`/api/rides/${ride.id}`);
 
-      // In a real test, this would return 200 with ride data
-      // For now, it will return 404 since no rides exist
-      expect([200, 404]).toContain(response.status);
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: ride.id, driverId: mockUser.uid });
     });
 
-    it('should return 400 for invalid ride ID', async () => {
+    it('should return 404 for an unknown ride ID', async () => {
       const response = await request(app)
-        .get('/api/rides/');
+        .get('/api/rides/test-ride-123');
 
-      expect(response.status).toBe(404); // Route not found
+      expect(response.status).toBe(404);
     });
   });
 
@@ -109,16 +123,10 @@ describe('Ride Management API', () => {
         address: 'Koregaon Park, Pune',
         coordinates: { lat: 18.5204, lng: 73.8567 }
       },
-      departureDate: '2024-12-25',
+      departureDate: futureDate,
       departureTime: '09:00',
       pricePerSeat: 300,
       totalSeats: 3,
-      vehicle: {
-        make: 'Honda',
-        model: 'City',
-        color: 'White',
-        year: 2020
-      },
       route: {
         estimatedDuration: 180,
         distance: 150
@@ -139,11 +147,15 @@ describe('Ride Management API', () => {
       const response = await request(app)
         .post('/api/rides')
         .set('Authorization', `Bearer ${authToken}`)
-        .send(validRideData);
-
-      // This will fail in test environment due to Firebase auth
-      // In real tests with proper Firebase setup, expect 201
-      expect([201, 401, 403]).toContain(response.status);
+        .send({ ...validRideData, vehicleId: vehicle.id });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        driverId: mockUser.uid,
+        availableSeats: 3,
+        vehicle: { id: vehicle.id, make: 'Honda' },
+        bookingPolicy: { instantBooking: true, cancellationPolicy: 'flexible' }
+      });
     });
 
     it('should require authentication', async () => {
@@ -208,13 +220,16 @@ describe('Ride Management API', () => {
     });
 
     it('should validate ride ownership', async () => {
+      const otherVehicle = await vehicleService.createVehicle('other-driver', { details: { licensePlate: 'MH01CD5678', seats: 4 } });
+      const ride = await publishRide('other-driver', otherVehicle.id);
+
       const response = await request(app)
-        .put('/api/rides/test-ride-123')
+        .put(`/api/rides/${ride.id}`)
         .set('Authorization', `Bearer ${authToken}`)
         .send({ pricePerSeat: 400 });
 
-      // Will return 404 in test environment
-      expect([200, 403, 404]).toContain(response.status);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('You can only update your own rides');
     });
   });
 
@@ -227,63 +242,68 @@ describe('Ride Management API', () => {
     });
 
     it('should validate ride ownership', async () => {
+      const otherVehicle = await vehicleService.createVehicle('other-driver', { details: { licensePlate: 'MH01CD5678', seats: 4 } });
+      const ride = await publishRide('other-driver', otherVehicle.id);
+
       const response = await request(app)
-        .delete('/api/rides/test-ride-123')
+        .delete(`/api/rides/${ride.id}`)
         .set('Authorization', `Bearer ${authToken}`);
 
-      // Will return 404 in test environment
-      expect([200, 403, 404]).toContain(response.status);
+      expect(response.status).toBe(403);
     });
   });
 
-  describe('PUT /api/rides/:rideId/status', () => {
+  describe('GET /api/rides/provider/my-rides', () => {
     it('should validate status values', async () => {
       const response = await request(app)
-        .put('/api/rides/test-ride-123/status')
+        .get('/api/rides/provider/my-rides')
         .set('Authorization', `Bearer ${authToken}`)
-        .send({ status: 'invalid_status' });
+        .query({ status: 'invalid_status' });
 
       expect(response.status).toBe(400);
     });
 
     it('should accept valid status values', async () => {
-      const validStatuses = ['published', 'in_progress', 'completed', 'cancelled'];
-      
+      const validStatuses = ['published', 'in-progress', 'completed', 'cancelled'];
+
       for (const status of validStatuses) {
         const response = await request(app)
-          .put('/api/rides/test-ride-123/status')
+          .get('/api/rides/provider/my-rides')
           .set('Authorization', `Bearer ${authToken}`)
-          .send({ status });
+          .query({ status });
 
-        // Will return 404 in test environment, but validation should pass
-        expect([200, 404]).toContain(response.status);
+        expect(response.status).toBe(200);
       }
     });
-  });
 
-  describe('GET /api/rides/driver/:driverId', () => {
     it('should return driver rides', async () => {
+      const ride = await publishRide();
+
       const response = await request(app)
-        .get('/api/rides/driver/test-driver-123');
+        .get('/api/rides/provider/my-rides')
+        .set('Authorization', `Bearer ${authToken}`);
 
       expect(response.status).toBe(200);
-      expect(response.body.data).toHaveProperty('rides');
-      expect(response.body.data).toHaveProperty('driverId');
+      expect(response.body.data.rides.map(r => r.id)).toEqual([ride.id]);
     });
 
-    it('should validate driver ID', async () => {
+    it('should require authentication', async () => {
       const response = await request(app)
-        .get('/api/rides/driver/');
+        .get('/api/rides/provider/my-rides');
 
-      expect(response.status).toBe(404); // Route not found
+      expect(response.status).toBe(401);
     });
 
     it('should apply status filter', async () => {
+      await publishRide();
+
       const response = await request(app)
-        .get('/api/rides/driver/test-driver-123')
-        .query({ status: 'published', limit: 5 });
+        .get('/api/rides/provider/my-rides')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ status: 'cancelled', limit: 5 });
 
       expect(response.status).toBe(200);
+      expect(response.body.data.rides).toHaveLength(0);
     });
   });
 });
@@ -0,0 +1,165 @@
+process.env.BACKEND_MODE = 'local';
+
+jest.mock('../models/Ride', () => ({ findById: jest.fn() }));
+jest.mock('../models/Booking', () => ({ findById: jest.fn() }));
+jest.mock('../services/messagingService', () => ({ canUserAccessConversation: jest.fn() }));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { getLocalStores, resetLocalStores } = require('../config/local');
+const roomAuthorizationService = require('../services/roomAuthorizationService');
+const Ride = require('../models/Ride');
+const Booking = require('../models/Booking');
+const MessagingService = require('../services/messagingService');
+
+describe('Socket room authorization', () => {
+  const ride = {
+    id: 'ride_1',
+    driverId: 'driver_1',
+    passengers: {
+      passenger_confirmed: { status: 'confirmed' },
+      passenger_requested: { status: 'requested' },
+      passenger_cancelled: { status: 'cancelled' },
+    },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetLocalStores();
+    Ride.findById.mockResolvedValue(ride);
+  });
+
+  describe('ride rooms', () => {
+    it('should admit the driver and passengers with live bookings', async () => {
+      await expect(roomAuthorizationService.authorize('driver_1', 'ride', 'ride_1')).resolves.toEqual({ allowed: true });
+      await expect(roomAuthorizationService.authorize('passenger_requested', 'ride', 'ride_1')).resolves.toEqual({ allowed: true });
+    });
+
+    it('should refuse cancelled passengers, strangers and unknown rides', async () => {
+      expect((await roomAuthorizationService.authorize('passenger_cancelled', 'ride', 'ride_1')).allowed).toBe(false);
+      expect(await roomAuthorizationService.authorize('stranger', 'ride', 'ride_1'))
+        .toEqual({ allowed: false, reason: 'Not a participant of this ride' });
+
+      Ride.findById.mockResolvedValue(null);
+      expect(await roomAuthorizationService.authorize('driver_1', 'ride', 'ride_404'))
+        .toEqual({ allowed: false, reason: 'Ride not found' });
+    });
+  });
+
+  describe('share_location', () => {
+    it('should only accept locations from the driver or a confirmed passenger', async () => {
+      expect((await roomAuthorizationService.authorize('driver_1', 'share_location', 'ride_1')).allowed).toBe(true);
+      expect((await roomAuthorizationService.authorize('passenger_confirmed', 'share_location', 'ride_1')).allowed).toBe(true);
+      expect(await roomAuthorizationService.authorize('passenger_requested', 'share_location', 'ride_1'))
+        .toEqual({ allowed: false, reason: 'Only the driver or a confirmed passenger can share location' });
+    });
+  });
+
+  describe('booking and conversation rooms', () => {
+    it('should admit only the booking\'s passenger and driver', async () => {
+      Booking.findById.mockResolvedValue({ passengerId: 'passenger_1', driverId: 'driver_1' });
+
+      expect((await roomAuthorizationService.authorize('passenger_1', 'booking', 'booking_1')).allowed).toBe(true);
+      expect((await roomAuthorizationService.authorize('driver_1', 'booking', 'booking_1')).allowed).toBe(true);
+      expect((await roomAuthorizationService.authorize('stranger', 'booking', 'booking_1')).allowed).toBe(false);
+    });
+
+    it('should admit the booking\'s passenger and driver to its conversation', async () => {
+      Booking.findById.mockResolvedValue({ passengerId: 'passenger_1', driverId: 'driver_1', status: 'confirmed' });
+
+      expect((await roomAuthorizationService.authorize('passenger_1', 'conversation', 'booking_1')).allowed).toBe(true);
+      expect((await roomAuthorizationService.authorize('driver_1', 'conversation', 'booking_1')).allowed).toBe(true);
+      expect(await roomAuthorizationService.authorize('stranger', 'conversation', 'booking_1'))
+        .toEqual({ allowed: false, reason: 'Not a participant of this conversation' });
+      expect(Booking.findById).toHaveBeenCalledWith('1');
+    });
+
+    it('should defer other conversations to the messaging service', async () => {
+      MessagingService.canUserAccessConversation.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      expect((await roomAuthorizationService.authorize('passenger_1', 'conversation', 'support_1')).allowed).toBe(true);
+      expect((await roomAuthorizationService.authorize('stranger', 'conversation', 'support_1')).allowed).toBe(false);
+      expect(MessagingService.canUserAccessConversation).toHaveBeenCalledWith('stranger', 'support_1');
+    });
+  });
+
+  describe('realtime database bookings', () => {
+    const { database } = getLocalStores();
+
+    beforeEach(async () => {
+      Ride.findById.mockResolvedValue(null);
+      Booking.findById.mockResolvedValue(null);
+
+      // The shape POST /api/bookings and the cancel route leave behind
+      await database.ref('rides/ride_rt').set({
+        driverId: 'driver_1',
+        passengers: {
+          passenger_confirmed: { seatsBooked: 1, status: 'confirmed', segment: { fromIndex: 0, toIndex: 1 } },
+        },
+      });
+      await database.ref('bookings/booking_rt').set({
+        rideId: 'ride_rt',
+        passengerId: 'passenger_confirmed',
+        driverId: 'driver_1',
+        status: 'confirmed',
+      });
+      await database.ref('rides/ride_empty').set({ driverId: 'driver_2' });
+    });
+
+    it('should read ride membership from the realtime ride', async () => {
+      expect(await roomAuthorizationService.authorize('driver_1', 'ride', 'ride_rt')).toEqual({ allowed: true });
+      expect(await roomAuthorizationService.authorize('passenger_confirmed', 'ride', 'ride_rt')).toEqual({ allowed: true });
+      expect((await roomAuthorizationService.authorize('passenger_confirmed', 'share_location', 'ride_rt')).allowed).toBe(true);
+      expect(await roomAuthorizationService.authorize('stranger', 'share_location', 'ride_rt'))
+        .toEqual({ allowed: false, reason: 'Only the driver or a confirmed passenger can share location' });
+      expect(await roomAuthorizationService.authorize('passenger_confirmed', 'ride', 'ride_empty'))
+        .toEqual({ allowed: false, reason: 'Not a participant of this ride' });
+      expect(Ride.findById).not.toHaveBeenCalledWith('ride_rt');
+    });
+
+    it('should read booking membership from the realtime booking', async () => {
+      expect(await roomAuthorizationService.authorize('passenger_confirmed', 'booking', 'booking_rt')).toEqual({ allowed: true });
+      expect(await roomAuthorizationService.authorize('driver_1', 'booking', 'booking_rt')).toEqual({ allowed: true });
+      expect(await roomAuthorizationService.authorize('stranger', 'booking', 'booking_rt'))
+        .toEqual({ allowed: false, reason: 'Not a participant of this booking' });
+      expect(Booking.findById).not.toHaveBeenCalled();
+    });
+
+    it('should admit the passenger and driver to a realtime booking\'s conversation', async () => {
+      await database.ref('bookings/b1').set({ rideId: 'ride_rt', passengerId: 'p1', driverId: 'd1', status: 'confirmed' });
+
+      expect(await roomAuthorizationService.authorize('p1', 'conversation', 'booking_b1')).toEqual({ allowed: true });
+      expect(await roomAuthorizationService.authorize('d1', 'conversation', 'booking_b1')).toEqual({ allowed: true });
+      expect((await roomAuthorizationService.authorize('stranger', 'conversation', 'booking_b1')).allowed).toBe(false);
+      expect(Booking.findById).not.toHaveBeenCalled();
+      expect(MessagingService.canUserAccessConversation).not.toHaveBeenCalled();
+    });
+
+    it('should close a cancelled booking\'s conversation', async () => {
+      await database.ref('bookings/b1').set({ rideId: 'ride_rt', passengerId: 'p1', driverId: 'd1', status: 'cancelled' });
+
+      expect(await roomAuthorizationService.authorize('p1', 'conversation', 'booking_b1'))
+        .toEqual({ allowed: false, reason: 'This booking has been cancelled' });
+      expect((await roomAuthorizationService.authorize('d1', 'conversation', 'booking_b1')).allowed).toBe(false);
+    });
+
+    it('should drop a passenger whose booking was cancelled', async () => {
+      await database.ref('rides/ride_rt/passengers/passenger_confirmed').remove();
+
+      expect(await roomAuthorizationService.authorize('passenger_confirmed', 'ride', 'ride_rt'))
+        .toEqual({ allowed: false, reason: 'Not a participant of this ride' });
+    });
+  });
+
+  it('should deny when the ID is missing or the lookup fails', async () => {
+    expect(await roomAuthorizationService.authorize('driver_1', 'ride', undefined))
+      .toEqual({ allowed: false, reason: 'A ride ID is required' });
+
+    Booking.findById.mockRejectedValue(new Error('Firestore unavailable'));
+    expect(await roomAuthorizationService.authorize('passenger_1', 'booking', 'booking_1'))
+      .toEqual({ allowed: false, reason: 'Could not verify access' });
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../config/firebase', () => ({
+  getFirestore: () => ({
+    collection: () => ({
+      doc: (id) => ({
+        get: async () => (id === 'stop_lonavala'
+          ? { exists: true, data: () => ({ name: 'Lonavala', lat: 18.75, lng: 73.405 }) }
+          : { exists: false }),
+      }),
+    }),
+  }),
+}));
+jest.mock('../utils/maps', () => ({
+  getRoute: jest.fn(),
+  calculateDistance: jest.fn(),
+}));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const routeStopService = require('../services/routeStopService');
+const mapsService = require('../utils/maps');
+const segments = require('../utils/segments');
+
+describe('Route stop sequence', () => {
+  const source = { stopId: 'stop_mumbai', name: 'Mumbai Central', lat: 18.969, lng: 72.8205 };
+  const thane = { stopId: 'stop_thane', name: 'Thane', lat: 19.186, lng: 72.975 };
+  const lonavala = { stopId: 'stop_lonavala', name: 'Lonavala' };
+  const destination = { stopId: 'stop_pune', name: 'Pune Station', lat: 18.5289, lng: 73.8744 };
+
+  const mapsLeg = (km, minutes) => ({
+    routes: [{ distance: { value: km * 1000 }, duration: { value: minutes * 60 } }],
+    status: 'OK',
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mapsService.calculateDistance.mockReturnValue(20);
+  });
+
+  describe('buildStopSequence', () => {
+    it('should measure each leg with the maps API and look up catalogue coordinates', async () => {
+      mapsService.getRoute
+        .mockResolvedValueOnce(mapsLeg(34, 55))
+        .mockResolvedValueOnce(mapsLeg(82, 90))
+        .mockResolvedValueOnce(mapsLeg(65, 75));
+
+      const sequence = await routeStopService.buildStopSequence(source, [thane, lonavala], destination);
+
+      expect(sequence.map(stop => [stop.sequence, stop.distanceFromOrigin, stop.timeOffsetMinutes])).toEqual([
+        [0, 0, 0],
+        [1, 34, 55],
+        [2, 116, 145],
+        [3, 181, 220],
+      ]);
+      expect(sequence[2].coordinates).toEqual({ lat: 18.75, lng: 73.405 });
+      expect(sequence[3].measuredBy).toBe('maps');
+    });
+
+    it('should estimate a leg without a maps route and measure later legs from a manual override', async () => {
+      mapsService.getRoute
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(mapsLeg(80, 90))
+        .mockResolvedValueOnce(mapsLeg(60, 70));
+
+      const sequence = await routeStopService.buildStopSequence(
+        source,
+        [thane, { ...lonavala, timeOffsetMinutes: 150 }],
+        destination
+      );
+
+      // 20 km at the default 40 km/h
+      expect(sequence[1]).toMatchObject({ distanceFromOrigin: 20, timeOffsetMinutes: 30, measuredBy: 'estimated' });
+      expect(sequence[2]).toMatchObject({ distanceFromOrigin: 100, timeOffsetMinutes: 150, measuredBy: 'manual' });
+      expect(sequence[3]).toMatchObject({ distanceFromOrigin: 160, timeOffsetMinutes: 220 });
+    });
+
+    it('should reject overrides that go backwards along the route', async () => {
+      mapsService.getRoute.mockResolvedValue(mapsLeg(40, 60));
+
+      await expect(routeStopService.buildStopSequence(source, [thane, { ...lonavala, distanceFromOrigin: 10 }], destination))
+        .rejects.toThrow('Stop "Lonavala" has a smaller distanceFromOrigin than the stop before it');
+    });
+  });
+
+  describe('parseStopImport', () => {
+    it('should read a CSV stop list in travel order', () => {
+      const imported = routeStopService.parseStopImport('csv', [
+        'name,lat,lng,timeOffsetMinutes',
+        'Mumbai Central,18.969,72.8205,',
+        'Thane,19.186,72.975,50',
+        'Pune Station,18.5289,73.8744,',
+      ].join('\n'));
+
+      expect(imported.source).toEqual({ stopId: null, name: 'Mumbai Central', lat: 18.969, lng: 72.8205 });
+      expect(imported.stops).toEqual([{ stopId: null, name: 'Thane', lat: 19.186, lng: 72.975, timeOffsetMinutes: '50' }]);
+      expect(imported.destination.name).toBe('Pune Station');
+    });
+
+    it('should read GeoJSON points and reject incomplete lists', () => {
+      const point = (name, lng, lat) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties: { name } });
+      const imported = routeStopService.parseStopImport('geojson', {
+        type: 'FeatureCollection',
+        features: [point('Mumbai Central', 72.8205, 18.969), point('Thane', 72.975, 19.186), point('Pune Station', 73.8744, 18.5289)],
+      });
+
+      expect(imported.stops[0]).toMatchObject({ name: 'Thane', lat: 19.186, lng: 72.975 });
+      expect(() => routeStopService.parseStopImport('csv', 'name\nA\nB'))
+        .toThrow('An imported stop list needs a source, at least one intermediate stop and a destination');
+      expect(() => routeStopService.parseStopImport('kml', '')).toThrow('Import format must be csv or geojson');
+    });
+  });
+
+  describe('applyStopSequence', () => {
+    const stopSequence = [
+      { sequence: 0, stopId: 'stop_mumbai', name: 'Mumbai Central', distanceFromOrigin: 0, timeOffsetMinutes: 0 },
+      { sequence: 1, stopId: 'stop_thane', name: 'Thane', distanceFromOrigin: 34, timeOffsetMinutes: 55 },
+      { sequence: 2, stopId: 'stop_lonavala', name: 'Lonavala', distanceFromOrigin: 116, timeOffsetMinutes: 145 },
+      { sequence: 3, stopId: 'stop_pune', name: 'Pune Station', distanceFromOrigin: 181, timeOffsetMinutes: 220 },
+    ];
+
+    it('should fill in arrival times and road distances for the stops a ride uses', () => {
+      const routeStops = routeStopService.applyStopSequence(
+        segments.buildRouteStops(source, [{ ...lonavala, lat: 18.75, lng: 73.405 }], destination),
+        stopSequence,
+        '2026-07-01',
+        '22:30'
+      );
+
+      expect(routeStops.map(stop => [stop.sequence, stop.distanceFromStart, stop.estimatedArrivalTime])).toEqual([
+        [0, 0, '22:30'],
+        [2, 116, '00:55'],
+        [3, 181, '02:10'],
+      ]);
+      expect(routeStops[1].estimatedArrivalDate).toBe('2026-07-02');
+      expect(segments.calculateSegmentFare(362, routeStops, 1, 2).fare).toBe(130);
+    });
+
+    it('should keep straight-line distances when a ride stop is not on the route', () => {
+      const built = segments.buildRouteStops(source, [{ name: 'Panvel', lat: 18.99, lng: 73.11 }], destination);
+      const routeStops = routeStopService.applyStopSequence(built, stopSequence, '2026-07-01', '09:00');
+
+      expect(routeStops.map(stop => stop.distanceFromStart)).toEqual(built.map(stop => stop.distanceFromStart));
+      expect(routeStops[1]).toMatchObject({ sequence: null, estimatedArrivalTime: null });
+      expect(routeStops[2].estimatedArrivalTime).toBe('12:40');
+    });
+  });
+});
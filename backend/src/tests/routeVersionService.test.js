@@ -0,0 +1,141 @@
+const mockRoutes = {};
+const mockRouteVersions = {};
+const mockRides = {};
+
+// In-memory routes, routeVersions and rides collections
+jest.mock('../config/firebase', () => {
+  const snapshotOf = (entries) => ({
+    forEach: (callback) => entries.forEach(([id, data]) => callback({ id, data: () => data })),
+  });
+  const readPath = (data, path) => path.split('.').reduce((value, key) => value?.[key], data);
+
+  const collectionOf = (store) => ({
+    doc: (id) => ({
+      get: async () => ({ id, exists: Boolean(store[id]), data: () => store[id] }),
+      set: async (data) => {
+        store[id] = JSON.parse(JSON.stringify(data));
+      },
+      update: async (data) => {
+        store[id] = { ...store[id], ...JSON.parse(JSON.stringify(data)) };
+      },
+    }),
+    where: (field, op, expected) => ({
+      get: async () => snapshotOf(Object.entries(store).filter(([, data]) => readPath(data, field) === expected)),
+    }),
+  });
+
+  const collections = { routes: mockRoutes, routeVersions: mockRouteVersions, rides: mockRides };
+  return {
+    getFirestore: () => ({ collection: (name) => collectionOf(collections[name]) }),
+  };
+});
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const routeVersionService = require('../services/routeVersionService');
+
+describe('Route versions', () => {
+  const now = new Date('2026-07-01T08:00:00');
+  const thane = { stopId: 'stop_thane', name: 'Thane' };
+  const lonavala = { stopId: 'stop_lonavala', name: 'Lonavala' };
+  const panvel = { stopId: 'stop_panvel', name: 'Panvel' };
+
+  const legacyRoute = () => ({
+    source: { stopId: 'stop_mumbai', name: 'Mumbai Central' },
+    destination: { stopId: 'stop_pune', name: 'Pune Station' },
+    stops: [thane, lonavala],
+    stopSequence: [
+      { sequence: 0, stopId: 'stop_mumbai', name: 'Mumbai Central', distanceFromOrigin: 0, timeOffsetMinutes: 0 },
+      { sequence: 1, stopId: 'stop_thane', name: 'Thane', distanceFromOrigin: 34, timeOffsetMinutes: 55 },
+      { sequence: 2, stopId: 'stop_lonavala', name: 'Lonavala', distanceFromOrigin: 116, timeOffsetMinutes: 145 },
+      { sequence: 3, stopId: 'stop_pune', name: 'Pune Station', distanceFromOrigin: 181, timeOffsetMinutes: 220 },
+    ],
+    active: true,
+    createdBy: 'admin',
+  });
+
+  const addRide = (id, data) => {
+    mockRides[id] = {
+      id,
+      driverId: 'driver_1',
+      status: 'published',
+      departureDate: '2026-07-02',
+      departureTime: '09:00',
+      totalSeats: 4,
+      availableSeats: 3,
+      ...data,
+      routeInfo: { routeId: 'route_1', ...data.routeInfo },
+    };
+  };
+
+  beforeEach(() => {
+    [mockRoutes, mockRouteVersions, mockRides].forEach(store => Object.keys(store).forEach(key => delete store[key]));
+    mockRoutes.route_1 = legacyRoute();
+  });
+
+  it('should make a route saved before versioning version 1 on first use', async () => {
+    await expect(routeVersionService.ensureVersioned('route_1', mockRoutes.route_1)).resolves.toBe(1);
+
+    expect(mockRoutes.route_1.version).toBe(1);
+    expect(mockRouteVersions.route_1_v1).toMatchObject({ routeId: 'route_1', version: 1, stops: [thane, lonavala] });
+  });
+
+  it('should create a new version only when the stops change', async () => {
+    const statusOnly = await routeVersionService.prepareUpdate('route_1', mockRoutes.route_1, { active: false }, 'ops_admin');
+    expect(statusOnly).toMatchObject({ version: 1, versionCreated: false, update: { active: false } });
+
+    const edit = await routeVersionService.prepareUpdate(
+      'route_1', { ...mockRoutes.route_1, version: 1 }, { stops: [panvel, lonavala] }, 'ops_admin'
+    );
+
+    expect(edit).toMatchObject({ version: 2, versionCreated: true, update: { stops: [panvel, lonavala], version: 2 } });
+    expect(mockRouteVersions.route_1_v2).toMatchObject({ version: 2, createdBy: 'ops_admin', stops: [panvel, lonavala] });
+    expect(mockRouteVersions.route_1_v1.stops).toEqual([thane, lonavala]);
+  });
+
+  it('should count upcoming published rides on each version', async () => {
+    await routeVersionService.prepareUpdate('route_1', mockRoutes.route_1, { stops: [panvel, lonavala] }, 'ops_admin');
+    addRide('ride_v1', { routeInfo: { routeVersion: 1 } });
+    addRide('ride_v2', { routeInfo: { routeVersion: 2 }, departureTime: '07:00', departureDate: '2026-07-03' });
+    addRide('ride_old', { routeInfo: {} });
+    addRide('ride_departed', { routeInfo: { routeVersion: 2 }, departureDate: '2026-06-30' });
+    addRide('ride_cancelled', { routeInfo: { routeVersion: 2 }, status: 'cancelled' });
+
+    const futureRides = await routeVersionService.getFutureRides('route_1', now);
+    expect(futureRides.map(ride => ride.id)).toEqual(['ride_v1', 'ride_old', 'ride_v2']);
+    expect(futureRides[0]).toMatchObject({ routeVersion: 1, bookedSeats: 1 });
+
+    const usage = await routeVersionService.getVersionUsage('route_1', { ...mockRoutes.route_1, version: 2 }, now);
+    expect(usage.currentVersion).toBe(2);
+    expect(usage.versions.map(version => [version.version, version.futureRides])).toEqual([[1, 1], [2, 1]]);
+    expect(usage.unversionedFutureRides).toBe(1);
+  });
+
+  it('should diff the stops, order and timing of two versions', async () => {
+    await routeVersionService.ensureVersioned('route_1', mockRoutes.route_1);
+    await routeVersionService.prepareUpdate('route_1', { ...mockRoutes.route_1 }, {
+      stops: [lonavala, panvel, thane],
+      stopSequence: [
+        { sequence: 0, stopId: 'stop_mumbai', name: 'Mumbai Central', distanceFromOrigin: 0, timeOffsetMinutes: 0 },
+        { sequence: 1, stopId: 'stop_lonavala', name: 'Lonavala', distanceFromOrigin: 116, timeOffsetMinutes: 160 },
+      ],
+    }, 'ops_admin');
+
+    const diff = await routeVersionService.diffVersions('route_1', 1, 2);
+
+    expect(diff.endpoints).toEqual({});
+    expect(diff.stopsAdded).toEqual([panvel]);
+    expect(diff.stopsRemoved).toEqual([]);
+    expect(diff.stopsReordered.map(stop => [stop.name, stop.from, stop.to])).toEqual([['Lonavala', 1, 0], ['Thane', 0, 2]]);
+    expect(diff.timing).toEqual([{
+      stopId: 'stop_lonavala',
+      name: 'Lonavala',
+      distanceFromOrigin: { from: 116, to: 116 },
+      timeOffsetMinutes: { from: 145, to: 160 },
+    }]);
+    await expect(routeVersionService.diffVersions('route_1', 1, 5)).rejects.toThrow('Route version not found');
+  });
+});
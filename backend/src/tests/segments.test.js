@@ -0,0 +1,123 @@
+const segments = require('../utils/segments');
+
+describe('Segment seat inventory', () => {
+  // Mumbai → Thane → Lonavala → Pune, roughly 0 / 25 / 90 / 150 km
+  const routeStops = segments.buildRouteStops(
+    { stopId: 'mum', name: 'Mumbai Central', city: 'Mumbai', lat: 18.9690, lng: 72.8205 },
+    [
+      { id: 'thn', name: 'Thane', lat: 19.1860, lng: 72.9750 },
+      { id: 'lnv', name: 'Lonavala', lat: 18.7500, lng: 73.4050 },
+    ],
+    { stopId: 'pun', name: 'Pune Station', city: 'Pune', lat: 18.5289, lng: 73.8744 }
+  );
+
+  const buildRide = (overrides = {}) => ({
+    origin: { city: 'Mumbai', name: 'Mumbai Central' },
+    destination: { city: 'Pune', name: 'Pune Station' },
+    pricePerSeat: 600,
+    totalSeats: 3,
+    availableSeats: 3,
+    routeStops,
+    segmentSeats: segments.initSegmentSeats(routeStops, 3),
+    ...overrides,
+  });
+
+  describe('buildRouteStops', () => {
+    it('should order stops and accumulate distance from the start', () => {
+      expect(routeStops.map(stop => stop.stopId)).toEqual(['mum', 'thn', 'lnv', 'pun']);
+      expect(routeStops[0].distanceFromStart).toBe(0);
+      expect(routeStops[1].distanceFromStart).toBeGreaterThan(0);
+      expect(routeStops[3].distanceFromStart).toBeGreaterThan(routeStops[2].distanceFromStart);
+    });
+
+    it('should leave distances empty when a stop has no coordinates', () => {
+      const stops = segments.buildRouteStops({ name: 'A', lat: 1, lng: 1 }, [{ name: 'B' }], { name: 'C', lat: 2, lng: 2 });
+      expect(stops.every(stop => stop.distanceFromStart === null)).toBe(true);
+    });
+  });
+
+  describe('resolveSegment', () => {
+    it('should resolve stops by ID, name or city', () => {
+      const ride = buildRide();
+      expect(segments.resolveSegment(ride, 'thn', 'Pune Station')).toMatchObject({ fromIndex: 1, toIndex: 3 });
+      expect(segments.resolveSegment(ride, 'mumbai', 'lonavala')).toMatchObject({ fromIndex: 0, toIndex: 2 });
+    });
+
+    it('should reject stops in the wrong order or not on the route', () => {
+      const ride = buildRide();
+      expect(segments.resolveSegment(ride, 'Lonavala', 'Thane')).toBeNull();
+      expect(segments.resolveSegment(ride, 'Nashik', 'Pune')).toBeNull();
+    });
+
+    it('should treat rides without stop data as a single segment', () => {
+      const ride = buildRide({ routeStops: undefined, segmentSeats: undefined, availableSeats: 2 });
+      const segment = segments.resolveSegment(ride, 'Mumbai', 'Pune');
+      expect(segment).toMatchObject({ fromIndex: 0, toIndex: 1, isFullRoute: true });
+      expect(segments.getSegmentSeats(ride)).toEqual([2]);
+    });
+  });
+
+  describe('seat reservation', () => {
+    it('should resell a seat freed at an intermediate stop', () => {
+      let seats = segments.initSegmentSeats(routeStops, 1);
+
+      // Passenger A: Mumbai → Thane
+      seats = segments.reserveSegmentSeats(seats, 0, 1, 1);
+      expect(seats).toEqual([0, 1, 1]);
+
+      // Passenger B: Thane → Pune can still get the same seat
+      seats = segments.reserveSegmentSeats(seats, 1, 3, 1);
+      expect(seats).toEqual([0, 0, 0]);
+
+      expect(() => segments.reserveSegmentSeats(seats, 2, 3, 1)).toThrow('Not enough available seats');
+    });
+
+    it('should keep the ride visible while any segment has seats', () => {
+      const seats = [0, 2, 1];
+      expect(segments.summarizeAvailableSeats(seats)).toBe(2);
+      expect(segments.getAvailableSeatsForSegment(seats, 0, 2)).toBe(0);
+      expect(segments.getAvailableSeatsForSegment(seats, 1, 3)).toBe(1);
+    });
+
+    it('should not release seats beyond the total', () => {
+      expect(segments.releaseSegmentSeats([3, 2, 2], 0, 3, 1, 3)).toEqual([3, 3, 3]);
+    });
+  });
+
+  describe('planSegmentBooking', () => {
+    it('should pro-rate the seat price by distance travelled', () => {
+      const ride = buildRide();
+      const full = segments.planSegmentBooking(ride, null, null, 1);
+      const partial = segments.planSegmentBooking(ride, 'Thane', 'Lonavala', 1);
+
+      expect(full.pricePerSeat).toBe(600);
+      expect(partial.pricePerSeat).toBeLessThan(600);
+      expect(partial.pricePerSeat).toBe(Math.round(600 * partial.segment.fareRatio));
+      expect(partial.segment).toMatchObject({ fromStopName: 'Thane', toStopName: 'Lonavala', isFullRoute: false });
+    });
+
+    it('should split the price equally per segment without distances', () => {
+      const stops = segments.buildRouteStops({ name: 'A' }, [{ name: 'B' }, { name: 'C' }], { name: 'D' });
+      const ride = buildRide({ routeStops: stops, segmentSeats: [3, 3, 3] });
+      expect(segments.planSegmentBooking(ride, 'B', 'D', 1).pricePerSeat).toBe(400);
+    });
+
+    it('should fail when the segment is full', () => {
+      const ride = buildRide({ segmentSeats: [3, 0, 3] });
+      expect(() => segments.planSegmentBooking(ride, 'Mumbai', 'Lonavala', 1)).toThrow('Not enough available seats');
+      expect(segments.planSegmentBooking(ride, 'Lonavala', 'Pune', 3).availableSeats).toBe(3);
+    });
+
+    it('should reject pickup and drop-off that are not stops on the route', () => {
+      expect(() => segments.planSegmentBooking(buildRide(), 'Pune', 'Mumbai', 1))
+        .toThrow('Pickup and drop-off must be stops on this ride, in travel order');
+    });
+
+    it('should book the whole trip for rides without stop data', () => {
+      const ride = buildRide({ routeStops: undefined, segmentSeats: undefined });
+      const quote = segments.planSegmentBooking(ride, 'Near the bus stand', 'Main gate', 2);
+      expect(quote.segment).toMatchObject({ fromIndex: 0, toIndex: 1, isFullRoute: true });
+      expect(quote.pricePerSeat).toBe(600);
+    });
+  });
+});
@@ -10,6 +10,10 @@ process.env.FIREBASE_CLIENT_EMAIL = 'test@test.com';
 process.env.FIREBASE_PRIVATE_KEY = 'test-key';
 process.env.REDIS_URL = 'redis://localhost:6379';
 process.env.JWT_SECRET = 'test-secret';
+process.env.ADMIN_JWT_SECRET = 'test-admin-secret';
+process.env.BOARDING_REQUIRED_FROM = '2026-10-18T00:00:00.000Z';
+// In-memory Firebase, Redis, payment and maps adapters, so no suite needs the network
+process.env.BACKEND_MODE = 'local';
 
 // Mock Firebase Admin SDK
 jest.mock('firebase-admin', () => ({
@@ -0,0 +1,176 @@
+const mockStops = {};
+const mockRoutes = {};
+const mockBatchUpdates = [];
+const mockRouteVersions = {};
+
+// In-memory stops and routes collections with the geohash range query the catalogue uses
+jest.mock('../config/firebase', () => {
+  const docsOf = (store) => ({
+    forEach: (callback) => Object.entries(store).forEach(([id, data]) => callback({
+      id,
+      data: () => data,
+      ref: { id },
+    })),
+  });
+
+  const stopsCollection = {
+    add: async (data) => {
+      const id = `stop_${Object.keys(mockStops).length + 1}`;
+      mockStops[id] = JSON.parse(JSON.stringify(data));
+      return { id };
+    },
+    doc: (id) => ({
+      get: async () => ({ id, exists: Boolean(mockStops[id]), data: () => mockStops[id] }),
+      set: async (data) => {
+        mockStops[id] = { ...(mockStops[id] || {}), ...JSON.parse(JSON.stringify(data)) };
+      },
+    }),
+    orderBy: (field) => ({
+      get: async () => docsOf(mockStops),
+      startAt: (start) => ({
+        endAt: (end) => ({
+          get: async () => docsOf(Object.fromEntries(Object.entries(mockStops)
+            .filter(([, stop]) => stop[field] >= start && stop[field] <= end))),
+        }),
+      }),
+    }),
+  };
+
+  return {
+    getFirestore: () => ({
+      collection: (name) => {
+        if (name === 'stops') return stopsCollection;
+        if (name === 'routeVersions') {
+          return { doc: (id) => ({ set: async (data) => { mockRouteVersions[id] = data; } }) };
+        }
+        return { get: async () => docsOf(mockRoutes) };
+      },
+      batch: () => ({
+        update: (ref, data) => mockBatchUpdates.push({ id: ref.id, data }),
+        commit: async () => {},
+      }),
+    }),
+  };
+});
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const stopService = require('../services/stopService');
+const Stop = require('../models/Stop');
+const geohash = require('../utils/geohash');
+
+describe('Stop catalogue', () => {
+  const addStop = (data) => new Stop({ created_by: 'admin', ...data }).save();
+
+  beforeEach(async () => {
+    [mockStops, mockRoutes, mockRouteVersions].forEach(store => Object.keys(store).forEach(key => delete store[key]));
+    mockBatchUpdates.length = 0;
+
+    await addStop({ name: 'Swargate Bus Stand', city: 'Pune', aliases: ['Swargate ST'], type: 'bus_stand', lat: 18.5018, lng: 73.8636, created_at: '2026-01-01T00:00:00.000Z' });
+    await addStop({ name: 'Pune Station', city: 'Pune', type: 'railway_station', lat: 18.5289, lng: 73.8744, created_at: '2026-01-02T00:00:00.000Z' });
+    await addStop({ name: 'Shivajinagar', city: 'Pune', landmark: 'PMT Depot', type: 'bus_stand', lat: 18.5314, lng: 73.8446, created_at: '2026-01-03T00:00:00.000Z' });
+    await addStop({ name: 'Lonavala', city: 'Lonavala', type: 'junction', lat: 18.75, lng: 73.405, created_at: '2026-01-04T00:00:00.000Z' });
+  });
+
+  describe('geohash', () => {
+    it('should encode a known point and cover a radius with the surrounding cells', () => {
+      expect(geohash.encode(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+
+      const prefixes = geohash.coveringPrefixes(18.5018, 73.8636, 2);
+      expect(prefixes).toHaveLength(9);
+      expect(prefixes).toContain(geohash.encode(18.5018, 73.8636, prefixes[0].length));
+    });
+  });
+
+  describe('lookups', () => {
+    it('should store a geohash and search terms on save', () => {
+      expect(mockStops.stop_1.geohash).toBe(geohash.encode(18.5018, 73.8636));
+      expect(mockStops.stop_1.searchTerms).toEqual(['swargate bus stand', 'swargate st']);
+    });
+
+    it('should find stops within a radius, nearest first', async () => {
+      const stops = await stopService.findWithinRadius(18.52, 73.86, 5);
+
+      expect(stops.map(stop => stop.name)).toEqual(['Pune Station', 'Swargate Bus Stand', 'Shivajinagar']);
+      expect(stops[0].distanceKm).toBeLessThan(stops[1].distanceKm);
+      await expect(stopService.findWithinRadius(18.52, 73.86, 500)).rejects.toThrow('Radius must be between 0 and 50 km');
+    });
+
+    it('should widen the search until the nearest N stops are found', async () => {
+      expect((await stopService.findNearest(18.52, 73.86, 2)).map(stop => stop.name)).toEqual(['Pune Station', 'Swargate Bus Stand']);
+
+      // About 11 km from Lonavala, beyond the first two search radii
+      const stops = await stopService.findNearest(18.7, 73.5, 1);
+      expect(stops).toHaveLength(1);
+      expect(stops[0].name).toBe('Lonavala');
+    });
+
+    it('should match misspellings, aliases and landmarks', async () => {
+      expect((await stopService.search('swargte'))[0].name).toBe('Swargate Bus Stand');
+      expect((await stopService.search('Swargate ST'))[0].score).toBe(1);
+      expect((await stopService.search('pmt depot'))[0].name).toBe('Shivajinagar');
+      expect(await stopService.search('station', { city: 'Lonavala' })).toEqual([]);
+    });
+  });
+
+  describe('duplicates', () => {
+    beforeEach(async () => {
+      await addStop({ name: 'Swargate Busstand', city: 'Pune', lat: 18.5021, lng: 73.8639, created_at: '2026-02-01T00:00:00.000Z' });
+    });
+
+    it('should flag a nearby stop with a similar name, but not a different stop at the same spot', async () => {
+      await expect(stopService.findDuplicateOf({ name: 'Swargate bus-stand', lat: 18.5019, lng: 73.8637 }))
+        .resolves.toMatchObject({ name: 'Swargate Bus Stand' });
+      await expect(stopService.findDuplicateOf({ name: 'Kamla Nehru Park', lat: 18.5019, lng: 73.8637 }))
+        .resolves.toBeNull();
+    });
+
+    it('should propose merging into the older stop', async () => {
+      const proposals = await stopService.findDuplicates();
+
+      expect(proposals).toHaveLength(1);
+      expect(proposals[0]).toMatchObject({
+        keep: { id: 'stop_1', name: 'Swargate Bus Stand' },
+        duplicate: { id: 'stop_5', name: 'Swargate Busstand' },
+      });
+      expect(proposals[0].distanceMeters).toBeLessThan(150);
+    });
+
+    it('should merge a duplicate into an alias and move routes that use it to a new version', async () => {
+      mockRoutes.route_1 = {
+        source: { stopId: 'stop_5', name: 'Swargate Busstand' },
+        destination: { stopId: 'stop_4', name: 'Lonavala' },
+        stops: [{ stopId: 'stop_3', name: 'Shivajinagar' }],
+        stopSequence: [{ sequence: 0, stopId: 'stop_5', name: 'Swargate Busstand', coordinates: { lat: 18.5021, lng: 73.8639 } }],
+        version: 2,
+      };
+      mockRoutes.route_2 = {
+        source: { stopId: 'stop_2', name: 'Pune Station' },
+        destination: { stopId: 'stop_4', name: 'Lonavala' },
+        stops: [],
+      };
+
+      const result = await stopService.mergeStops('stop_1', ['stop_5'], 'ops_admin');
+
+      expect(result).toMatchObject({ merged: ['stop_5'], routesUpdated: 1 });
+      expect(mockStops.stop_1.aliases).toEqual(['Swargate ST', 'Swargate Busstand']);
+      expect(mockStops.stop_5).toMatchObject({ active: false, mergedInto: 'stop_1' });
+      expect(mockBatchUpdates).toHaveLength(1);
+      expect(mockBatchUpdates[0]).toMatchObject({
+        id: 'route_1',
+        data: {
+          source: { stopId: 'stop_1', name: 'Swargate Bus Stand' },
+          stops: [{ stopId: 'stop_3', name: 'Shivajinagar' }],
+          stopSequence: [{ stopId: 'stop_1', coordinates: { lat: 18.5018, lng: 73.8636 } }],
+          updatedBy: 'ops_admin',
+          version: 3,
+        },
+      });
+      expect(mockRouteVersions.route_1_v3.source).toMatchObject({ stopId: 'stop_1' });
+      await expect(stopService.findDuplicates()).resolves.toEqual([]);
+    });
+  });
+});
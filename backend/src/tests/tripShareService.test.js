@@ -0,0 +1,175 @@
+process.env.BACKEND_MODE = 'local';
+
+const request = require('supertest');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+
+const app = require('../server');
+const BookingService = require('../services/bookingService');
+const RealtimeService = require('../services/realtimeService');
+const tripShareService = require('../services/tripShareService');
+const tripTrackingService = require('../services/tripTrackingService');
+const TripShare = require('../models/TripShare');
+
+describe('Share-my-trip links', () => {
+  const { auth, firestore, database } = getLocalStores();
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+  const booking = {
+    id: 'booking_1',
+    rideId: 'ride_1',
+    passengerId: 'passenger_1',
+    driverId: 'driver_1',
+    status: 'confirmed',
+    seatsBooked: 1,
+    segment: { fromIndex: 1, toIndex: 2 },
+  };
+  const ride = {
+    id: 'ride_1',
+    driverId: 'driver_1',
+    origin: { city: 'Pune', coordinates: { lat: 18.5204, lng: 73.8567 } },
+    destination: { city: 'Mumbai', coordinates: { lat: 19.076, lng: 72.8777 } },
+    routeStops: [
+      { index: 0, name: 'Pune', coordinates: { lat: 18.5204, lng: 73.8567 } },
+      { index: 1, name: 'Lonavala', coordinates: { lat: 18.7537, lng: 73.4068 } },
+      { index: 2, name: 'Mumbai', coordinates: { lat: 19.076, lng: 72.8777 } },
+    ],
+    departureDate: '2030-01-15',
+    departureTime: '08:00',
+    status: 'published',
+    driver: { name: 'Vikram Rao', phoneNumber: '+919800000010' },
+    vehicle: { make: 'Maruti', model: 'Dzire', color: 'White', licensePlate: 'MH12AB1234' },
+  };
+
+  const passengerToken = () => auth.createIdToken('passenger_1', { email: 'asha@example.com' });
+
+  const createShare = async (body = {}) => {
+    const response = await request(app)
+      .post('/api/bookings/booking_1/shares')
+      .set(as(passengerToken()))
+      .send(body)
+      .expect(201);
+    return response.body.data;
+  };
+
+  beforeEach(async () => {
+    resetLocalStores();
+    jest.restoreAllMocks();
+
+    await firestore.collection('bookings').doc('booking_1').set({ ...booking });
+    await firestore.collection('rides').doc('ride_1').set({ ...ride });
+    await database.ref('rides/ride_1').set({ ...ride });
+    await database.ref('bookings/booking_1').set({ ...booking });
+  });
+
+  it('should show followers the driver, vehicle, route, position and ETA and nothing else', async () => {
+    const share = await createShare({ label: 'Mum' });
+    expect(share).toMatchObject({ bookingId: 'booking_1', label: 'Mum', status: 'active' });
+    expect(share.url).toBe(`http://localhost:5173/trip/${share.token}`);
+    expect(new Date(share.expiresAt) - new Date(share.createdAt)).toBe(720 * 60 * 1000);
+
+    const before = await request(app).get(`/api/trip-shares/${share.token}`).expect(200);
+    expect(before.body.data).toMatchObject({
+      bookingId: 'booking_1',
+      tripStatus: 'not_started',
+      driver: { firstName: 'Vikram' },
+      vehicle: { licensePlate: 'MH12AB1234', color: 'White' },
+      route: { origin: { name: 'Pune' }, destination: { name: 'Mumbai' } },
+      location: null,
+      eta: null,
+    });
+    expect(typeof before.body.data.route.polyline).toBe('string');
+    expect(JSON.stringify(before.body.data)).not.toContain('+919800000010');
+    expect(JSON.stringify(before.body.data)).not.toContain('passenger_1');
+
+    // The driver heads for Lonavala: followers see the pickup ETA, then the drop-off ETA
+    const notify = jest.spyOn(RealtimeService, 'notifyTripShare');
+    await tripTrackingService.startTrip('ride_1', 'driver_1');
+    await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.69, lng: 73.48 });
+    expect(notify).toHaveBeenCalledWith('booking_1', expect.objectContaining({
+      tripStatus: 'in_progress',
+      eta: expect.objectContaining({ stage: 'pickup' }),
+    }));
+
+    const enRoute = await request(app).get(`/api/trip-shares/${share.token}`).expect(200);
+    expect(enRoute.body.data).toMatchObject({ tripStatus: 'in_progress', location: { lat: 18.69, lng: 73.48 } });
+    expect(enRoute.body.data.eta.stage).toBe('pickup');
+    expect(enRoute.body.data.eta.distanceKm).toBeGreaterThan(9);
+
+    await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.7537, lng: 73.4068 });
+    const onBoard = await request(app).get(`/api/trip-shares/${share.token}`).expect(200);
+    expect(onBoard.body.data.eta.stage).toBe('dropoff');
+    expect(onBoard.body.data.eta.distanceKm).toBeGreaterThan(50);
+
+    // Someone else can't share the booking, and a tampered link shows nothing
+    await request(app)
+      .post('/api/bookings/booking_1/shares')
+      .set(as(auth.createIdToken('passenger_2', { email: 'rohan@example.com' })))
+      .send({})
+      .expect(403);
+    const [payload, signature] = share.token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url').toString()), expiresAt: '2099-01-01T00:00:00.000Z' }))
+      .toString('base64url');
+    await request(app).get(`/api/trip-shares/${forged}.${signature}`).expect(404);
+    await request(app).get('/api/trip-shares/not-a-token').expect(404);
+  });
+
+  it('should stop working when revoked or when its time runs out', async () => {
+    const revoked = await createShare();
+    const timed = await createShare({ expiresInMinutes: 30 });
+    await request(app).post('/api/bookings/booking_1/shares').set(as(passengerToken())).send({ expiresInMinutes: 5000 }).expect(400);
+
+    const listed = await request(app).get('/api/bookings/booking_1/shares').set(as(passengerToken())).expect(200);
+    expect(listed.body.data.map(share => share.id).sort()).toEqual([revoked.id, timed.id].sort());
+    expect(listed.body.data[0].token).toBeUndefined();
+
+    const close = jest.spyOn(RealtimeService, 'closeTripShare');
+    await request(app).delete(`/api/bookings/booking_1/shares/${revoked.id}`).set(as(passengerToken())).expect(200);
+    await request(app).delete(`/api/bookings/booking_1/shares/${revoked.id}`).set(as(passengerToken())).expect(409);
+    expect(close).toHaveBeenCalledWith(revoked.id, 'revoked');
+    await request(app).get(`/api/trip-shares/${revoked.token}`).expect(410);
+
+    const createdAt = new Date(timed.createdAt);
+    await expect(tripShareService.getPublicView(timed.token, minutesAfter(createdAt, 29))).resolves.toMatchObject({ bookingId: 'booking_1' });
+    await expect(tripShareService.getPublicView(timed.token, minutesAfter(createdAt, 30))).rejects.toThrow('This trip link has expired');
+  });
+
+  it('should expire every link when the booking is completed or cancelled', async () => {
+    const first = await createShare();
+    const second = await createShare();
+
+    await firestore.collection('bookings').doc('booking_1').update({ boarding: { boardedAt: new Date().toISOString() } });
+    await BookingService.completeBooking('booking_1', 'driver_1');
+
+    for (const share of [first, second]) {
+      await request(app).get(`/api/trip-shares/${share.token}`).expect(410);
+      expect(await TripShare.findById(share.id)).toMatchObject({ status: 'expired', endReason: 'trip_completed' });
+    }
+
+    await firestore.collection('bookings').doc('booking_2').set({ ...booking, id: 'booking_2' });
+    const cancelled = await tripShareService.createShare('booking_2', 'passenger_1');
+    await BookingService.cancelBooking('booking_2', 'passenger_1', 'Plans changed');
+
+    await request(app).get(`/api/trip-shares/${cancelled.token}`).expect(410);
+    expect(await TripShare.findById(cancelled.id)).toMatchObject({ status: 'expired', endReason: 'booking_cancelled' });
+    await expect(tripShareService.createShare('booking_2', 'passenger_1')).rejects.toThrow('Only confirmed bookings can be shared');
+  });
+
+  it('should share a booking that only exists in the realtime database', async () => {
+    await firestore.collection('bookings').doc('booking_1').delete();
+    await firestore.collection('rides').doc('ride_1').delete();
+
+    const share = await createShare();
+    const view = await request(app).get(`/api/trip-shares/${share.token}`).expect(200);
+    expect(view.body.data).toMatchObject({
+      bookingId: 'booking_1',
+      driver: { firstName: 'Vikram' },
+      route: { origin: { name: 'Pune' }, destination: { name: 'Mumbai' } },
+    });
+
+    // Cancelling through the bookings API ends the link
+    await request(app).put('/api/bookings/booking_1/cancel').set(as(passengerToken())).send({ reason: 'Plans changed' }).expect(200);
+    await request(app).get(`/api/trip-shares/${share.token}`).expect(410);
+    await request(app).post('/api/bookings/booking_1/shares').set(as(passengerToken())).send({}).expect(400);
+  });
+});
@@ -0,0 +1,209 @@
+const mockStore = {};
+
+// Minimal in-memory Realtime Database supporting the calls the trip tracker makes
+jest.mock('../config/firebase', () => {
+  let counter = 0;
+
+  const read = (path) => path.split('/').reduce(
+    (node, key) => (node && node[key] !== undefined ? node[key] : null),
+    mockStore
+  );
+
+  const write = (path, value) => {
+    const keys = path.split('/');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, mockStore);
+    parent[last] = value;
+  };
+
+  const ref = (path) => ({
+    once: async () => ({ val: () => read(path) }),
+    set: async (value) => write(path, JSON.parse(JSON.stringify(value))),
+    update: async (value) => write(path, { ...(read(path) || {}), ...JSON.parse(JSON.stringify(value)) }),
+    push: async (value) => {
+      const key = `key_${String(++counter).padStart(4, '0')}`;
+      write(`${path}/${key}`, JSON.parse(JSON.stringify(value)));
+      return { key };
+    },
+    orderByChild: (child) => ({
+      equalTo: (expected) => ({
+        once: async () => ({
+          val: () => {
+            const matches = Object.entries(read(path) || {}).filter(([, item]) => item[child] === expected);
+            return matches.length > 0 ? Object.fromEntries(matches) : null;
+          },
+        }),
+      }),
+    }),
+  });
+
+  const userDoc = { get: async () => ({ exists: false }) };
+
+  return {
+    getDatabase: () => ({ ref }),
+    getFirestore: () => ({ collection: () => ({ doc: () => userDoc }) }),
+  };
+});
+
+jest.mock('../utils/maps', () => {
+  const actual = jest.requireActual('../utils/maps');
+  return {
+    calculateDistance: actual.calculateDistance.bind(actual),
+    toRadians: actual.toRadians.bind(actual),
+    getRoute: jest.fn().mockResolvedValue(null),
+  };
+});
+jest.mock('../services/realtimeService', () => ({
+  notifyTripStatus: jest.fn(),
+  notifyDriverLocation: jest.fn(),
+  notifyTripShare: jest.fn(),
+}));
+jest.mock('../services/notificationService', () => ({
+  sendComprehensiveNotification: jest.fn().mockResolvedValue({}),
+}));
+jest.mock('../services/notificationPreferencesService', () => ({
+  getNotificationChannels: jest.fn().mockResolvedValue({ realtime: true, push: true }),
+  getFCMToken: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const tripTrackingService = require('../services/tripTrackingService');
+const mapsService = require('../utils/maps');
+const NotificationService = require('../services/notificationService');
+
+describe('Trip tracking', () => {
+  const now = new Date('2026-04-01T08:00:00Z');
+  const minutesLater = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+  // Pune -> Lonavala -> Mumbai, passenger_2 boards at Lonavala
+  const ride = {
+    driverId: 'driver_1',
+    status: 'published',
+    origin: { city: 'Pune', coordinates: { lat: 18.5204, lng: 73.8567 } },
+    destination: { city: 'Mumbai', coordinates: { lat: 19.076, lng: 72.8777 } },
+    routeStops: [
+      { index: 0, name: 'Pune', coordinates: { lat: 18.5204, lng: 73.8567 } },
+      { index: 1, name: 'Lonavala', coordinates: { lat: 18.7537, lng: 73.4068 } },
+      { index: 2, name: 'Mumbai', coordinates: { lat: 19.076, lng: 72.8777 } },
+    ],
+  };
+
+  const notificationTypes = () => NotificationService.sendComprehensiveNotification.mock.calls
+    .map(([userId, notification]) => `${userId}:${notification.type}`);
+
+  beforeEach(() => {
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+    jest.clearAllMocks();
+    mapsService.getRoute.mockResolvedValue(null);
+
+    mockStore.rides = { ride_1: ride };
+    mockStore.bookings = {
+      booking_1: { rideId: 'ride_1', passengerId: 'passenger_1', status: 'confirmed', pickupPoint: 'Pune', segment: { fromIndex: 0, toIndex: 2 } },
+      booking_2: { rideId: 'ride_1', passengerId: 'passenger_2', status: 'confirmed', pickupPoint: 'Lonavala', segment: { fromIndex: 1, toIndex: 2 } },
+      booking_3: { rideId: 'ride_1', passengerId: 'passenger_3', status: 'cancelled', pickupPoint: 'Pune' },
+    };
+  });
+
+  describe('startTrip', () => {
+    it('should create a session with a pickup for each confirmed booking', async () => {
+      const session = await tripTrackingService.startTrip('ride_1', 'driver_1', now);
+
+      expect(Object.keys(session.pickups)).toEqual(['booking_1', 'booking_2']);
+      expect(session.pickups.booking_2.coordinates).toEqual({ lat: 18.7537, lng: 73.4068 });
+      await expect(tripTrackingService.startTrip('ride_1', 'driver_1', now))
+        .rejects.toThrow('Trip tracking has already started for this ride');
+    });
+
+    it('should only let the driver start tracking', async () => {
+      await expect(tripTrackingService.startTrip('ride_1', 'passenger_1', now))
+        .rejects.toThrow('Only the driver can track this trip');
+    });
+  });
+
+  describe('recordLocation', () => {
+    beforeEach(async () => {
+      await tripTrackingService.startTrip('ride_1', 'driver_1', now);
+    });
+
+    it('should fall back to a straight-line ETA when routing is unavailable', async () => {
+      // About 10 km from Lonavala
+      const { etas } = await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.69, lng: 73.48 }, now);
+      const lonavala = etas.find(eta => eta.bookingId === 'booking_2');
+
+      expect(lonavala.distanceKm).toBeGreaterThan(9);
+      expect(lonavala.etaMinutes).toBe(Math.ceil((lonavala.distanceKm / 30) * 60));
+      expect(mockStore.tripSessions.ride_1.pickups.booking_2.etaSource).toBe('straight_line');
+    });
+
+    it('should use the road route and scale later straight-line ETAs by it', async () => {
+      mapsService.getRoute.mockResolvedValue({ routes: [{ duration: { value: 1800 }, distance: { value: 14000 } }] });
+      const first = await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.69, lng: 73.48 }, now);
+      expect(first.etas.find(eta => eta.bookingId === 'booking_2').etaMinutes).toBe(30);
+
+      // Within the refresh interval the routing API isn't asked again
+      mapsService.getRoute.mockClear();
+      const second = await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.69, lng: 73.48 }, minutesLater(1));
+      expect(mapsService.getRoute).not.toHaveBeenCalled();
+      expect(second.etas.find(eta => eta.bookingId === 'booking_2').etaMinutes).toBe(30);
+    });
+
+    it('should tell a passenger once when the driver is close and again on arrival', async () => {
+      // About 2 km out: 4-5 minutes at the fallback speed
+      await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.7537, lng: 73.4258 }, now);
+      await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.7537, lng: 73.4200 }, minutesLater(1));
+      await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.7538, lng: 73.4069 }, minutesLater(4));
+
+      expect(notificationTypes().filter(type => type.startsWith('passenger_2'))).toEqual([
+        'passenger_2:driver_approaching',
+        'passenger_2:driver_arrived',
+      ]);
+      expect(mockStore.tripSessions.ride_1.pickups.booking_2).toMatchObject({ status: 'arrived', etaMinutes: 0 });
+    });
+
+    it('should reject pings before the trip starts or after it ends', async () => {
+      await tripTrackingService.endTrip('ride_1', 'driver_1', now);
+
+      await expect(tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.6, lng: 73.5 }, now))
+        .rejects.toThrow('Trip tracking has not been started for this ride');
+    });
+  });
+
+  describe('getTripStatus', () => {
+    it('should show passengers only their own pickup', async () => {
+      await tripTrackingService.startTrip('ride_1', 'driver_1', now);
+
+      const driverView = await tripTrackingService.getTripStatus('ride_1', 'driver_1');
+      const passengerView = await tripTrackingService.getTripStatus('ride_1', 'passenger_2');
+
+      expect(driverView.pickups).toHaveLength(2);
+      expect(passengerView.pickups.map(pickup => pickup.bookingId)).toEqual(['booking_2']);
+      await expect(tripTrackingService.getTripStatus('ride_1', 'passenger_3'))
+        .rejects.toThrow('You can only track trips you are booked on');
+    });
+  });
+
+  describe('getTrail', () => {
+    it('should replay the kept breadcrumbs in time order within a window', async () => {
+      await tripTrackingService.startTrip('ride_1', 'driver_1', now);
+      await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.52, lng: 73.85, recordedAt: minutesLater(2).toISOString() }, now);
+      await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.53, lng: 73.84, recordedAt: minutesLater(1).toISOString() }, now);
+      await tripTrackingService.recordLocation('ride_1', 'driver_1', { lat: 18.60, lng: 73.70, recordedAt: minutesLater(10).toISOString() }, now);
+      await tripTrackingService.endTrip('ride_1', 'driver_1', minutesLater(11));
+
+      const full = await tripTrackingService.getTrail('ride_1');
+      expect(full.session.status).toBe('ended');
+      expect(full.points.map(point => point.lat)).toEqual([18.53, 18.52, 18.60]);
+      expect(full.summary.pointCount).toBe(3);
+
+      const window = await tripTrackingService.getTrail('ride_1', { to: minutesLater(5).toISOString() });
+      expect(window.points).toHaveLength(2);
+    });
+  });
+});
@@ -1,59 +1,16 @@
 const request = require('supertest');
 
-// Mock Firebase and Redis
+// Firestore and Redis are the local in-memory stores; token checks are mocked
 jest.mock('../config/firebase', () => ({
-  initializeFirebase: jest.fn().mockResolvedValue({}),
+  ...jest.requireActual('../config/firebase'),
   verifyIdToken: jest.fn(),
-  getUserByUid: jest.fn(),
-  getFirestore: jest.fn(() => ({
-    collection: jest.fn(() => ({
-      doc: jest.fn(() => ({
-        get: jest.fn().mockResolvedValue({ 
-          exists: true,
-          data: () => ({
-            uid: 'test-uid-123',
-            email: 'test@example.com',
-            displayName: 'Test User',
-            role: 'passenger'
-          })
-        }),
-        set: jest.fn().mockResolvedValue()
-      })),
-      where: jest.fn(() => ({
-        limit: jest.fn(() => ({
-          get: jest.fn().mockResolvedValue({ 
-            empty: false,
-            docs: [{
-              data: () => ({
-                uid: 'test-uid-123',
-                email: 'test@example.com',
-                displayName: 'Test User',
-                role: 'passenger'
-              })
-            }]
-          })
-        }))
-      }))
-    }))
-  }))
-}));
-
-jest.mock('../config/redis', () => ({
-  initializeRedis: jest.fn().mockResolvedValue({}),
-  session: {
-    set: jest.fn().mockResolvedValue(),
-    get: jest.fn().mockResolvedValue({
-      uid: 'test-uid-123',
-      email: 'test@example.com',
-      role: 'passenger'
-    }),
-    delete: jest.fn().mockResolvedValue(),
-    extend: jest.fn().mockResolvedValue()
-  }
+  getUserByUid: jest.fn()
 }));
 
 const app = require('../server');
 const { verifyIdToken, getUserByUid } = require('../config/firebase');
+const { getLocalStores, resetLocalStores } = require('../config/local');
+const User = require('../models/User');
 
 describe('Users API', () => {
   const mockFirebaseUser = {
@@ -70,8 +27,11 @@ describe('Users API', () => {
     email: 'test@example.com'
   };
 
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
+    resetLocalStores();
+    await getLocalStores().auth.createUser(mockFirebaseUser);
+    await User.fromFirebaseUser(mockFirebaseUser).save();
   });
 
   describe('GET /api/users/:userId', () => {
@@ -86,10 +46,6 @@ describe('Users API', () => {
     });
 
     it('should return 404 for non-existent user', async () => {
-      // Mock user not found
-      const { getFirestore } = require('../config/firebase');
-      getFirestore().collection().doc().get.mockResolvedValue({ exists: false });
-
       const response = await request(app)
         .get('/api/users/non-existent-uid')
         .expect(404);
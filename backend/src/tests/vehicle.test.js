@@ -1,40 +1,32 @@
 const request = require('supertest');
-const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const path = require('path');
 const app = require('../server');
+const User = require('../models/User');
 const Vehicle = require('../models/Vehicle');
 const vehicleService = require('../services/vehicleService');
-
-// Mock Firebase Admin
-jest.mock('firebase-admin', () => ({
-  auth: () => ({
-    verifyIdToken: jest.fn().mockResolvedValue({
-      uid: 'test-user-id',
-      email: 'test@example.com'
-    })
-  })
-}));
+const { getLocalStores, resetLocalStores } = require('../config/local');
 
 describe('Vehicle Management System', () => {
+  const uploadPath = path.join(__dirname, '../../uploads/vehicles');
   let authToken;
   let testVehicleId;
 
-  beforeAll(async () => {
-    // Connect to test database
-    await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/tripo-test');
-    
-    // Mock auth token
-    authToken = 'mock-firebase-token';
-  });
-
-  afterAll(async () => {
-    // Clean up test data
-    await Vehicle.deleteMany({});
-    await mongoose.connection.close();
+  beforeEach(async () => {
+    // Start each test with empty stores and a signed-in provider
+    resetLocalStores();
+    const { auth } = getLocalStores();
+    await auth.createUser({ uid: 'test-user-id', email: 'test@example.com' });
+    await new User({ uid: 'test-user-id', email: 'test@example.com', role: 'provider' }).save();
+    authToken = auth.createIdToken('test-user-id', { email: 'test@example.com' });
   });
 
-  beforeEach(async () => {
-    // Clean up before each test
-    await Vehicle.deleteMany({});
+  afterEach(async () => {
+    // Remove the documents this test uploaded
+    const files = await fs.readdir(uploadPath).catch(() => []);
+    await Promise.all(files
+      .filter(file => file.startsWith('test-user-id-'))
+      .map(file => fs.unlink(path.join(uploadPath, file))));
   });
 
   describe('Vehicle Registration', () => {
@@ -170,10 +162,8 @@ describe('Vehicle Management System', () => {
     });
 
     test('should return 404 for non-existent vehicle', async () => {
-      const fakeId = new mongoose.Types.ObjectId();
-      
       const response = await request(app)
-        .get(`/api/vehicles/${fakeId}`)
+        .get('/api/vehicles/non-existent-vehicle')
         .set('Authorization', `Bearer ${authToken}`)
         .expect(404);
 
@@ -289,7 +279,7 @@ describe('Vehicle Management System', () => {
 
     test('should get vehicle stats', async () => {
       // Create test vehicles with different statuses
-      await Vehicle.create([
+      await Promise.all([
         {
           ownerId: 'test-user-id',
           details: { make: 'Toyota', model: 'Camry', year: 2020, color: 'White', licensePlate: 'TEST-1', seats: 5 },
@@ -300,7 +290,7 @@ describe('Vehicle Management System', () => {
           details: { make: 'Honda', model: 'Civic', year: 2021, color: 'Blue', licensePlate: 'TEST-2', seats: 5 },
           verification: { status: 'pending' }
         }
-      ]);
+      ].map(data => new Vehicle(data).save()));
 
       const stats = await vehicleService.getVehicleStats('test-user-id');
 
@@ -0,0 +1,192 @@
+const mockStore = {};
+
+// Minimal in-memory Firestore supporting the calls the waitlist code makes
+jest.mock('../config/firebase', () => {
+  let counter = 0;
+
+  const collection = (name) => {
+    mockStore[name] = mockStore[name] || {};
+    return mockStore[name];
+  };
+
+  const snapshot = (name, id) => ({
+    exists: Boolean(collection(name)[id]),
+    data: () => collection(name)[id],
+  });
+
+  const doc = (name, id = `${name}_${++counter}`) => ({
+    id,
+    get: async () => snapshot(name, id),
+    set: async (value) => { collection(name)[id] = { ...(collection(name)[id] || {}), ...value }; },
+    update: async (value) => { collection(name)[id] = { ...collection(name)[id], ...value }; },
+    _name: name,
+  });
+
+  const query = (name, filters = []) => ({
+    where: (field, op, value) => query(name, [...filters, [field, value]]),
+    orderBy: () => query(name, filters),
+    get: async () => {
+      const docs = Object.entries(collection(name))
+        .filter(([, item]) => filters.every(([field, value]) => item[field] === value))
+        .map(([id]) => snapshot(name, id));
+      return { forEach: (fn) => docs.forEach(fn) };
+    },
+  });
+
+  const db = {
+    collection: (name) => ({
+      doc: (id) => doc(name, id),
+      where: (field, op, value) => query(name).where(field, op, value),
+    }),
+    runTransaction: async (fn) => fn({
+      get: (ref) => ref.get(),
+      set: (ref, value) => ref.set(value),
+      update: (ref, value) => ref.update(value),
+    }),
+  };
+
+  return {
+    getFirestore: () => db,
+    getDatabase: jest.fn(),
+  };
+});
+
+jest.mock('../services/realtimeService', () => ({
+  notifyWaitlistOffer: jest.fn(),
+  notifyWaitlistOfferExpired: jest.fn(),
+  notifyBookingStatusChange: jest.fn(),
+}));
+jest.mock('../services/notificationService', () => ({ sendComprehensiveNotification: jest.fn() }));
+jest.mock('../services/notificationPreferencesService', () => ({
+  getNotificationChannels: jest.fn().mockResolvedValue({ realtime: true }),
+  getFCMToken: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const waitlistService = require('../services/waitlistService');
+const RealtimeService = require('../services/realtimeService');
+const NotificationService = require('../services/notificationService');
+
+describe('WaitlistService', () => {
+  const now = new Date('2026-03-02T06:00:00');
+
+  const fullRide = () => ({
+    id: 'ride-1',
+    driverId: 'driver-1',
+    status: 'published',
+    departureDate: '2026-03-02',
+    departureTime: '09:00',
+    origin: { city: 'Pune', address: 'Pune' },
+    destination: { city: 'Mumbai', address: 'Mumbai' },
+    pricePerSeat: 400,
+    totalSeats: 2,
+    availableSeats: 0,
+    segmentSeats: [0],
+    passengers: {},
+  });
+
+  // Free a seat the way a cancelled confirmed booking does
+  const freeSeat = () => {
+    mockStore.rides['ride-1'] = { ...mockStore.rides['ride-1'], segmentSeats: [1], availableSeats: 1 };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(now);
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+    mockStore.rides = { 'ride-1': fullRide() };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should queue passengers on a full ride in order', async () => {
+    const first = await waitlistService.joinWaitlist('passenger-1', { rideId: 'ride-1' });
+    jest.advanceTimersByTime(1000);
+    const second = await waitlistService.joinWaitlist('passenger-2', { rideId: 'ride-1' });
+
+    expect(first.position).toBe(1);
+    expect(second.position).toBe(2);
+    expect(first.entry.segment).toMatchObject({ fromIndex: 0, toIndex: 1, fromStopName: 'Pune', toStopName: 'Mumbai' });
+    await expect(waitlistService.joinWaitlist('passenger-1', { rideId: 'ride-1' }))
+      .rejects.toThrow('You are already on the waitlist for this ride');
+  });
+
+  it('should refuse to queue while seats are still free', async () => {
+    freeSeat();
+
+    await expect(waitlistService.joinWaitlist('passenger-1', { rideId: 'ride-1' }))
+      .rejects.toThrow('Seats are still available on this ride');
+  });
+
+  it('should hold freed seats for the first passenger and notify them', async () => {
+    const { entry } = await waitlistService.joinWaitlist('passenger-1', { rideId: 'ride-1' });
+    jest.advanceTimersByTime(1000);
+    await waitlistService.joinWaitlist('passenger-2', { rideId: 'ride-1' });
+    freeSeat();
+
+    const offers = await waitlistService.processFreedSeats('ride-1');
+
+    expect(offers).toHaveLength(1);
+    expect(offers[0]).toMatchObject({ waitlistEntryId: entry.id, seats: 1 });
+    expect(mockStore.waitlist[entry.id].status).toBe('offered');
+    expect(mockStore.rides['ride-1'].segmentSeats).toEqual([0]);
+    expect(RealtimeService.notifyWaitlistOffer).toHaveBeenCalledWith('passenger-1', expect.objectContaining({ rideId: 'ride-1' }));
+    expect(NotificationService.sendComprehensiveNotification).toHaveBeenCalledWith(
+      'passenger-1',
+      expect.objectContaining({ type: 'waitlist_offer' }),
+      { realtime: true },
+      expect.any(Object),
+      { category: 'bookingConfirmations' }
+    );
+  });
+
+  it('should move an unanswered offer to the next passenger', async () => {
+    const { entry: first } = await waitlistService.joinWaitlist('passenger-1', { rideId: 'ride-1' });
+    jest.advanceTimersByTime(1000);
+    const { entry: second } = await waitlistService.joinWaitlist('passenger-2', { rideId: 'ride-1' });
+    freeSeat();
+    await waitlistService.processFreedSeats('ride-1');
+
+    await waitlistService.expireOffers(new Date('2026-03-02T06:10:00'));
+    expect(mockStore.waitlist[first.id].status).toBe('offered');
+
+    await waitlistService.expireOffers(new Date('2026-03-02T06:16:00'));
+
+    expect(mockStore.waitlist[first.id].status).toBe('expired');
+    expect(mockStore.waitlist[second.id].status).toBe('offered');
+    expect(mockStore.rides['ride-1'].segmentSeats).toEqual([0]);
+    expect(RealtimeService.notifyWaitlistOfferExpired).toHaveBeenCalledWith('passenger-1', expect.objectContaining({ waitlistEntryId: first.id }));
+    expect(RealtimeService.notifyWaitlistOffer).toHaveBeenLastCalledWith('passenger-2', expect.any(Object));
+  });
+
+  it('should book the held seats when the offer is accepted', async () => {
+    const { entry } = await waitlistService.joinWaitlist('passenger-1', { rideId: 'ride-1' });
+    freeSeat();
+    await waitlistService.processFreedSeats('ride-1');
+
+    const booking = await waitlistService.acceptOffer(entry.id, 'passenger-1');
+
+    expect(booking.status).toBe('confirmed');
+    expect(booking.pricing.totalAmount).toBe(400);
+    expect(mockStore.waitlist[entry.id]).toMatchObject({ status: 'accepted', bookingId: booking.id });
+    // The held seat becomes the booking's seat rather than being taken twice
+    expect(mockStore.rides['ride-1'].segmentSeats).toEqual([0]);
+    expect(mockStore.rides['ride-1'].passengers['passenger-1']).toMatchObject({ seatsBooked: 1, status: 'confirmed' });
+    await expect(waitlistService.acceptOffer(entry.id, 'passenger-1'))
+      .rejects.toThrow('Seat offer is no longer available');
+  });
+
+  it('should not let another passenger accept the offer', async () => {
+    const { entry } = await waitlistService.joinWaitlist('passenger-1', { rideId: 'ride-1' });
+    freeSeat();
+    await waitlistService.processFreedSeats('ride-1');
+
+    await expect(waitlistService.acceptOffer(entry.id, 'passenger-2')).rejects.toThrow('Access denied');
+  });
+});
@@ -0,0 +1,309 @@
+const walletService = require('../services/walletService');
+const paymentService = require('../services/paymentService');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+
+// In-memory Firestore with the subset of the API the wallet uses
+const mockStore = {};
+
+jest.mock('../config/firebase', () => {
+  const getCollection = (name) => {
+    if (!mockStore[name]) mockStore[name] = {};
+    return mockStore[name];
+  };
+
+  const makeDoc = (collection, id) => ({
+    id,
+    get: async () => ({
+      exists: !!getCollection(collection)[id],
+      data: () => getCollection(collection)[id],
+    }),
+    set: async (data, options = {}) => {
+      const existing = getCollection(collection)[id];
+      getCollection(collection)[id] = options.merge && existing ? { ...existing, ...data } : data;
+    },
+    update: async (data) => {
+      getCollection(collection)[id] = { ...getCollection(collection)[id], ...data };
+    },
+  });
+
+  const makeQuery = (collection, filters = [], order = null, skip = 0, max = null) => ({
+    where: (field, op, value) => makeQuery(collection, [...filters, [field, value]], order, skip, max),
+    orderBy: (field, direction) => makeQuery(collection, filters, [field, direction], skip, max),
+    offset: (n) => makeQuery(collection, filters, order, n, max),
+    limit: (n) => makeQuery(collection, filters, order, skip, n),
+    get: async () => {
+      let docs = Object.values(getCollection(collection))
+        .filter(doc => filters.every(([field, value]) => doc[field] === value));
+      if (order) {
+        docs.sort((a, b) => (a[order[0]] < b[order[0]] ? -1 : 1) * (order[1] === 'desc' ? -1 : 1));
+      }
+      docs = docs.slice(skip, max === null ? undefined : skip + max);
+      return { docs: docs.map(doc => ({ data: () => doc })), empty: docs.length === 0 };
+    },
+  });
+
+  let autoId = 0;
+  const db = {
+    collection: (name) => ({
+      doc: (id) => makeDoc(name, id || `auto-${++autoId}`),
+      ...makeQuery(name),
+    }),
+    runTransaction: async (fn) => {
+      const writes = [];
+      const result = await fn({
+        get: (ref) => ref.get(),
+        set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+      });
+      for (const write of writes) await write();
+      return result;
+    },
+  };
+
+  return { getFirestore: () => db };
+});
+
+jest.mock('../services/paymentService');
+jest.mock('../models/Payment');
+jest.mock('../models/Booking');
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('WalletService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(mockStore).forEach(key => delete mockStore[key]);
+  });
+
+  const credit = (transactionId, amount) => walletService.postTransaction({
+    transactionId,
+    userId: 'user-1',
+    direction: 'credit',
+    amount,
+    counterAccount: 'system:gateway_clearing',
+    type: 'topup',
+  });
+
+  describe('postTransaction', () => {
+    it('should credit the wallet and write two balancing ledger entries', async () => {
+      const result = await credit('tx-1', 500);
+
+      expect(result.balanceBefore).toBe(0);
+      expect(result.balanceAfter).toBe(500);
+      expect(mockStore.wallets['user-1'].balance).toBe(500);
+
+      const entries = Object.values(mockStore.wallet_ledger);
+      expect(entries).toHaveLength(2);
+      expect(entries.map(e => e.direction).sort()).toEqual(['credit', 'debit']);
+      expect(entries.every(e => e.amount === 500)).toBe(true);
+    });
+
+    it('should reject debits larger than the balance', async () => {
+      await credit('tx-1', 100);
+
+      await expect(walletService.postTransaction({
+        transactionId: 'tx-2',
+        userId: 'user-1',
+        direction: 'debit',
+        amount: 150,
+        counterAccount: 'system:booking_payments',
+        type: 'booking_payment',
+      })).rejects.toThrow('Insufficient wallet balance');
+
+      expect(mockStore.wallets['user-1'].balance).toBe(100);
+      expect(Object.values(mockStore.wallet_ledger)).toHaveLength(2);
+    });
+
+    it('should not post the same transaction twice', async () => {
+      await credit('tx-1', 200);
+      const replay = await credit('tx-1', 200);
+
+      expect(replay.duplicate).toBe(true);
+      expect(mockStore.wallets['user-1'].balance).toBe(200);
+      expect(Object.values(mockStore.wallet_ledger)).toHaveLength(2);
+    });
+
+    it('should round amounts to whole paise and reject amounts that are not positive', async () => {
+      const result = await credit('tx-1', 10.555);
+      await credit('tx-2', 0.1);
+      await credit('tx-3', 0.2);
+
+      expect(result.amount).toBe(10.56);
+      expect(mockStore.wallets['user-1'].balance).toBe(10.86);
+      await expect(credit('tx-4', 0.004)).rejects.toThrow('positive amount');
+      await expect(credit('tx-5', -5)).rejects.toThrow('positive amount');
+    });
+
+    it('should cap top-ups at the maximum balance but still credit refunds above it', async () => {
+      await credit('tx-1', 49900);
+
+      await expect(credit('tx-2', 200)).rejects.toThrow('cannot exceed');
+
+      const refund = await walletService.refundToWallet(
+        { id: 'payment-1', userId: 'user-1', bookingId: 'booking-1' },
+        300
+      );
+      expect(refund.status).toBe('processed');
+      expect(mockStore.wallets['user-1'].balance).toBe(50200);
+    });
+  });
+
+  describe('getTransactionHistory', () => {
+    it('should paginate wallet entries newest first', async () => {
+      await credit('tx-1', 100);
+      await credit('tx-2', 200);
+      await credit('tx-3', 300);
+      Object.values(mockStore.wallet_ledger).forEach((entry) => {
+        entry.createdAt = `2024-01-0${entry.transactionId.slice(-1)}T00:00:00.000Z`;
+      });
+
+      const firstPage = await walletService.getTransactionHistory('user-1', 2, 0);
+      expect(firstPage.transactions.map(t => t.id)).toEqual(['tx-3', 'tx-2']);
+      expect(firstPage.pagination.hasMore).toBe(true);
+
+      const secondPage = await walletService.getTransactionHistory('user-1', 2, 2);
+      expect(secondPage.transactions.map(t => t.id)).toEqual(['tx-1']);
+      expect(secondPage.pagination.hasMore).toBe(false);
+    });
+  });
+
+  describe('rebuildBalance', () => {
+    it('should detect and repair a drifted balance from the ledger', async () => {
+      await credit('tx-1', 300);
+      mockStore.wallets['user-1'].balance = 999;
+
+      const report = await walletService.rebuildBalance('user-1', true);
+
+      expect(report.ledgerBalance).toBe(300);
+      expect(report.inSync).toBe(false);
+      expect(report.repaired).toBe(true);
+      expect(mockStore.wallets['user-1'].balance).toBe(300);
+    });
+
+    it('should report fractional balances in sync and repair them to whole paise', async () => {
+      await credit('tx-1', 10.1);
+      await credit('tx-2', 20.2);
+
+      const report = await walletService.rebuildBalance('user-1');
+      expect(report.ledgerBalance).toBe(30.3);
+      expect(report.inSync).toBe(true);
+
+      mockStore.wallets['user-1'].balance = 0;
+      await walletService.rebuildBalance('user-1', true);
+      expect(mockStore.wallets['user-1'].balance).toBe(30.3);
+    });
+  });
+
+  describe('payForBooking', () => {
+    beforeEach(() => {
+      Booking.findById.mockResolvedValue({
+        id: 'booking-1',
+        rideId: 'ride-1',
+        passengerId: 'user-1',
+        status: 'confirmed',
+        pricing: { totalAmount: 400 },
+        payment: {},
+        save: jest.fn().mockResolvedValue(),
+      });
+      Payment.findByBookingId.mockResolvedValue([]);
+      Payment.findById.mockResolvedValue(null);
+      Payment.prototype.save = jest.fn().mockResolvedValue();
+      paymentService.calculateTotalAmount.mockReturnValue({
+        baseAmount: 400,
+        serviceFee: 20,
+        totalAmount: 420,
+      });
+    });
+
+    it('should debit the wallet for the booking total', async () => {
+      await credit('tx-1', 500);
+
+      const result = await walletService.payForBooking('user-1', 'booking-1');
+
+      expect(result.transaction.id).toBe('booking_booking-1');
+      expect(result.wallet.balance).toBe(80);
+      expect(Payment).toHaveBeenCalledWith(expect.objectContaining({
+        gateway: 'wallet',
+        status: 'completed',
+        amount: 420,
+      }));
+    });
+
+    it('should pay a fare that is not a whole number of rupees', async () => {
+      await credit('tx-1', 500);
+      paymentService.calculateTotalAmount.mockReturnValue({ baseAmount: 399.5, serviceFee: 20, totalAmount: 419.5 });
+
+      const result = await walletService.payForBooking('user-1', 'booking-1');
+
+      expect(result.transaction.amount).toBe(419.5);
+      expect(result.wallet.balance).toBe(80.5);
+      expect(Payment).toHaveBeenCalledWith(expect.objectContaining({ amount: 419.5 }));
+    });
+
+    it('should debit again when a refunded booking is paid a second time', async () => {
+      await credit('tx-1', 1000);
+      await walletService.payForBooking('user-1', 'booking-1');
+      Payment.findByBookingId.mockResolvedValue([{ gateway: 'wallet', status: 'refunded' }]);
+
+      const second = await walletService.payForBooking('user-1', 'booking-1');
+
+      expect(second.transaction.id).toBe('booking_booking-1_2');
+      expect(second.wallet.balance).toBe(160);
+    });
+
+    it('should not record a payment when the same attempt was already debited', async () => {
+      await credit('tx-1', 1000);
+      await walletService.payForBooking('user-1', 'booking-1');
+      Payment.findById.mockResolvedValue({ id: 'wallet_booking_booking-1', status: 'completed' });
+      Payment.prototype.save.mockClear();
+
+      await expect(walletService.payForBooking('user-1', 'booking-1'))
+        .rejects.toThrow('already in progress');
+      expect(Payment.prototype.save).not.toHaveBeenCalled();
+      expect(mockStore.wallets['user-1'].balance).toBe(580);
+    });
+
+    it('should complete the payment record on retry when saving it failed after the debit', async () => {
+      await credit('tx-1', 1000);
+      Payment.prototype.save.mockRejectedValueOnce(new Error('Failed to save payment: unavailable'));
+      await expect(walletService.payForBooking('user-1', 'booking-1')).rejects.toThrow('Failed to save payment');
+
+      const retry = await walletService.payForBooking('user-1', 'booking-1');
+
+      expect(retry.transaction.id).toBe('booking_booking-1');
+      expect(retry.wallet.balance).toBe(580);
+      expect(Payment.findById).toHaveBeenCalledWith('wallet_booking_booking-1');
+      expect(Payment).toHaveBeenLastCalledWith(expect.objectContaining({
+        id: 'wallet_booking_booking-1',
+        status: 'completed',
+        amount: 420,
+      }));
+      expect(Payment.prototype.save).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse to pay for another passenger\'s booking', async () => {
+      await expect(walletService.payForBooking('user-2', 'booking-1'))
+        .rejects.toThrow('You can only pay for your own bookings');
+    });
+  });
+
+  describe('refundToWallet', () => {
+    it('should credit the refund and return a gateway-style result', async () => {
+      const refund = await walletService.refundToWallet(
+        { id: 'payment-1', userId: 'user-1', bookingId: 'booking-1' },
+        250
+      );
+
+      expect(refund).toEqual(expect.objectContaining({
+        refundId: 'refund_payment-1',
+        amount: 250,
+        status: 'processed',
+        gateway: 'wallet',
+      }));
+      expect(mockStore.wallets['user-1'].balance).toBe(250);
+    });
+  });
+});
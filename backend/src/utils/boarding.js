@@ -0,0 +1,59 @@
+/**
+ * Boarding check-in rules shared by trip completion, payouts and reviews.
+ *
+ * A booking counts once the driver has checked the passenger in with their
+ * boarding code. Only bookings confirmed before BOARDING_REQUIRED_FROM, the
+ * date boarding codes went live in this deployment, count without one.
+ */
+
+// Firestore timestamps, Dates and ISO strings
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * When boarding codes became required. There is no default: a guessed date
+ * would either wave through unboarded trips or block payouts for old ones.
+ */
+function getBoardingRequiredFrom() {
+  const requiredFrom = toDate(process.env.BOARDING_REQUIRED_FROM);
+  if (!requiredFrom) {
+    throw new Error('BOARDING_REQUIRED_FROM is not configured');
+  }
+  return requiredFrom;
+}
+
+/**
+ * Check if the driver has checked the passenger in with their boarding code
+ */
+function isBoarded(booking) {
+  return Boolean(booking?.boarding?.boardedAt);
+}
+
+/**
+ * Check if the booking was confirmed once boarding codes were required.
+ * A booking with no confirmation time on record is held to the rule.
+ */
+function isBoardingRequired(booking) {
+  const requiredFrom = getBoardingRequiredFrom();
+  const confirmedAt = toDate(booking?.confirmedAt);
+  return !confirmedAt || confirmedAt >= requiredFrom;
+}
+
+/**
+ * Check if the trip can be completed, paid out and reviewed
+ */
+function isCheckedIn(booking) {
+  return isBoarded(booking) || !isBoardingRequired(booking);
+}
+
+module.exports = {
+  getBoardingRequiredFrom,
+  isBoarded,
+  isBoardingRequired,
+  isCheckedIn,
+};
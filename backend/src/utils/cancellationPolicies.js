@@ -0,0 +1,188 @@
+const { config } = require('../config/payment');
+
+/**
+ * Ride cancellation policies.
+ *
+ * A provider picks flexible, moderate or strict for a ride, or supplies custom
+ * tiers, in ride.bookingPolicy.cancellationPolicy (and cancellationTiers for
+ * custom). A tier { hoursBefore, refundPercentage } applies when a passenger
+ * cancels at least hoursBefore hours before departure; the first matching tier
+ * (highest hoursBefore) wins and no refund is due after the last one.
+ *
+ * Cancellations by the driver are always refunded in full, whatever the policy.
+ */
+
+const DEFAULT_POLICY = 'moderate';
+
+const PRESET_POLICIES = {
+  flexible: [
+    { hoursBefore: 2, refundPercentage: 100 },
+    { hoursBefore: 0, refundPercentage: 50 },
+  ],
+  strict: [
+    { hoursBefore: 72, refundPercentage: 100 },
+    { hoursBefore: 24, refundPercentage: 50 },
+  ],
+};
+
+/**
+ * Refund tiers of a preset policy. 'moderate' is the platform-wide refund
+ * config, so rides without a policy keep refunding as before.
+ */
+function getPresetTiers(type) {
+  if (type === 'moderate') {
+    const { fullRefundHours, partialRefundHours, partialRefundPercentage } = config.refund;
+    return [
+      { hoursBefore: fullRefundHours, refundPercentage: 100 },
+      { hoursBefore: partialRefundHours, refundPercentage: partialRefundPercentage },
+    ];
+  }
+  return PRESET_POLICIES[type];
+}
+
+function isPresetPolicy(type) {
+  return type === 'moderate' || Object.prototype.hasOwnProperty.call(PRESET_POLICIES, type);
+}
+
+/**
+ * Tiers ordered from the earliest cancellation to the latest
+ */
+function sortTiers(tiers) {
+  return [...tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+}
+
+/**
+ * Validate custom tiers from a provider, returning them sorted
+ */
+function validateCustomTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error('Custom cancellation policy needs at least one refund tier');
+  }
+  if (tiers.length > config.cancellationPolicies.maxCustomTiers) {
+    throw new Error(`Custom cancellation policy can have at most ${config.cancellationPolicies.maxCustomTiers} refund tiers`);
+  }
+
+  const normalized = tiers.map(tier => ({
+    hoursBefore: Number(tier.hoursBefore),
+    refundPercentage: Number(tier.refundPercentage),
+  }));
+
+  normalized.forEach(tier => {
+    if (!Number.isFinite(tier.hoursBefore) || tier.hoursBefore < 0) {
+      throw new Error('Custom cancellation policy tiers need zero or more hours before departure');
+    }
+    if (!Number.isFinite(tier.refundPercentage) || tier.refundPercentage < 0 || tier.refundPercentage > 100) {
+      throw new Error('Custom cancellation policy refund percentages must be between 0 and 100');
+    }
+  });
+
+  const sorted = sortTiers(normalized);
+  sorted.forEach((tier, index) => {
+    const earlier = sorted[index - 1];
+    if (earlier && earlier.hoursBefore === tier.hoursBefore) {
+      throw new Error('Custom cancellation policy tiers must have different hours before departure');
+    }
+    if (earlier && earlier.refundPercentage < tier.refundPercentage) {
+      throw new Error('Custom cancellation policy cannot refund later cancellations more than earlier ones');
+    }
+  });
+
+  return sorted;
+}
+
+/**
+ * Check and clean the cancellation fields of a ride's booking policy.
+ * Other booking policy fields (instantBooking etc.) are kept as they are.
+ */
+function normalizeBookingPolicy(bookingPolicy) {
+  const { cancellationTiers, ...rest } = bookingPolicy || {};
+  const type = rest.cancellationPolicy || DEFAULT_POLICY;
+
+  if (type === 'custom') {
+    return { ...rest, cancellationPolicy: type, cancellationTiers: validateCustomTiers(cancellationTiers) };
+  }
+
+  if (!isPresetPolicy(type)) {
+    throw new Error('Unknown cancellation policy: must be flexible, moderate, strict or custom');
+  }
+
+  return { ...rest, cancellationPolicy: type };
+}
+
+/**
+ * Policy type and refund tiers for a ride's booking policy.
+ * Rides created before policies existed use the default.
+ */
+function resolveCancellationPolicy(bookingPolicy) {
+  const type = bookingPolicy?.cancellationPolicy;
+
+  if (type === 'custom' && Array.isArray(bookingPolicy.cancellationTiers) && bookingPolicy.cancellationTiers.length > 0) {
+    return { type, tiers: sortTiers(bookingPolicy.cancellationTiers) };
+  }
+
+  const preset = isPresetPolicy(type) ? type : DEFAULT_POLICY;
+  return { type: preset, tiers: getPresetTiers(preset) };
+}
+
+/**
+ * Human-readable policy for booking details
+ */
+function describeCancellationPolicy(bookingPolicy) {
+  const { type, tiers } = resolveCancellationPolicy(bookingPolicy);
+
+  const rules = tiers.map(tier => {
+    const refund = tier.refundPercentage === 100 ? 'Full refund' : `${tier.refundPercentage}% refund`;
+    return tier.hoursBefore > 0
+      ? `${refund} if cancelled at least ${tier.hoursBefore} hours before departure`
+      : `${refund} if cancelled before departure`;
+  });
+  rules.push('No refund after that');
+  rules.push('Full refund if the driver cancels');
+
+  return { type, tiers, rules };
+}
+
+/**
+ * Work out the refund for a cancellation, with the breakdown recorded on the payment
+ */
+function calculateRefund(originalAmount, hoursBeforeDeparture, bookingPolicy = null, { cancelledBy = 'passenger' } = {}) {
+  const { type, tiers } = resolveCancellationPolicy(bookingPolicy);
+
+  let tierApplied = null;
+  let refundPercentage;
+  if (cancelledBy === 'driver') {
+    refundPercentage = 100;
+  } else {
+    tierApplied = tiers.find(tier => hoursBeforeDeparture >= tier.hoursBefore) || null;
+    refundPercentage = tierApplied ? tierApplied.refundPercentage : 0;
+  }
+
+  const refundAmount = Math.round((originalAmount * refundPercentage) / 100);
+  let refundType = 'partial';
+  if (refundPercentage === 100) refundType = 'full';
+  if (refundPercentage === 0) refundType = 'none';
+
+  return {
+    refundAmount,
+    refundPercentage,
+    refundType,
+    breakdown: {
+      policy: type,
+      cancelledBy,
+      hoursBeforeDeparture: Math.round(hoursBeforeDeparture * 100) / 100,
+      tierApplied,
+      originalAmount,
+      refundPercentage,
+      refundAmount,
+      retainedAmount: originalAmount - refundAmount,
+    },
+  };
+}
+
+module.exports = {
+  validateCustomTiers,
+  normalizeBookingPolicy,
+  resolveCancellationPolicy,
+  describeCancellationPolicy,
+  calculateRefund,
+};
@@ -0,0 +1,142 @@
+/**
+ * Demand-based seat pricing.
+ *
+ * A provider opts a ride in by setting ride.dynamicPricing
+ * { enabled, basePrice, minPrice, maxPrice }. The engine then moves
+ * ride.pricePerSeat away from basePrice by a multiplier built from three
+ * signals, and never outside the provider's min/max bounds:
+ *
+ *  - search volume for the ride's route (recent searches / busy threshold)
+ *  - seat fill rate (booked seats / total seats)
+ *  - time to departure (close to departure, busy rides go up and empty ones down)
+ *
+ * Bookings keep the price they were made at; see getPriceLock.
+ */
+
+const WEIGHTS = {
+  searchVolume: 0.2, // Up to +20% when the route is searched heavily
+  fillRate: 0.3, // -15% for an empty ride to +15% for a full one
+  lastMinute: 0.1, // +/-10% within LAST_MINUTE_HOURS of departure
+  sameDay: 0.05, // +/-5% within SAME_DAY_HOURS of departure
+};
+
+const LAST_MINUTE_HOURS = 6;
+const SAME_DAY_HOURS = 24;
+
+/**
+ * Round to two decimals
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Check and clean a provider's dynamic pricing settings.
+ * basePrice is the price the provider set; the bounds must contain it.
+ */
+function normalizeDynamicPricing(settings, basePrice) {
+  if (!settings || !settings.enabled) {
+    return { enabled: false };
+  }
+
+  const base = Number(settings.basePrice ?? basePrice);
+  const minPrice = Number(settings.minPrice ?? base);
+  const maxPrice = Number(settings.maxPrice ?? base);
+
+  if (![base, minPrice, maxPrice].every(price => Number.isFinite(price) && price >= 1)) {
+    throw new Error('Dynamic pricing needs a base, minimum and maximum price of at least 1');
+  }
+  if (minPrice > base || maxPrice < base) {
+    throw new Error('Dynamic pricing bounds must include the base seat price');
+  }
+
+  return {
+    enabled: true,
+    basePrice: base,
+    minPrice,
+    maxPrice,
+    multiplier: settings.multiplier || 1,
+    lastRepricedAt: settings.lastRepricedAt || null,
+  };
+}
+
+/**
+ * Share of the ride's seats already booked
+ */
+function getFillRate(ride) {
+  const totalSeats = Number(ride.totalSeats) || 0;
+  if (totalSeats === 0) return 0;
+  const bookedSeats = totalSeats - (Number(ride.availableSeats) || 0);
+  return Math.min(1, Math.max(0, bookedSeats / totalSeats));
+}
+
+/**
+ * Hours from now until the ride departs
+ */
+function getHoursToDeparture(ride, now = new Date()) {
+  const departure = new Date(`${ride.departureDate} ${ride.departureTime}`);
+  return (departure - now) / (1000 * 60 * 60);
+}
+
+/**
+ * Price multiplier and the contribution of each signal
+ */
+function calculateDemandMultiplier({ searchVolume = 0, fillRate = 0, hoursToDeparture = Infinity }, highSearchVolume) {
+  const searchDemand = highSearchVolume > 0 ? Math.min(1, searchVolume / highSearchVolume) : 0;
+  const busy = fillRate >= 0.5;
+
+  let timeToDeparture = 0;
+  if (hoursToDeparture <= LAST_MINUTE_HOURS) {
+    timeToDeparture = busy ? WEIGHTS.lastMinute : -WEIGHTS.lastMinute;
+  } else if (hoursToDeparture <= SAME_DAY_HOURS) {
+    timeToDeparture = busy ? WEIGHTS.sameDay : -WEIGHTS.sameDay;
+  }
+
+  const factors = {
+    searchVolume: round2(WEIGHTS.searchVolume * searchDemand),
+    fillRate: round2(WEIGHTS.fillRate * (fillRate - 0.5)),
+    timeToDeparture,
+  };
+
+  const multiplier = round2(1 + factors.searchVolume + factors.fillRate + factors.timeToDeparture);
+  return { multiplier, factors };
+}
+
+/**
+ * Seat price the engine would set for a ride right now
+ */
+function calculateDynamicPrice(ride, { searchVolume = 0, highSearchVolume, now = new Date() } = {}) {
+  const { basePrice, minPrice, maxPrice } = ride.dynamicPricing;
+  const signals = {
+    searchVolume,
+    fillRate: round2(getFillRate(ride)),
+    hoursToDeparture: round2(getHoursToDeparture(ride, now)),
+  };
+
+  const { multiplier, factors } = calculateDemandMultiplier(signals, highSearchVolume);
+  const price = Math.min(maxPrice, Math.max(minPrice, Math.round(basePrice * multiplier)));
+
+  return { price, multiplier, factors, signals };
+}
+
+/**
+ * Pricing fields a booking keeps so later repricing never changes what the passenger pays
+ */
+function getPriceLock(ride, now = new Date()) {
+  const dynamic = ride.dynamicPricing?.enabled === true;
+  return {
+    priceLockedAt: now.toISOString(),
+    dynamicPricing: dynamic,
+    basePricePerSeat: dynamic ? ride.dynamicPricing.basePrice : ride.pricePerSeat,
+    priceMultiplier: dynamic ? round2(ride.pricePerSeat / ride.dynamicPricing.basePrice) : 1,
+  };
+}
+
+module.exports = {
+  normalizeDynamicPricing,
+  getFillRate,
+  getHoursToDeparture,
+  calculateDemandMultiplier,
+  calculateDynamicPrice,
+  getPriceLock,
+};
@@ -127,6 +127,28 @@ class EncryptionService {
     }
   }
 
+  /**
+   * Sign data with the master key (HMAC-SHA256) so it can be handed to a
+   * client and trusted when it comes back. The context keeps signatures
+   * made for one purpose from being accepted for another.
+   */
+  sign(data, context = '') {
+    return crypto
+      .createHmac('sha256', this.masterKey)
+      .update(`${context}:${data}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Verify a signature made by sign()
+   */
+  verifySignature(data, signature, context = '') {
+    const expected = Buffer.from(this.sign(data, context));
+    const actual = Buffer.from(String(signature || ''));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
   /**
    * Generate secure random token
    */
@@ -336,7 +358,7 @@ class KeyManager {
           this.rotateKey(keyId);
         }
       }
-    }, 60 * 60 * 1000); // Check every hour
+    }, 60 * 60 * 1000).unref(); // Check every hour, without holding the process open
   }
 
   /**
@@ -0,0 +1,143 @@
+/**
+ * Geohash encoding for proximity lookups in Firestore.
+ *
+ * A geohash is a base-32 string naming a lat/lng cell; every extra character
+ * splits the cell further, so points that share a prefix are close together.
+ * Stored on a document, it lets a range query on the prefix fetch everything in
+ * a cell. A circle is covered by the cell holding its centre plus the eight
+ * around it, at a precision whose cells are at least as large as the radius.
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Approximate cell size in km (height, width at the equator) for each precision
+const CELL_SIZES_KM = [
+  null,
+  { height: 4992.6, width: 5009.4 },
+  { height: 624.1, width: 1252.3 },
+  { height: 156, width: 156.5 },
+  { height: 19.5, width: 39.1 },
+  { height: 4.89, width: 4.89 },
+  { height: 0.61, width: 1.22 },
+  { height: 0.153, width: 0.153 },
+  { height: 0.019, width: 0.038 },
+  { height: 0.0048, width: 0.0048 },
+];
+
+const DEFAULT_PRECISION = 9;
+
+/**
+ * Encode a point as a geohash
+ */
+function encode(lat, lng, precision = DEFAULT_PRECISION) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bit = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coordinate = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    if (evenBit) lngRange = range; else latRange = range;
+
+    evenBit = !evenBit;
+    if (++bit === 5) {
+      hash += BASE32[value];
+      bit = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Bounding box of a geohash cell
+ */
+function decodeBounds(hash) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid geohash: ${hash}`);
+    }
+    for (let shift = 4; shift >= 0; shift--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> shift) & 1) range[0] = mid; else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+
+  return { minLat: latRange[0], maxLat: latRange[1], minLng: lngRange[0], maxLng: lngRange[1] };
+}
+
+/**
+ * Finest precision whose cells are at least radiusKm across, so a radius
+ * search only needs the centre cell and its neighbours. Cells narrow away
+ * from the equator, so the width is scaled by the latitude.
+ */
+function precisionForRadius(radiusKm, lat = 0) {
+  const widthScale = Math.cos((Math.min(Math.abs(lat), 89) * Math.PI) / 180);
+  for (let precision = CELL_SIZES_KM.length - 1; precision > 1; precision--) {
+    const size = CELL_SIZES_KM[precision];
+    if (Math.min(size.height, size.width * widthScale) >= radiusKm) {
+      return precision;
+    }
+  }
+  return 1;
+}
+
+/**
+ * The cell holding a point and the eight cells around it
+ */
+function neighbours(hash) {
+  const bounds = decodeBounds(hash);
+  const height = bounds.maxLat - bounds.minLat;
+  const width = bounds.maxLng - bounds.minLng;
+  const centreLat = (bounds.minLat + bounds.maxLat) / 2;
+  const centreLng = (bounds.minLng + bounds.maxLng) / 2;
+  const cells = new Set();
+
+  for (const latStep of [-1, 0, 1]) {
+    for (const lngStep of [-1, 0, 1]) {
+      const lat = centreLat + latStep * height;
+      if (lat < -90 || lat > 90) continue;
+      let lng = centreLng + lngStep * width;
+      if (lng < -180) lng += 360;
+      if (lng > 180) lng -= 360;
+      cells.add(encode(lat, lng, hash.length));
+    }
+  }
+
+  return [...cells];
+}
+
+/**
+ * Geohash prefixes that together cover a circle
+ */
+function coveringPrefixes(lat, lng, radiusKm) {
+  return neighbours(encode(lat, lng, precisionForRadius(radiusKm, lat)));
+}
+
+module.exports = {
+  encode,
+  decodeBounds,
+  precisionForRadius,
+  neighbours,
+  coveringPrefixes,
+};
@@ -0,0 +1,163 @@
+const segments = require('./segments');
+
+/**
+ * Multi-leg itineraries: two or more rides chained at shared stops, where each
+ * leg departs at least a minimum layover after the previous leg arrives.
+ */
+
+const AVERAGE_SPEED_KMPH = 40; // Used when a ride has no arrival time
+const DEFAULT_SEGMENT_MINUTES = 60; // Used when a ride has neither arrival time nor distances
+
+const DEFAULT_LAYOVER = {
+  minLayoverMinutes: 15,
+  maxLayoverMinutes: 240,
+};
+
+/**
+ * Departure date/time of a ride
+ */
+function getRideDeparture(ride) {
+  if (!ride.departureDate || !ride.departureTime) return null;
+  const departure = new Date(`${ride.departureDate}T${ride.departureTime}`);
+  return Number.isNaN(departure.getTime()) ? null : departure;
+}
+
+/**
+ * Total ride duration in minutes: arrival time, then route estimate, then distance
+ */
+function getRideDurationMinutes(ride) {
+  const departure = getRideDeparture(ride);
+
+  if (departure && ride.arrivalTime && /^\d{1,2}:\d{2}$/.test(ride.arrivalTime)) {
+    const arrival = new Date(`${ride.departureDate}T${ride.arrivalTime.padStart(5, '0')}`);
+    let minutes = (arrival - departure) / 60000;
+    if (minutes <= 0) minutes += 24 * 60; // Arrives the next day
+    return minutes;
+  }
+
+  if (Number(ride.route?.estimatedDuration) > 0) {
+    return Number(ride.route.estimatedDuration);
+  }
+
+  const routeStops = segments.getRouteStops(ride);
+  const totalDistance = routeStops[routeStops.length - 1]?.distanceFromStart;
+  if (totalDistance) {
+    return Math.round((totalDistance / AVERAGE_SPEED_KMPH) * 60);
+  }
+
+  return (routeStops.length - 1) * DEFAULT_SEGMENT_MINUTES;
+}
+
+/**
+ * Estimated time the ride reaches a stop, spreading the duration by distance
+ * (or evenly per segment when distances are unknown)
+ */
+function getStopDateTime(ride, stopIndex) {
+  const departure = getRideDeparture(ride);
+  if (!departure) return null;
+
+  const routeStops = segments.getRouteStops(ride);
+  const lastIndex = routeStops.length - 1;
+  const totalDistance = routeStops[lastIndex]?.distanceFromStart;
+  const fraction = totalDistance
+    ? routeStops[stopIndex].distanceFromStart / totalDistance
+    : stopIndex / lastIndex;
+
+  return new Date(departure.getTime() + Math.round(getRideDurationMinutes(ride) * fraction) * 60000);
+}
+
+/**
+ * Describe one leg of an itinerary from a ride and its segment quote
+ */
+function describeLeg(ride, quote) {
+  const departureAt = getStopDateTime(ride, quote.segment.fromIndex);
+  const arrivalAt = getStopDateTime(ride, quote.segment.toIndex);
+
+  return {
+    rideId: ride.id,
+    driverId: ride.driverId,
+    ...quote.segment,
+    pricePerSeat: quote.pricePerSeat,
+    availableSeats: quote.availableSeats,
+    departureAt: departureAt ? departureAt.toISOString() : null,
+    arrivalAt: arrivalAt ? arrivalAt.toISOString() : null,
+    durationMinutes: departureAt && arrivalAt ? Math.round((arrivalAt - departureAt) / 60000) : null,
+  };
+}
+
+/**
+ * Whether two legs meet at the same stop
+ */
+function isSameStop(arrivingLeg, departingLeg) {
+  if (arrivingLeg.toStopId && arrivingLeg.toStopId === departingLeg.fromStopId) {
+    return true;
+  }
+  return segments.normalizeStopKey(arrivingLeg.toStopName) === segments.normalizeStopKey(departingLeg.fromStopName);
+}
+
+/**
+ * Minutes between arriving on one leg and departing on the next
+ */
+function getLayoverMinutes(arrivingLeg, departingLeg) {
+  return Math.round((new Date(departingLeg.departureAt) - new Date(arrivingLeg.arrivalAt)) / 60000);
+}
+
+/**
+ * Check that a leg can follow another. Returns null when it can, or the reason it cannot.
+ */
+function checkConnection(arrivingLeg, departingLeg, options = {}) {
+  const { minLayoverMinutes, maxLayoverMinutes } = { ...DEFAULT_LAYOVER, ...options };
+
+  if (arrivingLeg.rideId === departingLeg.rideId) {
+    return 'Connecting legs must be on different rides';
+  }
+  if (!isSameStop(arrivingLeg, departingLeg)) {
+    return `Leg to ${arrivingLeg.toStopName} does not connect with leg from ${departingLeg.fromStopName}`;
+  }
+  if (!arrivingLeg.arrivalAt || !departingLeg.departureAt) {
+    return 'Connection times are unknown';
+  }
+
+  const layover = getLayoverMinutes(arrivingLeg, departingLeg);
+  if (layover < minLayoverMinutes) {
+    return `Layover at ${departingLeg.fromStopName} is shorter than ${minLayoverMinutes} minutes`;
+  }
+  if (layover > maxLayoverMinutes) {
+    return `Layover at ${departingLeg.fromStopName} is longer than ${maxLayoverMinutes} minutes`;
+  }
+  return null;
+}
+
+/**
+ * Combine legs into an itinerary with layovers, combined price and total travel time
+ */
+function summarizeItinerary(legs) {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+
+  return {
+    id: legs.map(leg => `${leg.rideId}:${leg.fromIndex}-${leg.toIndex}`).join('|'),
+    legs,
+    layovers: legs.slice(1).map((leg, index) => ({
+      at: leg.fromStopName,
+      minutes: getLayoverMinutes(legs[index], leg),
+    })),
+    pricePerSeat: legs.reduce((sum, leg) => sum + leg.pricePerSeat, 0),
+    availableSeats: Math.min(...legs.map(leg => leg.availableSeats)),
+    departureAt: first.departureAt,
+    arrivalAt: last.arrivalAt,
+    totalTravelMinutes: Math.round((new Date(last.arrivalAt) - new Date(first.departureAt)) / 60000),
+  };
+}
+
+module.exports = {
+  DEFAULT_LAYOVER,
+  getRideDeparture,
+  getRideDurationMinutes,
+  getStopDateTime,
+  describeLeg,
+  isSameStop,
+  getLayoverMinutes,
+  checkConnection,
+  summarizeItinerary,
+};
@@ -1,4 +1,6 @@
 const axios = require('axios');
+const { isLocalMode } = require('../config/local');
+const { LocalMapsGateway } = require('../config/local/mapsGateway');
 const logger = require('./logger');
 
 class MapsService {
@@ -17,6 +19,9 @@ class MapsService {
 
         this.accessToken = null;
         this.tokenExpiresAt = 0;
+
+        // In local mode every API call is answered offline
+        this.local = isLocalMode() ? new LocalMapsGateway(this) : null;
     }
 
     extractEncodedPolyline(value) {
@@ -73,6 +78,10 @@ class MapsService {
      */
     async geocodeAddress(address) {
         try {
+            if (this.local) {
+                return this.local.geocodeAddress(address);
+            }
+
             if (!this.apiKey) {
                 logger.warn('Ola Maps API key not configured');
                 return null;
@@ -117,6 +126,10 @@ class MapsService {
      */
     async getRoute(origin, destination, waypoints = [], options = {}) {
         try {
+            if (this.local) {
+                return this.local.getRoute(origin, destination, waypoints, options);
+            }
+
             // Use OAuth token for Routing API
             const token = await this.getAccessToken();
 
@@ -212,6 +225,10 @@ class MapsService {
      */
     async getNearbyPlaces(location, radius = 5000, type = 'point_of_interest') {
         try {
+            if (this.local) {
+                return this.local.getNearbyPlaces(location, radius, type);
+            }
+
             if (!this.apiKey) {
                 logger.warn('Ola Maps API key not configured');
                 return [];
@@ -286,6 +303,10 @@ class MapsService {
      */
     async getPlaceAutocomplete(input, location = null, radius = 50000) {
         try {
+            if (this.local) {
+                return this.local.getPlaceAutocomplete(input, location, radius);
+            }
+
             if (!this.apiKey) {
                 logger.warn('Ola Maps API key not configured');
                 return [];
@@ -330,6 +351,10 @@ class MapsService {
      */
     async getPlaceDetails(placeId) {
         try {
+            if (this.local) {
+                return this.local.getPlaceDetails(placeId);
+            }
+
             if (!this.apiKey) {
                 logger.warn('Ola Maps API key not configured');
                 return null;
@@ -371,7 +396,7 @@ class MapsService {
      */
     async batchGeocode(addresses) {
         try {
-            if (!this.apiKey) {
+            if (!this.apiKey && !this.local) {
                 logger.warn('Ola Maps API key not configured');
                 return [];
             }
@@ -406,6 +431,10 @@ class MapsService {
      */
     async reverseGeocode(coordinates) {
         try {
+            if (this.local) {
+                return this.local.reverseGeocode(coordinates);
+            }
+
             if (this.apiKey) {
                 const response = await axios.get(this.reverseGeocodingUrl, {
                     params: {
@@ -477,7 +506,7 @@ class MapsService {
      */
     async findOptimalPickupPoints(origin, destination, userLocation, options = {}) {
         try {
-            if (!this.apiKey) {
+            if (!this.apiKey && !this.local) {
                 logger.warn('Ola Maps API key not configured');
                 return [];
             }
@@ -550,6 +579,10 @@ class MapsService {
      */
     async getWalkingTime(origin, destination) {
         try {
+            if (this.local) {
+                return this.local.getWalkingTime(origin, destination);
+            }
+
             if (!this.apiKey) {
                 return null;
             }
@@ -680,7 +713,7 @@ class MapsService {
      */
     async getDistanceMatrix(origins, destinations, options = {}) {
         try {
-            if (!this.apiKey) {
+            if (!this.apiKey && !this.local) {
                 logger.warn('Ola Maps API key not configured');
                 return null;
             }
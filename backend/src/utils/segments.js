@@ -0,0 +1,295 @@
+const mapsService = require('./maps');
+
+/**
+ * Seat inventory per route segment.
+ *
+ * A ride created from a predefined route stops at source, intermediate stops and
+ * destination. Segment i is the leg between routeStops[i] and routeStops[i + 1],
+ * and ride.segmentSeats[i] is the number of seats still free on that leg. A booking
+ * from stop a to stop b holds a seat on segments a .. b - 1 only, so a seat freed
+ * at an intermediate stop can be sold again for the remaining legs.
+ *
+ * ride.availableSeats is kept as the largest free count on any segment, so a ride
+ * stays visible in search while at least one leg still has room.
+ */
+
+/**
+ * Normalize a stop name for comparisons
+ */
+function normalizeStopKey(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Extract {lat, lng} from the different stop shapes used across the app
+ */
+function getStopCoordinates(stop) {
+  if (!stop) return null;
+  const source = stop.coordinates || stop;
+  const lat = Number(source.lat ?? source.latitude);
+  const lng = Number(source.lng ?? source.lon ?? source.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return null;
+  }
+  return { lat, lng };
+}
+
+/**
+ * Build the ordered stop list for a ride, with cumulative distance from the start.
+ * Distances are null when any stop lacks coordinates; fares then fall back to
+ * an equal share per segment.
+ */
+function buildRouteStops(source, intermediateStops = [], destination) {
+  const stops = [source, ...(intermediateStops || []), destination]
+    .filter(Boolean)
+    .map((stop, index) => ({
+      index,
+      stopId: stop.stopId || stop.id || null,
+      name: stop.name || stop.city || '',
+      city: stop.city || null,
+      coordinates: getStopCoordinates(stop),
+    }));
+
+  const hasAllCoordinates = stops.every(stop => stop.coordinates);
+  let distanceFromStart = 0;
+
+  return stops.map((stop, index) => {
+    if (hasAllCoordinates && index > 0) {
+      distanceFromStart += mapsService.calculateDistance(stops[index - 1].coordinates, stop.coordinates);
+    }
+    return {
+      ...stop,
+      distanceFromStart: hasAllCoordinates ? Math.round(distanceFromStart * 100) / 100 : null,
+    };
+  });
+}
+
+/**
+ * Get a ride's stop list; rides without routeStops have a single origin → destination leg
+ */
+function getRouteStops(ride) {
+  if (Array.isArray(ride.routeStops) && ride.routeStops.length >= 2) {
+    return ride.routeStops;
+  }
+  return buildRouteStops(
+    { ...ride.origin, name: ride.origin?.name || ride.origin?.city },
+    [],
+    { ...ride.destination, name: ride.destination?.name || ride.destination?.city }
+  );
+}
+
+/**
+ * Lowercased stop names, stored on rides so Firestore can find rides passing through a stop
+ */
+function getRouteStopKeys(routeStops) {
+  return [...new Set(routeStops.map(stop => normalizeStopKey(stop.name)).filter(Boolean))];
+}
+
+/**
+ * Fresh inventory: every segment has all seats free
+ */
+function initSegmentSeats(routeStops, seats) {
+  return new Array(Math.max(routeStops.length - 1, 1)).fill(seats);
+}
+
+/**
+ * Get a ride's per-segment seat counts (Realtime Database may return arrays as objects)
+ */
+function getSegmentSeats(ride) {
+  const segmentCount = Math.max(getRouteStops(ride).length - 1, 1);
+  const stored = Array.isArray(ride.segmentSeats)
+    ? ride.segmentSeats
+    : Object.values(ride.segmentSeats || {});
+
+  if (stored.length !== segmentCount) {
+    return new Array(segmentCount).fill(Number(ride.availableSeats) || 0);
+  }
+  return stored.map(seats => Number(seats) || 0);
+}
+
+/**
+ * Find a stop by ID or name. Loose matching accepts partial names (used by search).
+ */
+function findStopIndex(routeStops, stopRef, { loose = false } = {}) {
+  if (stopRef === undefined || stopRef === null || stopRef === '') {
+    return -1;
+  }
+
+  const refId = typeof stopRef === 'object' ? (stopRef.stopId || stopRef.id) : stopRef;
+  const refName = normalizeStopKey(typeof stopRef === 'object' ? (stopRef.name || stopRef.city) : stopRef);
+
+  if (refId) {
+    const byId = routeStops.findIndex(stop => stop.stopId && stop.stopId === refId);
+    if (byId !== -1) return byId;
+  }
+
+  if (!refName) return -1;
+
+  const byName = routeStops.findIndex(stop =>
+    normalizeStopKey(stop.name) === refName || (stop.city && normalizeStopKey(stop.city) === refName));
+  if (byName !== -1 || !loose) return byName;
+
+  return routeStops.findIndex(stop => normalizeStopKey(stop.name).includes(refName));
+}
+
+/**
+ * Resolve the pickup/drop-off pair to a segment range on the ride.
+ * Missing pickup/drop-off default to the route's first/last stop.
+ * Returns null when either stop is not on the route or they are in the wrong order.
+ */
+function resolveSegment(ride, pickup, dropoff, options = {}) {
+  const routeStops = getRouteStops(ride);
+  const lastIndex = routeStops.length - 1;
+
+  const fromIndex = pickup ? findStopIndex(routeStops, pickup, options) : 0;
+  const toIndex = dropoff ? findStopIndex(routeStops, dropoff, options) : lastIndex;
+
+  if (fromIndex === -1 || toIndex === -1 || fromIndex >= toIndex) {
+    return null;
+  }
+
+  return {
+    fromIndex,
+    toIndex,
+    fromStop: routeStops[fromIndex],
+    toStop: routeStops[toIndex],
+    isFullRoute: fromIndex === 0 && toIndex === lastIndex,
+  };
+}
+
+/**
+ * Seats free on every segment between the two stops
+ */
+function getAvailableSeatsForSegment(segmentSeats, fromIndex, toIndex) {
+  return Math.min(...segmentSeats.slice(fromIndex, toIndex));
+}
+
+/**
+ * Take seats on a segment range, returning the new inventory
+ */
+function reserveSegmentSeats(segmentSeats, fromIndex, toIndex, seats) {
+  if (getAvailableSeatsForSegment(segmentSeats, fromIndex, toIndex) < seats) {
+    throw new Error('Not enough available seats');
+  }
+  return segmentSeats.map((free, index) => (
+    index >= fromIndex && index < toIndex ? free - seats : free
+  ));
+}
+
+/**
+ * Give seats back on a segment range, returning the new inventory
+ */
+function releaseSegmentSeats(segmentSeats, fromIndex, toIndex, seats, totalSeats) {
+  return segmentSeats.map((free, index) => (
+    index >= fromIndex && index < toIndex ? Math.min(totalSeats, free + seats) : free
+  ));
+}
+
+/**
+ * Ride-level availableSeats derived from the segment inventory
+ */
+function summarizeAvailableSeats(segmentSeats) {
+  return segmentSeats.length > 0 ? Math.max(...segmentSeats) : 0;
+}
+
+/**
+ * Pro-rate the full-route seat price by the share of route distance travelled
+ */
+function calculateSegmentFare(pricePerSeat, routeStops, fromIndex, toIndex) {
+  const lastIndex = routeStops.length - 1;
+  const totalDistance = routeStops[lastIndex]?.distanceFromStart;
+
+  let ratio;
+  let distanceKm = null;
+  if (totalDistance) {
+    distanceKm = Math.round((routeStops[toIndex].distanceFromStart - routeStops[fromIndex].distanceFromStart) * 100) / 100;
+    ratio = distanceKm / totalDistance;
+  } else {
+    ratio = (toIndex - fromIndex) / lastIndex;
+  }
+
+  return {
+    fare: Math.round(pricePerSeat * ratio),
+    ratio: Math.round(ratio * 10000) / 10000,
+    distanceKm,
+  };
+}
+
+/**
+ * Free seats and pro-rated seat price for a resolved segment
+ */
+function quoteSegment(ride, segment) {
+  const availableSeats = getAvailableSeatsForSegment(getSegmentSeats(ride), segment.fromIndex, segment.toIndex);
+  const { fare, ratio, distanceKm } = calculateSegmentFare(
+    ride.pricePerSeat,
+    getRouteStops(ride),
+    segment.fromIndex,
+    segment.toIndex
+  );
+
+  return {
+    availableSeats,
+    pricePerSeat: fare,
+    segment: {
+      fromIndex: segment.fromIndex,
+      toIndex: segment.toIndex,
+      fromStopId: segment.fromStop.stopId,
+      fromStopName: segment.fromStop.name,
+      toStopId: segment.toStop.stopId,
+      toStopName: segment.toStop.name,
+      isFullRoute: segment.isFullRoute,
+      distanceKm,
+      fareRatio: ratio,
+    },
+  };
+}
+
+/**
+ * Check seats and price a booking between two stops (by stop ID or name).
+ * Returns the segment record stored on the booking and the pro-rated seat price.
+ */
+function planSegmentBooking(ride, pickup, dropoff, seats) {
+  // Rides without stop data keep free-text pickup/drop-off and book the whole trip
+  const hasStops = Array.isArray(ride.routeStops) && ride.routeStops.length >= 2;
+  const segment = hasStops ? resolveSegment(ride, pickup, dropoff) : resolveSegment(ride, null, null);
+  if (!segment) {
+    throw new Error('Pickup and drop-off must be stops on this ride, in travel order');
+  }
+
+  const quote = quoteSegment(ride, segment);
+  if (quote.availableSeats < seats) {
+    throw new Error('Not enough available seats');
+  }
+  return quote;
+}
+
+/**
+ * Segment range held by an existing booking (bookings made before segment
+ * inventory existed hold the whole route)
+ */
+function getBookingSegmentRange(ride, booking) {
+  if (booking.segment && Number.isInteger(booking.segment.fromIndex) && Number.isInteger(booking.segment.toIndex)) {
+    return { fromIndex: booking.segment.fromIndex, toIndex: booking.segment.toIndex };
+  }
+  return { fromIndex: 0, toIndex: getRouteStops(ride).length - 1 };
+}
+
+module.exports = {
+  normalizeStopKey,
+  getStopCoordinates,
+  buildRouteStops,
+  getRouteStops,
+  getRouteStopKeys,
+  initSegmentSeats,
+  getSegmentSeats,
+  findStopIndex,
+  resolveSegment,
+  getAvailableSeatsForSegment,
+  reserveSegmentSeats,
+  releaseSegmentSeats,
+  summarizeAvailableSeats,
+  calculateSegmentFare,
+  quoteSegment,
+  planSegmentBooking,
+  getBookingSegmentRange,
+};
@@ -138,7 +138,16 @@ const ValidationSchemas = {
     bookingPolicy: Joi.object({
       instantBooking: Joi.boolean().optional(),
       requiresApproval: Joi.boolean().optional(),
-      cancellationPolicy: Joi.string().valid('flexible', 'moderate', 'strict').optional(),
+      cancellationPolicy: Joi.string().valid('flexible', 'moderate', 'strict', 'custom').optional(),
+      cancellationTiers: Joi.array().items(Joi.object({
+        hoursBefore: Joi.number().min(0).required(),
+        refundPercentage: Joi.number().min(0).max(100).required(),
+      })).when('cancellationPolicy', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+    }).optional(),
+    dynamicPricing: Joi.object({
+      enabled: Joi.boolean().required(),
+      minPrice: Joi.number().min(1).max(10000).optional(),
+      maxPrice: Joi.number().min(1).max(10000).optional(),
     }).optional(),
   }),
 
@@ -156,7 +165,16 @@ const ValidationSchemas = {
     bookingPolicy: Joi.object({
       instantBooking: Joi.boolean().optional(),
       requiresApproval: Joi.boolean().optional(),
-      cancellationPolicy: Joi.string().valid('flexible', 'moderate', 'strict').optional(),
+      cancellationPolicy: Joi.string().valid('flexible', 'moderate', 'strict', 'custom').optional(),
+      cancellationTiers: Joi.array().items(Joi.object({
+        hoursBefore: Joi.number().min(0).required(),
+        refundPercentage: Joi.number().min(0).max(100).required(),
+      })).when('cancellationPolicy', { is: 'custom', then: Joi.required(), otherwise: Joi.forbidden() }),
+    }).optional(),
+    dynamicPricing: Joi.object({
+      enabled: Joi.boolean().required(),
+      minPrice: Joi.number().min(1).max(10000).optional(),
+      maxPrice: Joi.number().min(1).max(10000).optional(),
     }).optional(),
   }),
 
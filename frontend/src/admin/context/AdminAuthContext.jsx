@@ -20,14 +20,14 @@ export const AdminAuthProvider = ({ children }) => {
         setLoading(false);
     }, []);
 
-    const login = async (username, password) => {
+    const login = async (username, password, totpCode) => {
         try {
             const response = await fetch(`${API_BASE_URL}/admin/login`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ username, password }),
+                body: JSON.stringify({ username, password, totpCode }),
             });
 
             const data = await response.json();
@@ -39,7 +39,7 @@ export const AdminAuthProvider = ({ children }) => {
                 navigate('/admin/dashboard');
                 return { success: true };
             } else {
-                return { success: false, error: data.error.message };
+                return { success: false, error: data.error.message, code: data.error.code };
             }
         } catch (error) {
             console.error('Admin login error:', error);
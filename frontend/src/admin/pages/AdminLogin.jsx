@@ -5,6 +5,8 @@ import { useNavigate } from 'react-router-dom';
 const AdminLogin = () => {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
+    const [totpCode, setTotpCode] = useState('');
+    const [totpRequired, setTotpRequired] = useState(false);
     const [error, setError] = useState('');
     const { login } = useAdminAuth();
     const navigate = useNavigate();
@@ -12,8 +14,10 @@ const AdminLogin = () => {
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
-        const result = await login(username, password);
-        if (!result.success) {
+        const result = await login(username, password, totpRequired ? totpCode : undefined);
+        if (result.code === 'TOTP_REQUIRED') {
+            setTotpRequired(true);
+        } else if (!result.success) {
             setError(result.error);
         }
     };
@@ -54,6 +58,23 @@ const AdminLogin = () => {
                         />
                     </div>
 
+                    {totpRequired && (
+                        <div>
+                            <label className="block text-sm font-medium mb-2 text-gray-400">Authenticator Code</label>
+                            <input
+                                type="text"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                maxLength={6}
+                                value={totpCode}
+                                onChange={(e) => setTotpCode(e.target.value)}
+                                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded focus:border-blue-500 focus:outline-none transition-colors"
+                                placeholder="6-digit code"
+                                required
+                            />
+                        </div>
+                    )}
+
                     <button
                         type="submit"
                         className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded transition-colors"